@@ -7,21 +7,40 @@ import SessionView from './pages/SessionView';
 import QuestionView from './pages/QuestionView';
 import ReportView from './pages/ReportView';
 import SharedChecklist from './pages/SharedChecklist';
+import Login from './pages/Login';
+import UserManagement from './pages/UserManagement';
+import Search from './pages/Search';
+import Templates from './pages/Templates';
+import KdsView from './pages/KdsView';
+import RicefwRegister from './pages/RicefwRegister';
+import FitGapView from './pages/FitGapView';
+import HarmonizationView from './pages/HarmonizationView';
+import EnterpriseStructureView from './pages/EnterpriseStructureView';
+import { RequireAuth } from './context/AuthContext';
 
 function App() {
   return (
     <Routes>
       {/* Public share route (no layout) */}
       <Route path="share/:token" element={<SharedChecklist />} />
+      <Route path="login" element={<Login />} />
 
-      {/* Main app routes with layout */}
-      <Route path="/" element={<Layout />}>
+      {/* Main app routes with layout (signed-in users only) */}
+      <Route path="/" element={<RequireAuth><Layout /></RequireAuth>}>
         <Route index element={<Dashboard />} />
         <Route path="workshop/:workshopId" element={<WorkshopView />} />
-        <Route path="workshop/:workshopId/setup" element={<WorkshopSetup />} />
+        <Route path="workshop/:workshopId/setup" element={<RequireAuth permission="manage"><WorkshopSetup /></RequireAuth>} />
+        <Route path="workshop/:workshopId/kds" element={<KdsView />} />
+        <Route path="workshop/:workshopId/ricefw" element={<RicefwRegister />} />
+        <Route path="workshop/:workshopId/fit-gap" element={<FitGapView />} />
+        <Route path="workshop/:workshopId/harmonization" element={<HarmonizationView />} />
+        <Route path="workshop/:workshopId/enterprise-structure" element={<EnterpriseStructureView />} />
         <Route path="workshop/:workshopId/session/:sessionId" element={<SessionView />} />
         <Route path="workshop/:workshopId/session/:sessionId/question/:questionId" element={<QuestionView />} />
         <Route path="workshop/:workshopId/session/:sessionId/report/:reportId" element={<ReportView />} />
+        <Route path="search" element={<Search />} />
+        <Route path="templates" element={<RequireAuth permission="capture"><Templates /></RequireAuth>} />
+        <Route path="users" element={<RequireAuth permission="admin"><UserManagement /></RequireAuth>} />
       </Route>
     </Routes>
   );
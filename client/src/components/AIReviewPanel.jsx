@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { AlertTriangle, ChevronDown, ChevronUp, CheckCircle, X, Loader2 } from 'lucide-react';
+import { getAIReviews, updateAIReview } from '../services/sessionChecklistApi';
+import { useAuth } from '../context/AuthContext';
+
+const TASK_LABELS = {
+  transcript_analysis: 'Recording analysis',
+  document_analysis: 'Document analysis',
+  prework_analysis: 'Pre-work answers',
+  reanalysis: 'Re-analysis',
+  speaker_attribution: 'Speaker attribution',
+  checklist_generation: 'Checklist generation',
+  question_generation: 'Question generation',
+  question_checklist: 'Question checklist',
+  observation_checklist: 'Question checklist',
+  observation_analysis: 'Observation',
+  report: 'Report',
+  bpml_generation: 'BPML generation',
+  ricefw_extraction: 'RICEFW proposals',
+  fitgap_analysis: 'Fit-gap analysis',
+  entity_harmonization: 'Entity harmonization',
+  enterprise_structure: 'Enterprise structure'
+};
+
+/**
+ * Banner listing AI replies that failed validation and were stored for manual review
+ * @param {number|string} sessionId
+ * @param {number} revision - bump to reload (e.g. on an ai_review_added event)
+ */
+function AIReviewPanel({ sessionId, revision = 0 }) {
+  const { can } = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+  const [updatingId, setUpdatingId] = useState(null);
+
+  useEffect(() => {
+    getAIReviews(sessionId)
+      .then(response => setReviews(response.data))
+      .catch(error => console.error('Error loading AI reviews:', error));
+  }, [sessionId, revision]);
+
+  const handleUpdate = async (reviewId, status) => {
+    setUpdatingId(reviewId);
+    try {
+      await updateAIReview(sessionId, reviewId, status);
+      setReviews(prev => prev.filter(r => r.id !== reviewId));
+    } catch (error) {
+      console.error('Error updating AI review:', error);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  if (reviews.length === 0) return null;
+
+  return (
+    <div className="rounded-lg border border-amber-200 bg-amber-50">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center gap-3 p-4 text-left"
+      >
+        <AlertTriangle className="w-5 h-5 text-amber-600 flex-shrink-0" />
+        <div className="flex-1">
+          <p className="text-sm font-medium text-amber-800">
+            {reviews.length} AI {reviews.length === 1 ? 'reply needs' : 'replies need'} manual review
+          </p>
+          <p className="text-xs text-amber-700">
+            These replies did not match the expected format, even after a retry. Check them against the recording or document.
+          </p>
+        </div>
+        {expanded ? <ChevronUp className="w-4 h-4 text-amber-600" /> : <ChevronDown className="w-4 h-4 text-amber-600" />}
+      </button>
+
+      {expanded && (
+        <div className="border-t border-amber-200 divide-y divide-amber-100">
+          {reviews.map(review => (
+            <div key={review.id} className="p-4 space-y-2">
+              <div className="flex items-center gap-2 flex-wrap">
+                <span className="text-sm font-medium text-gray-800">{TASK_LABELS[review.task] || review.task}</span>
+                {review.partial && (
+                  <span className="px-2 py-0.5 text-xs rounded-full bg-amber-100 text-amber-700">Partly applied</span>
+                )}
+                {review.context?.documentName && (
+                  <span className="text-xs text-gray-500">{review.context.documentName}</span>
+                )}
+                <span className="text-xs text-gray-400 ml-auto">{new Date(review.created_at).toLocaleString()}</span>
+              </div>
+
+              <ul className="text-xs text-red-700 list-disc list-inside">
+                {(review.errors || []).slice(0, 5).map((error, i) => (
+                  <li key={i}>{error}</li>
+                ))}
+              </ul>
+
+              <pre className="text-xs bg-white border border-gray-200 rounded p-2 max-h-48 overflow-auto whitespace-pre-wrap">
+                {review.raw_response || '(empty reply)'}
+              </pre>
+
+              {can('manage') && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleUpdate(review.id, 'resolved')}
+                    disabled={updatingId === review.id}
+                    className="flex items-center gap-1 px-3 py-1 text-xs rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                  >
+                    {updatingId === review.id ? <Loader2 className="w-3 h-3 animate-spin" /> : <CheckCircle className="w-3 h-3" />}
+                    Resolved
+                  </button>
+                  <button
+                    onClick={() => handleUpdate(review.id, 'dismissed')}
+                    disabled={updatingId === review.id}
+                    className="flex items-center gap-1 px-3 py-1 text-xs rounded border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    <X className="w-3 h-3" />
+                    Dismiss
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AIReviewPanel;
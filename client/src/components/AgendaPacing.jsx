@@ -0,0 +1,57 @@
+import { CalendarClock, AlertTriangle } from 'lucide-react';
+import { describeMoveOn } from '../services/sessionChecklistApi';
+import CriticalBurndown from './CriticalBurndown';
+
+/**
+ * Pacing card of the recording view: the agenda topic being discussed, its time used
+ * against plan, when to move on and the critical burn-down
+ * @param {Object} agenda - response of getSessionAgenda
+ */
+function AgendaPacing({ agenda }) {
+  if (!agenda || agenda.slots.length === 0) return null;
+
+  const current = agenda.slots.find(slot => slot.category === agenda.currentCategory);
+  const plannedTotal = agenda.slots.reduce((sum, slot) => sum + slot.planned_minutes, 0);
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <CalendarClock className="w-5 h-5 text-indigo-500" />
+          <span className="font-semibold text-gray-800">Agenda</span>
+        </div>
+        <span className="text-xs text-gray-500">{agenda.recordedMinutes} of {plannedTotal} min</span>
+      </div>
+
+      {current ? (
+        <div className="mb-2">
+          <div className="flex justify-between text-xs mb-1">
+            <span className="font-medium text-gray-700 truncate">{current.category}</span>
+            <span className={current.over ? 'text-red-600 font-medium' : 'text-gray-500'}>
+              {current.actual_minutes} / {current.planned_minutes} min
+            </span>
+          </div>
+          <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+            <div
+              className={`h-full ${current.over ? 'bg-red-500' : 'bg-indigo-500'}`}
+              style={{ width: `${Math.min(100, (current.actual_minutes / current.planned_minutes) * 100)}%` }}
+            />
+          </div>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-400 mb-2">The topic is picked up once a chunk obtains an item.</p>
+      )}
+
+      {agenda.moveOn && (
+        <div className="flex items-start gap-1.5 mb-2 px-2 py-1.5 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800">
+          <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+          <span>{describeMoveOn(agenda.moveOn)}</span>
+        </div>
+      )}
+
+      <CriticalBurndown burndown={agenda.burndown} height={80} />
+    </div>
+  );
+}
+
+export default AgendaPacing;
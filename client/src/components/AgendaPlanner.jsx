@@ -0,0 +1,259 @@
+import { useState, useEffect } from 'react';
+import {
+  CalendarClock,
+  ChevronDown,
+  ChevronUp,
+  Loader2,
+  RefreshCw,
+  Save,
+  AlertTriangle,
+  CheckCircle
+} from 'lucide-react';
+import {
+  getSessionAgenda,
+  generateSessionAgenda,
+  updateSessionAgenda,
+  describeMoveOn
+} from '../services/sessionChecklistApi';
+import CriticalBurndown from './CriticalBurndown';
+import { useAuth } from '../context/AuthContext';
+
+const DEFAULT_DURATION_MINUTES = 120;
+
+const STATUS_STYLES = {
+  done: 'bg-green-100 text-green-700',
+  current: 'bg-purple-100 text-purple-700',
+  started: 'bg-blue-100 text-blue-700',
+  upcoming: 'bg-gray-100 text-gray-600'
+};
+
+const STATUS_LABELS = {
+  done: 'Done',
+  current: 'Now',
+  started: 'Started',
+  upcoming: 'Upcoming'
+};
+
+/**
+ * Time-boxed agenda of a session generated from the checklist, with the time used per
+ * category against plan and the burn-down of critical items
+ * @param {number} revision - bump to reload (e.g. after a chunk was analyzed)
+ */
+function AgendaPlanner({ sessionId, session, revision = 0 }) {
+  const { can } = useAuth();
+  const [agenda, setAgenda] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [dirty, setDirty] = useState(false);
+  const [duration, setDuration] = useState(session?.planned_duration_minutes || DEFAULT_DURATION_MINUTES);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadAgenda();
+  }, [sessionId, revision]);
+
+  const loadAgenda = async () => {
+    try {
+      const response = await getSessionAgenda(sessionId);
+      setAgenda(response.data);
+      // Keep unsaved edits when a chunk refreshes the actuals
+      if (!dirty) setSlots(response.data.slots);
+      if (response.data.plannedMinutes) setDuration(response.data.plannedMinutes);
+    } catch (error) {
+      console.error('Error loading agenda:', error);
+    }
+  };
+
+  const applyAgenda = (data) => {
+    setAgenda(data);
+    setSlots(data.slots);
+    setDirty(false);
+    if (data.plannedMinutes) setDuration(data.plannedMinutes);
+  };
+
+  const handleGenerate = async () => {
+    if (agenda?.slots.length > 0 && !confirm('Regenerating replaces the current agenda, including manual changes. Continue?')) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const response = await generateSessionAgenda(sessionId, parseInt(duration));
+      applyAgenda(response.data);
+    } catch (error) {
+      alert('Failed to generate the agenda: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    try {
+      const response = await updateSessionAgenda(sessionId, slots.map(slot => ({
+        category: slot.category,
+        planned_minutes: slot.planned_minutes
+      })));
+      applyAgenda(response.data);
+    } catch (error) {
+      alert('Failed to save the agenda: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setSlotMinutes = (category, minutes) => {
+    setSlots(slots.map(slot => (slot.category === category ? { ...slot, planned_minutes: minutes } : slot)));
+    setDirty(true);
+  };
+
+  const moveSlot = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= slots.length) return;
+    const reordered = [...slots];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setSlots(reordered);
+    setDirty(true);
+  };
+
+  if (!agenda) {
+    return (
+      <div className="flex justify-center py-6">
+        <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  const plannedTotal = slots.reduce((sum, slot) => sum + (parseInt(slot.planned_minutes) || 0), 0);
+
+  return (
+    <div className="space-y-3">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-2">
+        <CalendarClock className="w-4 h-4 text-gray-400" />
+        <span className="text-sm text-gray-600 flex-1">
+          {slots.length > 0
+            ? `${plannedTotal} min planned in ${slots.length} topics - ${agenda.recordedMinutes} min recorded`
+            : 'No agenda yet'}
+        </span>
+        {can('manage') && (
+          <>
+            <input
+              type="number"
+              value={duration}
+              onChange={(e) => setDuration(e.target.value)}
+              min={15}
+              step={15}
+              className="w-20 px-2 py-1 text-sm border rounded"
+              title="Session duration in minutes"
+            />
+            <span className="text-xs text-gray-500">min</span>
+            <button
+              onClick={handleGenerate}
+              disabled={busy || !(parseInt(duration) >= 15)}
+              className="flex items-center gap-1 px-2 py-1 text-sm bg-nxsys-500 text-white rounded hover:bg-nxsys-600 disabled:opacity-50"
+            >
+              {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+              {slots.length > 0 ? 'Regenerate' : 'Generate agenda'}
+            </button>
+            {dirty && (
+              <button
+                onClick={handleSave}
+                disabled={busy}
+                className="flex items-center gap-1 px-2 py-1 text-sm text-gray-700 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-50"
+              >
+                <Save className="w-4 h-4" />
+                Save changes
+              </button>
+            )}
+          </>
+        )}
+      </div>
+
+      {agenda.moveOn && (
+        <div className="flex items-start gap-2 px-3 py-2 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+          <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+          {describeMoveOn(agenda.moveOn)}
+        </div>
+      )}
+
+      {slots.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">
+          Generate a time-boxed agenda: the duration is split over the checklist categories by the importance of their open items.
+        </p>
+      ) : (
+        <>
+          <div className="divide-y divide-gray-100">
+            {slots.map((slot, index) => {
+              const usedPercent = Math.min(100, (slot.actual_minutes / (slot.planned_minutes || 1)) * 100);
+              return (
+                <div key={slot.category} className="flex items-center gap-3 py-2">
+                  {can('manage') && (
+                    <div className="flex flex-col">
+                      <button onClick={() => moveSlot(index, -1)} disabled={index === 0} className="text-gray-400 hover:text-gray-700 disabled:opacity-30">
+                        <ChevronUp className="w-3.5 h-3.5" />
+                      </button>
+                      <button onClick={() => moveSlot(index, 1)} disabled={index === slots.length - 1} className="text-gray-400 hover:text-gray-700 disabled:opacity-30">
+                        <ChevronDown className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium text-gray-900 truncate">{slot.category}</span>
+                      {slot.status && !dirty && (
+                        <span className={`px-1.5 py-0.5 text-xs rounded ${STATUS_STYLES[slot.status]}`}>
+                          {STATUS_LABELS[slot.status]}
+                        </span>
+                      )}
+                      {slot.critical_missing > 0 && (
+                        <span className="text-xs text-red-600">{slot.critical_missing} critical open</span>
+                      )}
+                      {slot.status === 'done' && <CheckCircle className="w-3.5 h-3.5 text-green-500" />}
+                    </div>
+                    <div className="flex items-center gap-2 mt-1">
+                      <div className="flex-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                        <div
+                          className={`h-full ${slot.over ? 'bg-red-500' : 'bg-purple-500'}`}
+                          style={{ width: `${usedPercent}%` }}
+                        />
+                      </div>
+                      <span className={`text-xs whitespace-nowrap ${slot.over ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                        {slot.actual_minutes ?? 0} / {slot.planned_minutes} min
+                      </span>
+                    </div>
+                  </div>
+                  <span className="text-xs text-gray-400 w-20 text-right">{slot.missing ?? '-'} of {slot.items ?? '-'} open</span>
+                  {can('manage') && (
+                    <input
+                      type="number"
+                      value={slot.planned_minutes}
+                      onChange={(e) => setSlotMinutes(slot.category, parseInt(e.target.value) || '')}
+                      min={1}
+                      className="w-16 px-1.5 py-0.5 text-sm border rounded"
+                      title="Planned minutes"
+                    />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          {agenda.unplannedMinutes > 0 && (
+            <p className="text-xs text-gray-500">{agenda.unplannedMinutes} min recorded outside the agenda&apos;s topics.</p>
+          )}
+
+          <div className="border rounded-lg p-3">
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-xs font-semibold text-gray-700">Critical items still open</span>
+              <span className="flex items-center gap-3 text-xs text-gray-500">
+                <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-red-500" />Actual</span>
+                <span className="flex items-center gap-1"><span className="w-3 border-t border-dashed border-gray-400" />Plan</span>
+              </span>
+            </div>
+            <CriticalBurndown burndown={agenda.burndown} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AgendaPlanner;
@@ -0,0 +1,392 @@
+import { useState, useEffect } from 'react';
+import {
+  ChevronDown,
+  ChevronRight,
+  ChevronUp,
+  Plus,
+  Pencil,
+  Trash2,
+  Download,
+  Loader2,
+  RefreshCw,
+  Workflow
+} from 'lucide-react';
+import {
+  getSessionBpml,
+  generateBpml,
+  addBpmlNode,
+  updateBpmlNode,
+  moveBpmlNode,
+  deleteBpmlNode,
+  getBpmlExcelUrl,
+  BPML_LEVEL_LABELS
+} from '../services/bpmlApi';
+import { getEntities } from '../services/workshopApi';
+import { useBackgroundJobs } from '../hooks/useBackgroundJobs';
+import { useAuth } from '../context/AuthContext';
+
+const LEVEL_COLORS = {
+  1: 'bg-indigo-100 text-indigo-700',
+  2: 'bg-blue-100 text-blue-700',
+  3: 'bg-green-100 text-green-700',
+  4: 'bg-gray-100 text-gray-600'
+};
+
+const emptyForm = { name: '', description: '', sap_module: '', process_owner: '', entity_ids: [] };
+
+/**
+ * Inline form for adding or editing a BPML node
+ */
+function NodeForm({ initial, level, entities, onSave, onCancel }) {
+  const [form, setForm] = useState({ ...emptyForm, ...initial });
+  const [saving, setSaving] = useState(false);
+
+  const toggleEntity = (entityId) => setForm(prev => ({
+    ...prev,
+    entity_ids: prev.entity_ids.includes(entityId)
+      ? prev.entity_ids.filter(id => id !== entityId)
+      : [...prev.entity_ids, entityId]
+  }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+    setSaving(true);
+    try {
+      await onSave(form);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 text-sm border rounded focus:ring-1 focus:ring-nxsys-500 focus:border-nxsys-500';
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 my-1 bg-gray-50 border rounded-lg space-y-2">
+      <div className="flex items-center gap-2">
+        <span className={`px-1.5 py-0.5 text-xs rounded ${LEVEL_COLORS[level]}`}>L{level}</span>
+        <input
+          autoFocus
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder={`${BPML_LEVEL_LABELS[level]} name`}
+          className={inputClass}
+        />
+      </div>
+      <textarea
+        value={form.description}
+        onChange={(e) => setForm({ ...form, description: e.target.value })}
+        placeholder="Description"
+        rows={2}
+        className={inputClass}
+      />
+      {level >= 3 && (
+        <div className="flex gap-2">
+          <input
+            value={form.sap_module}
+            onChange={(e) => setForm({ ...form, sap_module: e.target.value })}
+            placeholder="SAP module"
+            className={`${inputClass} w-32`}
+          />
+          <input
+            value={form.process_owner}
+            onChange={(e) => setForm({ ...form, process_owner: e.target.value })}
+            placeholder="Process owner"
+            className={inputClass}
+          />
+        </div>
+      )}
+      {entities.length > 1 && (
+        <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+          <span>Applies to:</span>
+          {entities.map(entity => (
+            <label key={entity.id} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={form.entity_ids.includes(entity.id)}
+                onChange={() => toggleEntity(entity.id)}
+              />
+              {entity.code}
+            </label>
+          ))}
+          <span className="text-gray-400">(none checked = same as the level above)</span>
+        </div>
+      )}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:bg-gray-100 rounded">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving || !form.name.trim()}
+          className="px-3 py-1 text-sm bg-nxsys-500 text-white rounded hover:bg-nxsys-600 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Business Process Master List of a session: L1 value chain > L2 scenario > L3 process >
+ * L4 step. Generated from what the session captured, then edited node by node.
+ */
+function BpmlEditor({ workshopId, sessionId }) {
+  const { can } = useAuth();
+  const [nodes, setNodes] = useState([]);
+  const [entities, setEntities] = useState([]);
+  const [entityId, setEntityId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [collapsed, setCollapsed] = useState(new Set());
+  const [editingId, setEditingId] = useState(null);
+  const [addingUnder, setAddingUnder] = useState(null); // parent node id, 'root' for a value chain
+
+  const bpmlJobs = useBackgroundJobs(
+    { sessionId, types: ['bpml_generation'] },
+    { onFinished: ([job]) => handleGenerationFinished(job) }
+  );
+  const generating = bpmlJobs.running;
+  const currentJob = bpmlJobs.jobs[0];
+
+  useEffect(() => {
+    getEntities(workshopId)
+      .then(response => setEntities(response.data))
+      .catch(error => console.error('Error loading entities:', error));
+  }, [workshopId]);
+
+  useEffect(() => {
+    loadBpml();
+  }, [sessionId, entityId]);
+
+  const loadBpml = async () => {
+    try {
+      const response = await getSessionBpml(sessionId, entityId ? { entityId } : {});
+      setNodes(response.data);
+    } catch (error) {
+      console.error('Error loading BPML:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleGenerate = async () => {
+    if (nodes.length > 0 && !confirm('Regenerating replaces the current process list, including manual changes. Continue?')) {
+      return;
+    }
+    try {
+      const response = await generateBpml(sessionId);
+      bpmlJobs.track(response.data.job);
+    } catch (error) {
+      console.error('Error starting BPML generation:', error);
+      alert('Failed to generate BPML: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleGenerationFinished = async (job) => {
+    if (job?.status === 'failed') {
+      alert('BPML generation failed: ' + job.error);
+    }
+    await loadBpml();
+  };
+
+  const runAndReload = async (action, errorLabel) => {
+    try {
+      await action();
+      await loadBpml();
+    } catch (error) {
+      console.error(`Error ${errorLabel}:`, error);
+      alert(`Failed ${errorLabel}: ` + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleAdd = (form) => runAndReload(async () => {
+    await addBpmlNode(sessionId, { ...form, parentId: addingUnder === 'root' ? null : addingUnder });
+    setAddingUnder(null);
+  }, 'adding the node');
+
+  const handleUpdate = (nodeId, form) => runAndReload(async () => {
+    await updateBpmlNode(sessionId, nodeId, form);
+    setEditingId(null);
+  }, 'updating the node');
+
+  const handleMove = (nodeId, direction) =>
+    runAndReload(() => moveBpmlNode(sessionId, nodeId, direction), 'moving the node');
+
+  const handleDelete = (node) => {
+    const hasChildren = nodes.some(n => n.parent_id === node.id);
+    if (!confirm(`Delete "${node.name}"${hasChildren ? ' and everything below it' : ''}?`)) return;
+    runAndReload(() => deleteBpmlNode(sessionId, node.id), 'deleting the node');
+  };
+
+  const toggleCollapsed = (nodeId) => setCollapsed(prev => {
+    const next = new Set(prev);
+    if (next.has(nodeId)) next.delete(nodeId); else next.add(nodeId);
+    return next;
+  });
+
+  const entityCodes = (ids) => ids.map(id => entities.find(e => e.id === id)?.code).filter(Boolean);
+
+  // Nodes come in tree order; hide everything below a collapsed node
+  const hidden = new Set();
+  for (const node of nodes) {
+    if (hidden.has(node.parent_id) || collapsed.has(node.parent_id)) hidden.add(node.id);
+  }
+
+  const nodeForm = (level, initial, onSave, onCancel) => (
+    <NodeForm level={level} initial={initial} entities={entities} onSave={onSave} onCancel={onCancel} />
+  );
+
+  return (
+    <div className="space-y-3">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-2">
+        <Workflow className="w-4 h-4 text-gray-400" />
+        <span className="text-sm text-gray-600 flex-1">
+          {nodes.filter(n => n.level === 3).length} processes in {nodes.filter(n => n.level === 1).length} value chains
+        </span>
+        {entities.length > 1 && (
+          <select
+            value={entityId}
+            onChange={(e) => setEntityId(e.target.value)}
+            className="px-2 py-1 text-sm border rounded"
+          >
+            <option value="">All entities</option>
+            {entities.map(entity => <option key={entity.id} value={entity.id}>{entity.code}</option>)}
+          </select>
+        )}
+        {nodes.length > 0 && (
+          <a
+            href={getBpmlExcelUrl(sessionId, entityId)}
+            className="flex items-center gap-1 px-2 py-1 text-sm text-gray-700 bg-gray-100 rounded hover:bg-gray-200"
+          >
+            <Download className="w-4 h-4" />
+            Excel
+          </a>
+        )}
+        {can('capture') && (
+          <button
+            onClick={() => { setAddingUnder('root'); setEditingId(null); }}
+            className="flex items-center gap-1 px-2 py-1 text-sm text-gray-700 bg-gray-100 rounded hover:bg-gray-200"
+          >
+            <Plus className="w-4 h-4" />
+            Value chain
+          </button>
+        )}
+        {can('manage') && (
+          <button
+            onClick={handleGenerate}
+            disabled={generating}
+            className="flex items-center gap-1 px-2 py-1 text-sm bg-nxsys-500 text-white rounded hover:bg-nxsys-600 disabled:opacity-50"
+          >
+            {generating ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+            {nodes.length > 0 ? 'Regenerate' : 'Generate BPML'}
+          </button>
+        )}
+      </div>
+
+      {generating && (
+        <p className="text-xs text-nxsys-600 flex items-center gap-1">
+          <Loader2 className="w-3 h-3 animate-spin" />
+          {currentJob?.status === 'queued' ? 'Waiting in queue...' : currentJob?.progress_message || 'Building the process list...'}
+        </p>
+      )}
+
+      {addingUnder === 'root' && nodeForm(1, {}, handleAdd, () => setAddingUnder(null))}
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+        </div>
+      ) : nodes.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">
+          No process list yet. Generate it once the session has recordings, answers or findings, or add value chains by hand.
+        </p>
+      ) : (
+        <div className="divide-y divide-gray-50">
+          {nodes.filter(node => !hidden.has(node.id)).map(node => {
+            const hasChildren = nodes.some(n => n.parent_id === node.id);
+            const siblings = nodes.filter(n => n.parent_id === node.parent_id);
+            const position = siblings.findIndex(n => n.id === node.id);
+            const indent = { paddingLeft: `${(node.level - 1) * 20}px` };
+
+            if (editingId === node.id) {
+              return (
+                <div key={node.id} style={indent}>
+                  {nodeForm(node.level, {
+                    name: node.name,
+                    description: node.description || '',
+                    sap_module: node.sap_module || '',
+                    process_owner: node.process_owner || '',
+                    entity_ids: node.entity_ids || []
+                  }, (form) => handleUpdate(node.id, form), () => setEditingId(null))}
+                </div>
+              );
+            }
+
+            return (
+              <div key={node.id}>
+                <div className="group flex items-start gap-2 py-1.5" style={indent}>
+                  <button
+                    onClick={() => toggleCollapsed(node.id)}
+                    className={`mt-0.5 text-gray-400 hover:text-gray-600 ${hasChildren ? '' : 'invisible'}`}
+                  >
+                    {collapsed.has(node.id) ? <ChevronRight className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                  </button>
+                  <span className="text-xs font-mono text-gray-400 mt-0.5 w-28 flex-shrink-0">{node.code}</span>
+                  <span className={`px-1.5 py-0.5 text-xs rounded flex-shrink-0 ${LEVEL_COLORS[node.level]}`} title={BPML_LEVEL_LABELS[node.level]}>
+                    L{node.level}
+                  </span>
+                  <div className="flex-1 min-w-0">
+                    <p className={`text-sm text-gray-900 ${node.level <= 2 ? 'font-medium' : ''}`}>
+                      {node.name}
+                      {node.sap_module && <span className="ml-2 text-xs text-blue-600">{node.sap_module}</span>}
+                      {entityCodes(node.entity_ids || []).map(code => (
+                        <span key={code} className="ml-1 px-1 py-0.5 text-xs rounded bg-amber-50 text-amber-700">{code}</span>
+                      ))}
+                      {node.source === 'manual' && <span className="ml-1 text-xs text-gray-400">(manual)</span>}
+                    </p>
+                    {node.description && <p className="text-xs text-gray-500">{node.description}</p>}
+                    {node.process_owner && <p className="text-xs text-gray-400">Owner: {node.process_owner}</p>}
+                  </div>
+                  {can('capture') && (
+                    <div className="flex items-center gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity">
+                      {node.level < 4 && (
+                        <button
+                          onClick={() => { setAddingUnder(node.id); setEditingId(null); }}
+                          title={`Add ${BPML_LEVEL_LABELS[node.level + 1]}`}
+                          className="p-1 text-gray-400 hover:text-gray-700"
+                        >
+                          <Plus className="w-3.5 h-3.5" />
+                        </button>
+                      )}
+                      <button onClick={() => handleMove(node.id, 'up')} disabled={position === 0} title="Move up" className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30">
+                        <ChevronUp className="w-3.5 h-3.5" />
+                      </button>
+                      <button onClick={() => handleMove(node.id, 'down')} disabled={position === siblings.length - 1} title="Move down" className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30">
+                        <ChevronDown className="w-3.5 h-3.5" />
+                      </button>
+                      <button onClick={() => { setEditingId(node.id); setAddingUnder(null); }} title="Edit" className="p-1 text-gray-400 hover:text-gray-700">
+                        <Pencil className="w-3.5 h-3.5" />
+                      </button>
+                      <button onClick={() => handleDelete(node)} title="Delete" className="p-1 text-gray-400 hover:text-red-600">
+                        <Trash2 className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+                {addingUnder === node.id && (
+                  <div style={{ paddingLeft: `${node.level * 20}px` }}>
+                    {nodeForm(node.level + 1, {}, handleAdd, () => setAddingUnder(null))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BpmlEditor;
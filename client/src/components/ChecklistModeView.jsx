@@ -2,6 +2,17 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { useChunkedRecording } from '../hooks/useChunkedRecording';
 import ImmersiveRecordingView from './ImmersiveRecordingView';
+import PresenceIndicator from './PresenceIndicator';
+import AIReviewPanel from './AIReviewPanel';
+import ItemHistoryModal from './ItemHistoryModal';
+import SaveTemplateModal from './SaveTemplateModal';
+import OriginalQuote from './OriginalQuote';
+import BpmlEditor from './BpmlEditor';
+import AgendaPlanner from './AgendaPlanner';
+import StructuredValues from './StructuredValues';
+import { useAuth } from '../context/AuthContext';
+import { useBackgroundJobs } from '../hooks/useBackgroundJobs';
+import { useSessionEvents, describeSessionEvent } from '../hooks/useSessionEvents';
 import {
   getSessionChecklist,
   getSessionChecklistStats,
@@ -17,8 +28,12 @@ import {
   getSessionTranscript,
   getTranscriptDownloadUrl,
   regenerateTranscript,
-  reanalyzeSession
+  reanalyzeSession,
+  getSessionEventsUrl,
+  describeDocumentResult
 } from '../services/sessionChecklistApi';
+import { isJobActive } from '../services/jobsApi';
+import { getEntities } from '../services/workshopApi';
 import {
   Mic,
   Square,
@@ -51,13 +66,18 @@ import {
   BarChart3,
   List,
   LayoutGrid,
-  Maximize2
+  Maximize2,
+  History,
+  BookmarkPlus,
+  Workflow,
+  CalendarClock
 } from 'lucide-react';
 
 // Fixed chunk duration: 1 minute
 const CHUNK_DURATION_SECONDS = 60;
 
 function ChecklistModeView({ workshopId, sessionId, session, participants = [], onShowParticipants, onStatusChange }) {
+  const { can } = useAuth();
   const [checklist, setChecklist] = useState({ missing: [], obtained: [] });
   const [stats, setStats] = useState({
     total: 0,
@@ -82,6 +102,8 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
   const [transcriptContent, setTranscriptContent] = useState('');
   const [transcriptLoading, setTranscriptLoading] = useState(false);
   const [bestPracticeItem, setBestPracticeItem] = useState(null); // Item to show best practice modal for
+  const [historyItem, setHistoryItem] = useState(null); // Item to show evidence history for
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false); // Save checklist to the template library
   const [implicationsFinding, setImplicationsFinding] = useState(null); // Finding to show implications modal for
   const [selectedFindingsCategory, setSelectedFindingsCategory] = useState(null); // Category to show in popup
   const [retryingChunks, setRetryingChunks] = useState(false); // Retrying failed chunks
@@ -91,12 +113,23 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
   const [findingsFilterRisk, setFindingsFilterRisk] = useState(null);
   const [isImmersiveMode, setIsImmersiveMode] = useState(false); // Immersive recording mode
 
+  // Debounce timer for reloads triggered by other participants
+  const liveReloadRef = useRef(null);
+  const [liveRevision, setLiveRevision] = useState(0); // Bumped on every live update, read by immersive mode
+  const [reviewRevision, setReviewRevision] = useState(0); // Bumped when an AI reply is stored for review
+  const [entities, setEntities] = useState([]); // Workshop entities a structured value can be stated for
 
   // Load checklist on mount
   useEffect(() => {
     loadChecklist();
   }, [sessionId]);
 
+  useEffect(() => {
+    getEntities(workshopId)
+      .then(response => setEntities(response.data))
+      .catch(() => setEntities([]));
+  }, [workshopId]);
+
   const loadChecklist = async () => {
     try {
       setLoading(true);
@@ -124,6 +157,73 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
     }
   };
 
+  // Refresh data in place (no spinner) when live analysis or someone else changes the session
+  const refreshLiveData = async () => {
+    try {
+      const [checklistRes, statsRes, findingsRes, documentsRes] = await Promise.all([
+        getSessionChecklist(sessionId),
+        getSessionChecklistStats(sessionId),
+        getSessionFindings(sessionId).catch(() => null),
+        getSessionDocuments(sessionId).catch(() => null)
+      ]);
+      setChecklist(checklistRes.data);
+      setStats(statsRes.data);
+      if (findingsRes) setFindings(findingsRes.data);
+      if (documentsRes) setDocuments(documentsRes.data);
+
+      // Expand categories that appeared since the last load
+      setExpandedCategories(prev => {
+        const next = { ...prev };
+        [...checklistRes.data.missing, ...checklistRes.data.obtained].forEach(item => {
+          if (item.category && next[item.category] === undefined) next[item.category] = true;
+        });
+        return next;
+      });
+    } catch (error) {
+      console.error('Error refreshing checklist:', error);
+    }
+  };
+
+  const scheduleLiveReload = () => {
+    clearTimeout(liveReloadRef.current);
+    liveReloadRef.current = setTimeout(() => {
+      refreshLiveData();
+      setLiveRevision(prev => prev + 1);
+    }, 500);
+  };
+
+  // Re-attaches to a re-analysis already running for this session (another tab or a reload)
+  const reanalysisJobs = useBackgroundJobs(
+    sessionId ? { sessionId, types: ['session_reanalysis'] } : null,
+    { onFinished: (jobs) => handleReanalysisFinished(jobs) }
+  );
+  const reanalysisJob = reanalysisJobs.jobs[0];
+
+  useEffect(() => {
+    if (reanalysisJobs.running) setReanalyzeStatus('analyzing');
+  }, [reanalysisJobs.running]);
+
+  // Document analysis started from this view (other participants' uploads arrive as document_updated)
+  const documentJobs = useBackgroundJobs(null, {
+    onFinished: (jobs) => handleDocumentAnalysisFinished(jobs)
+  });
+  const documentJob = documentJobs.jobs[0];
+
+  const { viewers, connected, lastActivity } = useSessionEvents(
+    sessionId ? getSessionEventsUrl(sessionId) : null,
+    {
+      checklist_updated: scheduleLiveReload,
+      findings_updated: scheduleLiveReload,
+      document_updated: scheduleLiveReload,
+      ai_review_added: () => setReviewRevision(prev => prev + 1),
+      job_updated: (event) => {
+        if (event.job?.type === 'session_reanalysis') reanalysisJobs.attach(event.job);
+      }
+    }
+  );
+
+  useEffect(() => () => clearTimeout(liveReloadRef.current), []);
+
   // Document upload handler
   const handleDocumentUpload = async (event) => {
     const file = event.target.files?.[0];
@@ -133,11 +233,11 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
     event.target.value = '';
 
     // Validate file type
-    const allowedExtensions = ['.pdf', '.doc', '.docx', '.txt', '.csv'];
+    const allowedExtensions = ['.pdf', '.doc', '.docx', '.txt', '.csv', '.xlsx', '.xls', '.png', '.jpg', '.jpeg', '.gif', '.webp'];
     const ext = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
     if (!allowedExtensions.includes(ext)) {
       setDocumentUploadStatus('error');
-      setDocumentUploadMessage('Only PDF, Word documents (.doc, .docx), and text files are allowed');
+      setDocumentUploadMessage('Only PDF, Word, Excel, CSV, text and image files are allowed');
       setTimeout(() => setDocumentUploadStatus(null), 5000);
       return;
     }
@@ -153,22 +253,21 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
       const uploadResponse = await uploadSessionDocument(sessionId, formData);
       const documentId = uploadResponse.data.id;
 
-      // Step 2: Analyze
+      // Step 2: Analyze (a background job - long documents are read section by section)
       setDocumentUploadStatus('analyzing');
       setDocumentUploadMessage('Extracting text and analyzing against checklist...');
 
       const analysisResponse = await analyzeSessionDocument(sessionId, documentId);
+      if (analysisResponse.data.job) {
+        documentJobs.track(analysisResponse.data.job);
+        return;
+      }
 
-      // Step 3: Complete
+      // Already analyzed earlier
       setDocumentUploadStatus('complete');
       setDocumentUploadMessage(
         `Done! ${analysisResponse.data.obtainedCount || 0} items obtained, ${analysisResponse.data.findingsCount || 0} findings captured`
       );
-
-      // Reload checklist
-      await loadChecklist();
-
-      // Clear status after delay
       setTimeout(() => setDocumentUploadStatus(null), 5000);
 
     } catch (error) {
@@ -179,6 +278,37 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
     }
   };
 
+  const handleDocumentAnalysisFinished = async ([job]) => {
+    const error = !job ? 'Document analysis job not found'
+      : job.status === 'cancelled' ? 'Document analysis was cancelled'
+      : job.status === 'failed' ? job.error
+      : null;
+
+    if (error) {
+      setDocumentUploadStatus('error');
+      setDocumentUploadMessage(error);
+      setTimeout(() => setDocumentUploadStatus(null), 5000);
+      loadChecklist();
+      return;
+    }
+
+    setDocumentUploadStatus('complete');
+    setDocumentUploadMessage(describeDocumentResult(job.result));
+
+    // Reload checklist
+    await loadChecklist();
+
+    // Clear status after delay
+    setTimeout(() => setDocumentUploadStatus(null), 5000);
+  };
+
+  // Show section-by-section progress while the document is analyzed
+  useEffect(() => {
+    if (documentJob?.progress_message && isJobActive(documentJob)) {
+      setDocumentUploadMessage(documentJob.progress_message);
+    }
+  }, [documentJob?.progress_message]);
+
   // Delete document handler
   const handleDeleteDocument = async (documentId) => {
     if (!confirm('Delete this document?')) return;
@@ -191,7 +321,7 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
     }
   };
 
-  // Re-analyze all transcripts
+  // Re-analyze all transcripts (runs as a background job on the server)
   const handleReanalyze = async () => {
     if (reanalyzeStatus === 'analyzing') return;
 
@@ -200,16 +330,7 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
 
     try {
       const response = await reanalyzeSession(sessionId);
-      setReanalyzeResult(response.data);
-      setReanalyzeStatus('complete');
-
-      // Reload checklist and findings to show updates
-      await loadChecklist();
-
-      // Clear status after delay
-      setTimeout(() => {
-        setReanalyzeStatus(null);
-      }, 10000);
+      reanalysisJobs.track(response.data.job);
     } catch (error) {
       console.error('Error re-analyzing:', error);
       setReanalyzeStatus('error');
@@ -218,6 +339,31 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
     }
   };
 
+  const handleReanalysisFinished = async ([job]) => {
+    const error = !job ? 'Re-analysis job not found'
+      : job.status === 'cancelled' ? 'Re-analysis was cancelled'
+      : job.status === 'failed' ? job.error
+      : job.result?.error;
+
+    if (error) {
+      setReanalyzeStatus('error');
+      setReanalyzeResult({ error });
+      setTimeout(() => setReanalyzeStatus(null), 5000);
+      return;
+    }
+
+    setReanalyzeResult(job.result);
+    setReanalyzeStatus('complete');
+
+    // Reload checklist and findings to show updates
+    await loadChecklist();
+
+    // Clear status after delay
+    setTimeout(() => {
+      setReanalyzeStatus(null);
+    }, 10000);
+  };
+
   // View transcript
   const handleViewTranscript = async () => {
     setTranscriptLoading(true);
@@ -247,7 +393,8 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
   };
 
   // Chunked recording callback - process each audio chunk
-  const handleChunkReady = useCallback(async (blob, chunkIndex, duration) => {
+  // Throws when the chunk did not make it, so the recording queue keeps it for a retry
+  const handleChunkReady = useCallback(async (blob, chunkIndex, duration, { clientChunkId } = {}) => {
     console.log(`Chunk ${chunkIndex} ready (${Math.round(duration)}s)`);
 
     // Update processing status
@@ -265,6 +412,7 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
       formData.append('audio', blob, `session-chunk-${chunkIndex}.webm`);
       formData.append('duration_seconds', Math.round(duration));
       formData.append('chunk_index', chunkIndex);
+      if (clientChunkId) formData.append('client_chunk_id', clientChunkId);
 
       const uploadResponse = await uploadSessionAudio(sessionId, formData);
       audioId = uploadResponse.data.id;
@@ -306,74 +454,10 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
         };
         return newStatus;
       });
+      throw error;
     }
   }, [sessionId]);
 
-  // Retry failed chunks
-  const handleRetryFailedChunks = useCallback(async () => {
-    const failedWithAudioId = chunkProcessingStatus
-      .map((status, index) => ({ ...status, index }))
-      .filter(s => s.status === 'error' && s.audioId);
-
-    if (failedWithAudioId.length === 0) {
-      alert('No failed chunks with saved audio to retry. You may need to re-record.');
-      return;
-    }
-
-    setRetryingChunks(true);
-    let successCount = 0;
-    let failCount = 0;
-
-    for (const chunk of failedWithAudioId) {
-      try {
-        // Update status to retrying
-        setChunkProcessingStatus(prev => {
-          const newStatus = [...prev];
-          newStatus[chunk.index] = { ...newStatus[chunk.index], status: 'analyzing', message: 'Retrying analysis...' };
-          return newStatus;
-        });
-
-        const analysisResponse = await analyzeSessionAudio(sessionId, chunk.audioId);
-
-        // Success
-        setChunkProcessingStatus(prev => {
-          const newStatus = [...prev];
-          newStatus[chunk.index] = {
-            status: 'complete',
-            step: 3,
-            message: `Done! ${analysisResponse.data.obtainedCount || 0} items obtained`,
-            obtainedCount: analysisResponse.data.obtainedCount || 0,
-            audioId: chunk.audioId
-          };
-          return newStatus;
-        });
-        successCount++;
-      } catch (error) {
-        // Still failed
-        setChunkProcessingStatus(prev => {
-          const newStatus = [...prev];
-          newStatus[chunk.index] = {
-            status: 'error',
-            step: 2,
-            message: error.response?.data?.error || error.message,
-            audioId: chunk.audioId
-          };
-          return newStatus;
-        });
-        failCount++;
-      }
-    }
-
-    setRetryingChunks(false);
-    await loadChecklist();
-
-    if (successCount > 0) {
-      alert(`Retry complete! ${successCount} chunk(s) succeeded${failCount > 0 ? `, ${failCount} still failed` : ''}.`);
-    } else {
-      alert(`All retries failed. Please check your API credits and try again.`);
-    }
-  }, [chunkProcessingStatus, sessionId]);
-
   const handleAllChunksComplete = useCallback(async () => {
     console.log('All chunks complete, reloading checklist...');
     await loadChecklist();
@@ -388,16 +472,31 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
     processingChunks,
     completedChunks,
     failedChunks,
+    queuedCount,
+    isOnline,
     startRecording,
     stopRecording,
+    retryFailedChunks,
     formatTime,
     chunkDurationSeconds
   } = useChunkedRecording({
     onChunkReady: handleChunkReady,
     onAllChunksComplete: handleAllChunksComplete,
+    queueKey: `session:${sessionId}`,
     chunkDurationSeconds: CHUNK_DURATION_SECONDS
   });
 
+  // Retry failed chunks - they are kept locally until they are uploaded and analyzed
+  const handleRetryFailedChunks = async () => {
+    setRetryingChunks(true);
+    try {
+      await retryFailedChunks();
+    } finally {
+      setRetryingChunks(false);
+      await loadChecklist();
+    }
+  };
+
   const toggleCategory = (category) => {
     setExpandedCategories(prev => ({
       ...prev,
@@ -446,6 +545,9 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
         participants={participants}
         onShowParticipants={onShowParticipants}
         onStatusChange={onStatusChange}
+        liveRevision={liveRevision}
+        reanalyzeStatus={reanalyzeStatus}
+        onReanalyze={handleReanalyze}
         onExitImmersive={() => {
           setIsImmersiveMode(false);
           loadChecklist(); // Refresh data when exiting
@@ -461,7 +563,7 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
         type="file"
         ref={documentInputRef}
         onChange={handleDocumentUpload}
-        accept=".pdf,.doc,.docx,.txt,.csv"
+        accept=".pdf,.doc,.docx,.txt,.csv,.xlsx,.xls,.png,.jpg,.jpeg,.gif,.webp"
         className="hidden"
       />
 
@@ -511,6 +613,8 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
             {/* Spacer */}
             <div className="flex-1" />
 
+            <PresenceIndicator viewers={viewers} connected={connected} maxShown={3} />
+
             {/* Compact action buttons */}
             <div className="flex items-center gap-1">
               <button
@@ -635,7 +739,13 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
                     <h2 className="text-lg font-semibold text-gray-900">{session?.name || 'Session'}</h2>
                   </div>
                   <p className="text-sm text-gray-500">Direct Checklist Mode</p>
+                  {lastActivity && describeSessionEvent(lastActivity) && (
+                    <p className="text-xs text-purple-600 mt-0.5">
+                      {describeSessionEvent(lastActivity)} · {new Date(lastActivity.at).toLocaleTimeString()}
+                    </p>
+                  )}
                 </div>
+                <PresenceIndicator viewers={viewers} connected={connected} />
               </div>
 
               {/* Inline Recording Status - shows in the middle when recording */}
@@ -710,12 +820,25 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
                   Excel
                 </button>
 
+                {/* Save as template button */}
+                {can('manage') && (
+                  <button
+                    onClick={() => setShowSaveTemplate(true)}
+                    disabled={isRecording || stats.total === 0}
+                    className="flex items-center gap-1.5 px-3 py-1.5 text-sm border border-indigo-300 text-indigo-700 bg-indigo-50 rounded-lg hover:bg-indigo-100 disabled:opacity-50"
+                    title="Save this checklist to the template library"
+                  >
+                    <BookmarkPlus className="w-4 h-4" />
+                    Template
+                  </button>
+                )}
+
                 {/* Document upload button */}
                 <button
                   onClick={() => documentInputRef.current?.click()}
                   disabled={documentUploadStatus === 'uploading' || documentUploadStatus === 'analyzing'}
                   className="flex items-center gap-1.5 px-3 py-1.5 text-sm border border-blue-300 text-blue-700 bg-blue-50 rounded-lg hover:bg-blue-100 disabled:opacity-50"
-                  title="Upload Document (PDF, Word, TXT)"
+                  title="Upload Document (PDF, Word, Excel, CSV, TXT, image)"
                 >
                   {documentUploadStatus === 'uploading' || documentUploadStatus === 'analyzing' ? (
                     <Loader2 className="w-4 h-4 animate-spin" />
@@ -895,32 +1018,36 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
         </div>
       )}
 
-      {/* Failed chunks retry bar - shows when not recording but has failed chunks */}
-      {!isRecording && chunkProcessingStatus.some(s => s.status === 'error') && (
+      {/* Failed chunks retry bar - failed chunks stay saved on this device until they are uploaded */}
+      {!isRecording && (queuedCount > 0 || chunkProcessingStatus.some(s => s.status === 'error')) && (
         <div className="bg-red-50 border border-red-200 rounded-lg p-4">
           <div className="flex items-center justify-between">
             <div className="flex items-center gap-3">
               <AlertCircle className="w-5 h-5 text-red-600" />
               <div>
                 <p className="text-sm font-medium text-red-800">
-                  {chunkProcessingStatus.filter(s => s.status === 'error').length} chunk(s) failed to analyze
+                  {queuedCount > 0
+                    ? `${queuedCount} recording chunk(s) waiting to upload`
+                    : `${chunkProcessingStatus.filter(s => s.status === 'error').length} chunk(s) failed to analyze`}
                 </p>
                 <p className="text-xs text-red-600">
-                  {chunkProcessingStatus.filter(s => s.status === 'error' && s.audioId).length > 0
-                    ? 'Audio saved - click Retry to re-analyze'
-                    : 'Audio upload failed - may need to re-record'}
+                  {!isOnline
+                    ? 'You are offline - the audio is saved on this device and uploads when the connection returns'
+                    : queuedCount > 0
+                      ? 'Audio saved on this device - retrying automatically, or click Retry'
+                      : 'Audio upload failed - may need to re-record'}
                 </p>
               </div>
             </div>
             <div className="flex items-center gap-2">
-              {chunkProcessingStatus.filter(s => s.status === 'error' && s.audioId).length > 0 && (
+              {queuedCount > 0 && (
                 <button
                   onClick={handleRetryFailedChunks}
-                  disabled={retryingChunks}
+                  disabled={retryingChunks || !isOnline}
                   className="flex items-center gap-1.5 px-3 py-1.5 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 disabled:opacity-50"
                 >
                   {retryingChunks ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
-                  Retry Failed ({chunkProcessingStatus.filter(s => s.status === 'error' && s.audioId).length})
+                  Retry ({queuedCount})
                 </button>
               )}
               <button
@@ -986,6 +1113,8 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
         </div>
       )}
 
+      <AIReviewPanel sessionId={sessionId} revision={reviewRevision} />
+
       {/* Re-analyze status */}
       {reanalyzeStatus && (
         <div className={`rounded-lg p-4 border ${
@@ -1007,7 +1136,7 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
               <p className={`text-sm font-medium ${
                 reanalyzeStatus === 'error' ? 'text-red-800' : 'text-purple-800'
               }`}>
-                {reanalyzeStatus === 'analyzing' && 'Re-analyzing all transcripts...'}
+                {reanalyzeStatus === 'analyzing' && (reanalysisJob?.progress_message || 'Re-analyzing all transcripts...')}
                 {reanalyzeStatus === 'complete' && 'Re-analysis Complete'}
                 {reanalyzeStatus === 'error' && 'Re-analysis Failed'}
               </p>
@@ -1021,6 +1150,11 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
                   {reanalyzeResult.strayTopicsFound > 0 && (
                     <p className="text-green-600">New findings discovered: {reanalyzeResult.strayTopicsFound}</p>
                   )}
+                  {reanalyzeResult.unsummarizedChunks?.length > 0 && (
+                    <p className="text-amber-600">
+                      Not summarized (analyzed from the full transcript): chunk {reanalyzeResult.unsummarizedChunks.join(', ')}
+                    </p>
+                  )}
                   {reanalyzeResult.summary?.key_concerns?.length > 0 && (
                     <div className="mt-2 pt-2 border-t border-purple-200">
                       <p className="font-medium text-purple-700">Key Concerns:</p>
@@ -1033,6 +1167,11 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
                   )}
                 </div>
               )}
+              {reanalyzeStatus === 'analyzing' && (
+                <p className="text-xs text-purple-600 mt-1">
+                  {reanalysisJob?.status === 'queued' ? 'Waiting in queue' : `${reanalysisJob?.progress || 0}%`} - continues on the server if you leave this page
+                </p>
+              )}
               {reanalyzeStatus === 'error' && reanalyzeResult?.error && (
                 <p className="text-xs text-red-600">{reanalyzeResult.error}</p>
               )}
@@ -1101,6 +1240,28 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
             <FileText className="w-4 h-4 inline mr-2" />
             Documents ({documents.length})
           </button>
+          <button
+            onClick={() => setActiveTab('bpml')}
+            className={`flex-1 px-4 py-3 text-sm font-medium transition-colors ${
+              activeTab === 'bpml'
+                ? 'border-b-2 border-indigo-500 text-indigo-700 bg-indigo-50'
+                : 'text-gray-500 hover:text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <Workflow className="w-4 h-4 inline mr-2" />
+            Processes (BPML)
+          </button>
+          <button
+            onClick={() => setActiveTab('agenda')}
+            className={`flex-1 px-4 py-3 text-sm font-medium transition-colors ${
+              activeTab === 'agenda'
+                ? 'border-b-2 border-indigo-500 text-indigo-700 bg-indigo-50'
+                : 'text-gray-500 hover:text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <CalendarClock className="w-4 h-4 inline mr-2" />
+            Agenda
+          </button>
         </div>
 
         <div className="p-4 max-h-[60vh] overflow-y-auto">
@@ -1115,7 +1276,7 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
                   </h4>
                   <div className="space-y-2">
                     {missingGrouped.critical.map(item => (
-                      <MissingItemCard key={item.id} item={item} onShowBestPractice={setBestPracticeItem} />
+                      <MissingItemCard key={item.id} item={item} onShowBestPractice={setBestPracticeItem} onShowHistory={setHistoryItem} />
                     ))}
                   </div>
                 </div>
@@ -1130,7 +1291,7 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
                   </h4>
                   <div className="space-y-2">
                     {missingGrouped.important.map(item => (
-                      <MissingItemCard key={item.id} item={item} onShowBestPractice={setBestPracticeItem} />
+                      <MissingItemCard key={item.id} item={item} onShowBestPractice={setBestPracticeItem} onShowHistory={setHistoryItem} />
                     ))}
                   </div>
                 </div>
@@ -1145,7 +1306,7 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
                   </h4>
                   <div className="space-y-2">
                     {missingGrouped.niceToHave.map(item => (
-                      <MissingItemCard key={item.id} item={item} importance="nice-to-have" onShowBestPractice={setBestPracticeItem} />
+                      <MissingItemCard key={item.id} item={item} importance="nice-to-have" onShowBestPractice={setBestPracticeItem} onShowHistory={setHistoryItem} />
                     ))}
                   </div>
                 </div>
@@ -1171,7 +1332,7 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
                   </h4>
                   <div className="space-y-2">
                     {obtainedGrouped.critical.map(item => (
-                      <ObtainedItemCard key={item.id} item={item} sessionId={sessionId} onUpdate={loadChecklist} onShowBestPractice={setBestPracticeItem} />
+                      <ObtainedItemCard key={item.id} item={item} sessionId={sessionId} participants={participants} entities={entities} onUpdate={loadChecklist} onShowBestPractice={setBestPracticeItem} onShowHistory={setHistoryItem} />
                     ))}
                   </div>
                 </div>
@@ -1186,7 +1347,7 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
                   </h4>
                   <div className="space-y-2">
                     {obtainedGrouped.important.map(item => (
-                      <ObtainedItemCard key={item.id} item={item} sessionId={sessionId} onUpdate={loadChecklist} onShowBestPractice={setBestPracticeItem} />
+                      <ObtainedItemCard key={item.id} item={item} sessionId={sessionId} participants={participants} entities={entities} onUpdate={loadChecklist} onShowBestPractice={setBestPracticeItem} onShowHistory={setHistoryItem} />
                     ))}
                   </div>
                 </div>
@@ -1201,7 +1362,7 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
                   </h4>
                   <div className="space-y-2">
                     {obtainedGrouped.niceToHave.map(item => (
-                      <ObtainedItemCard key={item.id} item={item} sessionId={sessionId} onUpdate={loadChecklist} onShowBestPractice={setBestPracticeItem} />
+                      <ObtainedItemCard key={item.id} item={item} sessionId={sessionId} participants={participants} entities={entities} onUpdate={loadChecklist} onShowBestPractice={setBestPracticeItem} onShowHistory={setHistoryItem} />
                     ))}
                   </div>
                 </div>
@@ -1649,7 +1810,23 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
                             <span className="text-purple-600">{doc.findings_count} findings</span>
                           </>
                         )}
+                        {doc.ocr_confidence != null && (
+                          <>
+                            <span>•</span>
+                            <span
+                              className={doc.ocr_low_confidence ? 'text-amber-600 font-medium' : ''}
+                              title={doc.ocr_low_confidence
+                                ? 'Parts of this scan were hard to read - check the results against the document'
+                                : 'Read from a scan with OCR'}
+                            >
+                              OCR {Math.round(doc.ocr_confidence)}%{doc.ocr_low_confidence ? ' - low quality scan' : ''}
+                            </span>
+                          </>
+                        )}
                       </div>
+                      {doc.analysis_status === 'failed' && doc.analysis_error && (
+                        <p className="text-xs text-red-600 mt-1">{doc.analysis_error}</p>
+                      )}
                     </div>
                     <button
                       onClick={() => handleDeleteDocument(doc.id)}
@@ -1665,12 +1842,20 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
                   <FileUp className="w-8 h-8 mx-auto mb-2 text-gray-400" />
                   <p className="text-sm">No additional documents uploaded</p>
                   <p className="text-xs mt-1">
-                    Upload PDF, Word, or text files to extract information.
+                    Upload PDF, Word, Excel, text files or images (scans and photos are read with OCR) to extract information.
                   </p>
                 </div>
               )}
             </div>
           )}
+
+          {activeTab === 'bpml' && (
+            <BpmlEditor workshopId={workshopId} sessionId={sessionId} />
+          )}
+
+          {activeTab === 'agenda' && (
+            <AgendaPlanner sessionId={sessionId} session={session} revision={liveRevision} />
+          )}
         </div>
       </div>
 
@@ -1719,6 +1904,26 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
         <BestPracticeModal item={bestPracticeItem} onClose={() => setBestPracticeItem(null)} />
       )}
 
+      {/* Evidence History Modal */}
+      {historyItem && (
+        <ItemHistoryModal
+          sessionId={sessionId}
+          item={historyItem}
+          onClose={() => setHistoryItem(null)}
+          onReverted={refreshLiveData}
+        />
+      )}
+
+      {/* Save as Template Modal */}
+      {showSaveTemplate && (
+        <SaveTemplateModal
+          session={session}
+          kind="checklist"
+          itemCount={stats.total}
+          onClose={() => setShowSaveTemplate(false)}
+        />
+      )}
+
       {/* Implications Modal */}
       {implicationsFinding && (
         <ImplicationsModal finding={implicationsFinding} onClose={() => setImplicationsFinding(null)} />
@@ -1740,7 +1945,7 @@ function ChecklistModeView({ workshopId, sessionId, session, participants = [],
 }
 
 // Sub-components
-function MissingItemCard({ item, importance, onShowBestPractice }) {
+function MissingItemCard({ item, importance, onShowBestPractice, onShowHistory }) {
   const importanceColors = {
     critical: 'bg-red-50 border-red-200',
     important: 'bg-orange-50 border-orange-200',
@@ -1769,33 +1974,58 @@ function MissingItemCard({ item, importance, onShowBestPractice }) {
                 Best Practice
               </button>
             )}
+            <button
+              onClick={() => onShowHistory(item)}
+              className="p-1 text-gray-400 hover:text-gray-600 rounded shrink-0"
+              title="Evidence history"
+            >
+              <History className="w-3.5 h-3.5" />
+            </button>
           </div>
           {item.category && (
             <span className="inline-block mt-1 px-2 py-0.5 bg-white rounded text-xs text-gray-500">
               {item.category}
             </span>
           )}
+          {item.origin === 'template' && (
+            <span className="inline-block mt-1 ml-1 px-2 py-0.5 bg-indigo-50 rounded text-xs text-indigo-600" title="Copied from the session's checklist template">
+              Template
+            </span>
+          )}
           {item.suggested_question && (
             <p className="text-xs text-gray-500 mt-2 italic">
               Ask: "{item.suggested_question}"
             </p>
           )}
+          {item.prework_answer && (
+            <div className="mt-2 p-2 bg-white rounded border border-purple-100 text-xs">
+              <p className="font-medium text-purple-700">
+                Pre-work answer{item.prework_answered_by ? ` (${item.prework_answered_by})` : ''}
+              </p>
+              <p dir="auto" className="text-gray-700 mt-0.5">{item.prework_answer}</p>
+              {item.prework_note && <p className="text-gray-500 mt-1">Still missing: {item.prework_note}</p>}
+            </div>
+          )}
         </div>
       </div>
     </div>
   );
 }
 
-function ObtainedItemCard({ item, sessionId, onUpdate, onShowBestPractice }) {
+function ObtainedItemCard({ item, sessionId, participants = [], entities = [], onUpdate, onShowBestPractice, onShowHistory }) {
   const [isEditing, setIsEditing] = useState(false);
   const [editText, setEditText] = useState(item.obtained_text || '');
+  const [editParticipantId, setEditParticipantId] = useState(item.obtained_participant_id || '');
   const [saving, setSaving] = useState(false);
 
   const handleSave = async () => {
     if (!editText.trim()) return;
     setSaving(true);
     try {
-      await updateChecklistItem(sessionId, item.id, { obtained_text: editText });
+      await updateChecklistItem(sessionId, item.id, {
+        obtained_text: editText,
+        obtained_participant_id: editParticipantId || null
+      });
       setIsEditing(false);
       if (onUpdate) onUpdate();
     } catch (error) {
@@ -1807,6 +2037,7 @@ function ObtainedItemCard({ item, sessionId, onUpdate, onShowBestPractice }) {
 
   const handleCancel = () => {
     setEditText(item.obtained_text || '');
+    setEditParticipantId(item.obtained_participant_id || '');
     setIsEditing(false);
   };
 
@@ -1827,6 +2058,13 @@ function ObtainedItemCard({ item, sessionId, onUpdate, onShowBestPractice }) {
                 Best Practice
               </button>
             )}
+            <button
+              onClick={() => onShowHistory(item)}
+              className="p-1 text-gray-400 hover:text-gray-600 rounded shrink-0"
+              title="Evidence history"
+            >
+              <History className="w-3.5 h-3.5" />
+            </button>
           </div>
 
           {isEditing ? (
@@ -1838,6 +2076,21 @@ function ObtainedItemCard({ item, sessionId, onUpdate, onShowBestPractice }) {
                 rows={3}
                 placeholder="Enter the obtained information..."
               />
+              {participants.length > 0 && (
+                <div className="flex items-center gap-2 mt-2">
+                  <label className="text-xs text-gray-600">Supplied by</label>
+                  <select
+                    value={editParticipantId}
+                    onChange={(e) => setEditParticipantId(e.target.value)}
+                    className="px-2 py-1 text-xs border border-green-300 rounded"
+                  >
+                    <option value="">Unknown</option>
+                    {participants.map(p => (
+                      <option key={p.id} value={p.id}>{p.name}{p.role ? ` (${p.role})` : ''}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div className="flex items-center gap-2 mt-2">
                 <button
                   onClick={handleSave}
@@ -1861,9 +2114,10 @@ function ObtainedItemCard({ item, sessionId, onUpdate, onShowBestPractice }) {
             <>
               {item.obtained_text && (
                 <div className="relative group mt-1">
-                  <p className="text-sm text-gray-700 bg-white rounded p-2 border border-green-100 pr-8">
-                    {item.obtained_text}
-                  </p>
+                  <div className="bg-white rounded p-2 border border-green-100 pr-8 space-y-1">
+                    <p dir="auto" className="text-sm text-gray-700">{item.obtained_text}</p>
+                    <OriginalQuote text={item.obtained_quote_original} />
+                  </div>
                   <button
                     onClick={() => setIsEditing(true)}
                     className="absolute top-2 right-2 p-1 text-gray-400 hover:text-green-600 opacity-0 group-hover:opacity-100 transition-opacity"
@@ -1882,6 +2136,7 @@ function ObtainedItemCard({ item, sessionId, onUpdate, onShowBestPractice }) {
                   Add details
                 </button>
               )}
+              <StructuredValues item={item} sessionId={sessionId} entities={entities} onUpdate={onUpdate} />
             </>
           )}
 
@@ -1891,11 +2146,23 @@ function ObtainedItemCard({ item, sessionId, onUpdate, onShowBestPractice }) {
                 {item.category}
               </span>
             )}
+            {item.obtained_speaker && (
+              <span className="flex items-center gap-1 px-2 py-0.5 bg-indigo-100 text-indigo-700 rounded" title="Participant who supplied this information">
+                <Users className="w-3 h-3" />
+                {item.obtained_speaker}
+              </span>
+            )}
             {item.obtained_source && (
               <span className="px-2 py-0.5 bg-green-100 text-green-700 rounded">
                 Source: {item.obtained_source}
               </span>
             )}
+            {(item.obtained_document_name || item.obtained_reference) && (
+              <span className="flex items-center gap-1 px-2 py-0.5 bg-blue-100 text-blue-700 rounded" title="Where in the document this was found">
+                <FileText className="w-3 h-3" />
+                {[item.obtained_document_name, item.obtained_reference].filter(Boolean).join(', ')}
+              </span>
+            )}
             {item.obtained_confidence && (
               <span className={`px-2 py-0.5 rounded ${
                 item.obtained_confidence === 'high' ? 'bg-green-100 text-green-700' :
@@ -1985,8 +2252,13 @@ function FindingCard({ finding, onShowImplications }) {
           {/* Source Quote */}
           {finding.source_quote && (
             <div className="bg-white/70 rounded p-3">
-              <p className="text-xs font-medium text-gray-500 mb-1">From Recording:</p>
+              <p className="text-xs font-medium text-gray-500 mb-1">
+                {finding.document_id || finding.document_name
+                  ? `From ${[finding.document_name || 'Document', finding.source_reference].filter(Boolean).join(', ')}`
+                  : 'From Recording'}{finding.source_speaker ? ` - ${finding.source_speaker}` : ''}:
+              </p>
               <p className="text-sm text-gray-700 italic">"{finding.source_quote}"</p>
+              <OriginalQuote text={finding.source_quote_original} className="mt-2" />
             </div>
           )}
 
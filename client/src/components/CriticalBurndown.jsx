@@ -0,0 +1,40 @@
+/**
+ * Burn-down of the critical items still missing over the recorded minutes, against
+ * the agenda's plan (dashed)
+ * @param {Object} burndown - { actual: [{ minute, remaining }], planned: [{ minute, remaining }] }
+ */
+function CriticalBurndown({ burndown, height = 120 }) {
+  const width = 300;
+  const padding = { top: 8, right: 8, bottom: 18, left: 22 };
+  const { actual = [], planned = [] } = burndown || {};
+  const points = [...actual, ...planned];
+  if (points.length < 2) return null;
+
+  const maxMinute = Math.max(1, ...points.map(point => point.minute));
+  const maxRemaining = Math.max(1, ...points.map(point => point.remaining));
+  const x = (minute) => padding.left + (minute / maxMinute) * (width - padding.left - padding.right);
+  const y = (remaining) => padding.top + (1 - remaining / maxRemaining) * (height - padding.top - padding.bottom);
+  const line = (series) => series.map(point => `${x(point.minute)},${y(point.remaining)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full" style={{ height }}>
+      <line x1={padding.left} y1={y(0)} x2={width - padding.right} y2={y(0)} stroke="#e5e7eb" />
+      <line x1={padding.left} y1={padding.top} x2={padding.left} y2={y(0)} stroke="#e5e7eb" />
+      <text x={padding.left - 4} y={y(maxRemaining) + 4} textAnchor="end" className="fill-gray-400" fontSize="9">{maxRemaining}</text>
+      <text x={padding.left - 4} y={y(0)} textAnchor="end" className="fill-gray-400" fontSize="9">0</text>
+      <text x={width - padding.right} y={height - 4} textAnchor="end" className="fill-gray-400" fontSize="9">{Math.round(maxMinute)} min</text>
+
+      {planned.length > 1 && (
+        <polyline points={line(planned)} fill="none" stroke="#9ca3af" strokeWidth="1.5" strokeDasharray="4 3" />
+      )}
+      {actual.length > 1 && (
+        <polyline points={line(actual)} fill="none" stroke="#ef4444" strokeWidth="2" />
+      )}
+      {actual.length > 0 && (
+        <circle cx={x(actual[actual.length - 1].minute)} cy={y(actual[actual.length - 1].remaining)} r="3" fill="#ef4444" />
+      )}
+    </svg>
+  );
+}
+
+export default CriticalBurndown;
@@ -0,0 +1,15 @@
+/**
+ * Search snippet with [[highlighted]] matches from the server
+ */
+function HighlightedText({ text }) {
+  const parts = (text || '').split(/\[\[|\]\]/);
+  return (
+    <>
+      {parts.map((part, i) => (i % 2 === 1
+        ? <mark key={i} className="bg-yellow-200 rounded px-0.5">{part}</mark>
+        : <span key={i}>{part}</span>))}
+    </>
+  );
+}
+
+export default HighlightedText;
@@ -26,17 +26,21 @@ import {
   Square
 } from 'lucide-react';
 import FluidRecordingOrb from './FluidRecordingOrb';
+import QuestionCoach from './QuestionCoach';
+import AgendaPacing from './AgendaPacing';
 import { useChunkedRecording } from '../hooks/useChunkedRecording';
+import { useLiveTranscript } from '../hooks/useLiveTranscript';
 import {
   getSessionChecklistStats,
   getSessionChecklist,
   uploadSessionAudio,
   analyzeSessionAudio,
   getSessionFindings,
+  getQuestionCoach,
+  getSessionAgenda,
   getExportExcelUrl,
   uploadSessionDocument,
   analyzeSessionDocument,
-  reanalyzeSession,
   getTranscriptDownloadUrl,
   regenerateTranscript
 } from '../services/sessionChecklistApi';
@@ -50,35 +54,50 @@ export default function ImmersiveRecordingView({
   participants = [],
   onShowParticipants,
   onStatusChange,
-  onExitImmersive
+  onExitImmersive,
+  liveRevision = 0,
+  reanalyzeStatus = null,
+  onReanalyze
 }) {
   const [stats, setStats] = useState({ total: 0, obtained: 0, missing: 0 });
   const [findings, setFindings] = useState({ stats: { total: 0 }, all: [] });
   const [checklist, setChecklist] = useState({ missing: [], obtained: [] });
+  const [coach, setCoach] = useState(null);
+  const [agenda, setAgenda] = useState(null);
   const [chunkProcessingStatus, setChunkProcessingStatus] = useState([]);
   const documentInputRef = useRef(null);
   const [documentUploadStatus, setDocumentUploadStatus] = useState(null);
-  const [reanalyzeStatus, setReanalyzeStatus] = useState(null);
   const [retryingChunks, setRetryingChunks] = useState(false);
   const [regeneratingTranscript, setRegeneratingTranscript] = useState(false);
   const [activePanel, setActivePanel] = useState(null); // 'open', 'closed', 'discoveries'
   const [expandedCategory, setExpandedCategory] = useState(null); // Only one category expanded at a time
   const [expandedAnswer, setExpandedAnswer] = useState(null); // Track which answer is expanded
+  const transcriptScrollRef = useRef(null);
 
   useEffect(() => {
     loadStats();
   }, [sessionId]);
 
+  // Refresh when live analysis (or another participant) changes the checklist
+  useEffect(() => {
+    if (liveRevision) loadStats();
+  }, [liveRevision]);
+
   const loadStats = async () => {
     try {
-      const [statsRes, findingsRes, checklistRes] = await Promise.all([
+      const [statsRes, findingsRes, checklistRes, coachRes, agendaRes] = await Promise.all([
         getSessionChecklistStats(sessionId),
         getSessionFindings(sessionId).catch(() => ({ data: { stats: { total: 0 }, all: [] } })),
-        getSessionChecklist(sessionId).catch(() => ({ data: { missing: [], obtained: [] } }))
+        getSessionChecklist(sessionId).catch(() => ({ data: { missing: [], obtained: [] } })),
+        // Re-ranked after every analyzed chunk, since loadStats runs then
+        getQuestionCoach(sessionId).catch(() => ({ data: null })),
+        getSessionAgenda(sessionId).catch(() => ({ data: null }))
       ]);
       setStats(statsRes.data);
       setFindings(findingsRes.data);
       setChecklist(checklistRes.data);
+      setCoach(coachRes.data);
+      setAgenda(agendaRes.data);
     } catch (error) {
       console.error('Error loading stats:', error);
     }
@@ -153,53 +172,6 @@ export default function ImmersiveRecordingView({
     }
   };
 
-  const handleReanalyze = async () => {
-    if (reanalyzeStatus === 'analyzing') return;
-    setReanalyzeStatus('analyzing');
-    try {
-      await reanalyzeSession(sessionId);
-      setReanalyzeStatus('complete');
-      await loadStats();
-      setTimeout(() => setReanalyzeStatus(null), 2000);
-    } catch (error) {
-      setReanalyzeStatus('error');
-      setTimeout(() => setReanalyzeStatus(null), 2000);
-    }
-  };
-
-  const handleRetryFailedChunks = useCallback(async () => {
-    const failedWithAudioId = chunkProcessingStatus
-      .map((status, index) => ({ ...status, index }))
-      .filter(s => s.status === 'error' && s.audioId);
-
-    if (failedWithAudioId.length === 0) return;
-
-    setRetryingChunks(true);
-    for (const chunk of failedWithAudioId) {
-      setChunkProcessingStatus(prev => {
-        const newStatus = [...prev];
-        newStatus[chunk.index] = { status: 'analyzing', audioId: chunk.audioId };
-        return newStatus;
-      });
-      try {
-        await analyzeSessionAudio(sessionId, chunk.audioId);
-        setChunkProcessingStatus(prev => {
-          const newStatus = [...prev];
-          newStatus[chunk.index] = { status: 'complete' };
-          return newStatus;
-        });
-      } catch (error) {
-        setChunkProcessingStatus(prev => {
-          const newStatus = [...prev];
-          newStatus[chunk.index] = { status: 'error', audioId: chunk.audioId };
-          return newStatus;
-        });
-      }
-    }
-    setRetryingChunks(false);
-    await loadStats();
-  }, [sessionId, chunkProcessingStatus]);
-
   const handleRegenerateTranscript = async () => {
     if (regeneratingTranscript) return;
     setRegeneratingTranscript(true);
@@ -211,7 +183,8 @@ export default function ImmersiveRecordingView({
     }
   };
 
-  const handleChunkReady = useCallback(async (blob, chunkIndex, duration) => {
+  // Throws when the chunk did not make it, so the recording queue keeps it for a retry
+  const handleChunkReady = useCallback(async (blob, chunkIndex, duration, { clientChunkId } = {}) => {
     setChunkProcessingStatus(prev => {
       const newStatus = [...prev];
       newStatus[chunkIndex] = { status: 'uploading' };
@@ -223,6 +196,7 @@ export default function ImmersiveRecordingView({
       formData.append('audio', blob, `chunk-${chunkIndex}.webm`);
       formData.append('duration_seconds', Math.round(duration));
       formData.append('chunk_index', chunkIndex);
+      if (clientChunkId) formData.append('client_chunk_id', clientChunkId);
 
       const uploadResponse = await uploadSessionAudio(sessionId, formData);
       setChunkProcessingStatus(prev => {
@@ -250,22 +224,52 @@ export default function ImmersiveRecordingView({
         };
         return newStatus;
       });
+      throw error;
     }
   }, [sessionId]);
 
+  const {
+    segments: liveSegments,
+    pendingCount: livePendingCount,
+    error: liveError,
+    handleSegmentReady
+  } = useLiveTranscript(sessionId);
+
   const {
     isRecording,
     recordingTime,
     audioLevel,
     startRecording,
     stopRecording,
+    queuedCount,
+    retryFailedChunks,
     formatTime
   } = useChunkedRecording({
     onChunkReady: handleChunkReady,
     onAllChunksComplete: loadStats,
+    onSegmentReady: handleSegmentReady,
+    queueKey: `session:${sessionId}`,
     chunkDurationSeconds: CHUNK_DURATION_SECONDS
   });
 
+  // Keep the newest transcript line in view
+  useEffect(() => {
+    if (transcriptScrollRef.current) {
+      transcriptScrollRef.current.scrollTop = transcriptScrollRef.current.scrollHeight;
+    }
+  }, [liveSegments]);
+
+  // Re-upload chunks still saved on this device, then refresh the stats
+  const handleRetryFailedChunks = async () => {
+    setRetryingChunks(true);
+    try {
+      await retryFailedChunks();
+    } finally {
+      setRetryingChunks(false);
+      await loadStats();
+    }
+  };
+
   const processingCount = chunkProcessingStatus.filter(s => s.status === 'uploading' || s.status === 'analyzing').length;
 
   return (
@@ -342,12 +346,12 @@ export default function ImmersiveRecordingView({
           )}
 
           {/* Failed chunks retry button */}
-          {chunkProcessingStatus.some(s => s.status === 'error' && s.audioId) && (
+          {queuedCount > 0 && processingCount === 0 && (
             <button
               onClick={handleRetryFailedChunks}
               disabled={retryingChunks}
               className="flex items-center gap-1 px-1.5 py-0.5 text-[10px] text-red-600 bg-red-50 hover:bg-red-100 rounded disabled:opacity-30"
-              title={`Retry ${chunkProcessingStatus.filter(s => s.status === 'error' && s.audioId).length} failed chunks`}
+              title={`Retry ${queuedCount} chunks waiting to upload`}
             >
               {retryingChunks ? <Loader2 className="w-3 h-3 animate-spin" /> : <RefreshCw className="w-3 h-3" />}
               Retry
@@ -388,7 +392,7 @@ export default function ImmersiveRecordingView({
             {documentUploadStatus ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <FileUp className="w-3.5 h-3.5" />}
           </button>
           <button
-            onClick={handleReanalyze}
+            onClick={onReanalyze}
             disabled={isRecording || reanalyzeStatus === 'analyzing'}
             className="p-1 text-gray-400 hover:text-purple-600 hover:bg-gray-100 rounded disabled:opacity-30"
             title="Re-analyse All"
@@ -494,6 +498,38 @@ export default function ImmersiveRecordingView({
             </div>
           </div>
 
+          {/* Live transcript - rolling view of what was just said */}
+          {(isRecording || liveSegments.length > 0) && (
+            <div className="absolute left-8 right-8 bottom-6">
+              <div className="flex items-center gap-2 mb-1.5 text-[10px] uppercase tracking-wide text-gray-400">
+                <span className={`w-1.5 h-1.5 rounded-full ${isRecording ? 'bg-red-500 animate-pulse' : 'bg-gray-300'}`} />
+                Live transcript
+                {livePendingCount > 0 && (
+                  <span className="flex items-center gap-1 normal-case text-blue-500">
+                    <Loader2 className="w-2.5 h-2.5 animate-spin" />
+                    Transcribing...
+                  </span>
+                )}
+                {liveError && (
+                  <span className="normal-case text-red-500" title={liveError}>
+                    Live transcription unavailable - chunks are still processed
+                  </span>
+                )}
+              </div>
+              <div ref={transcriptScrollRef} className="max-h-28 overflow-y-auto pr-2 text-sm leading-relaxed text-gray-500">
+                {liveSegments.length === 0 ? (
+                  <span className="italic text-gray-400">Listening...</span>
+                ) : (
+                  liveSegments.map((segment, idx) => (
+                    <span key={segment.segmentIndex} className={idx === liveSegments.length - 1 ? 'text-gray-900' : ''}>
+                      {segment.text}{' '}
+                    </span>
+                  ))
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Stats Dashboard - positioned independently */}
           <div className="absolute right-8 top-[40%] -translate-y-1/2 flex flex-col gap-4">
             {/* Open Points */}
@@ -564,6 +600,12 @@ export default function ImmersiveRecordingView({
             /* Preview cards when no panel is active */
             <div className="flex-1 p-4 overflow-y-auto">
               <div className="grid grid-cols-1 gap-4">
+                {/* Next best questions */}
+                <QuestionCoach coach={coach} />
+
+                {/* Time used against the agenda */}
+                <AgendaPacing agenda={agenda} />
+
                 {/* Open Points Preview */}
                 <div
                   className="bg-white rounded-xl border border-gray-200 p-4 cursor-pointer hover:shadow-md hover:border-red-300 transition-all"
@@ -781,6 +823,9 @@ export default function ImmersiveRecordingView({
                                     {(item.obtained_text || item.obtained_value) ? (
                                       <div className="text-sm text-gray-900 bg-green-50 p-1.5 rounded border-l-2 border-green-500 mt-0.5">
                                         {item.obtained_text || item.obtained_value}
+                                        {item.obtained_speaker && (
+                                          <span className="block text-[10px] text-indigo-600 mt-0.5">- {item.obtained_speaker}</span>
+                                        )}
                                       </div>
                                     ) : (
                                       <div className="text-gray-400 italic text-xs">Details not captured</div>
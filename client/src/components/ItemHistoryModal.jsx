@@ -0,0 +1,199 @@
+import { useState, useEffect } from 'react';
+import { History, X, Loader2, RotateCcw, Bot, User, Mic, FileText, Quote } from 'lucide-react';
+import { getChecklistItemHistory, revertChecklistItem } from '../services/sessionChecklistApi';
+import OriginalQuote from './OriginalQuote';
+import { useAuth } from '../context/AuthContext';
+
+const ACTION_LABELS = {
+  baseline: 'Recorded before history tracking',
+  obtained: 'Marked obtained',
+  reset: 'Reset to missing',
+  manual: 'Edited manually',
+  reverted: 'Restored earlier value'
+};
+
+const ACTION_COLORS = {
+  baseline: 'bg-gray-400',
+  obtained: 'bg-green-500',
+  reset: 'bg-red-500',
+  manual: 'bg-blue-500',
+  reverted: 'bg-purple-500'
+};
+
+const describeActor = (entry) => {
+  if (entry.actor_type === 'user') return entry.actor_name || 'Unknown user';
+  if (entry.actor_type === 'system') return 'System';
+  return entry.actor_name ? `AI (run by ${entry.actor_name})` : 'AI';
+};
+
+/**
+ * Timeline of every change to a checklist item, with its evidence and restore buttons
+ * @param {Object} item - the checklist item
+ * @param {Function} onReverted - called with the updated item after a restore
+ */
+function ItemHistoryModal({ sessionId, item, onClose, onReverted }) {
+  const { can } = useAuth();
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revertingId, setRevertingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadHistory = async () => {
+    try {
+      const response = await getChecklistItemHistory(sessionId, item.id);
+      setHistory(response.data);
+    } catch (err) {
+      console.error('Error loading item history:', err);
+      setError('Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadHistory();
+  }, [sessionId, item.id]);
+
+  const handleRevert = async (entry) => {
+    setRevertingId(entry.id);
+    setError(null);
+    try {
+      const response = await revertChecklistItem(sessionId, item.id, entry.id);
+      await loadHistory();
+      if (onReverted) onReverted(response.data.item);
+    } catch (err) {
+      console.error('Error restoring item:', err);
+      setError(err.response?.data?.error || 'Failed to restore this value');
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-start justify-between p-5 border-b bg-gradient-to-r from-slate-50 to-gray-50">
+          <div className="flex items-start gap-3">
+            <div className="p-2 bg-slate-100 rounded-lg">
+              <History className="w-6 h-6 text-slate-600" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Evidence History</h3>
+              <p className="text-sm text-gray-600 mt-1 line-clamp-2">{item.item_text}</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1.5 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-white/50"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Timeline */}
+        <div className="flex-1 overflow-auto p-5">
+          {error && (
+            <p className="mb-3 text-sm text-red-600">{error}</p>
+          )}
+
+          {loading ? (
+            <div className="flex items-center justify-center py-10 text-gray-500">
+              <Loader2 className="w-5 h-5 animate-spin mr-2" />
+              Loading history...
+            </div>
+          ) : history.length === 0 ? (
+            <p className="text-center py-10 text-sm text-gray-500">No changes recorded for this item yet.</p>
+          ) : (
+            <ol className="relative border-l border-gray-200 ml-2 space-y-5">
+              {history.map((entry, index) => (
+                <li key={entry.id} className="ml-5">
+                  <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full ${ACTION_COLORS[entry.action] || 'bg-gray-400'}`} />
+
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <span className="text-sm font-medium text-gray-900">{ACTION_LABELS[entry.action] || entry.action}</span>
+                    {index === 0 && (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">Current</span>
+                    )}
+                    <span className="text-xs text-gray-400 ml-auto">{new Date(entry.created_at).toLocaleString()}</span>
+                  </div>
+
+                  <div className="flex items-center gap-3 mt-1 text-xs text-gray-500 flex-wrap">
+                    <span className="flex items-center gap-1">
+                      {entry.actor_type === 'user' ? <User className="w-3 h-3" /> : <Bot className="w-3 h-3" />}
+                      {describeActor(entry)}
+                    </span>
+                    {entry.recording_id && (
+                      <span className="flex items-center gap-1">
+                        <Mic className="w-3 h-3" />
+                        Recording {entry.recording_chunk != null ? `#${entry.recording_chunk + 1}` : entry.recording_name}
+                      </span>
+                    )}
+                    {entry.document_id && (
+                      <span className="flex items-center gap-1">
+                        <FileText className="w-3 h-3" />
+                        {entry.document_name || 'Document'}{entry.source_reference ? `, ${entry.source_reference}` : ''}
+                      </span>
+                    )}
+                    {!entry.recording_id && !entry.document_id && entry.source && (
+                      <span>Source: {entry.source}</span>
+                    )}
+                  </div>
+
+                  {entry.status === 'obtained' && entry.obtained_text && (
+                    <p className="mt-2 text-sm text-gray-700 bg-green-50 rounded p-2 border border-green-100">
+                      {entry.obtained_text}
+                    </p>
+                  )}
+
+                  {entry.reason && (
+                    <p className="mt-2 text-xs text-gray-600">Reason: {entry.reason}</p>
+                  )}
+
+                  {entry.source_quote && (
+                    <p className="mt-2 flex gap-1 text-xs text-gray-500 italic">
+                      <Quote className="w-3 h-3 shrink-0 mt-0.5" />
+                      {entry.source_quote}
+                    </p>
+                  )}
+                  <OriginalQuote text={entry.source_quote_original} className="mt-1" />
+
+                  <div className="flex items-center gap-2 mt-2 text-xs text-gray-500">
+                    {entry.obtained_speaker && <span>Supplied by {entry.obtained_speaker}</span>}
+                    {entry.obtained_confidence && <span>{entry.obtained_confidence} confidence</span>}
+                  </div>
+
+                  {index > 0 && can('capture') && (
+                    <button
+                      onClick={() => handleRevert(entry)}
+                      disabled={revertingId !== null}
+                      className="mt-2 flex items-center gap-1 px-2 py-1 text-xs rounded border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      {revertingId === entry.id ? <Loader2 className="w-3 h-3 animate-spin" /> : <RotateCcw className="w-3 h-3" />}
+                      Restore this value
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end p-4 border-t bg-gray-50">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 font-medium"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ItemHistoryModal;
@@ -1,8 +1,17 @@
-import { Outlet, Link, useLocation } from 'react-router-dom';
-import { Home } from 'lucide-react';
+import { Outlet, Link, useLocation, useNavigate } from 'react-router-dom';
+import { Home, Users, LogOut, Search, Library } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { ROLE_LABELS } from '../services/authApi';
 
 function Layout() {
   const location = useLocation();
+  const navigate = useNavigate();
+  const { user, can, logout } = useAuth();
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
 
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
@@ -112,6 +121,53 @@ function Layout() {
                 <Home className="w-4 h-4 mr-2" />
                 Dashboard
               </Link>
+              <Link
+                to="/search"
+                className={`flex items-center px-5 py-2.5 rounded-lg text-sm font-medium transition-all duration-200 shadow-sm
+                  ${location.pathname === '/search'
+                    ? 'bg-nxsys-500 text-white hover:bg-nxsys-600 shadow-nxsys-500/30'
+                    : 'text-gray-600 bg-gray-100 hover:bg-gray-200'}`}
+              >
+                <Search className="w-4 h-4 mr-2" />
+                Search
+              </Link>
+              {can('capture') && (
+                <Link
+                  to="/templates"
+                  className={`flex items-center px-5 py-2.5 rounded-lg text-sm font-medium transition-all duration-200 shadow-sm
+                    ${location.pathname === '/templates'
+                      ? 'bg-nxsys-500 text-white hover:bg-nxsys-600 shadow-nxsys-500/30'
+                      : 'text-gray-600 bg-gray-100 hover:bg-gray-200'}`}
+                >
+                  <Library className="w-4 h-4 mr-2" />
+                  Templates
+                </Link>
+              )}
+              {can('admin') && (
+                <Link
+                  to="/users"
+                  className={`flex items-center px-5 py-2.5 rounded-lg text-sm font-medium transition-all duration-200 shadow-sm
+                    ${location.pathname === '/users'
+                      ? 'bg-nxsys-500 text-white hover:bg-nxsys-600 shadow-nxsys-500/30'
+                      : 'text-gray-600 bg-gray-100 hover:bg-gray-200'}`}
+                >
+                  <Users className="w-4 h-4 mr-2" />
+                  Users
+                </Link>
+              )}
+              <div className="flex items-center pl-3 ml-1 border-l border-gray-200">
+                <div className="text-right mr-3 hidden md:block">
+                  <div className="text-sm font-medium text-gray-800">{user?.name}</div>
+                  <div className="text-xs text-gray-500">{ROLE_LABELS[user?.role]}</div>
+                </div>
+                <button
+                  onClick={handleLogout}
+                  className="p-2.5 rounded-lg text-gray-600 bg-gray-100 hover:bg-gray-200 transition-all duration-200"
+                  title="Sign out"
+                >
+                  <LogOut className="w-4 h-4" />
+                </button>
+              </div>
             </nav>
           </div>
         </div>
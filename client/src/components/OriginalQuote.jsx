@@ -0,0 +1,20 @@
+import { Languages } from 'lucide-react';
+
+/**
+ * A quote in the language it was spoken or written (e.g. Arabic), shown with its
+ * English translation. dir="auto" renders Arabic right-to-left.
+ */
+function OriginalQuote({ text, className = '' }) {
+  if (!text) return null;
+
+  return (
+    <div className={`flex items-start gap-1.5 ${className}`} title="Original wording">
+      <Languages className="w-3.5 h-3.5 mt-0.5 text-gray-400 shrink-0" />
+      <p dir="auto" className="flex-1 text-sm text-gray-600 leading-relaxed">
+        {text}
+      </p>
+    </div>
+  );
+}
+
+export default OriginalQuote;
@@ -0,0 +1,66 @@
+import { Eye } from 'lucide-react';
+
+const AVATAR_COLORS = [
+  'bg-purple-500',
+  'bg-blue-500',
+  'bg-green-500',
+  'bg-amber-500',
+  'bg-rose-500',
+  'bg-cyan-500',
+  'bg-indigo-500'
+];
+
+const getInitials = (name = '') =>
+  name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('') || '?';
+
+const getColor = (key = '') => {
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) hash = (hash * 31 + key.charCodeAt(i)) | 0;
+  return AVATAR_COLORS[Math.abs(hash) % AVATAR_COLORS.length];
+};
+
+/**
+ * Avatar stack of everyone currently viewing a session
+ * @param {Array} viewers - [{ id, name, kind: 'user' | 'share' }]
+ * @param {boolean} connected - whether the live stream is connected
+ * @param {boolean} dark - render for dark/gradient headers
+ */
+function PresenceIndicator({ viewers = [], connected = false, dark = false, maxShown = 5 }) {
+  const shown = viewers.slice(0, maxShown);
+  const hidden = viewers.length - shown.length;
+
+  return (
+    <div
+      className="flex items-center gap-2"
+      title={viewers.map(v => `${v.name}${v.kind === 'share' ? ' (client)' : ''}`).join('\n')}
+    >
+      <span className={`flex items-center gap-1 text-xs ${dark ? 'text-purple-200' : 'text-gray-500'}`}>
+        <span className={`w-2 h-2 rounded-full ${connected ? 'bg-green-400 animate-pulse' : 'bg-gray-400'}`} />
+        {connected ? 'Live' : 'Offline'}
+      </span>
+      {viewers.length > 0 && (
+        <div className="flex items-center">
+          <Eye className={`w-3.5 h-3.5 mr-1 ${dark ? 'text-purple-200' : 'text-gray-400'}`} />
+          <div className="flex -space-x-2">
+            {shown.map(viewer => (
+              <div
+                key={`${viewer.kind}:${viewer.id}`}
+                className={`w-6 h-6 rounded-full ${getColor(`${viewer.kind}:${viewer.id}`)} text-white text-[10px] font-semibold flex items-center justify-center ring-2 ${dark ? 'ring-indigo-600' : 'ring-white'}`}
+                title={`${viewer.name}${viewer.kind === 'share' ? ' (client)' : ''}`}
+              >
+                {getInitials(viewer.name)}
+              </div>
+            ))}
+            {hidden > 0 && (
+              <div className={`w-6 h-6 rounded-full bg-gray-300 text-gray-700 text-[10px] font-semibold flex items-center justify-center ring-2 ${dark ? 'ring-indigo-600' : 'ring-white'}`}>
+                +{hidden}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PresenceIndicator;
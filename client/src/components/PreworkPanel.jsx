@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react';
+import { ClipboardList, Loader2, Sparkles, Save } from 'lucide-react';
+import {
+  getPrework,
+  updatePrework,
+  analyzePrework,
+  PREWORK_STATUS_LABELS,
+  PREWORK_STATUS_COLORS
+} from '../services/shareApi';
+import { useBackgroundJobs } from '../hooks/useBackgroundJobs';
+
+/**
+ * Pre-work questionnaire settings of a shared session: open it on the share link with a
+ * due date and instructions, follow the answers and analyze them against the checklist
+ */
+function PreworkPanel({ workshopId, sessionId }) {
+  const [prework, setPrework] = useState(null);
+  const [dueDate, setDueDate] = useState('');
+  const [instructions, setInstructions] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const analysisJobs = useBackgroundJobs(
+    { sessionId, types: ['prework_analysis'] },
+    { onFinished: ([job]) => handleAnalysisFinished(job) }
+  );
+  const analysisJob = analysisJobs.jobs[0];
+
+  useEffect(() => {
+    loadPrework();
+  }, [workshopId, sessionId]);
+
+  const loadPrework = async () => {
+    try {
+      const response = await getPrework(workshopId, sessionId);
+      setPrework(response.data);
+      setDueDate(response.data.dueDate ? response.data.dueDate.split('T')[0] : '');
+      setInstructions(response.data.instructions || '');
+    } catch (error) {
+      console.error('Failed to load pre-work questionnaire:', error);
+    }
+  };
+
+  const saveSettings = async (open) => {
+    setSaving(true);
+    try {
+      await updatePrework(workshopId, sessionId, { open, dueDate: dueDate || null, instructions });
+      await loadPrework();
+    } catch (error) {
+      console.error('Failed to update pre-work questionnaire:', error);
+      alert('Failed to update the questionnaire: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAnalyze = async () => {
+    try {
+      const response = await analyzePrework(workshopId, sessionId);
+      analysisJobs.track(response.data.job);
+    } catch (error) {
+      console.error('Failed to analyze pre-work answers:', error);
+      alert('Failed to analyze the answers: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleAnalysisFinished = async (job) => {
+    if (job?.status === 'failed') {
+      alert('Pre-work analysis failed: ' + job.error);
+    }
+    await loadPrework();
+  };
+
+  if (!prework) {
+    return (
+      <div className="flex items-center justify-center py-2">
+        <Loader2 className="w-4 h-4 animate-spin text-nxsys-500" />
+      </div>
+    );
+  }
+
+  const { summary } = prework;
+  const pending = summary.draft + summary.submitted;
+
+  return (
+    <div className="space-y-3 pt-3 border-t">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="font-medium text-gray-900 flex items-center gap-1.5">
+            <ClipboardList className="w-4 h-4 text-purple-600" />
+            Pre-work Questionnaire
+          </p>
+          <p className="text-xs text-gray-500">Let process owners answer the checklist on the share link before the session</p>
+        </div>
+        <button
+          onClick={() => saveSettings(!prework.open)}
+          disabled={saving}
+          className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+            prework.open ? 'bg-green-500' : 'bg-gray-300'
+          } ${saving ? 'opacity-50 cursor-not-allowed' : ''}`}
+        >
+          <span
+            className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+              prework.open ? 'translate-x-6' : 'translate-x-1'
+            }`}
+          />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Due date</label>
+          <input
+            type="date"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            className="w-full px-2 py-1.5 border rounded-lg text-sm"
+          />
+        </div>
+        <div className="col-span-2">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Instructions for the client</label>
+          <textarea
+            value={instructions}
+            onChange={(e) => setInstructions(e.target.value)}
+            rows={2}
+            placeholder="e.g. Please answer with your current process and attach any policies or templates"
+            className="w-full px-2 py-1.5 border rounded-lg text-sm"
+          />
+        </div>
+      </div>
+      {prework.open && (
+        <button
+          onClick={() => saveSettings(true)}
+          disabled={saving}
+          className="flex items-center gap-1 px-3 py-1.5 text-xs bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+        >
+          <Save className="w-3.5 h-3.5" />
+          Save due date and instructions
+        </button>
+      )}
+
+      <div className="flex flex-wrap items-center gap-1.5">
+        <span className="text-xs text-gray-500 mr-1">{summary.answered} of {summary.items} items answered, {summary.documents} documents</span>
+        {Object.entries(PREWORK_STATUS_LABELS).filter(([status]) => summary[status] > 0).map(([status, label]) => (
+          <span key={status} className={`px-2 py-0.5 text-xs rounded-full ${PREWORK_STATUS_COLORS[status]}`}>
+            {label}: {summary[status]}
+          </span>
+        ))}
+      </div>
+
+      {pending > 0 && (
+        <button
+          onClick={handleAnalyze}
+          disabled={analysisJobs.running}
+          className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-nxsys-500 text-white rounded-lg hover:bg-nxsys-600 disabled:opacity-50"
+        >
+          {analysisJobs.running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+          {analysisJobs.running
+            ? analysisJob?.progress_message || 'Analyzing answers...'
+            : `Analyze ${pending} open answer${pending === 1 ? '' : 's'}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default PreworkPanel;
@@ -0,0 +1,282 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  ClipboardList,
+  CheckCircle,
+  FileUp,
+  FileText,
+  Loader2,
+  Send,
+  AlertCircle,
+  Calendar
+} from 'lucide-react';
+import {
+  getSharePrework,
+  saveSharePreworkAnswer,
+  uploadSharePreworkDocument,
+  submitSharePrework,
+  PREWORK_STATUS_LABELS,
+  PREWORK_STATUS_COLORS
+} from '../services/shareApi';
+
+const DOCUMENT_ACCEPT = '.pdf,.doc,.docx,.txt,.csv,.xlsx,.xls,.png,.jpg,.jpeg,.gif,.webp';
+
+const importanceOrder = { critical: 0, important: 1, 'nice-to-have': 2 };
+
+/**
+ * One questionnaire item: a typed answer (saved as a draft when the field is left)
+ * and a document upload slot
+ */
+function PreworkItem({ item, onSave, onUpload }) {
+  const [text, setText] = useState(item.answer_text || '');
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  // Take over answers saved by other participants unless this one is being edited
+  useEffect(() => {
+    if (!dirty) setText(item.answer_text || '');
+  }, [item.answer_text]);
+
+  const handleBlur = async () => {
+    if (!dirty) return;
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(item.id, text);
+      setDirty(false);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save the answer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setUploading(true);
+    setError('');
+    try {
+      await onUpload(item.id, file);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to upload the document');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  if (item.status === 'obtained') {
+    return (
+      <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
+        <div className="flex items-start gap-2">
+          <CheckCircle className="w-4 h-4 text-green-600 mt-0.5 shrink-0" />
+          <div>
+            <p className="text-sm font-medium text-gray-900">{item.item_text}</p>
+            {item.obtained_text && <p dir="auto" className="text-sm text-gray-600 mt-1">{item.obtained_text}</p>}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`p-3 bg-white border rounded-lg ${item.importance === 'critical' ? 'border-red-200' : 'border-gray-200'}`}>
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <p className="text-sm font-medium text-gray-900">{item.item_text}</p>
+          {item.suggested_question && (
+            <p className="text-xs text-gray-500 mt-1 italic">{item.suggested_question}</p>
+          )}
+        </div>
+        {item.answer_status && !dirty && (
+          <span className={`shrink-0 px-2 py-0.5 text-xs rounded-full ${PREWORK_STATUS_COLORS[item.answer_status]}`}>
+            {PREWORK_STATUS_LABELS[item.answer_status]}
+          </span>
+        )}
+      </div>
+
+      <textarea
+        dir="auto"
+        value={text}
+        onChange={(e) => { setText(e.target.value); setDirty(true); }}
+        onBlur={handleBlur}
+        rows={3}
+        placeholder="Your answer - please be specific (names, numbers, rules)"
+        className="w-full mt-2 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+      />
+
+      {item.answer_status === 'insufficient' && item.outcome_note && !dirty && (
+        <p className="text-xs text-amber-700 mt-1 flex items-start gap-1">
+          <AlertCircle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+          {item.outcome_note}
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        <input type="file" ref={fileInputRef} onChange={handleFile} accept={DOCUMENT_ACCEPT} className="hidden" />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={uploading}
+          className="flex items-center gap-1 px-2 py-1 text-xs text-purple-700 bg-purple-50 rounded hover:bg-purple-100 disabled:opacity-50"
+        >
+          {uploading ? <Loader2 className="w-3 h-3 animate-spin" /> : <FileUp className="w-3 h-3" />}
+          Attach document
+        </button>
+        {item.documents.map(doc => (
+          <span key={doc.id} className="flex items-center gap-1 px-2 py-0.5 text-xs bg-gray-100 text-gray-600 rounded">
+            <FileText className="w-3 h-3" />
+            {doc.original_name}
+            {(doc.analysis_status === 'pending' || doc.analysis_status === 'processing') && <Loader2 className="w-3 h-3 animate-spin" />}
+            {doc.analysis_status === 'failed' && <AlertCircle className="w-3 h-3 text-red-500" />}
+          </span>
+        ))}
+        {saving && <span className="text-xs text-gray-400">Saving...</span>}
+        {error && <span className="text-xs text-red-600">{error}</span>}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Pre-work questionnaire on the share portal: the session's checklist answered by the
+ * client's process owners before the workshop
+ * @param {number} revision - bump to reload (e.g. on a prework_updated event)
+ */
+function PreworkQuestionnaire({ token, authToken, revision = 0 }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [showAll, setShowAll] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitMessage, setSubmitMessage] = useState('');
+
+  useEffect(() => {
+    loadQuestionnaire();
+  }, [token, authToken, revision]);
+
+  const loadQuestionnaire = async () => {
+    try {
+      const response = await getSharePrework(token, authToken);
+      setData(response.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load the questionnaire');
+    }
+  };
+
+  const handleSave = async (itemId, text) => {
+    await saveSharePreworkAnswer(token, authToken, itemId, text);
+    await loadQuestionnaire();
+  };
+
+  const handleUpload = async (itemId, file) => {
+    const formData = new FormData();
+    formData.append('document', file);
+    await uploadSharePreworkDocument(token, authToken, itemId, formData);
+    await loadQuestionnaire();
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setSubmitMessage('');
+    try {
+      const response = await submitSharePrework(token, authToken);
+      setSubmitMessage(`${response.data.submitted} answer${response.data.submitted === 1 ? '' : 's'} submitted - thank you! The workshop team will review them before the session.`);
+      await loadQuestionnaire();
+    } catch (err) {
+      setSubmitMessage(err.response?.data?.error || 'Failed to submit the answers');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border p-6 text-center text-sm text-gray-600">
+        <AlertCircle className="w-8 h-8 text-amber-500 mx-auto mb-2" />
+        {error}
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-purple-500" />
+      </div>
+    );
+  }
+
+  const { summary } = data;
+  const items = [...data.items]
+    .filter(item => showAll || item.status === 'missing')
+    .sort((a, b) => (importanceOrder[a.importance] ?? 1) - (importanceOrder[b.importance] ?? 1) || a.item_number - b.item_number);
+  const categories = [...new Set(items.map(item => item.category || 'General'))];
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow-sm border p-4 space-y-3">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+              <ClipboardList className="w-5 h-5 text-purple-600" />
+              Pre-work Questionnaire
+            </h2>
+            <p className="text-sm text-gray-500">
+              Answer what you can before the workshop - the session will focus on what is still open.
+            </p>
+          </div>
+          {data.dueDate && (
+            <span className="flex items-center gap-1 px-2 py-1 text-xs bg-purple-50 text-purple-700 rounded shrink-0">
+              <Calendar className="w-3.5 h-3.5" />
+              Due {new Date(data.dueDate).toLocaleDateString()}
+            </span>
+          )}
+        </div>
+        {data.instructions && (
+          <p dir="auto" className="text-sm text-gray-700 whitespace-pre-wrap bg-gray-50 rounded p-3">{data.instructions}</p>
+        )}
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+          <span className="text-gray-500">Open items: <span className="font-bold text-gray-900">{summary.missing}</span></span>
+          <span className="text-gray-500">Answered: <span className="font-bold text-gray-900">{summary.answered}</span></span>
+          <span className="text-gray-500">Documents: <span className="font-bold text-gray-900">{summary.documents}</span></span>
+          <button
+            onClick={handleSubmit}
+            disabled={submitting || summary.draft === 0}
+            className="ml-auto flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-purple-600 to-indigo-600 text-white text-sm rounded-lg hover:from-purple-700 hover:to-indigo-700 disabled:opacity-50"
+          >
+            {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+            Submit {summary.draft > 0 ? `${summary.draft} answer${summary.draft === 1 ? '' : 's'}` : 'answers'}
+          </button>
+        </div>
+        {submitMessage && <p className="text-sm text-purple-700">{submitMessage}</p>}
+        <label className="flex items-center gap-2 text-xs text-gray-600">
+          <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+          Also show items that are already answered
+        </label>
+      </div>
+
+      {categories.map(category => (
+        <div key={category}>
+          <h3 className="text-xs font-bold text-gray-600 uppercase mb-2">{category}</h3>
+          <div className="space-y-2">
+            {items.filter(item => (item.category || 'General') === category).map(item => (
+              <PreworkItem key={item.id} item={item} onSave={handleSave} onUpload={handleUpload} />
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {items.length === 0 && (
+        <div className="bg-white rounded-lg shadow-sm border p-8 text-center text-gray-500">
+          <CheckCircle className="w-12 h-12 mx-auto mb-2 text-green-500" />
+          <p>Every checklist item has been answered.</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PreworkQuestionnaire;
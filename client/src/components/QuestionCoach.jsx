@@ -0,0 +1,79 @@
+import { Compass, AlertTriangle, Clock } from 'lucide-react';
+
+const importanceDots = {
+  critical: 'bg-red-500',
+  important: 'bg-amber-400',
+  'nice-to-have': 'bg-gray-300'
+};
+
+/**
+ * "Ask next" card of the recording view: the missing items ranked by the question coach
+ * with their suggested question, and a warning when the critical items will not fit in
+ * the time left
+ * @param {Object} coach - response of getQuestionCoach
+ */
+function QuestionCoach({ coach }) {
+  if (!coach || coach.missing === 0) return null;
+
+  const { suggestions, timing, warning } = coach;
+
+  return (
+    <div className="bg-white rounded-xl border border-purple-200 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <Compass className="w-5 h-5 text-purple-500" />
+          <span className="font-semibold text-gray-800">Ask Next</span>
+        </div>
+        {timing && (
+          <span
+            className="flex items-center gap-1 text-xs text-gray-500"
+            title={timing.paceSource === 'session'
+              ? `About ${timing.minutesPerItem} min per item so far`
+              : `Assuming ${timing.minutesPerItem} min per item until the pace is known`}
+          >
+            <Clock className="w-3.5 h-3.5" />
+            {timing.remainingMinutes} of {timing.plannedMinutes} min left
+          </span>
+        )}
+      </div>
+
+      {warning && (
+        <div className="flex items-start gap-1.5 mb-3 px-2 py-1.5 bg-red-50 border border-red-200 rounded-lg text-xs text-red-700">
+          <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+          <span>{warning.message}</span>
+        </div>
+      )}
+
+      <div className="space-y-2.5">
+        {suggestions.map(item => (
+          <div key={item.id}>
+            <div className="flex items-start gap-1.5">
+              <span className={`w-1.5 h-1.5 mt-1.5 rounded-full shrink-0 ${importanceDots[item.importance] || importanceDots.important}`} />
+              <div className="min-w-0">
+                <p className="text-xs font-medium text-gray-800">{item.item_text}</p>
+                {item.suggested_question && (
+                  <p dir="auto" className="text-xs text-purple-700 italic mt-0.5">{item.suggested_question}</p>
+                )}
+                {item.reasons.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {item.reasons.map(reason => (
+                      <span key={reason} className="px-1.5 py-0.5 text-[10px] bg-gray-100 text-gray-500 rounded">{reason}</span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {!timing && (
+        <p className="text-[10px] text-gray-400 mt-3">
+          Set a planned duration for the session in the workshop setup to get time warnings.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default QuestionCoach;
@@ -0,0 +1,200 @@
+import { useState, useEffect } from 'react';
+import { BookmarkPlus, X, Loader2, CheckCircle } from 'lucide-react';
+import { getTemplates, saveTemplate, matchesModule, TEMPLATE_KIND_LABELS } from '../services/templatesApi';
+
+/**
+ * Save the session's reviewed checklist or questions to the template library,
+ * as a new template or as the next version of an existing one
+ * @param {string} kind - 'checklist' or 'questions'
+ * @param {number} itemCount - number of items/questions that will be saved
+ */
+function SaveTemplateModal({ session, kind, itemCount, onClose, onSaved }) {
+  const [templates, setTemplates] = useState([]);
+  const [baseTemplateId, setBaseTemplateId] = useState('');
+  const [form, setForm] = useState({ name: '', description: '', industry: '', tags: '', notes: '' });
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getTemplates({ kind, module: session.module })
+      .then(response => setTemplates(response.data.filter(t => matchesModule(t, session.module))))
+      .catch(err => console.error('Error loading templates:', err));
+  }, [kind, session.module]);
+
+  const baseTemplate = templates.find(t => String(t.id) === baseTemplateId);
+
+  // A new version starts from the metadata of the template it updates
+  const handleBaseChange = (value) => {
+    setBaseTemplateId(value);
+    const template = templates.find(t => String(t.id) === value);
+    setForm({
+      name: template?.name || '',
+      description: template?.description || '',
+      industry: template?.industry || '',
+      tags: (template?.tags || []).join(', '),
+      notes: ''
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await saveTemplate({
+        sessionId: session.id,
+        kind,
+        templateId: baseTemplate?.id,
+        name: form.name.trim(),
+        description: form.description.trim(),
+        industry: form.industry.trim(),
+        tags: form.tags,
+        notes: form.notes.trim()
+      });
+      setSaved(response.data);
+      if (onSaved) onSaved(response.data);
+    } catch (err) {
+      console.error('Error saving template:', err);
+      setError(err.response?.data?.error || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-nxsys-500 focus:border-nxsys-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-start justify-between p-5 border-b bg-gradient-to-r from-indigo-50 to-purple-50">
+          <div className="flex items-start gap-3">
+            <div className="p-2 bg-indigo-100 rounded-lg">
+              <BookmarkPlus className="w-6 h-6 text-indigo-600" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Save as Template</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                {TEMPLATE_KIND_LABELS[kind]} with {itemCount} {kind === 'checklist' ? 'items' : 'questions'} · {session.module}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1.5 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-white/50"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Form */}
+        <div className="flex-1 overflow-auto p-5 space-y-4">
+          {saved ? (
+            <div className="flex items-start gap-3 p-4 bg-green-50 border border-green-200 rounded-lg">
+              <CheckCircle className="w-5 h-5 text-green-600 shrink-0" />
+              <p className="text-sm text-green-800">
+                Saved "{saved.name}" version {saved.version} with {saved.item_count} {kind === 'checklist' ? 'items' : 'questions'}.
+                Sessions using this template are seeded from it the next time they are generated.
+              </p>
+            </div>
+          ) : (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Save to</label>
+                <select value={baseTemplateId} onChange={(e) => handleBaseChange(e.target.value)} className={inputClass}>
+                  <option value="">New template</option>
+                  {templates.map(t => (
+                    <option key={t.id} value={t.id}>New version of "{t.name}" (v{t.version})</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder={`e.g. ${session.module.split(' - ')[0]} discovery - manufacturing`}
+                  className={inputClass}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea
+                  value={form.description}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                  rows={2}
+                  className={inputClass}
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Industry</label>
+                  <input
+                    type="text"
+                    value={form.industry}
+                    onChange={(e) => setForm({ ...form, industry: e.target.value })}
+                    placeholder="e.g. Retail"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+                  <input
+                    type="text"
+                    value={form.tags}
+                    onChange={(e) => setForm({ ...form, tags: e.target.value })}
+                    placeholder="Comma separated"
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              {baseTemplate && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">What changed in this version</label>
+                  <input
+                    type="text"
+                    value={form.notes}
+                    onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              )}
+
+              {error && <p className="text-sm text-red-600">{error}</p>}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t bg-gray-50">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 font-medium"
+          >
+            {saved ? 'Close' : 'Cancel'}
+          </button>
+          {!saved && (
+            <button
+              onClick={handleSave}
+              disabled={saving || (!baseTemplate && !form.name.trim())}
+              className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 font-medium"
+            >
+              {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+              Save Template
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SaveTemplateModal;
@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react';
+import { Search, X, Loader2, Clock, Mic, FileText } from 'lucide-react';
+import { getSearchChunk, formatTimestamp, SEARCH_SOURCE_LABELS } from '../services/searchApi';
+
+/**
+ * Shows a search result inside its source: the matched chunk between its neighbours,
+ * with the recording and timestamp (transcripts) or document it came from.
+ * Opened from search result links (?searchChunk=<id> on the session page).
+ */
+function SearchResultModal({ chunkId, onClose }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getSearchChunk(chunkId)
+      .then(response => setData(response.data))
+      .catch(err => {
+        console.error('Error loading search result:', err);
+        setError(err.response?.status === 404
+          ? 'This result no longer exists - the source was changed or deleted.'
+          : 'Failed to load search result');
+      });
+  }, [chunkId]);
+
+  const chunk = data?.chunk;
+  const source = data?.source;
+
+  // Wall-clock time of the chunk: recording start + offset inside the recording
+  const spokenAt = chunk?.source_type === 'transcript' && source?.created_at
+    ? new Date(new Date(source.created_at).getTime() + (chunk.start_seconds || 0) * 1000)
+    : null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-start justify-between p-5 border-b">
+          <div className="flex items-start gap-3">
+            <div className="p-2 bg-yellow-100 rounded-lg">
+              <Search className="w-6 h-6 text-yellow-700" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                {chunk ? SEARCH_SOURCE_LABELS[chunk.source_type] : 'Search result'}
+              </h3>
+              {chunk && (
+                <div className="flex items-center gap-3 mt-1 text-sm text-gray-600 flex-wrap">
+                  {chunk.source_type === 'transcript' && (
+                    <span className="flex items-center gap-1">
+                      <Mic className="w-4 h-4" />
+                      Recording {(source?.chunk_index || 0) + 1}
+                    </span>
+                  )}
+                  {chunk.source_type === 'document' && (
+                    <span className="flex items-center gap-1">
+                      <FileText className="w-4 h-4" />
+                      {chunk.title}
+                    </span>
+                  )}
+                  {chunk.start_seconds !== null && (
+                    <span className="flex items-center gap-1">
+                      <Clock className="w-4 h-4" />
+                      {formatTimestamp(chunk.start_seconds)} - {formatTimestamp(chunk.end_seconds)}
+                    </span>
+                  )}
+                  {spokenAt && <span>{spokenAt.toLocaleString()}</span>}
+                </div>
+              )}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1.5 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-50"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-auto p-5 space-y-3">
+          {error ? (
+            <p className="text-sm text-red-600">{error}</p>
+          ) : !data ? (
+            <div className="flex items-center justify-center py-10 text-gray-500">
+              <Loader2 className="w-5 h-5 animate-spin mr-2" />
+              Loading...
+            </div>
+          ) : (
+            <>
+              {chunk.source_type !== 'transcript' && chunk.source_type !== 'document' && chunk.title && (
+                <p className="text-sm font-medium text-gray-900">{chunk.title}</p>
+              )}
+              {data.context.map(part => (
+                <p
+                  key={part.id}
+                  className={`text-sm whitespace-pre-wrap rounded p-3 ${part.id === chunk.id
+                    ? 'bg-yellow-50 border border-yellow-300 text-gray-900'
+                    : 'text-gray-500'}`}
+                >
+                  {part.content}
+                </p>
+              ))}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end p-4 border-t bg-gray-50">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 font-medium"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SearchResultModal;
@@ -0,0 +1,208 @@
+import { useState } from 'react';
+import { Plus, X, Save, Loader2, Hash } from 'lucide-react';
+import {
+  STRUCTURED_VALUE_TYPE_LABELS,
+  STRUCTURED_VALUE_FREQUENCIES,
+  formatStructuredValue,
+  addItemValue,
+  updateItemValue,
+  deleteItemValue
+} from '../services/sessionChecklistApi';
+
+const EMPTY_FORM = { label: '', type: 'count', number: '', unit: '', text: '', items: '', object_type: '', entity_id: '' };
+
+// "1000 - Dubai Plant, Abu Dhabi Plant" -> [{ code: '1000', name: 'Dubai Plant' }, { name: 'Abu Dhabi Plant' }]
+const parseItems = (text) => text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+  const [code, ...name] = part.split(' - ');
+  return name.length > 0 ? { code: code.trim(), name: name.join(' - ').trim() } : { name: part };
+});
+
+const itemsText = (items = []) => items.map(entry => (entry.code ? `${entry.code}${entry.name ? ` - ${entry.name}` : ''}` : entry.name)).join(', ');
+
+const formFor = (value) => ({
+  label: value.label || '',
+  type: value.value_type,
+  number: value.value_type === 'list' || value.value_number === null ? '' : String(Number(value.value_number)),
+  unit: value.unit || '',
+  text: value.value_text || '',
+  items: itemsText(value.value_items || []),
+  object_type: value.object_type || '',
+  entity_id: value.entity_id || ''
+});
+
+/**
+ * Structured values of an obtained checklist item as chips, with a small form to add
+ * or correct them (corrected values are kept when the item is analyzed again)
+ * @param {Array} entities - the workshop's entities, to state a value for one of them
+ */
+function StructuredValues({ item, sessionId, entities = [], onUpdate }) {
+  const values = item.structured_values || [];
+  const [editing, setEditing] = useState(null); // 'new' or the value being corrected
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const openForm = (value) => {
+    setEditing(value || 'new');
+    setForm(value ? formFor(value) : EMPTY_FORM);
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    const data = {
+      label: form.label,
+      type: form.type,
+      number: form.number,
+      unit: form.unit,
+      text: form.text,
+      items: form.type === 'list' ? parseItems(form.items) : null,
+      object_type: form.object_type,
+      entity_id: form.entity_id || null
+    };
+    setSaving(true);
+    setError(null);
+    try {
+      if (editing === 'new') {
+        await addItemValue(sessionId, item.id, data);
+      } else {
+        await updateItemValue(sessionId, item.id, editing.id, data);
+      }
+      setEditing(null);
+      if (onUpdate) onUpdate();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (value) => {
+    try {
+      await deleteItemValue(sessionId, item.id, value.id);
+      if (onUpdate) onUpdate();
+    } catch (err) {
+      console.error('Failed to delete value:', err);
+    }
+  };
+
+  const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const inputClass = 'px-2 py-1 text-xs border border-green-300 rounded';
+
+  return (
+    <div className="mt-2">
+      <div className="flex flex-wrap items-center gap-1.5">
+        {values.map(value => (
+          <span
+            key={value.id}
+            className="group flex items-center gap-1 px-2 py-0.5 text-xs bg-white border border-green-200 rounded"
+            title={`${STRUCTURED_VALUE_TYPE_LABELS[value.value_type]}${value.source ? ` - ${value.source}` : ''}`}
+          >
+            <Hash className="w-3 h-3 text-green-600" />
+            <button onClick={() => openForm(value)} className="text-left hover:text-green-700">
+              <span className="text-gray-500">{value.label}:</span>{' '}
+              <span className="font-medium text-gray-800">{formatStructuredValue(value)}</span>
+            </button>
+            {value.entity_code && (
+              <span className="px-1 bg-purple-100 text-purple-700 rounded">{value.entity_code}</span>
+            )}
+            <button
+              onClick={() => handleDelete(value)}
+              className="text-gray-300 hover:text-red-500 opacity-0 group-hover:opacity-100"
+              title="Remove value"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        {!editing && (
+          <button
+            onClick={() => openForm(null)}
+            className="flex items-center gap-1 text-xs text-green-600 hover:text-green-700"
+          >
+            <Plus className="w-3 h-3" />
+            Value
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <div className="mt-2 p-2 bg-white border border-green-200 rounded-lg space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <select value={form.type} onChange={setField('type')} className={inputClass}>
+              {Object.entries(STRUCTURED_VALUE_TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <input value={form.label} onChange={setField('label')} placeholder="Label, e.g. Number of plants" className={`${inputClass} flex-1 min-w-[10rem]`} />
+            {entities.length > 0 && (
+              <select value={form.entity_id} onChange={setField('entity_id')} className={inputClass}>
+                <option value="">All entities</option>
+                {entities.map(entity => (
+                  <option key={entity.id} value={entity.id}>{entity.code}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            {(form.type === 'count' || form.type === 'threshold') && (
+              <>
+                <input type="number" value={form.number} onChange={setField('number')} placeholder="Number" className={`${inputClass} w-28`} />
+                <input
+                  value={form.unit}
+                  onChange={setField('unit')}
+                  placeholder={form.type === 'threshold' ? 'Unit (AED, %, days)' : 'Unit, e.g. plants'}
+                  className={`${inputClass} w-36`}
+                />
+              </>
+            )}
+            {form.type === 'currency' && (
+              <input value={form.text} onChange={setField('text')} placeholder="ISO code, e.g. AED" maxLength={3} className={`${inputClass} w-28 uppercase`} />
+            )}
+            {form.type === 'frequency' && (
+              <select value={form.text} onChange={setField('text')} className={inputClass}>
+                <option value="">Select...</option>
+                {STRUCTURED_VALUE_FREQUENCIES.map(frequency => (
+                  <option key={frequency} value={frequency}>{frequency.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+            )}
+            {form.type === 'list' && (
+              <>
+                <input value={form.object_type} onChange={setField('object_type')} placeholder="Object, e.g. plant" className={`${inputClass} w-32`} />
+                <input
+                  value={form.items}
+                  onChange={setField('items')}
+                  placeholder="1000 - Dubai Plant, 2000 - Abu Dhabi Plant"
+                  className={`${inputClass} flex-1 min-w-[12rem]`}
+                />
+              </>
+            )}
+          </div>
+
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center gap-1 px-3 py-1 text-xs bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+            >
+              {saving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Save className="w-3 h-3" />}
+              Save
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              disabled={saving}
+              className="flex items-center gap-1 px-3 py-1 text-xs bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              <X className="w-3 h-3" />
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StructuredValues;
@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'react';
+import { Users, Plus, Trash2 } from 'lucide-react';
+import { getMembers, getMemberCandidates, addMember, removeMember } from '../services/workshopApi';
+import { ROLE_LABELS } from '../services/authApi';
+import { useAuth } from '../context/AuthContext';
+
+function WorkshopMembers({ workshopId }) {
+  const { user } = useAuth();
+  const [members, setMembers] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [selectedUserId, setSelectedUserId] = useState('');
+
+  useEffect(() => {
+    loadMembers();
+  }, [workshopId]);
+
+  const loadMembers = async () => {
+    try {
+      const [membersRes, candidatesRes] = await Promise.all([
+        getMembers(workshopId),
+        getMemberCandidates(workshopId)
+      ]);
+      setMembers(membersRes.data);
+      setCandidates(candidatesRes.data);
+    } catch (error) {
+      console.error('Failed to load workshop members:', error);
+    }
+  };
+
+  const handleAddMember = async () => {
+    if (!selectedUserId) return;
+    try {
+      await addMember(workshopId, selectedUserId);
+      setSelectedUserId('');
+      loadMembers();
+    } catch (error) {
+      alert('Failed to add member: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleRemoveMember = async (userId) => {
+    try {
+      await removeMember(workshopId, userId);
+      loadMembers();
+    } catch (error) {
+      alert('Failed to remove member: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-lg shadow-sm border p-3">
+      <h2 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+        <Users className="w-4 h-4 mr-1.5 text-nxsys-500" />
+        Workshop Members
+        <span className="ml-1.5 text-xs font-normal text-gray-500">({members.length})</span>
+      </h2>
+
+      {/* Member List */}
+      <div className="max-h-32 overflow-y-auto mb-2">
+        {members.length === 0 ? (
+          <p className="text-xs text-gray-500">Only admins can see this workshop until members are added.</p>
+        ) : (
+          members.map(member => (
+            <div key={member.id} className="flex items-center justify-between py-1 border-b last:border-0">
+              <div className="text-sm">
+                <span className="font-medium">{member.name}</span>
+                <span className="ml-2 text-xs text-gray-500">{member.email}</span>
+                <span className="ml-2 px-1.5 py-0.5 rounded bg-gray-100 text-gray-600 text-xs">
+                  {ROLE_LABELS[member.role] || member.role}
+                </span>
+              </div>
+              {(member.id !== user?.id || user?.role === 'admin') && (
+                <button onClick={() => handleRemoveMember(member.id)} className="text-gray-400 hover:text-red-500">
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Add Member */}
+      <div className="flex items-center space-x-1.5">
+        <select
+          value={selectedUserId}
+          onChange={(e) => setSelectedUserId(e.target.value)}
+          className="flex-1 px-2 py-1 border rounded text-xs"
+        >
+          <option value="">Add a user...</option>
+          {candidates.map(c => (
+            <option key={c.id} value={c.id}>{c.name} ({ROLE_LABELS[c.role] || c.role})</option>
+          ))}
+        </select>
+        <button
+          onClick={handleAddMember}
+          disabled={!selectedUserId}
+          className="flex items-center px-2 py-1 bg-nxsys-500 text-white rounded text-xs hover:bg-nxsys-600 disabled:opacity-50"
+        >
+          <Plus className="w-3.5 h-3.5" />
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default WorkshopMembers;
@@ -0,0 +1,79 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
+import {
+  login as loginRequest,
+  getCurrentUser,
+  getAuthToken,
+  setAuthToken,
+  clearAuthToken
+} from '../services/authApi';
+
+const AuthContext = createContext(null);
+
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(!!getAuthToken());
+
+  useEffect(() => {
+    if (!getAuthToken()) return;
+    getCurrentUser()
+      .then((response) => {
+        setUser(response.data.user);
+        setPermissions(response.data.permissions);
+      })
+      .catch(() => clearAuthToken())
+      .finally(() => setLoading(false));
+  }, []);
+
+  const login = async (email, password) => {
+    const response = await loginRequest(email, password);
+    setAuthToken(response.data.token);
+    setUser(response.data.user);
+    setPermissions(response.data.permissions);
+    return response.data.user;
+  };
+
+  const logout = () => {
+    clearAuthToken();
+    setUser(null);
+    setPermissions([]);
+  };
+
+  // can('manage') etc. - mirrors ROLE_PERMISSIONS on the server
+  const can = (permission) => permissions.includes(permission);
+
+  return (
+    <AuthContext.Provider value={{ user, permissions, loading, login, logout, can }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export const useAuth = () => useContext(AuthContext);
+
+// Redirect to /login when there is no signed-in user
+export function RequireAuth({ children, permission }) {
+  const { user, loading, can } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <Loader2 className="w-8 h-8 animate-spin text-nxsys-500" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    const next = encodeURIComponent(location.pathname + location.search);
+    return <Navigate to={`/login?next=${next}`} replace />;
+  }
+
+  if (permission && !can(permission)) {
+    return <Navigate to="/" replace />;
+  }
+
+  return children;
+}
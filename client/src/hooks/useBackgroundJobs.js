@@ -0,0 +1,129 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { getJobs, cancelJob, isJobActive } from '../services/jobsApi';
+
+const POLL_INTERVAL_MS = 2000;
+
+const byId = (a, b) => a.id - b.id;
+
+/**
+ * Hook for following background jobs (generation, re-analysis, workshop transcripts)
+ * On mount it re-attaches to jobs of the given types that are still queued or running in
+ * the workshop/session - together with the rest of their batch - so progress shows in every
+ * tab and survives reloads. Tracked jobs are polled until all of them have finished.
+ *
+ * @param {Object|null} scope - { workshopId, sessionId, types: ['session_reanalysis'] }; null disables re-attaching
+ * @param {Object} options - { onFinished(jobs) } called once when every tracked job has finished
+ */
+export function useBackgroundJobs(scope, { onFinished } = {}) {
+  const [jobs, setJobs] = useState([]);
+  const [trackedIds, setTrackedIds] = useState([]);
+
+  // Keep latest callback and jobs without restarting the polling loop
+  const onFinishedRef = useRef(onFinished);
+  onFinishedRef.current = onFinished;
+  const jobsRef = useRef(jobs);
+  jobsRef.current = jobs;
+
+  // scope is usually an inline object - compare by value
+  const scopeKey = scope ? JSON.stringify(scope) : null;
+
+  /**
+   * Follow jobs returned by the request that started them (replaces anything tracked before)
+   * @param {Object|Array} startedJobs - a job or list of jobs
+   */
+  const track = useCallback((startedJobs) => {
+    const list = (Array.isArray(startedJobs) ? startedJobs : [startedJobs]).filter(Boolean);
+    if (list.length === 0) return;
+    setJobs([...list].sort(byId));
+    setTrackedIds(list.map(job => job.id));
+  }, []);
+
+  /**
+   * Follow an active job started elsewhere, e.g. announced by a job_updated session event
+   */
+  const attach = useCallback((job) => {
+    if (!isJobActive(job) || jobsRef.current.some(j => j.id === job.id)) return;
+    if (jobsRef.current.some(isJobActive)) {
+      setJobs(prev => [...prev, job].sort(byId));
+      setTrackedIds(prev => [...prev, job.id]);
+    } else {
+      track(job);
+    }
+  }, [track]);
+
+  // Request cancellation of every tracked job that has not finished
+  const cancel = useCallback(() =>
+    Promise.all(jobsRef.current.filter(isJobActive).map(job => cancelJob(job.id))), []);
+
+  // Re-attach to work already in progress
+  useEffect(() => {
+    if (!scope) return;
+    let cancelled = false;
+
+    const discover = async () => {
+      try {
+        const { workshopId, sessionId, types = [] } = scope;
+        const active = await getJobs({ workshopId, sessionId, type: types.join(',') || undefined, active: true });
+        if (cancelled || active.data.length === 0) return;
+
+        // Include the finished jobs of the same batch so totals stay right
+        const batchIds = [...new Set(active.data.map(job => job.batch_id).filter(Boolean))];
+        const batches = await Promise.all(batchIds.map(batchId => getJobs({ batchId, limit: 200 })));
+        if (cancelled) return;
+
+        const found = new Map();
+        [...batches.flatMap(response => response.data), ...active.data].forEach(job => found.set(job.id, job));
+        track([...found.values()]);
+      } catch (error) {
+        console.error('Error loading active jobs:', error);
+      }
+    };
+
+    discover();
+    return () => {
+      cancelled = true;
+    };
+  }, [scopeKey]);
+
+  // Poll tracked jobs until they have all finished
+  useEffect(() => {
+    if (trackedIds.length === 0) return;
+    let cancelled = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const response = await getJobs({ ids: trackedIds.join(','), limit: trackedIds.length });
+        if (cancelled) return;
+
+        const latest = response.data.sort(byId);
+        setJobs(latest);
+        if (!latest.some(isJobActive)) {
+          onFinishedRef.current?.(latest);
+          return;
+        }
+      } catch (error) {
+        console.error('Error polling jobs:', error);
+      }
+      if (!cancelled) {
+        timer = setTimeout(poll, POLL_INTERVAL_MS);
+      }
+    };
+
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [trackedIds]);
+
+  return {
+    jobs,
+    running: jobs.some(isJobActive),
+    track,
+    attach,
+    cancel
+  };
+}
+
+export default useBackgroundJobs;
@@ -1,16 +1,41 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
+import {
+  createChunkId,
+  saveQueuedChunk,
+  getQueuedChunks,
+  updateQueuedChunk,
+  removeQueuedChunk,
+  claimQueuedChunk,
+  releaseQueuedChunk,
+  isRetryableError
+} from '../services/recordingQueue';
 
 const DEFAULT_CHUNK_DURATION_SECONDS = 5 * 60; // 5 minutes in seconds
+const DEFAULT_SEGMENT_DURATION_SECONDS = 10;
+const RETRY_DELAYS_SECONDS = [5, 15, 30, 60, 120]; // Automatic retries of a failed chunk
 
 /**
  * Hook for managing chunked audio recording with automatic splitting
  * When recording exceeds the chunk duration, it automatically splits and starts processing
  * the completed chunk while continuing to record
+ *
+ * When onSegmentReady is given, a second recorder on the same microphone stream also
+ * produces short self-contained segments for live transcription. The last segment is
+ * delivered with isFinal = true (its blob may be empty) when recording stops.
+ *
+ * With a queueKey, every finished chunk is first saved to IndexedDB (services/recordingQueue.js)
+ * and only removed once onChunkReady succeeds. Failed chunks are retried automatically with
+ * backoff, right away when the browser comes back online, and after a page reload when the
+ * hook mounts again with the same key. onChunkReady receives { clientChunkId } so uploads can
+ * be made idempotent, and must throw when the chunk did not make it.
  */
 export function useChunkedRecording({
   onChunkReady,
   onAllChunksComplete,
-  chunkDurationSeconds = DEFAULT_CHUNK_DURATION_SECONDS
+  onSegmentReady,
+  queueKey = null,
+  chunkDurationSeconds = DEFAULT_CHUNK_DURATION_SECONDS,
+  segmentDurationSeconds = DEFAULT_SEGMENT_DURATION_SECONDS
 }) {
   // Recording state
   const [isRecording, setIsRecording] = useState(false);
@@ -27,6 +52,10 @@ export function useChunkedRecording({
   // Session state
   const [sessionActive, setSessionActive] = useState(false);
 
+  // Offline queue state
+  const [queuedCount, setQueuedCount] = useState(0); // Chunks saved locally and not yet uploaded
+  const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' || navigator.onLine !== false);
+
   // Refs for mutable state
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
@@ -42,12 +71,21 @@ export function useChunkedRecording({
   const onChunkReadyRef = useRef(onChunkReady);
   const onAllChunksCompleteRef = useRef(onAllChunksComplete);
   const lastAudioLevelUpdateRef = useRef(0); // Throttle audio level updates
+  const onSegmentReadyRef = useRef(onSegmentReady);
+  const segmentRef = useRef(null); // { recorder, data, index, startedAt } for the live segment
+  const segmentCounterRef = useRef(0);
+  const queueKeyRef = useRef(queueKey);
+  const retryTimersRef = useRef({}); // Queued chunk id -> pending retry timeout
+  const processQueuedChunkRef = useRef(null);
+  const nextChunkIndexRef = useRef(0); // First chunk index of the next recording (after restored chunks)
+  const recordingStartIndexRef = useRef(0);
 
   // Keep callback refs updated
   useEffect(() => {
     onChunkReadyRef.current = onChunkReady;
     onAllChunksCompleteRef.current = onAllChunksComplete;
-  }, [onChunkReady, onAllChunksComplete]);
+    onSegmentReadyRef.current = onSegmentReady;
+  }, [onChunkReady, onAllChunksComplete, onSegmentReady]);
 
   // Cleanup audio context
   const cleanupAudioContext = useCallback(() => {
@@ -94,14 +132,16 @@ export function useChunkedRecording({
   }, []);
 
   // Process a single chunk
-  const processChunk = useCallback(async (chunkBlob, chunkIndex, duration) => {
+  const processChunk = useCallback(async (chunkBlob, chunkIndex, duration, clientChunkId = null) => {
     console.log(`Processing chunk ${chunkIndex}, size: ${chunkBlob.size}, duration: ${duration}s`);
 
+    // A retried chunk is no longer failed while it is processed again
+    setFailedChunks(prev => prev.filter(c => c.index !== chunkIndex));
     setProcessingChunks(prev => [...prev, chunkIndex]);
 
     try {
       if (onChunkReadyRef.current) {
-        const result = await onChunkReadyRef.current(chunkBlob, chunkIndex, duration);
+        const result = await onChunkReadyRef.current(chunkBlob, chunkIndex, duration, { clientChunkId });
         setCompletedChunks(prev => [...prev, { index: chunkIndex, result, duration }]);
         console.log(`Chunk ${chunkIndex} completed successfully`);
         return { success: true, result };
@@ -116,6 +156,102 @@ export function useChunkedRecording({
     }
   }, []);
 
+  const refreshQueuedCount = useCallback(async () => {
+    if (!queueKeyRef.current) return;
+    try {
+      const chunks = await getQueuedChunks(queueKeyRef.current);
+      setQueuedCount(chunks.length);
+    } catch (error) {
+      console.warn('Could not read the recording queue:', error);
+    }
+  }, []);
+
+  // Upload a queued chunk; it stays queued (and is retried later) until the upload succeeds
+  const processQueuedChunk = useCallback(async (id) => {
+    clearTimeout(retryTimersRef.current[id]);
+    delete retryTimersRef.current[id];
+
+    const chunk = await claimQueuedChunk(id);
+    if (!chunk) return; // Already uploaded, or being uploaded by another view
+
+    try {
+      const outcome = await processChunk(chunk.blob, chunk.chunkIndex, chunk.duration, chunk.id);
+      if (outcome.success) {
+        await removeQueuedChunk(id);
+        return;
+      }
+
+      const attempts = (chunk.attempts || 0) + 1;
+      await updateQueuedChunk(id, { status: 'failed', attempts, lastError: outcome.error?.message || null });
+
+      // Offline chunks wait for the 'online' event instead of a timer
+      if (isRetryableError(outcome.error) && attempts <= RETRY_DELAYS_SECONDS.length && navigator.onLine !== false) {
+        retryTimersRef.current[id] = setTimeout(
+          () => processQueuedChunkRef.current?.(id),
+          RETRY_DELAYS_SECONDS[attempts - 1] * 1000
+        );
+      }
+    } finally {
+      releaseQueuedChunk(id);
+      refreshQueuedCount();
+    }
+  }, [processChunk, refreshQueuedCount]);
+
+  useEffect(() => {
+    processQueuedChunkRef.current = processQueuedChunk;
+  }, [processQueuedChunk]);
+
+  // Upload every chunk still queued for this key, one at a time
+  const retryFailedChunks = useCallback(async () => {
+    if (!queueKeyRef.current) return;
+    const chunks = await getQueuedChunks(queueKeyRef.current);
+    for (const chunk of chunks) {
+      await processQueuedChunk(chunk.id);
+    }
+  }, [processQueuedChunk]);
+
+  // Resume chunks left over from an earlier page load
+  useEffect(() => {
+    queueKeyRef.current = queueKey;
+    if (!queueKey) return;
+
+    let cancelled = false;
+    getQueuedChunks(queueKey)
+      .then(async (chunks) => {
+        if (cancelled) return;
+        setQueuedCount(chunks.length);
+        if (chunks.length === 0) return;
+
+        console.log(`Resuming ${chunks.length} queued recording chunks`);
+        nextChunkIndexRef.current = Math.max(...chunks.map(c => c.chunkIndex + 1));
+        for (const chunk of chunks) {
+          if (cancelled) return;
+          await processQueuedChunk(chunk.id);
+        }
+      })
+      .catch(error => console.warn('Could not resume the recording queue:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [queueKey, processQueuedChunk]);
+
+  // Upload queued chunks as soon as the connection is back
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      retryFailedChunks();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [retryFailedChunks]);
+
   // Create and setup a new MediaRecorder
   const createAndStartRecorder = useCallback((stream, onDataAvailable) => {
     let mimeType = 'audio/webm;codecs=opus';
@@ -136,6 +272,45 @@ export function useChunkedRecording({
     return recorder;
   }, []);
 
+  // Start recording the next live segment (only when live transcription is used)
+  const startSegment = useCallback((stream) => {
+    if (!onSegmentReadyRef.current) return;
+
+    // Each segment owns its data array - the previous recorder may still flush into its own
+    const data = [];
+    const recorder = createAndStartRecorder(stream, (chunk) => data.push(chunk));
+    segmentRef.current = { recorder, data, index: segmentCounterRef.current, startedAt: Date.now() };
+    segmentCounterRef.current += 1;
+  }, [createAndStartRecorder]);
+
+  // Close the current live segment and (unless final) start the next one right away
+  const rotateSegment = useCallback((isFinal) => {
+    const segment = segmentRef.current;
+    segmentRef.current = null;
+
+    if (!isFinal && streamRef.current && streamRef.current.active && !isStoppedRef.current) {
+      startSegment(streamRef.current);
+    }
+
+    if (!segment) {
+      if (isFinal && onSegmentReadyRef.current && segmentCounterRef.current > 0) {
+        onSegmentReadyRef.current(new Blob([], { type: 'audio/webm' }), segmentCounterRef.current, 0, true);
+      }
+      return;
+    }
+
+    const duration = (Date.now() - segment.startedAt) / 1000;
+    segment.recorder.onstop = () => {
+      const blob = new Blob(segment.data, { type: 'audio/webm' });
+      onSegmentReadyRef.current?.(blob, segment.index, duration, isFinal);
+    };
+    if (segment.recorder.state !== 'inactive') {
+      segment.recorder.stop();
+    } else {
+      segment.recorder.onstop();
+    }
+  }, [startSegment]);
+
   // Handle chunk completion (when recorder stops)
   const finalizeChunk = useCallback((audioData, chunkIndex, duration, isFinal) => {
     if (audioData.length === 0) {
@@ -156,9 +331,22 @@ export function useChunkedRecording({
 
     setTotalChunks(prev => prev + 1);
 
+    // Keep a local copy first so the chunk survives a failed upload or a reload
+    if (queueKeyRef.current) {
+      // Numbering continues in the next recording so its chunks never share an index with queued ones
+      nextChunkIndexRef.current = chunkIndex + 1;
+      const id = createChunkId();
+      saveQueuedChunk({ id, queueKey: queueKeyRef.current, blob, chunkIndex, duration })
+        .then(() => {
+          refreshQueuedCount();
+          return processQueuedChunk(id);
+        });
+      return;
+    }
+
     // Process immediately
     processChunk(blob, chunkIndex, duration);
-  }, [processChunk]);
+  }, [processChunk, processQueuedChunk, refreshQueuedCount]);
 
   // Split the current chunk and start a new one
   const performSplit = useCallback(() => {
@@ -210,10 +398,13 @@ export function useChunkedRecording({
 
       // Reset all state
       isStoppedRef.current = false;
-      chunkCounterRef.current = 0;
+      chunkCounterRef.current = nextChunkIndexRef.current;
+      recordingStartIndexRef.current = nextChunkIndexRef.current;
       currentChunkTimeRef.current = 0;
       audioChunksRef.current = [];
       pendingChunksRef.current = [];
+      segmentCounterRef.current = 0;
+      segmentRef.current = null;
 
       setRecordingTime(0);
       setCurrentChunkTime(0);
@@ -239,11 +430,18 @@ export function useChunkedRecording({
       });
       mediaRecorderRef.current = recorder;
 
+      // Live transcription segments run on their own recorder
+      startSegment(stream);
+
       // Start timer
       timerRef.current = setInterval(() => {
         setRecordingTime(prev => prev + 1);
         currentChunkTimeRef.current += 1;
         setCurrentChunkTime(currentChunkTimeRef.current);
+
+        if (segmentRef.current && Date.now() - segmentRef.current.startedAt >= segmentDurationSeconds * 1000) {
+          rotateSegment(false);
+        }
       }, 1000);
 
       console.log('Recording started successfully');
@@ -253,7 +451,7 @@ export function useChunkedRecording({
       setSessionActive(false);
       throw error;
     }
-  }, [setupAudioLevelMonitoring, createAndStartRecorder]);
+  }, [setupAudioLevelMonitoring, createAndStartRecorder, startSegment, rotateSegment, segmentDurationSeconds]);
 
   // Stop recording
   const stopRecording = useCallback(() => {
@@ -271,6 +469,9 @@ export function useChunkedRecording({
       timerRef.current = null;
     }
 
+    // Deliver the last live segment before the microphone stream is stopped
+    rotateSegment(true);
+
     const currentIndex = chunkCounterRef.current;
     const duration = currentChunkTimeRef.current;
     const currentData = [...audioChunksRef.current];
@@ -315,7 +516,7 @@ export function useChunkedRecording({
       setIsRecording(false);
       setSessionActive(false);
     }
-  }, [finalizeChunk, cleanupAudioContext]);
+  }, [finalizeChunk, cleanupAudioContext, rotateSegment]);
 
   // Auto-split effect
   useEffect(() => {
@@ -331,9 +532,10 @@ export function useChunkedRecording({
   useEffect(() => {
     if (!sessionActive || isRecording) return;
 
+    // Restored chunks of an earlier recording are not part of this one
     const total = totalChunks;
-    const completed = completedChunks.length;
-    const failed = failedChunks.length;
+    const completed = completedChunks.filter(c => c.index >= recordingStartIndexRef.current).length;
+    const failed = failedChunks.filter(c => c.index >= recordingStartIndexRef.current).length;
     const processing = processingChunks.length;
 
     console.log(`Chunk status: total=${total}, completed=${completed}, failed=${failed}, processing=${processing}`);
@@ -347,10 +549,11 @@ export function useChunkedRecording({
     }
   }, [sessionActive, isRecording, totalChunks, completedChunks, failedChunks, processingChunks]);
 
-  // Cleanup on unmount
+  // Cleanup on unmount (queued chunks stay in IndexedDB and resume on the next mount)
   useEffect(() => {
     return () => {
       if (timerRef.current) clearInterval(timerRef.current);
+      Object.values(retryTimersRef.current).forEach(clearTimeout);
       if (streamRef.current) {
         streamRef.current.getTracks().forEach(track => track.stop());
       }
@@ -372,9 +575,14 @@ export function useChunkedRecording({
     completedChunks,
     failedChunks,
 
+    // Offline queue (only with queueKey)
+    queuedCount,
+    isOnline,
+
     // Actions
     startRecording,
     stopRecording,
+    retryFailedChunks,
 
     // Utilities
     formatTime: (seconds) => `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`,
@@ -0,0 +1,76 @@
+import { useState, useRef, useCallback } from 'react';
+import { uploadLiveSegment, endLiveStream } from '../services/sessionChecklistApi';
+
+const createStreamId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Hook for live transcription while recording
+ * Pass handleSegmentReady as useChunkedRecording's onSegmentReady. Segments are uploaded
+ * one at a time so the transcript stays in order; the server transcribes each one straight
+ * away and analyzes rolling windows against the checklist in the background.
+ *
+ * @param {number|string} sessionId
+ * @param {Object} options - { maxSegments } segments kept on screen
+ */
+export function useLiveTranscript(sessionId, { maxSegments = 30 } = {}) {
+  const [segments, setSegments] = useState([]);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [error, setError] = useState(null);
+
+  const streamIdRef = useRef(null);
+  const queueRef = useRef(Promise.resolve());
+
+  const handleSegmentReady = useCallback((blob, segmentIndex, duration, isFinal) => {
+    // First segment of a recording starts a new live stream
+    if (segmentIndex === 0 || !streamIdRef.current) {
+      streamIdRef.current = createStreamId();
+      setSegments([]);
+      setError(null);
+    }
+    const streamId = streamIdRef.current;
+
+    setPendingCount(prev => prev + 1);
+    queueRef.current = queueRef.current.then(async () => {
+      try {
+        if (blob.size > 0) {
+          const formData = new FormData();
+          formData.append('audio', blob, `segment-${segmentIndex}.webm`);
+          formData.append('segment_index', segmentIndex);
+          formData.append('duration_seconds', duration.toFixed(1));
+
+          const response = await uploadLiveSegment(sessionId, streamId, formData);
+          if (response.data.text) {
+            setSegments(prev => [...prev, response.data].slice(-maxSegments));
+          }
+          setError(null);
+        }
+      } catch (err) {
+        console.error(`Live segment ${segmentIndex} failed:`, err);
+        setError(err.response?.data?.error || err.message);
+      }
+
+      if (isFinal) {
+        try {
+          await endLiveStream(sessionId, streamId);
+        } catch (err) {
+          console.error('Failed to end live stream:', err);
+        }
+        if (streamIdRef.current === streamId) {
+          streamIdRef.current = null;
+        }
+      }
+
+      setPendingCount(prev => prev - 1);
+    });
+  }, [sessionId, maxSegments]);
+
+  return {
+    segments,
+    pendingCount,
+    error,
+    handleSegmentReady
+  };
+}
+
+export default useLiveTranscript;
@@ -0,0 +1,102 @@
+import { useState, useRef, useEffect } from 'react';
+
+/**
+ * Hook for subscribing to live session updates (Server-Sent Events)
+ * Tracks who else is viewing the session and calls the matching handler
+ * for each update type (checklist_updated, findings_updated, document_updated, ...).
+ * EventSource reconnects automatically after network drops.
+ *
+ * @param {string|null} url - events stream URL (including access token); null disables the stream
+ * @param {Object} handlers - map of event type to callback(event)
+ */
+export function useSessionEvents(url, handlers = {}) {
+  const [viewers, setViewers] = useState([]);
+  const [connected, setConnected] = useState(false);
+  const [lastActivity, setLastActivity] = useState(null);
+
+  // Keep latest handlers without reconnecting on every render
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!url) return;
+
+    const eventSource = new EventSource(url);
+
+    eventSource.onopen = () => setConnected(true);
+
+    eventSource.onmessage = (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch {
+        return;
+      }
+
+      if (event.type === 'connected' || event.type === 'presence') {
+        setViewers(event.viewers || []);
+        return;
+      }
+
+      if (event.type === 'session_closed') {
+        setConnected(false);
+        eventSource.close();
+      } else if (event.actor) {
+        setLastActivity(event);
+      }
+
+      handlersRef.current[event.type]?.(event);
+    };
+
+    eventSource.onerror = () => setConnected(false);
+
+    return () => {
+      eventSource.close();
+      setConnected(false);
+    };
+  }, [url]);
+
+  return { viewers, connected, lastActivity };
+}
+
+/**
+ * Human-readable one-liner for an activity event, e.g. "Sara uploaded Policies.pdf"
+ */
+export function describeSessionEvent(event) {
+  if (!event) return '';
+  const actor = event.actor || 'Someone';
+  switch (event.type) {
+    case 'checklist_updated': {
+      if (event.source === 'manual') return `${actor} updated a checklist item`;
+      if (event.source === 'generated') return `${actor} regenerated the checklist`;
+      if (event.source === 'reanalysis') return `${actor} re-analyzed all transcripts`;
+      if (event.source === 'live') {
+        const count = event.obtainedItemIds?.length || 0;
+        return `Live transcript (${actor}): ${count} item${count === 1 ? '' : 's'} obtained`;
+      }
+      const obtained = event.obtainedItemIds?.length || 0;
+      const reset = event.resetItemIds?.length || 0;
+      const parts = [];
+      if (obtained > 0) parts.push(`${obtained} item${obtained === 1 ? '' : 's'} obtained`);
+      if (reset > 0) parts.push(`${reset} reset to missing`);
+      const origin = event.source === 'document' ? 'document' : event.source === 'prework' ? 'pre-work answers' : 'recording';
+      return `${actor}'s ${origin}: ${parts.join(', ') || 'checklist updated'}`;
+    }
+    case 'findings_updated':
+      return event.deletedFindingId
+        ? `${actor} removed a finding`
+        : `${actor}: ${event.findingsCount || 'new'} new finding${event.findingsCount === 1 ? '' : 's'}`;
+    case 'prework_updated':
+      if (event.open !== undefined) return `${actor} ${event.open ? 'opened' : 'closed'} the pre-work questionnaire`;
+      if (event.submitted) return `${actor} submitted ${event.submitted} pre-work answer${event.submitted === 1 ? '' : 's'}`;
+      return '';
+    case 'recording_added':
+      return `${actor} uploaded a recording`;
+    case 'document_updated':
+      if (event.status === 'deleted') return `${actor} deleted a document`;
+      if (event.status === 'completed') return `${actor} finished analyzing ${event.name || 'a document'}`;
+      return `${actor} uploaded ${event.name || 'a document'}`;
+    default:
+      return '';
+  }
+}
@@ -15,6 +15,7 @@ import {
   Database
 } from 'lucide-react';
 import CriticalConfirmDialog from '../components/CriticalConfirmDialog';
+import { useAuth } from '../context/AuthContext';
 
 const statusColors = {
   setup: 'bg-amber-100 text-amber-800',
@@ -23,6 +24,7 @@ const statusColors = {
 };
 
 function Dashboard() {
+  const { can } = useAuth();
   const [workshops, setWorkshops] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
@@ -165,33 +167,39 @@ function Dashboard() {
           <p className="text-sm text-gray-500">Manage your SAP S/4HANA pre-discovery workshops</p>
         </div>
         <div className="flex items-center space-x-2">
-          {/* Backup/Restore Buttons */}
-          <button
-            onClick={handleBackup}
-            disabled={backupLoading}
-            className="flex items-center space-x-1 px-3 py-2 text-gray-600 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
-            title="Download Backup"
-          >
-            <Download className="w-4 h-4" />
-            <span className="text-sm">{backupLoading ? 'Backing up...' : 'Backup'}</span>
-          </button>
-          <button
-            onClick={handleRestoreClick}
-            disabled={restoreLoading}
-            className="flex items-center space-x-1 px-3 py-2 text-gray-600 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
-            title="Restore from Backup"
-          >
-            <Upload className="w-4 h-4" />
-            <span className="text-sm">{restoreLoading ? 'Restoring...' : 'Restore'}</span>
-          </button>
+          {/* Backup/Restore Buttons (admin only) */}
+          {can('admin') && (
+            <>
+              <button
+                onClick={handleBackup}
+                disabled={backupLoading}
+                className="flex items-center space-x-1 px-3 py-2 text-gray-600 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
+                title="Download Backup"
+              >
+                <Download className="w-4 h-4" />
+                <span className="text-sm">{backupLoading ? 'Backing up...' : 'Backup'}</span>
+              </button>
+              <button
+                onClick={handleRestoreClick}
+                disabled={restoreLoading}
+                className="flex items-center space-x-1 px-3 py-2 text-gray-600 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
+                title="Restore from Backup"
+              >
+                <Upload className="w-4 h-4" />
+                <span className="text-sm">{restoreLoading ? 'Restoring...' : 'Restore'}</span>
+              </button>
+            </>
+          )}
 
-          <button
-            onClick={() => setShowCreateModal(true)}
-            className="flex items-center space-x-2 px-4 py-2 bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600 transition-colors"
-          >
-            <Plus className="w-4 h-4" />
-            <span>New Workshop</span>
-          </button>
+          {can('manage') && (
+            <button
+              onClick={() => setShowCreateModal(true)}
+              className="flex items-center space-x-2 px-4 py-2 bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600 transition-colors"
+            >
+              <Plus className="w-4 h-4" />
+              <span>New Workshop</span>
+            </button>
+          )}
         </div>
       </div>
 
@@ -199,14 +207,20 @@ function Dashboard() {
       {workshops.length === 0 ? (
         <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-12 text-center">
           <Building2 className="w-12 h-12 text-gray-300 mx-auto mb-4" />
-          <p className="text-gray-500 mb-4">No workshops created yet.</p>
-          <button
-            onClick={() => setShowCreateModal(true)}
-            className="inline-flex items-center space-x-2 px-4 py-2 bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600"
-          >
-            <Plus className="w-4 h-4" />
-            <span>Create Your First Workshop</span>
-          </button>
+          {can('manage') ? (
+            <>
+              <p className="text-gray-500 mb-4">No workshops created yet.</p>
+              <button
+                onClick={() => setShowCreateModal(true)}
+                className="inline-flex items-center space-x-2 px-4 py-2 bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600"
+              >
+                <Plus className="w-4 h-4" />
+                <span>Create Your First Workshop</span>
+              </button>
+            </>
+          ) : (
+            <p className="text-gray-500">You have not been added to any workshops yet.</p>
+          )}
         </div>
       ) : (
         <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-hidden">
@@ -252,20 +266,24 @@ function Dashboard() {
                       >
                         <FolderOpen className="w-4 h-4" />
                       </Link>
-                      <Link
-                        to={`/workshop/${workshop.id}/setup`}
-                        className="p-1.5 text-purple-600 hover:bg-purple-50 rounded transition-colors"
-                        title="Setup"
-                      >
-                        <Settings className="w-4 h-4" />
-                      </Link>
-                      <button
-                        onClick={() => handleDeleteWorkshopClick(workshop.id, workshop.name)}
-                        className="p-1.5 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded transition-colors"
-                        title="Delete Workshop"
-                      >
-                        <Trash2 className="w-4 h-4" />
-                      </button>
+                      {can('manage') && (
+                        <>
+                          <Link
+                            to={`/workshop/${workshop.id}/setup`}
+                            className="p-1.5 text-purple-600 hover:bg-purple-50 rounded transition-colors"
+                            title="Setup"
+                          >
+                            <Settings className="w-4 h-4" />
+                          </Link>
+                          <button
+                            onClick={() => handleDeleteWorkshopClick(workshop.id, workshop.name)}
+                            className="p-1.5 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded transition-colors"
+                            title="Delete Workshop"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -0,0 +1,823 @@
+import { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  ArrowLeft,
+  Network,
+  Download,
+  Loader2,
+  Sparkles,
+  Plus,
+  Edit3,
+  Link2,
+  Trash2,
+  Save,
+  X,
+  AlertTriangle,
+  AlertCircle,
+  CheckCircle,
+  ListTree,
+  Image
+} from 'lucide-react';
+import { getWorkshop } from '../services/workshopApi';
+import {
+  getEnterpriseStructure,
+  generateEnterpriseStructure,
+  createUnit,
+  updateUnit,
+  setUnitLinks,
+  deleteUnit,
+  getEnterpriseStructureExcelUrl,
+  getEnterpriseStructureMermaidUrl,
+  ORG_UNIT_COLORS
+} from '../services/enterpriseStructureApi';
+import { useBackgroundJobs } from '../hooks/useBackgroundJobs';
+import { useAuth } from '../context/AuthContext';
+
+// Org chart box size and spacing (px)
+const BOX_WIDTH = 168;
+const BOX_HEIGHT = 52;
+const GAP_X = 24;
+const GAP_Y = 56;
+const PADDING = 24;
+
+const unitTitle = (unit) => (unit.code ? `${unit.code} - ${unit.name}` : unit.name);
+
+const clipText = (text, maxChars) => (text.length > maxChars ? `${text.substring(0, maxChars - 1)}…` : text);
+
+/**
+ * Tidy tree layout: leaves side by side, every unit centered above its assigned units
+ * @returns {{ positions: Map, width: number, height: number }}
+ */
+function layoutChart(nodes) {
+  const ids = new Set(nodes.map(node => node.id));
+  const children = new Map();
+  for (const node of nodes) {
+    const key = node.parent_id && ids.has(node.parent_id) ? node.parent_id : 0;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(node);
+  }
+
+  const positions = new Map();
+  let nextColumn = 0;
+  let maxDepth = 0;
+  const place = (node, depth) => {
+    const assigned = children.get(node.id) || [];
+    assigned.forEach(child => place(child, depth + 1));
+    const column = assigned.length > 0
+      ? (positions.get(assigned[0].id).column + positions.get(assigned[assigned.length - 1].id).column) / 2
+      : nextColumn++;
+    positions.set(node.id, {
+      column,
+      x: PADDING + column * (BOX_WIDTH + GAP_X),
+      y: PADDING + depth * (BOX_HEIGHT + GAP_Y)
+    });
+    maxDepth = Math.max(maxDepth, depth);
+  };
+  (children.get(0) || []).forEach(root => place(root, 0));
+
+  return {
+    positions,
+    width: PADDING * 2 + Math.max(nextColumn, 1) * (BOX_WIDTH + GAP_X) - GAP_X,
+    height: PADDING * 2 + (maxDepth + 1) * (BOX_HEIGHT + GAP_Y) - GAP_Y
+  };
+}
+
+/**
+ * SVG org chart: assignments as solid lines, many-to-many assignments as dashed curves.
+ * Styling is inline so the downloaded image looks the same as on screen.
+ */
+function OrgChart({ svgRef, nodes, links, types, issuesByUnit, selectedId, onSelect }) {
+  const { positions, width, height } = layoutChart(nodes);
+  const typeLabel = (key) => types.find(type => type.key === key)?.label || key;
+
+  return (
+    <svg
+      ref={svgRef}
+      xmlns="http://www.w3.org/2000/svg"
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      fontFamily="Arial, Helvetica, sans-serif"
+    >
+      <rect x="0" y="0" width={width} height={height} fill="#ffffff" />
+
+      {nodes.filter(node => positions.has(node.parent_id)).map(node => {
+        const from = positions.get(node.parent_id);
+        const to = positions.get(node.id);
+        const midY = from.y + BOX_HEIGHT + GAP_Y / 2;
+        return (
+          <path
+            key={`parent-${node.id}`}
+            d={`M ${from.x + BOX_WIDTH / 2} ${from.y + BOX_HEIGHT} V ${midY} H ${to.x + BOX_WIDTH / 2} V ${to.y}`}
+            fill="none"
+            stroke="#9ca3af"
+            strokeWidth="1.5"
+          />
+        );
+      })}
+
+      {links.filter(link => positions.has(link.from_node_id) && positions.has(link.to_node_id)).map(link => {
+        const from = positions.get(link.from_node_id);
+        const to = positions.get(link.to_node_id);
+        const x1 = from.x + BOX_WIDTH / 2;
+        const y1 = from.y + BOX_HEIGHT;
+        const x2 = to.x + BOX_WIDTH / 2;
+        const y2 = to.y + BOX_HEIGHT;
+        const bend = Math.max(y1, y2) + GAP_Y * 0.6;
+        return (
+          <g key={`link-${link.id}`}>
+            <path
+              d={`M ${x1} ${y1} C ${x1} ${bend}, ${x2} ${bend}, ${x2} ${y2}`}
+              fill="none"
+              stroke="#4b5563"
+              strokeWidth="1.2"
+              strokeDasharray="5 4"
+            />
+            <text x={(x1 + x2) / 2} y={bend - 4} fontSize="9" fill="#4b5563" textAnchor="middle">{link.label}</text>
+          </g>
+        );
+      })}
+
+      {nodes.map(node => {
+        const position = positions.get(node.id);
+        if (!position) return null;
+        const colors = ORG_UNIT_COLORS[node.node_type] || ORG_UNIT_COLORS.company;
+        const unitIssues = issuesByUnit.get(node.id) || [];
+        const hasError = unitIssues.some(issue => issue.severity === 'error');
+        return (
+          <g
+            key={node.id}
+            transform={`translate(${position.x}, ${position.y})`}
+            onClick={() => onSelect(node)}
+            style={{ cursor: 'pointer' }}
+          >
+            <title>{[unitTitle(node), ...unitIssues.map(issue => issue.message)].join('\n')}</title>
+            <rect
+              width={BOX_WIDTH}
+              height={BOX_HEIGHT}
+              rx="6"
+              fill={colors.fill}
+              stroke={node.id === selectedId ? '#111827' : colors.stroke}
+              strokeWidth={node.id === selectedId ? 2.5 : 1.5}
+            />
+            <text x="8" y="15" fontSize="9" fill={colors.stroke} fontWeight="bold">
+              {typeLabel(node.node_type).toUpperCase()}
+            </text>
+            <text x="8" y="31" fontSize="12" fill="#111827" fontWeight="bold">
+              {clipText(node.code || '(no code)', 20)}
+            </text>
+            <text x="8" y="45" fontSize="10" fill="#374151">{clipText(node.name, 28)}</text>
+            {node.entity_code && (
+              <text x={BOX_WIDTH - 8} y="31" fontSize="9" fill="#6b21a8" textAnchor="end">{node.entity_code}</text>
+            )}
+            {unitIssues.length > 0 && (
+              <circle cx={BOX_WIDTH - 8} cy="10" r="4" fill={hasError ? '#dc2626' : '#f59e0b'} />
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Add or edit one unit: type (when adding), assignment, code, name, entity and the
+ * attributes SAP needs for the type (currency, country)
+ */
+function UnitForm({ unit, parent, nodes, types, entities, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    node_type: unit?.node_type || types.find(type => type.parents.includes(parent?.node_type))?.key || 'company_code',
+    parent_id: unit ? unit.parent_id || '' : parent?.id || '',
+    code: unit?.code || '',
+    name: unit?.name || '',
+    description: unit?.description || '',
+    entity_id: unit?.entity_id || '',
+    currency: unit?.attributes?.currency || '',
+    country: unit?.attributes?.country || ''
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const type = types.find(t => t.key === form.node_type);
+  const parentOptions = nodes.filter(node => type?.parents.includes(node.node_type) && node.id !== unit?.id);
+  const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleSave = async () => {
+    const attributes = {};
+    for (const key of type?.attributes || []) {
+      attributes[key] = form[key];
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave({
+        ...(unit ? {} : { node_type: form.node_type }),
+        parent_id: form.parent_id || null,
+        code: form.code,
+        name: form.name,
+        description: form.description,
+        entity_id: form.entity_id || null,
+        attributes
+      });
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'px-2 py-1.5 text-sm border rounded focus:ring-1 focus:ring-nxsys-500 focus:border-nxsys-500';
+
+  return (
+    <div className="bg-white rounded-lg p-4 shadow-sm border border-nxsys-200 space-y-3">
+      <h3 className="text-sm font-semibold text-gray-900">
+        {unit ? `Edit ${type?.label || 'unit'} ${unitTitle(unit)}` : 'Add organizational unit'}
+      </h3>
+      <div className="flex flex-wrap items-center gap-2">
+        {!unit && (
+          <select value={form.node_type} onChange={(e) => setForm({ ...form, node_type: e.target.value, parent_id: '' })} className={inputClass}>
+            {types.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+          </select>
+        )}
+        <input
+          value={form.code}
+          onChange={setField('code')}
+          placeholder={type ? `Code (${type.codeLength} chars)` : 'Code'}
+          maxLength={20}
+          className={`${inputClass} w-32 uppercase`}
+        />
+        <input value={form.name} onChange={setField('name')} placeholder="Name" className={`${inputClass} flex-1 min-w-[12rem]`} />
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        {type?.parents.length > 0 && (
+          <select value={form.parent_id} onChange={setField('parent_id')} className={inputClass}>
+            <option value="">{type.requiresParent ? 'Assign to...' : 'Not assigned'}</option>
+            {parentOptions.map(node => (
+              <option key={node.id} value={node.id}>
+                {types.find(t => t.key === node.node_type)?.label} {unitTitle(node)}
+              </option>
+            ))}
+          </select>
+        )}
+        {entities.length > 0 && (
+          <select value={form.entity_id} onChange={setField('entity_id')} className={inputClass}>
+            <option value="">No entity</option>
+            {entities.map(entity => <option key={entity.id} value={entity.id}>{entity.code} - {entity.name}</option>)}
+          </select>
+        )}
+        {type?.attributes.includes('currency') && (
+          <input value={form.currency} onChange={setField('currency')} placeholder="Currency" maxLength={3} className={`${inputClass} w-24 uppercase`} />
+        )}
+        {type?.attributes.includes('country') && (
+          <input value={form.country} onChange={setField('country')} placeholder="Country" maxLength={2} className={`${inputClass} w-20 uppercase`} />
+        )}
+      </div>
+      <textarea
+        value={form.description}
+        onChange={setField('description')}
+        rows={2}
+        placeholder="Description (optional)"
+        className={`${inputClass} w-full`}
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex items-center gap-2">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center gap-1 px-3 py-1.5 text-sm bg-nxsys-500 text-white rounded hover:bg-nxsys-600 disabled:opacity-50"
+        >
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          Save
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={saving}
+          className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded"
+        >
+          <X className="w-4 h-4" />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Many-to-many assignments of a unit, e.g. the plants a purchasing organization procures for
+ */
+function LinkForm({ unit, nodes, links, types, linkTypes, onSave, onCancel }) {
+  const allowed = linkTypes.filter(link => link.from === unit.node_type);
+  const targets = nodes.filter(node => allowed.some(link => link.to === node.node_type));
+  const [selected, setSelected] = useState(
+    new Set(links.filter(link => link.from_node_id === unit.id).map(link => link.to_node_id))
+  );
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    setSelected(next);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave([...selected]);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg p-4 shadow-sm border border-nxsys-200 space-y-3">
+      <h3 className="text-sm font-semibold text-gray-900">
+        {types.find(t => t.key === unit.node_type)?.label} {unitTitle(unit)} {allowed.map(link => link.label).join(' / ')}
+      </h3>
+      {targets.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Add a {allowed.map(link => types.find(t => t.key === link.to)?.label).join(' or ')} first.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-1">
+          {targets.map(node => (
+            <label key={node.id} className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={selected.has(node.id)} onChange={() => toggle(node.id)} />
+              {types.find(t => t.key === node.node_type)?.label} {unitTitle(node)}
+            </label>
+          ))}
+        </div>
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex items-center gap-2">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center gap-1 px-3 py-1.5 text-sm bg-nxsys-500 text-white rounded hover:bg-nxsys-600 disabled:opacity-50"
+        >
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          Save
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={saving}
+          className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded"
+        >
+          <X className="w-4 h-4" />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Enterprise structure of a workshop: the SAP organizational units (company codes, plants,
+ * sales and purchasing organizations ...) proposed from the session answers, editable as
+ * a tree, drawn as an org chart and checked against the SAP assignment rules.
+ */
+function EnterpriseStructureView() {
+  const { can } = useAuth();
+  const { workshopId } = useParams();
+  const [workshop, setWorkshop] = useState(null);
+  const [data, setData] = useState({ entities: [], nodes: [], links: [], issues: [], types: [], linkTypes: [] });
+  const [loading, setLoading] = useState(true);
+  const [view, setView] = useState('tree'); // 'tree' | 'chart'
+  const [selectedId, setSelectedId] = useState(null);
+  const [editing, setEditing] = useState(null); // { mode: 'add' | 'edit' | 'links', unit, parent }
+  const chartRef = useRef(null);
+
+  const generationJobs = useBackgroundJobs(
+    { workshopId, types: ['enterprise_structure'] },
+    { onFinished: ([job]) => handleGenerationFinished(job) }
+  );
+  const generating = generationJobs.running;
+  const generationJob = generationJobs.jobs[0];
+
+  useEffect(() => {
+    loadData();
+  }, [workshopId]);
+
+  const loadData = async () => {
+    try {
+      const [workshopRes, structureRes] = await Promise.all([
+        getWorkshop(workshopId),
+        getEnterpriseStructure(workshopId)
+      ]);
+      setWorkshop(workshopRes.data);
+      setData(structureRes.data);
+    } catch (error) {
+      console.error('Failed to load enterprise structure:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleGenerate = async () => {
+    try {
+      const response = await generateEnterpriseStructure(workshopId);
+      generationJobs.track(response.data.job);
+    } catch (error) {
+      console.error('Failed to start enterprise structure generation:', error);
+      alert('Failed to propose the enterprise structure: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleGenerationFinished = async (job) => {
+    if (job?.status === 'failed') {
+      alert('Enterprise structure generation failed: ' + job.error);
+    }
+    await loadData();
+  };
+
+  // Errors are shown by the forms
+  const handleSaveUnit = async (values) => {
+    if (editing.mode === 'add') {
+      const response = await createUnit(workshopId, values);
+      setSelectedId(response.data.id);
+    } else {
+      await updateUnit(workshopId, editing.unit.id, values);
+    }
+    setEditing(null);
+    await loadData();
+  };
+
+  const handleSaveLinks = async (targetIds) => {
+    await setUnitLinks(workshopId, editing.unit.id, targetIds);
+    setEditing(null);
+    await loadData();
+  };
+
+  const handleDelete = async (unit) => {
+    const assigned = data.nodes.filter(node => node.parent_id === unit.id).length;
+    const message = assigned > 0
+      ? `Delete ${unitTitle(unit)}? The ${assigned} unit(s) assigned to it stay, without assignment.`
+      : `Delete ${unitTitle(unit)}?`;
+    if (!window.confirm(message)) return;
+    try {
+      await deleteUnit(workshopId, unit.id);
+      if (editing?.unit?.id === unit.id) setEditing(null);
+      await loadData();
+    } catch (error) {
+      console.error('Failed to delete unit:', error);
+      alert('Failed to delete the unit: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleSelect = (unit) => {
+    setSelectedId(unit.id);
+    if (can('capture')) setEditing({ mode: 'edit', unit });
+  };
+
+  // Image export of the org chart: the SVG as it is, or drawn onto a canvas for a PNG
+  const handleDownloadImage = (format) => {
+    const svg = chartRef.current;
+    if (!svg) return;
+    const fileName = `Enterprise_Structure_${(workshop.client_name || workshop.name).replace(/[^a-zA-Z0-9]/g, '_')}`;
+    const svgUrl = URL.createObjectURL(
+      new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml;charset=utf-8' })
+    );
+    const download = (url, extension) => {
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${fileName}.${extension}`;
+      link.click();
+    };
+
+    if (format === 'svg') {
+      download(svgUrl, 'svg');
+      URL.revokeObjectURL(svgUrl);
+      return;
+    }
+
+    const scale = 2;
+    const img = new window.Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = svg.width.baseVal.value * scale;
+      canvas.height = svg.height.baseVal.value * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(img, 0, 0);
+      URL.revokeObjectURL(svgUrl);
+      canvas.toBlob(blob => {
+        const pngUrl = URL.createObjectURL(blob);
+        download(pngUrl, 'png');
+        URL.revokeObjectURL(pngUrl);
+      }, 'image/png');
+    };
+    img.src = svgUrl;
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[200px]">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-nxsys-500"></div>
+      </div>
+    );
+  }
+
+  if (!workshop) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500">Workshop not found.</p>
+        <Link to="/" className="text-nxsys-500 hover:underline mt-2 inline-block">
+          Back to Workshops
+        </Link>
+      </div>
+    );
+  }
+
+  const { entities, nodes, links, issues, types, linkTypes } = data;
+  const typeOf = (key) => types.find(type => type.key === key);
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const issuesByUnit = new Map();
+  for (const issue of issues) {
+    if (!issuesByUnit.has(issue.node_id)) issuesByUnit.set(issue.node_id, []);
+    issuesByUnit.get(issue.node_id).push(issue);
+  }
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  const linkLabels = (unit) => links
+    .filter(link => link.from_node_id === unit.id)
+    .map(link => `${link.label} ${byId.get(link.to_node_id)?.code || byId.get(link.to_node_id)?.name || ''}`);
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center space-x-4">
+          <Link
+            to={`/workshop/${workshopId}`}
+            className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-md transition-colors"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <div>
+            <h1 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+              <Network className="w-5 h-5 text-nxsys-500" />
+              Enterprise Structure
+            </h1>
+            <p className="text-sm text-gray-500">
+              {workshop.name} - SAP organizational units and their assignments.
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <a
+            href={getEnterpriseStructureExcelUrl(workshopId)}
+            className="flex items-center gap-1.5 px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+          >
+            <Download className="w-4 h-4" />
+            Excel
+          </a>
+          <a
+            href={getEnterpriseStructureMermaidUrl(workshopId)}
+            title="Flowchart for Mermaid (docs, wikis, markdown)"
+            className="flex items-center gap-1.5 px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+          >
+            <Download className="w-4 h-4" />
+            Mermaid
+          </a>
+          {can('manage') && (
+            <button
+              onClick={handleGenerate}
+              disabled={generating}
+              className="flex items-center gap-1.5 px-3 py-2 text-sm bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600 disabled:opacity-50"
+            >
+              {generating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+              {nodes.length > 0 ? 'Propose missing units' : 'Propose from sessions'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {generating && (
+        <p className="text-sm text-nxsys-600 flex items-center gap-1">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          {generationJob?.status === 'queued' ? 'Waiting in queue...' : generationJob?.progress_message || 'Reading the organizational answers...'}
+        </p>
+      )}
+
+      {/* Counts per type */}
+      <div className="bg-white rounded-lg p-3 shadow-sm border border-gray-100 flex flex-wrap items-center gap-x-6 gap-y-2">
+        {types.filter(type => nodes.some(node => node.node_type === type.key)).map(type => (
+          <div key={type.key} className="flex items-center space-x-2">
+            <span className="text-sm text-gray-500">{type.label}:</span>
+            <span className="font-bold text-gray-900">{nodes.filter(node => node.node_type === type.key).length}</span>
+          </div>
+        ))}
+        <div className="flex items-center space-x-2 ml-auto">
+          {issues.length === 0 ? (
+            <span className="flex items-center gap-1 text-sm text-green-700">
+              <CheckCircle className="w-4 h-4" />
+              SAP rules met
+            </span>
+          ) : (
+            <span className={`flex items-center gap-1 text-sm ${errorCount > 0 ? 'text-red-700' : 'text-amber-700'}`}>
+              <AlertTriangle className="w-4 h-4" />
+              {errorCount} error(s), {issues.length - errorCount} warning(s)
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="flex rounded-md border border-gray-200 overflow-hidden">
+          <button
+            onClick={() => setView('tree')}
+            className={`flex items-center gap-1 px-3 py-1.5 text-sm ${view === 'tree' ? 'bg-nxsys-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+          >
+            <ListTree className="w-4 h-4" />
+            Tree
+          </button>
+          <button
+            onClick={() => setView('chart')}
+            className={`flex items-center gap-1 px-3 py-1.5 text-sm ${view === 'chart' ? 'bg-nxsys-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+          >
+            <Network className="w-4 h-4" />
+            Org Chart
+          </button>
+        </div>
+        {view === 'chart' && nodes.length > 0 && (
+          <>
+            <button
+              onClick={() => handleDownloadImage('png')}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+            >
+              <Image className="w-4 h-4" />
+              PNG
+            </button>
+            <button
+              onClick={() => handleDownloadImage('svg')}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+            >
+              <Image className="w-4 h-4" />
+              SVG
+            </button>
+          </>
+        )}
+        {can('capture') && (
+          <button
+            onClick={() => setEditing({ mode: 'add', unit: null, parent: null })}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm text-nxsys-600 hover:bg-nxsys-50 rounded-md ml-auto"
+          >
+            <Plus className="w-4 h-4" />
+            Add unit
+          </button>
+        )}
+      </div>
+
+      {editing && (editing.mode === 'links' ? (
+        <LinkForm
+          key={`links-${editing.unit.id}`}
+          unit={editing.unit}
+          nodes={nodes}
+          links={links}
+          types={types}
+          linkTypes={linkTypes}
+          onSave={handleSaveLinks}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <UnitForm
+          key={`${editing.mode}-${editing.unit?.id || editing.parent?.id || 'root'}`}
+          unit={editing.unit}
+          parent={editing.parent}
+          nodes={nodes}
+          types={types}
+          entities={entities}
+          onSave={handleSaveUnit}
+          onCancel={() => setEditing(null)}
+        />
+      ))}
+
+      {nodes.length === 0 ? (
+        <div className="bg-white rounded-lg p-8 shadow-sm border border-gray-100 text-center text-gray-500">
+          <Network className="w-10 h-10 mx-auto text-gray-300 mb-2" />
+          <p>No organizational units yet.</p>
+          <p className="text-sm">
+            Propose them from the Organizational Structure answers of the sessions, or add them by hand.
+          </p>
+        </div>
+      ) : view === 'chart' ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-auto">
+          <OrgChart
+            svgRef={chartRef}
+            nodes={nodes}
+            links={links}
+            types={types}
+            issuesByUnit={issuesByUnit}
+            selectedId={selectedId}
+            onSelect={handleSelect}
+          />
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-100 divide-y divide-gray-100">
+          {nodes.map(node => {
+            const type = typeOf(node.node_type);
+            const unitIssues = issuesByUnit.get(node.id) || [];
+            const childTypes = types.filter(t => t.parents.includes(node.node_type));
+            const canLink = linkTypes.some(link => link.from === node.node_type);
+            return (
+              <div
+                key={node.id}
+                className={`group flex items-start gap-2 px-3 py-2 ${node.id === selectedId ? 'bg-nxsys-50' : 'hover:bg-gray-50'}`}
+                style={{ paddingLeft: `${0.75 + node.depth * 1.5}rem` }}
+                onClick={() => setSelectedId(node.id)}
+              >
+                <span className={`px-1.5 py-0.5 text-xs rounded flex-shrink-0 ${ORG_UNIT_COLORS[node.node_type]?.badge || 'bg-gray-100 text-gray-700'}`}>
+                  {type?.label || node.node_type}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-gray-900">
+                    <span className="font-mono font-semibold">{node.code || '----'}</span> {node.name}
+                    {node.entity_code && <span className="ml-2 px-1 text-xs bg-purple-100 text-purple-700 rounded">{node.entity_code}</span>}
+                    {node.attributes?.currency && <span className="ml-2 text-xs text-gray-500">{node.attributes.currency}</span>}
+                    {node.attributes?.country && <span className="ml-2 text-xs text-gray-500">{node.attributes.country}</span>}
+                    {node.source === 'ai' && <span className="ml-2 px-1 text-[10px] rounded bg-purple-50 text-purple-600">AI</span>}
+                  </p>
+                  {linkLabels(node).length > 0 && (
+                    <p className="text-xs text-gray-600">{linkLabels(node).join(', ')}</p>
+                  )}
+                  {node.description && <p className="text-xs text-gray-500">{node.description}</p>}
+                  {unitIssues.map((issue, index) => (
+                    <p
+                      key={index}
+                      className={`flex items-center gap-1 text-xs ${issue.severity === 'error' ? 'text-red-600' : 'text-amber-700'}`}
+                    >
+                      {issue.severity === 'error' ? <AlertCircle className="w-3 h-3" /> : <AlertTriangle className="w-3 h-3" />}
+                      {issue.message}
+                    </p>
+                  ))}
+                </div>
+                {can('capture') && (
+                  <div className="flex items-center gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity">
+                    {childTypes.length > 0 && (
+                      <button
+                        onClick={() => setEditing({ mode: 'add', unit: null, parent: node })}
+                        title={`Assign a ${childTypes.map(t => t.label).join(' / ')}`}
+                        className="p-1 text-gray-400 hover:text-nxsys-600"
+                      >
+                        <Plus className="w-4 h-4" />
+                      </button>
+                    )}
+                    {canLink && (
+                      <button
+                        onClick={() => setEditing({ mode: 'links', unit: node })}
+                        title="Edit assignments"
+                        className="p-1 text-gray-400 hover:text-nxsys-600"
+                      >
+                        <Link2 className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setEditing({ mode: 'edit', unit: node })}
+                      title="Edit unit"
+                      className="p-1 text-gray-400 hover:text-nxsys-600"
+                    >
+                      <Edit3 className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(node)}
+                      title="Delete unit"
+                      className="p-1 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* SAP rule check */}
+      {issues.length > 0 && (
+        <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-100">
+          <h2 className="text-sm font-semibold text-gray-900 mb-2">SAP rule check</h2>
+          <ul className="space-y-1">
+            {[...issues].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1)).map((issue, index) => (
+              <li key={index}>
+                <button
+                  onClick={() => issue.node_id && setSelectedId(issue.node_id)}
+                  className={`flex items-start gap-1.5 text-left text-sm ${issue.severity === 'error' ? 'text-red-700' : 'text-amber-700'} hover:underline`}
+                >
+                  {issue.severity === 'error'
+                    ? <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                    : <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />}
+                  {issue.message}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EnterpriseStructureView;
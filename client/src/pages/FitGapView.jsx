@@ -0,0 +1,429 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  ArrowLeft,
+  Scale,
+  Download,
+  Loader2,
+  Sparkles,
+  Check,
+  Pencil
+} from 'lucide-react';
+import { getWorkshop, getSessions } from '../services/workshopApi';
+import {
+  getScopeCatalogue,
+  getWorkshopFitGap,
+  analyzeFitGap,
+  updateFitGapResult,
+  getFitGapExcelUrl,
+  FITGAP_CLASSIFICATION_LABELS,
+  FITGAP_CLASSIFICATION_COLORS
+} from '../services/fitgapApi';
+import { useBackgroundJobs } from '../hooks/useBackgroundJobs';
+import { useAuth } from '../context/AuthContext';
+
+const COUNT_COLORS = {
+  fit: 'text-green-600',
+  partial_fit: 'text-amber-600',
+  gap: 'text-red-600'
+};
+
+/**
+ * Form for correcting a result: classification, scope item, entities and rationale
+ */
+function ResultForm({ result, scopeItems, entities, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    classification: result.classification,
+    scope_item_id: result.scope_item_id || '',
+    rationale: result.rationale || '',
+    entity_ids: result.entity_ids || []
+  });
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSave({
+        classification: form.classification,
+        rationale: form.rationale,
+        entity_ids: form.entity_ids,
+        // Scope items can only be picked from the catalogue the result was classified against
+        ...(scopeItems.length > 0 && { scope_item_id: form.scope_item_id || null })
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleEntity = (entityId) => setForm(prev => ({
+    ...prev,
+    entity_ids: prev.entity_ids.includes(entityId)
+      ? prev.entity_ids.filter(id => id !== entityId)
+      : [...prev.entity_ids, entityId]
+  }));
+
+  const inputClass = 'w-full px-2 py-1.5 text-sm border rounded focus:ring-1 focus:ring-nxsys-500 focus:border-nxsys-500';
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 p-3 bg-gray-50 border rounded-lg space-y-2">
+      <div className="flex gap-2">
+        <select
+          value={form.classification}
+          onChange={(e) => setForm({ ...form, classification: e.target.value })}
+          className={`${inputClass} w-36`}
+        >
+          {Object.entries(FITGAP_CLASSIFICATION_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        {scopeItems.length > 0 && (
+          <select
+            value={form.scope_item_id}
+            onChange={(e) => setForm({ ...form, scope_item_id: e.target.value ? parseInt(e.target.value) : '' })}
+            className={inputClass}
+          >
+            <option value="">No scope item</option>
+            {scopeItems.map(item => (
+              <option key={item.id} value={item.id}>{item.code} {item.name} ({item.sap_module || 'cross-module'})</option>
+            ))}
+          </select>
+        )}
+      </div>
+      <textarea
+        value={form.rationale}
+        onChange={(e) => setForm({ ...form, rationale: e.target.value })}
+        placeholder="Rationale"
+        rows={2}
+        className={inputClass}
+      />
+      {entities.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <span className="text-gray-500">Entities:</span>
+          {entities.map(entity => (
+            <label key={entity.id} className="flex items-center gap-1">
+              <input type="checkbox" checked={form.entity_ids.includes(entity.id)} onChange={() => toggleEntity(entity.id)} />
+              {entity.code}
+            </label>
+          ))}
+          <span className="text-xs text-gray-400">(none = all entities)</span>
+        </div>
+      )}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 text-sm bg-nxsys-500 text-white rounded hover:bg-nxsys-600 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Fit-gap analysis of a workshop: every session's findings and answers classified as
+ * fit, partial fit or gap against the SAP scope item catalogue, with the matrix per
+ * module and entity.
+ */
+function FitGapView() {
+  const { can } = useAuth();
+  const { workshopId } = useParams();
+  const [workshop, setWorkshop] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [catalogue, setCatalogue] = useState(null);
+  const [data, setData] = useState({ results: [], entities: [], matrix: { columns: [], rows: [] } });
+  const [loading, setLoading] = useState(true);
+  const [sessionFilter, setSessionFilter] = useState('');
+  const [entityFilter, setEntityFilter] = useState('');
+  const [moduleFilter, setModuleFilter] = useState('');
+  const [classificationFilter, setClassificationFilter] = useState('');
+  const [editingId, setEditingId] = useState(null);
+
+  const analysisJobs = useBackgroundJobs(
+    { workshopId, types: ['fitgap_analysis'] },
+    { onFinished: ([job]) => handleAnalysisFinished(job) }
+  );
+  const analyzing = analysisJobs.running;
+  const analysisJob = analysisJobs.jobs[0];
+
+  useEffect(() => {
+    loadData();
+  }, [workshopId, sessionFilter]);
+
+  const loadData = async () => {
+    try {
+      const [workshopRes, sessionsRes, catalogueRes, fitGapRes] = await Promise.all([
+        getWorkshop(workshopId),
+        getSessions(workshopId),
+        getScopeCatalogue(),
+        getWorkshopFitGap(workshopId, { sessionId: sessionFilter || undefined })
+      ]);
+      setWorkshop(workshopRes.data);
+      setSessions(sessionsRes.data);
+      setCatalogue(catalogueRes.data);
+      setData(fitGapRes.data);
+    } catch (error) {
+      console.error('Failed to load fit-gap analysis:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAnalyze = async () => {
+    try {
+      const response = await analyzeFitGap(workshopId, sessionFilter || null);
+      analysisJobs.track(response.data.job);
+    } catch (error) {
+      console.error('Failed to start fit-gap analysis:', error);
+      alert('Failed to start the fit-gap analysis: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleAnalysisFinished = async (job) => {
+    if (job?.status === 'failed') {
+      alert('Fit-gap analysis failed: ' + job.error);
+    }
+    await loadData();
+  };
+
+  const handleUpdate = async (resultId, changes) => {
+    try {
+      await updateFitGapResult(workshopId, resultId, changes);
+      setEditingId(null);
+      await loadData();
+    } catch (error) {
+      console.error('Failed to update fit-gap result:', error);
+      alert('Failed to update the result: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const selectCell = (module, entityId) => {
+    setModuleFilter(module);
+    setEntityFilter(entityId === 'all' ? '' : String(entityId));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[200px]">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-nxsys-500"></div>
+      </div>
+    );
+  }
+
+  if (!workshop) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500">Workshop not found.</p>
+        <Link to="/" className="text-nxsys-500 hover:underline mt-2 inline-block">
+          Back to Workshops
+        </Link>
+      </div>
+    );
+  }
+
+  const { results, entities, matrix } = data;
+  const entityCodes = (ids) => (ids || []).length === 0
+    ? 'All entities'
+    : entities.filter(entity => ids.includes(entity.id)).map(entity => entity.code).join(', ');
+  const shown = results.filter(result =>
+    (!moduleFilter || (result.sap_module || 'Other') === moduleFilter) &&
+    (!classificationFilter || result.classification === classificationFilter) &&
+    (!entityFilter || (result.entity_ids || []).length === 0 || result.entity_ids.includes(parseInt(entityFilter)))
+  );
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center space-x-4">
+          <Link
+            to={`/workshop/${workshopId}`}
+            className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-md transition-colors"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <div>
+            <h1 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+              <Scale className="w-5 h-5 text-nxsys-500" />
+              Fit-Gap Analysis
+            </h1>
+            <p className="text-sm text-gray-500">
+              {workshop.name} - requirements against SAP S/4HANA scope items
+              {catalogue && <span className="text-gray-400"> (catalogue {catalogue.version}, {catalogue.item_count} scope items)</span>}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <a
+            href={getFitGapExcelUrl(workshopId, entityFilter)}
+            className="flex items-center gap-1.5 px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+          >
+            <Download className="w-4 h-4" />
+            Export Excel
+          </a>
+          {can('manage') && (
+            <button
+              onClick={handleAnalyze}
+              disabled={analyzing}
+              className="flex items-center gap-1.5 px-3 py-2 text-sm bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600 disabled:opacity-50"
+            >
+              {analyzing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+              {sessionFilter ? 'Classify this session' : 'Classify all sessions'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {analyzing && (
+        <p className="text-sm text-nxsys-600 flex items-center gap-1">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          {analysisJob?.status === 'queued' ? 'Waiting in queue...' : analysisJob?.progress_message || 'Classifying requirements...'}
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={sessionFilter} onChange={(e) => setSessionFilter(e.target.value)} className="px-2 py-1.5 text-sm border rounded">
+          <option value="">All sessions</option>
+          {sessions.map(session => (
+            <option key={session.id} value={session.id}>Session {session.session_number}: {session.name}</option>
+          ))}
+        </select>
+        {entities.length > 0 && (
+          <select value={entityFilter} onChange={(e) => setEntityFilter(e.target.value)} className="px-2 py-1.5 text-sm border rounded">
+            <option value="">All entities</option>
+            {entities.map(entity => <option key={entity.id} value={entity.id}>{entity.code} - {entity.name}</option>)}
+          </select>
+        )}
+        <select value={moduleFilter} onChange={(e) => setModuleFilter(e.target.value)} className="px-2 py-1.5 text-sm border rounded">
+          <option value="">All modules</option>
+          {matrix.rows.map(row => <option key={row.sap_module} value={row.sap_module}>{row.sap_module}</option>)}
+        </select>
+        <select value={classificationFilter} onChange={(e) => setClassificationFilter(e.target.value)} className="px-2 py-1.5 text-sm border rounded">
+          <option value="">All classifications</option>
+          {Object.entries(FITGAP_CLASSIFICATION_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+
+      {/* Matrix per module and entity */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-x-auto">
+        {matrix.rows.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500 text-center">
+            No requirements classified yet. Classify the sessions once findings and checklist answers have been captured.
+          </p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b bg-gray-50">
+                <th className="px-3 py-2 text-left font-medium text-gray-600">SAP Module</th>
+                {matrix.columns.map(column => (
+                  <th key={column.id} title={column.name} className="px-3 py-2 text-center font-medium text-gray-600">{column.code}</th>
+                ))}
+                <th className="px-3 py-2 text-center font-medium text-gray-600">Total</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {matrix.rows.map(row => (
+                <tr key={row.sap_module}>
+                  <td className="px-3 py-2 font-medium text-gray-900">{row.sap_module}</td>
+                  {matrix.columns.map(column => (
+                    <td key={column.id} className="px-3 py-2 text-center">
+                      <button
+                        onClick={() => selectCell(row.sap_module, column.id)}
+                        title="Show these requirements"
+                        className="px-2 py-0.5 rounded hover:bg-gray-100 font-mono"
+                      >
+                        {Object.keys(FITGAP_CLASSIFICATION_LABELS).map((key, idx) => (
+                          <span key={key}>
+                            {idx > 0 && <span className="text-gray-300"> / </span>}
+                            <span className={row.cells[column.id][key] > 0 ? COUNT_COLORS[key] : 'text-gray-300'}>
+                              {row.cells[column.id][key]}
+                            </span>
+                          </span>
+                        ))}
+                      </button>
+                    </td>
+                  ))}
+                  <td className="px-3 py-2 text-center text-gray-700">
+                    {row.total.total > 0 ? `${Math.round((row.total.fit / row.total.total) * 100)}% fit` : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {matrix.rows.length > 0 && (
+          <p className="px-3 py-2 text-xs text-gray-400 border-t">
+            Fit / Partial Fit / Gap per entity. Requirements without entities count for every entity.
+          </p>
+        )}
+      </div>
+
+      {/* Classified requirements */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 divide-y divide-gray-100">
+        {results.length > 0 && shown.length === 0 && (
+          <p className="p-6 text-sm text-gray-500 text-center">No requirements match the filters.</p>
+        )}
+
+        {shown.map(result => (
+          <div key={result.id} className="p-4">
+            <div className="flex items-start gap-3">
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2 flex-wrap">
+                  <span className={`px-2 py-0.5 text-xs rounded ${FITGAP_CLASSIFICATION_COLORS[result.classification]}`}>
+                    {FITGAP_CLASSIFICATION_LABELS[result.classification]}
+                  </span>
+                  {result.scope_item_code && (
+                    <span className="px-2 py-0.5 text-xs rounded bg-indigo-50 text-indigo-700" title={result.scope_item_name}>
+                      {result.scope_item_code} {result.scope_item_name}
+                    </span>
+                  )}
+                  {result.sap_module && <span className="text-xs text-blue-600">{result.sap_module}</span>}
+                  <span className="font-medium text-gray-900">{result.requirement}</span>
+                </div>
+                {result.detail && <p className="text-sm text-gray-600 mt-1">{result.detail}</p>}
+                {result.rationale && <p className="text-sm text-gray-500 mt-1">Why: {result.rationale}</p>}
+                <p className="text-xs text-gray-400 mt-1">
+                  {result.source_type === 'finding' ? 'Finding' : 'Checklist answer'} · Session {result.session_number}: {result.session_name}
+                  {` · ${entityCodes(result.entity_ids)}`}
+                  {result.reviewed_by ? ` · reviewed by ${result.reviewed_by}` : ' · not reviewed'}
+                </p>
+              </div>
+
+              {can('capture') && editingId !== result.id && (
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  {!result.reviewed_by && (
+                    <button
+                      onClick={() => handleUpdate(result.id, { classification: result.classification })}
+                      title="Confirm"
+                      className="p-1.5 text-green-600 hover:bg-green-50 rounded"
+                    >
+                      <Check className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button onClick={() => setEditingId(result.id)} title="Edit" className="p-1.5 text-gray-500 hover:bg-gray-100 rounded">
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {editingId === result.id && (
+              <ResultForm
+                result={result}
+                scopeItems={catalogue && result.catalogue_id === catalogue.id ? catalogue.items : []}
+                entities={entities}
+                onSave={(changes) => handleUpdate(result.id, changes)}
+                onCancel={() => setEditingId(null)}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default FitGapView;
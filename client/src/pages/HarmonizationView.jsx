@@ -0,0 +1,436 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  ArrowLeft,
+  GitCompare,
+  Download,
+  Loader2,
+  Sparkles,
+  Edit3,
+  Save,
+  X,
+  Hash
+} from 'lucide-react';
+import { getWorkshop, getSessions } from '../services/workshopApi';
+import {
+  getHarmonization,
+  analyzeHarmonization,
+  saveEntityAnswer,
+  saveHarmonizationDecision,
+  getHarmonizationExcelUrl,
+  getWorkshopValues,
+  getWorkshopValuesExcelUrl,
+  HARMONIZATION_FLAG_LABELS,
+  HARMONIZATION_FLAG_COLORS,
+  HARMONIZATION_DECISION_LABELS
+} from '../services/harmonizationApi';
+import { useBackgroundJobs } from '../hooks/useBackgroundJobs';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * One entity's answer on a checklist item, editable in place
+ */
+function EntityAnswerCell({ answer, canEdit, onSave }) {
+  const [editing, setEditing] = useState(false);
+  const [text, setText] = useState(answer?.answer_text || '');
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(text);
+      setEditing(false);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (editing) {
+    return (
+      <div>
+        <textarea
+          autoFocus
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={3}
+          placeholder="Answer for this entity (empty removes it)"
+          className="w-full px-2 py-1 text-sm border rounded focus:ring-1 focus:ring-nxsys-500 focus:border-nxsys-500"
+        />
+        <div className="flex items-center gap-1 mt-1">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex items-center gap-1 px-2 py-0.5 text-xs bg-nxsys-500 text-white rounded hover:bg-nxsys-600 disabled:opacity-50"
+          >
+            {saving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Save className="w-3 h-3" />}
+            Save
+          </button>
+          <button
+            onClick={() => { setText(answer?.answer_text || ''); setEditing(false); }}
+            className="flex items-center gap-1 px-2 py-0.5 text-xs text-gray-600 hover:bg-gray-100 rounded"
+          >
+            <X className="w-3 h-3" />
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="group relative pr-5">
+      {answer ? (
+        <p dir="auto" className="text-sm text-gray-700 whitespace-pre-wrap">
+          {answer.answer_text}
+          {answer.source === 'ai' && <span className="ml-1 px-1 text-[10px] rounded bg-purple-50 text-purple-600">AI</span>}
+        </p>
+      ) : (
+        <p className="text-sm text-gray-300">-</p>
+      )}
+      {canEdit && (
+        <button
+          onClick={() => setEditing(true)}
+          title={answer ? 'Edit answer' : 'Add answer'}
+          className="absolute top-0 right-0 p-0.5 text-gray-400 hover:text-nxsys-600 opacity-0 group-hover:opacity-100 transition-opacity"
+        >
+          <Edit3 className="w-3.5 h-3.5" />
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Cross-entity harmonization of a workshop: each entity's answer on the checklist items
+ * side by side per design topic, flagged where the entities diverge, with the global
+ * template / local variant decision.
+ */
+function HarmonizationView() {
+  const { can } = useAuth();
+  const { workshopId } = useParams();
+  const [workshop, setWorkshop] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [data, setData] = useState({ entities: [], topics: [], stats: { items: 0, flags: {}, decisions: {} } });
+  const [loading, setLoading] = useState(true);
+  const [sessionFilter, setSessionFilter] = useState('');
+  const [flagFilter, setFlagFilter] = useState('');
+  const [openDecisionsOnly, setOpenDecisionsOnly] = useState(false);
+  const [values, setValues] = useState([]); // Structured values of all sessions side by side per entity
+
+  const analysisJobs = useBackgroundJobs(
+    { workshopId, types: ['entity_harmonization'] },
+    { onFinished: ([job]) => handleAnalysisFinished(job) }
+  );
+  const analyzing = analysisJobs.running;
+  const analysisJob = analysisJobs.jobs[0];
+
+  useEffect(() => {
+    loadData();
+  }, [workshopId, sessionFilter]);
+
+  const loadData = async () => {
+    try {
+      const [workshopRes, sessionsRes, harmonizationRes, valuesRes] = await Promise.all([
+        getWorkshop(workshopId),
+        getSessions(workshopId),
+        getHarmonization(workshopId, { sessionId: sessionFilter || undefined }),
+        getWorkshopValues(workshopId).catch(() => ({ data: { values: [] } }))
+      ]);
+      setWorkshop(workshopRes.data);
+      setSessions(sessionsRes.data);
+      setData(harmonizationRes.data);
+      setValues(valuesRes.data.values);
+    } catch (error) {
+      console.error('Failed to load harmonization:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAnalyze = async () => {
+    try {
+      const response = await analyzeHarmonization(workshopId, sessionFilter || null);
+      analysisJobs.track(response.data.job);
+    } catch (error) {
+      console.error('Failed to start harmonization analysis:', error);
+      alert('Failed to compare the entities: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleAnalysisFinished = async (job) => {
+    if (job?.status === 'failed') {
+      alert('Harmonization analysis failed: ' + job.error);
+    }
+    await loadData();
+  };
+
+  const handleSaveAnswer = async (itemId, entityId, text) => {
+    try {
+      await saveEntityAnswer(workshopId, itemId, entityId, text);
+      await loadData();
+    } catch (error) {
+      console.error('Failed to save entity answer:', error);
+      alert('Failed to save the answer: ' + (error.response?.data?.error || error.message));
+      throw error;
+    }
+  };
+
+  const handleDecision = async (item, decision) => {
+    try {
+      const next = item.decision === decision ? null : decision;
+      const note = next ? window.prompt('Note on this decision (optional)', item.decision_note || '') : null;
+      await saveHarmonizationDecision(workshopId, item.id, next, note);
+      await loadData();
+    } catch (error) {
+      console.error('Failed to save harmonization decision:', error);
+      alert('Failed to save the decision: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[200px]">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-nxsys-500"></div>
+      </div>
+    );
+  }
+
+  if (!workshop) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500">Workshop not found.</p>
+        <Link to="/" className="text-nxsys-500 hover:underline mt-2 inline-block">
+          Back to Workshops
+        </Link>
+      </div>
+    );
+  }
+
+  const { entities, topics, stats } = data;
+  const shownTopics = topics
+    .map(topic => ({
+      ...topic,
+      items: topic.items.filter(item =>
+        (!flagFilter || item.flag === flagFilter) && (!openDecisionsOnly || !item.decision)
+      )
+    }))
+    .filter(topic => topic.items.length > 0);
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center space-x-4">
+          <Link
+            to={`/workshop/${workshopId}`}
+            className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-md transition-colors"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <div>
+            <h1 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+              <GitCompare className="w-5 h-5 text-nxsys-500" />
+              Entity Harmonization
+            </h1>
+            <p className="text-sm text-gray-500">
+              {workshop.name} - how {entities.map(entity => entity.code).join(', ') || 'the entities'} answer each design topic.
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <a
+            href={getHarmonizationExcelUrl(workshopId, sessionFilter)}
+            className="flex items-center gap-1.5 px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+          >
+            <Download className="w-4 h-4" />
+            Export Excel
+          </a>
+          {can('manage') && entities.length >= 2 && (
+            <button
+              onClick={handleAnalyze}
+              disabled={analyzing}
+              className="flex items-center gap-1.5 px-3 py-2 text-sm bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600 disabled:opacity-50"
+            >
+              {analyzing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+              {sessionFilter ? 'Compare this session' : 'Compare all sessions'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {analyzing && (
+        <p className="text-sm text-nxsys-600 flex items-center gap-1">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          {analysisJob?.status === 'queued' ? 'Waiting in queue...' : analysisJob?.progress_message || 'Comparing the entities...'}
+        </p>
+      )}
+
+      {entities.length < 2 && (
+        <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+          Harmonization compares the answers of several entities. Add at least two entities to this workshop in Setup.
+        </div>
+      )}
+
+      {/* Flags and decisions */}
+      <div className="bg-white rounded-lg p-3 shadow-sm border border-gray-100 flex flex-wrap items-center gap-x-6 gap-y-2">
+        {['divergent', 'minor', 'aligned', 'not_assessed', 'incomplete'].map(flag => (
+          <div key={flag} className="flex items-center space-x-2">
+            <span className="text-sm text-gray-500">{HARMONIZATION_FLAG_LABELS[flag]}:</span>
+            <span className="font-bold text-gray-900">{stats.flags[flag] || 0}</span>
+          </div>
+        ))}
+        <div className="flex items-center space-x-2 ml-auto">
+          <span className="text-sm text-gray-500">Decided:</span>
+          <span className="font-bold text-gray-900">
+            {(stats.decisions.global || 0) + (stats.decisions.local || 0)} / {stats.items}
+          </span>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={sessionFilter} onChange={(e) => setSessionFilter(e.target.value)} className="px-2 py-1.5 text-sm border rounded">
+          <option value="">All sessions</option>
+          {sessions.map(session => (
+            <option key={session.id} value={session.id}>Session {session.session_number}: {session.name}</option>
+          ))}
+        </select>
+        <select value={flagFilter} onChange={(e) => setFlagFilter(e.target.value)} className="px-2 py-1.5 text-sm border rounded">
+          <option value="">All flags</option>
+          {Object.entries(HARMONIZATION_FLAG_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <label className="flex items-center gap-1 text-sm text-gray-600">
+          <input type="checkbox" checked={openDecisionsOnly} onChange={(e) => setOpenDecisionsOnly(e.target.checked)} />
+          Undecided only
+        </label>
+      </div>
+
+      {/* Structured values (counts, lists, thresholds ...) per entity */}
+      {values.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-x-auto">
+          <div className="px-4 py-2 border-b bg-gray-50 flex items-center justify-between">
+            <h2 className="text-sm font-semibold text-gray-900 flex items-center gap-1.5">
+              <Hash className="w-4 h-4 text-gray-400" />
+              Structured values
+              <span className="text-xs font-normal text-gray-500">
+                {values.filter(value => value.divergent).length} of {values.length} differ between entities
+              </span>
+            </h2>
+            <a
+              href={getWorkshopValuesExcelUrl(workshopId)}
+              className="flex items-center gap-1 text-xs text-gray-600 hover:text-gray-900"
+            >
+              <Download className="w-3.5 h-3.5" />
+              Excel
+            </a>
+          </div>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="px-3 py-2 text-left font-medium text-gray-600 w-64">Value</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-600 min-w-[10rem]">All entities</th>
+                {entities.map(entity => (
+                  <th key={entity.id} title={entity.name} className="px-3 py-2 text-left font-medium text-gray-600 min-w-[10rem]">{entity.code}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 align-top">
+              {values.map(value => (
+                <tr key={value.key} className={value.divergent ? 'bg-red-50/40' : ''}>
+                  <td className="px-3 py-2">
+                    <p className="font-medium text-gray-900">{value.label}</p>
+                    <p className="text-xs text-gray-400">{value.sessions.join(', ')}</p>
+                    {value.divergent && (
+                      <span className={`inline-block mt-1 px-2 py-0.5 text-xs rounded ${HARMONIZATION_FLAG_COLORS.divergent}`}>
+                        {HARMONIZATION_FLAG_LABELS.divergent}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-gray-700">{value.general.join(' | ') || <span className="text-gray-300">-</span>}</td>
+                  {entities.map(entity => (
+                    <td key={entity.id} className="px-3 py-2 text-gray-700">
+                      {(value.byEntity[entity.id] || []).join(' | ') || <span className="text-gray-300">-</span>}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {shownTopics.length === 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6 text-sm text-gray-500 text-center">
+          {stats.items === 0
+            ? 'No checklist answers yet. Entity answers can be compared once sessions have obtained checklist items.'
+            : 'No checklist items match the filters.'}
+        </div>
+      )}
+
+      {shownTopics.map(topic => (
+        <div key={`${topic.session_id}:${topic.topic}`} className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-x-auto">
+          <div className="px-4 py-2 border-b bg-gray-50">
+            <h2 className="text-sm font-semibold text-gray-900">{topic.topic}</h2>
+            <p className="text-xs text-gray-500">Session {topic.session_number}: {topic.session_name}</p>
+          </div>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="px-3 py-2 text-left font-medium text-gray-600 w-64">Checklist item</th>
+                {entities.map(entity => (
+                  <th key={entity.id} title={entity.name} className="px-3 py-2 text-left font-medium text-gray-600 min-w-[12rem]">{entity.code}</th>
+                ))}
+                <th className="px-3 py-2 text-left font-medium text-gray-600 w-56">Harmonization</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 align-top">
+              {topic.items.map(item => (
+                <tr key={item.id}>
+                  <td className="px-3 py-2">
+                    <p className="font-medium text-gray-900">{item.item_text}</p>
+                    {item.obtained_text && <p dir="auto" className="text-xs text-gray-500 mt-1">{item.obtained_text}</p>}
+                  </td>
+                  {entities.map(entity => (
+                    <td key={entity.id} className="px-3 py-2">
+                      <EntityAnswerCell
+                        key={item.entity_answers.find(answer => answer.entity_id === entity.id)?.updated_at || 'empty'}
+                        answer={item.entity_answers.find(answer => answer.entity_id === entity.id)}
+                        canEdit={can('capture')}
+                        onSave={(text) => handleSaveAnswer(item.id, entity.id, text)}
+                      />
+                    </td>
+                  ))}
+                  <td className="px-3 py-2 space-y-1">
+                    <span className={`inline-block px-2 py-0.5 text-xs rounded ${HARMONIZATION_FLAG_COLORS[item.flag]}`}>
+                      {HARMONIZATION_FLAG_LABELS[item.flag]}
+                    </span>
+                    {item.summary && item.flag !== 'aligned' && <p className="text-xs text-gray-600">{item.summary}</p>}
+                    <div className="flex items-center gap-1">
+                      {Object.entries(HARMONIZATION_DECISION_LABELS).map(([decision, label]) => (
+                        <button
+                          key={decision}
+                          onClick={() => handleDecision(item, decision)}
+                          disabled={!can('capture')}
+                          className={`px-2 py-0.5 text-xs rounded border transition-colors disabled:cursor-default ${
+                            item.decision === decision
+                              ? 'bg-nxsys-500 text-white border-nxsys-500'
+                              : 'text-gray-600 border-gray-200 hover:bg-gray-50'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    {item.decision_note && <p className="text-xs text-gray-500 italic">{item.decision_note}</p>}
+                    {item.decided_by && <p className="text-[11px] text-gray-400">Decided by {item.decided_by}</p>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default HarmonizationView;
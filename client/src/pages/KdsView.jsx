@@ -0,0 +1,367 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  ArrowLeft,
+  FileText,
+  Download,
+  Loader2,
+  RefreshCw,
+  AlertTriangle,
+  CheckCircle,
+  MessageSquare
+} from 'lucide-react';
+import { getWorkshop } from '../services/workshopApi';
+import {
+  getWorkshopKds,
+  getKds,
+  generateKds,
+  getKdsDocxUrl,
+  KDS_STATUS_LABELS,
+  KDS_STATUS_COLORS
+} from '../services/kdsApi';
+import { isJobActive } from '../services/jobsApi';
+import { useBackgroundJobs } from '../hooks/useBackgroundJobs';
+import { useAuth } from '../context/AuthContext';
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-0.5 text-xs rounded whitespace-nowrap ${KDS_STATUS_COLORS[status] || 'bg-gray-100 text-gray-600'}`}>
+    {KDS_STATUS_LABELS[status] || status}
+  </span>
+);
+
+const MissingItems = ({ items }) => (
+  <ul className="mt-1 space-y-0.5">
+    {items.map(item => (
+      <li key={item.id} className="text-sm text-red-700">
+        {item.text}
+        <span className="text-xs text-gray-400 ml-1">({item.importance}{item.category ? `, ${item.category}` : ''})</span>
+      </li>
+    ))}
+  </ul>
+);
+
+/**
+ * Key Design Specifications of a workshop: one per module, generated from the obtained
+ * checklist items, findings and decisions of the module's sessions and exported to Word.
+ */
+function KdsView() {
+  const { can } = useAuth();
+  const { workshopId } = useParams();
+  const [workshop, setWorkshop] = useState(null);
+  const [modules, setModules] = useState([]);
+  const [selectedModule, setSelectedModule] = useState(null);
+  const [kds, setKds] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingKds, setLoadingKds] = useState(false);
+  const [startedModules, setStartedModules] = useState({}); // jobId -> module
+
+  const kdsJobs = useBackgroundJobs(
+    { workshopId, types: ['kds_generation'] },
+    { onFinished: (jobs) => handleJobsFinished(jobs) }
+  );
+
+  // Module of a job: known when started here, otherwise reported with its progress
+  const jobModule = (job) => startedModules[job.id] || job.progress_details?.module;
+  const activeJobFor = (module) => kdsJobs.jobs.find(job => isJobActive(job) && jobModule(job) === module);
+
+  useEffect(() => {
+    loadData();
+  }, [workshopId]);
+
+  useEffect(() => {
+    if (selectedModule) loadKds(selectedModule);
+  }, [selectedModule]);
+
+  const loadData = async () => {
+    try {
+      const [workshopRes, kdsRes] = await Promise.all([
+        getWorkshop(workshopId),
+        getWorkshopKds(workshopId)
+      ]);
+      setWorkshop(workshopRes.data);
+      setModules(kdsRes.data);
+      if (!selectedModule && kdsRes.data.length > 0) {
+        setSelectedModule(kdsRes.data[0].module);
+      }
+    } catch (error) {
+      console.error('Failed to load KDS documents:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadKds = async (module) => {
+    setLoadingKds(true);
+    try {
+      const response = await getKds(workshopId, module);
+      setKds(response.data);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error('Failed to load KDS:', error);
+      }
+      setKds(null);
+    } finally {
+      setLoadingKds(false);
+    }
+  };
+
+  const handleGenerate = async (module) => {
+    try {
+      const response = await generateKds(workshopId, module);
+      const { job } = response.data;
+      setStartedModules(prev => ({ ...prev, [job.id]: module }));
+      kdsJobs.attach(job);
+    } catch (error) {
+      console.error('Failed to start KDS generation:', error);
+      alert('Failed to generate KDS: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleJobsFinished = async (jobs) => {
+    const failed = jobs.filter(job => job.status === 'failed');
+    if (failed.length > 0) {
+      alert('KDS generation failed: ' + failed.map(job => job.error).join('\n'));
+    }
+    await loadData();
+    if (selectedModule) await loadKds(selectedModule);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[200px]">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-nxsys-500"></div>
+      </div>
+    );
+  }
+
+  if (!workshop) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500">Workshop not found.</p>
+        <Link to="/" className="text-nxsys-500 hover:underline mt-2 inline-block">
+          Back to Workshops
+        </Link>
+      </div>
+    );
+  }
+
+  const content = kds?.content;
+  const selectedJob = selectedModule && activeJobFor(selectedModule);
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="flex items-center space-x-4">
+        <Link
+          to={`/workshop/${workshopId}`}
+          className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-md transition-colors"
+        >
+          <ArrowLeft className="w-5 h-5" />
+        </Link>
+        <div>
+          <h1 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+            <FileText className="w-5 h-5 text-nxsys-500" />
+            Key Design Specifications
+          </h1>
+          <p className="text-sm text-gray-500">
+            {workshop.name} - one KDS per module, built from the obtained checklist items, findings and decisions of its sessions.
+          </p>
+        </div>
+      </div>
+
+      {modules.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-8 text-center text-gray-500">
+          No sessions created yet.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+          {/* Modules */}
+          <div className="space-y-2">
+            {modules.map(module => {
+              const job = activeJobFor(module.module);
+              return (
+                <button
+                  key={module.module}
+                  onClick={() => setSelectedModule(module.module)}
+                  className={`w-full text-left bg-white rounded-lg shadow-sm border p-3 transition-colors ${
+                    selectedModule === module.module ? 'border-nxsys-500' : 'border-gray-100 hover:border-gray-300'
+                  }`}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-medium text-gray-900">{module.module}</span>
+                    {job ? (
+                      <Loader2 className="w-4 h-4 animate-spin text-nxsys-500" />
+                    ) : module.version ? (
+                      <span className="text-xs text-gray-400">v{module.version}</span>
+                    ) : null}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-0.5">
+                    {module.session_count} session{module.session_count === 1 ? '' : 's'}
+                    {module.generated_at ? ` · ${new Date(module.generated_at).toLocaleDateString()}` : ' · not generated'}
+                  </p>
+                  {module.section_status && (
+                    <div className="flex gap-1 mt-2">
+                      {module.section_status.map(section => (
+                        <span
+                          key={section.key}
+                          title={`${section.title}: ${KDS_STATUS_LABELS[section.status]}`}
+                          className={`h-1.5 flex-1 rounded ${
+                            section.status === 'complete' ? 'bg-green-500' : section.status === 'partial' ? 'bg-amber-400' : 'bg-red-400'
+                          }`}
+                        />
+                      ))}
+                    </div>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+
+          {/* Selected KDS */}
+          <div className="lg:col-span-3 space-y-4">
+            <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-4 flex items-center justify-between gap-3">
+              <div className="min-w-0">
+                <h2 className="font-semibold text-gray-900">{content?.title || `Key Design Specification - ${selectedModule}`}</h2>
+                {kds ? (
+                  <p className="text-xs text-gray-500">
+                    v{kds.version} · generated {new Date(kds.generated_at).toLocaleString()}
+                    {kds.generated_by && ` by ${kds.generated_by}`}
+                    {kds.source_counts && ` · ${kds.source_counts.obtained} obtained items, ${kds.source_counts.findings} findings, ${kds.source_counts.missing} open items`}
+                  </p>
+                ) : (
+                  <p className="text-xs text-gray-500">Not generated yet.</p>
+                )}
+                {selectedJob && (
+                  <p className="text-xs text-nxsys-600 mt-1 flex items-center gap-1">
+                    <Loader2 className="w-3 h-3 animate-spin" />
+                    {selectedJob.status === 'queued' ? 'Waiting in queue...' : selectedJob.progress_message || 'Generating...'}
+                  </p>
+                )}
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                {kds && (
+                  <a
+                    href={getKdsDocxUrl(workshopId, selectedModule)}
+                    className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+                  >
+                    <Download className="w-4 h-4" />
+                    Export DOCX
+                  </a>
+                )}
+                {can('manage') && (
+                  <button
+                    onClick={() => handleGenerate(selectedModule)}
+                    disabled={!!selectedJob}
+                    className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600 disabled:opacity-50"
+                  >
+                    {selectedJob ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+                    {kds ? 'Regenerate' : 'Generate'}
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {loadingKds ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+              </div>
+            ) : content && (
+              <>
+                <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-4">
+                  <h3 className="text-sm font-semibold text-gray-900 mb-1">Summary</h3>
+                  {content.summary ? (
+                    <p className="text-sm text-gray-700 whitespace-pre-line">{content.summary}</p>
+                  ) : (
+                    <p className="text-sm text-red-600">No design information has been captured for this module yet.</p>
+                  )}
+                  {content.decisions.length > 0 && (
+                    <>
+                      <h3 className="text-sm font-semibold text-gray-900 mt-3 mb-1">Key design decisions</h3>
+                      <ul className="space-y-1">
+                        {content.decisions.map((d, index) => (
+                          <li key={index} className="text-sm text-gray-700 flex gap-2">
+                            <CheckCircle className="w-4 h-4 text-green-500 flex-shrink-0 mt-0.5" />
+                            <span><span className="text-gray-500">{d.section} / {d.topic}:</span> {d.decision}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </div>
+
+                {content.sections.map((section, index) => (
+                  <div key={section.key} className="bg-white rounded-lg shadow-sm border border-gray-100 p-4">
+                    <div className="flex items-center justify-between gap-2">
+                      <h3 className="font-semibold text-gray-900">{index + 1}. {section.title}</h3>
+                      <StatusBadge status={section.status} />
+                    </div>
+                    <p className="text-xs text-gray-400 mt-0.5">{section.focus}</p>
+
+                    {section.subsections.length === 0 && (
+                      <p className="text-sm text-red-600 mt-2 flex items-center gap-1">
+                        <AlertTriangle className="w-4 h-4" />
+                        Nothing has been captured for this section.
+                      </p>
+                    )}
+
+                    {section.subsections.map((subsection, subIndex) => (
+                      <div key={subIndex} className="mt-3 pl-3 border-l-2 border-gray-100">
+                        <div className="flex items-center gap-2">
+                          <h4 className="text-sm font-medium text-gray-900">{index + 1}.{subIndex + 1} {subsection.title}</h4>
+                          {subsection.status !== 'complete' && <StatusBadge status={subsection.status} />}
+                        </div>
+                        <p className="text-sm text-gray-700 whitespace-pre-line mt-1">{subsection.content}</p>
+                        {subsection.decisions.length > 0 && (
+                          <ul className="mt-1 space-y-0.5">
+                            {subsection.decisions.map((decision, i) => (
+                              <li key={i} className="text-sm text-green-700 flex gap-1.5">
+                                <CheckCircle className="w-3.5 h-3.5 flex-shrink-0 mt-0.5" />
+                                {decision}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                        {subsection.open_points.length > 0 && (
+                          <ul className="mt-1 space-y-0.5">
+                            {subsection.open_points.map((point, i) => (
+                              <li key={i} className="text-sm text-amber-700 flex gap-1.5">
+                                <MessageSquare className="w-3.5 h-3.5 flex-shrink-0 mt-0.5" />
+                                {point}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                        {subsection.sources.length > 0 && (
+                          <p className="text-xs text-gray-400 mt-1">
+                            Sources: {subsection.sources.map(source =>
+                              `${source.text}${source.evidence ? ` (${source.evidence})` : ''}`).join('; ')}
+                          </p>
+                        )}
+                      </div>
+                    ))}
+
+                    {section.missing_items.length > 0 && (
+                      <div className="mt-3 p-2 bg-red-50 rounded">
+                        <p className="text-xs font-medium text-red-800">Information still required</p>
+                        <MissingItems items={section.missing_items} />
+                      </div>
+                    )}
+                  </div>
+                ))}
+
+                {content.unassigned_missing_items.length > 0 && (
+                  <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-4">
+                    <h3 className="text-sm font-semibold text-gray-900">Other open checklist items</h3>
+                    <MissingItems items={content.unassigned_missing_items} />
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default KdsView;
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import { Mail, Key, LogIn, Loader2 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+function Login() {
+  const { user, login } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loginError, setLoginError] = useState('');
+  const [loginLoading, setLoginLoading] = useState(false);
+
+  // Only follow relative in-app redirects
+  const next = searchParams.get('next');
+  const redirectTo = next && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+
+  if (user) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setLoginError('');
+    setLoginLoading(true);
+
+    try {
+      await login(email, password);
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setLoginError(err.response?.data?.error || 'Login failed');
+    } finally {
+      setLoginLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-8 max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-6">
+          <img src="/nxsys-logo.png" alt="NXSYS" className="h-16 w-auto mx-auto mb-4" />
+          <span className="text-lg font-bold tracking-wide"><span className="bg-nxsys-500 text-white px-1.5 py-0.5 rounded">NX</span><span className="text-gray-800">Works</span></span>
+          <p className="text-sm text-gray-500 mt-2">Sign in to continue</p>
+        </div>
+
+        {/* Login form */}
+        <form onSubmit={handleLogin} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Email
+            </label>
+            <div className="relative">
+              <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-nxsys-500 focus:border-nxsys-500"
+                placeholder="name@company.com"
+                autoComplete="username"
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Password
+            </label>
+            <div className="relative">
+              <Key className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-nxsys-500 focus:border-nxsys-500"
+                placeholder="Enter password"
+                autoComplete="current-password"
+                required
+              />
+            </div>
+          </div>
+
+          {loginError && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+              {loginError}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={loginLoading}
+            className="w-full flex items-center justify-center gap-2 py-2.5 bg-nxsys-500 text-white rounded-lg hover:bg-nxsys-600 disabled:opacity-50"
+          >
+            {loginLoading ? (
+              <Loader2 className="w-5 h-5 animate-spin" />
+            ) : (
+              <LogIn className="w-5 h-5" />
+            )}
+            <span>{loginLoading ? 'Signing in...' : 'Sign In'}</span>
+          </button>
+        </form>
+
+        <p className="text-xs text-gray-500 text-center mt-6">
+          Ask an administrator if you need an account.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
@@ -7,6 +7,8 @@ import {
   uploadDocument,
   deleteAudio,
   deleteDocument,
+  getAudioFileUrl,
+  getDocumentFileUrl,
   getParticipants,
   transcribeAudio,
   createObservation,
@@ -852,7 +854,7 @@ function QuestionView() {
               {question.audioRecordings?.map((audio) => (
                 <div key={audio.id} className="border border-gray-200 rounded-lg p-2 space-y-2">
                   <div className="flex items-center gap-2">
-                    <audio src={`/${audio.file_path}`} controls className="h-8 flex-1" preload="none" />
+                    <audio src={getAudioFileUrl(audio.id)} controls className="h-8 flex-1" preload="none" />
                     <span className="text-xs text-gray-500">{formatTime(audio.duration_seconds || 0)}</span>
                     <button onClick={() => handleTranscribe(audio.id)} disabled={transcribingId === audio.id}
                       className="flex items-center gap-1 px-2 py-1 text-xs bg-blue-50 text-blue-600 rounded hover:bg-blue-100 disabled:opacity-50">
@@ -898,7 +900,7 @@ function QuestionView() {
                     <div key={doc.id} className="flex items-center gap-2 p-2 border border-gray-200 rounded-lg hover:bg-gray-50">
                       <File className="w-5 h-5 text-blue-500 shrink-0" />
                       <span className="flex-1 text-sm text-gray-700 truncate">{doc.original_name}</span>
-                      <a href={`/${doc.file_path}`} download={doc.original_name} className="p-1.5 text-blue-600 hover:bg-blue-50 rounded"><Download className="w-4 h-4" /></a>
+                      <a href={getDocumentFileUrl(doc.id)} download={doc.original_name} className="p-1.5 text-blue-600 hover:bg-blue-50 rounded"><Download className="w-4 h-4" /></a>
                       <button onClick={() => handleDeleteDocument(doc.id)} className="p-1.5 text-red-500 hover:bg-red-50 rounded"><Trash2 className="w-4 h-4" /></button>
                     </div>
                   ))}
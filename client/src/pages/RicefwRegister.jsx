@@ -0,0 +1,502 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  ArrowLeft,
+  Wrench,
+  Download,
+  Loader2,
+  Sparkles,
+  Plus,
+  Check,
+  X,
+  GitMerge,
+  Pencil,
+  ChevronDown,
+  ChevronUp
+} from 'lucide-react';
+import { getWorkshop } from '../services/workshopApi';
+import {
+  getRicefwRegister,
+  extractRicefw,
+  addRicefwObject,
+  updateRicefwObject,
+  acceptRicefwObject,
+  rejectRicefwObject,
+  mergeRicefwObject,
+  getRicefwExcelUrl,
+  RICEFW_TYPE_LABELS,
+  RICEFW_COMPLEXITY_LABELS,
+  RICEFW_STATUS_LABELS
+} from '../services/ricefwApi';
+import { useBackgroundJobs } from '../hooks/useBackgroundJobs';
+import { useAuth } from '../context/AuthContext';
+
+const COMPLEXITY_COLORS = {
+  low: 'bg-green-100 text-green-700',
+  medium: 'bg-amber-100 text-amber-700',
+  high: 'bg-orange-100 text-orange-700',
+  very_high: 'bg-red-100 text-red-700'
+};
+
+const STATUS_TABS = ['proposed', 'accepted', 'rejected'];
+
+const emptyForm = {
+  object_type: 'report',
+  title: '',
+  description: '',
+  rationale: '',
+  complexity: 'medium',
+  sap_module: '',
+  estimate_days: ''
+};
+
+/**
+ * Form for adding an object by hand or editing one
+ */
+function ObjectForm({ initial, onSave, onCancel }) {
+  const [form, setForm] = useState({ ...emptyForm, ...initial });
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.title.trim()) return;
+    setSaving(true);
+    try {
+      await onSave(form);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1.5 text-sm border rounded focus:ring-1 focus:ring-nxsys-500 focus:border-nxsys-500';
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 bg-gray-50 border rounded-lg space-y-2">
+      <div className="flex gap-2">
+        <select value={form.object_type} onChange={(e) => setForm({ ...form, object_type: e.target.value })} className={`${inputClass} w-40`}>
+          {Object.entries(RICEFW_TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <input
+          autoFocus
+          value={form.title}
+          onChange={(e) => setForm({ ...form, title: e.target.value })}
+          placeholder="Title"
+          className={inputClass}
+        />
+      </div>
+      <textarea
+        value={form.description}
+        onChange={(e) => setForm({ ...form, description: e.target.value })}
+        placeholder="What the object does"
+        rows={2}
+        className={inputClass}
+      />
+      <textarea
+        value={form.rationale}
+        onChange={(e) => setForm({ ...form, rationale: e.target.value })}
+        placeholder="Why it is needed"
+        rows={2}
+        className={inputClass}
+      />
+      <div className="flex gap-2">
+        <select value={form.complexity} onChange={(e) => setForm({ ...form, complexity: e.target.value })} className={`${inputClass} w-36`}>
+          {Object.entries(RICEFW_COMPLEXITY_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <input
+          value={form.sap_module}
+          onChange={(e) => setForm({ ...form, sap_module: e.target.value })}
+          placeholder="SAP module"
+          className={`${inputClass} w-32`}
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={form.estimate_days}
+          onChange={(e) => setForm({ ...form, estimate_days: e.target.value })}
+          placeholder="Estimate (days)"
+          className={`${inputClass} w-36`}
+        />
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving || !form.title.trim()}
+          className="px-3 py-1.5 text-sm bg-nxsys-500 text-white rounded hover:bg-nxsys-600 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * RICEFW register of a workshop: custom development objects (reports, interfaces,
+ * conversions, enhancements, forms, workflows) proposed from the findings, reviewed by
+ * consultants and exported for estimation.
+ */
+function RicefwRegister() {
+  const { can } = useAuth();
+  const { workshopId } = useParams();
+  const [workshop, setWorkshop] = useState(null);
+  const [objects, setObjects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusTab, setStatusTab] = useState('proposed');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [mergingId, setMergingId] = useState(null);
+  const [expandedIds, setExpandedIds] = useState(new Set());
+
+  const extractionJobs = useBackgroundJobs(
+    { workshopId, types: ['ricefw_extraction'] },
+    { onFinished: ([job]) => handleExtractionFinished(job) }
+  );
+  const extracting = extractionJobs.running;
+  const extractionJob = extractionJobs.jobs[0];
+
+  useEffect(() => {
+    loadData();
+  }, [workshopId]);
+
+  const loadData = async () => {
+    try {
+      const [workshopRes, registerRes] = await Promise.all([
+        getWorkshop(workshopId),
+        getRicefwRegister(workshopId)
+      ]);
+      setWorkshop(workshopRes.data);
+      setObjects(registerRes.data);
+    } catch (error) {
+      console.error('Failed to load RICEFW register:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExtract = async () => {
+    try {
+      const response = await extractRicefw(workshopId);
+      extractionJobs.track(response.data.job);
+    } catch (error) {
+      console.error('Failed to start RICEFW extraction:', error);
+      alert('Failed to propose RICEFW objects: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleExtractionFinished = async (job) => {
+    if (job?.status === 'failed') {
+      alert('RICEFW extraction failed: ' + job.error);
+    } else if (job?.status === 'completed') {
+      setStatusTab('proposed');
+    }
+    await loadData();
+  };
+
+  const runAndReload = async (action, errorLabel) => {
+    try {
+      await action();
+      await loadData();
+    } catch (error) {
+      console.error(`Failed ${errorLabel}:`, error);
+      alert(`Failed ${errorLabel}: ` + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleAdd = (form) => runAndReload(async () => {
+    await addRicefwObject(workshopId, form);
+    setAdding(false);
+    setStatusTab('accepted');
+  }, 'adding the object');
+
+  const handleUpdate = (objectId, form) => runAndReload(async () => {
+    await updateRicefwObject(workshopId, objectId, form);
+    setEditingId(null);
+  }, 'updating the object');
+
+  const handleAccept = (objectId) =>
+    runAndReload(() => acceptRicefwObject(workshopId, objectId), 'accepting the object');
+
+  const handleReject = (objectId) =>
+    runAndReload(() => rejectRicefwObject(workshopId, objectId), 'rejecting the object');
+
+  const handleMerge = (objectId, targetId) => runAndReload(async () => {
+    await mergeRicefwObject(workshopId, objectId, targetId);
+    setMergingId(null);
+  }, 'merging the objects');
+
+  const toggleExpanded = (objectId) => setExpandedIds(prev => {
+    const next = new Set(prev);
+    if (next.has(objectId)) next.delete(objectId); else next.add(objectId);
+    return next;
+  });
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[200px]">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-nxsys-500"></div>
+      </div>
+    );
+  }
+
+  if (!workshop) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500">Workshop not found.</p>
+        <Link to="/" className="text-nxsys-500 hover:underline mt-2 inline-block">
+          Back to Workshops
+        </Link>
+      </div>
+    );
+  }
+
+  const mergeTargets = (object) => objects.filter(o => o.id !== object.id && (o.status === 'accepted' || o.status === 'proposed'));
+  const mergedCount = (object) => objects.filter(o => o.merged_into_id === object.id).length;
+  const accepted = objects.filter(o => o.status === 'accepted');
+  const shown = objects.filter(o => o.status === statusTab && (!typeFilter || o.object_type === typeFilter));
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center space-x-4">
+          <Link
+            to={`/workshop/${workshopId}`}
+            className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-md transition-colors"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <div>
+            <h1 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+              <Wrench className="w-5 h-5 text-nxsys-500" />
+              RICEFW Register
+            </h1>
+            <p className="text-sm text-gray-500">
+              {workshop.name} - reports, interfaces, conversions, enhancements, forms and workflows implied by the findings.
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <a
+            href={getRicefwExcelUrl(workshopId)}
+            className="flex items-center gap-1.5 px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+          >
+            <Download className="w-4 h-4" />
+            Export Excel
+          </a>
+          {can('capture') && (
+            <button
+              onClick={() => { setAdding(true); setEditingId(null); }}
+              className="flex items-center gap-1.5 px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+            >
+              <Plus className="w-4 h-4" />
+              Add object
+            </button>
+          )}
+          {can('manage') && (
+            <button
+              onClick={handleExtract}
+              disabled={extracting}
+              className="flex items-center gap-1.5 px-3 py-2 text-sm bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600 disabled:opacity-50"
+            >
+              {extracting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+              Propose from findings
+            </button>
+          )}
+        </div>
+      </div>
+
+      {extracting && (
+        <p className="text-sm text-nxsys-600 flex items-center gap-1">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          {extractionJob?.status === 'queued' ? 'Waiting in queue...' : extractionJob?.progress_message || 'Reviewing the findings...'}
+        </p>
+      )}
+
+      {/* Accepted objects per type */}
+      <div className="bg-white rounded-lg p-3 shadow-sm border border-gray-100 flex flex-wrap items-center gap-x-6 gap-y-2">
+        {Object.entries(RICEFW_TYPE_LABELS).map(([type, label]) => (
+          <div key={type} className="flex items-center space-x-2">
+            <span className="text-sm text-gray-500">{label}s:</span>
+            <span className="font-bold text-gray-900">{accepted.filter(o => o.object_type === type).length}</span>
+          </div>
+        ))}
+        <div className="flex items-center space-x-2 ml-auto">
+          <span className="text-sm text-gray-500">Estimate:</span>
+          <span className="font-bold text-gray-900">
+            {accepted.reduce((sum, o) => sum + (parseFloat(o.estimate_days) || 0), 0)} days
+          </span>
+        </div>
+      </div>
+
+      {adding && <ObjectForm initial={{}} onSave={handleAdd} onCancel={() => setAdding(false)} />}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100">
+        <div className="flex items-center border-b">
+          {STATUS_TABS.map(status => (
+            <button
+              key={status}
+              onClick={() => setStatusTab(status)}
+              className={`px-4 py-3 text-sm font-medium transition-colors ${
+                statusTab === status
+                  ? 'border-b-2 border-nxsys-500 text-nxsys-600'
+                  : 'text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {RICEFW_STATUS_LABELS[status]} ({objects.filter(o => o.status === status).length})
+            </button>
+          ))}
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            className="ml-auto mr-3 px-2 py-1 text-sm border rounded"
+          >
+            <option value="">All types</option>
+            {Object.entries(RICEFW_TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+
+        <div className="divide-y divide-gray-100">
+          {shown.length === 0 && (
+            <p className="p-6 text-sm text-gray-500 text-center">
+              {statusTab === 'proposed'
+                ? 'No open proposals. Propose objects from the findings once sessions have captured pain points and requirements.'
+                : `No ${RICEFW_STATUS_LABELS[statusTab].toLowerCase()} objects.`}
+            </p>
+          )}
+
+          {shown.map(object => {
+            if (editingId === object.id) {
+              return (
+                <div key={object.id} className="p-3">
+                  <ObjectForm
+                    initial={{
+                      object_type: object.object_type,
+                      title: object.title,
+                      description: object.description || '',
+                      rationale: object.rationale || '',
+                      complexity: object.complexity,
+                      sap_module: object.sap_module || '',
+                      estimate_days: object.estimate_days ?? ''
+                    }}
+                    onSave={(form) => handleUpdate(object.id, form)}
+                    onCancel={() => setEditingId(null)}
+                  />
+                </div>
+              );
+            }
+
+            const evidence = object.evidence || [];
+            const expanded = expandedIds.has(object.id);
+            const merged = mergedCount(object);
+
+            return (
+              <div key={object.id} className="p-4">
+                <div className="flex items-start gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      {object.code && <span className="text-xs font-mono text-gray-500">{object.code}</span>}
+                      <span className="px-2 py-0.5 text-xs rounded bg-indigo-50 text-indigo-700">{RICEFW_TYPE_LABELS[object.object_type]}</span>
+                      <span className={`px-2 py-0.5 text-xs rounded ${COMPLEXITY_COLORS[object.complexity]}`}>
+                        {RICEFW_COMPLEXITY_LABELS[object.complexity]}
+                      </span>
+                      {object.sap_module && <span className="text-xs text-blue-600">{object.sap_module}</span>}
+                      <span className="font-medium text-gray-900">{object.title}</span>
+                    </div>
+                    {object.description && <p className="text-sm text-gray-700 mt-1">{object.description}</p>}
+                    {object.rationale && <p className="text-sm text-gray-500 mt-1">Why: {object.rationale}</p>}
+                    <p className="text-xs text-gray-400 mt-1">
+                      {object.source === 'manual' ? 'Added by hand' : object.session_number ? `From session ${object.session_number}: ${object.session_name}` : 'Proposed'}
+                      {object.estimate_days != null && ` · ${parseFloat(object.estimate_days)} days`}
+                      {merged > 0 && ` · ${merged} merged proposal${merged === 1 ? '' : 's'}`}
+                      {object.decided_by && ` · ${RICEFW_STATUS_LABELS[object.status].toLowerCase()} by ${object.decided_by}`}
+                    </p>
+                    {evidence.length > 0 && (
+                      <button
+                        onClick={() => toggleExpanded(object.id)}
+                        className="mt-1 flex items-center gap-1 text-xs text-gray-500 hover:text-gray-700"
+                      >
+                        {expanded ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                        Evidence ({evidence.length})
+                      </button>
+                    )}
+                    {expanded && (
+                      <ul className="mt-1 space-y-1 pl-4 border-l-2 border-gray-100">
+                        {evidence.map(entry => (
+                          <li key={`${entry.type}:${entry.id}`} className="text-xs text-gray-600">
+                            <span className="text-gray-400">{entry.type === 'finding' ? 'Finding' : 'Checklist'}:</span> {entry.text}
+                            {entry.detail && <span className="text-gray-500"> - {entry.detail}</span>}
+                            {entry.reference && <span className="text-gray-400 italic"> ({entry.reference})</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+
+                  {can('capture') && (
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      {object.status !== 'accepted' && (
+                        <button onClick={() => handleAccept(object.id)} title="Accept" className="p-1.5 text-green-600 hover:bg-green-50 rounded">
+                          <Check className="w-4 h-4" />
+                        </button>
+                      )}
+                      {object.status !== 'rejected' && (
+                        <button onClick={() => handleReject(object.id)} title="Reject" className="p-1.5 text-red-600 hover:bg-red-50 rounded">
+                          <X className="w-4 h-4" />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => setMergingId(mergingId === object.id ? null : object.id)}
+                        title="Merge into another object"
+                        className="p-1.5 text-gray-500 hover:bg-gray-100 rounded"
+                      >
+                        <GitMerge className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => { setEditingId(object.id); setAdding(false); }} title="Edit" className="p-1.5 text-gray-500 hover:bg-gray-100 rounded">
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {mergingId === object.id && (
+                  <div className="mt-2 flex items-center gap-2">
+                    <span className="text-sm text-gray-600">Merge into:</span>
+                    <select
+                      defaultValue=""
+                      onChange={(e) => e.target.value && handleMerge(object.id, e.target.value)}
+                      className="flex-1 px-2 py-1 text-sm border rounded"
+                    >
+                      <option value="" disabled>Select the object to keep...</option>
+                      {mergeTargets(object).map(target => (
+                        <option key={target.id} value={target.id}>
+                          {target.code || RICEFW_STATUS_LABELS[target.status]} · {RICEFW_TYPE_LABELS[target.object_type]} · {target.title}
+                        </option>
+                      ))}
+                    </select>
+                    <button onClick={() => setMergingId(null)} className="px-2 py-1 text-sm text-gray-500 hover:bg-gray-100 rounded">
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {objects.some(o => o.status === 'proposed') && (
+        <p className="text-xs text-gray-500">
+          The export contains accepted objects.{' '}
+          <a href={getRicefwExcelUrl(workshopId, true)} className="text-nxsys-500 hover:underline">Export with open proposals</a>
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default RicefwRegister;
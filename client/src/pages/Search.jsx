@@ -0,0 +1,250 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Search as SearchIcon, Loader2, Mic, AlertTriangle, CheckCircle, FileText, RefreshCw, Clock } from 'lucide-react';
+import {
+  search,
+  getSearchFilters,
+  reindexSearch,
+  getSearchResultLink,
+  formatTimestamp,
+  SEARCH_SOURCE_LABELS
+} from '../services/searchApi';
+import { useAuth } from '../context/AuthContext';
+import HighlightedText from '../components/HighlightedText';
+
+const SOURCE_ICONS = {
+  transcript: Mic,
+  finding: AlertTriangle,
+  checklist_item: CheckCircle,
+  document: FileText
+};
+
+const MODES = [
+  { value: 'hybrid', label: 'Smart' },
+  { value: 'keyword', label: 'Keyword' },
+  { value: 'semantic', label: 'Meaning' }
+];
+
+const FILTER_KEYS = ['workshopId', 'sessionId', 'module', 'entityId', 'sourceType'];
+
+function Search() {
+  const { can } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [query, setQuery] = useState(searchParams.get('q') || '');
+  const [filters, setFilters] = useState({ workshops: [], sessions: [], modules: [], entities: [] });
+  const [response, setResponse] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reindexMessage, setReindexMessage] = useState(null);
+
+  const mode = searchParams.get('mode') || 'hybrid';
+  const selected = Object.fromEntries(FILTER_KEYS.map(key => [key, searchParams.get(key) || '']));
+
+  useEffect(() => {
+    getSearchFilters()
+      .then(res => setFilters(res.data))
+      .catch(err => console.error('Error loading search filters:', err));
+  }, []);
+
+  // The URL holds the search, so results can be shared and survive navigation
+  useEffect(() => {
+    const q = searchParams.get('q');
+    if (!q) {
+      setResponse(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    search({ q, mode, ...Object.fromEntries(FILTER_KEYS.map(key => [key, searchParams.get(key) || undefined])) })
+      .then(res => {
+        if (!cancelled) setResponse(res.data);
+      })
+      .catch(err => {
+        console.error('Search failed:', err);
+        if (!cancelled) setError(err.response?.data?.error || 'Search failed');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [searchParams]);
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    setSearchParams(next);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ q: query.trim() });
+  };
+
+  const handleReindex = async () => {
+    setReindexMessage(null);
+    try {
+      const res = await reindexSearch(selected.workshopId || undefined);
+      setReindexMessage(`Reindexing ${res.data.sessionsQueued} sessions in the background`);
+    } catch (err) {
+      setReindexMessage(err.response?.data?.error || 'Failed to start reindexing');
+    }
+  };
+
+  const sessionOptions = filters.sessions.filter(s => !selected.workshopId || String(s.workshop_id) === selected.workshopId);
+  const entityOptions = filters.entities.filter(e => !selected.workshopId || String(e.workshop_id) === selected.workshopId);
+
+  const selectClass = 'px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-nxsys-500 focus:border-nxsys-500';
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-xl font-bold text-gray-900">Search</h1>
+          <p className="text-sm text-gray-500">Find what was said or documented in any session - transcripts, findings, checklist answers and documents.</p>
+        </div>
+        {can('manage') && (
+          <button
+            onClick={handleReindex}
+            className="flex items-center space-x-2 px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+            title={selected.workshopId ? 'Rebuild the index of the selected workshop' : 'Rebuild the index of every workshop'}
+          >
+            <RefreshCw className="w-4 h-4" />
+            <span>Reindex</span>
+          </button>
+        )}
+      </div>
+
+      {reindexMessage && <p className="text-sm text-gray-600">{reindexMessage}</p>}
+
+      {/* Search form */}
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm border border-gray-100 p-4 space-y-3">
+        <div className="flex gap-2">
+          <div className="relative flex-1">
+            <SearchIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder='e.g. "credit limit" approval, or a question like: who approves purchase orders?'
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-nxsys-500 focus:border-nxsys-500"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={!query.trim()}
+            className="px-4 py-2 bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600 disabled:opacity-50"
+          >
+            Search
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="flex rounded-md border border-gray-300 overflow-hidden">
+            {MODES.map(m => (
+              <button
+                key={m.value}
+                type="button"
+                onClick={() => updateParams({ mode: m.value === 'hybrid' ? '' : m.value })}
+                className={`px-3 py-1.5 text-sm ${mode === m.value ? 'bg-nxsys-500 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+
+          <select
+            value={selected.workshopId}
+            onChange={(e) => updateParams({ workshopId: e.target.value, sessionId: '', entityId: '' })}
+            className={selectClass}
+          >
+            <option value="">All workshops</option>
+            {filters.workshops.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+          </select>
+
+          <select value={selected.sessionId} onChange={(e) => updateParams({ sessionId: e.target.value })} className={selectClass}>
+            <option value="">All sessions</option>
+            {sessionOptions.map(s => <option key={s.id} value={s.id}>S{s.session_number} {s.name}</option>)}
+          </select>
+
+          <select value={selected.module} onChange={(e) => updateParams({ module: e.target.value })} className={selectClass}>
+            <option value="">All modules</option>
+            {filters.modules.map(m => <option key={m} value={m}>{m}</option>)}
+          </select>
+
+          <select value={selected.entityId} onChange={(e) => updateParams({ entityId: e.target.value })} className={selectClass}>
+            <option value="">All entities</option>
+            {entityOptions.map(e => <option key={e.id} value={e.id}>{e.code} - {e.name}</option>)}
+          </select>
+
+          <select value={selected.sourceType} onChange={(e) => updateParams({ sourceType: e.target.value })} className={selectClass}>
+            <option value="">All sources</option>
+            {Object.entries(SEARCH_SOURCE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+      </form>
+
+      {/* Results */}
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 className="w-6 h-6 animate-spin text-nxsys-500" />
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : response && (
+        <div className="space-y-3">
+          <p className="text-xs text-gray-500">
+            {response.results.length} results
+            {!response.semanticAvailable && mode !== 'keyword' && ' - meaning-based search is not configured, showing keyword matches'}
+          </p>
+
+          {response.results.length === 0 && (
+            <p className="text-center py-8 text-sm text-gray-500">No matches. Try other words or remove filters.</p>
+          )}
+
+          {response.results.map(result => {
+            const Icon = SOURCE_ICONS[result.source_type] || FileText;
+            const timestamp = formatTimestamp(result.start_seconds);
+            return (
+              <Link
+                key={result.id}
+                to={getSearchResultLink(result)}
+                className="block bg-white rounded-lg shadow-sm border border-gray-100 p-4 hover:border-nxsys-300 transition-colors"
+              >
+                <div className="flex items-center gap-2 flex-wrap text-xs text-gray-500">
+                  <span className="flex items-center gap-1 px-2 py-0.5 rounded bg-gray-100 text-gray-700">
+                    <Icon className="w-3 h-3" />
+                    {SEARCH_SOURCE_LABELS[result.source_type]}
+                  </span>
+                  <span className="font-medium text-gray-700">{result.workshop_name}</span>
+                  <span>S{result.session_number} {result.session_name}</span>
+                  {result.module && <span className="px-2 py-0.5 rounded bg-blue-50 text-blue-700">{result.module}</span>}
+                  {timestamp && (
+                    <span className="flex items-center gap-1">
+                      <Clock className="w-3 h-3" />
+                      {timestamp}
+                    </span>
+                  )}
+                </div>
+                {result.title && <p className="mt-2 text-sm font-medium text-gray-900">{result.title}</p>}
+                <p className="mt-1 text-sm text-gray-700">
+                  <HighlightedText text={result.snippet} />
+                </p>
+              </Link>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Search;
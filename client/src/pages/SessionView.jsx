@@ -1,8 +1,11 @@
 import { useState, useEffect } from 'react';
-import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useParams, Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { getSession, getQuestions, getSessionProgress, updateSessionStatus, getParticipants, getSessionReportStatus, generateReport } from '../services/api';
 import ParticipantsModal from '../components/ParticipantsModal';
 import ChecklistModeView from '../components/ChecklistModeView';
+import SearchResultModal from '../components/SearchResultModal';
+import SaveTemplateModal from '../components/SaveTemplateModal';
+import { useAuth } from '../context/AuthContext';
 import {
   ChevronLeft,
   CheckCircle,
@@ -18,7 +21,8 @@ import {
   Loader2,
   Sparkles,
   Download,
-  Eye
+  Eye,
+  BookmarkPlus
 } from 'lucide-react';
 
 const entityColors = {
@@ -31,6 +35,9 @@ const entityColors = {
 function SessionView() {
   const { workshopId, sessionId } = useParams();
   const navigate = useNavigate();
+  const { can } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const searchChunkId = searchParams.get('searchChunk'); // Opened from a search result
   const [session, setSession] = useState(null);
   const [questions, setQuestions] = useState([]);
   const [progress, setProgress] = useState([]);
@@ -42,6 +49,7 @@ function SessionView() {
   const [showParticipantsModal, setShowParticipantsModal] = useState(false);
   const [reportStatus, setReportStatus] = useState(null);
   const [generatingReport, setGeneratingReport] = useState(false);
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
 
   useEffect(() => {
     loadData();
@@ -147,6 +155,16 @@ function SessionView() {
 
   return (
     <div className="space-y-3">
+      {searchChunkId && (
+        <SearchResultModal
+          chunkId={searchChunkId}
+          onClose={() => {
+            searchParams.delete('searchChunk');
+            setSearchParams(searchParams, { replace: true });
+          }}
+        />
+      )}
+
       {showParticipantsModal && (
         <ParticipantsModal
           sessionId={sessionId}
@@ -156,6 +174,15 @@ function SessionView() {
         />
       )}
 
+      {showSaveTemplate && (
+        <SaveTemplateModal
+          session={session}
+          kind="questions"
+          itemCount={questions.length}
+          onClose={() => setShowSaveTemplate(false)}
+        />
+      )}
+
       {/* Checklist Mode View - has its own integrated header */}
       {session.checklist_mode ? (
         <ChecklistModeView
@@ -178,6 +205,16 @@ function SessionView() {
           <h1 className="font-semibold text-gray-900">{session.name}</h1>
         </div>
         <div className="flex items-center space-x-2">
+          {can('manage') && questions.length > 0 && (
+            <button
+              onClick={() => setShowSaveTemplate(true)}
+              className="flex items-center px-2 py-1 text-sm border border-indigo-300 text-indigo-700 bg-indigo-50 rounded hover:bg-indigo-100"
+              title="Save these questions to the template library"
+            >
+              <BookmarkPlus className="w-4 h-4 mr-1" />
+              Template
+            </button>
+          )}
           <button
             onClick={() => setShowParticipantsModal(true)}
             className="flex items-center px-2 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50"
@@ -1,11 +1,14 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams } from 'react-router-dom';
 import { useChunkedRecording } from '../hooks/useChunkedRecording';
+import { useSessionEvents, describeSessionEvent } from '../hooks/useSessionEvents';
+import PresenceIndicator from '../components/PresenceIndicator';
+import OriginalQuote from '../components/OriginalQuote';
+import PreworkQuestionnaire from '../components/PreworkQuestionnaire';
 import {
   getShareInfo,
   shareLogin,
-  shareHeartbeat,
-  shareRelease,
+  getShareEventsUrl,
   getShareChecklist,
   getShareChecklistStats,
   uploadShareAudio,
@@ -14,6 +17,8 @@ import {
   uploadShareDocument,
   analyzeShareDocument
 } from '../services/shareApi';
+import { SESSION_LANGUAGES } from '../services/workshopApi';
+import { describeDocumentResult } from '../services/sessionChecklistApi';
 import {
   Mic,
   Square,
@@ -23,7 +28,7 @@ import {
   Loader2,
   RefreshCw,
   Clock,
-  Lock,
+  Users,
   LogIn,
   User,
   Key,
@@ -35,6 +40,7 @@ import {
   ChevronUp,
   FileUp,
   X,
+  ClipboardList,
   Shield
 } from 'lucide-react';
 
@@ -53,6 +59,7 @@ function SharedChecklist() {
   const [sessionInfo, setSessionInfo] = useState(null);
   const [authToken, setAuthToken] = useState(null);
   const [username, setUsername] = useState('');
+  const [displayName, setDisplayName] = useState(() => localStorage.getItem('nxworks_share_display_name') || '');
   const [password, setPassword] = useState('');
   const [loginError, setLoginError] = useState('');
   const [loginLoading, setLoginLoading] = useState(false);
@@ -78,6 +85,7 @@ function SharedChecklist() {
   const [showSettings, setShowSettings] = useState(false);
   const settingsRef = useRef(null);
   const documentInputRef = useRef(null);
+  const documentJobIdRef = useRef(null); // Document analysis job started from this page
   const [documentUploadStatus, setDocumentUploadStatus] = useState(null);
   const [documentUploadMessage, setDocumentUploadMessage] = useState('');
   const [bestPracticeItem, setBestPracticeItem] = useState(null); // Item to show best practice modal for
@@ -85,33 +93,68 @@ function SharedChecklist() {
   const [implicationsFinding, setImplicationsFinding] = useState(null); // Finding to show implications modal for
   const [retryingChunks, setRetryingChunks] = useState(false); // Retrying failed chunks
   const [headerCollapsed, setHeaderCollapsed] = useState(false); // Collapsible header state
+  const [view, setView] = useState('live'); // 'prework' while the pre-work questionnaire is open
+  const [preworkRevision, setPreworkRevision] = useState(0);
 
-  // Heartbeat interval ref
-  const heartbeatRef = useRef(null);
+  // Debounce timer for reloads triggered by other participants
+  const liveReloadRef = useRef(null);
 
   // Load session info on mount
   useEffect(() => {
     loadSessionInfo();
   }, [token]);
 
-  // Setup heartbeat when authenticated
-  useEffect(() => {
-    if (authToken) {
-      // Send heartbeat every 30 seconds
-      heartbeatRef.current = setInterval(() => {
-        shareHeartbeat(token, authToken).catch(console.error);
-      }, 30000);
-
-      // Cleanup on unmount
-      return () => {
-        if (heartbeatRef.current) {
-          clearInterval(heartbeatRef.current);
+  // Live updates from other participants (and presence)
+  const scheduleLiveReload = () => {
+    clearTimeout(liveReloadRef.current);
+    liveReloadRef.current = setTimeout(() => loadChecklist(), 500);
+  };
+
+  // Share viewers cannot poll jobs - follow the document analysis job through session events
+  const handleDocumentJobUpdate = (job) => {
+    if (!job || job.id !== documentJobIdRef.current) return;
+
+    if (job.status === 'queued' || job.status === 'running') {
+      if (job.progress_message) setDocumentUploadMessage(job.progress_message);
+      return;
+    }
+
+    documentJobIdRef.current = null;
+    if (job.status === 'completed') {
+      setDocumentUploadStatus('complete');
+      setDocumentUploadMessage(describeDocumentResult(job.result));
+    } else {
+      setDocumentUploadStatus('error');
+      setDocumentUploadMessage(job.status === 'cancelled' ? 'Document analysis was cancelled' : job.error || 'Failed to analyze document');
+    }
+    loadChecklist();
+    setTimeout(() => setDocumentUploadStatus(null), 5000);
+  };
+
+  const { viewers, connected, lastActivity } = useSessionEvents(
+    authToken ? getShareEventsUrl(token, authToken) : null,
+    {
+      checklist_updated: () => {
+        scheduleLiveReload();
+        setPreworkRevision(revision => revision + 1);
+      },
+      findings_updated: scheduleLiveReload,
+      prework_updated: () => setPreworkRevision(revision => revision + 1),
+      document_updated: () => setPreworkRevision(revision => revision + 1),
+      job_updated: (event) => {
+        handleDocumentJobUpdate(event.job);
+        if (event.job?.type === 'document_analysis' && !['queued', 'running'].includes(event.job.status)) {
+          setPreworkRevision(revision => revision + 1);
         }
-        // Release lock on unmount
-        shareRelease(token, authToken).catch(console.error);
-      };
+      },
+      session_closed: (event) => {
+        setAuthToken(null);
+        setError(event.reason || 'This share link is no longer active');
+      }
     }
-  }, [authToken, token]);
+  );
+
+  useEffect(() => () => clearTimeout(liveReloadRef.current), []);
 
   // Close settings dropdown when clicking outside
   useEffect(() => {
@@ -135,6 +178,7 @@ function SharedChecklist() {
       setLoading(true);
       const response = await getShareInfo(token);
       setSessionInfo(response.data);
+      setView(response.data.prework ? 'prework' : 'live');
     } catch (err) {
       setError(err.response?.data?.error || 'Invalid or expired share link');
     } finally {
@@ -148,16 +192,14 @@ function SharedChecklist() {
     setLoginLoading(true);
 
     try {
-      const response = await shareLogin(token, username, password);
+      const response = await shareLogin(token, username, password, displayName);
+      localStorage.setItem('nxworks_share_display_name', displayName);
+      setDisplayName(response.data.displayName);
       setAuthToken(response.data.token);
       // Load checklist after login
       await loadChecklist(response.data.token);
     } catch (err) {
-      if (err.response?.status === 423) {
-        setLoginError(`Session is currently in use by ${err.response.data.lockedBy}`);
-      } else {
-        setLoginError(err.response?.data?.error || 'Login failed');
-      }
+      setLoginError(err.response?.data?.error || 'Login failed');
     } finally {
       setLoginLoading(false);
     }
@@ -185,11 +227,11 @@ function SharedChecklist() {
 
     event.target.value = '';
 
-    const allowedExtensions = ['.pdf', '.doc', '.docx', '.txt', '.csv'];
+    const allowedExtensions = ['.pdf', '.doc', '.docx', '.txt', '.csv', '.xlsx', '.xls', '.png', '.jpg', '.jpeg', '.gif', '.webp'];
     const ext = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
     if (!allowedExtensions.includes(ext)) {
       setDocumentUploadStatus('error');
-      setDocumentUploadMessage('Only PDF, Word documents, and text files are allowed');
+      setDocumentUploadMessage('Only PDF, Word, Excel, CSV, text and image files are allowed');
       setTimeout(() => setDocumentUploadStatus(null), 5000);
       return;
     }
@@ -209,6 +251,12 @@ function SharedChecklist() {
 
       const analysisResponse = await analyzeShareDocument(token, authToken, documentId);
 
+      // Analysis runs as a background job; its progress arrives as job_updated events
+      if (analysisResponse.data.job) {
+        documentJobIdRef.current = analysisResponse.data.job.id;
+        return;
+      }
+
       setDocumentUploadStatus('complete');
       setDocumentUploadMessage(
         `Done! ${analysisResponse.data.obtainedCount || 0} items obtained, ${analysisResponse.data.findingsCount || 0} findings captured`
@@ -226,7 +274,8 @@ function SharedChecklist() {
   };
 
   // Chunked recording callback
-  const handleChunkReady = useCallback(async (blob, chunkIndex, duration) => {
+  // Throws when the chunk did not make it, so the recording queue keeps it for a retry
+  const handleChunkReady = useCallback(async (blob, chunkIndex, duration, { clientChunkId } = {}) => {
     console.log(`Chunk ${chunkIndex} ready (${Math.round(duration)}s)`);
 
     setChunkProcessingStatus(prev => {
@@ -243,6 +292,7 @@ function SharedChecklist() {
       formData.append('audio', blob, `session-chunk-${chunkIndex}.webm`);
       formData.append('duration_seconds', Math.round(duration));
       formData.append('chunk_index', chunkIndex);
+      if (clientChunkId) formData.append('client_chunk_id', clientChunkId);
 
       const uploadResponse = await uploadShareAudio(token, authToken, formData);
       audioId = uploadResponse.data.id;
@@ -280,78 +330,14 @@ function SharedChecklist() {
           status: 'error',
           step: prev[chunkIndex]?.step || 0,
           message: error.response?.data?.error || error.message,
-          audioId // Store audioId so we can retry analysis
+          audioId
         };
         return newStatus;
       });
+      throw error;
     }
   }, [token, authToken]);
 
-  // Retry failed chunks
-  const handleRetryFailedChunks = useCallback(async () => {
-    const failedWithAudioId = chunkProcessingStatus
-      .map((status, index) => ({ ...status, index }))
-      .filter(s => s.status === 'error' && s.audioId);
-
-    if (failedWithAudioId.length === 0) {
-      alert('No failed chunks with saved audio to retry. You may need to re-record.');
-      return;
-    }
-
-    setRetryingChunks(true);
-    let successCount = 0;
-    let failCount = 0;
-
-    for (const chunk of failedWithAudioId) {
-      try {
-        // Update status to retrying
-        setChunkProcessingStatus(prev => {
-          const newStatus = [...prev];
-          newStatus[chunk.index] = { ...newStatus[chunk.index], status: 'analyzing', message: 'Retrying analysis...' };
-          return newStatus;
-        });
-
-        const analysisResponse = await analyzeShareAudio(token, authToken, chunk.audioId);
-
-        // Success
-        setChunkProcessingStatus(prev => {
-          const newStatus = [...prev];
-          newStatus[chunk.index] = {
-            status: 'complete',
-            step: 3,
-            message: `Done! ${analysisResponse.data.obtainedCount || 0} items obtained`,
-            obtainedCount: analysisResponse.data.obtainedCount || 0,
-            audioId: chunk.audioId
-          };
-          return newStatus;
-        });
-        successCount++;
-      } catch (error) {
-        // Still failed
-        setChunkProcessingStatus(prev => {
-          const newStatus = [...prev];
-          newStatus[chunk.index] = {
-            status: 'error',
-            step: 2,
-            message: error.response?.data?.error || error.message,
-            audioId: chunk.audioId
-          };
-          return newStatus;
-        });
-        failCount++;
-      }
-    }
-
-    setRetryingChunks(false);
-    await loadChecklist();
-
-    if (successCount > 0) {
-      alert(`Retry complete! ${successCount} chunk(s) succeeded${failCount > 0 ? `, ${failCount} still failed` : ''}.`);
-    } else {
-      alert(`All retries failed. Please check your API credits and try again.`);
-    }
-  }, [chunkProcessingStatus, token, authToken]);
-
   const handleAllChunksComplete = useCallback(async () => {
     console.log('All chunks complete, reloading checklist...');
     await loadChecklist();
@@ -363,15 +349,30 @@ function SharedChecklist() {
     audioLevel,
     currentChunkTime,
     startRecording,
+    queuedCount,
+    isOnline,
     stopRecording,
+    retryFailedChunks,
     formatTime,
     chunkDurationSeconds
   } = useChunkedRecording({
     onChunkReady: handleChunkReady,
     onAllChunksComplete: handleAllChunksComplete,
+    queueKey: `share:${token}`,
     chunkDurationSeconds: chunkDuration
   });
 
+  // Retry failed chunks - they are kept locally until they are uploaded and analyzed
+  const handleRetryFailedChunks = async () => {
+    setRetryingChunks(true);
+    try {
+      await retryFailedChunks();
+    } finally {
+      setRetryingChunks(false);
+      await loadChecklist();
+    }
+  };
+
   // Group items by importance
   const groupByImportance = (items) => {
     return {
@@ -420,21 +421,47 @@ function SharedChecklist() {
             )}
           </div>
 
-          {/* Locked warning */}
-          {sessionInfo?.isLocked && (
-            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
-              <div className="flex items-center gap-2 text-yellow-800">
-                <Lock className="w-5 h-5" />
-                <span className="font-medium">Session in use</span>
+          {/* Pre-work questionnaire open before the session */}
+          {sessionInfo?.prework && (
+            <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-3 mb-4 text-sm text-indigo-800 flex items-center gap-2">
+              <ClipboardList className="w-4 h-4 shrink-0" />
+              <span>
+                Pre-work questionnaire open
+                {sessionInfo.prework.dueDate && ` - please answer by ${new Date(sessionInfo.prework.dueDate).toLocaleDateString()}`}
+              </span>
+            </div>
+          )}
+
+          {/* Who is already working on this session */}
+          {sessionInfo?.activeViewers?.length > 0 && (
+            <div className="bg-purple-50 border border-purple-200 rounded-lg p-3 mb-6">
+              <div className="flex items-center gap-2 text-purple-800 text-sm">
+                <Users className="w-4 h-4" />
+                <span>Currently viewing: {sessionInfo.activeViewers.join(', ')}</span>
               </div>
-              <p className="text-sm text-yellow-700 mt-1">
-                Currently being used by {sessionInfo.lockedBy}. You can try again later or wait for them to finish.
-              </p>
             </div>
           )}
 
           {/* Login form */}
           <form onSubmit={handleLogin} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Your Name
+              </label>
+              <div className="relative">
+                <User className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                <input
+                  type="text"
+                  value={displayName}
+                  onChange={(e) => setDisplayName(e.target.value)}
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                  placeholder="Shown to others viewing this session"
+                  maxLength={100}
+                  required
+                />
+              </div>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Username
@@ -507,24 +534,50 @@ function SharedChecklist() {
       <div className="bg-gradient-to-r from-purple-600 to-indigo-600 text-white px-4 py-3">
         <div className="max-w-4xl mx-auto flex items-center justify-between">
           <div>
-            <h1 className="text-lg font-semibold">{sessionInfo?.sessionName}</h1>
-            <p className="text-sm text-purple-200">{sessionInfo?.workshopName}</p>
+            <h1 dir="auto" className="text-lg font-semibold">{sessionInfo?.sessionName}</h1>
+            <p className="text-sm text-purple-200">
+              {sessionInfo?.workshopName}
+              {sessionInfo?.language && sessionInfo.language !== 'en' && ` · ${SESSION_LANGUAGES[sessionInfo.language]}`}
+            </p>
           </div>
-          <div className="flex items-center gap-2 text-sm text-purple-200">
-            <User className="w-4 h-4" />
-            <span>{username}</span>
+          <div className="flex items-center gap-4">
+            {sessionInfo?.prework && (
+              <button
+                onClick={() => setView(view === 'prework' ? 'live' : 'prework')}
+                className="flex items-center gap-1 px-2 py-1 text-xs bg-white/10 rounded hover:bg-white/20"
+              >
+                {view === 'prework' ? <Mic className="w-3.5 h-3.5" /> : <ClipboardList className="w-3.5 h-3.5" />}
+                {view === 'prework' ? 'Live session' : 'Questionnaire'}
+              </button>
+            )}
+            <PresenceIndicator viewers={viewers} connected={connected} dark />
+            <div className="flex items-center gap-2 text-sm text-purple-200">
+              <User className="w-4 h-4" />
+              <span>{displayName || username}</span>
+            </div>
           </div>
         </div>
+        {lastActivity && describeSessionEvent(lastActivity) && (
+          <div className="max-w-4xl mx-auto text-xs text-purple-100 mt-1">
+            {describeSessionEvent(lastActivity)} · {new Date(lastActivity.at).toLocaleTimeString()}
+          </div>
+        )}
       </div>
 
-      {/* Main content */}
+      {/* Pre-work questionnaire (before the session) */}
+      {view === 'prework' ? (
+        <div className="max-w-4xl mx-auto p-4">
+          <PreworkQuestionnaire token={token} authToken={authToken} revision={preworkRevision} />
+        </div>
+      ) : (
+      /* Main content */
       <div className="max-w-4xl mx-auto p-4 space-y-4">
         {/* Hidden file input for document upload */}
         <input
           type="file"
           ref={documentInputRef}
           onChange={handleDocumentUpload}
-          accept=".pdf,.doc,.docx,.txt,.csv"
+          accept=".pdf,.doc,.docx,.txt,.csv,.xlsx,.xls,.png,.jpg,.jpeg,.gif,.webp"
           className="hidden"
         />
 
@@ -701,7 +754,7 @@ function SharedChecklist() {
                     onClick={() => documentInputRef.current?.click()}
                     disabled={documentUploadStatus === 'uploading' || documentUploadStatus === 'analyzing'}
                     className="flex items-center gap-1.5 px-3 py-1.5 text-sm border border-blue-300 text-blue-700 bg-blue-50 rounded-lg hover:bg-blue-100 disabled:opacity-50"
-                    title="Upload Document (PDF, Word, TXT)"
+                    title="Upload Document (PDF, Word, Excel, CSV, TXT, image)"
                   >
                     {documentUploadStatus === 'uploading' || documentUploadStatus === 'analyzing' ? (
                       <Loader2 className="w-4 h-4 animate-spin" />
@@ -869,32 +922,36 @@ function SharedChecklist() {
           )
         )}
 
-        {/* Failed chunks retry bar - shows when not recording but has failed chunks */}
-        {!isRecording && chunkProcessingStatus.some(s => s.status === 'error') && (
+        {/* Failed chunks retry bar - failed chunks stay saved on this device until they are uploaded */}
+        {!isRecording && (queuedCount > 0 || chunkProcessingStatus.some(s => s.status === 'error')) && (
           <div className="bg-red-50 border border-red-200 rounded-lg p-4">
             <div className="flex items-center justify-between">
               <div className="flex items-center gap-3">
                 <AlertCircle className="w-5 h-5 text-red-600" />
                 <div>
                   <p className="text-sm font-medium text-red-800">
-                    {chunkProcessingStatus.filter(s => s.status === 'error').length} chunk(s) failed to analyze
+                    {queuedCount > 0
+                      ? `${queuedCount} recording chunk(s) waiting to upload`
+                      : `${chunkProcessingStatus.filter(s => s.status === 'error').length} chunk(s) failed to analyze`}
                   </p>
                   <p className="text-xs text-red-600">
-                    {chunkProcessingStatus.filter(s => s.status === 'error' && s.audioId).length > 0
-                      ? 'Audio saved - click Retry to re-analyze'
-                      : 'Audio upload failed - may need to re-record'}
+                    {!isOnline
+                      ? 'You are offline - the audio is saved on this device and uploads when the connection returns'
+                      : queuedCount > 0
+                        ? 'Audio saved on this device - retrying automatically, or click Retry'
+                        : 'Audio upload failed - may need to re-record'}
                   </p>
                 </div>
               </div>
               <div className="flex items-center gap-2">
-                {chunkProcessingStatus.filter(s => s.status === 'error' && s.audioId).length > 0 && (
+                {queuedCount > 0 && (
                   <button
                     onClick={handleRetryFailedChunks}
-                    disabled={retryingChunks}
+                    disabled={retryingChunks || !isOnline}
                     className="flex items-center gap-1.5 px-3 py-1.5 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 disabled:opacity-50"
                   >
                     {retryingChunks ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
-                    Retry Failed ({chunkProcessingStatus.filter(s => s.status === 'error' && s.audioId).length})
+                    Retry ({queuedCount})
                   </button>
                 )}
                 <button
@@ -1183,6 +1240,7 @@ function SharedChecklist() {
           <ImplicationsModal finding={implicationsFinding} onClose={() => setImplicationsFinding(null)} />
         )}
       </div>
+      )}
     </div>
   );
 }
@@ -1215,15 +1273,26 @@ function ItemCard({ item, type, importance, onShowBestPractice }) {
               )}
             </div>
             {item.obtained_text && (
-              <p className="text-sm text-gray-700 mt-1 bg-white rounded p-2 border border-green-100">
-                {item.obtained_text}
-              </p>
+              <div className="mt-1 bg-white rounded p-2 border border-green-100 space-y-1">
+                <p dir="auto" className="text-sm text-gray-700">{item.obtained_text}</p>
+                <OriginalQuote text={item.obtained_quote_original} />
+              </div>
             )}
             {item.category && (
               <span className="inline-block mt-2 px-2 py-0.5 bg-white rounded text-xs text-gray-500">
                 {item.category}
               </span>
             )}
+            {item.obtained_speaker && (
+              <span className="inline-block mt-2 ml-2 px-2 py-0.5 bg-indigo-100 rounded text-xs text-indigo-700">
+                Supplied by {item.obtained_speaker}
+              </span>
+            )}
+            {(item.obtained_document_name || item.obtained_reference) && (
+              <span className="inline-block mt-2 ml-2 px-2 py-0.5 bg-blue-100 rounded text-xs text-blue-700">
+                From {[item.obtained_document_name || 'document', item.obtained_reference].filter(Boolean).join(', ')}
+              </span>
+            )}
           </div>
         </div>
       </div>
@@ -1299,7 +1368,7 @@ function FindingCard({ finding, onShowImplications }) {
           <div className="flex-1">
             <div className="flex items-center gap-2 mb-1">
               <Lightbulb className="w-4 h-4 text-amber-500" />
-              <h4 className="font-medium text-gray-900">{finding.topic}</h4>
+              <h4 dir="auto" className="font-medium text-gray-900">{finding.topic}</h4>
             </div>
             <div className="flex items-center gap-2 mt-2 flex-wrap">
               <span className={`px-2 py-0.5 rounded text-xs font-medium ${riskColors[finding.sap_risk_level] || riskColors.medium}`}>
@@ -1327,7 +1396,7 @@ function FindingCard({ finding, onShowImplications }) {
 
         {/* Brief details always visible */}
         {finding.details && (
-          <p className="text-sm text-gray-600 mt-2 line-clamp-2">{finding.details}</p>
+          <p dir="auto" className="text-sm text-gray-600 mt-2 line-clamp-2">{finding.details}</p>
         )}
       </div>
 
@@ -1336,8 +1405,11 @@ function FindingCard({ finding, onShowImplications }) {
         <div className="px-4 pb-4 space-y-3 border-t border-gray-100 pt-3">
           {finding.source_quote && (
             <div className="bg-gray-50 rounded p-3 border-l-4 border-gray-300">
-              <p className="text-xs font-medium text-gray-500 mb-1">Source Quote</p>
-              <p className="text-sm text-gray-700 italic">"{finding.source_quote}"</p>
+              <p className="text-xs font-medium text-gray-500 mb-1">
+                Source Quote{finding.document_name ? ` - ${[finding.document_name, finding.source_reference].filter(Boolean).join(', ')}` : ''}{finding.source_speaker ? ` - ${finding.source_speaker}` : ''}
+              </p>
+              <p dir="auto" className="text-sm text-gray-700 italic">"{finding.source_quote}"</p>
+              <OriginalQuote text={finding.source_quote_original} className="mt-2" />
             </div>
           )}
 
@@ -1526,7 +1598,7 @@ function ImplicationsModal({ finding, onClose }) {
               <Lightbulb className="w-5 h-5 text-purple-600" />
               <h4 className="font-semibold text-gray-900">Finding Details</h4>
             </div>
-            <p className="text-gray-700">{finding.details}</p>
+            <p dir="auto" className="text-gray-700">{finding.details}</p>
           </div>
 
           {/* SAP Analysis - Implications */}
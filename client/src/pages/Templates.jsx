@@ -0,0 +1,242 @@
+import { useState, useEffect } from 'react';
+import { Library, Loader2, Trash2, ChevronDown, ChevronUp, List, HelpCircle, Tag } from 'lucide-react';
+import {
+  getTemplates,
+  getTemplate,
+  getTemplateVersions,
+  deleteTemplate,
+  TEMPLATE_KIND_LABELS
+} from '../services/templatesApi';
+import { useAuth } from '../context/AuthContext';
+
+const KIND_ICONS = {
+  checklist: List,
+  questions: HelpCircle
+};
+
+/**
+ * Template library: reviewed checklists and question sets saved from sessions,
+ * browsable by module, industry and tag. Sessions pick a template in Workshop Setup.
+ */
+function Templates() {
+  const { can } = useAuth();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ kind: '', module: '', industry: '', tag: '', q: '' });
+  const [expandedId, setExpandedId] = useState(null);
+  const [details, setDetails] = useState({}); // templateId -> { template, versions }
+  const [selectedVersion, setSelectedVersion] = useState({}); // templateId -> version row id shown
+
+  const loadTemplates = async () => {
+    setLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await getTemplates(params);
+      setTemplates(response.data);
+    } catch (error) {
+      console.error('Failed to load templates:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTemplates();
+  }, [filters.kind, filters.module, filters.tag]);
+
+  const loadVersion = async (templateId, versionId) => {
+    const [templateRes, versionsRes] = await Promise.all([
+      getTemplate(versionId),
+      details[templateId]?.versions ? Promise.resolve({ data: details[templateId].versions }) : getTemplateVersions(templateId)
+    ]);
+    setDetails(prev => ({ ...prev, [templateId]: { template: templateRes.data, versions: versionsRes.data } }));
+    setSelectedVersion(prev => ({ ...prev, [templateId]: versionId }));
+  };
+
+  const handleToggle = async (template) => {
+    if (expandedId === template.id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(template.id);
+    if (!details[template.id]) {
+      try {
+        await loadVersion(template.id, template.id);
+      } catch (error) {
+        console.error('Failed to load template:', error);
+      }
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete "${template.name}" and all ${template.version_count} versions? Sessions seeded from it keep their items.`)) return;
+    try {
+      await deleteTemplate(template.id);
+      setTemplates(templates.filter(t => t.id !== template.id));
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to delete template');
+    }
+  };
+
+  const modules = [...new Set(templates.map(t => t.module.split(' - ')[0]))].sort();
+  const tags = [...new Set(templates.flatMap(t => t.tags || []))].sort();
+  const selectClass = 'px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-nxsys-500 focus:border-nxsys-500';
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div>
+        <h1 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <Library className="w-5 h-5 text-nxsys-500" />
+          Template Library
+        </h1>
+        <p className="text-sm text-gray-500">
+          Reviewed checklists and question sets saved from sessions. Pick one for a session in Workshop Setup - the AI then only adds what the template does not cover.
+        </p>
+      </div>
+
+      {/* Filters */}
+      <form
+        onSubmit={(e) => { e.preventDefault(); loadTemplates(); }}
+        className="flex flex-wrap items-center gap-2 bg-white rounded-lg shadow-sm border border-gray-100 p-3"
+      >
+        <select value={filters.kind} onChange={(e) => setFilters({ ...filters, kind: e.target.value })} className={selectClass}>
+          <option value="">All types</option>
+          {Object.entries(TEMPLATE_KIND_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <select value={filters.module} onChange={(e) => setFilters({ ...filters, module: e.target.value })} className={selectClass}>
+          <option value="">All modules</option>
+          {modules.map(m => <option key={m} value={m}>{m}</option>)}
+        </select>
+        <select value={filters.tag} onChange={(e) => setFilters({ ...filters, tag: e.target.value })} className={selectClass}>
+          <option value="">All tags</option>
+          {tags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+        </select>
+        <input
+          type="text"
+          value={filters.industry}
+          onChange={(e) => setFilters({ ...filters, industry: e.target.value })}
+          placeholder="Industry"
+          className={`${selectClass} w-36`}
+        />
+        <input
+          type="text"
+          value={filters.q}
+          onChange={(e) => setFilters({ ...filters, q: e.target.value })}
+          placeholder="Name or description"
+          className={`${selectClass} flex-1 min-w-[160px]`}
+        />
+        <button type="submit" className="px-4 py-1.5 text-sm bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600">
+          Filter
+        </button>
+      </form>
+
+      {/* Templates */}
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 className="w-6 h-6 animate-spin text-nxsys-500" />
+        </div>
+      ) : templates.length === 0 ? (
+        <p className="text-center py-12 text-sm text-gray-500">
+          No templates yet. Save a reviewed checklist or question set from a session with the Template button.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {templates.map(template => {
+            const Icon = KIND_ICONS[template.kind] || List;
+            const expanded = expandedId === template.id;
+            const detail = details[template.id];
+            const shown = detail?.template;
+
+            return (
+              <div key={template.id} className="bg-white rounded-lg shadow-sm border border-gray-100">
+                <div className="flex items-start gap-3 p-4">
+                  <div className="p-2 bg-indigo-50 rounded-lg">
+                    <Icon className="w-5 h-5 text-indigo-600" />
+                  </div>
+                  <button onClick={() => handleToggle(template)} className="flex-1 text-left min-w-0">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="font-medium text-gray-900">{template.name}</span>
+                      <span className="px-2 py-0.5 text-xs rounded bg-blue-50 text-blue-700">{template.module.split(' - ')[0]}</span>
+                      <span className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">{TEMPLATE_KIND_LABELS[template.kind]}</span>
+                      {template.industry && <span className="text-xs text-gray-500">{template.industry}</span>}
+                      {(template.tags || []).map(tag => (
+                        <span key={tag} className="flex items-center gap-0.5 text-xs text-gray-500">
+                          <Tag className="w-3 h-3" />
+                          {tag}
+                        </span>
+                      ))}
+                    </div>
+                    {template.description && <p className="text-sm text-gray-600 mt-1 line-clamp-2">{template.description}</p>}
+                    <p className="text-xs text-gray-400 mt-1">
+                      v{template.version} · {template.item_count} {template.kind === 'checklist' ? 'items' : 'questions'}
+                      {template.version_count > 1 && ` · ${template.version_count} versions`}
+                      {template.created_by_name && ` · saved by ${template.created_by_name}`}
+                      {` · ${new Date(template.created_at).toLocaleDateString()}`}
+                    </p>
+                  </button>
+                  {can('manage') && (
+                    <button
+                      onClick={() => handleDelete(template)}
+                      className="p-1.5 text-gray-400 hover:text-red-500 rounded"
+                      title="Delete template"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button onClick={() => handleToggle(template)} className="p-1.5 text-gray-400 hover:text-gray-600 rounded">
+                    {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                  </button>
+                </div>
+
+                {expanded && (
+                  <div className="border-t px-4 py-3 space-y-3">
+                    {!shown ? (
+                      <div className="flex items-center text-sm text-gray-500">
+                        <Loader2 className="w-4 h-4 animate-spin mr-2" />
+                        Loading...
+                      </div>
+                    ) : (
+                      <>
+                        {detail.versions.length > 1 && (
+                          <div className="flex items-center gap-2 text-sm">
+                            <span className="text-gray-600">Version</span>
+                            <select
+                              value={selectedVersion[template.id] || template.id}
+                              onChange={(e) => loadVersion(template.id, parseInt(e.target.value))}
+                              className={selectClass}
+                            >
+                              {detail.versions.map(v => (
+                                <option key={v.id} value={v.id}>
+                                  v{v.version} - {new Date(v.created_at).toLocaleDateString()} ({v.item_count})
+                                </option>
+                              ))}
+                            </select>
+                          </div>
+                        )}
+                        {shown.notes && <p className="text-xs text-gray-600">Changes: {shown.notes}</p>}
+                        {shown.source_session_name && (
+                          <p className="text-xs text-gray-500">Saved from session "{shown.source_session_name}"</p>
+                        )}
+                        <ol className="max-h-80 overflow-y-auto space-y-1 text-sm list-decimal list-inside text-gray-700">
+                          {shown.items.map((item, index) => (
+                            <li key={index}>
+                              {item.item_text || item.question_text}
+                              <span className="ml-2 text-xs text-gray-400">{item.category || item.category_name}</span>
+                            </li>
+                          ))}
+                        </ol>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Templates;
@@ -0,0 +1,279 @@
+import { useState, useEffect } from 'react';
+import { Users, Plus, Trash2, X, Loader2, KeyRound } from 'lucide-react';
+import { getUsers, createUser, updateUser, deleteUser, ROLE_LABELS } from '../services/authApi';
+import { useAuth } from '../context/AuthContext';
+
+const roleColors = {
+  admin: 'bg-nxsys-100 text-nxsys-700',
+  lead_consultant: 'bg-purple-100 text-purple-700',
+  note_taker: 'bg-blue-100 text-blue-700',
+  client_viewer: 'bg-gray-100 text-gray-700'
+};
+
+const emptyUser = { email: '', name: '', password: '', role: 'note_taker' };
+
+function UserManagement() {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [newUser, setNewUser] = useState(emptyUser);
+  const [creating, setCreating] = useState(false);
+  const [createError, setCreateError] = useState('');
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const loadUsers = async () => {
+    try {
+      const response = await getUsers();
+      setUsers(response.data);
+    } catch (error) {
+      console.error('Failed to load users:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateUser = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setCreateError('');
+    try {
+      await createUser(newUser);
+      setShowCreateModal(false);
+      setNewUser(emptyUser);
+      loadUsers();
+    } catch (error) {
+      setCreateError(error.response?.data?.error || 'Failed to create user');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleUpdate = async (userId, data) => {
+    try {
+      await updateUser(userId, data);
+      loadUsers();
+    } catch (error) {
+      alert('Failed to update user: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleResetPassword = async (u) => {
+    const password = prompt(`New password for ${u.name} (min. 8 characters):`);
+    if (!password) return;
+    handleUpdate(u.id, { password });
+  };
+
+  const handleDelete = async (u) => {
+    if (!confirm(`Delete ${u.name}? They will lose access to all workshops.`)) return;
+    try {
+      await deleteUser(u.id);
+      loadUsers();
+    } catch (error) {
+      alert('Failed to delete user: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader2 className="w-8 h-8 animate-spin text-nxsys-500" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-xl font-bold text-gray-900">Users</h1>
+          <p className="text-sm text-gray-500">Manage accounts and roles. Workshop access is granted from each workshop's setup page.</p>
+        </div>
+        <button
+          onClick={() => setShowCreateModal(true)}
+          className="flex items-center space-x-2 px-4 py-2 bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600 transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          <span>New User</span>
+        </button>
+      </div>
+
+      {/* Users Table */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b border-gray-100">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase w-44">Role</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase w-24">Workshops</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase w-24">Active</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase w-24">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {users.map((u) => {
+              const isSelf = u.id === currentUser?.id;
+              return (
+                <tr key={u.id} className="hover:bg-gray-50 transition-colors">
+                  <td className="px-4 py-2 font-medium text-gray-900">{u.name}</td>
+                  <td className="px-4 py-2 text-gray-600">{u.email}</td>
+                  <td className="px-4 py-2">
+                    {isSelf ? (
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium ${roleColors[u.role]}`}>
+                        {ROLE_LABELS[u.role]}
+                      </span>
+                    ) : (
+                      <select
+                        value={u.role}
+                        onChange={(e) => handleUpdate(u.id, { role: e.target.value })}
+                        className="px-2 py-1 border rounded text-xs"
+                      >
+                        {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-gray-600">{u.role === 'admin' ? 'All' : u.workshop_count}</td>
+                  <td className="px-4 py-2">
+                    <input
+                      type="checkbox"
+                      checked={u.is_active}
+                      disabled={isSelf}
+                      onChange={(e) => handleUpdate(u.id, { is_active: e.target.checked })}
+                    />
+                  </td>
+                  <td className="px-4 py-2">
+                    <div className="flex items-center justify-end space-x-1">
+                      <button
+                        onClick={() => handleResetPassword(u)}
+                        className="p-1.5 text-gray-400 hover:text-nxsys-600 hover:bg-nxsys-50 rounded transition-colors"
+                        title="Reset Password"
+                      >
+                        <KeyRound className="w-4 h-4" />
+                      </button>
+                      {!isSelf && (
+                        <button
+                          onClick={() => handleDelete(u)}
+                          className="p-1.5 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded transition-colors"
+                          title="Delete User"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {users.length === 0 && (
+          <div className="p-12 text-center">
+            <Users className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500">No users yet.</p>
+          </div>
+        )}
+      </div>
+
+      {/* Create User Modal */}
+      {showCreateModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-md p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Create New User</h2>
+              <button
+                onClick={() => setShowCreateModal(false)}
+                className="p-1 text-gray-400 hover:text-gray-600"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleCreateUser} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Name <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="text"
+                  value={newUser.name}
+                  onChange={(e) => setNewUser({ ...newUser, name: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-nxsys-500 focus:border-nxsys-500"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Email <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="email"
+                  value={newUser.email}
+                  onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-nxsys-500 focus:border-nxsys-500"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Initial Password <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="password"
+                  value={newUser.password}
+                  onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                  minLength={8}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-nxsys-500 focus:border-nxsys-500"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+                <select
+                  value={newUser.role}
+                  onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-nxsys-500 focus:border-nxsys-500"
+                >
+                  {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {createError && (
+                <div className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-700">
+                  {createError}
+                </div>
+              )}
+
+              <div className="flex items-center space-x-3 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setShowCreateModal(false)}
+                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={creating}
+                  className="flex-1 px-4 py-2 bg-nxsys-500 text-white rounded-md hover:bg-nxsys-600 disabled:opacity-50"
+                >
+                  {creating ? 'Creating...' : 'Create User'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UserManagement;
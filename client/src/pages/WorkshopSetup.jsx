@@ -11,8 +11,14 @@ import {
   createSession,
   updateSession,
   deleteSession,
-  generateSessionQuestions
+  generateWorkshopQuestions,
+  generateWorkshopChecklists,
+  SESSION_LANGUAGES
 } from '../services/workshopApi';
+import { generateWorkshopTranscript, downloadWorkshopTranscript } from '../services/sessionChecklistApi';
+import { isJobActive } from '../services/jobsApi';
+import { getTemplates, matchesModule } from '../services/templatesApi';
+import { useBackgroundJobs } from '../hooks/useBackgroundJobs';
 import {
   Settings,
   Building2,
@@ -37,6 +43,8 @@ import {
 } from 'lucide-react';
 import axios from 'axios';
 import CriticalConfirmDialog from '../components/CriticalConfirmDialog';
+import WorkshopMembers from '../components/WorkshopMembers';
+import PreworkPanel from '../components/PreworkPanel';
 import {
   enableSharing,
   disableSharing,
@@ -105,23 +113,50 @@ const sectorOptions = [
   'Retail Distribution', 'B2B Industrial', 'B2C Consumer', 'Government'
 ];
 
+/**
+ * Progress of a batch of per-session generation jobs, in the shape the progress modals use
+ */
+const summarizeSessionJobs = (jobs, sessions) => {
+  const finishedCount = jobs.filter(job => !isJobActive(job)).length;
+  const current = jobs.find(job => job.status === 'running') || jobs.find(isJobActive);
+  const session = current && sessions.find(s => s.id === current.session_id);
+
+  let phase = 'complete';
+  if (current) {
+    phase = current.status === 'queued' ? 'init' : current.progress >= 30 ? 'saving' : 'generating';
+  }
+
+  return {
+    sessionCurrent: Math.min(finishedCount + 1, jobs.length),
+    sessionTotal: jobs.length,
+    sessionName: session?.name || '',
+    phase,
+    message: current?.status === 'queued' ? 'Waiting in queue...' : current?.progress_message || '',
+    progress: current?.progress || 0,
+    checklistCurrent: current?.progress_details?.current || 0,
+    checklistTotal: current?.progress_details?.total || 0
+  };
+};
+
+/**
+ * Alert text listing the sessions whose job failed or was cancelled
+ */
+const describeFailedJobs = (jobs, sessions) => {
+  const failed = jobs.filter(job => job.status === 'failed' || job.status === 'cancelled');
+  if (failed.length === 0) return '';
+  const lines = failed.map(job => {
+    const session = sessions.find(s => s.id === job.session_id);
+    return `- ${session?.name || `Session ${job.session_id}`}: ${job.error || job.status}`;
+  });
+  return `\n\nNot generated:\n${lines.join('\n')}`;
+};
+
 function WorkshopSetup() {
   const { workshopId } = useParams();
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
-  const [generating, setGenerating] = useState(false);
   const [researching, setResearching] = useState(false);
   const [saveSuccess, setSaveSuccess] = useState(false);
-  const [generationProgress, setGenerationProgress] = useState({
-    sessionCurrent: 0,
-    sessionTotal: 0,
-    sessionName: '',
-    phase: '',
-    message: '',
-    progress: 0,
-    checklistCurrent: 0,
-    checklistTotal: 0
-  });
 
   // Workshop Config
   const [workshop, setWorkshop] = useState({
@@ -139,6 +174,7 @@ function WorkshopSetup() {
 
   // Sessions
   const [sessions, setSessions] = useState([]);
+  const [templates, setTemplates] = useState([]); // Template library, for seeding sessions
   const [newSession, setNewSession] = useState({ name: '', module: 'FICO - Finance & Controlling', description: '', agenda: '', question_count: 30, topics: '' });
 
   // Topics modal state
@@ -155,16 +191,7 @@ function WorkshopSetup() {
   const [showSimpleGenerateConfirm, setShowSimpleGenerateConfirm] = useState(false);
 
   // Direct Checklist Mode state
-  const [generatingChecklist, setGeneratingChecklist] = useState(false);
   const [showChecklistConfirm, setShowChecklistConfirm] = useState(false);
-  const [checklistProgress, setChecklistProgress] = useState({
-    sessionCurrent: 0,
-    sessionTotal: 0,
-    sessionName: '',
-    phase: '',
-    message: '',
-    progress: 0
-  });
 
   // Share modal state
   const [shareModalOpen, setShareModalOpen] = useState(false);
@@ -179,14 +206,31 @@ function WorkshopSetup() {
   });
   const [copySuccess, setCopySuccess] = useState('');
 
-  // Transcript generation state
-  const [generatingTranscript, setGeneratingTranscript] = useState(false);
-  const [transcriptResult, setTranscriptResult] = useState(null);
-
   // Check if any session has existing questions
   const hasExistingQuestions = sessions.some(s => s.questions_generated);
   const hasExistingChecklists = sessions.some(s => s.checklist_generated);
 
+  // Generation and transcripts run as background jobs on the server; these re-attach
+  // to jobs already running for this workshop (e.g. started in another tab)
+  const questionJobs = useBackgroundJobs(
+    { workshopId, types: ['session_questions'] },
+    { onFinished: (jobs) => handleQuestionJobsFinished(jobs) }
+  );
+  const checklistJobs = useBackgroundJobs(
+    { workshopId, types: ['session_checklist'] },
+    { onFinished: (jobs) => handleChecklistJobsFinished(jobs) }
+  );
+  const transcriptJobs = useBackgroundJobs(
+    { workshopId, types: ['workshop_transcript'] },
+    { onFinished: ([job]) => handleTranscriptJobFinished(job) }
+  );
+
+  const generating = questionJobs.running;
+  const generatingChecklist = checklistJobs.running;
+  const generatingTranscript = transcriptJobs.running;
+  const generationProgress = summarizeSessionJobs(questionJobs.jobs, sessions);
+  const checklistProgress = summarizeSessionJobs(checklistJobs.jobs, sessions);
+
   useEffect(() => {
     loadAllData();
   }, [workshopId]);
@@ -209,6 +253,15 @@ function WorkshopSetup() {
     }
   };
 
+  useEffect(() => {
+    getTemplates()
+      .then(response => setTemplates(response.data))
+      .catch(error => console.error('Failed to load templates:', error));
+  }, []);
+
+  const templateOptions = (session, kind) =>
+    templates.filter(t => t.kind === kind && matchesModule(t, session.module));
+
   const handleSaveWorkshop = async () => {
     setSaving(true);
     setSaveSuccess(false);
@@ -270,100 +323,22 @@ function WorkshopSetup() {
 
   const handleGenerateQuestionsConfirm = async () => {
     setShowGenerateConfirm(false);
-    setGenerating(true);
-    setGenerationProgress({
-      sessionCurrent: 0,
-      sessionTotal: sessions.length,
-      sessionName: '',
-      phase: 'init',
-      message: 'Starting...',
-      progress: 0,
-      checklistCurrent: 0,
-      checklistTotal: 0
-    });
-
-    let successCount = 0;
-    let totalQuestions = 0;
-    let totalChecklists = 0;
-
-    for (let i = 0; i < sessions.length; i++) {
-      const session = sessions[i];
-
-      setGenerationProgress(prev => ({
-        ...prev,
-        sessionCurrent: i + 1,
-        sessionName: session.name,
-        phase: 'init',
-        message: `Starting session ${i + 1}...`,
-        progress: 0,
-        checklistCurrent: 0,
-        checklistTotal: 0
-      }));
-
-      try {
-        // Use SSE endpoint for real-time progress
-        await new Promise((resolve, reject) => {
-          const eventSource = new EventSource(`/api/workshops/${workshopId}/sessions/${session.id}/generate-stream`);
-
-          eventSource.onmessage = (event) => {
-            const data = JSON.parse(event.data);
-
-            setGenerationProgress(prev => ({
-              ...prev,
-              sessionCurrent: i + 1,
-              sessionName: session.name,
-              phase: data.phase,
-              message: data.message,
-              progress: data.progress || prev.progress,
-              checklistCurrent: data.current || prev.checklistCurrent,
-              checklistTotal: data.total || prev.checklistTotal
-            }));
-
-            if (data.phase === 'complete') {
-              totalQuestions += data.questionCount || 0;
-              totalChecklists += data.checklistSuccess || 0;
-              successCount++;
-              eventSource.close();
-              resolve();
-            } else if (data.phase === 'error') {
-              eventSource.close();
-              reject(new Error(data.message));
-            }
-          };
-
-          eventSource.onerror = () => {
-            eventSource.close();
-            reject(new Error('Connection lost'));
-          };
-        });
-      } catch (error) {
-        console.error(`Failed to generate for session ${session.name}:`, error);
-      }
+    try {
+      const response = await generateWorkshopQuestions(workshopId);
+      questionJobs.track(response.data.jobs);
+    } catch (error) {
+      console.error('Failed to start question generation:', error);
+      alert('Failed to start question generation: ' + (error.response?.data?.error || error.message));
     }
+  };
 
-    setGenerationProgress(prev => ({
-      ...prev,
-      sessionCurrent: sessions.length,
-      phase: 'complete',
-      message: 'All sessions complete!',
-      progress: 100
-    }));
-
-    setTimeout(() => {
-      alert(`Generated ${totalQuestions} questions with ${totalChecklists} checklists across ${successCount} sessions.`);
-      loadAllData();
-      setGenerating(false);
-      setGenerationProgress({
-        sessionCurrent: 0,
-        sessionTotal: 0,
-        sessionName: '',
-        phase: '',
-        message: '',
-        progress: 0,
-        checklistCurrent: 0,
-        checklistTotal: 0
-      });
-    }, 1500);
+  const handleQuestionJobsFinished = (jobs) => {
+    const completed = jobs.filter(job => job.status === 'completed');
+    const totalQuestions = completed.reduce((sum, job) => sum + (job.result?.questionCount || 0), 0);
+    const totalChecklists = completed.reduce((sum, job) => sum + (job.result?.checklistSuccess || 0), 0);
+
+    alert(`Generated ${totalQuestions} questions with ${totalChecklists} checklists across ${completed.length} sessions.${describeFailedJobs(jobs, sessions)}`);
+    loadAllData();
   };
 
   // Direct Checklist Mode handlers
@@ -381,91 +356,21 @@ function WorkshopSetup() {
 
   const handleGenerateChecklistConfirm = async () => {
     setShowChecklistConfirm(false);
-    setGeneratingChecklist(true);
-    setChecklistProgress({
-      sessionCurrent: 0,
-      sessionTotal: sessions.length,
-      sessionName: '',
-      phase: 'init',
-      message: 'Starting...',
-      progress: 0
-    });
-
-    let successCount = 0;
-    let totalItems = 0;
-
-    for (let i = 0; i < sessions.length; i++) {
-      const session = sessions[i];
-
-      setChecklistProgress(prev => ({
-        ...prev,
-        sessionCurrent: i + 1,
-        sessionName: session.name,
-        phase: 'init',
-        message: `Starting session ${i + 1}...`,
-        progress: 0
-      }));
-
-      try {
-        // Use SSE endpoint for real-time progress
-        await new Promise((resolve, reject) => {
-          const eventSource = new EventSource(`/api/workshops/${workshopId}/sessions/${session.id}/generate-checklist-stream`);
-
-          eventSource.onmessage = (event) => {
-            const data = JSON.parse(event.data);
-
-            setChecklistProgress(prev => ({
-              ...prev,
-              sessionCurrent: i + 1,
-              sessionName: session.name,
-              phase: data.phase,
-              message: data.message,
-              progress: data.progress || prev.progress
-            }));
-
-            if (data.phase === 'complete') {
-              totalItems += data.itemCount || 0;
-              successCount++;
-              eventSource.close();
-              resolve();
-            } else if (data.phase === 'error') {
-              eventSource.close();
-              reject(new Error(data.message));
-            }
-          };
-
-          eventSource.onerror = () => {
-            eventSource.close();
-            reject(new Error('Connection lost'));
-          };
-        });
-      } catch (error) {
-        console.error(`Failed to generate checklist for session ${session.name}:`, error);
-        alert(`Error generating checklist for ${session.name}: ${error.message}`);
-      }
+    try {
+      const response = await generateWorkshopChecklists(workshopId);
+      checklistJobs.track(response.data.jobs);
+    } catch (error) {
+      console.error('Failed to start checklist generation:', error);
+      alert('Failed to start checklist generation: ' + (error.response?.data?.error || error.message));
     }
+  };
 
-    setChecklistProgress(prev => ({
-      ...prev,
-      sessionCurrent: sessions.length,
-      phase: 'complete',
-      message: 'All sessions complete!',
-      progress: 100
-    }));
-
-    setTimeout(() => {
-      alert(`Generated ${totalItems} checklist items across ${successCount} sessions.\n\nSessions are now in Direct Checklist Mode.`);
-      loadAllData();
-      setGeneratingChecklist(false);
-      setChecklistProgress({
-        sessionCurrent: 0,
-        sessionTotal: 0,
-        sessionName: '',
-        phase: '',
-        message: '',
-        progress: 0
-      });
-    }, 1500);
+  const handleChecklistJobsFinished = (jobs) => {
+    const completed = jobs.filter(job => job.status === 'completed');
+    const totalItems = completed.reduce((sum, job) => sum + (job.result?.itemCount || 0), 0);
+
+    alert(`Generated ${totalItems} checklist items across ${completed.length} sessions.\n\nSessions are now in Direct Checklist Mode.${describeFailedJobs(jobs, sessions)}`);
+    loadAllData();
   };
 
   // Entity handlers
@@ -675,42 +580,47 @@ Password: ${shareData.password}`;
 
   // Generate combined transcript for all sessions
   const handleGenerateTranscript = async () => {
-    setGeneratingTranscript(true);
-    setTranscriptResult(null);
-
     try {
-      const response = await axios.post(`/api/session-checklist/workshop/${workshopId}/generate-transcript`);
-      setTranscriptResult(response.data);
-
-      // Download the transcript
-      if (response.data.transcript) {
-        const blob = new Blob([response.data.transcript], { type: 'text/markdown' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${workshop.name.replace(/[^a-z0-9]/gi, '-')}-transcript.md`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        window.URL.revokeObjectURL(url);
-      }
-
-      // Show success message
-      const { sessionsProcessed, totalRecordings, transcribedRecordings, newlyTranscribed, legacyRecordings } = response.data;
-      let message = `Transcript generated!\n\nSessions: ${sessionsProcessed}\nTotal recordings: ${totalRecordings}`;
-      if (legacyRecordings > 0) {
-        message += `\n  (${legacyRecordings} legacy, ${totalRecordings - legacyRecordings} new)`;
-      }
-      message += `\nTranscribed: ${transcribedRecordings}\nNewly transcribed: ${newlyTranscribed}`;
-      alert(message);
+      const response = await generateWorkshopTranscript(workshopId);
+      transcriptJobs.track(response.data.job);
     } catch (error) {
       console.error('Failed to generate transcript:', error);
       alert('Failed to generate transcript: ' + (error.response?.data?.error || error.message));
-    } finally {
-      setGeneratingTranscript(false);
     }
   };
 
+  const handleTranscriptJobFinished = async (job) => {
+    if (!job || job.status !== 'completed') {
+      alert('Failed to generate transcript: ' + (job?.error || 'the job was cancelled'));
+      return;
+    }
+
+    try {
+      // Download the transcript
+      const transcript = await downloadWorkshopTranscript(workshopId);
+      const blob = new Blob([transcript.data], { type: 'text/markdown' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${workshop.name.replace(/[^a-z0-9]/gi, '-')}-transcript.md`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download transcript:', error);
+    }
+
+    // Show success message
+    const { sessionsProcessed, totalRecordings, transcribedRecordings, newlyTranscribed, legacyRecordings } = job.result;
+    let message = `Transcript generated!\n\nSessions: ${sessionsProcessed}\nTotal recordings: ${totalRecordings}`;
+    if (legacyRecordings > 0) {
+      message += `\n  (${legacyRecordings} legacy, ${totalRecordings - legacyRecordings} new)`;
+    }
+    message += `\nTranscribed: ${transcribedRecordings}\nNewly transcribed: ${newlyTranscribed}`;
+    alert(message);
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[400px]">
@@ -776,6 +686,9 @@ Password: ${shareData.password}`;
                 {generationProgress.message || 'Initializing...'}
               </p>
             </div>
+            <p className="text-xs text-gray-400 text-center mt-2">
+              Runs on the server - you can close this page and come back later.
+            </p>
 
             {/* Phase Indicators */}
             <div className="flex justify-center gap-4 mt-4 text-xs">
@@ -977,7 +890,7 @@ Password: ${shareData.password}`;
           </h2>
 
           {/* Sessions List */}
-          <div className="max-h-32 overflow-y-auto mb-2">
+          <div className="max-h-48 overflow-y-auto mb-2">
             {sessions.length === 0 ? (
               <p className="text-xs text-gray-500">No sessions added yet.</p>
             ) : (
@@ -1000,6 +913,14 @@ Password: ${shareData.password}`;
                     >
                       {moduleOptions.map(m => <option key={m} value={m}>{m.split(' - ')[0]}</option>)}
                     </select>
+                    <select
+                      value={session.language || 'en'}
+                      onChange={(e) => handleUpdateSession(session.id, 'language', e.target.value)}
+                      className="px-1 py-0.5 border rounded text-xs w-24"
+                      title="Workshop language - recordings are transcribed in it, Arabic + English detects it per recording"
+                    >
+                      {Object.entries(SESSION_LANGUAGES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
                     <input
                       type="number"
                       value={session.question_count || 30}
@@ -1008,6 +929,16 @@ Password: ${shareData.password}`;
                       max={100}
                       className="w-12 px-1 py-0.5 border rounded text-xs"
                     />
+                    <input
+                      type="number"
+                      value={session.planned_duration_minutes || ''}
+                      onChange={(e) => handleUpdateSession(session.id, 'planned_duration_minutes', parseInt(e.target.value) || null)}
+                      min={15}
+                      step={15}
+                      placeholder="min"
+                      className="w-14 px-1 py-0.5 border rounded text-xs"
+                      title="Planned duration in minutes - the question coach warns when critical items will not fit in the time left"
+                    />
                     <button
                       onClick={() => openShareModal(session)}
                       className={`flex-shrink-0 p-1 rounded ${session.share_enabled ? 'text-green-600 bg-green-100 hover:bg-green-200' : 'text-blue-600 bg-blue-50 hover:bg-blue-100'}`}
@@ -1031,6 +962,37 @@ Password: ${shareData.password}`;
                       {session.topics || '+ Add topics to cover'}
                     </button>
                   </div>
+                  {/* Templates the session's checklist / questions are seeded from */}
+                  <div className="ml-7 mt-1 flex items-center gap-1.5">
+                    <select
+                      value={session.checklist_template_id || ''}
+                      onChange={(e) => handleUpdateSession(session.id, 'checklist_template_id', e.target.value ? parseInt(e.target.value) : null)}
+                      className={`flex-1 min-w-0 px-1 py-0.5 border rounded text-xs ${session.checklist_template_id ? 'border-indigo-300 bg-indigo-50 text-indigo-700' : 'text-gray-500'}`}
+                      title="Checklist template - the AI only adds what it does not cover"
+                    >
+                      <option value="">Checklist: no template</option>
+                      {templateOptions(session, 'checklist').map(t => (
+                        <option key={t.id} value={t.id}>Checklist: {t.name} (v{t.version}, {t.item_count})</option>
+                      ))}
+                      {session.checklist_template_id && !templateOptions(session, 'checklist').some(t => t.id === session.checklist_template_id) && (
+                        <option value={session.checklist_template_id}>Checklist: earlier template version</option>
+                      )}
+                    </select>
+                    <select
+                      value={session.question_template_id || ''}
+                      onChange={(e) => handleUpdateSession(session.id, 'question_template_id', e.target.value ? parseInt(e.target.value) : null)}
+                      className={`flex-1 min-w-0 px-1 py-0.5 border rounded text-xs ${session.question_template_id ? 'border-indigo-300 bg-indigo-50 text-indigo-700' : 'text-gray-500'}`}
+                      title="Question template - the AI only adds questions for what it does not cover"
+                    >
+                      <option value="">Questions: no template</option>
+                      {templateOptions(session, 'questions').map(t => (
+                        <option key={t.id} value={t.id}>Questions: {t.name} (v{t.version}, {t.item_count})</option>
+                      ))}
+                      {session.question_template_id && !templateOptions(session, 'questions').some(t => t.id === session.question_template_id) && (
+                        <option value={session.question_template_id}>Questions: earlier template version</option>
+                      )}
+                    </select>
+                  </div>
                 </div>
               ))
             )}
@@ -1063,6 +1025,9 @@ Password: ${shareData.password}`;
         </section>
       </div>
 
+      {/* Section 3: Workshop Members */}
+      <WorkshopMembers workshopId={workshopId} />
+
       {/* Summary & Actions */}
       <section className="bg-gradient-to-r from-purple-50 to-nxsys-50 rounded-lg border border-nxsys-200 p-4">
         <div className="flex items-center justify-between">
@@ -1102,7 +1067,7 @@ Password: ${shareData.password}`;
               className="flex items-center space-x-1.5 px-4 py-2 bg-gradient-to-r from-emerald-500 to-teal-500 text-white rounded-lg hover:from-emerald-600 hover:to-teal-600 disabled:opacity-50 text-sm font-medium"
             >
               {generatingTranscript ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileText className="w-4 h-4" />}
-              <span>{generatingTranscript ? 'Generating...' : 'Generate Transcript'}</span>
+              <span>{generatingTranscript ? `Generating... ${transcriptJobs.jobs[0]?.progress || 0}%` : 'Generate Transcript'}</span>
             </button>
           </div>
         </div>
@@ -1376,6 +1341,9 @@ Examples:
                 />
               </div>
               <p className="text-xs text-gray-500 mt-2 text-right">{checklistProgress.progress}%</p>
+              <p className="text-xs text-gray-400 mt-3">
+                Runs on the server - you can close this page and come back later.
+              </p>
             </div>
           </div>
         </div>
@@ -1397,7 +1365,7 @@ Examples:
             </div>
 
             {/* Modal Body */}
-            <div className="p-4 space-y-4">
+            <div className="p-4 space-y-4 max-h-[75vh] overflow-y-auto">
               {/* Session Info */}
               <div className="bg-gray-50 rounded-lg p-3">
                 <p className="text-sm text-gray-600">
@@ -1558,13 +1526,17 @@ Examples:
                     </button>
                   )}
 
-                  {/* Info about exclusive access */}
-                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mt-2">
-                    <p className="text-yellow-800 text-xs">
-                      <strong>Note:</strong> Only one user can access the shared session at a time.
-                      If someone is already using it, others will see a "Session in use" message.
+                  {/* Info about shared access */}
+                  <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mt-2">
+                    <p className="text-blue-800 text-xs">
+                      <strong>Note:</strong> Several people can use the shared session at the same time.
+                      Recordings, documents and checklist changes appear live for everyone.
                     </p>
                   </div>
+
+                  {shareSession.checklist_generated && (
+                    <PreworkPanel workshopId={workshopId} sessionId={shareSession.id} />
+                  )}
                 </div>
               )}
 
@@ -7,8 +7,16 @@ import {
   PlayCircle,
   ChevronRight,
   Settings,
-  ArrowLeft
+  ArrowLeft,
+  FileText,
+  Download,
+  Wrench,
+  Scale,
+  GitCompare,
+  Network
 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { getWorkshopBpmlExcelUrl } from '../services/bpmlApi';
 
 const moduleColors = {
   FICO: 'bg-blue-100 text-blue-800',
@@ -27,6 +35,7 @@ const statusConfig = {
 };
 
 function WorkshopView() {
+  const { can } = useAuth();
   const { workshopId } = useParams();
   const [workshop, setWorkshop] = useState(null);
   const [sessions, setSessions] = useState([]);
@@ -93,13 +102,74 @@ function WorkshopView() {
             )}
           </div>
         </div>
-        <Link
-          to={`/workshop/${workshopId}/setup`}
-          className="flex items-center space-x-2 px-4 py-2 bg-purple-50 text-purple-700 rounded-md hover:bg-purple-100 transition-colors"
-        >
-          <Settings className="w-4 h-4" />
-          <span>Setup</span>
-        </Link>
+        <div className="flex items-center space-x-2">
+          {sessions.length > 0 && (
+            <Link
+              to={`/workshop/${workshopId}/kds`}
+              className="flex items-center space-x-2 px-4 py-2 bg-gray-50 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+            >
+              <FileText className="w-4 h-4" />
+              <span>Design Specs</span>
+            </Link>
+          )}
+          {sessions.length > 0 && (
+            <a
+              href={getWorkshopBpmlExcelUrl(workshopId)}
+              title="Business Process Master List of all sessions (Excel)"
+              className="flex items-center space-x-2 px-4 py-2 bg-gray-50 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+            >
+              <Download className="w-4 h-4" />
+              <span>BPML</span>
+            </a>
+          )}
+          {sessions.length > 0 && (
+            <Link
+              to={`/workshop/${workshopId}/ricefw`}
+              className="flex items-center space-x-2 px-4 py-2 bg-gray-50 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+            >
+              <Wrench className="w-4 h-4" />
+              <span>RICEFW</span>
+            </Link>
+          )}
+          {sessions.length > 0 && (
+            <Link
+              to={`/workshop/${workshopId}/fit-gap`}
+              className="flex items-center space-x-2 px-4 py-2 bg-gray-50 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+            >
+              <Scale className="w-4 h-4" />
+              <span>Fit-Gap</span>
+            </Link>
+          )}
+          {sessions.length > 0 && entities.length > 1 && (
+            <Link
+              to={`/workshop/${workshopId}/harmonization`}
+              title="Compare the answers of the entities"
+              className="flex items-center space-x-2 px-4 py-2 bg-gray-50 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+            >
+              <GitCompare className="w-4 h-4" />
+              <span>Harmonization</span>
+            </Link>
+          )}
+          {sessions.length > 0 && (
+            <Link
+              to={`/workshop/${workshopId}/enterprise-structure`}
+              title="Company codes, plants, sales and purchasing organizations"
+              className="flex items-center space-x-2 px-4 py-2 bg-gray-50 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+            >
+              <Network className="w-4 h-4" />
+              <span>Org Structure</span>
+            </Link>
+          )}
+          {can('manage') && (
+            <Link
+              to={`/workshop/${workshopId}/setup`}
+              className="flex items-center space-x-2 px-4 py-2 bg-purple-50 text-purple-700 rounded-md hover:bg-purple-100 transition-colors"
+            >
+              <Settings className="w-4 h-4" />
+              <span>Setup</span>
+            </Link>
+          )}
+        </div>
       </div>
 
       {/* Stats Bar */}
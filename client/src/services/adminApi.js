@@ -1,13 +1,14 @@
 import axios from 'axios';
+import { attachAuth } from './authApi';
 
 const API_BASE = '/api/admin';
 
-const api = axios.create({
+const api = attachAuth(axios.create({
   baseURL: API_BASE,
   headers: {
     'Content-Type': 'application/json'
   }
-});
+}));
 
 // Global Workshop Config
 export const getWorkshopConfig = () => api.get('/config');
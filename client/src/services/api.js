@@ -1,13 +1,14 @@
 import axios from 'axios';
+import { attachAuth, withAuthToken } from './authApi';
 
 const API_BASE = '/api';
 
-const api = axios.create({
+const api = attachAuth(axios.create({
   baseURL: API_BASE,
   headers: {
     'Content-Type': 'application/json'
   }
-});
+}));
 
 // Sessions
 export const getSessions = () => api.get('/sessions');
@@ -34,6 +35,10 @@ export const uploadAudio = (answerId, formData) =>
 export const uploadDocument = (answerId, formData) =>
   axios.post(`/api/answers/${answerId}/document`, formData);
 
+// Attachment URLs for <audio> and download links (opened outside axios)
+export const getAudioFileUrl = (audioId) => withAuthToken(`/api/answers/audio/${audioId}/file`);
+export const getDocumentFileUrl = (docId) => withAuthToken(`/api/answers/document/${docId}/file`);
+
 export const deleteAudio = (audioId) => api.delete(`/answers/audio/${audioId}`);
 export const deleteDocument = (docId) => api.delete(`/answers/document/${docId}`);
 export const resetQuestionData = (questionId) => api.delete(`/answers/question/${questionId}/reset`);
@@ -62,9 +67,9 @@ export const getReport = (reportId) => api.get(`/reports/${reportId}`);
 export const generateReport = (sessionId) => api.post(`/reports/session/${sessionId}/generate`);
 export const updateReportStatus = (reportId, status) => api.patch(`/reports/${reportId}/status`, { status });
 export const deleteReport = (reportId) => api.delete(`/reports/${reportId}`);
-export const exportReportPDF = (reportId) => `/api/reports/${reportId}/export/pdf`;
-export const exportSessionPDF = (sessionId) => `/api/reports/session/${sessionId}/export/pdf`;
-export const exportReportExcel = (reportId) => `/api/reports/${reportId}/export/excel`;
-export const exportReportMarkdown = (reportId) => `/api/reports/${reportId}/export/markdown`;
+export const exportReportPDF = (reportId) => withAuthToken(`/api/reports/${reportId}/export/pdf`);
+export const exportSessionPDF = (sessionId) => withAuthToken(`/api/reports/session/${sessionId}/export/pdf`);
+export const exportReportExcel = (reportId) => withAuthToken(`/api/reports/${reportId}/export/excel`);
+export const exportReportMarkdown = (reportId) => withAuthToken(`/api/reports/${reportId}/export/markdown`);
 
 export default api;
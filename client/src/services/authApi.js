@@ -0,0 +1,90 @@
+import axios from 'axios';
+
+const API_BASE = '/api';
+const TOKEN_KEY = 'nxworks_auth_token';
+
+// ============================================
+// Token storage
+// ============================================
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+export const setAuthToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+export const clearAuthToken = () => localStorage.removeItem(TOKEN_KEY);
+
+// Append the token to URLs opened outside axios (downloads, EventSource streams)
+export const withAuthToken = (url) => {
+  const token = getAuthToken();
+  if (!token) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`;
+};
+
+// Share links use their own token and handle 401s themselves
+const isShareRequest = (url = '') => url.includes('/api/share/') || url.startsWith('/share/');
+
+/**
+ * Attach the user token to every request of an axios instance and
+ * send the user back to the login page when the session expires.
+ */
+export const attachAuth = (instance) => {
+  instance.interceptors.request.use((config) => {
+    const token = getAuthToken();
+    const url = `${config.baseURL || ''}${config.url || ''}`;
+    if (token && !isShareRequest(url) && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      const url = `${error.config?.baseURL || ''}${error.config?.url || ''}`;
+      if (error.response?.status === 401 && !isShareRequest(url) && !url.endsWith('/auth/login')
+        && !window.location.pathname.startsWith('/share/')) {
+        clearAuthToken();
+        if (window.location.pathname !== '/login') {
+          const next = encodeURIComponent(window.location.pathname + window.location.search);
+          window.location.href = `/login?next=${next}`;
+        }
+      }
+      return Promise.reject(error);
+    }
+  );
+
+  return instance;
+};
+
+// Plain axios calls (file uploads, share admin endpoints) go through the default instance
+attachAuth(axios);
+
+const api = attachAuth(axios.create({
+  baseURL: API_BASE,
+  headers: { 'Content-Type': 'application/json' }
+}));
+
+// ============================================
+// Auth
+// ============================================
+
+export const login = (email, password) => api.post('/auth/login', { email, password });
+export const getCurrentUser = () => api.get('/auth/me');
+export const changePassword = (currentPassword, newPassword) =>
+  api.post('/auth/password', { current_password: currentPassword, new_password: newPassword });
+
+// ============================================
+// User management (admin only)
+// ============================================
+
+export const getUsers = () => api.get('/users');
+export const createUser = (data) => api.post('/users', data);
+export const updateUser = (id, data) => api.patch(`/users/${id}`, data);
+export const deleteUser = (id) => api.delete(`/users/${id}`);
+
+export const ROLE_LABELS = {
+  admin: 'Admin',
+  lead_consultant: 'Lead Consultant',
+  note_taker: 'Note-taker',
+  client_viewer: 'Client Viewer'
+};
+
+export default api;
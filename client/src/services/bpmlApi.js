@@ -0,0 +1,44 @@
+import axios from 'axios';
+import { attachAuth, withAuthToken } from './authApi';
+
+const API_BASE = '/api/bpml';
+
+const api = attachAuth(axios.create({
+  baseURL: API_BASE,
+  headers: { 'Content-Type': 'application/json' }
+}));
+
+export const BPML_LEVEL_LABELS = {
+  1: 'Value Chain',
+  2: 'Scenario',
+  3: 'Process',
+  4: 'Process Step'
+};
+
+// BPML of a session in tree order - params: { entityId }
+export const getSessionBpml = (sessionId, params = {}) => api.get(`/session/${sessionId}`, { params });
+
+// Build the BPML from the session's memory, answers and findings (background job, replaces the list)
+export const generateBpml = (sessionId) => api.post(`/session/${sessionId}/generate`);
+
+// Add a node - data: { parentId, name, description, sap_module, process_owner, entity_ids }
+export const addBpmlNode = (sessionId, data) => api.post(`/session/${sessionId}/nodes`, data);
+
+export const updateBpmlNode = (sessionId, nodeId, data) => api.patch(`/session/${sessionId}/nodes/${nodeId}`, data);
+
+// direction: 'up' | 'down'
+export const moveBpmlNode = (sessionId, nodeId, direction) =>
+  api.post(`/session/${sessionId}/nodes/${nodeId}/move`, { direction });
+
+// Deletes the node with everything below it
+export const deleteBpmlNode = (sessionId, nodeId) => api.delete(`/session/${sessionId}/nodes/${nodeId}`);
+
+const entityQuery = (entityId) => (entityId ? `?entityId=${entityId}` : '');
+
+export const getBpmlExcelUrl = (sessionId, entityId) =>
+  withAuthToken(`${API_BASE}/session/${sessionId}/export/excel${entityQuery(entityId)}`);
+
+export const getWorkshopBpmlExcelUrl = (workshopId, entityId) =>
+  withAuthToken(`${API_BASE}/workshop/${workshopId}/export/excel${entityQuery(entityId)}`);
+
+export default api;
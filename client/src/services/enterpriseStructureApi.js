@@ -0,0 +1,49 @@
+import axios from 'axios';
+import { attachAuth, withAuthToken } from './authApi';
+
+const API_BASE = '/api/enterprise-structure';
+
+const api = attachAuth(axios.create({
+  baseURL: API_BASE,
+  headers: { 'Content-Type': 'application/json' }
+}));
+
+// Box colors of the org chart (fill, border, as in the Mermaid export) and tree badges per unit type
+export const ORG_UNIT_COLORS = {
+  company: { fill: '#f3f4f6', stroke: '#6b7280', badge: 'bg-gray-100 text-gray-700' },
+  controlling_area: { fill: '#fef3c7', stroke: '#d97706', badge: 'bg-amber-100 text-amber-700' },
+  company_code: { fill: '#ede9fe', stroke: '#7c3aed', badge: 'bg-violet-100 text-violet-700' },
+  plant: { fill: '#dbeafe', stroke: '#2563eb', badge: 'bg-blue-100 text-blue-700' },
+  storage_location: { fill: '#e0f2fe', stroke: '#0284c7', badge: 'bg-sky-100 text-sky-700' },
+  sales_organization: { fill: '#dcfce7', stroke: '#16a34a', badge: 'bg-green-100 text-green-700' },
+  distribution_channel: { fill: '#f0fdf4', stroke: '#22c55e', badge: 'bg-green-50 text-green-600' },
+  division: { fill: '#f0fdf4', stroke: '#22c55e', badge: 'bg-green-50 text-green-600' },
+  purchasing_organization: { fill: '#ffedd5', stroke: '#ea580c', badge: 'bg-orange-100 text-orange-700' },
+  shipping_point: { fill: '#fce7f3', stroke: '#db2777', badge: 'bg-pink-100 text-pink-700' },
+  warehouse: { fill: '#e0e7ff', stroke: '#4f46e5', badge: 'bg-indigo-100 text-indigo-700' }
+};
+
+// Units, links, entities and the SAP rule check - returns { entities, nodes, links, issues, types, linkTypes }
+export const getEnterpriseStructure = (workshopId) => api.get(`/workshop/${workshopId}`);
+
+// Propose units from the answers and findings of every session (background job)
+export const generateEnterpriseStructure = (workshopId) => api.post(`/workshop/${workshopId}/generate`);
+
+// data: { node_type, parent_id, code, name, description, entity_id, attributes: { currency, country } }
+export const createUnit = (workshopId, data) => api.post(`/workshop/${workshopId}/units`, data);
+
+export const updateUnit = (workshopId, unitId, data) => api.patch(`/workshop/${workshopId}/units/${unitId}`, data);
+
+// Replaces the unit's many-to-many assignments, e.g. the plants of a purchasing organization
+export const setUnitLinks = (workshopId, unitId, targetIds) =>
+  api.put(`/workshop/${workshopId}/units/${unitId}/links`, { target_ids: targetIds });
+
+export const deleteUnit = (workshopId, unitId) => api.delete(`/workshop/${workshopId}/units/${unitId}`);
+
+export const getEnterpriseStructureExcelUrl = (workshopId) =>
+  withAuthToken(`${API_BASE}/workshop/${workshopId}/export/excel`);
+
+export const getEnterpriseStructureMermaidUrl = (workshopId) =>
+  withAuthToken(`${API_BASE}/workshop/${workshopId}/export/mermaid`);
+
+export default api;
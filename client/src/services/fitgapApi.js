@@ -0,0 +1,40 @@
+import axios from 'axios';
+import { attachAuth, withAuthToken } from './authApi';
+
+const API_BASE = '/api/fitgap';
+
+const api = attachAuth(axios.create({
+  baseURL: API_BASE,
+  headers: { 'Content-Type': 'application/json' }
+}));
+
+export const FITGAP_CLASSIFICATION_LABELS = {
+  fit: 'Fit',
+  partial_fit: 'Partial Fit',
+  gap: 'Gap'
+};
+
+export const FITGAP_CLASSIFICATION_COLORS = {
+  fit: 'bg-green-100 text-green-700',
+  partial_fit: 'bg-amber-100 text-amber-700',
+  gap: 'bg-red-100 text-red-700'
+};
+
+// Current SAP scope item catalogue with its items
+export const getScopeCatalogue = () => api.get('/catalogue');
+
+// Results, entities and matrix of a workshop - params: { sessionId, entityId, classification }
+export const getWorkshopFitGap = (workshopId, params = {}) => api.get(`/workshop/${workshopId}`, { params });
+
+// Classify the requirements of every session, or only sessionId (background job) - returns { job, created }
+export const analyzeFitGap = (workshopId, sessionId = null) =>
+  api.post(`/workshop/${workshopId}/analyze`, { sessionId });
+
+// Confirm or correct a result - data: { classification, scope_item_id, rationale, entity_ids }
+export const updateFitGapResult = (workshopId, resultId, data) =>
+  api.patch(`/workshop/${workshopId}/results/${resultId}`, data);
+
+export const getFitGapExcelUrl = (workshopId, entityId) =>
+  withAuthToken(`${API_BASE}/workshop/${workshopId}/export/excel${entityId ? `?entityId=${entityId}` : ''}`);
+
+export default api;
@@ -0,0 +1,58 @@
+import axios from 'axios';
+import { attachAuth, withAuthToken } from './authApi';
+
+const API_BASE = '/api/harmonization';
+
+const api = attachAuth(axios.create({
+  baseURL: API_BASE,
+  headers: { 'Content-Type': 'application/json' }
+}));
+
+export const HARMONIZATION_FLAG_LABELS = {
+  aligned: 'Aligned',
+  minor: 'Minor differences',
+  divergent: 'Divergent',
+  not_assessed: 'Not assessed',
+  incomplete: 'Incomplete',
+  not_captured: 'Not captured'
+};
+
+export const HARMONIZATION_FLAG_COLORS = {
+  aligned: 'bg-green-100 text-green-700',
+  minor: 'bg-amber-100 text-amber-700',
+  divergent: 'bg-red-100 text-red-700',
+  not_assessed: 'bg-blue-50 text-blue-700',
+  incomplete: 'bg-gray-100 text-gray-600',
+  not_captured: 'bg-gray-50 text-gray-400'
+};
+
+export const HARMONIZATION_DECISION_LABELS = {
+  global: 'Global template',
+  local: 'Local variant'
+};
+
+// Entity answers per design topic - params: { sessionId } - returns { entities, topics, stats }
+export const getHarmonization = (workshopId, params = {}) => api.get(`/workshop/${workshopId}`, { params });
+
+// Split answers per entity and flag divergence for every session, or only sessionId (background job)
+export const analyzeHarmonization = (workshopId, sessionId = null) =>
+  api.post(`/workshop/${workshopId}/analyze`, { sessionId });
+
+// Empty answerText removes the entity's answer
+export const saveEntityAnswer = (workshopId, itemId, entityId, answerText) =>
+  api.put(`/workshop/${workshopId}/items/${itemId}/entities/${entityId}`, { answer_text: answerText });
+
+// decision: 'global' | 'local' | null
+export const saveHarmonizationDecision = (workshopId, itemId, decision, note) =>
+  api.patch(`/workshop/${workshopId}/items/${itemId}/decision`, { decision, note });
+
+export const getHarmonizationExcelUrl = (workshopId, sessionId) =>
+  withAuthToken(`${API_BASE}/workshop/${workshopId}/export/excel${sessionId ? `?sessionId=${sessionId}` : ''}`);
+
+// Structured values of all sessions side by side per entity - returns { entities, values }
+export const getWorkshopValues = (workshopId) => api.get(`/workshop/${workshopId}/values`);
+
+export const getWorkshopValuesExcelUrl = (workshopId) =>
+  withAuthToken(`${API_BASE}/workshop/${workshopId}/values/export/excel`);
+
+export default api;
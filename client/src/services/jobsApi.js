@@ -0,0 +1,22 @@
+import axios from 'axios';
+import { attachAuth } from './authApi';
+
+const API_BASE = '/api/jobs';
+
+const api = attachAuth(axios.create({
+  baseURL: API_BASE,
+  headers: { 'Content-Type': 'application/json' }
+}));
+
+export const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+export const isJobActive = (job) => !!job && ACTIVE_JOB_STATUSES.includes(job.status);
+
+// List jobs - params: { ids, workshopId, sessionId, type, batchId, active, limit }
+export const getJobs = (params = {}) => api.get('/', { params });
+
+export const getJob = (jobId) => api.get(`/${jobId}`);
+
+export const cancelJob = (jobId) => api.post(`/${jobId}/cancel`);
+
+export default api;
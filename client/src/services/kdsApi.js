@@ -0,0 +1,37 @@
+import axios from 'axios';
+import { attachAuth, withAuthToken } from './authApi';
+
+const API_BASE = '/api/kds';
+
+const api = attachAuth(axios.create({
+  baseURL: API_BASE,
+  headers: { 'Content-Type': 'application/json' }
+}));
+
+export const KDS_STATUS_LABELS = {
+  complete: 'Complete',
+  partial: 'Partial',
+  missing: 'Information missing'
+};
+
+export const KDS_STATUS_COLORS = {
+  complete: 'bg-green-100 text-green-700',
+  partial: 'bg-amber-100 text-amber-700',
+  missing: 'bg-red-100 text-red-700'
+};
+
+const modulePath = (workshopId, module) => `/workshop/${workshopId}/module/${encodeURIComponent(module)}`;
+
+// Modules of a workshop with the section status of their KDS (null when not generated yet)
+export const getWorkshopKds = (workshopId) => api.get(`/workshop/${workshopId}`);
+
+// The generated KDS of a module (404 when not generated yet)
+export const getKds = (workshopId, module) => api.get(modulePath(workshopId, module));
+
+// Generate or regenerate a module's KDS as a background job - returns { job, created }
+export const generateKds = (workshopId, module) => api.post(`${modulePath(workshopId, module)}/generate`);
+
+export const getKdsDocxUrl = (workshopId, module) =>
+  withAuthToken(`${API_BASE}${modulePath(workshopId, module)}/export/docx`);
+
+export default api;
@@ -0,0 +1,138 @@
+/**
+ * Recording queue - finished audio chunks kept in IndexedDB until they are uploaded
+ *
+ * A chunk is saved here before its upload starts and removed once it has been
+ * uploaded and analyzed, so recordings survive a sleeping laptop, a dropped network
+ * or a page reload. Each chunk has a client-generated id that the server uses to
+ * make retried uploads idempotent.
+ *
+ * Chunks are grouped by a queue key (e.g. "session:12" or "share:<token>").
+ * Without IndexedDB (private mode in some browsers) chunks are kept in memory only.
+ */
+
+const DB_NAME = 'nxworks-recordings';
+const DB_VERSION = 1;
+const STORE = 'chunks';
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Give up on chunks older than a week
+
+const memoryStore = new Map();
+const inFlight = new Set(); // Chunk ids being uploaded by this tab
+let dbPromise = null;
+
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('queueKey', 'queueKey');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB not available, recordings are kept in memory only:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against the chunk store and resolve with its result
+const withStore = async (mode, run) => {
+  const db = await openDb();
+  if (!db) return run(null);
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = run(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const createChunkId = () =>
+  (window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`);
+
+/**
+ * Save a finished chunk before uploading it
+ * @param {Object} chunk - { id, queueKey, blob, chunkIndex, duration }
+ */
+export async function saveQueuedChunk(chunk) {
+  const record = { ...chunk, status: 'pending', attempts: 0, lastError: null, createdAt: Date.now() };
+  try {
+    await withStore('readwrite', store => (store ? store.put(record) : memoryStore.set(record.id, record)));
+  } catch (error) {
+    // A full disk must not stop the upload itself
+    console.warn('Could not save recording chunk locally:', error);
+    memoryStore.set(record.id, record);
+  }
+  return record;
+}
+
+export async function getQueuedChunk(id) {
+  if (memoryStore.has(id)) return memoryStore.get(id);
+  return withStore('readonly', store => (store ? store.get(id) : null));
+}
+
+/**
+ * Chunks of one queue, oldest first; chunks older than a week are dropped
+ */
+export async function getQueuedChunks(queueKey) {
+  const stored = await withStore('readonly', store => (store ? store.index('queueKey').getAll(queueKey) : null)) || [];
+  const chunks = [...stored, ...[...memoryStore.values()].filter(c => c.queueKey === queueKey)];
+
+  const expired = chunks.filter(c => Date.now() - c.createdAt > MAX_AGE_MS);
+  for (const chunk of expired) {
+    await removeQueuedChunk(chunk.id);
+  }
+
+  return chunks
+    .filter(c => !expired.includes(c))
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function updateQueuedChunk(id, changes) {
+  if (memoryStore.has(id)) {
+    memoryStore.set(id, { ...memoryStore.get(id), ...changes });
+    return;
+  }
+  const chunk = await getQueuedChunk(id);
+  if (chunk) {
+    await withStore('readwrite', store => store.put({ ...chunk, ...changes }));
+  }
+}
+
+export async function removeQueuedChunk(id) {
+  memoryStore.delete(id);
+  await withStore('readwrite', store => (store ? store.delete(id) : null));
+}
+
+/**
+ * Reserve a queued chunk for upload; null when it is gone or another view is already uploading it
+ */
+export async function claimQueuedChunk(id) {
+  if (inFlight.has(id)) return null;
+  inFlight.add(id);
+  const chunk = await getQueuedChunk(id);
+  if (!chunk) {
+    inFlight.delete(id);
+    return null;
+  }
+  return chunk;
+}
+
+export function releaseQueuedChunk(id) {
+  inFlight.delete(id);
+}
+
+/**
+ * Network errors and server errors are worth retrying; other 4xx responses are not.
+ * 409 means another request (or tab) is still analyzing the chunk: a later retry
+ * gets its stored result
+ */
+export const isRetryableError = (error) => {
+  const status = error?.response?.status;
+  return !status || status >= 500 || status === 408 || status === 409 || status === 429;
+};
@@ -0,0 +1,60 @@
+import axios from 'axios';
+import { attachAuth, withAuthToken } from './authApi';
+
+const API_BASE = '/api/ricefw';
+
+const api = attachAuth(axios.create({
+  baseURL: API_BASE,
+  headers: { 'Content-Type': 'application/json' }
+}));
+
+export const RICEFW_TYPE_LABELS = {
+  report: 'Report',
+  interface: 'Interface',
+  conversion: 'Conversion',
+  enhancement: 'Enhancement',
+  form: 'Form',
+  workflow: 'Workflow'
+};
+
+export const RICEFW_COMPLEXITY_LABELS = {
+  low: 'Low',
+  medium: 'Medium',
+  high: 'High',
+  very_high: 'Very high'
+};
+
+export const RICEFW_STATUS_LABELS = {
+  proposed: 'Proposed',
+  accepted: 'Accepted',
+  rejected: 'Rejected',
+  merged: 'Merged'
+};
+
+// Register of a workshop - params: { status, type }
+export const getRicefwRegister = (workshopId, params = {}) => api.get(`/workshop/${workshopId}`, { params });
+
+// Propose objects from the workshop's findings and answers (background job) - returns { job, created }
+export const extractRicefw = (workshopId) => api.post(`/workshop/${workshopId}/extract`);
+
+// Add an object by hand - data: { object_type, title, description, rationale, complexity, sap_module, estimate_days }
+export const addRicefwObject = (workshopId, data) => api.post(`/workshop/${workshopId}/objects`, data);
+
+export const updateRicefwObject = (workshopId, objectId, data) =>
+  api.patch(`/workshop/${workshopId}/objects/${objectId}`, data);
+
+export const acceptRicefwObject = (workshopId, objectId) =>
+  api.post(`/workshop/${workshopId}/objects/${objectId}/accept`);
+
+export const rejectRicefwObject = (workshopId, objectId) =>
+  api.post(`/workshop/${workshopId}/objects/${objectId}/reject`);
+
+// Merge an object into targetId; the target keeps its details and gains the evidence
+export const mergeRicefwObject = (workshopId, objectId, targetId) =>
+  api.post(`/workshop/${workshopId}/objects/${objectId}/merge`, { targetId });
+
+// Accepted objects; includeProposals adds the open proposals
+export const getRicefwExcelUrl = (workshopId, includeProposals = false) =>
+  withAuthToken(`${API_BASE}/workshop/${workshopId}/export/excel${includeProposals ? '?all=true' : ''}`);
+
+export default api;
@@ -0,0 +1,41 @@
+import axios from 'axios';
+import { attachAuth } from './authApi';
+
+const API_BASE = '/api/search';
+
+const api = attachAuth(axios.create({
+  baseURL: API_BASE,
+  headers: { 'Content-Type': 'application/json' }
+}));
+
+export const SEARCH_SOURCE_LABELS = {
+  transcript: 'Transcript',
+  finding: 'Finding',
+  checklist_item: 'Checklist answer',
+  document: 'Document'
+};
+
+// Search - params: { q, mode, workshopId, sessionId, module, entityId, sourceType, limit }
+export const search = (params) => api.get('/', { params });
+
+// Workshops, sessions, modules and entities available as filters
+export const getSearchFilters = () => api.get('/filters');
+
+// A result chunk with its neighbouring chunks and source details
+export const getSearchChunk = (chunkId) => api.get(`/chunks/${chunkId}`);
+
+// Rebuild the search index of a workshop (or of every workshop for admins)
+export const reindexSearch = (workshopId) => api.post('/reindex', { workshopId });
+
+// Session page that opens the result in context
+export const getSearchResultLink = (result) =>
+  `/workshop/${result.workshop_id}/session/${result.session_id}?searchChunk=${result.id}`;
+
+// "1:05" from seconds
+export const formatTimestamp = (seconds) => {
+  if (seconds === null || seconds === undefined) return null;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+export default api;
@@ -1,13 +1,14 @@
 import axios from 'axios';
+import { attachAuth, withAuthToken } from './authApi';
 
 const API_BASE = '/api/session-checklist';
 
-const api = axios.create({
+const api = attachAuth(axios.create({
   baseURL: API_BASE,
   headers: {
     'Content-Type': 'application/json'
   }
-});
+}));
 
 // Get session checklist (grouped by status: missing, obtained)
 export const getSessionChecklist = (sessionId) =>
@@ -25,6 +26,18 @@ export const getChecklistByCategory = (sessionId) =>
 export const uploadSessionAudio = (sessionId, formData) =>
   axios.post(`${API_BASE}/session/${sessionId}/audio`, formData);
 
+// Upload a short live segment; returns its transcript immediately
+export const uploadLiveSegment = (sessionId, streamId, formData) =>
+  axios.post(`${API_BASE}/session/${sessionId}/live/${streamId}/segment`, formData);
+
+// Finish a live stream (analyzes any remaining speech)
+export const endLiveStream = (sessionId, streamId) =>
+  api.post(`/session/${sessionId}/live/${streamId}/end`);
+
+// Live transcript of recordings in progress
+export const getLiveTranscript = (sessionId) =>
+  api.get(`/session/${sessionId}/live`);
+
 // Transcribe and analyze session audio against checklist
 export const analyzeSessionAudio = (sessionId, audioId) =>
   api.post(`/session/${sessionId}/audio/${audioId}/analyze`);
@@ -33,10 +46,43 @@ export const analyzeSessionAudio = (sessionId, audioId) =>
 export const updateChecklistItem = (sessionId, itemId, data) =>
   api.patch(`/session/${sessionId}/item/${itemId}`, data);
 
+// Evidence history of a checklist item (newest first)
+export const getChecklistItemHistory = (sessionId, itemId) =>
+  api.get(`/session/${sessionId}/item/${itemId}/history`);
+
+// Restore the item values of an earlier history entry
+export const revertChecklistItem = (sessionId, itemId, historyId) =>
+  api.post(`/session/${sessionId}/item/${itemId}/history/${historyId}/revert`);
+
 // Get all recordings for a session
 export const getSessionRecordings = (sessionId) =>
   api.get(`/session/${sessionId}/recordings`);
 
+// Get the missing items to ask next while recording, ranked (question coach)
+export const getQuestionCoach = (sessionId, limit = 5) =>
+  api.get(`/session/${sessionId}/coach`, { params: { limit } });
+
+// Get the agenda with the time used per slot, the move-on hint and the critical burn-down
+export const getSessionAgenda = (sessionId) =>
+  api.get(`/session/${sessionId}/agenda`);
+
+// Generate a time-boxed agenda from the checklist (replaces the current agenda)
+export const generateSessionAgenda = (sessionId, durationMinutes) =>
+  api.post(`/session/${sessionId}/agenda/generate`, { durationMinutes });
+
+// Save the agenda slots in order - slots: [{ category, planned_minutes }]
+export const updateSessionAgenda = (sessionId, slots) =>
+  api.put(`/session/${sessionId}/agenda`, { slots });
+
+// Pacing hint when the slot being discussed has used up its planned time
+export const describeMoveOn = ({ category, overMinutes, criticalMissing, nextCategory }) => {
+  const over = overMinutes > 0 ? ` (+${overMinutes} min)` : '';
+  const next = nextCategory ? `move on to ${nextCategory}` : 'wrap up';
+  return criticalMissing > 0
+    ? `Time for ${category} is up${over} - ${criticalMissing} critical item${criticalMissing === 1 ? '' : 's'} still open: close ${criticalMissing === 1 ? 'it' : 'them'}, then ${next}`
+    : `Time for ${category} is up${over} - no critical items left, ${next}`;
+};
+
 // Get additional findings for a session
 export const getSessionFindings = (sessionId) =>
   api.get(`/session/${sessionId}/findings`);
@@ -45,13 +91,13 @@ export const getSessionFindings = (sessionId) =>
 export const deleteFinding = (sessionId, findingId) =>
   api.delete(`/session/${sessionId}/findings/${findingId}`);
 
-// Generate checklist stream URL (for SSE)
-export const getGenerateChecklistStreamUrl = (workshopId, sessionId) =>
-  `/api/workshops/${workshopId}/sessions/${sessionId}/generate-checklist-stream`;
-
 // Export checklist to Excel - returns URL for download
 export const getExportExcelUrl = (sessionId) =>
-  `/api/session-checklist/session/${sessionId}/export-excel`;
+  withAuthToken(`/api/session-checklist/session/${sessionId}/export-excel`);
+
+// Live updates and presence stream (Server-Sent Events)
+export const getSessionEventsUrl = (sessionId) =>
+  withAuthToken(`/api/session-checklist/session/${sessionId}/events`);
 
 // Upload document for analysis
 export const uploadSessionDocument = (sessionId, formData) =>
@@ -61,6 +107,18 @@ export const uploadSessionDocument = (sessionId, formData) =>
 export const analyzeSessionDocument = (sessionId, documentId) =>
   api.post(`/session/${sessionId}/document/${documentId}/analyze`);
 
+// Summary of a finished document_analysis job, with a warning for poor scans
+export const describeDocumentResult = ({ obtainedCount = 0, findingsCount = 0, pageCount, sectionCount, ocr } = {}) => {
+  const read = pageCount ? `${pageCount} pages` : sectionCount ? `${sectionCount} sections` : null;
+  let message = `Done! ${read ? `Read ${read}: ` : ''}${obtainedCount} items obtained, ${findingsCount} findings captured`;
+  if (ocr?.lowConfidence) {
+    const sections = ocr.lowConfidenceSections;
+    const where = sections.length > 3 ? `${sections.slice(0, 3).join(', ')} and ${sections.length - 3} more` : sections.join(', ');
+    message += `. Low OCR confidence on ${where} (${ocr.confidence}% overall) - check the scan`;
+  }
+  return message;
+};
+
 // Get all documents for a session
 export const getSessionDocuments = (sessionId) =>
   api.get(`/session/${sessionId}/documents`);
@@ -75,14 +133,74 @@ export const getSessionTranscript = (sessionId) =>
 
 // Download transcript URL
 export const getTranscriptDownloadUrl = (sessionId) =>
-  `${API_BASE}/session/${sessionId}/transcript/download`;
+  withAuthToken(`${API_BASE}/session/${sessionId}/transcript/download`);
 
 // Regenerate transcript from saved recordings
 export const regenerateTranscript = (sessionId) =>
   api.post(`/session/${sessionId}/transcript/regenerate`);
 
-// Re-analyze all transcripts against checklist
+// Re-analyze all transcripts against checklist (background job - returns { job })
 export const reanalyzeSession = (sessionId) =>
   api.post(`/session/${sessionId}/reanalyze`);
 
+// Transcribe all recordings and build the combined workshop transcript (background job - returns { job })
+export const generateWorkshopTranscript = (workshopId) =>
+  api.post(`/workshop/${workshopId}/generate-transcript`);
+
+// Combined workshop transcript (markdown text)
+export const downloadWorkshopTranscript = (workshopId) =>
+  api.get(`/workshop/${workshopId}/transcript/download`, { responseType: 'text' });
+
+// Structured values - typed data extracted with obtained answers (counts, lists, thresholds, currencies, frequencies)
+export const STRUCTURED_VALUE_TYPE_LABELS = {
+  count: 'Count',
+  list: 'List',
+  threshold: 'Threshold',
+  currency: 'Currency',
+  frequency: 'Frequency'
+};
+
+export const STRUCTURED_VALUE_FREQUENCIES = ['daily', 'weekly', 'biweekly', 'monthly', 'quarterly', 'semiannually', 'annually', 'on_demand'];
+
+// Readable form of a stored value, e.g. "5 plants", "50,000 AED", "1000 Dubai, 2000 Abu Dhabi"
+export const formatStructuredValue = (value) => {
+  const number = value.value_number === null || value.value_number === undefined ? null : Number(value.value_number);
+  switch (value.value_type) {
+    case 'count':
+      return `${number}${value.unit ? ` ${value.unit}` : ''}`;
+    case 'threshold':
+      return `${number.toLocaleString('en-US')} ${value.unit}`;
+    case 'currency':
+      return value.value_text;
+    case 'frequency':
+      return value.value_text.replace(/_/g, ' ');
+    case 'list':
+      return (value.value_items || []).map(entry => [entry.code, entry.name].filter(Boolean).join(' ')).join(', ');
+    default:
+      return '';
+  }
+};
+
+// All values of a session in checklist order
+export const getSessionValues = (sessionId) =>
+  api.get(`/session/${sessionId}/values`);
+
+// data: { label, type, number, unit, text, items: [{ code, name }], object_type, entity_id }
+export const addItemValue = (sessionId, itemId, data) =>
+  api.post(`/session/${sessionId}/item/${itemId}/values`, data);
+
+export const updateItemValue = (sessionId, itemId, valueId, data) =>
+  api.put(`/session/${sessionId}/item/${itemId}/values/${valueId}`, data);
+
+export const deleteItemValue = (sessionId, itemId, valueId) =>
+  api.delete(`/session/${sessionId}/item/${itemId}/values/${valueId}`);
+
+// AI replies stored for manual review (status: pending, resolved, dismissed or all)
+export const getAIReviews = (sessionId, status = 'pending') =>
+  api.get(`/session/${sessionId}/ai-reviews`, { params: { status } });
+
+// Mark a stored AI reply as resolved or dismissed
+export const updateAIReview = (sessionId, reviewId, status) =>
+  api.patch(`/session/${sessionId}/ai-reviews/${reviewId}`, { status });
+
 export default api;
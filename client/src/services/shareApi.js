@@ -18,6 +18,34 @@ export const getShareStatus = (workshopId, sessionId) =>
 export const regeneratePassword = (workshopId, sessionId) =>
   axios.post(`${API_BASE}/workshops/${workshopId}/sessions/${sessionId}/share/regenerate-password`);
 
+// Pre-work questionnaire - returns { open, dueDate, instructions, shareEnabled, summary, items }
+export const getPrework = (workshopId, sessionId) =>
+  axios.get(`${API_BASE}/workshops/${workshopId}/sessions/${sessionId}/prework`);
+
+// settings: { open, dueDate, instructions }
+export const updatePrework = (workshopId, sessionId, settings) =>
+  axios.put(`${API_BASE}/workshops/${workshopId}/sessions/${sessionId}/prework`, settings);
+
+// Submit remaining drafts and analyze the answers (returns the job)
+export const analyzePrework = (workshopId, sessionId) =>
+  axios.post(`${API_BASE}/workshops/${workshopId}/sessions/${sessionId}/prework/analyze`);
+
+export const PREWORK_STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Submitted',
+  obtained: 'Accepted',
+  insufficient: 'Needs more detail',
+  already_obtained: 'Already answered'
+};
+
+export const PREWORK_STATUS_COLORS = {
+  draft: 'bg-gray-100 text-gray-600',
+  submitted: 'bg-blue-100 text-blue-700',
+  obtained: 'bg-green-100 text-green-700',
+  insufficient: 'bg-amber-100 text-amber-700',
+  already_obtained: 'bg-gray-100 text-gray-500'
+};
+
 // ============================================
 // Public endpoints (shared access)
 // ============================================
@@ -36,17 +64,13 @@ const createShareApi = (token) => {
 export const getShareInfo = (shareToken) =>
   axios.get(`${API_BASE}/share/${shareToken}/info`);
 
-// Login and acquire lock
-export const shareLogin = (shareToken, username, password) =>
-  axios.post(`${API_BASE}/share/${shareToken}/login`, { username, password });
+// Login (several participants can be signed in at the same time)
+export const shareLogin = (shareToken, username, password, displayName) =>
+  axios.post(`${API_BASE}/share/${shareToken}/login`, { username, password, displayName });
 
-// Heartbeat to keep lock alive (requires auth)
-export const shareHeartbeat = (shareToken, authToken) =>
-  createShareApi(authToken).post(`/share/${shareToken}/heartbeat`);
-
-// Release lock (requires auth)
-export const shareRelease = (shareToken, authToken) =>
-  createShareApi(authToken).post(`/share/${shareToken}/release`);
+// Live updates stream URL (for EventSource, which cannot send auth headers)
+export const getShareEventsUrl = (shareToken, authToken) =>
+  `${API_BASE}/share/${shareToken}/events?access_token=${encodeURIComponent(authToken)}`;
 
 // Get checklist (requires auth)
 export const getShareChecklist = (shareToken, authToken) =>
@@ -84,20 +108,46 @@ export const uploadShareDocument = (shareToken, authToken, formData) =>
 export const analyzeShareDocument = (shareToken, authToken, documentId) =>
   createShareApi(authToken).post(`/share/${shareToken}/document/${documentId}/analyze`);
 
+// Pre-work questionnaire (requires auth, while it is open)
+export const getSharePrework = (shareToken, authToken) =>
+  createShareApi(authToken).get(`/share/${shareToken}/prework`);
+
+// Empty answerText removes the answer
+export const saveSharePreworkAnswer = (shareToken, authToken, itemId, answerText) =>
+  createShareApi(authToken).put(`/share/${shareToken}/prework/items/${itemId}`, { answer_text: answerText });
+
+// Upload a document for an item (analyzed right away)
+export const uploadSharePreworkDocument = (shareToken, authToken, itemId, formData) =>
+  axios.post(`${API_BASE}/share/${shareToken}/prework/items/${itemId}/document`, formData, {
+    headers: {
+      Authorization: `Bearer ${authToken}`
+    }
+  });
+
+// Submit the draft answers for analysis
+export const submitSharePrework = (shareToken, authToken) =>
+  createShareApi(authToken).post(`/share/${shareToken}/prework/submit`);
+
 export default {
   enableSharing,
   disableSharing,
   getShareStatus,
   regeneratePassword,
+  getPrework,
+  updatePrework,
+  analyzePrework,
   getShareInfo,
   shareLogin,
-  shareHeartbeat,
-  shareRelease,
+  getShareEventsUrl,
   getShareChecklist,
   getShareChecklistStats,
   uploadShareAudio,
   analyzeShareAudio,
   getShareFindings,
   uploadShareDocument,
-  analyzeShareDocument
+  analyzeShareDocument,
+  getSharePrework,
+  saveSharePreworkAnswer,
+  uploadSharePreworkDocument,
+  submitSharePrework
 };
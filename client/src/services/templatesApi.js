@@ -0,0 +1,36 @@
+import axios from 'axios';
+import { attachAuth } from './authApi';
+
+const API_BASE = '/api/templates';
+
+const api = attachAuth(axios.create({
+  baseURL: API_BASE,
+  headers: { 'Content-Type': 'application/json' }
+}));
+
+export const TEMPLATE_KIND_LABELS = {
+  checklist: 'Checklist',
+  questions: 'Question set'
+};
+
+// Latest version of each template - params: { kind, module, industry, tag, q }
+export const getTemplates = (params = {}) => api.get('/', { params });
+
+// One template version with its items
+export const getTemplate = (templateId) => api.get(`/${templateId}`);
+
+// All versions of a template, newest first
+export const getTemplateVersions = (templateId) => api.get(`/${templateId}/versions`);
+
+// Save a session's checklist or questions - data: { sessionId, kind, name, description, industry, tags, notes, templateId }
+// templateId saves the snapshot as the next version of that template
+export const saveTemplate = (data) => api.post('/', data);
+
+// Delete a template with all its versions
+export const deleteTemplate = (templateId) => api.delete(`/${templateId}`);
+
+// Templates usable for a session: same module code ('FICO' matches 'FICO - Finance & Controlling')
+export const matchesModule = (template, module) =>
+  (template.module || '').split(' - ')[0] === (module || '').split(' - ')[0];
+
+export default api;
@@ -1,11 +1,12 @@
 import axios from 'axios';
+import { attachAuth } from './authApi';
 
 const API_BASE = '/api/workshops';
 
-const api = axios.create({
+const api = attachAuth(axios.create({
   baseURL: API_BASE,
   headers: { 'Content-Type': 'application/json' }
-});
+}));
 
 // Workshops
 export const getWorkshops = () => api.get('/');
@@ -21,13 +22,33 @@ export const updateEntity = (workshopId, entityId, data) => api.put(`/${workshop
 export const deleteEntity = (workshopId, entityId) => api.delete(`/${workshopId}/entities/${entityId}`);
 
 // Sessions (within workshop)
+// Workshop language of a session: recordings are transcribed in it, evidence is always English
+export const SESSION_LANGUAGES = {
+  en: 'English',
+  ar: 'Arabic',
+  auto: 'Arabic + English'
+};
+
 export const getSessions = (workshopId) => api.get(`/${workshopId}/sessions`);
 export const createSession = (workshopId, data) => api.post(`/${workshopId}/sessions`, data);
 export const updateSession = (workshopId, sessionId, data) => api.put(`/${workshopId}/sessions/${sessionId}`, data);
 export const deleteSession = (workshopId, sessionId) => api.delete(`/${workshopId}/sessions/${sessionId}`);
 
-// Generate questions for a session
-export const generateSessionQuestions = (workshopId, sessionId) =>
-  api.post(`/${workshopId}/sessions/${sessionId}/generate`);
+// Members (within workshop)
+export const getMembers = (workshopId) => api.get(`/${workshopId}/members`);
+export const getMemberCandidates = (workshopId) => api.get(`/${workshopId}/members/candidates`);
+export const addMember = (workshopId, userId) => api.post(`/${workshopId}/members`, { user_id: userId });
+export const removeMember = (workshopId, userId) => api.delete(`/${workshopId}/members/${userId}`);
+
+// AI generation runs as background jobs: single-session calls return { job },
+// workshop-wide calls return { batchId, jobs } with one job per session
+export const generateSessionQuestions = (workshopId, sessionId, options = {}) =>
+  api.post(`/${workshopId}/sessions/${sessionId}/generate`, options);
+export const generateWorkshopQuestions = (workshopId, options = {}) =>
+  api.post(`/${workshopId}/generate-questions`, options);
+export const generateSessionChecklist = (workshopId, sessionId) =>
+  api.post(`/${workshopId}/sessions/${sessionId}/generate-checklist`);
+export const generateWorkshopChecklists = (workshopId) =>
+  api.post(`/${workshopId}/generate-checklists`);
 
 export default api;
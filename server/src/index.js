@@ -14,6 +14,21 @@ const reportsRouter = require('./routes/reports');
 const adminRouter = require('./routes/admin');
 const sessionChecklistRouter = require('./routes/sessionChecklist');
 const shareRouter = require('./routes/share');
+const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const jobsRouter = require('./routes/jobs');
+const searchRouter = require('./routes/search');
+const templatesRouter = require('./routes/templates');
+const kdsRouter = require('./routes/kds');
+const bpmlRouter = require('./routes/bpml');
+const ricefwRouter = require('./routes/ricefw');
+const fitgapRouter = require('./routes/fitgap');
+const harmonizationRouter = require('./routes/harmonization');
+const enterpriseStructureRouter = require('./routes/enterpriseStructure');
+const { authenticate, authorizeByMethod, requirePermission } = require('./middleware/auth');
+const { describeConfiguration: describeLLMConfiguration } = require('./services/llm');
+const { startWorker, stopWorker } = require('./services/jobQueue');
+const { registerBackgroundJobs } = require('./services/backgroundJobs');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -22,12 +37,8 @@ const PORT = process.env.PORT || 5000;
 app.use(cors());
 app.use(express.json());
 
-// Serve uploads - use /tmp in production (Render)
-if (process.env.NODE_ENV === 'production') {
-  app.use('/uploads', express.static('/tmp/uploads'));
-} else {
-  app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-}
+// Uploaded files are not served statically: recordings, documents and transcripts
+// are fetched through authenticated routes that check workshop membership
 
 // Serve static files from React app in production
 if (process.env.NODE_ENV === 'production') {
@@ -35,18 +46,33 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // API Routes
-app.use('/api/workshops', workshopsRouter);
-app.use('/api/sessions', sessionsRouter);
-app.use('/api/questions', questionsRouter);
-app.use('/api/answers', answersRouter);
-app.use('/api/participants', participantsRouter);
-app.use('/api/transcribe', transcribeRouter);
-app.use('/api/observation', observationRouter);
-app.use('/api/research', researchRouter);
-app.use('/api/reports', reportsRouter);
-app.use('/api/admin', adminRouter);
-app.use('/api/session-checklist', sessionChecklistRouter);
-app.use('/api', shareRouter); // Share routes: /api/workshops/.../share/* and /api/share/*
+// Every router except auth and the public share endpoints requires a signed-in user.
+// authorizeByMethod gives client viewers read-only access; routes add stricter checks.
+const requireUser = [authenticate, authorizeByMethod];
+
+app.use('/api/auth', authRouter);
+app.use('/api/users', authenticate, requirePermission('admin'), usersRouter);
+app.use('/api/workshops', requireUser, workshopsRouter);
+app.use('/api/sessions', requireUser, sessionsRouter);
+app.use('/api/questions', requireUser, questionsRouter);
+app.use('/api/answers', requireUser, answersRouter);
+app.use('/api/participants', requireUser, participantsRouter);
+app.use('/api/transcribe', requireUser, transcribeRouter);
+app.use('/api/observation', requireUser, observationRouter);
+app.use('/api/research', authenticate, requirePermission('manage'), researchRouter);
+app.use('/api/reports', requireUser, reportsRouter);
+app.use('/api/admin', authenticate, requirePermission('admin'), adminRouter);
+app.use('/api/session-checklist', requireUser, sessionChecklistRouter);
+app.use('/api/jobs', requireUser, jobsRouter);
+app.use('/api/search', requireUser, searchRouter);
+app.use('/api/templates', requireUser, templatesRouter);
+app.use('/api/kds', requireUser, kdsRouter);
+app.use('/api/bpml', requireUser, bpmlRouter);
+app.use('/api/ricefw', requireUser, ricefwRouter);
+app.use('/api/fitgap', requireUser, fitgapRouter);
+app.use('/api/harmonization', requireUser, harmonizationRouter);
+app.use('/api/enterprise-structure', requireUser, enterpriseStructureRouter);
+app.use('/api', shareRouter); // Share routes: /api/workshops/.../share/* (authenticated) and /api/share/* (share token)
 
 // Health check with env status
 app.get('/api/health', (req, res) => {
@@ -58,6 +84,9 @@ app.get('/api/health', (req, res) => {
       DATABASE_URL: process.env.DATABASE_URL ? 'configured' : 'missing',
       ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY ? 'configured' : 'missing',
       OPENAI_API_KEY: process.env.OPENAI_API_KEY ? 'configured' : 'missing',
+      LLM_PROVIDER: process.env.LLM_PROVIDER || 'anthropic',
+      TRANSCRIPTION_PROVIDER: process.env.TRANSCRIPTION_PROVIDER || 'openai',
+      JOB_CONCURRENCY: process.env.JOB_CONCURRENCY || '2',
       AWS_S3: (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY && process.env.AWS_S3_BUCKET) ? 'configured' : 'missing',
       AWS_S3_BUCKET: process.env.AWS_S3_BUCKET || 'not set'
     }
@@ -76,4 +105,31 @@ app.listen(PORT, () => {
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`ANTHROPIC_API_KEY: ${process.env.ANTHROPIC_API_KEY ? 'set (' + process.env.ANTHROPIC_API_KEY.substring(0, 10) + '...)' : 'NOT SET'}`);
   console.log(`OPENAI_API_KEY: ${process.env.OPENAI_API_KEY ? 'set' : 'NOT SET'}`);
+  try {
+    // One line per provider/model with the tasks that use it
+    const tasksByModel = {};
+    for (const { task, provider, model } of describeLLMConfiguration()) {
+      const key = `${provider} (${model || 'no model set'})`;
+      tasksByModel[key] = [...(tasksByModel[key] || []), task];
+    }
+    for (const [key, tasks] of Object.entries(tasksByModel)) {
+      console.log(`LLM ${key}: ${tasks.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('Invalid LLM configuration:', error.message);
+  }
+
+  // Background worker for long AI jobs (generation, re-analysis, transcripts)
+  registerBackgroundJobs();
+  startWorker();
 });
+
+// Hand running jobs back to the queue on shutdown (Render sends SIGTERM on deploys)
+// so the next instance resumes them immediately
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down`);
+  await stopWorker();
+  process.exit(0);
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,283 @@
+/**
+ * Authentication & Authorization Middleware
+ *
+ * Features:
+ * - JWT bearer authentication for consultant/client user accounts
+ * - Role-based permissions (admin, lead consultant, note-taker, client viewer)
+ * - Per-workshop membership scoping for every workshop-owned resource
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../models/db');
+
+/**
+ * JWT secret (shared with share links, tokens are distinguished by `type`).
+ * A production server does not start without one; elsewhere a random secret is made
+ * per process, so tokens stop working when the server restarts.
+ */
+const resolveJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET is not set - refusing to start without a secret to sign login tokens');
+  }
+  console.error('[Auth] WARNING: JWT_SECRET is not set - using a random secret for this process. ' +
+    'Sign-ins and share links stop working when the server restarts. Set JWT_SECRET in .env.');
+  return crypto.randomBytes(48).toString('hex');
+};
+
+const JWT_SECRET = resolveJwtSecret();
+const TOKEN_EXPIRY = process.env.AUTH_TOKEN_EXPIRY || '12h';
+
+// ============================================
+// Roles & Permissions
+// ============================================
+
+const ROLES = {
+  ADMIN: 'admin',
+  LEAD_CONSULTANT: 'lead_consultant',
+  NOTE_TAKER: 'note_taker',
+  CLIENT_VIEWER: 'client_viewer'
+};
+
+// read    - view workshops, sessions, checklists, reports and exports
+// capture - record audio, upload documents, edit checklist items/participants/answers
+// manage  - configure workshops/sessions, run AI generation, manage sharing and members
+// admin   - global configuration, backups and user management
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: ['read', 'capture', 'manage', 'admin'],
+  [ROLES.LEAD_CONSULTANT]: ['read', 'capture', 'manage'],
+  [ROLES.NOTE_TAKER]: ['read', 'capture'],
+  [ROLES.CLIENT_VIEWER]: ['read']
+};
+
+const hasPermission = (user, permission) =>
+  !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+/**
+ * Sign an access token for a user account
+ */
+const signUserToken = (user) => jwt.sign(
+  { type: 'user', userId: user.id, role: user.role },
+  JWT_SECRET,
+  { expiresIn: TOKEN_EXPIRY }
+);
+
+const SHARE_TOKEN_EXPIRY = '24h';
+
+/**
+ * Sign an access token for a share-link participant
+ * @param {Object} claims - { token, sessionId, username, viewerId, displayName }
+ */
+const signShareToken = (claims) => jwt.sign(
+  { ...claims, type: 'share' },
+  JWT_SECRET,
+  { expiresIn: SHARE_TOKEN_EXPIRY }
+);
+
+/**
+ * Decode a share-link access token
+ * @returns {Object|null} the token claims, null when invalid, expired or not a share token
+ */
+const verifyShareJwt = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.type === 'share' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Strip secrets from a users row before returning it to clients
+ */
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  is_active: user.is_active,
+  last_login_at: user.last_login_at,
+  created_at: user.created_at
+});
+
+// ============================================
+// Authentication
+// ============================================
+
+/**
+ * Verify the bearer token and attach the user to req.user.
+ * Falls back to ?access_token= so EventSource streams and download links work.
+ */
+const authenticate = async (req, res, next) => {
+  // Already authenticated further up the middleware chain
+  if (req.user) {
+    return next();
+  }
+
+  const authHeader = req.headers.authorization;
+  let token = null;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    token = authHeader.substring(7);
+  } else if (req.method === 'GET' && req.query.access_token) {
+    token = req.query.access_token;
+  }
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  if (decoded.type !== 'user' || !decoded.userId) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    const result = await db.query(
+      'SELECT id, email, name, role, is_active, last_login_at, created_at FROM users WHERE id = $1',
+      [decoded.userId]
+    );
+    if (result.rows.length === 0 || !result.rows[0].is_active) {
+      return res.status(401).json({ error: 'Account is disabled or no longer exists' });
+    }
+    req.user = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Error authenticating user:', error);
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
+};
+
+// ============================================
+// Authorization
+// ============================================
+
+/**
+ * Require a permission from ROLE_PERMISSIONS
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+/**
+ * Router-level default: reads need `read`, any mutation needs `capture`.
+ * Routes that configure workshops add requirePermission('manage') on top.
+ */
+const authorizeByMethod = (req, res, next) => {
+  const permission = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'capture';
+  return requirePermission(permission)(req, res, next);
+};
+
+// ============================================
+// Workshop Membership
+// ============================================
+
+// Resolve the owning workshop for each kind of route parameter
+const WORKSHOP_LOOKUPS = {
+  workshop: 'SELECT id AS workshop_id FROM workshops WHERE id = $1',
+  session: 'SELECT workshop_id FROM sessions WHERE id = $1',
+  report: `SELECT s.workshop_id FROM session_reports r
+    JOIN sessions s ON r.session_id = s.id WHERE r.id = $1`,
+  question: `SELECT s.workshop_id FROM questions q
+    JOIN sessions s ON q.session_id = s.id WHERE q.id = $1`,
+  answer: `SELECT s.workshop_id FROM answers a
+    JOIN questions q ON a.question_id = q.id
+    JOIN sessions s ON q.session_id = s.id WHERE a.id = $1`,
+  audio: `SELECT s.workshop_id FROM audio_recordings ar
+    JOIN answers a ON ar.answer_id = a.id
+    JOIN questions q ON a.question_id = q.id
+    JOIN sessions s ON q.session_id = s.id WHERE ar.id = $1`,
+  document: `SELECT s.workshop_id FROM documents d
+    JOIN answers a ON d.answer_id = a.id
+    JOIN questions q ON a.question_id = q.id
+    JOIN sessions s ON q.session_id = s.id WHERE d.id = $1`,
+  participant: `SELECT s.workshop_id FROM workshop_participants p
+    JOIN sessions s ON p.session_id = s.id WHERE p.id = $1`,
+  // Jobs without a workshop (global admin generation) are visible to admins only
+  job: 'SELECT workshop_id FROM jobs WHERE id = $1',
+  searchChunk: 'SELECT workshop_id FROM search_chunks WHERE id = $1'
+};
+
+/**
+ * Check whether a user is a member of a workshop (admins see everything)
+ */
+const isWorkshopMember = async (user, workshopId) => {
+  if (!user) return false;
+  if (user.role === ROLES.ADMIN) return true;
+  if (!workshopId) return false;
+  const result = await db.query(
+    'SELECT 1 FROM workshop_members WHERE workshop_id = $1 AND user_id = $2',
+    [workshopId, user.id]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Express router.param handler that enforces membership of the owning workshop.
+ * Unknown ids fall through so the route can answer with its own 404.
+ */
+const workshopScope = (resource) => async (req, res, next, value) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (req.user.role === ROLES.ADMIN) {
+      return next();
+    }
+
+    const result = await db.query(WORKSHOP_LOOKUPS[resource], [value]);
+    if (result.rows.length === 0) {
+      return next();
+    }
+
+    if (!(await isWorkshopMember(req.user, result.rows[0].workshop_id))) {
+      return res.status(403).json({ error: 'You are not a member of this workshop' });
+    }
+    next();
+  } catch (error) {
+    console.error(`Error checking ${resource} access:`, error);
+    res.status(500).json({ error: 'Failed to verify workshop access' });
+  }
+};
+
+/**
+ * Route middleware variant of workshopScope for routers that are not
+ * mounted behind authenticate (e.g. the share router)
+ */
+const requireWorkshopAccess = (resource, paramName) => (req, res, next) =>
+  workshopScope(resource)(req, res, next, req.params[paramName]);
+
+/**
+ * SQL fragment restricting workshop ids to the user's memberships.
+ * Returns null for admins (no restriction).
+ */
+const memberWorkshopFilter = (user, column, paramIndex) => {
+  if (user.role === ROLES.ADMIN) return null;
+  return `${column} IN (SELECT workshop_id FROM workshop_members WHERE user_id = $${paramIndex})`;
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  signUserToken,
+  signShareToken,
+  verifyShareJwt,
+  toPublicUser,
+  authenticate,
+  requirePermission,
+  authorizeByMethod,
+  isWorkshopMember,
+  workshopScope,
+  requireWorkshopAccess,
+  memberWorkshopFilter
+};
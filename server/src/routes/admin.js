@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../models/db');
 const { generateQuestions, regenerateQuestion } = require('../services/questionGenerator');
-const { generateChecklistsForSession } = require('../services/checklistGenerator');
+const { enqueueJob, toPublicJob } = require('../services/jobQueue');
 
 // ============================================
 // Global Workshop Config Endpoints
@@ -346,118 +346,23 @@ router.delete('/sessions/:id', async (req, res) => {
 // AI Question Generation Endpoints
 // ============================================
 
-// Generate questions for ALL sessions
+// Generate questions for ALL sessions (runs as a background job, see GET /api/jobs/:jobId)
 router.post('/generate-all', async (req, res) => {
   try {
-    // Get global config
-    const configResult = await db.query('SELECT * FROM global_workshop_config WHERE id = 1');
-    const config = configResult.rows[0] || {};
-
-    // Get all entities
-    const entitiesResult = await db.query('SELECT * FROM entities ORDER BY id');
-    const entities = entitiesResult.rows;
-
-    // Get all audience profiles
-    const audienceResult = await db.query('SELECT * FROM global_audience_profiles ORDER BY id');
-    const audience = audienceResult.rows;
-
-    // Get all sessions
-    const sessionsResult = await db.query('SELECT * FROM sessions ORDER BY session_number');
-    const sessions = sessionsResult.rows;
-
-    if (sessions.length === 0) {
+    const sessionsResult = await db.query('SELECT COUNT(*)::int AS count FROM sessions');
+    if (sessionsResult.rows[0].count === 0) {
       return res.status(400).json({ error: 'No sessions to generate questions for. Create sessions first.' });
     }
 
-    // Update global status to generating
-    await db.query(`
-      UPDATE global_workshop_config SET
-        generation_status = 'generating',
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = 1
-    `);
-
-    let totalGenerated = 0;
-    const results = [];
-
-    try {
-      for (const session of sessions) {
-        // Clear previous generated questions for this session
-        await db.query('DELETE FROM generated_questions WHERE session_id = $1', [session.id]);
-
-        // Generate questions for this session (use session's question_count, fallback to config)
-        const generatedQuestions = await generateQuestions({
-          agenda: session.agenda || session.description,
-          entities,
-          audience,
-          module: session.module,
-          targetCount: session.question_count || config.questions_per_session || 30,
-          industryContext: config.industry_context,
-          customInstructions: config.custom_instructions,
-          sessionName: session.name
-        });
-
-        // Insert generated questions
-        for (const q of generatedQuestions) {
-          let entityId = null;
-          if (q.entity_code) {
-            const entityMatch = entities.find(
-              e => e.code.toUpperCase() === q.entity_code.toUpperCase()
-            );
-            if (entityMatch) entityId = entityMatch.id;
-          }
-
-          await db.query(`
-            INSERT INTO generated_questions (
-              session_id, entity_id, question_number, question_text,
-              category_name, is_critical, ai_rationale, status
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')
-          `, [session.id, entityId, q.question_number, q.question_text,
-              q.category_name, q.is_critical, q.ai_rationale]);
-        }
-
-        // Mark session as having generated questions
-        await db.query(
-          'UPDATE sessions SET questions_generated = TRUE WHERE id = $1',
-          [session.id]
-        );
-
-        totalGenerated += generatedQuestions.length;
-        results.push({
-          session_id: session.id,
-          session_name: session.name,
-          questions_generated: generatedQuestions.length
-        });
-      }
+    const { job, created } = await enqueueJob('global_questions', {}, {
+      createdBy: req.user.id,
+      dedupeKey: 'global_questions'
+    });
 
-      // Update global status to completed
-      await db.query(`
-        UPDATE global_workshop_config SET
-          generation_status = 'completed',
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = 1
-      `);
-
-      res.json({
-        success: true,
-        total_questions: totalGenerated,
-        sessions_processed: sessions.length,
-        details: results,
-        message: `Successfully generated ${totalGenerated} questions across ${sessions.length} sessions`
-      });
-    } catch (genError) {
-      // Update global status to failed
-      await db.query(`
-        UPDATE global_workshop_config SET
-          generation_status = 'failed',
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = 1
-      `);
-      throw genError;
-    }
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
   } catch (error) {
-    console.error('Error generating questions:', error);
-    res.status(500).json({ error: 'Failed to generate questions: ' + error.message });
+    console.error('Error starting question generation:', error);
+    res.status(500).json({ error: 'Failed to start question generation: ' + error.message });
   }
 });
 
@@ -490,7 +395,8 @@ router.post('/generate/:sessionId', async (req, res) => {
       targetCount: session.question_count || config.questions_per_session || 30,
       industryContext: config.industry_context,
       customInstructions: config.custom_instructions,
-      sessionName: session.name
+      sessionName: session.name,
+      sessionId: session.id
     });
 
     // Delete existing questions for this session
@@ -696,22 +602,22 @@ router.post('/publish-all', async (req, res) => {
   }
 });
 
-// Manually generate initial checklists for a session
+// Manually generate initial checklists for a session (background job)
 router.post('/generate-checklists/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
     console.log(`Manual checklist generation requested for session ${sessionId}`);
 
-    const result = await generateChecklistsForSession(parseInt(sessionId));
-
-    res.json({
-      success: true,
-      ...result,
-      message: `Generated checklists: ${result.successCount} success, ${result.errorCount} errors out of ${result.total} questions`
+    const { job, created } = await enqueueJob('question_checklists', { sessionId: parseInt(sessionId) }, {
+      sessionId,
+      createdBy: req.user.id,
+      dedupeKey: `question_checklists:${sessionId}`
     });
+
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
   } catch (error) {
-    console.error('Error generating checklists:', error);
-    res.status(500).json({ error: 'Failed to generate checklists: ' + error.message });
+    console.error('Error starting checklist generation:', error);
+    res.status(500).json({ error: 'Failed to start checklist generation: ' + error.message });
   }
 });
 
@@ -5,7 +5,8 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../models/db');
-const { isS3Configured, uploadBufferToS3, deleteFromS3, getS3Url, extractKeyFromPath } = require('../services/s3');
+const { workshopScope, memberWorkshopFilter } = require('../middleware/auth');
+const { isS3Configured, uploadBufferToS3, deleteFromS3, getS3Url, extractKeyFromPath, getFileFromS3 } = require('../services/s3');
 
 // Configure multer for file uploads
 // Use memory storage when S3 is configured, disk storage otherwise
@@ -83,6 +84,12 @@ const upload = multer({
   }
 });
 
+// Scope every id parameter to workshops the user is a member of
+router.param('questionId', workshopScope('question'));
+router.param('answerId', workshopScope('answer'));
+router.param('audioId', workshopScope('audio'));
+router.param('docId', workshopScope('document'));
+
 // Create or update answer for a question
 router.post('/question/:questionId', async (req, res) => {
   console.log('Save answer request:', { questionId: req.params.questionId, body: req.body });
@@ -236,6 +243,63 @@ router.post('/:answerId/document', upload.single('document'), async (req, res) =
   }
 });
 
+// Send a stored attachment (S3 or the local upload folder); uploads are not served statically
+const sendStoredFile = async (res, folder, { file_path, file_name, mime_type }, downloadName = null) => {
+  if (file_path.startsWith('http')) {
+    const buffer = await getFileFromS3(extractKeyFromPath(file_path));
+    res.setHeader('Content-Type', mime_type || 'application/octet-stream');
+    if (downloadName) {
+      res.setHeader('Content-Disposition', `attachment; filename="${downloadName.replace(/"/g, '')}"`);
+    }
+    return res.send(buffer);
+  }
+
+  const localPath = path.join(getUploadBase(), folder, path.basename(file_name));
+  if (!fs.existsSync(localPath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  if (downloadName) {
+    return res.download(localPath, downloadName);
+  }
+  res.type(mime_type || path.extname(localPath));
+  res.sendFile(localPath);
+};
+
+// Play an audio recording
+router.get('/audio/:audioId/file', async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT file_path, file_name, mime_type FROM audio_recordings WHERE id = $1',
+      [req.params.audioId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Audio recording not found' });
+    }
+    await sendStoredFile(res, 'audio', result.rows[0]);
+  } catch (error) {
+    console.error('Error sending audio:', error);
+    res.status(500).json({ error: 'Failed to load audio' });
+  }
+});
+
+// Download a document
+router.get('/document/:docId/file', async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT file_path, file_name, original_name, mime_type FROM documents WHERE id = $1',
+      [req.params.docId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const doc = result.rows[0];
+    await sendStoredFile(res, 'documents', doc, doc.original_name || doc.file_name);
+  } catch (error) {
+    console.error('Error sending document:', error);
+    res.status(500).json({ error: 'Failed to load document' });
+  }
+});
+
 // Delete audio recording
 router.delete('/audio/:audioId', async (req, res) => {
   try {
@@ -422,6 +486,19 @@ router.post('/bulk-status', async (req, res) => {
       return res.status(400).json({ error: 'Invalid question_ids' });
     }
 
+    // All questions must belong to workshops the user is a member of
+    const memberFilter = memberWorkshopFilter(req.user, 's.workshop_id', 2);
+    if (memberFilter) {
+      const accessible = await db.query(`
+        SELECT COUNT(*) as count FROM questions q
+        JOIN sessions s ON q.session_id = s.id
+        WHERE q.id = ANY($1::int[]) AND ${memberFilter}
+      `, [question_ids, req.user.id]);
+      if (parseInt(accessible.rows[0].count) !== new Set(question_ids.map(Number)).size) {
+        return res.status(403).json({ error: 'You are not a member of this workshop' });
+      }
+    }
+
     // Update or create answers for each question
     const results = await Promise.all(question_ids.map(async (questionId) => {
       const existing = await db.query('SELECT id FROM answers WHERE question_id = $1', [questionId]);
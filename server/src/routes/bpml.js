@@ -0,0 +1,318 @@
+/**
+ * BPML Routes - Business Process Master List (L1 value chain to L4 step) per session
+ *
+ * The list is generated as a background job (services/bpmlGenerator.js) and then edited
+ * node by node. Exports follow the project BPML layout: one row per node with its
+ * process ID and the names of all its levels.
+ */
+
+const express = require('express');
+const router = express.Router();
+const XLSX = require('xlsx');
+const db = require('../models/db');
+const { workshopScope, requirePermission } = require('../middleware/auth');
+const { enqueueJob, toPublicJob } = require('../services/jobQueue');
+const { BPML_LEVELS, getSessionBpml, getWorkshopBpml } = require('../services/bpmlGenerator');
+
+router.param('sessionId', workshopScope('session'));
+router.param('workshopId', workshopScope('workshop'));
+
+const EDITABLE_FIELDS = ['name', 'description', 'sap_module', 'process_owner'];
+
+const getNode = async (sessionId, nodeId) => {
+  const result = await db.query(
+    'SELECT * FROM bpml_nodes WHERE id = $1 AND session_id = $2',
+    [nodeId, sessionId]
+  );
+  return result.rows[0] || null;
+};
+
+// Entity ids of the session's workshop only
+const validEntityIds = async (sessionId, entityIds) => {
+  if (!Array.isArray(entityIds) || entityIds.length === 0) return [];
+  const result = await db.query(`
+    SELECT e.id FROM entities e
+    JOIN sessions s ON e.workshop_id = s.workshop_id
+    WHERE s.id = $1 AND e.id = ANY($2)
+  `, [sessionId, entityIds.map(id => parseInt(id)).filter(Number.isInteger)]);
+  return result.rows.map(row => row.id);
+};
+
+// ============================================
+// Reading and generation
+// ============================================
+
+// BPML of a session in tree order (entityId: only nodes that apply to that entity)
+router.get('/session/:sessionId', async (req, res) => {
+  try {
+    const nodes = await getSessionBpml(req.params.sessionId, { entityId: req.query.entityId });
+    if (!nodes) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(nodes);
+  } catch (error) {
+    console.error('Error fetching BPML:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate the BPML from the session's memory, answers and findings (replaces the current list)
+router.post('/session/:sessionId/generate', requirePermission('manage'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const sessionResult = await db.query('SELECT workshop_id FROM sessions WHERE id = $1', [sessionId]);
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const { job, created } = await enqueueJob('bpml_generation', {
+      sessionId: parseInt(sessionId),
+      actor: req.user.name
+    }, {
+      workshopId: sessionResult.rows[0].workshop_id,
+      sessionId,
+      createdBy: req.user.id,
+      dedupeKey: `bpml_generation:${sessionId}`
+    });
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
+  } catch (error) {
+    console.error('Error starting BPML generation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Editing
+// ============================================
+
+// Add a node - parentId: null for a new value chain, otherwise the node one level up
+router.post('/session/:sessionId/nodes', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { parentId, name, description, sap_module, process_owner, entity_ids } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    let level = 1;
+    if (parentId) {
+      const parent = await getNode(sessionId, parentId);
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent node not found' });
+      }
+      if (parent.level >= BPML_LEVELS.length) {
+        return res.status(400).json({ error: 'Process steps (L4) cannot have children' });
+      }
+      level = parent.level + 1;
+    }
+
+    const result = await db.query(`
+      INSERT INTO bpml_nodes (session_id, parent_id, level, name, description, sap_module,
+                              process_owner, entity_ids, source, sort_order, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'manual',
+              (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM bpml_nodes
+               WHERE session_id = $1 AND parent_id IS NOT DISTINCT FROM $2),
+              $9)
+      RETURNING *
+    `, [sessionId, parentId || null, level, name.trim(), description || null, sap_module || null,
+      process_owner || null, await validEntityIds(sessionId, entity_ids), req.user.name]);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Error adding BPML node:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit a node (name, description, sap_module, process_owner, entity_ids)
+router.patch('/session/:sessionId/nodes/:nodeId', async (req, res) => {
+  try {
+    const { sessionId, nodeId } = req.params;
+    if (!await getNode(sessionId, nodeId)) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+    if (req.body.name !== undefined && !String(req.body.name).trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = $${paramIndex++}`);
+        values.push(req.body[field] ? String(req.body[field]).trim() : null);
+      }
+    }
+    if (req.body.entity_ids !== undefined) {
+      updates.push(`entity_ids = $${paramIndex++}`);
+      values.push(await validEntityIds(sessionId, req.body.entity_ids));
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    updates.push(`updated_by = $${paramIndex++}`, 'updated_at = CURRENT_TIMESTAMP');
+    values.push(req.user.name, nodeId);
+
+    const result = await db.query(
+      `UPDATE bpml_nodes SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating BPML node:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move a node up or down among its siblings - direction: 'up' | 'down'
+router.post('/session/:sessionId/nodes/:nodeId/move', async (req, res) => {
+  try {
+    const { sessionId, nodeId } = req.params;
+    const node = await getNode(sessionId, nodeId);
+    if (!node) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+
+    const siblingsResult = await db.query(`
+      SELECT id FROM bpml_nodes
+      WHERE session_id = $1 AND parent_id IS NOT DISTINCT FROM $2
+      ORDER BY sort_order, id
+    `, [sessionId, node.parent_id]);
+    const ids = siblingsResult.rows.map(row => row.id);
+    const index = ids.indexOf(node.id);
+    const target = req.body.direction === 'up' ? index - 1 : index + 1;
+
+    if (target >= 0 && target < ids.length) {
+      [ids[index], ids[target]] = [ids[target], ids[index]];
+      for (const [position, id] of ids.entries()) {
+        await db.query('UPDATE bpml_nodes SET sort_order = $1 WHERE id = $2', [position, id]);
+      }
+    }
+
+    res.json({ moved: target >= 0 && target < ids.length });
+  } catch (error) {
+    console.error('Error moving BPML node:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a node together with everything below it
+router.delete('/session/:sessionId/nodes/:nodeId', async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM bpml_nodes WHERE id = $1 AND session_id = $2 RETURNING id',
+      [req.params.nodeId, req.params.sessionId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+    res.json({ message: 'Node deleted' });
+  } catch (error) {
+    console.error('Error deleting BPML node:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Excel export
+// ============================================
+
+const BPML_COLUMNS = [
+  { header: 'Process ID', wch: 18 },
+  ...BPML_LEVELS.map(level => ({ header: `L${level.level} ${level.label}`, wch: 28 })),
+  { header: 'Level', wch: 6 },
+  { header: 'Description', wch: 60 },
+  { header: 'SAP Module', wch: 10 },
+  { header: 'Process Owner', wch: 22 },
+  { header: 'Entities', wch: 16 },
+  { header: 'Session', wch: 28 },
+  { header: 'Source', wch: 10 }
+];
+
+/**
+ * One sheet row per node: the process ID, the names of its level and all levels above
+ */
+const bpmlRows = (nodes, session, entities) => nodes.map((node) => {
+  const levels = [...node.path, node.name];
+  const entityCodes = node.effective_entity_ids
+    .map(id => entities.find(e => e.id === id)?.code)
+    .filter(Boolean);
+  return [
+    node.code,
+    ...BPML_LEVELS.map((level, index) => levels[index] || ''),
+    `L${node.level}`,
+    node.description || '',
+    node.sap_module || '',
+    node.process_owner || '',
+    entityCodes.length > 0 ? entityCodes.join(', ') : 'All',
+    `Session ${session.session_number}: ${session.name}`,
+    node.source === 'manual' ? 'Manual' : 'AI'
+  ];
+});
+
+const sendWorkbook = (res, sessions, entities, fileName) => {
+  const rows = sessions.flatMap(({ session, nodes }) => bpmlRows(nodes, session, entities));
+  const ws = XLSX.utils.aoa_to_sheet([BPML_COLUMNS.map(column => column.header), ...rows]);
+  ws['!cols'] = BPML_COLUMNS.map(column => ({ wch: column.wch }));
+  ws['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: BPML_COLUMNS.length - 1 } }) };
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'BPML');
+  const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName.replace(/[^a-zA-Z0-9_-]/g, '_')}.xlsx"`);
+  res.send(buffer);
+};
+
+const getEntities = async (workshopId) =>
+  (await db.query('SELECT id, code, name FROM entities WHERE workshop_id = $1', [workshopId])).rows;
+
+const entitySuffix = (entities, entityId) => {
+  const entity = entityId && entities.find(e => e.id === parseInt(entityId));
+  return entity ? `_${entity.code}` : '';
+};
+
+// Export a session's BPML (entityId: only that entity's processes)
+router.get('/session/:sessionId/export/excel', async (req, res) => {
+  try {
+    const sessionResult = await db.query('SELECT * FROM sessions WHERE id = $1', [req.params.sessionId]);
+    const session = sessionResult.rows[0];
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const entities = await getEntities(session.workshop_id);
+    const nodes = await getSessionBpml(session.id, { entityId: req.query.entityId });
+    sendWorkbook(res, [{ session, nodes }], entities,
+      `BPML_${session.module.split(' - ')[0]}_Session_${session.session_number}${entitySuffix(entities, req.query.entityId)}`);
+  } catch (error) {
+    console.error('Error exporting BPML:', error);
+    res.status(500).json({ error: 'Failed to export BPML', details: error.message });
+  }
+});
+
+// Export the BPML of every session of a workshop in one sheet
+router.get('/workshop/:workshopId/export/excel', async (req, res) => {
+  try {
+    const workshopResult = await db.query('SELECT name FROM workshops WHERE id = $1', [req.params.workshopId]);
+    if (workshopResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Workshop not found' });
+    }
+
+    const entities = await getEntities(req.params.workshopId);
+    const sessions = await getWorkshopBpml(req.params.workshopId, { entityId: req.query.entityId });
+    sendWorkbook(res, sessions, entities,
+      `BPML_${workshopResult.rows[0].name}${entitySuffix(entities, req.query.entityId)}`);
+  } catch (error) {
+    console.error('Error exporting BPML:', error);
+    res.status(500).json({ error: 'Failed to export BPML', details: error.message });
+  }
+});
+
+module.exports = router;
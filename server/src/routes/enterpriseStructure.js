@@ -0,0 +1,225 @@
+/**
+ * Enterprise Structure Routes - SAP organizational units of a workshop and their assignments
+ *
+ * Units are proposed by a background job (services/enterpriseStructure.js) and edited
+ * one by one. Every read returns the SAP rule check with the structure. Exports: Excel
+ * (units, assignments, rule check) and Mermaid; the org chart image is drawn by the client.
+ */
+
+const express = require('express');
+const router = express.Router();
+const XLSX = require('xlsx');
+const db = require('../models/db');
+const { workshopScope, requirePermission } = require('../middleware/auth');
+const { enqueueJob, toPublicJob } = require('../services/jobQueue');
+const {
+  ORG_UNIT_TYPES,
+  LINK_TYPES,
+  getEnterpriseStructure,
+  getWorkshopNode,
+  createUnit,
+  updateUnit,
+  setUnitLinks,
+  toMermaid
+} = require('../services/enterpriseStructure');
+
+router.param('workshopId', workshopScope('workshop'));
+
+const typeLabel = (key) => ORG_UNIT_TYPES.find(type => type.key === key)?.label || key;
+
+const fileNameFor = async (workshopId) => {
+  const result = await db.query('SELECT name, client_name FROM workshops WHERE id = $1', [workshopId]);
+  const workshop = result.rows[0];
+  return `Enterprise_Structure_${(workshop.client_name || workshop.name).replace(/[^a-zA-Z0-9]/g, '_')}`;
+};
+
+// ============================================
+// Reading and generation
+// ============================================
+
+// Units in tree order, links, entities and the SAP rule check, with the unit and link types
+router.get('/workshop/:workshopId', async (req, res) => {
+  try {
+    const structure = await getEnterpriseStructure(req.params.workshopId);
+    if (!structure) {
+      return res.status(404).json({ error: 'Workshop not found' });
+    }
+    res.json({ ...structure, types: ORG_UNIT_TYPES, linkTypes: LINK_TYPES });
+  } catch (error) {
+    console.error('Error fetching enterprise structure:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Propose units from the answers and findings of every session (adds to the current structure)
+router.post('/workshop/:workshopId/generate', requirePermission('manage'), async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    const { job, created } = await enqueueJob('enterprise_structure', {
+      workshopId: parseInt(workshopId),
+      actor: req.user.name
+    }, {
+      workshopId,
+      createdBy: req.user.id,
+      dedupeKey: `enterprise_structure:${workshopId}`
+    });
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
+  } catch (error) {
+    console.error('Error starting enterprise structure generation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Editing
+// ============================================
+
+// Add a unit - body: { node_type, parent_id, code, name, description, entity_id, attributes }
+router.post('/workshop/:workshopId/units', async (req, res) => {
+  try {
+    const { node, error } = await createUnit(req.params.workshopId, req.body, req.user.name);
+    if (error) {
+      return res.status(error.endsWith('not found') ? 404 : 400).json({ error });
+    }
+    res.status(201).json(node);
+  } catch (error) {
+    console.error('Error adding enterprise structure unit:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit a unit (code, name, description, parent_id, entity_id, attributes)
+router.patch('/workshop/:workshopId/units/:unitId', async (req, res) => {
+  try {
+    const existing = await getWorkshopNode(req.params.workshopId, req.params.unitId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    const { node, error } = await updateUnit(existing, req.body, req.user.name);
+    if (error) {
+      return res.status(error.endsWith('not found') ? 404 : 400).json({ error });
+    }
+    res.json(node);
+  } catch (error) {
+    console.error('Error updating enterprise structure unit:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a unit's many-to-many assignments - body: { target_ids }
+router.put('/workshop/:workshopId/units/:unitId/links', async (req, res) => {
+  try {
+    const existing = await getWorkshopNode(req.params.workshopId, req.params.unitId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    const { links, error } = await setUnitLinks(existing, req.body.target_ids, req.user.name);
+    if (error) {
+      return res.status(error.endsWith('not found') ? 404 : 400).json({ error });
+    }
+    res.json(links);
+  } catch (error) {
+    console.error('Error saving enterprise structure links:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a unit - units assigned to it stay, unassigned
+router.delete('/workshop/:workshopId/units/:unitId', async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM enterprise_structure_nodes WHERE id = $1 AND workshop_id = $2 RETURNING id',
+      [req.params.unitId, req.params.workshopId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+    res.json({ message: 'Unit deleted' });
+  } catch (error) {
+    console.error('Error deleting enterprise structure unit:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Exports
+// ============================================
+
+router.get('/workshop/:workshopId/export/mermaid', async (req, res) => {
+  try {
+    const structure = await getEnterpriseStructure(req.params.workshopId);
+    if (!structure) {
+      return res.status(404).json({ error: 'Workshop not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${await fileNameFor(req.params.workshopId)}.mmd"`);
+    res.send(toMermaid(structure));
+  } catch (error) {
+    console.error('Error exporting enterprise structure:', error);
+    res.status(500).json({ error: 'Failed to export enterprise structure', details: error.message });
+  }
+});
+
+router.get('/workshop/:workshopId/export/excel', async (req, res) => {
+  try {
+    const structure = await getEnterpriseStructure(req.params.workshopId);
+    if (!structure) {
+      return res.status(404).json({ error: 'Workshop not found' });
+    }
+    const { nodes, links, issues } = structure;
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const unitName = (node) => (node ? `${typeLabel(node.node_type)} ${node.code || ''} ${node.name}`.replace(/\s+/g, ' ') : '');
+
+    const unitRows = nodes.map(node => {
+      const parent = byId.get(node.parent_id);
+      return {
+        'Type': typeLabel(node.node_type),
+        'Code': node.code || '',
+        'Name': `${'  '.repeat(node.depth)}${node.name}`,
+        'Assigned To': unitName(parent),
+        'Entity': node.entity_code || '',
+        'Currency': node.attributes?.currency || '',
+        'Country': node.attributes?.country || '',
+        'Description': node.description || '',
+        'Source': node.source === 'manual' ? 'Manual' : 'AI',
+        'Issues': issues.filter(issue => issue.node_id === node.id).map(issue => issue.message).join('\n')
+      };
+    });
+    const linkRows = links.map(link => ({
+      'From': unitName(byId.get(link.from_node_id)),
+      'Assignment': link.label,
+      'To': unitName(byId.get(link.to_node_id))
+    }));
+    const issueRows = issues.map(issue => ({
+      'Severity': issue.severity === 'error' ? 'Error' : 'Warning',
+      'Unit': unitName(byId.get(issue.node_id)),
+      'Issue': issue.message
+    }));
+
+    const wb = XLSX.utils.book_new();
+    const unitSheet = XLSX.utils.json_to_sheet(unitRows);
+    unitSheet['!cols'] = [
+      { wch: 24 }, { wch: 8 }, { wch: 35 }, { wch: 35 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 45 }, { wch: 10 }, { wch: 60 }
+    ];
+    XLSX.utils.book_append_sheet(wb, unitSheet, 'Organizational Units');
+    const linkSheet = XLSX.utils.json_to_sheet(linkRows);
+    linkSheet['!cols'] = [{ wch: 45 }, { wch: 16 }, { wch: 45 }];
+    XLSX.utils.book_append_sheet(wb, linkSheet, 'Assignments');
+    const issueSheet = XLSX.utils.json_to_sheet(issueRows);
+    issueSheet['!cols'] = [{ wch: 10 }, { wch: 40 }, { wch: 90 }];
+    XLSX.utils.book_append_sheet(wb, issueSheet, 'SAP Rule Check');
+
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${await fileNameFor(req.params.workshopId)}.xlsx"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting enterprise structure:', error);
+    res.status(500).json({ error: 'Failed to export enterprise structure', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+/**
+ * Fit-Gap Routes - Session requirements against the SAP scope item catalogue
+ *
+ * The classification runs as a background job (services/fitGapAnalysis.js); consultants
+ * confirm or correct each result, and the matrix per module and entity is exported to
+ * Excel and included in the session report.
+ */
+
+const express = require('express');
+const router = express.Router();
+const XLSX = require('xlsx');
+const db = require('../models/db');
+const { workshopScope, requirePermission } = require('../middleware/auth');
+const { enqueueJob, toPublicJob } = require('../services/jobQueue');
+const {
+  CLASSIFICATIONS,
+  getCurrentCatalogue,
+  getScopeItems,
+  listFitGapResults,
+  buildFitGapMatrix
+} = require('../services/fitGapAnalysis');
+
+router.param('workshopId', workshopScope('workshop'));
+
+const getEntities = async (workshopId) => {
+  const result = await db.query(
+    'SELECT id, code, name FROM entities WHERE workshop_id = $1 ORDER BY code',
+    [workshopId]
+  );
+  return result.rows;
+};
+
+const classificationLabel = (key) => CLASSIFICATIONS.find(c => c.key === key)?.label || key;
+
+// Current scope item catalogue (loaded from the bundled file on first use)
+router.get('/catalogue', async (req, res) => {
+  try {
+    const catalogue = await getCurrentCatalogue();
+    res.json({ ...catalogue, items: await getScopeItems(catalogue.id) });
+  } catch (error) {
+    console.error('Error fetching scope catalogue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Results and matrix of a workshop (filters: sessionId, entityId, classification)
+router.get('/workshop/:workshopId', async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    const results = await listFitGapResults(workshopId, {
+      sessionId: req.query.sessionId,
+      entityId: req.query.entityId,
+      classification: req.query.classification
+    });
+    const entities = await getEntities(workshopId);
+    res.json({ results, entities, matrix: buildFitGapMatrix(results, entities) });
+  } catch (error) {
+    console.error('Error fetching fit-gap results:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Classify the requirements of every session, or of one (sessionId), as a background job
+router.post('/workshop/:workshopId/analyze', requirePermission('manage'), async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    const sessionId = req.body.sessionId ? parseInt(req.body.sessionId) : null;
+    if (sessionId) {
+      const sessionResult = await db.query('SELECT id FROM sessions WHERE id = $1 AND workshop_id = $2', [sessionId, workshopId]);
+      if (sessionResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+    }
+
+    const { job, created } = await enqueueJob('fitgap_analysis', {
+      workshopId: parseInt(workshopId),
+      sessionId
+    }, {
+      workshopId,
+      sessionId,
+      createdBy: req.user.id,
+      dedupeKey: `fitgap_analysis:${workshopId}:${sessionId || 'all'}`
+    });
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
+  } catch (error) {
+    console.error('Error starting fit-gap analysis:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm or correct a result (classification, scope_item_id, rationale, entity_ids);
+// reviewed results are kept when the analysis is re-run
+router.patch('/workshop/:workshopId/results/:resultId', async (req, res) => {
+  try {
+    const { workshopId, resultId } = req.params;
+    const existing = await db.query(`
+      SELECT r.* FROM fitgap_results r
+      JOIN sessions s ON r.session_id = s.id
+      WHERE r.id = $1 AND s.workshop_id = $2
+    `, [resultId, workshopId]);
+    const current = existing.rows[0];
+    if (!current) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (req.body.classification !== undefined) {
+      if (!CLASSIFICATIONS.some(c => c.key === req.body.classification)) {
+        return res.status(400).json({ error: `Classification must be one of ${CLASSIFICATIONS.map(c => c.key).join(', ')}` });
+      }
+      updates.push(`classification = $${paramIndex++}`);
+      values.push(req.body.classification);
+    }
+    if (req.body.rationale !== undefined) {
+      updates.push(`rationale = $${paramIndex++}`);
+      values.push(req.body.rationale ? String(req.body.rationale).trim() : null);
+    }
+    if (req.body.scope_item_id !== undefined) {
+      let scopeItem = null;
+      if (req.body.scope_item_id) {
+        const itemResult = await db.query(
+          'SELECT id, sap_module FROM scope_items WHERE id = $1 AND catalogue_id = $2',
+          [req.body.scope_item_id, current.catalogue_id]
+        );
+        scopeItem = itemResult.rows[0];
+        if (!scopeItem) {
+          return res.status(400).json({ error: 'Scope item not found in the catalogue of this result' });
+        }
+      }
+      updates.push(`scope_item_id = $${paramIndex++}`);
+      values.push(scopeItem?.id || null);
+      if (scopeItem?.sap_module) {
+        updates.push(`sap_module = $${paramIndex++}`);
+        values.push(scopeItem.sap_module);
+      }
+    }
+    if (req.body.entity_ids !== undefined) {
+      const requested = Array.isArray(req.body.entity_ids)
+        ? req.body.entity_ids.map(id => parseInt(id)).filter(Number.isInteger)
+        : [];
+      const entityIds = (await getEntities(workshopId)).map(entity => entity.id).filter(id => requested.includes(id));
+      updates.push(`entity_ids = $${paramIndex++}`);
+      values.push(entityIds);
+    }
+
+    updates.push(`reviewed_by = $${paramIndex++}`, 'reviewed_at = CURRENT_TIMESTAMP', 'updated_at = CURRENT_TIMESTAMP');
+    values.push(req.user.name);
+    values.push(resultId);
+    await db.query(`UPDATE fitgap_results SET ${updates.join(', ')} WHERE id = $${paramIndex}`, values);
+
+    const [result] = (await listFitGapResults(workshopId, { sessionId: current.session_id }))
+      .filter(row => row.id === current.id);
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating fit-gap result:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export the matrix and the classified requirements (entityId: only that entity)
+router.get('/workshop/:workshopId/export/excel', async (req, res) => {
+  try {
+    const workshopResult = await db.query('SELECT name, client_name FROM workshops WHERE id = $1', [req.params.workshopId]);
+    const workshop = workshopResult.rows[0];
+    if (!workshop) {
+      return res.status(404).json({ error: 'Workshop not found' });
+    }
+
+    const entities = await getEntities(req.params.workshopId);
+    const results = await listFitGapResults(req.params.workshopId, { entityId: req.query.entityId });
+    const matrixEntities = req.query.entityId
+      ? entities.filter(entity => entity.id === parseInt(req.query.entityId))
+      : entities;
+    const matrix = buildFitGapMatrix(results, matrixEntities);
+    const entityCodes = (ids) => (ids || []).length === 0
+      ? 'All'
+      : entities.filter(entity => ids.includes(entity.id)).map(entity => entity.code).join(', ');
+
+    const wb = XLSX.utils.book_new();
+
+    // One row per module; per entity the fit / partial fit / gap counts
+    const matrixWs = XLSX.utils.json_to_sheet(matrix.rows.map(row => ({
+      'SAP Module': row.sap_module,
+      ...Object.fromEntries(matrix.columns.flatMap(column => CLASSIFICATIONS.map(c => [
+        `${column.code} - ${c.label}`, row.cells[column.id][c.key]
+      ]))),
+      'Total Fit': row.total.fit,
+      'Total Partial Fit': row.total.partial_fit,
+      'Total Gap': row.total.gap,
+      'Fit %': row.total.total > 0 ? Math.round((row.total.fit / row.total.total) * 100) : 0
+    })));
+    matrixWs['!cols'] = [{ wch: 12 }, ...matrix.columns.flatMap(() => CLASSIFICATIONS.map(() => ({ wch: 14 }))), { wch: 10 }, { wch: 14 }, { wch: 10 }, { wch: 8 }];
+    XLSX.utils.book_append_sheet(wb, matrixWs, 'Fit-Gap Matrix');
+
+    const detailWs = XLSX.utils.json_to_sheet(results.map(result => ({
+      'Session': `Session ${result.session_number}: ${result.session_name}`,
+      'Source': result.source_type === 'finding' ? 'Finding' : 'Checklist',
+      'Requirement': result.requirement,
+      'Detail': result.detail || '',
+      'SAP Module': result.sap_module || '',
+      'Scope Item': result.scope_item_code ? `${result.scope_item_code} ${result.scope_item_name}` : '',
+      'Classification': classificationLabel(result.classification),
+      'Rationale': result.rationale || '',
+      'Entities': entityCodes(result.entity_ids),
+      'Reviewed By': result.reviewed_by || '',
+      'Catalogue': result.catalogue_version || ''
+    })));
+    detailWs['!cols'] = [
+      { wch: 28 }, { wch: 10 }, { wch: 40 }, { wch: 50 }, { wch: 10 }, { wch: 36 }, { wch: 12 }, { wch: 60 }, { wch: 14 }, { wch: 18 }, { wch: 22 }
+    ];
+    if (results.length > 0) {
+      detailWs['!autofilter'] = { ref: detailWs['!ref'] };
+    }
+    XLSX.utils.book_append_sheet(wb, detailWs, 'Requirements');
+
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+    const fileName = `FitGap_${(workshop.client_name || workshop.name).replace(/[^a-zA-Z0-9]/g, '_')}_${new Date().toISOString().split('T')[0]}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting fit-gap analysis:', error);
+    res.status(500).json({ error: 'Failed to export fit-gap analysis', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+/**
+ * Harmonization Routes - Per-entity answers side by side for multi-company workshops
+ *
+ * Entity answers are typed here or split out of the session answers by a background job
+ * (services/entityHarmonization.js), which also flags where the entities diverge. The
+ * design team records per checklist item whether a global template or local variants apply.
+ * The structured values of the answers (services/structuredValues.js) are compared the same way.
+ */
+
+const express = require('express');
+const router = express.Router();
+const XLSX = require('xlsx');
+const db = require('../models/db');
+const { workshopScope, requirePermission } = require('../middleware/auth');
+const { enqueueJob, toPublicJob } = require('../services/jobQueue');
+const {
+  DECISIONS,
+  getWorkshopHarmonization,
+  saveEntityAnswer,
+  saveHarmonizationDecision
+} = require('../services/entityHarmonization');
+const { getWorkshopValues } = require('../services/structuredValues');
+
+router.param('workshopId', workshopScope('workshop'));
+
+const FLAG_LABELS = {
+  aligned: 'Aligned',
+  minor: 'Minor differences',
+  divergent: 'Divergent',
+  not_assessed: 'Not assessed',
+  incomplete: 'Incomplete',
+  not_captured: 'Not captured'
+};
+
+// Checklist item of one of the workshop's sessions
+const getWorkshopItem = async (workshopId, itemId) => {
+  const result = await db.query(`
+    SELECT i.id, i.session_id FROM session_checklist_items i
+    JOIN sessions s ON i.session_id = s.id
+    WHERE i.id = $1 AND s.workshop_id = $2
+  `, [itemId, workshopId]);
+  return result.rows[0] || null;
+};
+
+// Entity answers side by side per design topic (filter: sessionId)
+router.get('/workshop/:workshopId', async (req, res) => {
+  try {
+    res.json(await getWorkshopHarmonization(req.params.workshopId, { sessionId: req.query.sessionId }));
+  } catch (error) {
+    console.error('Error fetching harmonization:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Split the answers of every session, or of one (sessionId), per entity and flag divergence (background job)
+router.post('/workshop/:workshopId/analyze', requirePermission('manage'), async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    const sessionId = req.body.sessionId ? parseInt(req.body.sessionId) : null;
+    if (sessionId) {
+      const sessionResult = await db.query('SELECT id FROM sessions WHERE id = $1 AND workshop_id = $2', [sessionId, workshopId]);
+      if (sessionResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+    }
+
+    const { job, created } = await enqueueJob('entity_harmonization', {
+      workshopId: parseInt(workshopId),
+      sessionId
+    }, {
+      workshopId,
+      sessionId,
+      createdBy: req.user.id,
+      dedupeKey: `entity_harmonization:${workshopId}:${sessionId || 'all'}`
+    });
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
+  } catch (error) {
+    console.error('Error starting harmonization analysis:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set an entity's answer on a checklist item (empty answer_text removes it)
+router.put('/workshop/:workshopId/items/:itemId/entities/:entityId', async (req, res) => {
+  try {
+    const { workshopId, itemId, entityId } = req.params;
+    const item = await getWorkshopItem(workshopId, itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+    const entityResult = await db.query('SELECT id FROM entities WHERE id = $1 AND workshop_id = $2', [entityId, workshopId]);
+    if (entityResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    const answer = await saveEntityAnswer(item.id, entityResult.rows[0].id, req.body.answer_text, req.user.name);
+    res.json(answer || { deleted: true });
+  } catch (error) {
+    console.error('Error saving entity answer:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Global template or local variants for a checklist item - body: { decision: 'global' | 'local' | null, note }
+router.patch('/workshop/:workshopId/items/:itemId/decision', async (req, res) => {
+  try {
+    const { workshopId, itemId } = req.params;
+    const { decision, note } = req.body;
+    if (decision && !DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `Decision must be one of ${DECISIONS.join(', ')}` });
+    }
+    const item = await getWorkshopItem(workshopId, itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    res.json(await saveHarmonizationDecision(item.id, decision, note, req.user.name));
+  } catch (error) {
+    console.error('Error saving harmonization decision:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export the entity answers side by side with flags and decisions
+router.get('/workshop/:workshopId/export/excel', async (req, res) => {
+  try {
+    const workshopResult = await db.query('SELECT name, client_name FROM workshops WHERE id = $1', [req.params.workshopId]);
+    const workshop = workshopResult.rows[0];
+    if (!workshop) {
+      return res.status(404).json({ error: 'Workshop not found' });
+    }
+
+    const { entities, topics } = await getWorkshopHarmonization(req.params.workshopId, { sessionId: req.query.sessionId });
+
+    const rows = topics.flatMap(topic => topic.items.map(item => ({
+      'Session': `Session ${topic.session_number}: ${topic.session_name}`,
+      'Design Topic': topic.topic,
+      'Checklist Item': item.item_text,
+      'Session Answer': item.obtained_text || '',
+      ...Object.fromEntries(entities.map(entity => [
+        entity.code,
+        item.entity_answers.find(answer => answer.entity_id === entity.id)?.answer_text || ''
+      ])),
+      'Flag': FLAG_LABELS[item.flag],
+      'Differences': item.summary || '',
+      'Decision': item.decision === 'global' ? 'Global template' : item.decision === 'local' ? 'Local variant' : '',
+      'Decision Note': item.decision_note || ''
+    })));
+
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.json_to_sheet(rows);
+    ws['!cols'] = [
+      { wch: 28 }, { wch: 24 }, { wch: 45 }, { wch: 45 }, ...entities.map(() => ({ wch: 40 })),
+      { wch: 18 }, { wch: 50 }, { wch: 16 }, { wch: 40 }
+    ];
+    if (rows.length > 0) {
+      ws['!autofilter'] = { ref: ws['!ref'] };
+    }
+    XLSX.utils.book_append_sheet(wb, ws, 'Harmonization');
+
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+    const fileName = `Harmonization_${(workshop.client_name || workshop.name).replace(/[^a-zA-Z0-9]/g, '_')}_${new Date().toISOString().split('T')[0]}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting harmonization:', error);
+    res.status(500).json({ error: 'Failed to export harmonization', details: error.message });
+  }
+});
+
+// Structured values of all sessions per key, side by side per entity
+router.get('/workshop/:workshopId/values', async (req, res) => {
+  try {
+    res.json(await getWorkshopValues(req.params.workshopId));
+  } catch (error) {
+    console.error('Error fetching structured values:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/workshop/:workshopId/values/export/excel', async (req, res) => {
+  try {
+    const workshopResult = await db.query('SELECT name, client_name FROM workshops WHERE id = $1', [req.params.workshopId]);
+    const workshop = workshopResult.rows[0];
+    if (!workshop) {
+      return res.status(404).json({ error: 'Workshop not found' });
+    }
+
+    const { entities, values } = await getWorkshopValues(req.params.workshopId);
+
+    const rows = values.map(value => ({
+      'Value': value.label,
+      'Key': value.key,
+      'Type': value.value_type,
+      'Sessions': value.sessions.join(', '),
+      'All Entities': value.general.join(' | '),
+      ...Object.fromEntries(entities.map(entity => [entity.code, (value.byEntity[entity.id] || []).join(' | ')])),
+      'Flag': value.divergent ? 'Divergent' : ''
+    }));
+
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.json_to_sheet(rows);
+    ws['!cols'] = [
+      { wch: 35 }, { wch: 30 }, { wch: 12 }, { wch: 35 }, { wch: 40 }, ...entities.map(() => ({ wch: 30 })), { wch: 12 }
+    ];
+    if (rows.length > 0) {
+      ws['!autofilter'] = { ref: ws['!ref'] };
+    }
+    XLSX.utils.book_append_sheet(wb, ws, 'Structured Values');
+
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+    const fileName = `Structured_Values_${(workshop.client_name || workshop.name).replace(/[^a-zA-Z0-9]/g, '_')}_${new Date().toISOString().split('T')[0]}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting structured values:', error);
+    res.status(500).json({ error: 'Failed to export structured values', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+/**
+ * Background Job Routes - Progress and cancellation for queued AI work
+ *
+ * Jobs are started by the routes that own the work (question/checklist generation,
+ * re-analysis, workshop transcripts). These endpoints let any tab find and follow them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../models/db');
+const { workshopScope, memberWorkshopFilter, hasPermission } = require('../middleware/auth');
+const { ACTIVE_STATUSES, getJob, cancelJob, toPublicJob } = require('../services/jobQueue');
+
+const MAX_LIST_LIMIT = 200;
+
+// Every :jobId must belong to a workshop the user is a member of
+router.param('jobId', workshopScope('job'));
+
+// List jobs, newest first
+// Query: ids (comma-separated), workshopId, sessionId, type (comma-separated), batchId,
+//        active=true (queued/running only), limit
+router.get('/', async (req, res) => {
+  try {
+    const { ids, workshopId, sessionId, type, batchId, active } = req.query;
+    const conditions = [];
+    const params = [];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (ids) addCondition('id = ANY(?)', String(ids).split(',').map(id => parseInt(id)).filter(Number.isInteger));
+    if (workshopId) addCondition('workshop_id = ?', workshopId);
+    if (sessionId) addCondition('session_id = ?', sessionId);
+    if (type) addCondition('type = ANY(?)', String(type).split(','));
+    if (batchId) addCondition('batch_id = ?', batchId);
+    if (active === 'true') addCondition('status = ANY(?)', ACTIVE_STATUSES);
+
+    // Non-admins only see jobs of workshops they are a member of
+    const memberFilter = memberWorkshopFilter(req.user, 'workshop_id', params.length + 1);
+    if (memberFilter) {
+      params.push(req.user.id);
+      conditions.push(memberFilter);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_LIST_LIMIT);
+    const result = await db.query(`
+      SELECT * FROM jobs
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ${limit}
+    `, params);
+
+    res.json(result.rows.map(toPublicJob));
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Get one job (status, progress, result)
+router.get('/:jobId', async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(toPublicJob(job));
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Cancel a queued or running job (whoever started it, or anyone who can manage the workshop)
+router.post('/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.created_by !== req.user.id && !hasPermission(req.user, 'manage')) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
+
+    const updated = await cancelJob(job.id);
+    res.json(toPublicJob(updated));
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+/**
+ * KDS Routes - Key Design Specification documents per workshop module
+ *
+ * A KDS is generated (as a background job) from all checklist sessions of a module
+ * in the workshop and exported as an editable Word document.
+ * See services/kdsGenerator.js and services/kdsDocxGenerator.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../models/db');
+const { workshopScope, requirePermission } = require('../middleware/auth');
+const { enqueueJob, toPublicJob } = require('../services/jobQueue');
+const { getKdsDocument, listWorkshopKds } = require('../services/kdsGenerator');
+const { generateKdsDocx } = require('../services/kdsDocxGenerator');
+
+const manage = requirePermission('manage');
+
+router.param('workshopId', workshopScope('workshop'));
+
+const moduleExists = async (workshopId, module) => {
+  const result = await db.query(
+    'SELECT 1 FROM sessions WHERE workshop_id = $1 AND module = $2 LIMIT 1',
+    [workshopId, module]
+  );
+  return result.rows.length > 0;
+};
+
+// Modules of a workshop with the status of their KDS
+router.get('/workshop/:workshopId', async (req, res) => {
+  try {
+    res.json(await listWorkshopKds(req.params.workshopId));
+  } catch (error) {
+    console.error('Error listing KDS documents:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The generated KDS of a module
+router.get('/workshop/:workshopId/module/:module', async (req, res) => {
+  try {
+    const kds = await getKdsDocument(req.params.workshopId, req.params.module);
+    if (!kds) {
+      return res.status(404).json({ error: 'No KDS has been generated for this module yet' });
+    }
+    res.json(kds);
+  } catch (error) {
+    console.error('Error fetching KDS:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate (or regenerate) the KDS of a module
+router.post('/workshop/:workshopId/module/:module/generate', manage, async (req, res) => {
+  try {
+    const { workshopId, module } = req.params;
+    if (!await moduleExists(workshopId, module)) {
+      return res.status(404).json({ error: `The workshop has no ${module} sessions` });
+    }
+
+    const { job, created } = await enqueueJob('kds_generation', {
+      workshopId: parseInt(workshopId),
+      module,
+      actor: req.user.name
+    }, {
+      workshopId,
+      createdBy: req.user.id,
+      dedupeKey: `kds_generation:${workshopId}:${module}`
+    });
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
+  } catch (error) {
+    console.error('Error starting KDS generation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the KDS as an editable Word document
+router.get('/workshop/:workshopId/module/:module/export/docx', async (req, res) => {
+  try {
+    const kds = await getKdsDocument(req.params.workshopId, req.params.module);
+    if (!kds) {
+      return res.status(404).json({ error: 'No KDS has been generated for this module yet' });
+    }
+
+    const buffer = await generateKdsDocx(kds);
+    const filename = `KDS_${kds.content.client || 'Workshop'}_${kds.module}_v${kds.version}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.docx"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting KDS:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,55 @@
 const express = require('express');
 const router = express.Router();
-const Anthropic = require('@anthropic-ai/sdk');
+const { complete } = require('../services/llm');
+const { completeJson, AIResponseError } = require('../services/aiJson');
+const { QUESTION_CHECKLIST_SCHEMA } = require('../services/checklistGenerator');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
 const db = require('../models/db');
+const { workshopScope } = require('../middleware/auth');
 
 // Document parsing libraries
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const XLSX = require('xlsx');
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+// Reply schema for observations on an answer
+const OBSERVATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    obtained_info: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['item'],
+        properties: {
+          item: { type: 'string' },
+          source: { type: 'string', nullable: true, fallback: null },
+          confidence: { type: 'string', enum: ['high', 'medium', 'low'], default: 'medium', fallback: 'medium' }
+        }
+      }
+    },
+    missing_info: QUESTION_CHECKLIST_SCHEMA.properties.missing_info,
+    additional_findings: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['topic'],
+        properties: {
+          topic: { type: 'string' },
+          finding: { type: 'string', default: '' },
+          relevance: { type: 'string', nullable: true, fallback: null },
+          source: { type: 'string', nullable: true, fallback: null }
+        }
+      }
+    },
+    summary: { type: 'string', default: '', fallback: '' }
+  }
+};
 
 // Download file from URL to buffer
 const downloadToBuffer = (url) => {
@@ -42,7 +77,7 @@ const downloadToBuffer = (url) => {
   });
 };
 
-// Analyze image using Claude Vision
+// Analyze image using the configured vision-capable LLM
 async function analyzeImage(filePath, mimeType) {
   try {
     let buffer;
@@ -67,9 +102,8 @@ async function analyzeImage(filePath, mimeType) {
 
     const mediaType = mimeType === 'image/jpg' ? 'image/jpeg' : mimeType;
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
+    const response = await complete('observation_image', {
+      maxTokens: 1000,
       messages: [
         {
           role: 'user',
@@ -91,7 +125,7 @@ async function analyzeImage(filePath, mimeType) {
       ]
     });
 
-    return response.content[0].text;
+    return response.text;
   } catch (error) {
     console.error('Error analyzing image:', error);
     return `[Error analyzing image: ${error.message}]`;
@@ -157,6 +191,10 @@ async function extractDocumentContent(filePath, mimeType) {
   }
 }
 
+// Scope every id parameter to workshops the user is a member of
+router.param('questionId', workshopScope('question'));
+router.param('sessionId', workshopScope('session'));
+
 // Generate initial checklist for a question (before any answer)
 router.post('/question/:questionId/initial', async (req, res) => {
   try {
@@ -267,10 +305,9 @@ The following information has ALREADY been collected from earlier questions. DO
 
     console.log('Generating initial checklist for question', questionId, '- excluding', previouslyObtainedItems.length, 'previously obtained items');
 
-    // Generate initial checklist using Claude
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
+    // Generate initial checklist using the configured LLM
+    const { data: checklistData, raw } = await completeJson('observation_checklist', {
+      maxTokens: 2000,
       messages: [
         {
           role: 'user',
@@ -302,18 +339,11 @@ Question context:
 ${context}`
         }
       ]
+    }, {
+      schema: QUESTION_CHECKLIST_SCHEMA,
+      review: { sessionId: question.session_id, context: { questionId: parseInt(questionId) } }
     });
 
-    let checklistData;
-    try {
-      let rawContent = response.content[0].text;
-      rawContent = rawContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      checklistData = JSON.parse(rawContent);
-    } catch (parseError) {
-      console.error('Failed to parse checklist JSON:', parseError);
-      return res.status(500).json({ error: 'Failed to parse generated checklist' });
-    }
-
     // Create a placeholder answer if none exists
     let answerResult = await db.query('SELECT id FROM answers WHERE question_id = $1', [questionId]);
     let answerId;
@@ -337,22 +367,26 @@ ${context}`
       answerId,
       0, // observation_number 0 = initial checklist
       JSON.stringify([]), // no obtained info yet
-      JSON.stringify(checklistData.missing_info || []),
-      checklistData.summary || '',
-      response.content[0].text
+      JSON.stringify(checklistData.missing_info),
+      checklistData.summary,
+      raw
     ]);
 
     res.json({
       success: true,
       observation: insertResult.rows[0],
       obtained_info: [],
-      missing_info: checklistData.missing_info || [],
-      summary: checklistData.summary || ''
+      missing_info: checklistData.missing_info,
+      summary: checklistData.summary
     });
 
   } catch (error) {
     console.error('Initial checklist generation error:', error);
 
+    if (error instanceof AIResponseError) {
+      return res.status(502).json({ error: 'Failed to parse generated checklist - stored for manual review', reviewId: error.reviewId });
+    }
+
     if (error.status === 401) {
       return res.status(401).json({ error: 'Invalid API key' });
     }
@@ -504,7 +538,7 @@ ${answer.notes || 'No additional notes.'}
       context += `\nYour task: Check if any of the ORIGINAL missing items can now be marked as obtained based on the NEW data provided. Do NOT add new missing items.\n`;
     }
 
-    console.log('Creating observation #' + observationNumber + ' with Claude, context length:', context.length);
+    console.log('Creating observation #' + observationNumber + ' with LLM, context length:', context.length);
 
     // Different prompts for first vs subsequent observations
     let prompt;
@@ -608,37 +642,20 @@ New data to analyze:
 ${context}`;
     }
 
-    // Generate observation using Claude
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 3000,
+    // Generate observation using the configured LLM
+    const { data: observationData, raw: rawObservation } = await completeJson('observation_analysis', {
+      maxTokens: 3000,
       messages: [
         {
           role: 'user',
           content: prompt
         }
       ]
+    }, {
+      schema: OBSERVATION_SCHEMA,
+      review: { sessionId: question.session_id, context: { questionId: parseInt(questionId), observationNumber } }
     });
 
-    let rawObservation = response.content[0].text;
-
-    // Parse the JSON response
-    let observationData;
-    try {
-      // Clean up the response - remove markdown code blocks if present
-      rawObservation = rawObservation.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      observationData = JSON.parse(rawObservation);
-    } catch (parseError) {
-      console.error('Failed to parse observation JSON:', parseError);
-      observationData = {
-        obtained_info: [],
-        missing_info: [],
-        summary: rawObservation,
-        recommendations: [],
-        risks: []
-      };
-    }
-
     // Save observation to new observations table
     const insertResult = await db.query(`
       INSERT INTO observations (answer_id, observation_number, obtained_info, missing_info, additional_findings, summary, raw_observation)
@@ -647,10 +664,10 @@ ${context}`;
     `, [
       answer.id,
       observationNumber,
-      JSON.stringify(observationData.obtained_info || []),
-      JSON.stringify(observationData.missing_info || []),
-      JSON.stringify(observationData.additional_findings || []),
-      observationData.summary || '',
+      JSON.stringify(observationData.obtained_info),
+      JSON.stringify(observationData.missing_info),
+      JSON.stringify(observationData.additional_findings),
+      observationData.summary,
       rawObservation
     ]);
 
@@ -661,7 +678,7 @@ ${context}`;
     );
 
     // Auto-complete: If all critical and important items are obtained, mark question as completed
-    const missingItems = observationData.missing_info || [];
+    const missingItems = observationData.missing_info;
     const criticalMissing = missingItems.filter(i => i.importance === 'critical');
     const importantMissing = missingItems.filter(i => i.importance === 'important');
 
@@ -679,18 +696,23 @@ ${context}`;
       success: true,
       observation: insertResult.rows[0],
       observation_number: observationNumber,
-      obtained_info: observationData.obtained_info || [],
-      missing_info: observationData.missing_info || [],
-      additional_findings: observationData.additional_findings || [],
-      summary: observationData.summary || '',
+      obtained_info: observationData.obtained_info,
+      missing_info: observationData.missing_info,
+      additional_findings: observationData.additional_findings,
+      summary: observationData.summary,
       auto_completed: autoCompleted
     });
 
   } catch (error) {
     console.error('Observation creation error:', error);
 
+    // Previously an unparseable reply was saved with no missing items, which auto-completed the question
+    if (error instanceof AIResponseError) {
+      return res.status(502).json({ error: 'Failed to parse observation - stored for manual review', reviewId: error.reviewId });
+    }
+
     if (error.status === 401) {
-      return res.status(401).json({ error: 'Invalid API key. Please check ANTHROPIC_API_KEY in .env' });
+      return res.status(401).json({ error: 'Invalid API key. Please check the key of the configured LLM provider in .env' });
     }
 
     res.status(500).json({
@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models/db');
+const { workshopScope } = require('../middleware/auth');
+
+// Scope every id parameter to workshops the user is a member of
+router.param('sessionId', workshopScope('session'));
+router.param('id', workshopScope('participant'));
 
 // Get participants for a session
 router.get('/session/:sessionId', async (req, res) => {
@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models/db');
+const { workshopScope, memberWorkshopFilter } = require('../middleware/auth');
+
+// Scope every id parameter to workshops the user is a member of
+router.param('id', workshopScope('question'));
+router.param('sessionId', workshopScope('session'));
 
 // Get questions for a session with optional entity filter
 router.get('/', async (req, res) => {
@@ -32,6 +37,13 @@ router.get('/', async (req, res) => {
       params.push(`%${search}%`);
     }
 
+    const memberFilter = memberWorkshopFilter(req.user, 's.workshop_id', paramIndex);
+    if (memberFilter) {
+      whereConditions.push(`q.session_id IN (SELECT s.id FROM sessions s WHERE ${memberFilter})`);
+      params.push(req.user.id);
+      paramIndex++;
+    }
+
     const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
 
     const questionsResult = await db.query(`
@@ -1,13 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const Anthropic = require('@anthropic-ai/sdk');
+const { completeJson, AIResponseError } = require('../services/aiJson');
 const XLSX = require('xlsx');
 const db = require('../models/db');
+const { requirePermission, workshopScope } = require('../middleware/auth');
 const { generateSessionReportPDF } = require('../services/pdfReportGenerator');
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+// Sections are free-form objects rendered as-is; only the overall shape is enforced
+const reportSection = { type: 'array', default: [], items: { type: 'object' } };
+const REPORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', nullable: true, fallback: null },
+    executive_summary: { type: 'string', default: '' },
+    key_findings: reportSection,
+    recommendations: reportSection,
+    risks_and_gaps: reportSection,
+    next_steps: reportSection,
+    kds_items: reportSection,
+    bpml_items: reportSection
+  }
+};
+
+// Scope every id parameter to workshops the user is a member of
+router.param('sessionId', workshopScope('session'));
+router.param('reportId', workshopScope('report'));
+
+const manage = requirePermission('manage');
 
 // Get session completion status
 router.get('/session/:sessionId/status', async (req, res) => {
@@ -87,7 +106,7 @@ router.get('/:reportId', async (req, res) => {
 });
 
 // Generate a new report for a session
-router.post('/session/:sessionId/generate', async (req, res) => {
+router.post('/session/:sessionId/generate', manage, async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -221,10 +240,9 @@ router.post('/session/:sessionId/generate', async (req, res) => {
 
     console.log('Generating report for session', sessionId, '- context length:', context.length);
 
-    // Generate report using Claude
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 8000,
+    // Generate report using the configured LLM
+    const { data: reportData, raw, model } = await completeJson('report', {
+      maxTokens: 8000,
       messages: [
         {
           role: 'user',
@@ -315,18 +333,11 @@ Workshop data to analyze:
 ${context}`
         }
       ]
+    }, {
+      schema: REPORT_SCHEMA,
+      review: { sessionId }
     });
 
-    let reportData;
-    try {
-      let rawContent = response.content[0].text;
-      rawContent = rawContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      reportData = JSON.parse(rawContent);
-    } catch (parseError) {
-      console.error('Failed to parse report JSON:', parseError);
-      return res.status(500).json({ error: 'Failed to parse generated report' });
-    }
-
     // Save report to database
     const insertResult = await db.query(`
       INSERT INTO session_reports (
@@ -347,8 +358,8 @@ ${context}`
       JSON.stringify(reportData.next_steps || []),
       JSON.stringify(reportData.kds_items || []),
       JSON.stringify(reportData.bpml_items || []),
-      response.content[0].text,
-      'AI (Claude)',
+      raw,
+      `AI (${model})`,
       'draft'
     ]);
 
@@ -360,6 +371,10 @@ ${context}`
   } catch (error) {
     console.error('Report generation error:', error);
 
+    if (error instanceof AIResponseError) {
+      return res.status(502).json({ error: 'Failed to parse generated report - stored for manual review', reviewId: error.reviewId });
+    }
+
     if (error.status === 401) {
       return res.status(401).json({ error: 'Invalid API key' });
     }
@@ -372,7 +387,7 @@ ${context}`
 });
 
 // Update report status
-router.patch('/:reportId/status', async (req, res) => {
+router.patch('/:reportId/status', manage, async (req, res) => {
   try {
     const { reportId } = req.params;
     const { status } = req.body;
@@ -396,7 +411,7 @@ router.patch('/:reportId/status', async (req, res) => {
 });
 
 // Delete a report
-router.delete('/:reportId', async (req, res) => {
+router.delete('/:reportId', manage, async (req, res) => {
   try {
     const { reportId } = req.params;
 
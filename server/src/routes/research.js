@@ -1,15 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const Anthropic = require('@anthropic-ai/sdk');
-
-// Lazy initialization
-let anthropic = null;
-const getAnthropic = () => {
-  if (!anthropic && process.env.ANTHROPIC_API_KEY) {
-    anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-  }
-  return anthropic;
-};
+const { complete, isTaskConfigured } = require('../services/llm');
 
 // Research a client website
 router.post('/website', async (req, res) => {
@@ -20,17 +11,15 @@ router.post('/website', async (req, res) => {
       return res.status(400).json({ error: 'Website URL is required' });
     }
 
-    const client = getAnthropic();
-    if (!client) {
-      return res.status(503).json({ error: 'Research service not configured. ANTHROPIC_API_KEY is required.' });
+    if (!isTaskConfigured('research')) {
+      return res.status(503).json({ error: 'Research service not configured. Set the API key for the research AI provider.' });
     }
 
     console.log(`Researching client: ${clientName} at ${url}`);
 
-    // Use Claude to research the company
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
+    // Ask the LLM to research the company
+    const response = await complete('research', {
+      maxTokens: 4000,
       messages: [
         {
           role: 'user',
@@ -74,7 +63,7 @@ Format your response as structured text that can be used as context for AI quest
       ]
     });
 
-    const researchText = response.content[0].text;
+    const researchText = response.text;
 
     res.json({
       success: true,
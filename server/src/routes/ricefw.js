@@ -0,0 +1,278 @@
+/**
+ * RICEFW Routes - Register of custom development objects per workshop
+ *
+ * Proposals come from a background job (services/ricefwRegister.js); consultants accept,
+ * merge or reject them, edit the details and export the register for estimation.
+ */
+
+const express = require('express');
+const router = express.Router();
+const XLSX = require('xlsx');
+const db = require('../models/db');
+const { workshopScope, requirePermission } = require('../middleware/auth');
+const { enqueueJob, toPublicJob } = require('../services/jobQueue');
+const {
+  RICEFW_TYPES,
+  COMPLEXITIES,
+  ricefwCode,
+  listRicefwObjects,
+  acceptRicefwObject,
+  mergeRicefwObject
+} = require('../services/ricefwRegister');
+
+router.param('workshopId', workshopScope('workshop'));
+
+const EDITABLE_FIELDS = ['title', 'description', 'rationale', 'sap_module'];
+
+const getObject = async (workshopId, objectId) => {
+  const result = await db.query(
+    'SELECT * FROM ricefw_objects WHERE id = $1 AND workshop_id = $2',
+    [objectId, workshopId]
+  );
+  return result.rows[0] || null;
+};
+
+const withCode = (object) => ({ ...object, code: ricefwCode(object) });
+
+// Register of a workshop (filters: status, type)
+router.get('/workshop/:workshopId', async (req, res) => {
+  try {
+    res.json(await listRicefwObjects(req.params.workshopId, {
+      status: req.query.status,
+      objectType: req.query.type
+    }));
+  } catch (error) {
+    console.error('Error fetching RICEFW register:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Propose new objects from the findings and answers of every session (background job)
+router.post('/workshop/:workshopId/extract', requirePermission('manage'), async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    const { job, created } = await enqueueJob('ricefw_extraction', {
+      workshopId: parseInt(workshopId)
+    }, {
+      workshopId,
+      createdBy: req.user.id,
+      dedupeKey: `ricefw_extraction:${workshopId}`
+    });
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
+  } catch (error) {
+    console.error('Error starting RICEFW extraction:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add an object by hand (accepted right away)
+router.post('/workshop/:workshopId/objects', async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    const { object_type, title, description, rationale, complexity, sap_module, estimate_days } = req.body;
+
+    if (!RICEFW_TYPES.some(type => type.key === object_type)) {
+      return res.status(400).json({ error: `Type must be one of ${RICEFW_TYPES.map(type => type.key).join(', ')}` });
+    }
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO ricefw_objects (workshop_id, object_type, title, description, rationale, complexity,
+                                  sap_module, estimate_days, source)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'manual')
+      RETURNING id
+    `, [workshopId, object_type, title.trim(), description || null, rationale || null,
+      COMPLEXITIES.includes(complexity) ? complexity : 'medium', sap_module || null, estimate_days || null]);
+
+    res.status(201).json(await acceptRicefwObject(result.rows[0].id, req.user.name));
+  } catch (error) {
+    console.error('Error adding RICEFW object:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit an object (title, description, rationale, sap_module, object_type, complexity, estimate_days)
+router.patch('/workshop/:workshopId/objects/:objectId', async (req, res) => {
+  try {
+    const { workshopId, objectId } = req.params;
+    const object = await getObject(workshopId, objectId);
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+    if (req.body.title !== undefined && !String(req.body.title).trim()) {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = $${paramIndex++}`);
+        values.push(req.body[field] ? String(req.body[field]).trim() : null);
+      }
+    }
+    if (req.body.complexity !== undefined) {
+      if (!COMPLEXITIES.includes(req.body.complexity)) {
+        return res.status(400).json({ error: `Complexity must be one of ${COMPLEXITIES.join(', ')}` });
+      }
+      updates.push(`complexity = $${paramIndex++}`);
+      values.push(req.body.complexity);
+    }
+    if (req.body.estimate_days !== undefined) {
+      const days = req.body.estimate_days === null || req.body.estimate_days === '' ? null : parseFloat(req.body.estimate_days);
+      if (days !== null && (isNaN(days) || days < 0)) {
+        return res.status(400).json({ error: 'Estimate must be a positive number of days' });
+      }
+      updates.push(`estimate_days = $${paramIndex++}`);
+      values.push(days);
+    }
+    // A new type means a new register number
+    if (req.body.object_type !== undefined && req.body.object_type !== object.object_type) {
+      if (!RICEFW_TYPES.some(type => type.key === req.body.object_type)) {
+        return res.status(400).json({ error: `Type must be one of ${RICEFW_TYPES.map(type => type.key).join(', ')}` });
+      }
+      updates.push(`object_type = $${paramIndex++}`, 'number = NULL');
+      values.push(req.body.object_type);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(objectId);
+    const result = await db.query(
+      `UPDATE ricefw_objects SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+    if (result.rows[0].status === 'accepted' && !result.rows[0].number) {
+      return res.json(await acceptRicefwObject(objectId, result.rows[0].decided_by));
+    }
+    res.json(withCode(result.rows[0]));
+  } catch (error) {
+    console.error('Error updating RICEFW object:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept a proposal into the register
+router.post('/workshop/:workshopId/objects/:objectId/accept', async (req, res) => {
+  try {
+    const object = await getObject(req.params.workshopId, req.params.objectId);
+    if (!object || object.status === 'merged') {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+    res.json(await acceptRicefwObject(object.id, req.user.name));
+  } catch (error) {
+    console.error('Error accepting RICEFW object:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reject a proposal (it stays listed so extraction does not propose it again)
+router.post('/workshop/:workshopId/objects/:objectId/reject', async (req, res) => {
+  try {
+    const object = await getObject(req.params.workshopId, req.params.objectId);
+    if (!object || object.status === 'merged') {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+    const result = await db.query(`
+      UPDATE ricefw_objects SET status = 'rejected', decided_by = $2, decided_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [object.id, req.user.name]);
+    res.json(withCode(result.rows[0]));
+  } catch (error) {
+    console.error('Error rejecting RICEFW object:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge an object into another one (targetId); the target gains its evidence
+router.post('/workshop/:workshopId/objects/:objectId/merge', async (req, res) => {
+  try {
+    const { workshopId, objectId } = req.params;
+    if (!req.body.targetId) {
+      return res.status(400).json({ error: 'targetId is required' });
+    }
+    const target = await mergeRicefwObject(workshopId, objectId, req.body.targetId, req.user.name);
+    if (!target) {
+      return res.status(404).json({ error: 'Both objects must exist in this workshop and be different' });
+    }
+    res.json(target);
+  } catch (error) {
+    console.error('Error merging RICEFW objects:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export the register for estimation (accepted objects; all=true adds open proposals)
+router.get('/workshop/:workshopId/export/excel', async (req, res) => {
+  try {
+    const workshopResult = await db.query('SELECT name, client_name FROM workshops WHERE id = $1', [req.params.workshopId]);
+    const workshop = workshopResult.rows[0];
+    if (!workshop) {
+      return res.status(404).json({ error: 'Workshop not found' });
+    }
+
+    const objects = (await listRicefwObjects(req.params.workshopId))
+      .filter(object => object.status === 'accepted' || (req.query.all === 'true' && object.status === 'proposed'));
+    const typeLabel = (key) => RICEFW_TYPES.find(type => type.key === key)?.label || key;
+    const evidenceText = (object) => (object.evidence || [])
+      .map(entry => `${entry.type === 'finding' ? 'Finding' : 'Checklist'}: ${entry.text}${entry.reference ? ` (${entry.reference})` : ''}`)
+      .join('\n');
+
+    const wb = XLSX.utils.book_new();
+
+    const registerWs = XLSX.utils.json_to_sheet(objects.map(object => ({
+      'RICEFW ID': object.code || '(proposed)',
+      'Type': typeLabel(object.object_type),
+      'Title': object.title,
+      'Description': object.description || '',
+      'Rationale': object.rationale || '',
+      'SAP Module': object.sap_module || '',
+      'Complexity': object.complexity.replace('_', ' '),
+      'Estimate (days)': object.estimate_days != null ? parseFloat(object.estimate_days) : '',
+      'Status': object.status,
+      'Session': object.session_number ? `Session ${object.session_number}: ${object.session_name}` : '',
+      'Evidence': evidenceText(object)
+    })));
+    registerWs['!cols'] = [
+      { wch: 10 }, { wch: 12 }, { wch: 40 }, { wch: 50 }, { wch: 50 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 28 }, { wch: 60 }
+    ];
+    XLSX.utils.book_append_sheet(wb, registerWs, 'RICEFW Register');
+
+    // Counts per type and complexity for a first estimate
+    const summary = RICEFW_TYPES.map(type => {
+      const ofType = objects.filter(object => object.object_type === type.key);
+      return {
+        'Type': type.label,
+        ...Object.fromEntries(COMPLEXITIES.map(complexity => [
+          complexity.replace('_', ' ').replace(/^\w/, c => c.toUpperCase()),
+          ofType.filter(object => object.complexity === complexity).length
+        ])),
+        'Total': ofType.length,
+        'Estimate (days)': ofType.reduce((sum, object) => sum + (parseFloat(object.estimate_days) || 0), 0)
+      };
+    });
+    const summaryWs = XLSX.utils.json_to_sheet(summary);
+    summaryWs['!cols'] = [{ wch: 14 }, { wch: 8 }, { wch: 8 }, { wch: 8 }, { wch: 10 }, { wch: 8 }, { wch: 14 }];
+    XLSX.utils.book_append_sheet(wb, summaryWs, 'Summary');
+
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+    const fileName = `RICEFW_${(workshop.client_name || workshop.name).replace(/[^a-zA-Z0-9]/g, '_')}_${new Date().toISOString().split('T')[0]}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting RICEFW register:', error);
+    res.status(500).json({ error: 'Failed to export RICEFW register', details: error.message });
+  }
+});
+
+module.exports = router;
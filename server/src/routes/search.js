@@ -0,0 +1,133 @@
+/**
+ * Search Routes - Keyword and semantic search over transcripts, findings,
+ * obtained checklist answers and documents across sessions and workshops
+ *
+ * Results only include workshops the user is a member of (admins see all).
+ * The index is kept up to date by search_index background jobs (services/searchIndex.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../models/db');
+const { workshopScope, requirePermission, isWorkshopMember, hasPermission } = require('../middleware/auth');
+const { SOURCE_TYPES, SEARCH_MODES, searchChunks, getChunkContext, scheduleSessionIndexing } = require('../services/searchIndex');
+
+const MAX_RESULTS = 100;
+
+router.param('chunkId', workshopScope('searchChunk'));
+
+// Search
+// Query: q, mode (keyword | semantic | hybrid), workshopId, sessionId, module, entityId,
+//        sourceType (comma-separated: transcript, finding, checklist_item, document), limit
+router.get('/', async (req, res) => {
+  try {
+    const { q, mode = 'hybrid', workshopId, sessionId, module, entityId, sourceType } = req.query;
+
+    const query = (q || '').trim();
+    if (!query) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Mode must be one of: ${SEARCH_MODES.join(', ')}` });
+    }
+
+    const sourceTypes = sourceType ? String(sourceType).split(',').filter(type => SOURCE_TYPES.includes(type)) : [];
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_RESULTS);
+
+    const result = await searchChunks({
+      query,
+      mode,
+      limit,
+      workshopId: parseInt(workshopId) || null,
+      sessionId: parseInt(sessionId) || null,
+      module: module || null,
+      entityId: parseInt(entityId) || null,
+      sourceTypes,
+      user: req.user
+    });
+
+    res.json({ query, ...result });
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// Filter options: modules and entities of the workshops the user can search
+router.get('/filters', async (req, res) => {
+  try {
+    const isAdmin = hasPermission(req.user, 'admin');
+    const memberClause = isAdmin ? '' : 'WHERE w.id IN (SELECT workshop_id FROM workshop_members WHERE user_id = $1)';
+    const params = isAdmin ? [] : [req.user.id];
+
+    const [workshops, sessions, entities] = await Promise.all([
+      db.query(`SELECT w.id, w.name FROM workshops w ${memberClause} ORDER BY w.name`, params),
+      db.query(`
+        SELECT s.id, s.workshop_id, s.name, s.session_number, s.module
+        FROM sessions s JOIN workshops w ON s.workshop_id = w.id
+        ${memberClause}
+        ORDER BY s.workshop_id, s.session_number
+      `, params),
+      db.query(`
+        SELECT e.id, e.workshop_id, e.code, e.name
+        FROM entities e JOIN workshops w ON e.workshop_id = w.id
+        ${memberClause}
+        ORDER BY e.workshop_id, e.code
+      `, params)
+    ]);
+
+    res.json({
+      workshops: workshops.rows,
+      sessions: sessions.rows,
+      modules: [...new Set(sessions.rows.map(s => s.module).filter(Boolean))].sort(),
+      entities: entities.rows
+    });
+  } catch (error) {
+    console.error('Error fetching search filters:', error);
+    res.status(500).json({ error: 'Failed to fetch search filters' });
+  }
+});
+
+// A result chunk with its neighbouring chunks and source details
+router.get('/chunks/:chunkId', async (req, res) => {
+  try {
+    const context = await getChunkContext(req.params.chunkId);
+    if (!context) {
+      return res.status(404).json({ error: 'Search result not found' });
+    }
+    res.json(context);
+  } catch (error) {
+    console.error('Error fetching search result context:', error);
+    res.status(500).json({ error: 'Failed to fetch search result' });
+  }
+});
+
+// Rebuild the index - one workshop (workshop managers) or everything (admins)
+router.post('/reindex', requirePermission('manage'), async (req, res) => {
+  try {
+    const workshopId = parseInt(req.body.workshopId) || null;
+
+    if (workshopId) {
+      if (!(await isWorkshopMember(req.user, workshopId))) {
+        return res.status(403).json({ error: 'You are not a member of this workshop' });
+      }
+    } else if (!hasPermission(req.user, 'admin')) {
+      return res.status(403).json({ error: 'Only admins can reindex every workshop' });
+    }
+
+    const sessions = workshopId
+      ? await db.query('SELECT id FROM sessions WHERE workshop_id = $1', [workshopId])
+      : await db.query('SELECT id FROM sessions');
+
+    for (const session of sessions.rows) {
+      await scheduleSessionIndexing(session.id);
+    }
+
+    res.status(202).json({ sessionsQueued: sessions.rows.length });
+  } catch (error) {
+    console.error('Error scheduling reindex:', error);
+    res.status(500).json({ error: 'Failed to schedule reindex' });
+  }
+});
+
+module.exports = router;
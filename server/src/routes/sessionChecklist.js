@@ -6,7 +6,11 @@
  * - Get checklist stats
  * - Upload session audio
  * - Transcribe and analyze audio
- * - Manual item updates
+ * - Live transcription segments while recording
+ * - Manual item updates, item evidence history and revert
+ * - Question coach: the missing items to ask next while recording
+ * - Agenda: time-boxed plan per category, pacing against it and the critical burn-down
+ * - Re-analysis and workshop transcripts (queued as background jobs)
  */
 
 const express = require('express');
@@ -17,29 +21,31 @@ const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const XLSX = require('xlsx');
 const db = require('../models/db');
+const { requirePermission, workshopScope } = require('../middleware/auth');
+const { subscribe, publish } = require('../services/sessionEvents');
 const { isS3Configured, uploadBufferToS3 } = require('../services/s3');
+const { addSegment, endStream, getLiveTranscript } = require('../services/liveTranscription');
+const { ITEM_STATUSES, CONFIDENCE_LEVELS, getSessionFindings } = require('../services/directChecklistGenerator');
 const {
-  analyzeTranscriptionAgainstChecklist,
-  markItemsAsObtained,
-  saveAdditionalFindings,
-  getSessionFindings,
-  analyzeDocumentAgainstChecklist,
-  reanalyzeAllTranscripts
-} = require('../services/directChecklistGenerator');
-const {
-  appendTranscript,
   regenerateTranscript,
   getTranscriptContent,
   getAllTranscriptsText
 } = require('../services/transcriptManager');
-
-// OpenAI for transcription
-const OpenAI = require('openai');
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-// Document parsing libraries
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
+const { enqueueJob, toPublicJob } = require('../services/jobQueue');
+const { userActor, recordItemChange, getItemHistory, revertItem } = require('../services/checklistHistory');
+const { scheduleSessionIndexing } = require('../services/searchIndex');
+const { isValidClientChunkId, saveRecordingUpload, claimRecordingAnalysis, analyzedRecordingResponse } = require('../services/recordingUploads');
+const { analyzeRecording } = require('../services/recordingAnalysis');
+const { isSupportedDocument } = require('../services/documentIngestion');
+const { getQuestionCoach } = require('../services/questionCoach');
+const { generateAgenda, updateAgendaSlots, getAgenda } = require('../services/sessionAgenda');
+const {
+  clearItemValues,
+  addItemValue,
+  updateItemValue,
+  formatValue,
+  getSessionValues
+} = require('../services/structuredValues');
 
 // Configure multer for audio uploads
 const getUploadDir = () => {
@@ -68,6 +74,22 @@ const upload = multer({
   limits: { fileSize: 100 * 1024 * 1024 } // 100MB max
 });
 
+// Scope every id parameter to workshops the user is a member of
+router.param('sessionId', workshopScope('session'));
+router.param('workshopId', workshopScope('workshop'));
+
+// ============================================
+// Live updates stream (also registers presence)
+// ============================================
+router.get('/session/:sessionId/events', (req, res) => {
+  subscribe(req.params.sessionId, req, res, {
+    id: req.user.id,
+    name: req.user.name,
+    kind: 'user',
+    role: req.user.role
+  });
+});
+
 // ============================================
 // Get checklist items for a session
 // ============================================
@@ -75,12 +97,26 @@ router.get('/session/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
 
-    // Get all checklist items grouped by status
+    // Get all checklist items grouped by status (with their per-entity and pre-work answers and structured values)
     const result = await db.query(`
-      SELECT *
-      FROM session_checklist_items
-      WHERE session_id = $1
-      ORDER BY item_number
+      SELECT i.*, d.original_name as obtained_document_name,
+             p.answer_text as prework_answer, p.status as prework_status, p.outcome_note as prework_note,
+             p.answered_by as prework_answered_by,
+             COALESCE((
+               SELECT json_agg(json_build_object('entity_id', a.entity_id, 'answer_text', a.answer_text, 'source', a.source)
+                               ORDER BY a.entity_id)
+               FROM checklist_entity_answers a WHERE a.checklist_item_id = i.id
+             ), '[]') as entity_answers,
+             COALESCE((
+               SELECT json_agg(to_jsonb(v) || jsonb_build_object('entity_code', e.code) ORDER BY v.id)
+               FROM checklist_item_values v LEFT JOIN entities e ON v.entity_id = e.id
+               WHERE v.checklist_item_id = i.id
+             ), '[]') as structured_values
+      FROM session_checklist_items i
+      LEFT JOIN session_documents d ON i.obtained_document_id = d.id
+      LEFT JOIN prework_answers p ON p.checklist_item_id = i.id
+      WHERE i.session_id = $1
+      ORDER BY i.item_number
     `, [sessionId]);
 
     const items = result.rows;
@@ -138,51 +174,118 @@ router.get('/session/:sessionId/stats', async (req, res) => {
   }
 });
 
+// ============================================
+// Question coach - missing items to ask next, ranked
+// ============================================
+router.get('/session/:sessionId/coach', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+
+    const coach = await getQuestionCoach(sessionId, { limit });
+    if (!coach) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(coach);
+  } catch (error) {
+    console.error('Error getting question coach:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Agenda - time-boxed plan and pacing
+// ============================================
+router.get('/session/:sessionId/agenda', async (req, res) => {
+  try {
+    const agenda = await getAgenda(req.params.sessionId);
+    if (!agenda) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(agenda);
+  } catch (error) {
+    console.error('Error getting session agenda:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate the agenda from the checklist for a duration (replaces the current agenda)
+router.post('/session/:sessionId/agenda/generate', requirePermission('manage'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const durationMinutes = parseInt(req.body.durationMinutes);
+    if (!durationMinutes || durationMinutes < 15 || durationMinutes > 1440) {
+      return res.status(400).json({ error: 'durationMinutes must be between 15 and 1440' });
+    }
+
+    const countResult = await db.query('SELECT COUNT(*) FROM session_checklist_items WHERE session_id = $1', [sessionId]);
+    if (parseInt(countResult.rows[0].count) === 0) {
+      return res.status(400).json({ error: 'Generate the checklist first' });
+    }
+
+    await generateAgenda(sessionId, durationMinutes);
+    res.json(await getAgenda(sessionId));
+  } catch (error) {
+    console.error('Error generating session agenda:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save the slots in their new order - slots: [{ category, planned_minutes }]
+router.put('/session/:sessionId/agenda', requirePermission('manage'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { slots } = req.body;
+    if (!Array.isArray(slots)) {
+      return res.status(400).json({ error: 'slots must be an array' });
+    }
+
+    const cleaned = slots.map(slot => ({
+      category: String(slot.category || '').trim(),
+      planned_minutes: parseInt(slot.planned_minutes)
+    }));
+    if (cleaned.some(slot => !slot.category || !(slot.planned_minutes > 0))) {
+      return res.status(400).json({ error: 'Every slot needs a category and a positive number of minutes' });
+    }
+    if (new Set(cleaned.map(slot => slot.category)).size !== cleaned.length) {
+      return res.status(400).json({ error: 'A category can only have one slot' });
+    }
+
+    await updateAgendaSlots(sessionId, cleaned);
+    res.json(await getAgenda(sessionId));
+  } catch (error) {
+    console.error('Error updating session agenda:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // Upload audio recording for session
 // ============================================
 router.post('/session/:sessionId/audio', upload.single('audio'), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { duration_seconds, chunk_index } = req.body;
+    const { duration_seconds, chunk_index, client_chunk_id } = req.body;
 
     if (!req.file) {
       return res.status(400).json({ error: 'No audio file provided' });
     }
+    if (client_chunk_id && !isValidClientChunkId(client_chunk_id)) {
+      return res.status(400).json({ error: 'Invalid client_chunk_id' });
+    }
 
-    let filePath;
-    let fileName;
+    // A retried upload of the same chunk returns the recording stored the first time
+    const { recording, created } = await saveRecordingUpload(sessionId, req.file, {
+      durationSeconds: duration_seconds,
+      chunkIndex: chunk_index,
+      clientChunkId: client_chunk_id
+    });
 
-    if (isS3Configured()) {
-      // Upload to S3
-      const uniqueName = `${uuidv4()}.webm`;
-      const s3Key = `uploads/session-audio/${uniqueName}`;
-      await uploadBufferToS3(req.file.buffer, s3Key, req.file.mimetype || 'audio/webm');
-      filePath = s3Key;
-      fileName = uniqueName;
-    } else {
-      // Local storage
-      filePath = `uploads/session-audio/${req.file.filename}`;
-      fileName = req.file.filename;
+    if (created) {
+      publish(sessionId, 'recording_added', { actor: req.user.name, recordingId: recording.id });
     }
 
-    // Save to database
-    const result = await db.query(`
-      INSERT INTO session_recordings
-        (session_id, file_path, file_name, mime_type, file_size, duration_seconds, chunk_index)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING *
-    `, [
-      sessionId,
-      filePath,
-      fileName,
-      req.file.mimetype || 'audio/webm',
-      req.file.size,
-      parseInt(duration_seconds) || 0,
-      parseInt(chunk_index) || 0
-    ]);
-
-    res.json(result.rows[0]);
+    res.json({ ...recording, duplicate: !created });
   } catch (error) {
     console.error('Error uploading audio:', error);
     res.status(500).json({ error: error.message });
@@ -196,164 +299,98 @@ router.post('/session/:sessionId/audio/:audioId/analyze', async (req, res) => {
   try {
     const { sessionId, audioId } = req.params;
 
-    // Get audio recording
-    const audioResult = await db.query(
-      'SELECT * FROM session_recordings WHERE id = $1 AND session_id = $2',
-      [audioId, sessionId]
-    );
+    // Claim the recording first so a retry or a second tab never analyzes it twice
+    const { claimed, recording } = await claimRecordingAnalysis(sessionId, audioId);
 
-    if (audioResult.rows.length === 0) {
+    if (!recording) {
       return res.status(404).json({ error: 'Audio recording not found' });
     }
-
-    const audio = audioResult.rows[0];
-
-    // Check if already transcribed
-    if (audio.transcription) {
-      // Already transcribed, just run analysis
-      const analysisResult = await analyzeTranscriptionAgainstChecklist(sessionId, audio.transcription);
-
-      // Mark items as obtained
-      if (analysisResult.obtainedItems.length > 0) {
-        await markItemsAsObtained(analysisResult.obtainedItems);
+    if (!claimed) {
+      // A retried chunk is analyzed once; later requests get the stored counts
+      if (recording.analyzed_at) {
+        return res.json(analyzedRecordingResponse(recording));
       }
-
-      // Save additional findings
-      let savedFindings = [];
-      if (analysisResult.additionalFindings && analysisResult.additionalFindings.length > 0) {
-        savedFindings = await saveAdditionalFindings(sessionId, audioId, analysisResult.additionalFindings);
-      }
-
-      return res.json({
-        transcription: audio.transcription,
-        obtainedCount: analysisResult.obtainedItems.length,
-        remainingMissing: analysisResult.remainingMissing,
-        additionalFindings: savedFindings.length
-      });
-    }
-
-    // Transcribe the audio
-    let filePath = audio.file_path;
-    let tempFile = null;
-
-    // Handle S3 files
-    if (filePath.startsWith('uploads/') && isS3Configured()) {
-      const { GetObjectCommand } = require('@aws-sdk/client-s3');
-      const { getS3Client, getBucketName } = require('../services/s3');
-
-      const s3Client = getS3Client();
-      const response = await s3Client.send(new GetObjectCommand({
-        Bucket: getBucketName(),
-        Key: filePath
-      }));
-
-      // Save to temp file
-      tempFile = path.join('/tmp', `transcribe_${audioId}.webm`);
-      const writeStream = fs.createWriteStream(tempFile);
-      await new Promise((resolve, reject) => {
-        response.Body.pipe(writeStream);
-        response.Body.on('end', resolve);
-        response.Body.on('error', reject);
-      });
-      filePath = tempFile;
-    } else if (!path.isAbsolute(filePath)) {
-      filePath = path.join(__dirname, '../..', filePath);
+      return res.status(409).json({ error: 'This recording is already being analyzed', analysisInProgress: true });
     }
 
-    // Verify file exists and has content
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`Audio file not found at path: ${filePath}`);
-    }
+    res.json(await analyzeRecording(sessionId, recording, req.user.name));
+  } catch (error) {
+    console.error('Error transcribing/analyzing audio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const fileStats = fs.statSync(filePath);
-    if (fileStats.size === 0) {
-      throw new Error('Audio file is empty');
-    }
+// ============================================
+// Live transcription (short segments while recording)
+// ============================================
+const segmentUpload = multer({
+  storage: memoryStorage,
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB max per segment
+});
 
-    console.log(`Transcribing file: ${filePath}, size: ${fileStats.size} bytes`);
+const isValidStreamId = (streamId) => /^[A-Za-z0-9-]{1,64}$/.test(streamId);
 
-    // Transcribe with OpenAI Whisper
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(filePath),
-      model: 'whisper-1',
-      language: 'en',
-      response_format: 'text'
-    });
+// Transcribe one segment; checklist analysis of the rolling window runs in the background
+router.post('/session/:sessionId/live/:streamId/segment', segmentUpload.single('audio'), async (req, res) => {
+  try {
+    const { sessionId, streamId } = req.params;
+    const { segment_index, duration_seconds } = req.body;
 
-    // Clean up temp file
-    if (tempFile && fs.existsSync(tempFile)) {
-      fs.unlinkSync(tempFile);
+    if (!isValidStreamId(streamId)) {
+      return res.status(400).json({ error: 'Invalid stream id' });
     }
-
-    // Save transcription to database
-    await db.query(
-      'UPDATE session_recordings SET transcription = $1 WHERE id = $2',
-      [transcription, audioId]
-    );
-
-    // Append to consolidated transcript MD file
-    try {
-      await appendTranscript(sessionId, audio.chunk_index || 0, transcription);
-    } catch (transcriptError) {
-      console.error('Error appending to transcript file:', transcriptError);
-      // Don't fail the whole operation if transcript append fails
+    if (!req.file) {
+      return res.status(400).json({ error: 'No audio segment provided' });
     }
 
-    // Analyze against checklist
-    const analysisResult = await analyzeTranscriptionAgainstChecklist(sessionId, transcription);
+    const segment = await addSegment(sessionId, streamId, {
+      buffer: req.file.buffer,
+      mimeType: req.file.mimetype || 'audio/webm',
+      segmentIndex: parseInt(segment_index) || 0,
+      durationSeconds: parseFloat(duration_seconds) || 0
+    }, req.user.name);
 
-    // Mark items as obtained
-    if (analysisResult.obtainedItems.length > 0) {
-      await markItemsAsObtained(analysisResult.obtainedItems);
-    }
-
-    // Reset items back to missing if contradictions found
-    let resetCount = 0;
-    if (analysisResult.itemsToReset && analysisResult.itemsToReset.length > 0) {
-      for (const item of analysisResult.itemsToReset) {
-        await db.query(`
-          UPDATE session_checklist_items
-          SET status = 'missing',
-              obtained_text = NULL,
-              obtained_confidence = NULL,
-              obtained_source = NULL,
-              obtained_at = NULL
-          WHERE id = $1 AND session_id = $2
-        `, [item.item_id, sessionId]);
-        resetCount++;
-      }
-      console.log(`Reset ${resetCount} items back to missing due to contradictions`);
-    }
+    res.json(segment);
+  } catch (error) {
+    console.error('Error transcribing live segment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Save additional findings
-    let savedFindings = [];
-    if (analysisResult.additionalFindings && analysisResult.additionalFindings.length > 0) {
-      savedFindings = await saveAdditionalFindings(sessionId, audioId, analysisResult.additionalFindings);
+// Recording stopped - analyze remaining speech and clear the live stream
+router.post('/session/:sessionId/live/:streamId/end', async (req, res) => {
+  try {
+    const { sessionId, streamId } = req.params;
+    if (!isValidStreamId(streamId)) {
+      return res.status(400).json({ error: 'Invalid stream id' });
     }
-
-    res.json({
-      transcription,
-      obtainedCount: analysisResult.obtainedItems.length,
-      resetCount: resetCount,
-      itemsReset: analysisResult.itemsToReset || [],
-      remainingMissing: analysisResult.remainingMissing,
-      obtainedItems: analysisResult.obtainedItems,
-      additionalFindings: savedFindings.length,
-      findings: savedFindings
-    });
+    await endStream(sessionId, streamId);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error transcribing/analyzing audio:', error);
+    console.error('Error ending live stream:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Current live transcript (for viewers joining mid-recording)
+router.get('/session/:sessionId/live', (req, res) => {
+  res.json(getLiveTranscript(req.params.sessionId));
+});
+
 // ============================================
 // Manual update of checklist item
 // ============================================
 router.patch('/session/:sessionId/item/:itemId', async (req, res) => {
   try {
     const { sessionId, itemId } = req.params;
-    const { status, obtained_text, obtained_confidence } = req.body;
+    const { status, obtained_text, obtained_confidence, obtained_participant_id } = req.body;
+
+    if (status !== undefined && !ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ITEM_STATUSES.join(', ')}` });
+    }
+    if (obtained_confidence && !CONFIDENCE_LEVELS.includes(obtained_confidence)) {
+      return res.status(400).json({ error: `obtained_confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}` });
+    }
 
     const updates = [];
     const values = [];
@@ -367,6 +404,8 @@ router.patch('/session/:sessionId/item/:itemId', async (req, res) => {
     if (obtained_text !== undefined) {
       updates.push(`obtained_text = $${paramIndex++}`);
       values.push(obtained_text);
+      // A typed answer no longer matches the quote or document page the AI answer came from
+      updates.push('obtained_quote_original = NULL', 'obtained_document_id = NULL', 'obtained_reference = NULL');
     }
 
     if (obtained_confidence) {
@@ -374,6 +413,16 @@ router.patch('/session/:sessionId/item/:itemId', async (req, res) => {
       values.push(obtained_confidence);
     }
 
+    // Source person for KDS sign-off (null clears it; ids from other sessions are ignored)
+    if (obtained_participant_id !== undefined) {
+      const participantParam = paramIndex++;
+      updates.push(`obtained_participant_id = (SELECT id FROM workshop_participants
+        WHERE id = $${participantParam} AND session_id = session_checklist_items.session_id)`);
+      updates.push(`obtained_speaker = (SELECT name FROM workshop_participants
+        WHERE id = $${participantParam} AND session_id = session_checklist_items.session_id)`);
+      values.push(parseInt(obtained_participant_id) || null);
+    }
+
     if (status === 'obtained') {
       updates.push(`obtained_at = CURRENT_TIMESTAMP`);
       updates.push(`obtained_source = 'manual'`);
@@ -385,24 +434,171 @@ router.patch('/session/:sessionId/item/:itemId', async (req, res) => {
 
     values.push(itemId, sessionId);
 
-    const result = await db.query(`
-      UPDATE session_checklist_items
-      SET ${updates.join(', ')}
-      WHERE id = $${paramIndex++} AND session_id = $${paramIndex}
-      RETURNING *
-    `, values);
+    const item = await db.transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE session_checklist_items
+        SET ${updates.join(', ')}
+        WHERE id = $${paramIndex++} AND session_id = $${paramIndex}
+        RETURNING *
+      `, values);
+
+      if (result.rows.length > 0) {
+        // Values extracted from an answer that was taken back or retyped go with it
+        if (status === 'missing' || obtained_text !== undefined) {
+          await clearItemValues(result.rows[0].id, client);
+        }
+        await recordItemChange(result.rows[0], {
+          action: 'manual',
+          source: 'manual',
+          actor: userActor(req.user)
+        }, client);
+      }
+      return result.rows[0];
+    });
 
-    if (result.rows.length === 0) {
+    if (!item) {
       return res.status(404).json({ error: 'Item not found' });
     }
 
-    res.json(result.rows[0]);
+    await scheduleSessionIndexing(sessionId);
+
+    publish(sessionId, 'checklist_updated', {
+      actor: req.user.name,
+      source: 'manual',
+      itemIds: [item.id],
+      item
+    });
+
+    res.json(item);
   } catch (error) {
     console.error('Error updating checklist item:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// ============================================
+// Item evidence history (append-only)
+// ============================================
+router.get('/session/:sessionId/item/:itemId/history', async (req, res) => {
+  try {
+    const { sessionId, itemId } = req.params;
+    const history = await getItemHistory(sessionId, itemId);
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching item history:', error);
+    res.status(500).json({ error: 'Failed to fetch item history' });
+  }
+});
+
+// Restore the values of an earlier history entry (recorded as a new entry)
+router.post('/session/:sessionId/item/:itemId/history/:historyId/revert', async (req, res) => {
+  try {
+    const { sessionId, itemId, historyId } = req.params;
+
+    const reverted = await revertItem(sessionId, itemId, historyId, req.user);
+    if (!reverted) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+    await scheduleSessionIndexing(sessionId);
+
+    publish(sessionId, 'checklist_updated', {
+      actor: req.user.name,
+      source: 'revert',
+      itemIds: [reverted.item.id],
+      item: reverted.item
+    });
+
+    res.json(reverted);
+  } catch (error) {
+    console.error('Error reverting checklist item:', error);
+    res.status(500).json({ error: 'Failed to revert checklist item' });
+  }
+});
+
+// ============================================
+// Structured values of obtained items (services/structuredValues)
+// ============================================
+router.get('/session/:sessionId/values', async (req, res) => {
+  try {
+    res.json(await getSessionValues(req.params.sessionId));
+  } catch (error) {
+    console.error('Error fetching structured values:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const getSessionItem = async (sessionId, itemId) => {
+  const result = await db.query(
+    'SELECT id, session_id FROM session_checklist_items WHERE id = $1 AND session_id = $2',
+    [itemId, sessionId]
+  );
+  return result.rows[0] || null;
+};
+
+const getItemValue = async (sessionId, itemId, valueId) => {
+  const result = await db.query(
+    'SELECT * FROM checklist_item_values WHERE id = $1 AND checklist_item_id = $2 AND session_id = $3',
+    [valueId, itemId, sessionId]
+  );
+  return result.rows[0] || null;
+};
+
+// Add a value by hand - body: { key, label, type, number, unit, text, items, object_type, entity_id }
+router.post('/session/:sessionId/item/:itemId/values', async (req, res) => {
+  try {
+    const { sessionId, itemId } = req.params;
+    const item = await getSessionItem(sessionId, itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const { value, error } = await addItemValue(item, req.body, req.user.name);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(201).json({ ...value, display: formatValue(value) });
+  } catch (error) {
+    console.error('Error adding structured value:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Correct a value (it is kept as a manual value from then on)
+router.put('/session/:sessionId/item/:itemId/values/:valueId', async (req, res) => {
+  try {
+    const { sessionId, itemId, valueId } = req.params;
+    const existing = await getItemValue(sessionId, itemId, valueId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Value not found' });
+    }
+
+    const { value, error } = await updateItemValue(existing, req.body, req.user.name);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ ...value, display: formatValue(value) });
+  } catch (error) {
+    console.error('Error updating structured value:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/session/:sessionId/item/:itemId/values/:valueId', async (req, res) => {
+  try {
+    const { sessionId, itemId, valueId } = req.params;
+    const existing = await getItemValue(sessionId, itemId, valueId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Value not found' });
+    }
+
+    await db.query('DELETE FROM checklist_item_values WHERE id = $1', [existing.id]);
+    res.json({ deleted: true });
+  } catch (error) {
+    console.error('Error deleting structured value:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // Get all recordings for a session
 // ============================================
@@ -516,6 +712,9 @@ router.delete('/session/:sessionId/findings/:findingId', async (req, res) => {
       [findingId, sessionId]
     );
 
+    await scheduleSessionIndexing(sessionId);
+    publish(sessionId, 'findings_updated', { actor: req.user.name, source: 'manual', deletedFindingId: parseInt(findingId) });
+
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting finding:', error);
@@ -523,6 +722,60 @@ router.delete('/session/:sessionId/findings/:findingId', async (req, res) => {
   }
 });
 
+// ============================================
+// AI replies stored for manual review
+// ============================================
+router.get('/session/:sessionId/ai-reviews', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { status = 'pending' } = req.query;
+
+    const result = await db.query(`
+      SELECT r.id, r.task, r.context, r.raw_response, r.errors, r.partial, r.status,
+             r.created_at, r.resolved_at, u.name as resolved_by_name
+      FROM ai_response_reviews r
+      LEFT JOIN users u ON r.resolved_by = u.id
+      WHERE r.session_id = $1 AND ($2 = 'all' OR r.status = $2)
+      ORDER BY r.created_at DESC
+    `, [sessionId, status]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error getting AI reviews:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark a stored reply as handled (resolved after manual follow-up, or dismissed)
+router.patch('/session/:sessionId/ai-reviews/:reviewId', requirePermission('manage'), async (req, res) => {
+  try {
+    const { sessionId, reviewId } = req.params;
+    const { status } = req.body;
+
+    if (!['pending', 'resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be pending, resolved or dismissed' });
+    }
+
+    const result = await db.query(`
+      UPDATE ai_response_reviews
+      SET status = $1,
+          resolved_by = CASE WHEN $1 = 'pending' THEN NULL ELSE $2::integer END,
+          resolved_at = CASE WHEN $1 = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END
+      WHERE id = $3 AND session_id = $4
+      RETURNING id, status, resolved_at
+    `, [status, req.user.id, reviewId, sessionId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating AI review:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // Export checklist to Excel
 // ============================================
@@ -561,7 +814,7 @@ router.get('/session/:sessionId/export-excel', async (req, res) => {
     // Get obtained items
     const obtainedResult = await db.query(`
       SELECT item_number, item_text, importance, category, obtained_text,
-             obtained_source, obtained_confidence, obtained_at
+             obtained_source, obtained_speaker, obtained_confidence, obtained_at
       FROM session_checklist_items
       WHERE session_id = $1 AND status = 'obtained'
       ORDER BY
@@ -576,7 +829,7 @@ router.get('/session/:sessionId/export-excel', async (req, res) => {
     // Get additional findings
     const findingsResult = await db.query(`
       SELECT topic, finding_type, details, sap_analysis, sap_recommendation,
-             sap_best_practice, sap_risk_level, source_quote, created_at
+             sap_best_practice, sap_risk_level, source_quote, source_speaker, created_at
       FROM session_additional_findings
       WHERE session_id = $1
       ORDER BY
@@ -625,7 +878,7 @@ router.get('/session/:sessionId/export-excel', async (req, res) => {
       ['Workshop:', sessionInfo.workshop_name, 'Client:', sessionInfo.client_name],
       ['Session:', sessionInfo.session_name, 'Module:', sessionInfo.module],
       [],
-      ['#', 'Item', 'Importance', 'Category', 'Obtained Information', 'Source', 'Confidence', 'Obtained At']
+      ['#', 'Item', 'Importance', 'Category', 'Obtained Information', 'Source Person', 'Source', 'Confidence', 'Obtained At']
     ];
     obtainedResult.rows.forEach(item => {
       obtainedData.push([
@@ -634,6 +887,7 @@ router.get('/session/:sessionId/export-excel', async (req, res) => {
         item.importance,
         item.category || '',
         item.obtained_text || '',
+        item.obtained_speaker || '',
         item.obtained_source || '',
         item.obtained_confidence || '',
         item.obtained_at ? new Date(item.obtained_at).toLocaleString() : ''
@@ -646,6 +900,7 @@ router.get('/session/:sessionId/export-excel', async (req, res) => {
       { wch: 12 },  // Importance
       { wch: 25 },  // Category
       { wch: 60 },  // Obtained Information
+      { wch: 25 },  // Source Person
       { wch: 10 },  // Source
       { wch: 12 },  // Confidence
       { wch: 20 }   // Obtained At
@@ -658,7 +913,7 @@ router.get('/session/:sessionId/export-excel', async (req, res) => {
       ['Workshop:', sessionInfo.workshop_name, 'Client:', sessionInfo.client_name],
       ['Session:', sessionInfo.session_name, 'Module:', sessionInfo.module],
       [],
-      ['Topic', 'Type', 'Risk Level', 'Details', 'SAP Analysis', 'SAP Recommendation', 'SAP Best Practice', 'Source Quote']
+      ['Topic', 'Type', 'Risk Level', 'Details', 'SAP Analysis', 'SAP Recommendation', 'SAP Best Practice', 'Source Quote', 'Source Person']
     ];
     findingsResult.rows.forEach(finding => {
       findingsData.push([
@@ -669,7 +924,8 @@ router.get('/session/:sessionId/export-excel', async (req, res) => {
         finding.sap_analysis || '',
         finding.sap_recommendation || '',
         finding.sap_best_practice || '',
-        finding.source_quote || ''
+        finding.source_quote || '',
+        finding.source_speaker || ''
       ]);
     });
     const findingsSheet = XLSX.utils.aoa_to_sheet(findingsData);
@@ -681,10 +937,47 @@ router.get('/session/:sessionId/export-excel', async (req, res) => {
       { wch: 50 },  // SAP Analysis
       { wch: 50 },  // SAP Recommendation
       { wch: 40 },  // SAP Best Practice
-      { wch: 40 }   // Source Quote
+      { wch: 40 },  // Source Quote
+      { wch: 25 }   // Source Person
     ];
     XLSX.utils.book_append_sheet(workbook, findingsSheet, 'Additional Findings');
 
+    // Sheet 4: Structured Values
+    const values = await getSessionValues(sessionId);
+    const valuesData = [
+      ['Structured Values - Data Behind the Answers'],
+      ['Workshop:', sessionInfo.workshop_name, 'Client:', sessionInfo.client_name],
+      ['Session:', sessionInfo.session_name, 'Module:', sessionInfo.module],
+      [],
+      ['#', 'Checklist Item', 'Value', 'Type', 'Entity', 'Data', 'Number', 'Unit', 'Source']
+    ];
+    values.forEach(value => {
+      valuesData.push([
+        value.item_number,
+        value.item_text,
+        value.label,
+        value.value_type,
+        value.entity_code || 'All',
+        value.display,
+        value.value_number === null ? '' : Number(value.value_number),
+        value.unit || value.object_type || '',
+        value.source || ''
+      ]);
+    });
+    const valuesSheet = XLSX.utils.aoa_to_sheet(valuesData);
+    valuesSheet['!cols'] = [
+      { wch: 5 },   // #
+      { wch: 50 },  // Checklist Item
+      { wch: 30 },  // Value
+      { wch: 12 },  // Type
+      { wch: 10 },  // Entity
+      { wch: 50 },  // Data
+      { wch: 12 },  // Number
+      { wch: 15 },  // Unit
+      { wch: 12 }   // Source
+    ];
+    XLSX.utils.book_append_sheet(workbook, valuesSheet, 'Structured Values');
+
     // Generate buffer
     const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
 
@@ -720,21 +1013,10 @@ const documentUpload = multer({
   storage: isS3Configured() ? memoryStorage : documentStorage,
   limits: { fileSize: 50 * 1024 * 1024 }, // 50MB max for documents
   fileFilter: (req, file, cb) => {
-    // Allow PDF, Word docs, and text files
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain',
-      'text/csv'
-    ];
-    const allowedExtensions = ['.pdf', '.doc', '.docx', '.txt', '.csv'];
-    const ext = path.extname(file.originalname).toLowerCase();
-
-    if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(ext)) {
+    if (isSupportedDocument(file.mimetype, file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF, Word documents (.doc, .docx), and text files are allowed'), false);
+      cb(new Error('Only PDF, Word, Excel, CSV, text and image files are allowed'), false);
     }
   }
 });
@@ -780,6 +1062,13 @@ router.post('/session/:sessionId/document', documentUpload.single('document'), a
       req.file.size
     ]);
 
+    publish(sessionId, 'document_updated', {
+      actor: req.user.name,
+      documentId: result.rows[0].id,
+      name: req.file.originalname,
+      status: 'pending'
+    });
+
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Error uploading document:', error);
@@ -815,133 +1104,24 @@ router.post('/session/:sessionId/document/:documentId/analyze', async (req, res)
       });
     }
 
-    // Update status to processing
+    // Long documents take several AI calls, so the analysis runs as a background job;
+    // a second request re-attaches to the running one
     await db.query(
       'UPDATE session_documents SET analysis_status = $1 WHERE id = $2',
       ['processing', documentId]
     );
 
-    // Get file path for extraction
-    let filePath = doc.file_path;
-    let tempFile = null;
-    let fileBuffer = null;
-
-    if (isS3Configured() && filePath.startsWith('uploads/')) {
-      const { GetObjectCommand } = require('@aws-sdk/client-s3');
-      const { getS3Client, getBucketName } = require('../services/s3');
-
-      const s3Client = getS3Client();
-      const response = await s3Client.send(new GetObjectCommand({
-        Bucket: getBucketName(),
-        Key: filePath
-      }));
-
-      // Read stream to buffer
-      const chunks = [];
-      for await (const chunk of response.Body) {
-        chunks.push(chunk);
-      }
-      fileBuffer = Buffer.concat(chunks);
-
-      // Also save to temp file for mammoth (Word docs)
-      tempFile = path.join('/tmp', `doc_${documentId}${path.extname(doc.original_name)}`);
-      fs.writeFileSync(tempFile, fileBuffer);
-      filePath = tempFile;
-    } else if (!path.isAbsolute(filePath)) {
-      filePath = path.join(__dirname, '../..', filePath);
-      fileBuffer = fs.readFileSync(filePath);
-    } else {
-      fileBuffer = fs.readFileSync(filePath);
-    }
-
-    // Extract text based on file type
-    let extractedText = '';
-    const mimeType = doc.mime_type || '';
-    const ext = path.extname(doc.original_name || doc.file_name).toLowerCase();
-
-    try {
-      if (mimeType === 'application/pdf' || ext === '.pdf') {
-        // PDF extraction
-        const pdfData = await pdfParse(fileBuffer);
-        extractedText = pdfData.text;
-      } else if (
-        mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-        mimeType === 'application/msword' ||
-        ext === '.docx' || ext === '.doc'
-      ) {
-        // Word document extraction
-        const result = await mammoth.extractRawText({ path: filePath });
-        extractedText = result.value;
-      } else if (mimeType.startsWith('text/') || ext === '.txt' || ext === '.csv') {
-        // Plain text
-        extractedText = fileBuffer.toString('utf-8');
-      } else {
-        throw new Error(`Unsupported file type: ${mimeType || ext}`);
-      }
-    } catch (extractError) {
-      console.error('Text extraction error:', extractError);
-      await db.query(
-        'UPDATE session_documents SET analysis_status = $1 WHERE id = $2',
-        ['failed', documentId]
-      );
-      throw new Error(`Failed to extract text from document: ${extractError.message}`);
-    }
-
-    // Clean up temp file
-    if (tempFile && fs.existsSync(tempFile)) {
-      fs.unlinkSync(tempFile);
-    }
-
-    if (!extractedText || extractedText.trim().length === 0) {
-      await db.query(
-        'UPDATE session_documents SET analysis_status = $1 WHERE id = $2',
-        ['failed', documentId]
-      );
-      return res.status(400).json({ error: 'No text could be extracted from the document' });
-    }
-
-    // Save extracted text
-    await db.query(
-      'UPDATE session_documents SET extracted_text = $1 WHERE id = $2',
-      [extractedText, documentId]
-    );
-
-    // Analyze against checklist (reuse same function as transcription)
-    const analysisResult = await analyzeDocumentAgainstChecklist(sessionId, extractedText, doc.original_name);
-
-    // Mark items as obtained
-    if (analysisResult.obtainedItems && analysisResult.obtainedItems.length > 0) {
-      await markItemsAsObtained(analysisResult.obtainedItems);
-    }
-
-    // Save additional findings
-    let savedFindings = [];
-    if (analysisResult.additionalFindings && analysisResult.additionalFindings.length > 0) {
-      savedFindings = await saveAdditionalFindings(sessionId, null, analysisResult.additionalFindings);
-    }
-
-    // Update document record with results
-    await db.query(`
-      UPDATE session_documents SET
-        analysis_status = 'completed',
-        obtained_count = $1,
-        findings_count = $2,
-        analyzed_at = CURRENT_TIMESTAMP
-      WHERE id = $3
-    `, [
-      analysisResult.obtainedItems?.length || 0,
-      savedFindings.length,
-      documentId
-    ]);
-
-    res.json({
-      extractedTextLength: extractedText.length,
-      obtainedCount: analysisResult.obtainedItems?.length || 0,
-      remainingMissing: analysisResult.remainingMissing,
-      obtainedItems: analysisResult.obtainedItems || [],
-      findingsCount: savedFindings.length,
-      findings: savedFindings
+    const { job, created } = await enqueueJob('document_analysis', {
+      sessionId: parseInt(sessionId),
+      documentId: parseInt(documentId),
+      actor: req.user.name
+    }, {
+      sessionId,
+      createdBy: req.user.id,
+      dedupeKey: `document_analysis:${documentId}`
     });
+
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
   } catch (error) {
     console.error('Error analyzing document:', error);
     res.status(500).json({ error: error.message });
@@ -957,7 +1137,8 @@ router.get('/session/:sessionId/documents', async (req, res) => {
 
     const result = await db.query(`
       SELECT id, session_id, file_name, original_name, mime_type, file_size,
-             analysis_status, obtained_count, findings_count, created_at, analyzed_at
+             analysis_status, analysis_error, obtained_count, findings_count, page_count, section_count,
+             ocr_section_count, ocr_confidence, ocr_low_confidence, created_at, analyzed_at
       FROM session_documents
       WHERE session_id = $1
       ORDER BY created_at DESC
@@ -1012,6 +1193,9 @@ router.delete('/session/:sessionId/document/:documentId', async (req, res) => {
       [documentId, sessionId]
     );
 
+    await scheduleSessionIndexing(sessionId);
+    publish(sessionId, 'document_updated', { actor: req.user.name, documentId: parseInt(documentId), status: 'deleted' });
+
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting document:', error);
@@ -1099,12 +1283,19 @@ router.post('/session/:sessionId/reanalyze', async (req, res) => {
       return res.status(400).json({ error: 'No transcripts found to analyze' });
     }
 
-    // Re-analyze using enhanced function
-    const result = await reanalyzeAllTranscripts(sessionId, allTranscripts);
+    // Runs as a background job; a second request re-attaches to the running one
+    const { job, created } = await enqueueJob('session_reanalysis', {
+      sessionId: parseInt(sessionId),
+      actor: req.user.name
+    }, {
+      sessionId,
+      createdBy: req.user.id,
+      dedupeKey: `session_reanalysis:${sessionId}`
+    });
 
-    res.json(result);
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
   } catch (error) {
-    console.error('Error re-analyzing transcripts:', error);
+    console.error('Error starting re-analysis:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -1117,405 +1308,25 @@ router.post('/workshop/:workshopId/generate-transcript', async (req, res) => {
   try {
     const { workshopId } = req.params;
 
-    // Get workshop info
-    const workshopResult = await db.query(
-      'SELECT id, name, client_name, mission_statement FROM workshops WHERE id = $1',
-      [workshopId]
-    );
-
-    if (workshopResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Workshop not found' });
-    }
-
-    const workshop = workshopResult.rows[0];
-
-    // Get all sessions for this workshop
     const sessionsResult = await db.query(
-      'SELECT id, name, module FROM sessions WHERE workshop_id = $1 ORDER BY id',
+      'SELECT COUNT(*)::int AS count FROM sessions WHERE workshop_id = $1',
       [workshopId]
     );
 
-    if (sessionsResult.rows.length === 0) {
+    if (sessionsResult.rows[0].count === 0) {
       return res.status(400).json({ error: 'No sessions found for this workshop' });
     }
 
-    const sessions = sessionsResult.rows;
-    const results = {
-      workshop: workshop.name,
-      sessionsProcessed: 0,
-      totalRecordings: 0,
-      transcribedRecordings: 0,
-      newlyTranscribed: 0,
-      legacyRecordings: 0,
-      errors: [],
-      sessions: []
-    };
-
-    // Helper function to resolve file path and download if needed
-    async function resolveAudioFilePath(filePath, fileName, recordingId, isLegacy = false) {
-      let resolvedPath = filePath;
-      let tempFile = null;
-
-      // Handle S3 URLs (legacy format - starts with http)
-      if (filePath.startsWith('http')) {
-        const https = require('https');
-        const http = require('http');
-
-        tempFile = path.join(process.env.NODE_ENV === 'production' ? '/tmp' : path.join(__dirname, '../../uploads/temp'), `transcribe_${recordingId}_${Date.now()}.webm`);
-
-        // Ensure temp directory exists
-        const tempDir = path.dirname(tempFile);
-        if (!fs.existsSync(tempDir)) {
-          fs.mkdirSync(tempDir, { recursive: true });
-        }
-
-        // Download from S3 URL
-        await new Promise((resolve, reject) => {
-          const protocol = filePath.startsWith('https') ? https : http;
-          const file = fs.createWriteStream(tempFile);
-          protocol.get(filePath, (response) => {
-            response.pipe(file);
-            file.on('finish', () => {
-              file.close();
-              resolve();
-            });
-          }).on('error', (err) => {
-            fs.unlink(tempFile, () => {});
-            reject(err);
-          });
-        });
-
-        return { path: tempFile, tempFile };
-      }
-
-      // Handle S3 key paths (new format - starts with uploads/)
-      if (filePath.startsWith('uploads/') && isS3Configured()) {
-        const { GetObjectCommand } = require('@aws-sdk/client-s3');
-        const { getS3Client, getBucketName } = require('../services/s3');
-
-        const s3Client = getS3Client();
-        const response = await s3Client.send(new GetObjectCommand({
-          Bucket: getBucketName(),
-          Key: filePath
-        }));
-
-        tempFile = path.join(process.env.NODE_ENV === 'production' ? '/tmp' : path.join(__dirname, '../../uploads/temp'), `transcribe_${recordingId}_${Date.now()}.webm`);
-
-        // Ensure temp directory exists
-        const tempDir = path.dirname(tempFile);
-        if (!fs.existsSync(tempDir)) {
-          fs.mkdirSync(tempDir, { recursive: true });
-        }
-
-        const writeStream = fs.createWriteStream(tempFile);
-        await new Promise((resolve, reject) => {
-          response.Body.pipe(writeStream);
-          response.Body.on('end', resolve);
-          response.Body.on('error', reject);
-        });
-
-        return { path: tempFile, tempFile };
-      }
-
-      // Handle local files
-      if (!path.isAbsolute(resolvedPath)) {
-        // Try different possible locations for backward compatibility
-        const possiblePaths = [
-          path.join(__dirname, '../..', resolvedPath),  // Standard relative path
-          path.join(__dirname, '../../uploads/audio', fileName),  // Legacy audio folder
-          path.join(__dirname, '../../uploads/session-audio', fileName),  // New session-audio folder
-          process.env.NODE_ENV === 'production' ? path.join('/tmp', resolvedPath) : null,
-          process.env.NODE_ENV === 'production' ? path.join('/tmp/uploads/audio', fileName) : null
-        ].filter(Boolean);
-
-        for (const tryPath of possiblePaths) {
-          if (fs.existsSync(tryPath)) {
-            resolvedPath = tryPath;
-            break;
-          }
-        }
-      }
-
-      return { path: resolvedPath, tempFile: null };
-    }
-
-    // Helper function to transcribe an audio file
-    async function transcribeAudio(recording, isLegacy = false) {
-      const { path: filePath, tempFile } = await resolveAudioFilePath(
-        recording.file_path,
-        recording.file_name,
-        recording.id,
-        isLegacy
-      );
-
-      // Verify file exists
-      if (!fs.existsSync(filePath)) {
-        throw new Error(`Audio file not found: ${recording.file_path} (tried: ${filePath})`);
-      }
-
-      const fileStats = fs.statSync(filePath);
-      if (fileStats.size === 0) {
-        throw new Error('Audio file is empty');
-      }
-
-      console.log(`Transcribing ${isLegacy ? 'legacy' : 'new'} recording ${recording.id}, file: ${filePath}`);
-
-      // Transcribe with OpenAI Whisper
-      const transcription = await openai.audio.transcriptions.create({
-        file: fs.createReadStream(filePath),
-        model: 'whisper-1',
-        language: 'en',
-        response_format: 'text'
-      });
-
-      // Clean up temp file
-      if (tempFile && fs.existsSync(tempFile)) {
-        fs.unlinkSync(tempFile);
-      }
-
-      return transcription;
-    }
-
-    // Process each session
-    for (const session of sessions) {
-      const sessionResult = {
-        id: session.id,
-        name: session.name,
-        module: session.module,
-        recordingsCount: 0,
-        legacyRecordingsCount: 0,
-        transcribedCount: 0,
-        newlyTranscribedCount: 0,
-        errors: []
-      };
-
-      // ========================================
-      // 1. Get NEW session recordings (session_recordings table)
-      // ========================================
-      const newRecordingsResult = await db.query(
-        'SELECT * FROM session_recordings WHERE session_id = $1 ORDER BY chunk_index, created_at',
-        [session.id]
-      );
-
-      sessionResult.recordingsCount += newRecordingsResult.rows.length;
-      results.totalRecordings += newRecordingsResult.rows.length;
-
-      // Process new recordings
-      for (const recording of newRecordingsResult.rows) {
-        if (recording.transcription) {
-          sessionResult.transcribedCount++;
-          results.transcribedRecordings++;
-          continue;
-        }
-
-        try {
-          const transcription = await transcribeAudio(recording, false);
-
-          // Save transcription to database
-          await db.query(
-            'UPDATE session_recordings SET transcription = $1 WHERE id = $2',
-            [transcription, recording.id]
-          );
-
-          // Append to session transcript file
-          try {
-            await appendTranscript(session.id, recording.chunk_index || 0, transcription);
-          } catch (transcriptError) {
-            console.error('Error appending to transcript file:', transcriptError);
-          }
-
-          sessionResult.transcribedCount++;
-          sessionResult.newlyTranscribedCount++;
-          results.transcribedRecordings++;
-          results.newlyTranscribed++;
-
-        } catch (transcribeError) {
-          console.error(`Error transcribing new recording ${recording.id}:`, transcribeError);
-          sessionResult.errors.push({
-            recordingId: recording.id,
-            type: 'new',
-            error: transcribeError.message
-          });
-          results.errors.push({
-            sessionId: session.id,
-            sessionName: session.name,
-            recordingId: recording.id,
-            type: 'new',
-            error: transcribeError.message
-          });
-        }
-      }
-
-      // ========================================
-      // 2. Get LEGACY audio recordings (audio_recordings table via answers/questions)
-      // ========================================
-      const legacyRecordingsResult = await db.query(`
-        SELECT ar.*, q.question_text, a.text_response
-        FROM audio_recordings ar
-        JOIN answers a ON ar.answer_id = a.id
-        JOIN questions q ON a.question_id = q.id
-        WHERE q.session_id = $1
-        ORDER BY ar.created_at
-      `, [session.id]);
-
-      sessionResult.legacyRecordingsCount = legacyRecordingsResult.rows.length;
-      sessionResult.recordingsCount += legacyRecordingsResult.rows.length;
-      results.totalRecordings += legacyRecordingsResult.rows.length;
-      results.legacyRecordings += legacyRecordingsResult.rows.length;
-
-      // Process legacy recordings
-      for (const recording of legacyRecordingsResult.rows) {
-        if (recording.transcription) {
-          sessionResult.transcribedCount++;
-          results.transcribedRecordings++;
-          continue;
-        }
-
-        try {
-          const transcription = await transcribeAudio(recording, true);
-
-          // Save transcription to legacy table
-          await db.query(
-            'UPDATE audio_recordings SET transcription = $1 WHERE id = $2',
-            [transcription, recording.id]
-          );
-
-          sessionResult.transcribedCount++;
-          sessionResult.newlyTranscribedCount++;
-          results.transcribedRecordings++;
-          results.newlyTranscribed++;
-
-        } catch (transcribeError) {
-          console.error(`Error transcribing legacy recording ${recording.id}:`, transcribeError);
-          sessionResult.errors.push({
-            recordingId: recording.id,
-            type: 'legacy',
-            error: transcribeError.message
-          });
-          results.errors.push({
-            sessionId: session.id,
-            sessionName: session.name,
-            recordingId: recording.id,
-            type: 'legacy',
-            error: transcribeError.message
-          });
-        }
-      }
-
-      results.sessions.push(sessionResult);
-      results.sessionsProcessed++;
-    }
-
-    // Generate combined transcript document
-    const now = new Date().toISOString().replace('T', ' ').substring(0, 19);
-    let combinedTranscript = `# Workshop Transcript
-
-**Workshop:** ${workshop.name}
-**Client:** ${workshop.client_name || 'Not specified'}
-**Generated:** ${now}
-
-**Mission Statement:**
-${workshop.mission_statement || 'Not specified'}
-
----
-
-# Sessions
-
-`;
-
-    // Add each session's transcripts (both new and legacy)
-    for (const session of sessions) {
-      let sessionHasTranscripts = false;
-      let sessionTranscriptContent = '';
-
-      // Get NEW transcriptions for this session
-      const newTranscriptionsResult = await db.query(`
-        SELECT transcription, chunk_index, created_at, 'session_recording' as source_type
-        FROM session_recordings
-        WHERE session_id = $1 AND transcription IS NOT NULL
-        ORDER BY chunk_index, created_at
-      `, [session.id]);
-
-      // Get LEGACY transcriptions for this session
-      const legacyTranscriptionsResult = await db.query(`
-        SELECT ar.transcription, ar.created_at, q.question_text, 'legacy_audio' as source_type
-        FROM audio_recordings ar
-        JOIN answers a ON ar.answer_id = a.id
-        JOIN questions q ON a.question_id = q.id
-        WHERE q.session_id = $1 AND ar.transcription IS NOT NULL
-        ORDER BY ar.created_at
-      `, [session.id]);
-
-      // Add new recordings
-      if (newTranscriptionsResult.rows.length > 0) {
-        sessionHasTranscripts = true;
-        for (const rec of newTranscriptionsResult.rows) {
-          const recordedTime = new Date(rec.created_at).toISOString().replace('T', ' ').substring(0, 19);
-          sessionTranscriptContent += `### Recording ${(rec.chunk_index || 0) + 1}
-**Recorded:** ${recordedTime}
-
-${rec.transcription}
-
-`;
-        }
-      }
-
-      // Add legacy recordings
-      if (legacyTranscriptionsResult.rows.length > 0) {
-        sessionHasTranscripts = true;
-        if (newTranscriptionsResult.rows.length > 0) {
-          sessionTranscriptContent += `### Legacy Recordings (Question-based mode)\n\n`;
-        }
-
-        let legacyIndex = 1;
-        for (const rec of legacyTranscriptionsResult.rows) {
-          const recordedTime = new Date(rec.created_at).toISOString().replace('T', ' ').substring(0, 19);
-          sessionTranscriptContent += `### Answer Recording ${legacyIndex}
-**Recorded:** ${recordedTime}
-**Question:** ${rec.question_text || 'N/A'}
-
-${rec.transcription}
-
-`;
-          legacyIndex++;
-        }
-      }
-
-      if (sessionHasTranscripts) {
-        combinedTranscript += `
----
-
-## Session: ${session.name}
-**Module:** ${session.module || 'General'}
-
-${sessionTranscriptContent}`;
-      }
-    }
-
-    // Save combined transcript
-    const transcriptFileName = `workshop-${workshopId}-combined-transcript.md`;
-    const transcriptDir = path.join(__dirname, '../../uploads/transcripts');
-
-    if (!fs.existsSync(transcriptDir)) {
-      fs.mkdirSync(transcriptDir, { recursive: true });
-    }
-
-    const transcriptPath = path.join(transcriptDir, transcriptFileName);
-
-    if (isS3Configured()) {
-      const s3Key = `uploads/transcripts/${transcriptFileName}`;
-      await uploadBufferToS3(Buffer.from(combinedTranscript, 'utf-8'), s3Key, 'text/markdown');
-      results.transcriptPath = s3Key;
-    } else {
-      fs.writeFileSync(transcriptPath, combinedTranscript, 'utf-8');
-      results.transcriptPath = transcriptPath;
-    }
-
-    results.transcript = combinedTranscript;
+    // Transcribing every recording can take many minutes - run it as a background job
+    const { job, created } = await enqueueJob('workshop_transcript', { workshopId: parseInt(workshopId) }, {
+      workshopId,
+      createdBy: req.user.id,
+      dedupeKey: `workshop_transcript:${workshopId}`
+    });
 
-    res.json(results);
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
   } catch (error) {
-    console.error('Error generating workshop transcript:', error);
+    console.error('Error starting workshop transcript:', error);
     res.status(500).json({ error: error.message });
   }
 });
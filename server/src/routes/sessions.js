@@ -1,10 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models/db');
+const { workshopScope, memberWorkshopFilter } = require('../middleware/auth');
+
+// Scope every id parameter to workshops the user is a member of
+router.param('id', workshopScope('session'));
 
 // Get all sessions with progress stats
 router.get('/', async (req, res) => {
   try {
+    const memberFilter = memberWorkshopFilter(req.user, 's.workshop_id', 1);
     const sessionsResult = await db.query(`
       SELECT
         s.*,
@@ -13,9 +18,10 @@ router.get('/', async (req, res) => {
       FROM sessions s
       LEFT JOIN questions q ON s.id = q.session_id
       LEFT JOIN answers a ON q.id = a.question_id
+      ${memberFilter ? `WHERE ${memberFilter}` : ''}
       GROUP BY s.id
       ORDER BY s.session_number
-    `);
+    `, memberFilter ? [req.user.id] : []);
     res.json(sessionsResult.rows);
   } catch (error) {
     console.error('Error fetching sessions:', error);
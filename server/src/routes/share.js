@@ -3,43 +3,39 @@
  *
  * Features:
  * - Enable/disable sharing for sessions
- * - Public login with username/password
- * - Exclusive lock mechanism (only one user at a time)
- * - Heartbeat to maintain lock
+ * - Public login with username/password (plus each participant's display name)
+ * - Concurrent access: any number of participants can work on the checklist at once
+ * - Live updates and presence over Server-Sent Events
  * - Full checklist access for authenticated users
+ * - Pre-work questionnaire: typed answers and a document per checklist item before the session
  */
 
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../models/db');
 const { isS3Configured, uploadBufferToS3 } = require('../services/s3');
+const { getSessionFindings } = require('../services/directChecklistGenerator');
+const { enqueueJob, toPublicJob } = require('../services/jobQueue');
+const { isSupportedDocument } = require('../services/documentIngestion');
+const { isValidClientChunkId, saveRecordingUpload, claimRecordingAnalysis, analyzedRecordingResponse } = require('../services/recordingUploads');
+const { analyzeRecording } = require('../services/recordingAnalysis');
+const { signShareToken, verifyShareJwt, authenticate, requirePermission, requireWorkshopAccess } = require('../middleware/auth');
+const { subscribe, publish, getPresence, closeShareViewers } = require('../services/sessionEvents');
 const {
-  analyzeTranscriptionAgainstChecklist,
-  markItemsAsObtained,
-  saveAdditionalFindings,
-  getSessionFindings,
-  analyzeDocumentAgainstChecklist
-} = require('../services/directChecklistGenerator');
-const { appendTranscript } = require('../services/transcriptManager');
-
-// OpenAI for transcription
-const OpenAI = require('openai');
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-// Document parsing libraries
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
-
-// JWT secret (use env var or fallback)
-const JWT_SECRET = process.env.JWT_SECRET || 'nxworks-share-secret-key-change-in-production';
-const LOCK_TIMEOUT_MINUTES = 2;
+  getPreworkSettings,
+  updatePreworkSettings,
+  getPreworkItems,
+  summarizePrework,
+  savePreworkAnswer,
+  submitPreworkAnswers,
+  hasSubmittedAnswers
+} = require('../services/preworkQuestionnaire');
 
 // Configure multer for audio uploads
 const getUploadDir = () => {
@@ -71,31 +67,47 @@ const upload = multer({
 // ============================================
 // Middleware: Verify JWT token
 // ============================================
-const verifyShareToken = (req, res, next) => {
+// EventSource cannot send headers, so the events stream passes ?access_token=
+// The session must still be shared under this link: disabling sharing or regenerating
+// the link revokes tokens issued before
+const verifyShareToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  let token = null;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    token = authHeader.split(' ')[1];
+  } else if (req.method === 'GET' && req.query.access_token) {
+    token = req.query.access_token;
+  }
+
+  if (!token) {
     return res.status(401).json({ error: 'No token provided' });
   }
 
-  const token = authHeader.split(' ')[1];
+  const decoded = verifyShareJwt(token);
+  if (!decoded || !decoded.sessionId || decoded.token !== req.params.token) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.shareAuth = decoded;
-    next();
+    const result = await db.query(
+      'SELECT id FROM sessions WHERE id = $1 AND share_token = $2 AND share_enabled = TRUE',
+      [decoded.sessionId, decoded.token]
+    );
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Sharing has been disabled for this session' });
+    }
   } catch (error) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    console.error('Error verifying share token:', error);
+    return res.status(500).json({ error: error.message });
   }
-};
 
-// Helper: Check if lock is valid (not expired)
-const isLockValid = (lockedAt) => {
-  if (!lockedAt) return false;
-  const lockTime = new Date(lockedAt);
-  const now = new Date();
-  const diffMinutes = (now - lockTime) / (1000 * 60);
-  return diffMinutes < LOCK_TIMEOUT_MINUTES;
+  req.shareAuth = decoded;
+  next();
 };
 
+// Helper: Name shown to other participants for share-portal actions
+const shareActor = (shareAuth) => shareAuth.displayName || shareAuth.username;
+
 // Helper: Generate random password
 const generatePassword = () => {
   return crypto.randomBytes(4).toString('hex').toUpperCase();
@@ -105,8 +117,11 @@ const generatePassword = () => {
 // ADMIN ENDPOINTS (manage sharing)
 // ============================================
 
+// Signed-in lead consultant/admin who is a member of the session's workshop
+const shareAdmin = [authenticate, requirePermission('manage'), requireWorkshopAccess('session', 'sessionId')];
+
 // Enable sharing for a session
-router.post('/workshops/:workshopId/sessions/:sessionId/share/enable', async (req, res) => {
+router.post('/workshops/:workshopId/sessions/:sessionId/share/enable', shareAdmin, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { username } = req.body;
@@ -122,9 +137,7 @@ router.post('/workshops/:workshopId/sessions/:sessionId/share/enable', async (re
         share_enabled = TRUE,
         share_token = $1,
         share_username = $2,
-        share_password_hash = $3,
-        share_locked_by = NULL,
-        share_locked_at = NULL
+        share_password_hash = $3
       WHERE id = $4
       RETURNING id, name, share_token, share_username
     `, [shareToken, username || 'participant', passwordHash, sessionId]);
@@ -150,7 +163,7 @@ router.post('/workshops/:workshopId/sessions/:sessionId/share/enable', async (re
 });
 
 // Disable sharing for a session
-router.post('/workshops/:workshopId/sessions/:sessionId/share/disable', async (req, res) => {
+router.post('/workshops/:workshopId/sessions/:sessionId/share/disable', shareAdmin, async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -160,11 +173,13 @@ router.post('/workshops/:workshopId/sessions/:sessionId/share/disable', async (r
         share_token = NULL,
         share_username = NULL,
         share_password_hash = NULL,
-        share_locked_by = NULL,
-        share_locked_at = NULL
+        prework_open = FALSE
       WHERE id = $1
     `, [sessionId]);
 
+    // Disconnect anyone still viewing through the old link
+    closeShareViewers(sessionId, 'Sharing has been disabled for this session');
+
     res.json({ success: true });
   } catch (error) {
     console.error('Error disabling share:', error);
@@ -173,12 +188,12 @@ router.post('/workshops/:workshopId/sessions/:sessionId/share/disable', async (r
 });
 
 // Get share status for a session
-router.get('/workshops/:workshopId/sessions/:sessionId/share/status', async (req, res) => {
+router.get('/workshops/:workshopId/sessions/:sessionId/share/status', shareAdmin, async (req, res) => {
   try {
     const { sessionId } = req.params;
 
     const result = await db.query(`
-      SELECT share_enabled, share_token, share_username, share_locked_by, share_locked_at
+      SELECT share_enabled, share_token, share_username
       FROM sessions WHERE id = $1
     `, [sessionId]);
 
@@ -195,8 +210,7 @@ router.get('/workshops/:workshopId/sessions/:sessionId/share/status', async (req
       enabled: session.share_enabled,
       shareUrl,
       username: session.share_username,
-      isLocked: isLockValid(session.share_locked_at),
-      lockedBy: session.share_locked_by
+      activeViewers: getPresence(sessionId).filter(v => v.kind === 'share').map(v => v.name)
     });
   } catch (error) {
     console.error('Error getting share status:', error);
@@ -205,7 +219,7 @@ router.get('/workshops/:workshopId/sessions/:sessionId/share/status', async (req
 });
 
 // Regenerate password for a session
-router.post('/workshops/:workshopId/sessions/:sessionId/share/regenerate-password', async (req, res) => {
+router.post('/workshops/:workshopId/sessions/:sessionId/share/regenerate-password', shareAdmin, async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -233,6 +247,65 @@ router.post('/workshops/:workshopId/sessions/:sessionId/share/regenerate-passwor
   }
 });
 
+// Pre-work questionnaire settings, answers and counts
+router.get('/workshops/:workshopId/sessions/:sessionId/prework', shareAdmin, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const settings = await getPreworkSettings(sessionId);
+    if (!settings) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const items = await getPreworkItems(sessionId);
+    res.json({ ...settings, summary: summarizePrework(items), items });
+  } catch (error) {
+    console.error('Error getting pre-work questionnaire:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Open or close the questionnaire on the share link - body: { open, dueDate, instructions }
+router.put('/workshops/:workshopId/sessions/:sessionId/prework', shareAdmin, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const current = await getPreworkSettings(sessionId);
+    if (!current) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (req.body.open && !current.shareEnabled) {
+      return res.status(400).json({ error: 'Enable sharing for this session before opening the questionnaire' });
+    }
+
+    const settings = await updatePreworkSettings(sessionId, req.body);
+    publish(sessionId, 'prework_updated', { actor: req.user.name, open: settings.open });
+    res.json(settings);
+  } catch (error) {
+    console.error('Error updating pre-work questionnaire:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Submit the remaining draft answers and analyze every submitted answer (background job)
+router.post('/workshops/:workshopId/sessions/:sessionId/prework/analyze', shareAdmin, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await submitPreworkAnswers(sessionId);
+
+    const { job, created } = await enqueueJob('prework_analysis', {
+      sessionId: parseInt(sessionId),
+      actor: req.user.name
+    }, {
+      sessionId,
+      createdBy: req.user.id,
+      dedupeKey: `prework_analysis:${sessionId}`
+    });
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
+  } catch (error) {
+    console.error('Error analyzing pre-work answers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // PUBLIC ENDPOINTS (shared access)
 // ============================================
@@ -243,8 +316,8 @@ router.get('/share/:token/info', async (req, res) => {
     const { token } = req.params;
 
     const result = await db.query(`
-      SELECT s.id, s.name, s.module, w.name as workshop_name, w.client_name,
-             s.share_locked_by, s.share_locked_at
+      SELECT s.id, s.name, s.module, s.language, s.prework_open, s.prework_due_date, s.prework_instructions,
+             w.name as workshop_name, w.client_name
       FROM sessions s
       JOIN workshops w ON s.workshop_id = w.id
       WHERE s.share_token = $1 AND s.share_enabled = TRUE
@@ -255,15 +328,17 @@ router.get('/share/:token/info', async (req, res) => {
     }
 
     const session = result.rows[0];
-    const locked = isLockValid(session.share_locked_at);
 
     res.json({
       sessionName: session.name,
       module: session.module,
+      language: session.language,
       workshopName: session.workshop_name,
       clientName: session.client_name,
-      isLocked: locked,
-      lockedBy: locked ? session.share_locked_by : null
+      prework: session.prework_open
+        ? { dueDate: session.prework_due_date, instructions: session.prework_instructions }
+        : null,
+      activeViewers: getPresence(session.id).map(v => v.name)
     });
   } catch (error) {
     console.error('Error getting share info:', error);
@@ -271,11 +346,11 @@ router.get('/share/:token/info', async (req, res) => {
   }
 });
 
-// Login and acquire lock
+// Login (any number of participants may be signed in at once)
 router.post('/share/:token/login', async (req, res) => {
   try {
     const { token } = req.params;
-    const { username, password } = req.body;
+    const { username, password, displayName } = req.body;
 
     if (!username || !password) {
       return res.status(400).json({ error: 'Username and password required' });
@@ -283,7 +358,7 @@ router.post('/share/:token/login', async (req, res) => {
 
     // Get session
     const result = await db.query(`
-      SELECT id, name, share_username, share_password_hash, share_locked_by, share_locked_at
+      SELECT id, name, share_username, share_password_hash
       FROM sessions
       WHERE share_token = $1 AND share_enabled = TRUE
     `, [token]);
@@ -304,32 +379,21 @@ router.post('/share/:token/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid password' });
     }
 
-    // Check if locked by someone else
-    if (isLockValid(session.share_locked_at) && session.share_locked_by !== username) {
-      return res.status(423).json({
-        error: 'Session is currently in use',
-        lockedBy: session.share_locked_by
-      });
-    }
-
-    // Acquire lock
-    await db.query(`
-      UPDATE sessions SET share_locked_by = $1, share_locked_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-    `, [username, session.id]);
+    // Credentials are shared by everyone on the link, so each participant
+    // gets their own viewer id and display name for presence
+    const viewerId = uuidv4();
+    const name = (displayName || '').trim().substring(0, 100) || username;
 
     // Generate JWT
-    const jwtToken = jwt.sign(
-      { token, sessionId: session.id, username },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const jwtToken = signShareToken({ token, sessionId: session.id, username, viewerId, displayName: name });
 
     res.json({
       success: true,
       token: jwtToken,
       sessionId: session.id,
-      sessionName: session.name
+      sessionName: session.name,
+      viewerId,
+      displayName: name
     });
   } catch (error) {
     console.error('Error logging in:', error);
@@ -337,38 +401,14 @@ router.post('/share/:token/login', async (req, res) => {
   }
 });
 
-// Heartbeat to keep lock alive
-router.post('/share/:token/heartbeat', verifyShareToken, async (req, res) => {
-  try {
-    const { sessionId, username } = req.shareAuth;
-
-    await db.query(`
-      UPDATE sessions SET share_locked_at = CURRENT_TIMESTAMP
-      WHERE id = $1 AND share_locked_by = $2
-    `, [sessionId, username]);
-
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error heartbeat:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Release lock
-router.post('/share/:token/release', verifyShareToken, async (req, res) => {
-  try {
-    const { sessionId, username } = req.shareAuth;
-
-    await db.query(`
-      UPDATE sessions SET share_locked_by = NULL, share_locked_at = NULL
-      WHERE id = $1 AND share_locked_by = $2
-    `, [sessionId, username]);
-
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error releasing lock:', error);
-    res.status(500).json({ error: error.message });
-  }
+// Live updates stream (also registers the participant's presence)
+router.get('/share/:token/events', verifyShareToken, (req, res) => {
+  const { sessionId, viewerId, username } = req.shareAuth;
+  subscribe(sessionId, req, res, {
+    id: viewerId || username,
+    name: shareActor(req.shareAuth),
+    kind: 'share'
+  });
 });
 
 // ============================================
@@ -381,9 +421,11 @@ router.get('/share/:token/checklist', verifyShareToken, async (req, res) => {
     const { sessionId } = req.shareAuth;
 
     const result = await db.query(`
-      SELECT * FROM session_checklist_items
-      WHERE session_id = $1
-      ORDER BY item_number
+      SELECT i.*, d.original_name as obtained_document_name
+      FROM session_checklist_items i
+      LEFT JOIN session_documents d ON i.obtained_document_id = d.id
+      WHERE i.session_id = $1
+      ORDER BY i.item_number
     `, [sessionId]);
 
     const items = result.rows;
@@ -435,42 +477,30 @@ router.get('/share/:token/checklist/stats', verifyShareToken, async (req, res) =
 router.post('/share/:token/audio', verifyShareToken, upload.single('audio'), async (req, res) => {
   try {
     const { sessionId } = req.shareAuth;
-    const { duration_seconds, chunk_index } = req.body;
+    const { duration_seconds, chunk_index, client_chunk_id } = req.body;
 
     if (!req.file) {
       return res.status(400).json({ error: 'No audio file provided' });
     }
+    if (client_chunk_id && !isValidClientChunkId(client_chunk_id)) {
+      return res.status(400).json({ error: 'Invalid client_chunk_id' });
+    }
 
-    let filePath;
-    let fileName;
+    // A retried upload of the same chunk returns the recording stored the first time
+    const { recording, created } = await saveRecordingUpload(sessionId, req.file, {
+      durationSeconds: duration_seconds,
+      chunkIndex: chunk_index,
+      clientChunkId: client_chunk_id
+    });
 
-    if (isS3Configured()) {
-      const uniqueName = `${uuidv4()}.webm`;
-      const s3Key = `uploads/session-audio/${uniqueName}`;
-      await uploadBufferToS3(req.file.buffer, s3Key, req.file.mimetype || 'audio/webm');
-      filePath = s3Key;
-      fileName = uniqueName;
-    } else {
-      filePath = `uploads/session-audio/${req.file.filename}`;
-      fileName = req.file.filename;
+    if (created) {
+      publish(sessionId, 'recording_added', {
+        actor: shareActor(req.shareAuth),
+        recordingId: recording.id
+      });
     }
 
-    const result = await db.query(`
-      INSERT INTO session_recordings
-        (session_id, file_path, file_name, mime_type, file_size, duration_seconds, chunk_index)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING *
-    `, [
-      sessionId,
-      filePath,
-      fileName,
-      req.file.mimetype || 'audio/webm',
-      req.file.size,
-      parseInt(duration_seconds) || 0,
-      parseInt(chunk_index) || 0
-    ]);
-
-    res.json(result.rows[0]);
+    res.json({ ...recording, duplicate: !created });
   } catch (error) {
     console.error('Error uploading audio:', error);
     res.status(500).json({ error: error.message });
@@ -483,133 +513,21 @@ router.post('/share/:token/audio/:audioId/analyze', verifyShareToken, async (req
     const { sessionId } = req.shareAuth;
     const { audioId } = req.params;
 
-    // Get audio recording
-    const audioResult = await db.query(
-      'SELECT * FROM session_recordings WHERE id = $1 AND session_id = $2',
-      [audioId, sessionId]
-    );
+    // Claim the recording first so a retry or a second participant never analyzes it twice
+    const { claimed, recording } = await claimRecordingAnalysis(sessionId, audioId);
 
-    if (audioResult.rows.length === 0) {
+    if (!recording) {
       return res.status(404).json({ error: 'Audio recording not found' });
     }
-
-    const audio = audioResult.rows[0];
-
-    // Check if already transcribed
-    if (audio.transcription) {
-      const analysisResult = await analyzeTranscriptionAgainstChecklist(sessionId, audio.transcription);
-      if (analysisResult.obtainedItems.length > 0) {
-        await markItemsAsObtained(analysisResult.obtainedItems);
-      }
-
-      return res.json({
-        transcription: audio.transcription,
-        obtainedCount: analysisResult.obtainedItems.length,
-        remainingMissing: analysisResult.remainingMissing
-      });
-    }
-
-    // Get file path
-    let filePath = audio.file_path;
-    let tempFile = null;
-
-    if (filePath.startsWith('uploads/') && isS3Configured()) {
-      const { GetObjectCommand } = require('@aws-sdk/client-s3');
-      const { getS3Client, getBucketName } = require('../services/s3');
-
-      const s3Client = getS3Client();
-      const response = await s3Client.send(new GetObjectCommand({
-        Bucket: getBucketName(),
-        Key: filePath
-      }));
-
-      tempFile = path.join('/tmp', `transcribe_${audioId}.webm`);
-      const writeStream = fs.createWriteStream(tempFile);
-      await new Promise((resolve, reject) => {
-        response.Body.pipe(writeStream);
-        response.Body.on('end', resolve);
-        response.Body.on('error', reject);
-      });
-      filePath = tempFile;
-    } else if (!path.isAbsolute(filePath)) {
-      filePath = path.join(__dirname, '../..', filePath);
-    }
-
-    // Verify file exists
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`Audio file not found at path: ${filePath}`);
-    }
-
-    const fileStats = fs.statSync(filePath);
-    if (fileStats.size === 0) {
-      throw new Error('Audio file is empty');
-    }
-
-    // Transcribe with OpenAI Whisper
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(filePath),
-      model: 'whisper-1',
-      language: 'en',
-      response_format: 'text'
-    });
-
-    // Clean up temp file
-    if (tempFile && fs.existsSync(tempFile)) {
-      fs.unlinkSync(tempFile);
-    }
-
-    // Save transcription
-    await db.query(
-      'UPDATE session_recordings SET transcription = $1 WHERE id = $2',
-      [transcription, audioId]
-    );
-
-    // Append to consolidated transcript MD file
-    try {
-      await appendTranscript(sessionId, audio.chunk_index || 0, transcription);
-    } catch (transcriptError) {
-      console.error('Error appending to transcript file:', transcriptError);
-      // Don't fail the whole operation if transcript append fails
-    }
-
-    // Analyze against checklist
-    const analysisResult = await analyzeTranscriptionAgainstChecklist(sessionId, transcription);
-
-    if (analysisResult.obtainedItems.length > 0) {
-      await markItemsAsObtained(analysisResult.obtainedItems);
-    }
-
-    // Reset items back to missing if contradictions found
-    let resetCount = 0;
-    if (analysisResult.itemsToReset && analysisResult.itemsToReset.length > 0) {
-      for (const item of analysisResult.itemsToReset) {
-        await db.query(`
-          UPDATE session_checklist_items
-          SET status = 'missing',
-              obtained_text = NULL,
-              obtained_confidence = NULL,
-              obtained_source = NULL,
-              obtained_at = NULL
-          WHERE id = $1 AND session_id = $2
-        `, [item.item_id, sessionId]);
-        resetCount++;
+    if (!claimed) {
+      // A retried chunk is analyzed once; later requests get the stored counts
+      if (recording.analyzed_at) {
+        return res.json(analyzedRecordingResponse(recording));
       }
-      console.log(`Reset ${resetCount} items back to missing due to contradictions`);
-    }
-
-    // Save additional findings if any
-    if (analysisResult.additionalFindings && analysisResult.additionalFindings.length > 0) {
-      await saveAdditionalFindings(sessionId, audioId, analysisResult.additionalFindings);
+      return res.status(409).json({ error: 'This recording is already being analyzed', analysisInProgress: true });
     }
 
-    res.json({
-      transcription,
-      obtainedCount: analysisResult.obtainedItems.length,
-      resetCount: resetCount,
-      remainingMissing: analysisResult.remainingMissing,
-      obtainedItems: analysisResult.obtainedItems,
-      findingsCount: analysisResult.additionalFindings?.length || 0
-    });
+    res.json(await analyzeRecording(sessionId, recording, shareActor(req.shareAuth)));
   } catch (error) {
     console.error('Error transcribing/analyzing audio:', error);
     res.status(500).json({ error: error.message });
@@ -658,24 +576,48 @@ const documentUpload = multer({
   storage: isS3Configured() ? memoryStorage : documentStorage,
   limits: { fileSize: 50 * 1024 * 1024 }, // 50MB max
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain',
-      'text/csv'
-    ];
-    const allowedExtensions = ['.pdf', '.doc', '.docx', '.txt', '.csv'];
-    const ext = path.extname(file.originalname).toLowerCase();
-
-    if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(ext)) {
+    if (isSupportedDocument(file.mimetype, file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF, Word documents, and text files are allowed'), false);
+      cb(new Error('Only PDF, Word, Excel, CSV, text and image files are allowed'), false);
     }
   }
 });
 
+// Store an uploaded document (S3 or local disk) as a pending session document
+const saveSharedDocument = async (sessionId, file, { preworkItemId = null } = {}) => {
+  let filePath;
+  let fileName;
+
+  if (isS3Configured()) {
+    const ext = path.extname(file.originalname) || '';
+    const uniqueName = `${uuidv4()}${ext}`;
+    const s3Key = `uploads/session-documents/${uniqueName}`;
+    await uploadBufferToS3(file.buffer, s3Key, file.mimetype);
+    filePath = s3Key;
+    fileName = uniqueName;
+  } else {
+    filePath = `uploads/session-documents/${file.filename}`;
+    fileName = file.filename;
+  }
+
+  const result = await db.query(`
+    INSERT INTO session_documents
+      (session_id, file_path, file_name, original_name, mime_type, file_size, analysis_status, prework_item_id)
+    VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7)
+    RETURNING *
+  `, [
+    sessionId,
+    filePath,
+    fileName,
+    file.originalname,
+    file.mimetype,
+    file.size,
+    preworkItemId
+  ]);
+  return result.rows[0];
+};
+
 // Upload document for shared session
 router.post('/share/:token/document', verifyShareToken, documentUpload.single('document'), async (req, res) => {
   try {
@@ -685,36 +627,16 @@ router.post('/share/:token/document', verifyShareToken, documentUpload.single('d
       return res.status(400).json({ error: 'No document file provided' });
     }
 
-    let filePath;
-    let fileName;
+    const document = await saveSharedDocument(sessionId, req.file);
 
-    if (isS3Configured()) {
-      const ext = path.extname(req.file.originalname) || '';
-      const uniqueName = `${uuidv4()}${ext}`;
-      const s3Key = `uploads/session-documents/${uniqueName}`;
-      await uploadBufferToS3(req.file.buffer, s3Key, req.file.mimetype);
-      filePath = s3Key;
-      fileName = uniqueName;
-    } else {
-      filePath = `uploads/session-documents/${req.file.filename}`;
-      fileName = req.file.filename;
-    }
+    publish(sessionId, 'document_updated', {
+      actor: shareActor(req.shareAuth),
+      documentId: document.id,
+      name: req.file.originalname,
+      status: 'pending'
+    });
 
-    const result = await db.query(`
-      INSERT INTO session_documents
-        (session_id, file_path, file_name, original_name, mime_type, file_size, analysis_status)
-      VALUES ($1, $2, $3, $4, $5, $6, 'pending')
-      RETURNING *
-    `, [
-      sessionId,
-      filePath,
-      fileName,
-      req.file.originalname,
-      req.file.mimetype,
-      req.file.size
-    ]);
-
-    res.json(result.rows[0]);
+    res.json(document);
   } catch (error) {
     console.error('Error uploading document:', error);
     res.status(500).json({ error: error.message });
@@ -747,121 +669,150 @@ router.post('/share/:token/document/:documentId/analyze', verifyShareToken, asyn
       });
     }
 
+    // Runs as a background job (see the session checklist route); progress reaches the
+    // share page through the session events stream
     await db.query(
       'UPDATE session_documents SET analysis_status = $1 WHERE id = $2',
       ['processing', documentId]
     );
 
-    // Get file and extract text
-    let filePath = doc.file_path;
-    let tempFile = null;
-    let fileBuffer = null;
+    const { job, created } = await enqueueJob('document_analysis', {
+      sessionId,
+      documentId: parseInt(documentId),
+      actor: shareActor(req.shareAuth)
+    }, {
+      sessionId,
+      dedupeKey: `document_analysis:${documentId}`
+    });
 
-    if (isS3Configured() && filePath.startsWith('uploads/')) {
-      const { GetObjectCommand } = require('@aws-sdk/client-s3');
-      const { getS3Client, getBucketName } = require('../services/s3');
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
+  } catch (error) {
+    console.error('Error analyzing document:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const s3Client = getS3Client();
-      const response = await s3Client.send(new GetObjectCommand({
-        Bucket: getBucketName(),
-        Key: filePath
-      }));
+// ============================================
+// PRE-WORK QUESTIONNAIRE (requires auth, while the questionnaire is open)
+// ============================================
 
-      const chunks = [];
-      for await (const chunk of response.Body) {
-        chunks.push(chunk);
-      }
-      fileBuffer = Buffer.concat(chunks);
-
-      tempFile = path.join('/tmp', `doc_${documentId}${path.extname(doc.original_name)}`);
-      fs.writeFileSync(tempFile, fileBuffer);
-      filePath = tempFile;
-    } else if (!path.isAbsolute(filePath)) {
-      filePath = path.join(__dirname, '../..', filePath);
-      fileBuffer = fs.readFileSync(filePath);
-    } else {
-      fileBuffer = fs.readFileSync(filePath);
+const requirePreworkOpen = async (req, res, next) => {
+  try {
+    const settings = await getPreworkSettings(req.shareAuth.sessionId);
+    if (!settings || !settings.open) {
+      return res.status(403).json({ error: 'The pre-work questionnaire for this session is closed' });
     }
+    req.prework = settings;
+    next();
+  } catch (error) {
+    console.error('Error checking pre-work questionnaire:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
 
-    // Extract text
-    let extractedText = '';
-    const mimeType = doc.mime_type || '';
-    const ext = path.extname(doc.original_name || doc.file_name).toLowerCase();
-
-    try {
-      if (mimeType === 'application/pdf' || ext === '.pdf') {
-        const pdfData = await pdfParse(fileBuffer);
-        extractedText = pdfData.text;
-      } else if (
-        mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-        mimeType === 'application/msword' ||
-        ext === '.docx' || ext === '.doc'
-      ) {
-        const result = await mammoth.extractRawText({ path: filePath });
-        extractedText = result.value;
-      } else if (mimeType.startsWith('text/') || ext === '.txt' || ext === '.csv') {
-        extractedText = fileBuffer.toString('utf-8');
-      } else {
-        throw new Error(`Unsupported file type: ${mimeType || ext}`);
-      }
-    } catch (extractError) {
-      await db.query(
-        'UPDATE session_documents SET analysis_status = $1 WHERE id = $2',
-        ['failed', documentId]
-      );
-      throw new Error(`Failed to extract text: ${extractError.message}`);
-    }
+// Checklist item of the shared session
+const getShareItem = async (sessionId, itemId) => {
+  const result = await db.query(
+    'SELECT id, status FROM session_checklist_items WHERE id = $1 AND session_id = $2',
+    [itemId, sessionId]
+  );
+  return result.rows[0] || null;
+};
+
+// Questionnaire: every checklist item with its answer and documents
+router.get('/share/:token/prework', verifyShareToken, requirePreworkOpen, async (req, res) => {
+  try {
+    const items = await getPreworkItems(req.shareAuth.sessionId);
+    res.json({
+      dueDate: req.prework.dueDate,
+      instructions: req.prework.instructions,
+      summary: summarizePrework(items),
+      items
+    });
+  } catch (error) {
+    console.error('Error getting pre-work questionnaire:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (tempFile && fs.existsSync(tempFile)) {
-      fs.unlinkSync(tempFile);
+// Save the draft answer of an item (empty answer_text removes it)
+router.put('/share/:token/prework/items/:itemId', verifyShareToken, requirePreworkOpen, async (req, res) => {
+  try {
+    const { sessionId } = req.shareAuth;
+    const item = await getShareItem(sessionId, req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist item not found' });
     }
 
-    if (!extractedText || extractedText.trim().length === 0) {
-      await db.query(
-        'UPDATE session_documents SET analysis_status = $1 WHERE id = $2',
-        ['failed', documentId]
-      );
-      return res.status(400).json({ error: 'No text could be extracted from the document' });
+    const answer = await savePreworkAnswer(sessionId, item.id, req.body.answer_text, shareActor(req.shareAuth));
+    publish(sessionId, 'prework_updated', { actor: shareActor(req.shareAuth), itemId: item.id });
+    res.json(answer || { deleted: true });
+  } catch (error) {
+    console.error('Error saving pre-work answer:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload a document for an item; it is analyzed against the whole checklist right away
+router.post('/share/:token/prework/items/:itemId/document', verifyShareToken, requirePreworkOpen, documentUpload.single('document'), async (req, res) => {
+  try {
+    const { sessionId } = req.shareAuth;
+    if (!req.file) {
+      return res.status(400).json({ error: 'No document file provided' });
+    }
+    const item = await getShareItem(sessionId, req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist item not found' });
     }
 
-    await db.query(
-      'UPDATE session_documents SET extracted_text = $1 WHERE id = $2',
-      [extractedText, documentId]
-    );
+    const document = await saveSharedDocument(sessionId, req.file, { preworkItemId: item.id });
+    await db.query("UPDATE session_documents SET analysis_status = 'processing' WHERE id = $1", [document.id]);
 
-    // Analyze against checklist
-    const analysisResult = await analyzeDocumentAgainstChecklist(sessionId, extractedText, doc.original_name);
+    publish(sessionId, 'document_updated', {
+      actor: shareActor(req.shareAuth),
+      documentId: document.id,
+      name: req.file.originalname,
+      status: 'pending'
+    });
 
-    if (analysisResult.obtainedItems && analysisResult.obtainedItems.length > 0) {
-      await markItemsAsObtained(analysisResult.obtainedItems, 'document');
-    }
+    const { job } = await enqueueJob('document_analysis', {
+      sessionId,
+      documentId: document.id,
+      actor: shareActor(req.shareAuth)
+    }, {
+      sessionId,
+      dedupeKey: `document_analysis:${document.id}`
+    });
 
-    let savedFindings = [];
-    if (analysisResult.additionalFindings && analysisResult.additionalFindings.length > 0) {
-      savedFindings = await saveAdditionalFindings(sessionId, null, analysisResult.additionalFindings);
-    }
+    res.status(202).json({ document: { ...document, analysis_status: 'processing' }, job: toPublicJob(job) });
+  } catch (error) {
+    console.error('Error uploading pre-work document:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    await db.query(`
-      UPDATE session_documents SET
-        analysis_status = 'completed',
-        obtained_count = $1,
-        findings_count = $2,
-        analyzed_at = CURRENT_TIMESTAMP
-      WHERE id = $3
-    `, [
-      analysisResult.obtainedItems?.length || 0,
-      savedFindings.length,
-      documentId
-    ]);
+// Submit the draft answers; they are analyzed against the checklist as a background job
+router.post('/share/:token/prework/submit', verifyShareToken, requirePreworkOpen, async (req, res) => {
+  try {
+    const { sessionId } = req.shareAuth;
+    const submitted = await submitPreworkAnswers(sessionId);
+    // Submitting again also queues answers still waiting from an analysis that just finished
+    if (submitted === 0 && !await hasSubmittedAnswers(sessionId)) {
+      return res.status(400).json({ error: 'There are no new answers to submit' });
+    }
 
-    res.json({
-      extractedTextLength: extractedText.length,
-      obtainedCount: analysisResult.obtainedItems?.length || 0,
-      remainingMissing: analysisResult.remainingMissing,
-      findingsCount: savedFindings.length
+    const { job, created } = await enqueueJob('prework_analysis', {
+      sessionId,
+      actor: shareActor(req.shareAuth)
+    }, {
+      sessionId,
+      dedupeKey: `prework_analysis:${sessionId}`
     });
+    publish(sessionId, 'prework_updated', { actor: shareActor(req.shareAuth), submitted });
+
+    res.status(created ? 202 : 200).json({ submitted, job: toPublicJob(job), created });
   } catch (error) {
-    console.error('Error analyzing document:', error);
+    console.error('Error submitting pre-work answers:', error);
     res.status(500).json({ error: error.message });
   }
 });
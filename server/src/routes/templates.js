@@ -0,0 +1,162 @@
+/**
+ * Template Routes - Library of reusable checklists and question sets per SAP module
+ *
+ * Templates are shared across workshops: consultants (capture permission) can browse
+ * them, managers save them from sessions of workshops they are a member of. The session
+ * a template was saved from is only shown to members of that session's workshop.
+ * Sessions are seeded from a template via their checklist_template_id /
+ * question_template_id (see routes/workshops.js and services/templateLibrary.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../models/db');
+const { ROLES, requirePermission, isWorkshopMember } = require('../middleware/auth');
+const {
+  TEMPLATE_KINDS,
+  getSessionTemplateItems,
+  saveTemplateFromSession,
+  listTemplates,
+  getTemplate,
+  getTemplateVersions,
+  deleteTemplate
+} = require('../services/templateLibrary');
+
+const browse = requirePermission('capture');
+const manage = requirePermission('manage');
+
+/**
+ * Drop the source session of templates saved in workshops the user is not a member of
+ */
+const hideForeignSources = async (user, templates) => {
+  let memberOf = null;
+  if (user.role !== ROLES.ADMIN) {
+    const result = await db.query('SELECT workshop_id FROM workshop_members WHERE user_id = $1', [user.id]);
+    memberOf = new Set(result.rows.map(row => row.workshop_id));
+  }
+  return templates.map(({ source_workshop_id: workshopId, ...template }) => (
+    memberOf && !memberOf.has(workshopId)
+      ? { ...template, source_session_id: null, source_session_name: null }
+      : template
+  ));
+};
+
+// List templates (latest version of each)
+// Query: kind (checklist | questions), module, industry, tag, q
+router.get('/', browse, async (req, res) => {
+  try {
+    const { kind, module, industry, tag, q } = req.query;
+    if (kind && !TEMPLATE_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `Kind must be one of: ${TEMPLATE_KINDS.join(', ')}` });
+    }
+
+    const templates = await listTemplates({ kind, module, industry, tag, q });
+    res.json(await hideForeignSources(req.user, templates));
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+});
+
+// Get one template version with its items
+router.get('/:templateId', browse, async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    const [shown] = await hideForeignSources(req.user, [template]);
+    res.json(shown);
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    res.status(500).json({ error: 'Failed to fetch template' });
+  }
+});
+
+// All versions of a template, newest first
+router.get('/:templateId/versions', browse, async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(await hideForeignSources(req.user, await getTemplateVersions(template.template_key)));
+  } catch (error) {
+    console.error('Error fetching template versions:', error);
+    res.status(500).json({ error: 'Failed to fetch template versions' });
+  }
+});
+
+// Save a session's checklist or questions as a template
+// Body: { sessionId, kind, name, description, industry, tags, notes, templateId }
+// With templateId the snapshot becomes the next version of that template
+router.post('/', manage, async (req, res) => {
+  try {
+    const { sessionId, kind, name, description, industry, tags, notes, templateId } = req.body;
+    if (!TEMPLATE_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `Kind must be one of: ${TEMPLATE_KINDS.join(', ')}` });
+    }
+
+    let baseTemplate = null;
+    if (templateId) {
+      baseTemplate = await getTemplate(templateId);
+      if (!baseTemplate) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      if (baseTemplate.kind !== kind) {
+        return res.status(400).json({ error: `Template "${baseTemplate.name}" is a ${baseTemplate.kind} template` });
+      }
+    } else if (!name?.trim()) {
+      return res.status(400).json({ error: 'Template name is required' });
+    }
+
+    const sessionResult = await db.query('SELECT * FROM sessions WHERE id = $1', [parseInt(sessionId) || 0]);
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const session = sessionResult.rows[0];
+    if (!(await isWorkshopMember(req.user, session.workshop_id))) {
+      return res.status(403).json({ error: 'You are not a member of this workshop' });
+    }
+
+    const items = await getSessionTemplateItems(session.id, kind);
+    if (items.length === 0) {
+      return res.status(400).json({
+        error: kind === 'checklist' ? 'This session has no checklist items to save' : 'This session has no questions to save'
+      });
+    }
+
+    const template = await saveTemplateFromSession(session, items, {
+      kind,
+      name: name?.trim() || undefined,
+      description,
+      industry,
+      tags,
+      notes,
+      baseTemplate
+    }, req.user);
+
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Error saving template:', error);
+    res.status(500).json({ error: 'Failed to save template' });
+  }
+});
+
+// Delete a template with all its versions
+router.delete('/:templateId', manage, async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const deletedVersions = await deleteTemplate(template.template_key);
+    res.json({ success: true, deletedVersions });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
 const db = require('../models/db');
-
-// Lazy initialization to avoid crash if API key not set
-let openai = null;
-const getOpenAI = () => {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  }
-  return openai;
-};
+const { workshopScope } = require('../middleware/auth');
+const { transcribeAudio, isTranscriptionConfigured } = require('../services/transcription');
+const { transcriptionOptions } = require('../services/language');
+const { complete } = require('../services/llm');
 
 // Download file from URL to temp path
 const downloadFile = (url, destPath) => {
@@ -48,6 +42,9 @@ const downloadFile = (url, destPath) => {
   });
 };
 
+// Scope every id parameter to workshops the user is a member of
+router.param('audioId', workshopScope('audio'));
+
 // Transcribe audio file and clean it up
 router.post('/:audioId', async (req, res) => {
   let tempFilePath = null;
@@ -55,17 +52,20 @@ router.post('/:audioId', async (req, res) => {
   try {
     const { audioId } = req.params;
 
-    // Check if OpenAI is configured
-    const client = getOpenAI();
-    if (!client) {
-      return res.status(503).json({ error: 'Transcription service not configured. OPENAI_API_KEY is required.' });
+    // Check if speech-to-text is configured
+    if (!isTranscriptionConfigured()) {
+      return res.status(503).json({ error: 'Transcription service not configured. Set OPENAI_API_KEY or TRANSCRIPTION_PROVIDER.' });
     }
 
     // Get audio file info from database
-    const audioResult = await db.query(
-      'SELECT * FROM audio_recordings WHERE id = $1',
-      [audioId]
-    );
+    const audioResult = await db.query(`
+      SELECT ar.*, s.language
+      FROM audio_recordings ar
+      LEFT JOIN answers a ON ar.answer_id = a.id
+      LEFT JOIN questions q ON a.question_id = q.id
+      LEFT JOIN sessions s ON q.session_id = s.id
+      WHERE ar.id = $1
+    `, [audioId]);
 
     if (audioResult.rows.length === 0) {
       return res.status(404).json({ error: 'Audio recording not found' });
@@ -102,23 +102,14 @@ router.post('/:audioId', async (req, res) => {
 
     console.log('Transcribing audio:', filePath);
 
-    // Step 1: Transcribe using Whisper
-    const transcription = await client.audio.transcriptions.create({
-      file: fs.createReadStream(filePath),
-      model: 'whisper-1',
-      language: 'en',
-      response_format: 'text'
-    });
+    // Step 1: Transcribe with the configured speech-to-text provider
+    const transcription = await transcribeAudio({ filePath }, transcriptionOptions(audio.language));
 
     console.log('Raw transcription:', transcription);
 
-    // Step 2: Clean up and structure using GPT
-    const cleanupResponse = await client.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: `You are helping transcribe and clean up audio recordings from an SAP S/4HANA pre-discovery workshop for Al Rawabi (a dairy company in UAE).
+    // Step 2: Clean up and structure using the LLM
+    const cleanupResponse = await complete('transcript_cleanup', {
+      system: `You are helping transcribe and clean up audio recordings from an SAP S/4HANA pre-discovery workshop for Al Rawabi (a dairy company in UAE).
 
 Your task:
 1. Fix any grammar or unclear phrasing
@@ -126,19 +117,15 @@ Your task:
 3. Preserve all technical details, names, and business terms
 4. Format as clear, professional notes
 5. If there are action items or decisions, highlight them
+6. Write the notes in English; if the speakers used Arabic, translate it and keep important Arabic quotes in their original wording after the translation
 
-Keep the response concise and directly usable as meeting notes.`
-        },
-        {
-          role: 'user',
-          content: `Please clean up this transcription from a workshop discussion:\n\n${transcription}`
-        }
-      ],
+Keep the response concise and directly usable as meeting notes.`,
+      prompt: `Please clean up this transcription from a workshop discussion:\n\n${transcription}`,
       temperature: 0.3,
-      max_tokens: 1000
+      maxTokens: 1000
     });
 
-    const cleanedText = cleanupResponse.choices[0].message.content;
+    const cleanedText = cleanupResponse.text;
 
     // Step 3: Save transcription to database
     await db.query(
@@ -165,8 +152,8 @@ Keep the response concise and directly usable as meeting notes.`
       try { fs.unlinkSync(tempFilePath); } catch (e) {}
     }
 
-    if (error.code === 'invalid_api_key') {
-      return res.status(401).json({ error: 'Invalid OpenAI API key. Please check OPENAI_API_KEY in .env' });
+    if (error.code === 'invalid_api_key' || error.status === 401) {
+      return res.status(401).json({ error: 'Invalid API key. Please check the transcription and LLM provider keys in .env' });
     }
 
     res.status(500).json({
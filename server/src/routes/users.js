@@ -0,0 +1,119 @@
+/**
+ * User Management Routes - Admin only (mounted behind authenticate + admin permission)
+ */
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const db = require('../models/db');
+const { ROLES, toPublicUser } = require('../middleware/auth');
+
+const VALID_ROLES = Object.values(ROLES);
+
+// List all users
+router.get('/', async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT u.*, COUNT(wm.id) as workshop_count
+      FROM users u
+      LEFT JOIN workshop_members wm ON u.id = wm.user_id
+      GROUP BY u.id
+      ORDER BY u.name
+    `);
+    res.json(result.rows.map(u => ({ ...toPublicUser(u), workshop_count: parseInt(u.workshop_count) })));
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Create user
+router.post('/', async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body;
+    if (!email || !name || !password) {
+      return res.status(400).json({ error: 'Email, name and password are required' });
+    }
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    if (role && !VALID_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${VALID_ROLES.join(', ')}` });
+    }
+
+    const existing = await db.query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [email.trim()]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const result = await db.query(`
+      INSERT INTO users (email, name, password_hash, role)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [email.trim(), name, passwordHash, role || ROLES.NOTE_TAKER]);
+
+    res.json(toPublicUser(result.rows[0]));
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Update user (name, role, active flag, password reset)
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, role, is_active, password } = req.body;
+
+    if (role && !VALID_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${VALID_ROLES.join(', ')}` });
+    }
+    if (password && password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    if (parseInt(id) === req.user.id && (is_active === false || (role && role !== ROLES.ADMIN))) {
+      return res.status(400).json({ error: 'You cannot demote or disable your own account' });
+    }
+
+    const passwordHash = password ? await bcrypt.hash(password, 10) : null;
+    const result = await db.query(`
+      UPDATE users SET
+        name = COALESCE($1, name),
+        role = COALESCE($2, role),
+        is_active = COALESCE($3, is_active),
+        password_hash = COALESCE($4, password_hash),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *
+    `, [name, role, is_active, passwordHash, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(toPublicUser(result.rows[0]));
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Delete user
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (parseInt(id) === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    const result = await db.query('DELETE FROM users WHERE id = $1 RETURNING id', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models/db');
-const { generateQuestions } = require('../services/questionGenerator');
-const { generateChecklistsForSession } = require('../services/checklistGenerator');
-const { generateDirectChecklist, saveChecklistItems } = require('../services/directChecklistGenerator');
+const { requirePermission, workshopScope, memberWorkshopFilter, ROLES } = require('../middleware/auth');
+const { enqueueJob, createBatchId, toPublicJob } = require('../services/jobQueue');
+const { normalizeLanguage } = require('../services/language');
+
+const manage = requirePermission('manage');
+
+// Every :id / :workshopId / :sessionId must belong to a workshop the user is a member of
+router.param('id', workshopScope('workshop'));
+router.param('workshopId', workshopScope('workshop'));
+router.param('sessionId', workshopScope('session'));
 
 // ============================================
 // Workshop CRUD
@@ -12,6 +19,8 @@ const { generateDirectChecklist, saveChecklistItems } = require('../services/dir
 // Get all workshops
 router.get('/', async (req, res) => {
   try {
+    // Non-admins only see workshops they are a member of
+    const memberFilter = memberWorkshopFilter(req.user, 'w.id', 1);
     const result = await db.query(`
       SELECT w.*,
         COUNT(DISTINCT s.id) as session_count,
@@ -19,9 +28,10 @@ router.get('/', async (req, res) => {
       FROM workshops w
       LEFT JOIN sessions s ON w.id = s.workshop_id
       LEFT JOIN questions q ON s.id = q.session_id
+      ${memberFilter ? `WHERE ${memberFilter}` : ''}
       GROUP BY w.id
       ORDER BY w.created_at DESC
-    `);
+    `, memberFilter ? [req.user.id] : []);
     res.json(result.rows);
   } catch (error) {
     console.error('Error fetching workshops:', error);
@@ -45,7 +55,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create workshop
-router.post('/', async (req, res) => {
+router.post('/', manage, async (req, res) => {
   try {
     const { name, client_name, client_website, industry_context, custom_instructions, questions_per_session, mission_statement } = req.body;
     if (!name) {
@@ -74,6 +84,13 @@ router.post('/', async (req, res) => {
         RETURNING *
       `, [name, client_name, client_website, industry_context, custom_instructions, questions_per_session || 30]);
     }
+
+    // Creator is automatically a member of the new workshop
+    await db.query(
+      'INSERT INTO workshop_members (workshop_id, user_id, added_by) VALUES ($1, $2, $2) ON CONFLICT DO NOTHING',
+      [result.rows[0].id, req.user.id]
+    );
+
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Error creating workshop:', error);
@@ -82,7 +99,7 @@ router.post('/', async (req, res) => {
 });
 
 // Update workshop
-router.put('/:id', async (req, res) => {
+router.put('/:id', manage, async (req, res) => {
   try {
     const { id } = req.params;
     const { name, client_name, client_website, industry_context, custom_instructions, questions_per_session, status, mission_statement } = req.body;
@@ -137,7 +154,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete workshop
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', manage, async (req, res) => {
   try {
     const { id } = req.params;
     const result = await db.query('DELETE FROM workshops WHERE id = $1 RETURNING id', [id]);
@@ -151,6 +168,81 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// ============================================
+// Members (within workshop)
+// ============================================
+
+router.get('/:workshopId/members', async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    const result = await db.query(`
+      SELECT u.id, u.email, u.name, u.role, u.is_active, wm.created_at as added_at
+      FROM workshop_members wm
+      JOIN users u ON wm.user_id = u.id
+      WHERE wm.workshop_id = $1
+      ORDER BY u.name
+    `, [workshopId]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching workshop members:', error);
+    res.status(500).json({ error: 'Failed to fetch workshop members' });
+  }
+});
+
+// Users that can be added (lead consultants need this since /api/users is admin only)
+router.get('/:workshopId/members/candidates', manage, async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    const result = await db.query(`
+      SELECT u.id, u.email, u.name, u.role
+      FROM users u
+      WHERE u.is_active = TRUE
+        AND u.id NOT IN (SELECT user_id FROM workshop_members WHERE workshop_id = $1)
+      ORDER BY u.name
+    `, [workshopId]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching member candidates:', error);
+    res.status(500).json({ error: 'Failed to fetch member candidates' });
+  }
+});
+
+router.post('/:workshopId/members', manage, async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    const { user_id } = req.body;
+    if (!user_id) {
+      return res.status(400).json({ error: 'user_id is required' });
+    }
+    const userResult = await db.query('SELECT id FROM users WHERE id = $1', [user_id]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await db.query(
+      'INSERT INTO workshop_members (workshop_id, user_id, added_by) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+      [workshopId, user_id, req.user.id]
+    );
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error adding workshop member:', error);
+    res.status(500).json({ error: 'Failed to add workshop member' });
+  }
+});
+
+router.delete('/:workshopId/members/:userId', manage, async (req, res) => {
+  try {
+    const { workshopId, userId } = req.params;
+    if (parseInt(userId) === req.user.id && req.user.role !== ROLES.ADMIN) {
+      return res.status(400).json({ error: 'You cannot remove yourself from a workshop' });
+    }
+    await db.query('DELETE FROM workshop_members WHERE workshop_id = $1 AND user_id = $2', [workshopId, userId]);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing workshop member:', error);
+    res.status(500).json({ error: 'Failed to remove workshop member' });
+  }
+});
+
 // ============================================
 // Entities (within workshop)
 // ============================================
@@ -166,7 +258,7 @@ router.get('/:workshopId/entities', async (req, res) => {
   }
 });
 
-router.post('/:workshopId/entities', async (req, res) => {
+router.post('/:workshopId/entities', manage, async (req, res) => {
   try {
     const { workshopId } = req.params;
     const { code, name, description, industry, sector, business_context } = req.body;
@@ -185,7 +277,7 @@ router.post('/:workshopId/entities', async (req, res) => {
   }
 });
 
-router.put('/:workshopId/entities/:entityId', async (req, res) => {
+router.put('/:workshopId/entities/:entityId', manage, async (req, res) => {
   try {
     const { entityId } = req.params;
     const { code, name, description, industry, sector, business_context } = req.body;
@@ -207,7 +299,7 @@ router.put('/:workshopId/entities/:entityId', async (req, res) => {
   }
 });
 
-router.delete('/:workshopId/entities/:entityId', async (req, res) => {
+router.delete('/:workshopId/entities/:entityId', manage, async (req, res) => {
   try {
     const { entityId } = req.params;
     await db.query('DELETE FROM entities WHERE id = $1', [entityId]);
@@ -240,10 +332,10 @@ router.get('/:workshopId/sessions', async (req, res) => {
   }
 });
 
-router.post('/:workshopId/sessions', async (req, res) => {
+router.post('/:workshopId/sessions', manage, async (req, res) => {
   try {
     const { workshopId } = req.params;
-    const { name, description, module, agenda, question_count, topics } = req.body;
+    const { name, description, module, agenda, question_count, topics, checklist_template_id, question_template_id, language, planned_duration_minutes } = req.body;
     if (!name || !module) {
       return res.status(400).json({ error: 'Name and module are required' });
     }
@@ -255,10 +347,13 @@ router.post('/:workshopId/sessions', async (req, res) => {
     const sessionNumber = maxResult.rows[0].next_num;
 
     const result = await db.query(`
-      INSERT INTO sessions (workshop_id, session_number, name, description, module, agenda, question_count, topics)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      INSERT INTO sessions (workshop_id, session_number, name, description, module, agenda, question_count, topics,
+        checklist_template_id, question_template_id, language, planned_duration_minutes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
       RETURNING *
-    `, [workshopId, sessionNumber, name, description, module, agenda, question_count || 30, topics]);
+    `, [workshopId, sessionNumber, name, description, module, agenda, question_count || 30, topics,
+      parseInt(checklist_template_id) || null, parseInt(question_template_id) || null, normalizeLanguage(language),
+      parseInt(planned_duration_minutes) || null]);
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Error creating session:', error);
@@ -266,10 +361,13 @@ router.post('/:workshopId/sessions', async (req, res) => {
   }
 });
 
-router.put('/:workshopId/sessions/:sessionId', async (req, res) => {
+router.put('/:workshopId/sessions/:sessionId', manage, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { name, description, module, agenda, question_count, status, topics } = req.body;
+    const { name, description, module, agenda, question_count, status, topics, checklist_template_id, question_template_id, language, planned_duration_minutes } = req.body;
+    // Templates the session's checklist / questions are seeded from on the next generation
+    // language (en, ar or auto) applies to recordings transcribed from now on
+    // planned_duration_minutes is the scheduled length the question coach plans against
     const result = await db.query(`
       UPDATE sessions SET
         name = COALESCE($1, name),
@@ -279,10 +377,16 @@ router.put('/:workshopId/sessions/:sessionId', async (req, res) => {
         question_count = COALESCE($5, question_count),
         status = COALESCE($6, status),
         topics = $7,
+        checklist_template_id = $8,
+        question_template_id = $9,
+        language = COALESCE($11, language),
+        planned_duration_minutes = $12,
         updated_at = CURRENT_TIMESTAMP
-      WHERE id = $8
+      WHERE id = $10
       RETURNING *
-    `, [name, description, module, agenda, question_count, status, topics, sessionId]);
+    `, [name, description, module, agenda, question_count, status, topics,
+      parseInt(checklist_template_id) || null, parseInt(question_template_id) || null, sessionId,
+      language ? normalizeLanguage(language) : null, parseInt(planned_duration_minutes) || null]);
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Error updating session:', error);
@@ -290,7 +394,7 @@ router.put('/:workshopId/sessions/:sessionId', async (req, res) => {
   }
 });
 
-router.delete('/:workshopId/sessions/:sessionId', async (req, res) => {
+router.delete('/:workshopId/sessions/:sessionId', manage, async (req, res) => {
   try {
     const { sessionId } = req.params;
     await db.query('DELETE FROM sessions WHERE id = $1', [sessionId]);
@@ -302,320 +406,116 @@ router.delete('/:workshopId/sessions/:sessionId', async (req, res) => {
 });
 
 // ============================================
-// Generate Questions for a Session (with SSE progress)
+// AI Generation (background jobs)
 // ============================================
+// Generation runs in the job queue so it survives closed tabs and server restarts.
+// Each session has at most one active job per kind; starting again returns the
+// running job so the caller can follow its progress via /api/jobs.
+
+const enqueueForSession = (req, type, session, payload = {}, batchId = null) => enqueueJob(type, {
+  workshopId: session.workshop_id,
+  sessionId: session.id,
+  actor: req.user.name,
+  ...payload
+}, {
+  workshopId: session.workshop_id,
+  sessionId: session.id,
+  createdBy: req.user.id,
+  dedupeKey: `${type}:${session.id}`,
+  batchId
+});
 
-router.get('/:workshopId/sessions/:sessionId/generate-stream', async (req, res) => {
-  // Set up SSE
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
-
-  const sendEvent = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
-
+// Enqueue one job per session of the workshop, grouped in a batch
+const enqueueForWorkshop = async (req, type, payload = {}) => {
+  const sessionsResult = await db.query(
+    'SELECT id, workshop_id FROM sessions WHERE workshop_id = $1 ORDER BY session_number, id',
+    [req.params.workshopId]
+  );
+
+  const batchId = createBatchId();
+  const jobs = [];
+  for (const session of sessionsResult.rows) {
+    const { job } = await enqueueForSession(req, type, session, payload, batchId);
+    jobs.push(toPublicJob(job));
+  }
+  return { batchId, jobs };
+};
+
+const getWorkshopSession = async (workshopId, sessionId) => {
+  const result = await db.query(
+    'SELECT id, workshop_id FROM sessions WHERE id = $1 AND workshop_id = $2',
+    [sessionId, workshopId]
+  );
+  return result.rows[0] || null;
+};
+
+// Generate questions for every session (optionally with initial answer checklists)
+router.post('/:workshopId/generate-questions', manage, async (req, res) => {
   try {
-    const { workshopId, sessionId } = req.params;
-    const shouldGenerateChecklists = req.query.checklists === 'true'; // Disabled by default
-
-    sendEvent({ phase: 'init', message: 'Starting question generation...' });
-
-    // Get workshop
-    const workshopResult = await db.query('SELECT * FROM workshops WHERE id = $1', [workshopId]);
-    if (workshopResult.rows.length === 0) {
-      sendEvent({ phase: 'error', message: 'Workshop not found' });
-      res.end();
-      return;
-    }
-    const workshop = workshopResult.rows[0];
-
-    // Get session
-    const sessionResult = await db.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
-    if (sessionResult.rows.length === 0) {
-      sendEvent({ phase: 'error', message: 'Session not found' });
-      res.end();
-      return;
-    }
-    const session = sessionResult.rows[0];
-
-    // Get entities
-    const entitiesResult = await db.query('SELECT * FROM entities WHERE workshop_id = $1', [workshopId]);
-    const entities = entitiesResult.rows;
-
-    sendEvent({ phase: 'generating', message: 'Generating questions with AI...', progress: 10 });
-
-    // Generate questions
-    const generatedQuestions = await generateQuestions({
-      agenda: session.agenda || session.description,
-      entities,
-      audience: [],
-      module: session.module,
-      targetCount: session.question_count || workshop.questions_per_session || 30,
-      industryContext: workshop.industry_context,
-      customInstructions: workshop.custom_instructions,
-      sessionName: session.name,
-      topics: session.topics
-    });
-
-    sendEvent({ phase: 'saving', message: `Saving ${generatedQuestions.length} questions...`, progress: 30 });
-
-    // Delete existing questions and related data
-    await db.query('DELETE FROM questions WHERE session_id = $1', [sessionId]);
-
-    // Insert new questions
-    for (const q of generatedQuestions) {
-      let entityId = null;
-      if (q.entity_code) {
-        const entityMatch = entities.find(e => e.code.toUpperCase() === q.entity_code.toUpperCase());
-        if (entityMatch) entityId = entityMatch.id;
-      }
-
-      await db.query(`
-        INSERT INTO questions (session_id, entity_id, question_number, question_text, category_name, is_critical, sort_order)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-      `, [sessionId, entityId, q.question_number, q.question_text, q.category_name, q.is_critical, q.question_number]);
+    const result = await enqueueForWorkshop(req, 'session_questions', { withChecklists: req.body.checklists === true });
+    if (result.jobs.length === 0) {
+      return res.status(400).json({ error: 'Please add at least one session before generating questions.' });
     }
+    res.status(202).json(result);
+  } catch (error) {
+    console.error('Error starting question generation:', error);
+    res.status(500).json({ error: 'Failed to start question generation: ' + error.message });
+  }
+});
 
-    await db.query('UPDATE sessions SET questions_generated = TRUE WHERE id = $1', [sessionId]);
-
-    let successCount = 0;
-    let errorCount = 0;
-
-    if (shouldGenerateChecklists) {
-      sendEvent({ phase: 'checklists', message: 'Generating initial checklists...', progress: 40, questionCount: generatedQuestions.length });
-
-      // Generate checklists with progress updates
-      const config = workshop;
-      const questionsResult = await db.query(`
-        SELECT q.*, e.code as entity_code, e.name as entity_name, e.business_context,
-               s.name as session_name, s.module as session_module, s.description as session_description
-        FROM questions q
-        LEFT JOIN entities e ON q.entity_id = e.id
-        LEFT JOIN sessions s ON q.session_id = s.id
-        WHERE q.session_id = $1
-        ORDER BY q.question_number
-      `, [sessionId]);
-
-      const questions = questionsResult.rows;
-
-      for (let i = 0; i < questions.length; i++) {
-        const question = questions[i];
-        const progressPercent = 40 + Math.round((i / questions.length) * 55);
-
-        sendEvent({
-          phase: 'checklist',
-          message: `Generating checklist for Q${question.question_number}...`,
-          progress: progressPercent,
-          current: i + 1,
-          total: questions.length
-        });
-
-        try {
-          // Generate checklist for this question
-          const { generateChecklistForQuestion } = require('../services/checklistGenerator');
-          const checklist = await generateChecklistForQuestion(question, config);
-
-          // Create placeholder answer if none exists
-          let answerResult = await db.query('SELECT id FROM answers WHERE question_id = $1', [question.id]);
-          let answerId;
-
-          if (answerResult.rows.length === 0) {
-            const newAnswer = await db.query(
-              'INSERT INTO answers (question_id, status) VALUES ($1, $2) RETURNING id',
-              [question.id, 'pending']
-            );
-            answerId = newAnswer.rows[0].id;
-          } else {
-            answerId = answerResult.rows[0].id;
-          }
-
-          // Save initial observation
-          await db.query(`
-            INSERT INTO observations (answer_id, observation_number, obtained_info, missing_info, summary, raw_observation)
-            VALUES ($1, $2, $3, $4, $5, $6)
-          `, [
-            answerId,
-            0,
-            JSON.stringify([]),
-            JSON.stringify(checklist.missing_info),
-            checklist.summary,
-            checklist.raw
-          ]);
-
-          successCount++;
-        } catch (error) {
-          console.error(`Error generating checklist for Q${question.question_number}:`, error.message);
-          errorCount++;
-        }
-
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 300));
-      }
+// Generate questions for one session
+router.post('/:workshopId/sessions/:sessionId/generate', manage, async (req, res) => {
+  try {
+    const session = await getWorkshopSession(req.params.workshopId, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
-    const completeMessage = shouldGenerateChecklists
-      ? `Done! Generated ${generatedQuestions.length} questions with ${successCount} checklists.`
-      : `Done! Generated ${generatedQuestions.length} questions.`;
-
-    sendEvent({
-      phase: 'complete',
-      message: completeMessage,
-      progress: 100,
-      questionCount: generatedQuestions.length,
-      checklistSuccess: successCount,
-      checklistErrors: errorCount
+    const { job, created } = await enqueueForSession(req, 'session_questions', session, {
+      withChecklists: req.body.checklists === true
     });
-
-    res.end();
-
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
   } catch (error) {
-    console.error('Error in generate-stream:', error);
-    sendEvent({ phase: 'error', message: error.message });
-    res.end();
+    console.error('Error starting question generation:', error);
+    res.status(500).json({ error: 'Failed to start question generation: ' + error.message });
   }
 });
 
-// Keep the original POST endpoint for backwards compatibility
-router.post('/:workshopId/sessions/:sessionId/generate', async (req, res) => {
+// Generate the direct checklist for every session
+router.post('/:workshopId/generate-checklists', manage, async (req, res) => {
   try {
-    const { workshopId, sessionId } = req.params;
-
-    const workshopResult = await db.query('SELECT * FROM workshops WHERE id = $1', [workshopId]);
+    const workshopResult = await db.query('SELECT mission_statement FROM workshops WHERE id = $1', [req.params.workshopId]);
     if (workshopResult.rows.length === 0) {
       return res.status(404).json({ error: 'Workshop not found' });
     }
-    const workshop = workshopResult.rows[0];
-
-    const sessionResult = await db.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
-    if (sessionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Session not found' });
+    if (!workshopResult.rows[0].mission_statement) {
+      return res.status(400).json({ error: 'Mission statement is required for direct checklist mode. Please add a mission statement in Workshop Setup.' });
     }
-    const session = sessionResult.rows[0];
-
-    const entitiesResult = await db.query('SELECT * FROM entities WHERE workshop_id = $1', [workshopId]);
-    const entities = entitiesResult.rows;
-
-    const generatedQuestions = await generateQuestions({
-      agenda: session.agenda || session.description,
-      entities,
-      audience: [],
-      module: session.module,
-      targetCount: session.question_count || workshop.questions_per_session || 30,
-      industryContext: workshop.industry_context,
-      customInstructions: workshop.custom_instructions,
-      sessionName: session.name
-    });
-
-    await db.query('DELETE FROM questions WHERE session_id = $1', [sessionId]);
-
-    for (const q of generatedQuestions) {
-      let entityId = null;
-      if (q.entity_code) {
-        const entityMatch = entities.find(e => e.code.toUpperCase() === q.entity_code.toUpperCase());
-        if (entityMatch) entityId = entityMatch.id;
-      }
 
-      await db.query(`
-        INSERT INTO questions (session_id, entity_id, question_number, question_text, category_name, is_critical, sort_order)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-      `, [sessionId, entityId, q.question_number, q.question_text, q.category_name, q.is_critical, q.question_number]);
+    const result = await enqueueForWorkshop(req, 'session_checklist');
+    if (result.jobs.length === 0) {
+      return res.status(400).json({ error: 'Please add at least one session before generating a checklist.' });
     }
-
-    await db.query('UPDATE sessions SET questions_generated = TRUE WHERE id = $1', [sessionId]);
-
-    res.json({
-      success: true,
-      count: generatedQuestions.length,
-      message: `Generated ${generatedQuestions.length} questions.`
-    });
+    res.status(202).json(result);
   } catch (error) {
-    console.error('Error generating questions:', error);
-    res.status(500).json({ error: 'Failed to generate questions: ' + error.message });
+    console.error('Error starting checklist generation:', error);
+    res.status(500).json({ error: 'Failed to start checklist generation: ' + error.message });
   }
 });
 
-// ============================================
-// Generate Direct Checklist for a Session (with SSE progress)
-// ============================================
-
-router.get('/:workshopId/sessions/:sessionId/generate-checklist-stream', async (req, res) => {
-  // Set up SSE
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
-
-  const sendEvent = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
-
+// Generate the direct checklist for one session
+router.post('/:workshopId/sessions/:sessionId/generate-checklist', manage, async (req, res) => {
   try {
-    const { workshopId, sessionId } = req.params;
-
-    sendEvent({ phase: 'init', message: 'Starting checklist generation...' });
-
-    // Get workshop
-    const workshopResult = await db.query('SELECT * FROM workshops WHERE id = $1', [workshopId]);
-    if (workshopResult.rows.length === 0) {
-      sendEvent({ phase: 'error', message: 'Workshop not found' });
-      res.end();
-      return;
-    }
-    const workshop = workshopResult.rows[0];
-
-    // Check if mission statement exists
-    if (!workshop.mission_statement) {
-      sendEvent({ phase: 'error', message: 'Mission statement is required for direct checklist mode. Please add a mission statement in Workshop Setup.' });
-      res.end();
-      return;
-    }
-
-    // Get session
-    const sessionResult = await db.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
-    if (sessionResult.rows.length === 0) {
-      sendEvent({ phase: 'error', message: 'Session not found' });
-      res.end();
-      return;
+    const session = await getWorkshopSession(req.params.workshopId, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
-    const session = sessionResult.rows[0];
-
-    // Get entities
-    const entitiesResult = await db.query('SELECT * FROM entities WHERE workshop_id = $1', [workshopId]);
-    const entities = entitiesResult.rows;
-
-    sendEvent({ phase: 'generating', message: 'Generating exhaustive checklist with AI...', progress: 20 });
-
-    // Generate checklist items
-    const checklistItems = await generateDirectChecklist({
-      missionStatement: workshop.mission_statement,
-      module: session.module,
-      industryContext: workshop.industry_context,
-      customInstructions: workshop.custom_instructions,
-      sessionName: session.name,
-      topics: session.topics,
-      entities
-    });
-
-    sendEvent({ phase: 'saving', message: `Saving ${checklistItems.length} checklist items...`, progress: 80 });
-
-    // Save to database
-    const itemCount = await saveChecklistItems(sessionId, checklistItems);
-
-    sendEvent({
-      phase: 'complete',
-      message: `Done! Generated ${itemCount} checklist items.`,
-      progress: 100,
-      itemCount
-    });
-
-    res.end();
 
+    const { job, created } = await enqueueForSession(req, 'session_checklist', session);
+    res.status(created ? 202 : 200).json({ job: toPublicJob(job), created });
   } catch (error) {
-    console.error('Error in generate-checklist-stream:', error);
-    sendEvent({ phase: 'error', message: error.message });
-    res.end();
+    console.error('Error starting checklist generation:', error);
+    res.status(500).json({ error: 'Failed to start checklist generation: ' + error.message });
   }
 });
 
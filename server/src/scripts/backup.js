@@ -19,7 +19,9 @@ const { pipeline } = require('stream/promises');
 
 // Tables to backup in order (respects foreign key dependencies)
 const TABLES_IN_ORDER = [
+  'users',
   'workshops',
+  'workshop_members',
   'entities',
   'sessions',
   'questions',
@@ -0,0 +1,55 @@
+/**
+ * Create Admin Script - Bootstrap the first admin account
+ *
+ * Creates (or promotes/resets) an admin user so someone can sign in
+ * and manage the remaining accounts from the Users page.
+ *
+ * Usage: npm run user:create-admin -- <email> <password> [name]
+ *    or: ADMIN_EMAIL=... ADMIN_PASSWORD=... npm run user:create-admin
+ */
+
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { pool } = require('../models/db');
+
+const createAdmin = async () => {
+  const [argEmail, argPassword, ...nameParts] = process.argv.slice(2);
+  const email = argEmail || process.env.ADMIN_EMAIL;
+  const password = argPassword || process.env.ADMIN_PASSWORD;
+  const name = nameParts.join(' ') || process.env.ADMIN_NAME || 'Administrator';
+
+  if (!email || !password) {
+    throw new Error('Usage: npm run user:create-admin -- <email> <password> [name]');
+  }
+  if (password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+
+  const client = await pool.connect();
+  try {
+    const passwordHash = await bcrypt.hash(password, 10);
+    const result = await client.query(`
+      INSERT INTO users (email, name, password_hash, role)
+      VALUES ($1, $2, $3, 'admin')
+      ON CONFLICT (email) DO UPDATE SET
+        password_hash = EXCLUDED.password_hash,
+        role = 'admin',
+        is_active = TRUE,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING id, (xmax = 0) AS inserted
+    `, [email.trim(), name, passwordHash]);
+
+    const { id, inserted } = result.rows[0];
+    console.log(`${inserted ? 'Created' : 'Updated'} admin user ${email} (id ${id})`);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+};
+
+createAdmin()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Error creating admin:', error.message);
+    process.exit(1);
+  });
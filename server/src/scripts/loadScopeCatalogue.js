@@ -0,0 +1,33 @@
+/**
+ * Load Scope Catalogue Script - Load SAP scope items for fit-gap analysis
+ *
+ * Loads a scope item catalogue file into scope_catalogues / scope_items. Each file
+ * carries a version; a version that is already loaded is skipped, so publish changes
+ * under a new version. New analyses use the most recently loaded version.
+ *
+ * Usage: npm run catalogue:load [-- <file.json>]   (default: src/data/sapScopeItems.json)
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { pool } = require('../models/db');
+const { DEFAULT_CATALOGUE_FILE, loadScopeCatalogue } = require('../services/fitGapAnalysis');
+
+const loadCatalogue = async () => {
+  const filePath = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_CATALOGUE_FILE;
+  try {
+    const { catalogue, created } = await loadScopeCatalogue(filePath);
+    console.log(created
+      ? `Loaded catalogue ${catalogue.version} with ${catalogue.item_count} scope items`
+      : `Catalogue ${catalogue.version} is already loaded (${catalogue.item_count} scope items)`);
+  } finally {
+    await pool.end();
+  }
+};
+
+loadCatalogue()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Error loading scope catalogue:', error.message);
+    process.exit(1);
+  });
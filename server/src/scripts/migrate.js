@@ -270,6 +270,891 @@ const runMigrations = async () => {
       changesCount++;
     }
 
+    // ===========================================
+    // Migration 10: Add users table
+    // ===========================================
+    console.log('\nMigration 10: users table');
+    if (!await tableExists(client, 'users')) {
+      await client.query(`
+        CREATE TABLE users (
+          id SERIAL PRIMARY KEY,
+          email VARCHAR(255) NOT NULL UNIQUE,
+          name VARCHAR(255) NOT NULL,
+          password_hash VARCHAR(255) NOT NULL,
+          role VARCHAR(30) NOT NULL DEFAULT 'note_taker'
+            CHECK (role IN ('admin', 'lead_consultant', 'note_taker', 'client_viewer')),
+          is_active BOOLEAN DEFAULT TRUE,
+          last_login_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] users table');
+      changesCount++;
+    } else {
+      console.log('  [SKIP] users table already exists');
+    }
+
+    // ===========================================
+    // Migration 11: Add workshop_members table
+    // ===========================================
+    console.log('\nMigration 11: workshop_members table');
+    if (!await tableExists(client, 'workshop_members')) {
+      await client.query(`
+        CREATE TABLE workshop_members (
+          id SERIAL PRIMARY KEY,
+          workshop_id INTEGER REFERENCES workshops(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (workshop_id, user_id)
+        )
+      `);
+      console.log('  [CREATE] workshop_members table');
+      changesCount++;
+
+      // Create index
+      await createIndexIfNotExists(client, 'idx_workshop_members_user', 'workshop_members', 'user_id');
+      changesCount++;
+    } else {
+      console.log('  [SKIP] workshop_members table already exists');
+    }
+
+    // ===========================================
+    // Migration 12: Speaker attribution
+    // ===========================================
+    // Names are copied next to the participant ids so the source person survives
+    // participants being removed from the session (ids are set to NULL on delete)
+    console.log('\nMigration 12: speaker attribution columns');
+    if (await addColumnIfNotExists(client, 'session_recordings', 'speaker_turns', 'JSONB')) {
+      changesCount++;
+    }
+    if (await addColumnIfNotExists(client, 'session_checklist_items', 'obtained_participant_id',
+      'INTEGER REFERENCES workshop_participants(id) ON DELETE SET NULL')) {
+      changesCount++;
+    }
+    if (await addColumnIfNotExists(client, 'session_checklist_items', 'obtained_speaker', 'VARCHAR(255)')) {
+      changesCount++;
+    }
+    if (await addColumnIfNotExists(client, 'session_additional_findings', 'participant_id',
+      'INTEGER REFERENCES workshop_participants(id) ON DELETE SET NULL')) {
+      changesCount++;
+    }
+    if (await addColumnIfNotExists(client, 'session_additional_findings', 'source_speaker', 'VARCHAR(255)')) {
+      changesCount++;
+    }
+
+    // ===========================================
+    // Migration 13: AI replies kept for manual review
+    // ===========================================
+    // Replies that failed schema validation after retries. partial = TRUE when the
+    // valid part was still applied and only some entries were dropped
+    console.log('\nMigration 13: ai_response_reviews table');
+    if (!await tableExists(client, 'ai_response_reviews')) {
+      await client.query(`
+        CREATE TABLE ai_response_reviews (
+          id SERIAL PRIMARY KEY,
+          task VARCHAR(50) NOT NULL,
+          session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+          context JSONB DEFAULT '{}',
+          prompt TEXT,
+          raw_response TEXT,
+          errors JSONB DEFAULT '[]',
+          partial BOOLEAN DEFAULT FALSE,
+          status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'dismissed')),
+          resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          resolved_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] ai_response_reviews table');
+      changesCount++;
+
+      await createIndexIfNotExists(client, 'idx_ai_response_reviews_session', 'ai_response_reviews', 'session_id');
+      changesCount++;
+    } else {
+      console.log('  [SKIP] ai_response_reviews table already exists');
+    }
+
+    // ===========================================
+    // Migration 14: Background jobs
+    // ===========================================
+    // Long AI work (question/checklist generation, re-analysis, transcripts) runs
+    // from this table so it survives browser disconnects and server restarts.
+    // dedupe_key keeps one active job per target, e.g. one re-analysis per session
+    console.log('\nMigration 14: jobs table');
+    if (!await tableExists(client, 'jobs')) {
+      await client.query(`
+        CREATE TABLE jobs (
+          id SERIAL PRIMARY KEY,
+          type VARCHAR(50) NOT NULL,
+          status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+          payload JSONB DEFAULT '{}',
+          result JSONB,
+          error TEXT,
+          progress INTEGER DEFAULT 0,
+          progress_message TEXT,
+          progress_details JSONB DEFAULT '{}',
+          attempts INTEGER DEFAULT 0,
+          max_attempts INTEGER DEFAULT 3,
+          run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          locked_by VARCHAR(100),
+          heartbeat_at TIMESTAMP,
+          cancel_requested BOOLEAN DEFAULT FALSE,
+          workshop_id INTEGER REFERENCES workshops(id) ON DELETE CASCADE,
+          session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+          batch_id VARCHAR(36),
+          dedupe_key VARCHAR(200),
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          started_at TIMESTAMP,
+          finished_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] jobs table');
+      changesCount++;
+
+      await createIndexIfNotExists(client, 'idx_jobs_status_run_at', 'jobs', 'status, run_at');
+      await createIndexIfNotExists(client, 'idx_jobs_session', 'jobs', 'session_id');
+      await createIndexIfNotExists(client, 'idx_jobs_workshop', 'jobs', 'workshop_id');
+      await createIndexIfNotExists(client, 'idx_jobs_batch', 'jobs', 'batch_id');
+      await client.query(`
+        CREATE UNIQUE INDEX idx_jobs_active_dedupe ON jobs(dedupe_key)
+        WHERE status IN ('queued', 'running')
+      `);
+      console.log('  [ADD] Unique index idx_jobs_active_dedupe on active jobs(dedupe_key)');
+      changesCount++;
+    } else {
+      console.log('  [SKIP] jobs table already exists');
+    }
+
+    // ===========================================
+    // Migration 15: Checklist item evidence history
+    // ===========================================
+    // Append-only: every status change of a checklist item stores the resulting
+    // values plus where they came from, so overwritten or reset answers can be
+    // reviewed and restored. source is where the change came from (audio, live,
+    // document, reanalysis, manual, revert); obtained_source is the item value
+    console.log('\nMigration 15: session_checklist_item_history table');
+    if (!await tableExists(client, 'session_checklist_item_history')) {
+      await client.query(`
+        CREATE TABLE session_checklist_item_history (
+          id SERIAL PRIMARY KEY,
+          item_id INTEGER REFERENCES session_checklist_items(id) ON DELETE CASCADE,
+          session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+          action VARCHAR(20) NOT NULL CHECK (action IN ('baseline', 'obtained', 'reset', 'manual', 'reverted')),
+          status VARCHAR(20),
+          obtained_text TEXT,
+          obtained_confidence VARCHAR(20),
+          obtained_source VARCHAR(50),
+          obtained_participant_id INTEGER REFERENCES workshop_participants(id) ON DELETE SET NULL,
+          obtained_speaker VARCHAR(255),
+          source VARCHAR(50),
+          recording_id INTEGER REFERENCES session_recordings(id) ON DELETE SET NULL,
+          document_id INTEGER REFERENCES session_documents(id) ON DELETE SET NULL,
+          source_quote TEXT,
+          reason TEXT,
+          actor_type VARCHAR(20) DEFAULT 'ai' CHECK (actor_type IN ('ai', 'user', 'system')),
+          actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          actor_name VARCHAR(255),
+          reverted_from_id INTEGER REFERENCES session_checklist_item_history(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] session_checklist_item_history table');
+      changesCount++;
+
+      await createIndexIfNotExists(client, 'idx_checklist_history_item', 'session_checklist_item_history', 'item_id, created_at');
+      await createIndexIfNotExists(client, 'idx_checklist_history_session', 'session_checklist_item_history', 'session_id');
+
+      // Start the trail of already obtained items from their current values
+      const baseline = await client.query(`
+        INSERT INTO session_checklist_item_history
+          (item_id, session_id, action, status, obtained_text, obtained_confidence, obtained_source,
+           obtained_participant_id, obtained_speaker, source, actor_type, created_at)
+        SELECT id, session_id, 'baseline', status, obtained_text, obtained_confidence, obtained_source,
+               obtained_participant_id, obtained_speaker, obtained_source, 'system', COALESCE(obtained_at, created_at)
+        FROM session_checklist_items
+        WHERE status = 'obtained'
+      `);
+      console.log(`  [ADD] Baseline history for ${baseline.rowCount} obtained items`);
+      changesCount++;
+    } else {
+      console.log('  [SKIP] session_checklist_item_history table already exists');
+    }
+
+    // ===========================================
+    // Migration 16: Search index
+    // ===========================================
+    // One row per searchable chunk of a transcript, finding, obtained checklist item or
+    // document. Rebuilt per session by the search_index job; embeddings are normalized
+    // so their dot product is the cosine similarity (no pgvector extension needed)
+    console.log('\nMigration 16: search_chunks table');
+    if (!await tableExists(client, 'search_chunks')) {
+      await client.query(`
+        CREATE TABLE search_chunks (
+          id SERIAL PRIMARY KEY,
+          workshop_id INTEGER REFERENCES workshops(id) ON DELETE CASCADE,
+          session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+          source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('transcript', 'finding', 'checklist_item', 'document')),
+          source_id INTEGER NOT NULL,
+          chunk_index INTEGER DEFAULT 0,
+          title TEXT,
+          content TEXT NOT NULL,
+          content_hash VARCHAR(64) NOT NULL,
+          start_seconds INTEGER,
+          end_seconds INTEGER,
+          entity_ids INTEGER[] DEFAULT '{}',
+          embedding REAL[],
+          embedding_model VARCHAR(100),
+          search_vector TSVECTOR GENERATED ALWAYS AS (
+            to_tsvector('english', COALESCE(title, '') || ' ' || content)
+          ) STORED,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(source_type, source_id, chunk_index)
+        )
+      `);
+      console.log('  [CREATE] search_chunks table');
+      changesCount++;
+
+      await createIndexIfNotExists(client, 'idx_search_chunks_session', 'search_chunks', 'session_id');
+      await createIndexIfNotExists(client, 'idx_search_chunks_workshop', 'search_chunks', 'workshop_id');
+      await client.query('CREATE INDEX idx_search_chunks_vector ON search_chunks USING GIN(search_vector)');
+      console.log('  [ADD] GIN index idx_search_chunks_vector on search_chunks(search_vector)');
+      await client.query('CREATE INDEX idx_search_chunks_entities ON search_chunks USING GIN(entity_ids)');
+      console.log('  [ADD] GIN index idx_search_chunks_entities on search_chunks(entity_ids)');
+      changesCount++;
+    } else {
+      console.log('  [SKIP] search_chunks table already exists');
+    }
+
+    // Sessions changed after search_indexed_at are picked up again by the index job
+    if (await addColumnIfNotExists(client, 'sessions', 'search_dirty_at', 'TIMESTAMP')) {
+      changesCount++;
+    }
+    if (await addColumnIfNotExists(client, 'sessions', 'search_indexed_at', 'TIMESTAMP')) {
+      changesCount++;
+    }
+
+    // ===========================================
+    // Migration 17: Checklist & question template library
+    // ===========================================
+    // session_templates (created by the admin v2 setup, unused until now) becomes a
+    // library of reviewed checklists and question sets. Each save is a new row; rows
+    // sharing a template_key are the versions of one template. Legacy scheduling rows
+    // have no template_key and stay out of the library
+    console.log('\nMigration 17: session_templates library columns');
+    if (!await tableExists(client, 'session_templates')) {
+      await client.query(`
+        CREATE TABLE session_templates (
+          id SERIAL PRIMARY KEY,
+          module VARCHAR(100) NOT NULL,
+          name VARCHAR(255) NOT NULL,
+          description TEXT,
+          default_duration VARCHAR(100) DEFAULT '2 hours',
+          suggested_question_count INTEGER DEFAULT 30,
+          sort_order INTEGER DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] session_templates table');
+      changesCount++;
+    }
+
+    const templateColumns = [
+      ['template_key', 'VARCHAR(36)'],
+      ['version', 'INTEGER DEFAULT 1'],
+      ['kind', "VARCHAR(20) DEFAULT 'checklist' CHECK (kind IN ('checklist', 'questions'))"],
+      ['industry', 'VARCHAR(255)'],
+      ['tags', "TEXT[] DEFAULT '{}'"],
+      ['items', "JSONB DEFAULT '[]'"],
+      ['item_count', 'INTEGER DEFAULT 0'],
+      ['notes', 'TEXT'],
+      ['source_session_id', 'INTEGER REFERENCES sessions(id) ON DELETE SET NULL'],
+      ['created_by', 'INTEGER REFERENCES users(id) ON DELETE SET NULL']
+    ];
+    for (const [column, definition] of templateColumns) {
+      if (await addColumnIfNotExists(client, 'session_templates', column, definition)) {
+        changesCount++;
+      }
+    }
+    if (!await indexExists(client, 'idx_session_templates_version')) {
+      await client.query('CREATE UNIQUE INDEX idx_session_templates_version ON session_templates(template_key, version)');
+      console.log('  [ADD] Unique index idx_session_templates_version on session_templates(template_key, version)');
+      changesCount++;
+    }
+
+    // Template a session is seeded from when its checklist / questions are generated
+    if (await addColumnIfNotExists(client, 'sessions', 'checklist_template_id', 'INTEGER REFERENCES session_templates(id) ON DELETE SET NULL')) {
+      changesCount++;
+    }
+    if (await addColumnIfNotExists(client, 'sessions', 'question_template_id', 'INTEGER REFERENCES session_templates(id) ON DELETE SET NULL')) {
+      changesCount++;
+    }
+
+    // 'template' rows were copied from the template, 'ai' rows were generated to fill gaps
+    if (await addColumnIfNotExists(client, 'session_checklist_items', 'origin', "VARCHAR(20) DEFAULT 'ai'")) {
+      changesCount++;
+    }
+    if (await addColumnIfNotExists(client, 'questions', 'origin', "VARCHAR(20) DEFAULT 'ai'")) {
+      changesCount++;
+    }
+
+    // ===========================================
+    // Migration 18: Resumable recording uploads
+    // ===========================================
+    // Clients queue chunks locally and may upload the same chunk again after a dropped
+    // connection or a reload; client_chunk_id makes the upload idempotent. Like documents,
+    // an analyzed recording returns its stored counts instead of being analyzed twice.
+    // analysis_started_at claims a recording so concurrent analyze requests run it once
+    console.log('\nMigration 18: session_recordings upload idempotency');
+    const recordingColumns = [
+      ['client_chunk_id', 'VARCHAR(64)'],
+      ['analyzed_at', 'TIMESTAMP'],
+      ['analysis_started_at', 'TIMESTAMP'],
+      ['obtained_count', 'INTEGER'],
+      ['findings_count', 'INTEGER']
+    ];
+    for (const [column, definition] of recordingColumns) {
+      if (await addColumnIfNotExists(client, 'session_recordings', column, definition)) {
+        changesCount++;
+      }
+    }
+    if (!await indexExists(client, 'idx_session_recordings_client_chunk')) {
+      await client.query(`
+        CREATE UNIQUE INDEX idx_session_recordings_client_chunk
+        ON session_recordings(session_id, client_chunk_id)
+        WHERE client_chunk_id IS NOT NULL
+      `);
+      console.log('  [ADD] Unique index idx_session_recordings_client_chunk on session_recordings(session_id, client_chunk_id)');
+      changesCount++;
+    }
+
+    // ===========================================
+    // Migration 19: Session language
+    // ===========================================
+    // en, ar or auto (bilingual, detected per chunk). Evidence stays in English;
+    // quotes spoken in Arabic keep their original wording next to the translation
+    console.log('\nMigration 19: session language and original-language quotes');
+    const languageColumns = [
+      ['sessions', 'language', "VARCHAR(10) DEFAULT 'en'"],
+      ['session_recordings', 'detected_language', 'VARCHAR(10)'],
+      ['session_checklist_items', 'obtained_quote_original', 'TEXT'],
+      ['session_checklist_item_history', 'source_quote_original', 'TEXT'],
+      ['session_additional_findings', 'source_quote_original', 'TEXT']
+    ];
+    for (const [table, column, definition] of languageColumns) {
+      if (await addColumnIfNotExists(client, table, column, definition)) {
+        changesCount++;
+      }
+    }
+
+    // ===========================================
+    // Migration 20: Rolling session memory
+    // ===========================================
+    // Analysis prompts carry a structured memory of the session instead of every earlier
+    // transcript: one summary + facts row per analyzed recording, and a rolling summary
+    // with the open threads (questions not yet answered) per session
+    console.log('\nMigration 20: session memory tables');
+    if (!await tableExists(client, 'session_memory_chunks')) {
+      await client.query(`
+        CREATE TABLE session_memory_chunks (
+          id SERIAL PRIMARY KEY,
+          session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+          recording_id INTEGER UNIQUE REFERENCES session_recordings(id) ON DELETE CASCADE,
+          chunk_index INTEGER DEFAULT 0,
+          summary TEXT NOT NULL,
+          facts JSONB DEFAULT '[]',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] session_memory_chunks table');
+      changesCount++;
+
+      await createIndexIfNotExists(client, 'idx_session_memory_chunks_session', 'session_memory_chunks', 'session_id');
+    }
+
+    if (!await tableExists(client, 'session_memory')) {
+      await client.query(`
+        CREATE TABLE session_memory (
+          session_id INTEGER PRIMARY KEY REFERENCES sessions(id) ON DELETE CASCADE,
+          summary TEXT,
+          open_threads JSONB DEFAULT '[]',
+          next_thread_number INTEGER DEFAULT 1,
+          chunks_covered INTEGER DEFAULT 0,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] session_memory table');
+      changesCount++;
+    }
+
+    // A recording whose summary failed keeps its whole transcript as the chunk text
+    if (await addColumnIfNotExists(client, 'session_memory_chunks', 'summarized', 'BOOLEAN DEFAULT TRUE')) {
+      changesCount++;
+    }
+
+    // ===========================================
+    // Migration 21: Sectioned document analysis
+    // ===========================================
+    // Documents are analyzed whole, section by section; obtained items and findings keep
+    // the document and the page / sheet rows / section they came from
+    console.log('\nMigration 21: document sections and evidence references');
+    const referenceColumns = [
+      ['session_documents', 'page_count', 'INTEGER'],
+      ['session_documents', 'section_count', 'INTEGER'],
+      ['session_checklist_items', 'obtained_document_id', 'INTEGER REFERENCES session_documents(id) ON DELETE SET NULL'],
+      ['session_checklist_items', 'obtained_reference', 'VARCHAR(255)'],
+      ['session_checklist_item_history', 'source_reference', 'VARCHAR(255)'],
+      ['session_additional_findings', 'document_id', 'INTEGER REFERENCES session_documents(id) ON DELETE SET NULL'],
+      ['session_additional_findings', 'source_reference', 'VARCHAR(255)']
+    ];
+    for (const [table, column, definition] of referenceColumns) {
+      if (await addColumnIfNotExists(client, table, column, definition)) {
+        changesCount++;
+      }
+    }
+
+    // ===========================================
+    // Migration 22: OCR of scanned documents
+    // ===========================================
+    // Pages without a text layer and photos are read with OCR; the mean confidence is kept
+    // so poor scans are flagged, and a failed analysis keeps its reason
+    console.log('\nMigration 22: OCR confidence on session documents');
+    const ocrColumns = [
+      ['ocr_section_count', 'INTEGER'],
+      ['ocr_confidence', 'REAL'],
+      ['ocr_low_confidence', 'BOOLEAN DEFAULT FALSE'],
+      ['analysis_error', 'TEXT']
+    ];
+    for (const [column, definition] of ocrColumns) {
+      if (await addColumnIfNotExists(client, 'session_documents', column, definition)) {
+        changesCount++;
+      }
+    }
+
+    // ===========================================
+    // Migration 23: Key Design Specification (KDS) documents
+    // ===========================================
+    // One generated KDS per workshop and module, assembled from the obtained checklist
+    // items, findings and session memory of the module's sessions; regenerating replaces
+    // the content and bumps the version
+    console.log('\nMigration 23: kds_documents table');
+    if (!await tableExists(client, 'kds_documents')) {
+      await client.query(`
+        CREATE TABLE kds_documents (
+          id SERIAL PRIMARY KEY,
+          workshop_id INTEGER REFERENCES workshops(id) ON DELETE CASCADE,
+          module VARCHAR(100) NOT NULL,
+          version INTEGER DEFAULT 1,
+          content JSONB DEFAULT '{}',
+          source_counts JSONB DEFAULT '{}',
+          review_id INTEGER REFERENCES ai_response_reviews(id) ON DELETE SET NULL,
+          generated_by VARCHAR(255),
+          generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(workshop_id, module)
+        )
+      `);
+      console.log('  [CREATE] kds_documents table');
+      changesCount++;
+    } else {
+      console.log('  [SKIP] kds_documents table already exists');
+    }
+
+    // ===========================================
+    // Migration 24: Business Process Master List (BPML)
+    // ===========================================
+    // Hierarchical process list per session: L1 value chain > L2 scenario > L3 process >
+    // L4 step. Generated from the session's findings and memory, then edited by consultants.
+    // entity_ids lists the entities a node applies to (empty = all entities of the workshop)
+    console.log('\nMigration 24: bpml_nodes table');
+    if (!await tableExists(client, 'bpml_nodes')) {
+      await client.query(`
+        CREATE TABLE bpml_nodes (
+          id SERIAL PRIMARY KEY,
+          session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+          parent_id INTEGER REFERENCES bpml_nodes(id) ON DELETE CASCADE,
+          level SMALLINT NOT NULL CHECK (level BETWEEN 1 AND 4),
+          name VARCHAR(500) NOT NULL,
+          description TEXT,
+          sap_module VARCHAR(50),
+          process_owner VARCHAR(255),
+          entity_ids INTEGER[] DEFAULT '{}',
+          source VARCHAR(20) DEFAULT 'ai' CHECK (source IN ('ai', 'manual')),
+          source_refs JSONB DEFAULT '[]',
+          sort_order INTEGER DEFAULT 0,
+          updated_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] bpml_nodes table');
+      changesCount++;
+
+      await createIndexIfNotExists(client, 'idx_bpml_nodes_session', 'bpml_nodes', 'session_id');
+      await createIndexIfNotExists(client, 'idx_bpml_nodes_parent', 'bpml_nodes', 'parent_id');
+    } else {
+      console.log('  [SKIP] bpml_nodes table already exists');
+    }
+
+    // ===========================================
+    // Migration 25: RICEFW register
+    // ===========================================
+    // Custom development objects (reports, interfaces, conversions, enhancements, forms,
+    // workflows) per workshop. Proposed by the AI from findings and checklist answers with
+    // their evidence, then accepted, merged into another object or rejected by consultants.
+    // number is assigned per workshop and type on acceptance (R-001, I-002, ...)
+    console.log('\nMigration 25: ricefw_objects table');
+    if (!await tableExists(client, 'ricefw_objects')) {
+      await client.query(`
+        CREATE TABLE ricefw_objects (
+          id SERIAL PRIMARY KEY,
+          workshop_id INTEGER REFERENCES workshops(id) ON DELETE CASCADE,
+          session_id INTEGER REFERENCES sessions(id) ON DELETE SET NULL,
+          object_type VARCHAR(20) NOT NULL CHECK (object_type IN ('report', 'interface', 'conversion', 'enhancement', 'form', 'workflow')),
+          number INTEGER,
+          title VARCHAR(500) NOT NULL,
+          description TEXT,
+          rationale TEXT,
+          complexity VARCHAR(20) DEFAULT 'medium' CHECK (complexity IN ('low', 'medium', 'high', 'very_high')),
+          sap_module VARCHAR(50),
+          estimate_days NUMERIC(6,1),
+          evidence JSONB DEFAULT '[]',
+          status VARCHAR(20) DEFAULT 'proposed' CHECK (status IN ('proposed', 'accepted', 'rejected', 'merged')),
+          merged_into_id INTEGER REFERENCES ricefw_objects(id) ON DELETE SET NULL,
+          source VARCHAR(20) DEFAULT 'ai' CHECK (source IN ('ai', 'manual')),
+          review_id INTEGER REFERENCES ai_response_reviews(id) ON DELETE SET NULL,
+          decided_by VARCHAR(255),
+          decided_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] ricefw_objects table');
+      changesCount++;
+
+      await createIndexIfNotExists(client, 'idx_ricefw_objects_workshop', 'ricefw_objects', 'workshop_id');
+    } else {
+      console.log('  [SKIP] ricefw_objects table already exists');
+    }
+
+    // ===========================================
+    // Migration 26: SAP scope item catalogue and fit-gap results
+    // ===========================================
+    // Scope items are loaded from a local catalogue file (npm run catalogue:load); every
+    // load is a version of its own so fit-gap results stay tied to the catalogue they were
+    // classified against. fitgap_results holds one row per session finding or obtained
+    // checklist answer: fit, partial_fit or gap against a scope item, with the rationale.
+    // entity_ids lists the entities a result applies to (empty = all entities)
+    console.log('\nMigration 26: scope_catalogues, scope_items and fitgap_results tables');
+    if (!await tableExists(client, 'scope_catalogues')) {
+      await client.query(`
+        CREATE TABLE scope_catalogues (
+          id SERIAL PRIMARY KEY,
+          version VARCHAR(100) UNIQUE NOT NULL,
+          name VARCHAR(255),
+          description TEXT,
+          source_file VARCHAR(500),
+          item_count INTEGER DEFAULT 0,
+          loaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] scope_catalogues table');
+      changesCount++;
+    } else {
+      console.log('  [SKIP] scope_catalogues table already exists');
+    }
+
+    if (!await tableExists(client, 'scope_items')) {
+      await client.query(`
+        CREATE TABLE scope_items (
+          id SERIAL PRIMARY KEY,
+          catalogue_id INTEGER REFERENCES scope_catalogues(id) ON DELETE CASCADE,
+          code VARCHAR(20) NOT NULL,
+          name VARCHAR(255) NOT NULL,
+          sap_module VARCHAR(50),
+          line_of_business VARCHAR(100),
+          description TEXT,
+          processes JSONB DEFAULT '[]',
+          UNIQUE (catalogue_id, code)
+        )
+      `);
+      console.log('  [CREATE] scope_items table');
+      changesCount++;
+    } else {
+      console.log('  [SKIP] scope_items table already exists');
+    }
+
+    if (!await tableExists(client, 'fitgap_results')) {
+      await client.query(`
+        CREATE TABLE fitgap_results (
+          id SERIAL PRIMARY KEY,
+          session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+          catalogue_id INTEGER REFERENCES scope_catalogues(id) ON DELETE CASCADE,
+          source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('finding', 'checklist_item')),
+          source_id INTEGER NOT NULL,
+          requirement TEXT NOT NULL,
+          detail TEXT,
+          scope_item_id INTEGER REFERENCES scope_items(id) ON DELETE SET NULL,
+          classification VARCHAR(20) NOT NULL CHECK (classification IN ('fit', 'partial_fit', 'gap')),
+          rationale TEXT,
+          sap_module VARCHAR(50),
+          entity_ids INTEGER[] DEFAULT '{}',
+          review_id INTEGER REFERENCES ai_response_reviews(id) ON DELETE SET NULL,
+          reviewed_by VARCHAR(255),
+          reviewed_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (session_id, source_type, source_id)
+        )
+      `);
+      console.log('  [CREATE] fitgap_results table');
+      changesCount++;
+
+      await createIndexIfNotExists(client, 'idx_fitgap_results_session', 'fitgap_results', 'session_id');
+    } else {
+      console.log('  [SKIP] fitgap_results table already exists');
+    }
+
+    // ===========================================
+    // Migration 27: Per-entity answers and harmonization
+    // ===========================================
+    // In multi-company workshops a checklist item can be answered differently per entity.
+    // checklist_entity_answers holds one answer per item and entity (typed by consultants
+    // or split from the session's answers by the AI). checklist_harmonization holds the
+    // AI's divergence assessment of those answers and the design team's decision to use
+    // one global template or local variants
+    console.log('\nMigration 27: checklist_entity_answers and checklist_harmonization tables');
+    if (!await tableExists(client, 'checklist_entity_answers')) {
+      await client.query(`
+        CREATE TABLE checklist_entity_answers (
+          id SERIAL PRIMARY KEY,
+          checklist_item_id INTEGER REFERENCES session_checklist_items(id) ON DELETE CASCADE,
+          entity_id INTEGER REFERENCES entities(id) ON DELETE CASCADE,
+          answer_text TEXT NOT NULL,
+          source VARCHAR(20) DEFAULT 'manual' CHECK (source IN ('ai', 'manual')),
+          updated_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (checklist_item_id, entity_id)
+        )
+      `);
+      console.log('  [CREATE] checklist_entity_answers table');
+      changesCount++;
+    } else {
+      console.log('  [SKIP] checklist_entity_answers table already exists');
+    }
+
+    if (!await tableExists(client, 'checklist_harmonization')) {
+      await client.query(`
+        CREATE TABLE checklist_harmonization (
+          checklist_item_id INTEGER PRIMARY KEY REFERENCES session_checklist_items(id) ON DELETE CASCADE,
+          divergence VARCHAR(20) CHECK (divergence IN ('aligned', 'minor', 'divergent')),
+          summary TEXT,
+          assessed_at TIMESTAMP,
+          review_id INTEGER REFERENCES ai_response_reviews(id) ON DELETE SET NULL,
+          decision VARCHAR(20) CHECK (decision IN ('global', 'local')),
+          decision_note TEXT,
+          decided_by VARCHAR(255),
+          decided_at TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] checklist_harmonization table');
+      changesCount++;
+    } else {
+      console.log('  [SKIP] checklist_harmonization table already exists');
+    }
+
+    // ===========================================
+    // Migration 28: Pre-work questionnaire
+    // ===========================================
+    // Before the workshop the session's checklist is sent through the share portal as a
+    // questionnaire. Process owners type an answer per item (prework_answers) and can
+    // upload a document per item (session_documents.prework_item_id). Submitted answers
+    // are analyzed like recordings and obtain items with source 'prework'
+    console.log('\nMigration 28: Pre-work questionnaire');
+    const preworkSessionColumns = [
+      ['prework_open', 'BOOLEAN DEFAULT FALSE'],
+      ['prework_due_date', 'DATE'],
+      ['prework_instructions', 'TEXT']
+    ];
+    for (const [column, definition] of preworkSessionColumns) {
+      if (await addColumnIfNotExists(client, 'sessions', column, definition)) {
+        changesCount++;
+      }
+    }
+    if (await addColumnIfNotExists(client, 'session_documents', 'prework_item_id', 'INTEGER REFERENCES session_checklist_items(id) ON DELETE SET NULL')) {
+      changesCount++;
+    }
+
+    if (!await tableExists(client, 'prework_answers')) {
+      await client.query(`
+        CREATE TABLE prework_answers (
+          id SERIAL PRIMARY KEY,
+          session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+          checklist_item_id INTEGER UNIQUE REFERENCES session_checklist_items(id) ON DELETE CASCADE,
+          answer_text TEXT NOT NULL,
+          status VARCHAR(20) DEFAULT 'draft'
+            CHECK (status IN ('draft', 'submitted', 'obtained', 'insufficient', 'already_obtained')),
+          outcome_note TEXT,
+          answered_by VARCHAR(255),
+          answered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          submitted_at TIMESTAMP,
+          processed_at TIMESTAMP,
+          review_id INTEGER REFERENCES ai_response_reviews(id) ON DELETE SET NULL
+        )
+      `);
+      console.log('  [CREATE] prework_answers table');
+      changesCount++;
+
+      await createIndexIfNotExists(client, 'idx_prework_answers_session', 'prework_answers', 'session_id');
+    } else {
+      console.log('  [SKIP] prework_answers table already exists');
+    }
+
+    // ===========================================
+    // Migration 29: Planned session duration
+    // ===========================================
+    // Minutes the session is scheduled for. The question coach compares it with the time
+    // already recorded to warn when critical items will not fit in the time left
+    console.log('\nMigration 29: Planned session duration');
+    if (await addColumnIfNotExists(client, 'sessions', 'planned_duration_minutes', 'INTEGER')) {
+      changesCount++;
+    }
+
+    // ===========================================
+    // Migration 30: Session agenda slots
+    // ===========================================
+    // Time-boxed agenda of a session: one slot per checklist category with its planned
+    // minutes, in the order the categories are discussed. Actual time per category is
+    // derived from the recordings, so only the plan is stored
+    console.log('\nMigration 30: Session agenda slots');
+    if (!await tableExists(client, 'session_agenda_slots')) {
+      await client.query(`
+        CREATE TABLE session_agenda_slots (
+          id SERIAL PRIMARY KEY,
+          session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          category VARCHAR(255) NOT NULL,
+          planned_minutes INTEGER NOT NULL CHECK (planned_minutes > 0),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(session_id, category)
+        )
+      `);
+      console.log('  [CREATE] session_agenda_slots table');
+      changesCount++;
+
+      await createIndexIfNotExists(client, 'idx_session_agenda_slots_session', 'session_agenda_slots', 'session_id');
+    } else {
+      console.log('  [SKIP] session_agenda_slots table already exists');
+    }
+
+    // ===========================================
+    // Migration 31: Structured values of checklist items
+    // ===========================================
+    // Typed data behind an obtained item's prose: counts, lists of named objects, thresholds,
+    // currencies and frequencies, with units and the entity they apply to. Extracted with
+    // the answer (source of the item) or entered by consultants (source 'manual')
+    console.log('\nMigration 31: Structured values of checklist items');
+    if (!await tableExists(client, 'checklist_item_values')) {
+      await client.query(`
+        CREATE TABLE checklist_item_values (
+          id SERIAL PRIMARY KEY,
+          session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+          checklist_item_id INTEGER REFERENCES session_checklist_items(id) ON DELETE CASCADE,
+          entity_id INTEGER REFERENCES entities(id) ON DELETE SET NULL,
+          value_key VARCHAR(100) NOT NULL,
+          label VARCHAR(255),
+          value_type VARCHAR(20) NOT NULL
+            CHECK (value_type IN ('count', 'list', 'threshold', 'currency', 'frequency')),
+          value_number NUMERIC,
+          value_text VARCHAR(255),
+          value_items JSONB,
+          unit VARCHAR(50),
+          object_type VARCHAR(100),
+          source VARCHAR(50),
+          confidence VARCHAR(20),
+          updated_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] checklist_item_values table');
+      changesCount++;
+
+      await createIndexIfNotExists(client, 'idx_checklist_item_values_item', 'checklist_item_values', 'checklist_item_id');
+      await createIndexIfNotExists(client, 'idx_checklist_item_values_session', 'checklist_item_values', 'session_id');
+    } else {
+      console.log('  [SKIP] checklist_item_values table already exists');
+    }
+
+    // ===========================================
+    // Migration 32: Enterprise structure
+    // ===========================================
+    // SAP organizational units per workshop (company codes, plants, storage locations, sales
+    // and purchasing organizations ...). parent_id is the unit's single assignment (plant to
+    // company code); enterprise_structure_links hold the many-to-many ones (purchasing
+    // organization to plants). Proposed from checklist answers and findings, then edited
+    console.log('\nMigration 32: Enterprise structure');
+    if (!await tableExists(client, 'enterprise_structure_nodes')) {
+      await client.query(`
+        CREATE TABLE enterprise_structure_nodes (
+          id SERIAL PRIMARY KEY,
+          workshop_id INTEGER REFERENCES workshops(id) ON DELETE CASCADE,
+          parent_id INTEGER REFERENCES enterprise_structure_nodes(id) ON DELETE SET NULL,
+          node_type VARCHAR(50) NOT NULL,
+          code VARCHAR(20),
+          name VARCHAR(255) NOT NULL,
+          description TEXT,
+          entity_id INTEGER REFERENCES entities(id) ON DELETE SET NULL,
+          attributes JSONB DEFAULT '{}',
+          source VARCHAR(20) DEFAULT 'ai' CHECK (source IN ('ai', 'manual')),
+          source_refs JSONB DEFAULT '[]',
+          sort_order INTEGER DEFAULT 0,
+          updated_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('  [CREATE] enterprise_structure_nodes table');
+      changesCount++;
+
+      await createIndexIfNotExists(client, 'idx_enterprise_structure_nodes_workshop', 'enterprise_structure_nodes', 'workshop_id');
+      await createIndexIfNotExists(client, 'idx_enterprise_structure_nodes_parent', 'enterprise_structure_nodes', 'parent_id');
+    } else {
+      console.log('  [SKIP] enterprise_structure_nodes table already exists');
+    }
+
+    if (!await tableExists(client, 'enterprise_structure_links')) {
+      await client.query(`
+        CREATE TABLE enterprise_structure_links (
+          id SERIAL PRIMARY KEY,
+          from_node_id INTEGER REFERENCES enterprise_structure_nodes(id) ON DELETE CASCADE,
+          to_node_id INTEGER REFERENCES enterprise_structure_nodes(id) ON DELETE CASCADE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(from_node_id, to_node_id)
+        )
+      `);
+      console.log('  [CREATE] enterprise_structure_links table');
+      changesCount++;
+    } else {
+      console.log('  [SKIP] enterprise_structure_links table already exists');
+    }
+
+    // ===========================================
+    // Migration 33: Transcript file bookkeeping
+    // ===========================================
+    // A recording whose analysis is retried must not be appended to the session transcript
+    // file twice, nor skipped when the first attempt failed before appending it
+    console.log('\nMigration 33: session_recordings.transcript_appended_at');
+    if (await addColumnIfNotExists(client, 'session_recordings', 'transcript_appended_at', 'TIMESTAMP')) {
+      // Recordings transcribed before this column existed were appended right away
+      await client.query('UPDATE session_recordings SET transcript_appended_at = created_at WHERE transcription IS NOT NULL');
+      changesCount++;
+    }
+
     await client.query('COMMIT');
 
     console.log('\n========================================');
@@ -319,6 +1204,85 @@ const runMigrations = async () => {
     const bestPracticeCol = await columnExists(client, 'session_checklist_items', 'best_practice');
     console.log(`  - session_checklist_items.best_practice: ${bestPracticeCol ? 'EXISTS' : 'MISSING'}`);
 
+    const usersTable = await tableExists(client, 'users');
+    console.log(`  - users table: ${usersTable ? 'EXISTS' : 'MISSING'}`);
+
+    const membersTable = await tableExists(client, 'workshop_members');
+    console.log(`  - workshop_members table: ${membersTable ? 'EXISTS' : 'MISSING'}`);
+
+    const speakerCol = await columnExists(client, 'session_checklist_items', 'obtained_participant_id');
+    console.log(`  - session_checklist_items.obtained_participant_id: ${speakerCol ? 'EXISTS' : 'MISSING'}`);
+
+    const reviewsTable = await tableExists(client, 'ai_response_reviews');
+    console.log(`  - ai_response_reviews table: ${reviewsTable ? 'EXISTS' : 'MISSING'}`);
+
+    const jobsTable = await tableExists(client, 'jobs');
+    console.log(`  - jobs table: ${jobsTable ? 'EXISTS' : 'MISSING'}`);
+
+    const historyTable = await tableExists(client, 'session_checklist_item_history');
+    console.log(`  - session_checklist_item_history table: ${historyTable ? 'EXISTS' : 'MISSING'}`);
+
+    const searchTable = await tableExists(client, 'search_chunks');
+    console.log(`  - search_chunks table: ${searchTable ? 'EXISTS' : 'MISSING'}`);
+
+    const templateItemsCol = await columnExists(client, 'session_templates', 'items');
+    console.log(`  - session_templates.items: ${templateItemsCol ? 'EXISTS' : 'MISSING'}`);
+
+    const clientChunkCol = await columnExists(client, 'session_recordings', 'client_chunk_id');
+    console.log(`  - session_recordings.client_chunk_id: ${clientChunkCol ? 'EXISTS' : 'MISSING'}`);
+    const analysisStartedCol = await columnExists(client, 'session_recordings', 'analysis_started_at');
+    console.log(`  - session_recordings.analysis_started_at: ${analysisStartedCol ? 'EXISTS' : 'MISSING'}`);
+    const appendedCol = await columnExists(client, 'session_recordings', 'transcript_appended_at');
+    console.log(`  - session_recordings.transcript_appended_at: ${appendedCol ? 'EXISTS' : 'MISSING'}`);
+
+    const languageCol = await columnExists(client, 'sessions', 'language');
+    console.log(`  - sessions.language: ${languageCol ? 'EXISTS' : 'MISSING'}`);
+
+    const memoryTable = await tableExists(client, 'session_memory_chunks');
+    console.log(`  - session_memory_chunks table: ${memoryTable ? 'EXISTS' : 'MISSING'}`);
+
+    const referenceCol = await columnExists(client, 'session_checklist_items', 'obtained_reference');
+    console.log(`  - session_checklist_items.obtained_reference: ${referenceCol ? 'EXISTS' : 'MISSING'}`);
+
+    const ocrCol = await columnExists(client, 'session_documents', 'ocr_confidence');
+    console.log(`  - session_documents.ocr_confidence: ${ocrCol ? 'EXISTS' : 'MISSING'}`);
+
+    const kdsTable = await tableExists(client, 'kds_documents');
+    console.log(`  - kds_documents table: ${kdsTable ? 'EXISTS' : 'MISSING'}`);
+
+    const bpmlTable = await tableExists(client, 'bpml_nodes');
+    console.log(`  - bpml_nodes table: ${bpmlTable ? 'EXISTS' : 'MISSING'}`);
+
+    const ricefwTable = await tableExists(client, 'ricefw_objects');
+    console.log(`  - ricefw_objects table: ${ricefwTable ? 'EXISTS' : 'MISSING'}`);
+
+    const scopeItemsTable = await tableExists(client, 'scope_items');
+    console.log(`  - scope_items table: ${scopeItemsTable ? 'EXISTS' : 'MISSING'}`);
+
+    const fitgapTable = await tableExists(client, 'fitgap_results');
+    console.log(`  - fitgap_results table: ${fitgapTable ? 'EXISTS' : 'MISSING'}`);
+
+    const entityAnswersTable = await tableExists(client, 'checklist_entity_answers');
+    console.log(`  - checklist_entity_answers table: ${entityAnswersTable ? 'EXISTS' : 'MISSING'}`);
+
+    const harmonizationTable = await tableExists(client, 'checklist_harmonization');
+    console.log(`  - checklist_harmonization table: ${harmonizationTable ? 'EXISTS' : 'MISSING'}`);
+
+    const preworkTable = await tableExists(client, 'prework_answers');
+    console.log(`  - prework_answers table: ${preworkTable ? 'EXISTS' : 'MISSING'}`);
+
+    const plannedDurationCol = await columnExists(client, 'sessions', 'planned_duration_minutes');
+    console.log(`  - sessions.planned_duration_minutes: ${plannedDurationCol ? 'EXISTS' : 'MISSING'}`);
+
+    const agendaTable = await tableExists(client, 'session_agenda_slots');
+    console.log(`  - session_agenda_slots table: ${agendaTable ? 'EXISTS' : 'MISSING'}`);
+
+    const valuesTable = await tableExists(client, 'checklist_item_values');
+    console.log(`  - checklist_item_values table: ${valuesTable ? 'EXISTS' : 'MISSING'}`);
+
+    const structureTable = await tableExists(client, 'enterprise_structure_nodes');
+    console.log(`  - enterprise_structure_nodes table: ${structureTable ? 'EXISTS' : 'MISSING'}`);
+
     console.log('\n');
 
   } catch (error) {
@@ -0,0 +1,373 @@
+/**
+ * AI JSON Service - Parsing, validation and retries for structured AI replies
+ *
+ * Every AI task that expects JSON goes through completeJson():
+ * 1. The reply is parsed leniently (code fences, leading prose, trailing commas,
+ *    truncated output cut back to the last complete value - a cut-off reply counts as
+ *    invalid, so it is retried and otherwise stored for review as partial)
+ * 2. The result is validated against a declared schema - types, enums, required
+ *    fields and task-specific checks such as "item_id belongs to this session"
+ * 3. Invalid replies are retried with the validation errors fed back to the model
+ * 4. What still fails is stored in ai_response_reviews for manual review. Array
+ *    entries that fail validation are dropped; a reply that cannot be used at all
+ *    raises an AIResponseError carrying the review id
+ *
+ * Schemas are plain objects:
+ *   { type: 'object', properties: { ... }, required: ['a'] }
+ *   { type: 'array', items: schema }            invalid entries are dropped, not fatal
+ *   { type: 'string', enum: ['high', 'low'] }   enum matching ignores case, spaces and underscores
+ *   { type: 'integer', check: (v) => 'error message' | null }
+ * Any schema may set `nullable: true`, a `default` used when the value is missing, or a
+ * `fallback` used instead of failing when the value is the wrong type, outside the enum or
+ * fails its check (for fields not worth dropping an entry over).
+ */
+
+const db = require('../models/db');
+const { complete } = require('./llm');
+const { publish } = require('./sessionEvents');
+
+// Extra attempts after the first reply when it does not validate
+const MAX_RETRIES = parseInt(process.env.AI_JSON_MAX_RETRIES) || 1;
+// Validation errors quoted back to the model / stored per review
+const MAX_REPORTED_ERRORS = 20;
+
+const TRUNCATED_ERROR = 'Your reply was cut off before the JSON was complete, so its end was lost. '
+  + 'Return the whole reply again, with shorter text values so it fits.';
+
+class AIResponseError extends Error {
+  constructor(message, { task, errors = [], reviewId = null } = {}) {
+    super(message);
+    this.name = 'AIResponseError';
+    this.task = task;
+    this.errors = errors;
+    this.reviewId = reviewId;
+  }
+}
+
+// ============================================
+// Parsing
+// ============================================
+
+/**
+ * Cut a truncated JSON document back to its last complete value and close open brackets
+ * @returns {string|null} repaired text, or null when nothing complete was found
+ */
+const repairTruncated = (text) => {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let lastSafe = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+      if (stack.length === 0) return text.slice(0, i + 1);
+      lastSafe = { index: i + 1, closers: [...stack].reverse().join('') };
+    }
+  }
+
+  if (!lastSafe) return null;
+  return text.slice(0, lastSafe.index).replace(/,\s*$/, '') + lastSafe.closers;
+};
+
+/**
+ * Parse JSON from a model reply
+ * @returns {{ value: any, repaired: boolean, truncated: boolean }} truncated: the reply ended
+ *   inside the JSON and was cut back to its last complete value
+ * @throws {Error} when no JSON can be recovered
+ */
+const parseAIJson = (text) => {
+  let content = (text || '').replace(/```(?:json)?\s*/gi, '').replace(/```/g, '').trim();
+
+  // Skip any prose before the JSON starts
+  const start = content.search(/[[{]/);
+  if (start < 0) {
+    throw new Error('Reply contains no JSON');
+  }
+  content = content.slice(start);
+
+  try {
+    return { value: JSON.parse(content), repaired: false, truncated: false };
+  } catch (parseError) {
+    const withoutTrailingCommas = content.replace(/,\s*([}\]])/g, '$1');
+    const candidates = [withoutTrailingCommas, repairTruncated(withoutTrailingCommas)];
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      try {
+        const value = JSON.parse(candidate);
+        // Trailing prose after a complete document leaves a prefix; closed brackets do not
+        return { value, repaired: true, truncated: !withoutTrailingCommas.startsWith(candidate) };
+      } catch (retryError) {
+        // try the next repair
+      }
+    }
+    throw new Error(`Invalid JSON: ${parseError.message}`);
+  }
+};
+
+// ============================================
+// Validation
+// ============================================
+
+const normalizeEnum = (value) => String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+const describeType = (value) => Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+/**
+ * Validate and coerce a value against a schema
+ * @returns {{ value: any, errors: string[], fatal: boolean }}
+ *   fatal is false when the only problems were array entries that were dropped
+ */
+const validateSchema = (input, schema, path = '$') => {
+  const errors = [];
+
+  const visit = (value, node, at) => {
+    if ('fallback' in node) {
+      const errorCount = errors.length;
+      const strict = visitStrict(value, node, at);
+      if (strict.ok) return strict;
+      errors.splice(errorCount);
+      return { ok: true, value: node.fallback };
+    }
+    return visitStrict(value, node, at);
+  };
+
+  const visitStrict = (value, node, at) => {
+    if (value === undefined || value === null) {
+      if (node.default !== undefined) return { ok: true, value: node.default };
+      if (value === null && node.nullable) return { ok: true, value: null };
+      if (value === undefined && node.optional) return { ok: true, value: undefined };
+      errors.push(`${at} is required`);
+      return { ok: false };
+    }
+
+    let result = value;
+    switch (node.type) {
+      case 'object': {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${at} must be an object, got ${describeType(value)}`);
+          return { ok: false };
+        }
+        result = { ...value };
+        let ok = true;
+        for (const [key, child] of Object.entries(node.properties || {})) {
+          const required = (node.required || []).includes(key);
+          const childResult = visit(value[key], required ? child : { optional: true, ...child }, `${at}.${key}`);
+          if (!childResult.ok) ok = false;
+          else if (childResult.value !== undefined) result[key] = childResult.value;
+        }
+        if (!ok) return { ok: false };
+        break;
+      }
+      case 'array': {
+        if (!Array.isArray(value)) {
+          errors.push(`${at} must be an array, got ${describeType(value)}`);
+          return { ok: false };
+        }
+        // Invalid entries are reported and dropped so one bad item does not sink the rest
+        result = [];
+        value.forEach((entry, index) => {
+          const entryResult = visit(entry, node.items || {}, `${at}[${index}]`);
+          if (entryResult.ok) result.push(entryResult.value);
+        });
+        break;
+      }
+      case 'string': {
+        if (typeof value === 'number' || typeof value === 'boolean') {
+          result = String(value);
+        } else if (typeof value !== 'string') {
+          errors.push(`${at} must be a string, got ${describeType(value)}`);
+          return { ok: false };
+        }
+        if (node.enum) {
+          const match = node.enum.find(option => normalizeEnum(option) === normalizeEnum(result));
+          if (!match) {
+            errors.push(`${at} must be one of ${node.enum.join(', ')}, got "${result}"`);
+            return { ok: false };
+          }
+          result = match;
+        }
+        break;
+      }
+      case 'integer':
+      case 'number': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value.trim()) : value;
+        if (typeof number !== 'number' || Number.isNaN(number) || (node.type === 'integer' && !Number.isInteger(number))) {
+          errors.push(`${at} must be ${node.type === 'integer' ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}`);
+          return { ok: false };
+        }
+        result = number;
+        break;
+      }
+      case 'boolean': {
+        if (typeof value !== 'boolean') {
+          errors.push(`${at} must be true or false, got ${JSON.stringify(value)}`);
+          return { ok: false };
+        }
+        break;
+      }
+      default:
+        break;
+    }
+
+    if (node.check) {
+      const message = node.check(result);
+      if (message) {
+        errors.push(`${at} ${message}`);
+        return { ok: false };
+      }
+    }
+
+    return { ok: true, value: result };
+  };
+
+  const root = visit(input, schema, path);
+  return { value: root.ok ? root.value : null, errors, fatal: !root.ok };
+};
+
+/**
+ * Check for ids that must come from a known set, e.g. the session's checklist items
+ */
+const oneOfIds = (ids, label) => {
+  const allowed = new Set([...ids].map(Number));
+  return (value) => allowed.has(Number(value)) ? null : `${value} is not ${label}`;
+};
+
+// ============================================
+// Manual review
+// ============================================
+
+/**
+ * Store a reply that could not be (fully) used
+ * @returns {Promise<number|null>} review id, or null when storing failed
+ */
+const storeForReview = async ({ task, sessionId, context, prompt, rawResponse, errors, partial }) => {
+  try {
+    const result = await db.query(`
+      INSERT INTO ai_response_reviews
+        (task, session_id, context, prompt, raw_response, errors, partial)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [
+      task,
+      sessionId || null,
+      JSON.stringify(context || {}),
+      prompt,
+      rawResponse,
+      JSON.stringify(errors.slice(0, MAX_REPORTED_ERRORS)),
+      partial
+    ]);
+    const reviewId = result.rows[0].id;
+    if (sessionId) {
+      publish(sessionId, 'ai_review_added', { reviewId, task, partial });
+    }
+    return reviewId;
+  } catch (error) {
+    console.error('Error storing AI response for review:', error.message);
+    return null;
+  }
+};
+
+// ============================================
+// Completion
+// ============================================
+
+const promptText = (request) => request.prompt
+  || (request.messages || []).map(m => typeof m.content === 'string' ? m.content : '[multi-part message]').join('\n\n');
+
+/**
+ * Run a JSON-producing AI task with validation and retries
+ * @param {string} task - LLM task name (see services/llm.js)
+ * @param {Object} request - as for llm.complete(): { prompt | messages, system, maxTokens }
+ * @param {Object} options
+ *   schema: schema of the expected reply
+ *   review: { sessionId, context } stored with replies that need manual review
+ * @returns {Promise<{ data: any, raw: string, reviewId: number|null, errors: string[], model: string }>}
+ *   errors lists the entries that were dropped (reviewId is then set)
+ * @throws {AIResponseError} when no attempt produced a usable reply
+ */
+const completeJson = async (task, request, { schema, review = {} }) => {
+  const baseMessages = request.messages || [{ role: 'user', content: request.prompt }];
+  let messages = baseMessages;
+  let best = null;
+  let lastRaw = '';
+  let lastErrors = [];
+  let model = null;
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    const response = await complete(task, { ...request, prompt: undefined, messages });
+    lastRaw = response.text;
+    model = response.model;
+
+    let errors;
+    try {
+      const parsed = parseAIJson(response.text);
+      const validation = validateSchema(parsed.value, schema);
+      errors = parsed.truncated ? [TRUNCATED_ERROR, ...validation.errors] : validation.errors;
+      if (!validation.fatal && (!best || errors.length < best.errors.length)) {
+        best = { data: validation.value, errors, raw: response.text };
+      }
+    } catch (parseError) {
+      errors = [parseError.message];
+    }
+
+    if (errors.length === 0) {
+      return { data: best.data, raw: best.raw, reviewId: null, errors: [], model };
+    }
+
+    lastErrors = errors;
+    console.warn(`AI reply for ${task} failed validation (attempt ${attempt + 1}): ${errors.slice(0, 3).join('; ')}`);
+
+    // Feed the problems back and ask for a corrected reply
+    messages = [
+      ...baseMessages,
+      { role: 'assistant', content: response.text || '(empty reply)' },
+      {
+        role: 'user',
+        content: `Your reply could not be used:\n${errors.slice(0, MAX_REPORTED_ERRORS).map(e => `- ${e}`).join('\n')}\n\n`
+          + 'Return the complete corrected JSON only, following the requested format exactly. Do not add any other text.'
+      }
+    ];
+  }
+
+  const reviewId = await storeForReview({
+    task,
+    sessionId: review.sessionId,
+    context: review.context,
+    prompt: promptText(request),
+    rawResponse: best ? best.raw : lastRaw,
+    errors: best ? best.errors : lastErrors,
+    partial: !!best
+  });
+
+  if (best) {
+    console.warn(`AI reply for ${task} used with invalid entries dropped (review ${reviewId})`);
+    return { data: best.data, raw: best.raw, reviewId, errors: best.errors, model };
+  }
+
+  throw new AIResponseError(`AI reply for ${task} could not be parsed or validated`, {
+    task,
+    errors: lastErrors,
+    reviewId
+  });
+};
+
+module.exports = {
+  AIResponseError,
+  completeJson,
+  parseAIJson,
+  validateSchema,
+  oneOfIds,
+  storeForReview
+};
@@ -0,0 +1,773 @@
+/**
+ * Background Jobs - Handlers for long-running AI work
+ *
+ * Registered with the job queue (services/jobQueue.js) at startup. Routes enqueue
+ * these instead of doing the work inside the request:
+ * - session_questions:   generate workshop questions for a session (optionally with answer checklists),
+ *                        seeded from the session's question template when it has one
+ * - session_checklist:   generate the direct checklist for a session, seeded from its checklist template
+ * - question_checklists: generate initial answer checklists for a session's questions
+ * - global_questions:    generate draft questions for every session (admin setup)
+ * - session_reanalysis:  re-analyze all transcripts of a session against its checklist
+ * - workshop_transcript: transcribe missing recordings and build the combined workshop transcript
+ * - search_index:        refresh the search chunks (and embeddings) of a session
+ * - session_memory:      fold newly transcribed recordings into the rolling session memory
+ * - document_analysis:   read an uploaded session document (scans with OCR) section by section and analyze it against the checklist
+ * - prework_analysis:    analyze the submitted pre-work questionnaire answers of a session against its checklist
+ * - kds_generation:      write the Key Design Specification of a workshop module from its checklist sessions
+ * - bpml_generation:     build the L1-L4 Business Process Master List of a session (replaces the current one)
+ * - ricefw_extraction:   propose RICEFW objects for a workshop's register from its findings (skips known objects)
+ * - fitgap_analysis:     classify a workshop's (or one session's) requirements against the SAP scope item catalogue
+ * - entity_harmonization: split a workshop's (or one session's) checklist answers per entity and flag divergence
+ * - enterprise_structure: propose a workshop's SAP organizational units and assignments (adds, never replaces)
+ *
+ * Handlers may run more than once (retries, restarts), so each one either replaces
+ * its output or skips work that is already done.
+ */
+
+const db = require('../models/db');
+const { registerJobHandler, PermanentJobError } = require('./jobQueue');
+const { publish, publishAnalysis } = require('./sessionEvents');
+const { generateQuestions } = require('./questionGenerator');
+const { generateChecklistsForSession } = require('./checklistGenerator');
+const {
+  generateDirectChecklist,
+  saveChecklistItems,
+  reanalyzeAllTranscripts,
+  analyzeDocumentAgainstChecklist,
+  markItemsAsObtained,
+  saveAdditionalFindings
+} = require('./directChecklistGenerator');
+const { getAllTranscriptsText, generateWorkshopTranscript } = require('./transcriptManager');
+const { indexSession, scheduleSessionIndexing } = require('./searchIndex');
+const { updateSessionMemory, scheduleSessionMemoryUpdate } = require('./sessionMemory');
+const { readStoredFile, extractDocumentSections, formatSectionsText } = require('./documentIngestion');
+const { isOcrEnabled } = require('./ocr');
+const { getSessionTemplate, mergeChecklistItems, mergeQuestions } = require('./templateLibrary');
+const { generateKdsDocument } = require('./kdsGenerator');
+const { generateBpml } = require('./bpmlGenerator');
+const { extractRicefwProposals } = require('./ricefwRegister');
+const { runFitGapAnalysis } = require('./fitGapAnalysis');
+const { runHarmonizationAnalysis } = require('./entityHarmonization');
+const { generateEnterpriseStructure } = require('./enterpriseStructure');
+const { processPreworkAnswers } = require('./preworkQuestionnaire');
+const { AIResponseError } = require('./aiJson');
+
+/**
+ * Load a row the job depends on; a missing row will not appear on retry
+ */
+const getRequiredRow = async (table, id, label) => {
+  const result = await db.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+  if (result.rows.length === 0) {
+    throw new PermanentJobError(`${label} not found`);
+  }
+  return result.rows[0];
+};
+
+// ============================================
+// Workshop question & checklist generation
+// ============================================
+
+/**
+ * payload: { workshopId, sessionId, withChecklists }
+ */
+async function runSessionQuestions({ payload, reportProgress }) {
+  const { workshopId, sessionId, withChecklists } = payload;
+
+  const workshop = await getRequiredRow('workshops', workshopId, 'Workshop');
+  const session = await getRequiredRow('sessions', sessionId, 'Session');
+
+  const entitiesResult = await db.query('SELECT * FROM entities WHERE workshop_id = $1', [workshopId]);
+  const entities = entitiesResult.rows;
+
+  // A session seeded from a template keeps its questions; the AI only fills the gaps
+  const template = await getSessionTemplate(session, 'questions');
+  const templateQuestions = template ? template.items : [];
+
+  await reportProgress(10, template
+    ? `Filling gaps in template "${template.name}" with AI...`
+    : 'Generating questions with AI...');
+
+  const aiQuestions = await generateQuestions({
+    agenda: session.agenda || session.description,
+    entities,
+    audience: [],
+    module: session.module,
+    targetCount: session.question_count || workshop.questions_per_session || 30,
+    industryContext: workshop.industry_context,
+    customInstructions: workshop.custom_instructions,
+    sessionName: session.name,
+    topics: session.topics,
+    sessionId: session.id,
+    baseQuestions: templateQuestions
+  });
+  const generatedQuestions = template ? mergeQuestions(templateQuestions, aiQuestions) : aiQuestions;
+
+  await reportProgress(30, `Saving ${generatedQuestions.length} questions...`, { questionCount: generatedQuestions.length });
+
+  // Delete existing questions and related data
+  await db.query('DELETE FROM questions WHERE session_id = $1', [sessionId]);
+
+  for (const q of generatedQuestions) {
+    let entityId = null;
+    if (q.entity_code) {
+      const entityMatch = entities.find(e => e.code.toUpperCase() === q.entity_code.toUpperCase());
+      if (entityMatch) entityId = entityMatch.id;
+    }
+
+    await db.query(`
+      INSERT INTO questions (session_id, entity_id, question_number, question_text, category_name, is_critical, sort_order, origin)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [sessionId, entityId, q.question_number, q.question_text, q.category_name, q.is_critical, q.question_number, q.origin || 'ai']);
+  }
+
+  await db.query('UPDATE sessions SET questions_generated = TRUE WHERE id = $1', [sessionId]);
+
+  let checklists = { successCount: 0, errorCount: 0 };
+  if (withChecklists) {
+    checklists = await generateChecklistsForSession(sessionId, {
+      config: workshop,
+      onProgress: (current, total, question) => reportProgress(
+        40 + Math.round(((current - 1) / total) * 55),
+        `Generating checklist for Q${question.question_number}...`,
+        { current, total, questionCount: generatedQuestions.length }
+      )
+    });
+  }
+
+  return {
+    questionCount: generatedQuestions.length,
+    templateQuestionCount: templateQuestions.length,
+    checklistSuccess: checklists.successCount,
+    checklistErrors: checklists.errorCount
+  };
+}
+
+/**
+ * payload: { workshopId, sessionId, actor }
+ */
+async function runSessionChecklist({ payload, reportProgress }) {
+  const { workshopId, sessionId, actor } = payload;
+
+  const workshop = await getRequiredRow('workshops', workshopId, 'Workshop');
+  if (!workshop.mission_statement) {
+    throw new PermanentJobError('Mission statement is required for direct checklist mode. Please add a mission statement in Workshop Setup.');
+  }
+  const session = await getRequiredRow('sessions', sessionId, 'Session');
+
+  const entitiesResult = await db.query('SELECT * FROM entities WHERE workshop_id = $1', [workshopId]);
+  const entities = entitiesResult.rows;
+
+  // A session seeded from a template keeps its items; the AI only adds what is missing
+  const template = await getSessionTemplate(session, 'checklist');
+  const templateItems = template ? template.items : [];
+
+  await reportProgress(20, template
+    ? `Filling gaps in template "${template.name}" with AI...`
+    : 'Generating exhaustive checklist with AI...');
+
+  const aiItems = await generateDirectChecklist({
+    missionStatement: workshop.mission_statement,
+    module: session.module,
+    industryContext: workshop.industry_context,
+    customInstructions: workshop.custom_instructions,
+    sessionName: session.name,
+    topics: session.topics,
+    entities,
+    sessionId: session.id,
+    baseItems: templateItems
+  });
+  const checklistItems = template ? mergeChecklistItems(templateItems, aiItems) : aiItems;
+
+  await reportProgress(80, `Saving ${checklistItems.length} checklist items...`);
+
+  const itemCount = await saveChecklistItems(sessionId, checklistItems);
+  publish(sessionId, 'checklist_updated', { actor, source: 'generated' });
+  await scheduleSessionIndexing(sessionId);
+
+  return { itemCount, templateItemCount: templateItems.length };
+}
+
+/**
+ * payload: { sessionId }
+ */
+async function runQuestionChecklists({ payload, reportProgress }) {
+  const { sessionId } = payload;
+
+  return generateChecklistsForSession(sessionId, {
+    onProgress: (current, total, question) => reportProgress(
+      Math.round(((current - 1) / total) * 100),
+      `Generating checklist for Q${question.question_number}...`,
+      { current, total }
+    )
+  });
+}
+
+// ============================================
+// Admin: generate questions for every session
+// ============================================
+
+const setGlobalGenerationStatus = (status) => db.query(`
+  UPDATE global_workshop_config SET
+    generation_status = $1,
+    updated_at = CURRENT_TIMESTAMP
+  WHERE id = 1
+`, [status]);
+
+/**
+ * Draft questions go to generated_questions for review before publishing
+ */
+async function runGlobalQuestions({ reportProgress }) {
+  const configResult = await db.query('SELECT * FROM global_workshop_config WHERE id = 1');
+  const config = configResult.rows[0] || {};
+
+  const entitiesResult = await db.query('SELECT * FROM entities ORDER BY id');
+  const entities = entitiesResult.rows;
+
+  const audienceResult = await db.query('SELECT * FROM global_audience_profiles ORDER BY id');
+  const audience = audienceResult.rows;
+
+  const sessionsResult = await db.query('SELECT * FROM sessions ORDER BY session_number');
+  const sessions = sessionsResult.rows;
+
+  if (sessions.length === 0) {
+    throw new PermanentJobError('No sessions to generate questions for. Create sessions first.');
+  }
+
+  await setGlobalGenerationStatus('generating');
+
+  let totalGenerated = 0;
+  const details = [];
+
+  try {
+    for (const [index, session] of sessions.entries()) {
+      await reportProgress(
+        Math.round((index / sessions.length) * 100),
+        `Generating questions for ${session.name}...`,
+        { current: index + 1, total: sessions.length, totalQuestions: totalGenerated }
+      );
+
+      // Clear previous generated questions for this session
+      await db.query('DELETE FROM generated_questions WHERE session_id = $1', [session.id]);
+
+      // Use the session's question_count, falling back to the global config
+      const generatedQuestions = await generateQuestions({
+        agenda: session.agenda || session.description,
+        entities,
+        audience,
+        module: session.module,
+        targetCount: session.question_count || config.questions_per_session || 30,
+        industryContext: config.industry_context,
+        customInstructions: config.custom_instructions,
+        sessionName: session.name,
+        sessionId: session.id
+      });
+
+      for (const q of generatedQuestions) {
+        let entityId = null;
+        if (q.entity_code) {
+          const entityMatch = entities.find(
+            e => e.code.toUpperCase() === q.entity_code.toUpperCase()
+          );
+          if (entityMatch) entityId = entityMatch.id;
+        }
+
+        await db.query(`
+          INSERT INTO generated_questions (
+            session_id, entity_id, question_number, question_text,
+            category_name, is_critical, ai_rationale, status
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')
+        `, [session.id, entityId, q.question_number, q.question_text,
+            q.category_name, q.is_critical, q.ai_rationale]);
+      }
+
+      await db.query(
+        'UPDATE sessions SET questions_generated = TRUE WHERE id = $1',
+        [session.id]
+      );
+
+      totalGenerated += generatedQuestions.length;
+      details.push({
+        session_id: session.id,
+        session_name: session.name,
+        questions_generated: generatedQuestions.length
+      });
+    }
+
+    await setGlobalGenerationStatus('completed');
+  } catch (error) {
+    await setGlobalGenerationStatus('failed');
+    throw error;
+  }
+
+  return {
+    total_questions: totalGenerated,
+    sessions_processed: sessions.length,
+    details,
+    message: `Successfully generated ${totalGenerated} questions across ${sessions.length} sessions`
+  };
+}
+
+// ============================================
+// Transcripts
+// ============================================
+
+/**
+ * payload: { sessionId, actor }
+ */
+async function runSessionReanalysis({ payload, reportProgress }) {
+  const { sessionId, actor } = payload;
+
+  await reportProgress(10, 'Collecting transcripts...');
+
+  const allTranscripts = await getAllTranscriptsText(sessionId);
+  if (!allTranscripts || allTranscripts.trim().length === 0) {
+    throw new PermanentJobError('No transcripts found to analyze');
+  }
+
+  const result = await reanalyzeAllTranscripts(sessionId, {
+    triggeredBy: actor,
+    onProgress: (step, done, total) => (step === 'memory'
+      ? reportProgress(10 + Math.round((done / total) * 30), `Summarizing recording ${done + 1} of ${total}...`)
+      : reportProgress(40 + Math.round((done / total) * 55), total > 1
+        ? `Re-analyzing part ${done + 1} of ${total} against the checklist...`
+        : 'Re-analyzing all transcripts against the checklist...'))
+  });
+  await scheduleSessionIndexing(sessionId);
+
+  if (result.changesApplied > 0) {
+    publish(sessionId, 'checklist_updated', { actor, source: 'reanalysis' });
+  }
+  if (result.strayTopicsFound > 0) {
+    publish(sessionId, 'findings_updated', { actor, source: 'reanalysis', findingsCount: result.strayTopicsFound });
+  }
+
+  return result;
+}
+
+/**
+ * payload: { workshopId }
+ */
+async function runWorkshopTranscript({ payload, reportProgress }) {
+  await getRequiredRow('workshops', payload.workshopId, 'Workshop');
+  const result = await generateWorkshopTranscript(payload.workshopId, { onProgress: reportProgress });
+
+  // Recordings transcribed here become searchable
+  for (const session of result.sessions || []) {
+    if (session.newlyTranscribedCount > 0) {
+      await scheduleSessionIndexing(session.id);
+      await scheduleSessionMemoryUpdate(session.id);
+    }
+  }
+
+  return result;
+}
+
+// ============================================
+// Documents
+// ============================================
+
+const markDocumentFailed = async (doc, actor, reason) => {
+  await db.query(
+    'UPDATE session_documents SET analysis_status = $1, analysis_error = $2 WHERE id = $3',
+    ['failed', reason, doc.id]
+  );
+  publish(doc.session_id, 'document_updated', {
+    actor,
+    documentId: doc.id,
+    name: doc.original_name,
+    status: 'failed',
+    error: reason
+  });
+};
+
+/**
+ * Why nothing could be read from a document - scans are called out so they are not
+ * mistaken for documents without relevant content
+ */
+const emptyDocumentReason = ({ scannedPages }, doc) => {
+  const scanned = scannedPages > 0 || (doc.mime_type || '').startsWith('image/');
+  if (!scanned) return 'No text could be extracted from the document';
+  return isOcrEnabled()
+    ? 'The document is a scan or image and OCR could not recognize any text in it - check the scan quality or upload a clearer copy'
+    : 'The document is a scan or image without a text layer and OCR is disabled (OCR_ENABLED=false)';
+};
+
+/**
+ * payload: { sessionId, documentId, actor }
+ */
+async function runDocumentAnalysis({ payload, reportProgress }) {
+  const { sessionId, actor } = payload;
+  const doc = await getRequiredRow('session_documents', payload.documentId, 'Document');
+
+  // A retry after the results were saved does not add them twice
+  if (doc.analysis_status === 'completed') {
+    return { documentId: doc.id, obtainedCount: doc.obtained_count, findingsCount: doc.findings_count, alreadyAnalyzed: true };
+  }
+
+  await reportProgress(5, `Reading ${doc.original_name}...`);
+
+  // Storage errors are retried; a file that cannot be read as a document is not
+  const buffer = await readStoredFile(doc.file_path);
+  let extracted;
+  try {
+    extracted = await extractDocumentSections(buffer, {
+      mimeType: doc.mime_type || '',
+      fileName: doc.original_name || doc.file_name,
+      onOcrProgress: (done, total) => reportProgress(
+        5 + Math.round((done / total) * 10),
+        `Reading scanned page ${done + 1} of ${total} with OCR...`
+      )
+    });
+  } catch (error) {
+    console.error('Text extraction error:', error);
+    const reason = `Failed to extract text from document: ${error.message}`;
+    await markDocumentFailed(doc, actor, reason);
+    throw new PermanentJobError(reason);
+  }
+
+  const { sections, pageCount, ocr } = extracted;
+  if (sections.length === 0) {
+    const reason = emptyDocumentReason(extracted, doc);
+    await markDocumentFailed(doc, actor, reason);
+    throw new PermanentJobError(reason);
+  }
+
+  await db.query(`
+    UPDATE session_documents SET
+      extracted_text = $1,
+      page_count = $2,
+      section_count = $3,
+      ocr_section_count = $4,
+      ocr_confidence = $5,
+      ocr_low_confidence = $6,
+      analysis_error = NULL
+    WHERE id = $7
+  `, [
+    formatSectionsText(sections),
+    pageCount,
+    sections.length,
+    ocr ? ocr.sectionCount : null,
+    ocr ? ocr.confidence : null,
+    ocr ? ocr.lowConfidence : false,
+    doc.id
+  ]);
+
+  const analysisResult = await analyzeDocumentAgainstChecklist(sessionId, sections, doc.original_name, {
+    documentId: doc.id
+  }, {
+    onProgress: (done, total) => reportProgress(
+      15 + Math.round((done / total) * 75),
+      total > 1
+        ? `Analyzing part ${done + 1} of ${total} (${sections.length} sections)...`
+        : 'Analyzing against the checklist...'
+    )
+  });
+
+  await reportProgress(90, 'Saving results...');
+
+  // Documents uploaded for a pre-work questionnaire item obtain items as pre-work
+  const evidence = { documentId: doc.id, triggeredBy: actor };
+  if (analysisResult.obtainedItems.length > 0) {
+    await markItemsAsObtained(analysisResult.obtainedItems, doc.prework_item_id ? 'prework' : 'document', evidence);
+  }
+
+  let savedFindings = [];
+  if (analysisResult.additionalFindings.length > 0) {
+    savedFindings = await saveAdditionalFindings(sessionId, null, analysisResult.additionalFindings, evidence);
+  }
+
+  await db.query(`
+    UPDATE session_documents SET
+      analysis_status = 'completed',
+      obtained_count = $1,
+      findings_count = $2,
+      analyzed_at = CURRENT_TIMESTAMP
+    WHERE id = $3
+  `, [analysisResult.obtainedItems.length, savedFindings.length, doc.id]);
+
+  publish(sessionId, 'document_updated', {
+    actor,
+    documentId: doc.id,
+    name: doc.original_name,
+    status: 'completed'
+  });
+  await scheduleSessionIndexing(sessionId);
+  publishAnalysis(sessionId, actor, 'document', {
+    obtainedItemIds: analysisResult.obtainedItems.map(i => i.item_id),
+    findingsCount: savedFindings.length
+  });
+
+  return {
+    documentId: doc.id,
+    pageCount,
+    sectionCount: sections.length,
+    obtainedCount: analysisResult.obtainedItems.length,
+    findingsCount: savedFindings.length,
+    remainingMissing: analysisResult.remainingMissing,
+    reviewId: analysisResult.reviewId,
+    ocr
+  };
+}
+
+// ============================================
+// Pre-work questionnaire
+// ============================================
+
+/**
+ * payload: { sessionId, actor }
+ */
+async function runPreworkAnalysis({ payload, reportProgress }) {
+  const { sessionId, actor } = payload;
+  await getRequiredRow('sessions', sessionId, 'Session');
+  await reportProgress(5, 'Reading the submitted answers...');
+
+  let result;
+  try {
+    result = await processPreworkAnswers(sessionId, { actor, onProgress: reportProgress });
+  } catch (error) {
+    if (!(error instanceof AIResponseError)) throw error;
+    throw new PermanentJobError(`A pre-work analysis reply could not be used and was stored for review (${error.reviewId})`);
+  }
+
+  if (result.obtainedItemIds.length > 0) {
+    await scheduleSessionIndexing(sessionId);
+  }
+  publishAnalysis(sessionId, actor, 'prework', { obtainedItemIds: result.obtainedItemIds });
+  publish(sessionId, 'prework_updated', { actor, answers: result.answers });
+
+  return result;
+}
+
+// ============================================
+// Search
+// ============================================
+
+/**
+ * payload: { sessionId }
+ */
+async function runSearchIndex({ payload, reportProgress }) {
+  await reportProgress(10, 'Indexing transcripts, findings and documents...');
+
+  const stats = await indexSession(payload.sessionId, {
+    onProgress: (embedded, total) => reportProgress(
+      20 + Math.round((embedded / total) * 80),
+      `Embedding ${embedded} of ${total} chunks...`
+    )
+  });
+  if (!stats) {
+    throw new PermanentJobError('Session not found');
+  }
+
+  return stats;
+}
+
+// ============================================
+// Session memory
+// ============================================
+
+/**
+ * payload: { sessionId }
+ */
+async function runSessionMemory({ payload, reportProgress }) {
+  const result = await updateSessionMemory(payload.sessionId, {
+    onProgress: (done, total) => reportProgress(
+      Math.round((done / total) * 100),
+      `Summarizing recording ${done + 1} of ${total}...`
+    )
+  });
+  if (!result) {
+    throw new PermanentJobError('Session not found');
+  }
+
+  return result;
+}
+
+// ============================================
+// Key Design Specification
+// ============================================
+
+/**
+ * payload: { workshopId, module, actor }
+ */
+async function runKdsGeneration({ payload, reportProgress }) {
+  const { workshopId, module, actor } = payload;
+  // The module travels with every progress update so the KDS page can tell jobs apart
+  const onProgress = (percent, message) => reportProgress(percent, message, { module });
+
+  let kds;
+  try {
+    kds = await generateKdsDocument(workshopId, module, { generatedBy: actor, onProgress });
+  } catch (error) {
+    if (!(error instanceof AIResponseError)) throw error;
+    throw new PermanentJobError(`The KDS reply could not be used and was stored for review (${error.reviewId})`);
+  }
+  if (!kds) {
+    throw new PermanentJobError(`The workshop has no ${module} sessions`);
+  }
+
+  const sections = kds.content.sections;
+  return {
+    kdsId: kds.id,
+    module,
+    version: kds.version,
+    completeSections: sections.filter(section => section.status === 'complete').length,
+    missingSections: sections.filter(section => section.status === 'missing').length,
+    decisionCount: kds.content.decisions.length
+  };
+}
+
+// ============================================
+// Business Process Master List
+// ============================================
+
+/**
+ * payload: { sessionId, actor }
+ */
+async function runBpmlGeneration({ payload, reportProgress }) {
+  const { sessionId, actor } = payload;
+
+  let result;
+  try {
+    result = await generateBpml(sessionId, { generatedBy: actor, onProgress: reportProgress });
+  } catch (error) {
+    if (!(error instanceof AIResponseError)) throw error;
+    throw new PermanentJobError(`The BPML reply could not be used and was stored for review (${error.reviewId})`);
+  }
+  if (!result) {
+    throw new PermanentJobError('Session not found');
+  }
+
+  return result;
+}
+
+// ============================================
+// RICEFW Register
+// ============================================
+
+/**
+ * payload: { workshopId }
+ */
+async function runRicefwExtraction({ payload, reportProgress }) {
+  let result;
+  try {
+    result = await extractRicefwProposals(payload.workshopId, { onProgress: reportProgress });
+  } catch (error) {
+    if (!(error instanceof AIResponseError)) throw error;
+    throw new PermanentJobError(`A RICEFW reply could not be used and was stored for review (${error.reviewId})`);
+  }
+  if (!result) {
+    throw new PermanentJobError('Workshop not found');
+  }
+  if (result.sessions === 0) {
+    throw new PermanentJobError('No findings or checklist answers have been captured yet');
+  }
+  return result;
+}
+
+// ============================================
+// Fit-Gap Analysis
+// ============================================
+
+/**
+ * payload: { workshopId, sessionId } (sessionId null = every session)
+ */
+async function runFitGap({ payload, reportProgress }) {
+  let result;
+  try {
+    result = await runFitGapAnalysis(payload.workshopId, {
+      sessionId: payload.sessionId,
+      onProgress: reportProgress
+    });
+  } catch (error) {
+    if (!(error instanceof AIResponseError)) throw error;
+    throw new PermanentJobError(`A fit-gap reply could not be used and was stored for review (${error.reviewId})`);
+  }
+  if (!result) {
+    throw new PermanentJobError(payload.sessionId ? 'Session not found' : 'Workshop has no sessions');
+  }
+  if (result.classified === 0 && result.kept === 0) {
+    throw new PermanentJobError('No findings or checklist answers have been captured yet');
+  }
+  return result;
+}
+
+// ============================================
+// Entity Harmonization
+// ============================================
+
+/**
+ * payload: { workshopId, sessionId } (sessionId null = every session)
+ */
+async function runEntityHarmonization({ payload, reportProgress }) {
+  let result;
+  try {
+    result = await runHarmonizationAnalysis(payload.workshopId, {
+      sessionId: payload.sessionId,
+      onProgress: reportProgress
+    });
+  } catch (error) {
+    if (!(error instanceof AIResponseError)) throw error;
+    throw new PermanentJobError(`A harmonization reply could not be used and was stored for review (${error.reviewId})`);
+  }
+  if (!result) {
+    throw new PermanentJobError(payload.sessionId ? 'Session not found' : 'Workshop has no sessions');
+  }
+  if (result.items === 0) {
+    throw new PermanentJobError('No checklist answers have been captured yet');
+  }
+  return result;
+}
+
+// ============================================
+// Enterprise Structure
+// ============================================
+
+/**
+ * payload: { workshopId, actor }
+ */
+async function runEnterpriseStructure({ payload, reportProgress }) {
+  let result;
+  try {
+    result = await generateEnterpriseStructure(payload.workshopId, {
+      generatedBy: payload.actor,
+      onProgress: reportProgress
+    });
+  } catch (error) {
+    if (!(error instanceof AIResponseError)) throw error;
+    throw new PermanentJobError(`The enterprise structure reply could not be used and was stored for review (${error.reviewId})`);
+  }
+  if (!result) {
+    throw new PermanentJobError('Workshop not found');
+  }
+  if (result.sources === 0) {
+    throw new PermanentJobError('No answers or findings about the organization have been captured yet');
+  }
+  return result;
+}
+
+/**
+ * Register every handler with the job queue. Call before startWorker().
+ */
+function registerBackgroundJobs() {
+  registerJobHandler('session_questions', runSessionQuestions, { concurrency: 2 });
+  registerJobHandler('session_checklist', runSessionChecklist, { concurrency: 2 });
+  registerJobHandler('question_checklists', runQuestionChecklists);
+  registerJobHandler('global_questions', runGlobalQuestions, { maxAttempts: 2 });
+  registerJobHandler('session_reanalysis', runSessionReanalysis);
+  registerJobHandler('workshop_transcript', runWorkshopTranscript);
+  registerJobHandler('search_index', runSearchIndex);
+  registerJobHandler('session_memory', runSessionMemory);
+  registerJobHandler('document_analysis', runDocumentAnalysis, { concurrency: 2 });
+  registerJobHandler('prework_analysis', runPreworkAnalysis, { maxAttempts: 2 });
+  registerJobHandler('kds_generation', runKdsGeneration, { maxAttempts: 2 });
+  registerJobHandler('bpml_generation', runBpmlGeneration, { maxAttempts: 2 });
+  registerJobHandler('ricefw_extraction', runRicefwExtraction, { maxAttempts: 2 });
+  registerJobHandler('fitgap_analysis', runFitGap, { maxAttempts: 2 });
+  registerJobHandler('entity_harmonization', runEntityHarmonization, { maxAttempts: 2 });
+  registerJobHandler('enterprise_structure', runEnterpriseStructure, { maxAttempts: 2 });
+}
+
+module.exports = {
+  registerBackgroundJobs
+};
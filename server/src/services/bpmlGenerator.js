@@ -0,0 +1,414 @@
+/**
+ * BPML Generator - Business Process Master List per session
+ *
+ * The report's BPML used to be a flat list of checklist answers that happened to
+ * contain words like "process" or "workflow". The BPML is now a process hierarchy:
+ * - L1 value chain  (e.g. Record to Report)
+ * - L2 scenario     (e.g. Period-End Close)
+ * - L3 process      (e.g. Accruals and Provisions)
+ * - L4 process step (e.g. Post month-end accruals)
+ *
+ * It is generated from what the session captured - the session memory (summaries and
+ * facts of every recording), obtained checklist answers and findings - and stored in
+ * bpml_nodes, where consultants edit it. Each node lists the entities it applies to;
+ * a node without entities inherits them from its parent (none at all = every entity).
+ * Process IDs are not stored: they follow the position in the tree (FICO-01.02.03).
+ */
+
+const db = require('../models/db');
+const { completeJson, oneOfIds } = require('./aiJson');
+const { getMemoryWindows } = require('./sessionMemory');
+const { PermanentJobError } = require('./jobQueue');
+
+const BPML_LEVELS = [
+  { level: 1, label: 'Value Chain' },
+  { level: 2, label: 'Scenario' },
+  { level: 3, label: 'Process' },
+  { level: 4, label: 'Process Step' }
+];
+
+// Session memory quoted into the prompt (summary + per-recording memories)
+const MAX_MEMORY_CHARS = 30000;
+// Longest answer / finding text quoted into the prompt
+const MAX_SOURCE_TEXT_CHARS = 600;
+
+const clip = (text, maxChars = MAX_SOURCE_TEXT_CHARS) =>
+  !text ? '' : text.length > maxChars ? `${text.substring(0, maxChars)}...` : text;
+
+const nonEmpty = (value) => value.trim() ? null : 'must not be empty';
+
+const moduleCode = (module) => (module || 'BP').split(' - ')[0].trim().toUpperCase();
+
+// ============================================
+// Sources
+// ============================================
+
+/**
+ * Everything a session captured that describes how the business works
+ * @returns {Promise<Object|null>} null when the session does not exist
+ */
+async function gatherBpmlSources(sessionId) {
+  const sessionResult = await db.query(`
+    SELECT s.*, w.name as workshop_name, w.client_name, w.industry_context
+    FROM sessions s
+    JOIN workshops w ON s.workshop_id = w.id
+    WHERE s.id = $1
+  `, [sessionId]);
+  const session = sessionResult.rows[0];
+  if (!session) return null;
+
+  const entitiesResult = await db.query(
+    'SELECT id, code, name FROM entities WHERE workshop_id = $1 ORDER BY code',
+    [session.workshop_id]
+  );
+
+  const itemsResult = await db.query(`
+    SELECT id, item_text, category, obtained_text
+    FROM session_checklist_items
+    WHERE session_id = $1 AND status = 'obtained' AND obtained_text IS NOT NULL
+    ORDER BY item_number
+  `, [sessionId]);
+
+  const findingsResult = await db.query(`
+    SELECT id, finding_type, topic, details
+    FROM session_additional_findings
+    WHERE session_id = $1
+    ORDER BY created_at
+  `, [sessionId]);
+
+  // Whole memory windows, oldest first, as long as they fit
+  const memory = await getMemoryWindows(sessionId, MAX_MEMORY_CHARS);
+  const windows = [];
+  let memoryChars = (memory.summary || '').length;
+  for (const window of memory.windows) {
+    if (memoryChars + window.text.length > MAX_MEMORY_CHARS) break;
+    windows.push(window);
+    memoryChars += window.text.length;
+  }
+
+  return {
+    session,
+    entities: entitiesResult.rows,
+    obtained: itemsResult.rows,
+    findings: findingsResult.rows,
+    memorySummary: memory.summary,
+    memoryWindows: windows,
+    omittedWindows: memory.windows.length - windows.length
+  };
+}
+
+const hasBpmlSources = (sources) =>
+  sources.obtained.length > 0 || sources.findings.length > 0 || !!sources.memorySummary;
+
+// ============================================
+// Generation
+// ============================================
+
+const bpmlSchema = ({ entityCodes, obtainedIds, findingIds }) => {
+  const entityList = {
+    type: 'array',
+    default: [],
+    items: { type: 'string', check: (v) => entityCodes.includes(v) ? null : `must be one of ${entityCodes.join(', ')}` }
+  };
+  const node = (children) => ({
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', check: nonEmpty },
+      description: { type: 'string', default: '', fallback: '' },
+      entity_codes: entityList,
+      ...children
+    }
+  });
+
+  return {
+    type: 'object',
+    required: ['value_chains'],
+    properties: {
+      value_chains: {
+        type: 'array',
+        items: node({
+          scenarios: {
+            type: 'array',
+            default: [],
+            items: node({
+              processes: {
+                type: 'array',
+                default: [],
+                items: node({
+                  sap_module: { type: 'string', nullable: true, default: null, fallback: null },
+                  process_owner: { type: 'string', nullable: true, default: null, fallback: null },
+                  item_ids: {
+                    type: 'array',
+                    default: [],
+                    items: { type: 'integer', check: oneOfIds(obtainedIds, 'an obtained checklist item') }
+                  },
+                  finding_ids: {
+                    type: 'array',
+                    default: [],
+                    items: { type: 'integer', check: oneOfIds(findingIds, 'a finding') }
+                  },
+                  steps: { type: 'array', default: [], items: node({}) }
+                })
+              }
+            })
+          }
+        })
+      }
+    }
+  };
+};
+
+const buildBpmlPrompt = (sources) => {
+  const { session, entities, obtained, findings, memorySummary, memoryWindows, omittedWindows } = sources;
+
+  const obtainedText = obtained.map(item =>
+    `[I:${item.id}] (${item.category || 'General'}) ${item.item_text}: ${clip(item.obtained_text)}`
+  ).join('\n');
+
+  const findingsText = findings.map(finding =>
+    `[F:${finding.id}] (${finding.finding_type || 'general'}) ${finding.topic}: ${clip(finding.details)}`
+  ).join('\n');
+
+  const memoryText = [
+    memorySummary ? `Summary of the whole session:\n${memorySummary}` : null,
+    ...memoryWindows.map(window => window.text),
+    omittedWindows > 0 ? `(${omittedWindows} later part(s) of the session are covered by the summary only)` : null
+  ].filter(Boolean).join('\n\n');
+
+  return `You are a senior SAP S/4HANA consultant building the Business Process Master List (BPML) for the ${session.module} workshop session "${session.name}".
+
+**Client:** ${session.client_name || session.workshop_name}
+**Industry Context:** ${session.industry_context || 'Not specified'}
+**Entities:** ${entities.length > 0 ? entities.map(e => `${e.code} (${e.name})`).join(', ') : '(single entity)'}
+
+**What was discussed (session memory):**
+${memoryText || '(no recordings yet)'}
+
+**Obtained checklist answers:**
+${obtainedText || '(none yet)'}
+
+**Findings:**
+${findingsText || '(none)'}
+
+Build the process hierarchy the client actually runs today, as described in the sources:
+- L1 value chains: end-to-end areas such as "Procure to Pay", "Order to Cash", "Record to Report"
+- L2 scenarios: business scenarios within a value chain, e.g. "Domestic Sales", "Period-End Close"
+- L3 processes: individual business processes, e.g. "Sales Order Processing", "Bank Reconciliation"
+- L4 steps: the concrete steps of a process as described, e.g. "Check customer credit limit"
+
+Rules:
+- Only include processes the sources describe or clearly imply - never pad the list with generic SAP processes
+- Use the client's own process variants (e.g. separate "Cash Van Sales" from "Key Account Sales" when they differ)
+- entity_codes: the entities a node applies to, only when the sources say it differs by entity; leave empty when it applies to all
+- L4 steps only where the sources describe the steps
+- sap_module: the SAP module that covers the process (e.g. SD, MM, FI, CO)
+- process_owner: the role or person responsible, only when stated
+- item_ids / finding_ids: the [I:id] answers and [F:id] findings each process is based on
+
+**Output Format - JSON:**
+\`\`\`json
+{
+  "value_chains": [
+    {
+      "name": "Order to Cash",
+      "description": "...",
+      "entity_codes": [],
+      "scenarios": [
+        {
+          "name": "Domestic Sales",
+          "description": "...",
+          "entity_codes": [],
+          "processes": [
+            {
+              "name": "Sales Order Processing",
+              "description": "How the process runs today",
+              "sap_module": "SD",
+              "process_owner": "Sales Coordinator",
+              "entity_codes": ["ARDC"],
+              "item_ids": [12],
+              "finding_ids": [4],
+              "steps": [
+                { "name": "Receive customer order by phone", "description": "...", "entity_codes": [] }
+              ]
+            }
+          ]
+        }
+      ]
+    }
+  ]
+}
+\`\`\``;
+};
+
+const entityIdsFor = (codes, entities) =>
+  [...new Set(codes.map(code => entities.find(e => e.code === code)?.id).filter(Boolean))];
+
+const insertNode = async (sessionId, parentId, level, sortOrder, node, extra = {}) => {
+  const result = await db.query(`
+    INSERT INTO bpml_nodes (session_id, parent_id, level, name, description, sap_module,
+                            process_owner, entity_ids, source, source_refs, sort_order, updated_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'ai', $9, $10, $11)
+    RETURNING id
+  `, [sessionId, parentId, level, node.name.trim().substring(0, 500), node.description?.trim() || null,
+    extra.sapModule || null, extra.processOwner || null, extra.entityIds || [],
+    JSON.stringify(extra.sourceRefs || []), sortOrder, extra.generatedBy || null]);
+  return result.rows[0].id;
+};
+
+/**
+ * Generate the BPML of a session, replacing the current one
+ * @param {Object} options - { generatedBy, onProgress(percent, message) }
+ * @returns {Promise<{nodeCount: number, processCount: number}|null>} null when the session does not exist
+ * @throws {PermanentJobError} when the session has captured nothing yet
+ */
+async function generateBpml(sessionId, { generatedBy = null, onProgress } = {}) {
+  if (onProgress) await onProgress(10, 'Collecting the session memory, answers and findings...');
+  const sources = await gatherBpmlSources(sessionId);
+  if (!sources) return null;
+  if (!hasBpmlSources(sources)) {
+    throw new PermanentJobError('Nothing has been captured in this session yet - record or fill in the checklist first');
+  }
+
+  if (onProgress) await onProgress(25, 'Building the process hierarchy...');
+  // An unusable reply raises AIResponseError (stored for review)
+  const { data } = await completeJson('bpml_generation', {
+    maxTokens: 16000,
+    messages: [{ role: 'user', content: buildBpmlPrompt(sources) }]
+  }, {
+    schema: bpmlSchema({
+      entityCodes: sources.entities.map(e => e.code),
+      obtainedIds: sources.obtained.map(item => item.id),
+      findingIds: sources.findings.map(finding => finding.id)
+    }),
+    review: { sessionId, context: { source: 'bpml_generation' } }
+  });
+
+  if (onProgress) await onProgress(85, 'Saving the process list...');
+  const defaultModule = moduleCode(sources.session.module);
+  const entityIds = (node) => entityIdsFor(node.entity_codes, sources.entities);
+  let nodeCount = 0;
+  let processCount = 0;
+
+  await db.query('DELETE FROM bpml_nodes WHERE session_id = $1', [sessionId]);
+
+  for (const [l1Index, valueChain] of data.value_chains.entries()) {
+    const l1Id = await insertNode(sessionId, null, 1, l1Index, valueChain, { entityIds: entityIds(valueChain), generatedBy });
+    nodeCount++;
+    for (const [l2Index, scenario] of valueChain.scenarios.entries()) {
+      const l2Id = await insertNode(sessionId, l1Id, 2, l2Index, scenario, { entityIds: entityIds(scenario), generatedBy });
+      nodeCount++;
+      for (const [l3Index, process] of scenario.processes.entries()) {
+        const l3Id = await insertNode(sessionId, l2Id, 3, l3Index, process, {
+          sapModule: process.sap_module?.trim() || defaultModule,
+          processOwner: process.process_owner?.trim() || null,
+          entityIds: entityIds(process),
+          sourceRefs: [
+            ...process.item_ids.map(id => ({ type: 'checklist_item', id })),
+            ...process.finding_ids.map(id => ({ type: 'finding', id }))
+          ],
+          generatedBy
+        });
+        nodeCount++;
+        processCount++;
+        for (const [l4Index, step] of process.steps.entries()) {
+          await insertNode(sessionId, l3Id, 4, l4Index, step, { entityIds: entityIds(step), generatedBy });
+          nodeCount++;
+        }
+      }
+    }
+  }
+
+  return { nodeCount, processCount };
+}
+
+// ============================================
+// Reading
+// ============================================
+
+/**
+ * Order the nodes of a session as a tree (depth first) and give each its process ID,
+ * its ancestors' names and the entities it applies to
+ * @param {Array} rows - bpml_nodes rows of one session
+ * @param {string} module - the session module (process ID prefix)
+ */
+function arrangeBpml(rows, module) {
+  const children = new Map();
+  for (const row of rows) {
+    const key = row.parent_id || 0;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(row);
+  }
+  for (const list of children.values()) {
+    list.sort((a, b) => a.sort_order - b.sort_order || a.id - b.id);
+  }
+
+  const prefix = moduleCode(module);
+  const ordered = [];
+  const visit = (parentId, ancestors, inheritedEntities) => {
+    (children.get(parentId) || []).forEach((row, index) => {
+      const segments = [...ancestors.map(a => a.segment), String(index + 1).padStart(2, '0')];
+      const effectiveEntities = row.entity_ids?.length > 0 ? row.entity_ids : inheritedEntities;
+      const node = {
+        ...row,
+        code: `${prefix}-${segments.join('.')}`,
+        path: ancestors.map(a => a.name),
+        effective_entity_ids: effectiveEntities
+      };
+      ordered.push(node);
+      visit(row.id, [...ancestors, { segment: segments[segments.length - 1], name: row.name }], effectiveEntities);
+    });
+  };
+  visit(0, [], []);
+  return ordered;
+}
+
+/**
+ * The BPML of a session in tree order
+ * @param {Object} options - entityId: only nodes that apply to this entity
+ */
+async function getSessionBpml(sessionId, { entityId = null } = {}) {
+  const sessionResult = await db.query('SELECT id, module FROM sessions WHERE id = $1', [sessionId]);
+  if (sessionResult.rows.length === 0) return null;
+
+  const result = await db.query('SELECT * FROM bpml_nodes WHERE session_id = $1', [sessionId]);
+  const nodes = arrangeBpml(result.rows, sessionResult.rows[0].module);
+
+  if (!entityId) return nodes;
+
+  // Nodes that apply to the entity, plus their ancestors so the hierarchy stays complete
+  const id = parseInt(entityId);
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const keep = new Set();
+  for (const node of nodes) {
+    if (node.effective_entity_ids.length > 0 && !node.effective_entity_ids.includes(id)) continue;
+    for (let current = node; current && !keep.has(current.id); current = byId.get(current.parent_id)) {
+      keep.add(current.id);
+    }
+  }
+  return nodes.filter(node => keep.has(node.id));
+}
+
+/**
+ * The BPML of every session of a workshop, session by session
+ * @returns {Promise<Array<{session, nodes}>>}
+ */
+async function getWorkshopBpml(workshopId, { entityId = null } = {}) {
+  const sessionsResult = await db.query(
+    'SELECT id, session_number, name, module FROM sessions WHERE workshop_id = $1 ORDER BY session_number',
+    [workshopId]
+  );
+  const sessions = [];
+  for (const session of sessionsResult.rows) {
+    sessions.push({ session, nodes: await getSessionBpml(session.id, { entityId }) });
+  }
+  return sessions;
+}
+
+module.exports = {
+  BPML_LEVELS,
+  generateBpml,
+  arrangeBpml,
+  getSessionBpml,
+  getWorkshopBpml
+};
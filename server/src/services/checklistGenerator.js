@@ -1,9 +1,26 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const db = require('../models/db');
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+const { completeJson } = require('./aiJson');
+
+// Reply schema for per-question checklists (also used by the observation routes)
+const QUESTION_CHECKLIST_SCHEMA = {
+  type: 'object',
+  properties: {
+    missing_info: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['item'],
+        properties: {
+          item: { type: 'string', check: (v) => v.trim() ? null : 'must not be empty' },
+          importance: { type: 'string', enum: ['critical', 'important', 'nice-to-have'], default: 'important' },
+          suggested_question: { type: 'string', default: '', fallback: '' }
+        }
+      }
+    },
+    summary: { type: 'string', default: '', fallback: '' }
+  }
+};
 
 /**
  * Generate initial checklist for a single question
@@ -42,9 +59,8 @@ The following items are already being tracked in earlier questions' checklists.
     questionContext += `\n`;
   }
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 2000,
+  const { data: checklistData, raw } = await completeJson('question_checklist', {
+    maxTokens: 2000,
     messages: [
       {
         role: 'user',
@@ -76,30 +92,36 @@ Question context:
 ${questionContext}`
       }
     ]
+  }, {
+    schema: QUESTION_CHECKLIST_SCHEMA,
+    review: { sessionId: question.session_id, context: { questionId: question.id } }
   });
 
-  let checklistData;
-  let rawContent = response.content[0].text;
-  rawContent = rawContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-  checklistData = JSON.parse(rawContent);
-
   return {
-    missing_info: checklistData.missing_info || [],
-    summary: checklistData.summary || '',
-    raw: rawContent
+    missing_info: checklistData.missing_info,
+    summary: checklistData.summary,
+    raw
   };
 }
 
 /**
  * Generate initial checklists for all questions in a session
  * This is called after questions are generated/published
+ * Questions that already have a checklist are skipped, so an interrupted run can be repeated.
+ * @param {number} sessionId
+ * @param {Object} options
+ *   config: workshop context (defaults to the global workshop config)
+ *   onProgress: async (current, total, question) called before each question
  */
-async function generateChecklistsForSession(sessionId) {
+async function generateChecklistsForSession(sessionId, { config: workshopConfig, onProgress } = {}) {
   console.log(`Generating initial checklists for session ${sessionId}...`);
 
   // Get workshop context
-  const configResult = await db.query('SELECT * FROM global_workshop_config WHERE id = 1');
-  const config = configResult.rows[0] || {};
+  let config = workshopConfig;
+  if (!config) {
+    const configResult = await db.query('SELECT * FROM global_workshop_config WHERE id = 1');
+    config = configResult.rows[0] || {};
+  }
 
   // Get all questions for this session with full context
   const questionsResult = await db.query(`
@@ -121,7 +143,11 @@ async function generateChecklistsForSession(sessionId) {
   // Track all checklist items from previous questions to avoid duplicates
   let allPreviousChecklistItems = [];
 
-  for (const question of questions) {
+  for (const [index, question] of questions.entries()) {
+    if (onProgress) {
+      await onProgress(index + 1, questions.length, question);
+    }
+
     try {
       // Check if checklist already exists
       const existingObs = await db.query(`
@@ -202,6 +228,7 @@ async function generateChecklistsForSession(sessionId) {
 }
 
 module.exports = {
+  QUESTION_CHECKLIST_SCHEMA,
   generateChecklistForQuestion,
   generateChecklistsForSession
 };
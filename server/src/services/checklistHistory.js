@@ -0,0 +1,164 @@
+/**
+ * Checklist History - Append-only evidence trail for session checklist items
+ *
+ * Every change to an item's status or answer appends a row with the item's
+ * resulting values and the evidence behind the change (recording or document,
+ * source quote, reason) plus who made it: the AI analysis (with the person who
+ * triggered it) or a named user. Rows are never updated - reverting an item to
+ * an earlier value appends a new 'reverted' entry. An item change and its entry are
+ * written in one transaction (db.transaction), so no change goes unrecorded.
+ */
+
+const db = require('../models/db');
+
+// Item columns copied into every history entry and restored by revertItem()
+const ITEM_VALUE_COLUMNS = [
+  'status',
+  'obtained_text',
+  'obtained_confidence',
+  'obtained_source',
+  'obtained_participant_id',
+  'obtained_speaker'
+];
+
+/**
+ * Change made by the AI analysis
+ * @param {string} triggeredBy - name of the user or share participant who started the analysis
+ */
+const aiActor = (triggeredBy = null) => ({ type: 'ai', name: triggeredBy });
+
+/**
+ * Change made by hand by a signed-in user
+ */
+const userActor = (user) => ({ type: 'user', userId: user.id, name: user.name });
+
+/**
+ * Append a history entry for an item that was just changed
+ * @param {Object} item - the updated session_checklist_items row
+ * @param {Object} change - { action, source, recordingId, documentId, sourceReference, sourceQuote, sourceQuoteOriginal, reason, actor, revertedFromId }
+ *   sourceReference: where in the document the evidence is, e.g. "Page 12"
+ *   sourceQuoteOriginal: the quote as spoken when it was not in English (sourceQuote is the translation)
+ * @param {Object} client - transaction client the item was updated with
+ * @returns {Promise<Object>} the history entry
+ */
+async function recordItemChange(item, change, client = db) {
+  const { action, source = null, recordingId = null, documentId = null, sourceReference = null, sourceQuote = null,
+    sourceQuoteOriginal = null, reason = null, actor = aiActor(), revertedFromId = null } = change;
+
+  const result = await client.query(`
+    INSERT INTO session_checklist_item_history
+      (item_id, session_id, action, ${ITEM_VALUE_COLUMNS.join(', ')},
+       source, recording_id, document_id, source_quote, reason,
+       actor_type, actor_user_id, actor_name, reverted_from_id, source_quote_original, source_reference)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+    RETURNING *
+  `, [
+    item.id,
+    item.session_id,
+    action,
+    ...ITEM_VALUE_COLUMNS.map(column => item[column] ?? null),
+    source,
+    parseInt(recordingId) || null,
+    parseInt(documentId) || null,
+    sourceQuote || null,
+    reason || null,
+    actor.type,
+    actor.userId || null,
+    actor.name || null,
+    revertedFromId,
+    sourceQuoteOriginal || null,
+    sourceReference || null
+  ]);
+
+  return result.rows[0];
+}
+
+/**
+ * Timeline of one item, newest first, with the recording/document names
+ */
+async function getItemHistory(sessionId, itemId) {
+  const result = await db.query(`
+    SELECT h.*,
+           r.file_name as recording_name,
+           r.chunk_index as recording_chunk,
+           d.original_name as document_name
+    FROM session_checklist_item_history h
+    LEFT JOIN session_recordings r ON h.recording_id = r.id
+    LEFT JOIN session_documents d ON h.document_id = d.id
+    WHERE h.item_id = $1 AND h.session_id = $2
+    ORDER BY h.created_at DESC, h.id DESC
+  `, [itemId, sessionId]);
+  return result.rows;
+}
+
+/**
+ * Restore the values an item had after an earlier history entry
+ * @returns {Promise<Object|null>} { item, entry } or null when the entry is not in this item's history
+ */
+async function revertItem(sessionId, itemId, historyId, user) {
+  const entryResult = await db.query(`
+    SELECT * FROM session_checklist_item_history
+    WHERE id = $1 AND item_id = $2 AND session_id = $3
+  `, [historyId, itemId, sessionId]);
+
+  if (entryResult.rows.length === 0) {
+    return null;
+  }
+  const target = entryResult.rows[0];
+
+  return db.transaction(async (client) => {
+    // A participant removed since then is not restored (the FK already cleared it)
+    const result = await client.query(`
+      UPDATE session_checklist_items
+      SET
+        status = $1,
+        obtained_text = $2,
+        obtained_confidence = $3,
+        obtained_source = $4,
+        obtained_participant_id = $5,
+        obtained_speaker = $6,
+        obtained_at = CASE WHEN $9 THEN CURRENT_TIMESTAMP ELSE NULL END,
+        obtained_quote_original = $10,
+        obtained_document_id = (SELECT id FROM session_documents WHERE id = $11 AND session_id = $8),
+        obtained_reference = $12
+      WHERE id = $7 AND session_id = $8
+      RETURNING *
+    `, [
+      ...ITEM_VALUE_COLUMNS.map(column => target[column]),
+      itemId,
+      sessionId,
+      target.status === 'obtained',
+      target.status === 'obtained' ? target.source_quote_original : null,
+      target.status === 'obtained' ? target.document_id : null,
+      target.status === 'obtained' ? target.source_reference : null
+    ]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+    const item = result.rows[0];
+
+    // Keep the evidence of the restored value with the new entry
+    const entry = await recordItemChange(item, {
+      action: 'reverted',
+      source: 'revert',
+      recordingId: target.recording_id,
+      documentId: target.document_id,
+      sourceReference: target.source_reference,
+      sourceQuote: target.source_quote,
+      sourceQuoteOriginal: target.source_quote_original,
+      actor: userActor(user),
+      revertedFromId: target.id
+    }, client);
+
+    return { item, entry };
+  });
+}
+
+module.exports = {
+  aiActor,
+  userActor,
+  recordItemChange,
+  getItemHistory,
+  revertItem
+};
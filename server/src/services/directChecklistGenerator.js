@@ -5,12 +5,21 @@
  * analyzes transcriptions to mark items as obtained.
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
 const db = require('../models/db');
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+const { completeJson, oneOfIds, AIResponseError } = require('./aiJson');
+const { getSessionSpeakers, speakerInstructions } = require('./speakerAttribution');
+const { aiActor, recordItemChange } = require('./checklistHistory');
+const { languageInstructions } = require('./language');
+const { buildAnalysisContext, getMemoryWindows, updateSessionMemory } = require('./sessionMemory');
+const { groupSections, sectionHeading } = require('./documentIngestion');
+const {
+  structuredValueSchema,
+  structuredValuesInstructions,
+  STRUCTURED_VALUES_EXAMPLE,
+  getSessionEntities,
+  replaceItemValues,
+  clearItemValues
+} = require('./structuredValues');
 
 // Module-specific guidance for checklist generation
 const MODULE_GUIDANCE = {
@@ -82,8 +91,209 @@ const MODULE_GUIDANCE = {
 - Task lists`
 };
 
+// ============================================
+// Reply schemas (validated by services/aiJson)
+// ============================================
+
+const IMPORTANCE_LEVELS = ['critical', 'important', 'nice-to-have'];
+// Statuses a checklist item can be set to by hand
+const ITEM_STATUSES = ['missing', 'partial', 'obtained'];
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+const RISK_LEVELS = ['high', 'medium', 'low'];
+const FINDING_TYPES = [
+  'process', 'pain_point', 'integration', 'compliance', 'performance', 'workaround',
+  'requirement', 'data', 'organization', 'organizational', 'political', 'future_plan',
+  'historical', 'concern', 'other'
+];
+
+const nonEmpty = (value) => value.trim() ? null : 'must not be empty';
+const optionalText = { type: 'string', nullable: true, fallback: null };
+
+const CHECKLIST_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['item_text'],
+    properties: {
+      item_text: { type: 'string', check: nonEmpty },
+      importance: { type: 'string', enum: IMPORTANCE_LEVELS, default: 'important' },
+      category: { type: 'string', default: 'General', fallback: 'General' },
+      suggested_question: { type: 'string', default: '', fallback: '' }
+      // best_practice may be an object or a legacy string
+    }
+  }
+};
+
+// The supplying participant is optional context - an unknown id is cleared, not fatal
+const participantIdSchema = (speakers) => ({
+  type: 'integer',
+  nullable: true,
+  default: null,
+  fallback: null,
+  check: oneOfIds(speakers.map(p => p.id), 'a session participant')
+});
+
+const obtainedItemSchema = (itemIds, speakers, label) => ({
+  type: 'object',
+  required: ['item_id', 'obtained_text'],
+  properties: {
+    item_id: { type: 'integer', check: oneOfIds(itemIds, label) },
+    obtained_text: { type: 'string', check: nonEmpty },
+    confidence: { type: 'string', enum: CONFIDENCE_LEVELS, default: 'medium' },
+    source_quote: optionalText,
+    source_quote_original: optionalText,
+    evidence_quote: optionalText,
+    source_participant_id: participantIdSchema(speakers),
+    structured_values: { type: 'array', default: [], fallback: [], items: structuredValueSchema }
+  }
+});
+
+const findingSchema = (speakers) => ({
+  type: 'object',
+  required: ['topic'],
+  properties: {
+    topic: { type: 'string', check: nonEmpty },
+    finding_type: { type: 'string', enum: FINDING_TYPES, default: 'other', fallback: 'other' },
+    details: { type: 'string', default: '' },
+    source_quote: optionalText,
+    source_quote_original: optionalText,
+    sap_analysis: optionalText,
+    sap_recommendation: optionalText,
+    sap_best_practice: optionalText,
+    sap_risk_level: { type: 'string', enum: RISK_LEVELS, default: 'medium' },
+    risk_explanation: optionalText,
+    source_participant_id: participantIdSchema(speakers)
+  }
+});
+
+const transcriptAnalysisSchema = (missingItems, obtainedItems, speakers) => ({
+  type: 'object',
+  properties: {
+    obtained_items: {
+      type: 'array',
+      default: [],
+      items: obtainedItemSchema(missingItems.map(i => i.id), speakers, 'one of the missing checklist items listed')
+    },
+    items_to_reset: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['item_id'],
+        properties: {
+          item_id: { type: 'integer', check: oneOfIds(obtainedItems.map(i => i.id), 'one of the already obtained items listed') },
+          reason: optionalText,
+          contradiction_quote: optionalText
+        }
+      }
+    },
+    additional_findings: { type: 'array', default: [], items: findingSchema(speakers) }
+  }
+});
+
+// Section a document answer was found in - an unknown id only loses the page reference
+const withSectionId = (schema, sectionIds) => ({
+  ...schema,
+  properties: {
+    ...schema.properties,
+    section_id: {
+      type: 'integer',
+      nullable: true,
+      default: null,
+      fallback: null,
+      check: oneOfIds(sectionIds, 'one of the [S:id] sections shown')
+    }
+  }
+});
+
+const documentAnalysisSchema = (missingItems, sectionIds) => ({
+  type: 'object',
+  properties: {
+    obtained_items: {
+      type: 'array',
+      default: [],
+      items: withSectionId(obtainedItemSchema(missingItems.map(i => i.id), [], 'one of the missing checklist items listed'), sectionIds)
+    },
+    additional_findings: { type: 'array', default: [], items: withSectionId(findingSchema([]), sectionIds) }
+  }
+});
+
+// Answers given in the pre-work questionnaire that are not concrete enough come back with a reason
+const preworkAnalysisSchema = (missingItems, answeredIds) => ({
+  type: 'object',
+  properties: {
+    obtained_items: {
+      type: 'array',
+      default: [],
+      items: obtainedItemSchema(missingItems.map(i => i.id), [], 'one of the missing checklist items listed')
+    },
+    unanswered: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['item_id'],
+        properties: {
+          item_id: { type: 'integer', check: oneOfIds(answeredIds, 'one of the answered checklist items') },
+          reason: optionalText
+        }
+      }
+    }
+  }
+});
+
+const reanalysisSchema = (allItems, speakers) => {
+  const itemIds = allItems.map(i => i.id);
+  return {
+    type: 'object',
+    properties: {
+      items_to_obtain: {
+        type: 'array',
+        default: [],
+        items: obtainedItemSchema(itemIds, speakers, 'a checklist item of this session')
+      },
+      items_to_reset_to_missing: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['item_id'],
+          properties: {
+            item_id: { type: 'integer', check: oneOfIds(itemIds, 'a checklist item of this session') },
+            reason: optionalText
+          }
+        }
+      },
+      stray_topics: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['topic'],
+          properties: {
+            topic: { type: 'string', check: nonEmpty },
+            finding_type: { type: 'string', enum: FINDING_TYPES, default: 'other', fallback: 'other' },
+            context: optionalText,
+            details: optionalText,
+            why_important: optionalText,
+            source_quote_original: optionalText,
+            sap_analysis: optionalText,
+            sap_recommendation: optionalText,
+            sap_best_practice: optionalText,
+            risk_level: { type: 'string', enum: RISK_LEVELS, default: 'medium' },
+            source_participant_id: participantIdSchema(speakers)
+          }
+        }
+      },
+      summary: { type: 'object', nullable: true, default: null, fallback: null }
+    }
+  };
+};
+
 /**
  * Generate exhaustive checklist from mission statement
+ * @param {Object} config - baseItems: items already in the session (from a template);
+ *   when given, only the items they are missing are generated
  */
 async function generateDirectChecklist(config) {
   const {
@@ -93,7 +303,9 @@ async function generateDirectChecklist(config) {
     customInstructions,
     sessionName,
     topics,
-    entities
+    entities,
+    sessionId,
+    baseItems = []
   } = config;
 
   const entityContext = entities?.map(e => `- ${e.code}: ${e.name}`).join('\n') || 'Not specified';
@@ -148,7 +360,11 @@ ${moduleGuidance ? `**Module-Specific Areas:**\n${moduleGuidance}` : ''}
 
 ${customInstructions ? `**Additional Instructions:**\n${customInstructions}` : ''}
 
-Generate 50-100 specific checklist items organized by category.
+${baseItems.length > 0 ? `**ITEMS ALREADY ON THE CHECKLIST (from a reviewed template):**
+${baseItems.map(item => `- [${item.category || 'General'}] ${item.item_text}`).join('\n')}
+
+These items are kept as they are. Do NOT repeat or rephrase them.
+Generate ONLY the specific checklist items this mission, module and these entities still need that the list above does not cover (typically 0-30). Return an empty array if nothing is missing.` : 'Generate 50-100 specific checklist items organized by category.'}
 
 For each item, also include industry best practice guidance as a JSON object with itemized points:
 - sap_recommendation: What SAP recommends for this area
@@ -188,54 +404,15 @@ Categories should include (as applicable):
 
 Return ONLY valid JSON array, no other text.`;
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 16000,
+  const { data: items } = await completeJson('checklist_generation', {
+    maxTokens: 16000,
     messages: [{ role: 'user', content: userPrompt }],
     system: systemPrompt
+  }, {
+    schema: CHECKLIST_SCHEMA,
+    review: { sessionId, context: { module, sessionName } }
   });
 
-  let rawContent = response.content[0].text;
-
-  // Clean up JSON response
-  rawContent = rawContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-  // Parse JSON with repair logic for truncated responses
-  let items;
-  try {
-    items = JSON.parse(rawContent);
-  } catch (parseError) {
-    console.error('JSON parse error in generateDirectChecklist:', parseError.message);
-    console.error('Raw content length:', rawContent.length);
-
-    // Try to repair truncated JSON
-    try {
-      // Find the last complete object in the array
-      let repaired = rawContent;
-
-      // If it ends mid-string, try to close it
-      if (!repaired.endsWith(']')) {
-        // Find the last complete object by looking for },
-        const lastCompleteObj = repaired.lastIndexOf('},');
-        if (lastCompleteObj > 0) {
-          repaired = repaired.substring(0, lastCompleteObj + 1) + ']';
-        } else {
-          // Try to find last complete object ending with }
-          const lastBrace = repaired.lastIndexOf('}');
-          if (lastBrace > 0) {
-            repaired = repaired.substring(0, lastBrace + 1) + ']';
-          }
-        }
-      }
-
-      items = JSON.parse(repaired);
-      console.log(`Successfully repaired JSON - recovered ${items.length} items`);
-    } catch (retryError) {
-      console.error('JSON repair also failed:', retryError.message);
-      throw new Error(`Failed to parse checklist response: ${parseError.message}. The AI response may have been truncated.`);
-    }
-  }
-
   // Add item numbers and format best_practice as JSON string
   return items.map((item, index) => {
     // Handle best_practice - convert object to JSON string for storage
@@ -257,9 +434,9 @@ Return ONLY valid JSON array, no other text.`;
     return {
       item_number: index + 1,
       item_text: item.item_text,
-      importance: item.importance || 'important',
-      category: item.category || 'General',
-      suggested_question: item.suggested_question || '',
+      importance: item.importance,
+      category: item.category,
+      suggested_question: item.suggested_question,
       best_practice: bestPractice
     };
   });
@@ -267,8 +444,10 @@ Return ONLY valid JSON array, no other text.`;
 
 /**
  * Analyze transcription against session checklist to find obtained items
+ * @param {Object} context - stored with the reply if it needs manual review, e.g. { recordingId }
+ * @returns {Promise<Object>} reviewId is set when (part of) the reply was kept for review
  */
-async function analyzeTranscriptionAgainstChecklist(sessionId, newTranscription) {
+async function analyzeTranscriptionAgainstChecklist(sessionId, newTranscription, context = {}) {
   // Get all missing items for this session
   const missingItemsResult = await db.query(`
     SELECT id, item_number, item_text, importance, category, suggested_question
@@ -293,17 +472,13 @@ async function analyzeTranscriptionAgainstChecklist(sessionId, newTranscription)
     return { obtainedItems: [], itemsToReset: [], remainingMissing: 0 };
   }
 
-  // Get all previous transcriptions for context
-  const previousTranscriptions = await db.query(`
-    SELECT transcription, chunk_index
-    FROM session_recordings
-    WHERE session_id = $1 AND transcription IS NOT NULL
-    ORDER BY chunk_index
-  `, [sessionId]);
+  // Earlier recordings come from the rolling session memory, so the prompt stays the same size per chunk
+  const sessionMemory = await buildAnalysisContext(sessionId, {
+    excludeRecordingId: parseInt(context.recordingId) || null
+  });
 
-  const allTranscriptions = previousTranscriptions.rows
-    .map(r => r.transcription)
-    .join('\n\n---\n\n');
+  const speakers = await getSessionSpeakers(sessionId);
+  const entities = await getSessionEntities(sessionId);
 
   // Get session context
   const sessionResult = await db.query(`
@@ -320,15 +495,15 @@ async function analyzeTranscriptionAgainstChecklist(sessionId, newTranscription)
 **Mission:** ${session.mission_statement || 'Not specified'}
 **Module:** ${session.module}
 **Industry Context:** ${session.industry_context || 'Not specified'}
-
+${speakerInstructions(speakers)}${languageInstructions(session.language, newTranscription)}
 **Checklist Items Still Missing (need to find answers for these):**
 ${missingItems.length > 0 ? missingItems.map(item => `[ID:${item.id}] ${item.item_text}`).join('\n') : '(None)'}
 
 **Items Already Marked as Obtained (check for CONTRADICTIONS in new recording):**
 ${obtainedItems.length > 0 ? obtainedItems.map(item => `[ID:${item.id}] ${item.item_text}\n   Previously recorded: "${item.obtained_text}"`).join('\n') : '(None)'}
 
-**Workshop Transcription (all recordings so far):**
-${allTranscriptions}
+**Session Memory (earlier recordings):**
+${sessionMemory}
 
 **New Recording Transcription:**
 ${newTranscription}
@@ -381,6 +556,8 @@ For EACH additional finding, provide SAP best practice analysis:
 - What are the risks if not addressed properly?
 - What SAP functionality or solution addresses this?
 
+${structuredValuesInstructions(entities)}
+
 **Output Format - JSON:**
 \`\`\`json
 {
@@ -389,7 +566,9 @@ For EACH additional finding, provide SAP best practice analysis:
       "item_id": 123,
       "obtained_text": "The actual specific information extracted from the transcription",
       "confidence": "high|medium|low",
-      "source_quote": "Brief relevant quote from transcription"
+      "source_quote": "Brief relevant quote from transcription",
+      "source_participant_id": null,
+      "structured_values": ${STRUCTURED_VALUES_EXAMPLE}
     }
   ],
   "items_to_reset": [
@@ -409,7 +588,8 @@ For EACH additional finding, provide SAP best practice analysis:
       "sap_recommendation": "Specific SAP best practice recommendation",
       "sap_best_practice": "Relevant SAP standard functionality or solution (e.g., 'SAP Fiori app F0859 for bank reconciliation')",
       "sap_risk_level": "high|medium|low",
-      "risk_explanation": "Why this is a risk if not addressed"
+      "risk_explanation": "Why this is a risk if not addressed",
+      "source_participant_id": null
     }
   ]
 }
@@ -425,66 +605,55 @@ IMPORTANT:
 - If no contradictions found, return an empty items_to_reset array
 - Return ONLY valid JSON, no other text.`;
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 6000,
-    messages: [{ role: 'user', content: prompt }]
-  });
-
-  let rawContent = response.content[0].text;
-  rawContent = rawContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
   let result;
+  let reviewId = null;
   try {
-    result = JSON.parse(rawContent);
-  } catch (parseError) {
-    console.error('JSON parse error:', parseError.message);
-    console.error('Raw content (first 500 chars):', rawContent.substring(0, 500));
-
-    // Try to fix common JSON issues
-    try {
-      // Remove any trailing content after the last }
-      const lastBrace = rawContent.lastIndexOf('}');
-      if (lastBrace > 0) {
-        rawContent = rawContent.substring(0, lastBrace + 1);
-      }
-      // Try to fix unescaped quotes in strings
-      rawContent = rawContent.replace(/(?<!\\)"\s*:\s*"([^"]*?)(?<!\\)"/g, (match, p1) => {
-        return '": "' + p1.replace(/(?<!\\)"/g, '\\"') + '"';
-      });
-      result = JSON.parse(rawContent);
-    } catch (retryError) {
-      console.error('JSON retry parse also failed:', retryError.message);
-      // Return empty result instead of crashing
-      return {
-        obtainedItems: [],
-        itemsToReset: [],
-        additionalFindings: [],
-        remainingMissing: missingItems.length
-      };
-    }
+    ({ data: result, reviewId } = await completeJson('transcript_analysis', {
+      maxTokens: 6000,
+      messages: [{ role: 'user', content: prompt }]
+    }, {
+      schema: transcriptAnalysisSchema(missingItems, obtainedItems, speakers),
+      review: { sessionId, context: { ...context, transcription: newTranscription } }
+    }));
+  } catch (error) {
+    if (!(error instanceof AIResponseError)) throw error;
+    // The reply is kept in ai_response_reviews; the recording itself is already saved
+    console.error(`Transcript analysis reply stored for review (${error.reviewId}):`, error.errors.slice(0, 3));
+    return {
+      obtainedItems: [],
+      itemsToReset: [],
+      additionalFindings: [],
+      remainingMissing: missingItems.length,
+      reviewId: error.reviewId
+    };
   }
 
   return {
-    obtainedItems: result.obtained_items || [],
-    itemsToReset: result.items_to_reset || [],
-    additionalFindings: result.additional_findings || [],
-    remainingMissing: missingItems.length - (result.obtained_items?.length || 0) + (result.items_to_reset?.length || 0)
+    obtainedItems: result.obtained_items,
+    itemsToReset: result.items_to_reset,
+    additionalFindings: result.additional_findings,
+    remainingMissing: missingItems.length - result.obtained_items.length + result.items_to_reset.length,
+    reviewId
   };
 }
 
 /**
  * Save additional findings to database
+ * @param {Object} evidence - { documentId } for findings from a document; finding.source_reference is its page/section
  */
-async function saveAdditionalFindings(sessionId, recordingId, findings) {
+async function saveAdditionalFindings(sessionId, recordingId, findings, evidence = {}) {
   const savedFindings = [];
 
   for (const finding of findings) {
     const result = await db.query(`
       INSERT INTO session_additional_findings
         (session_id, recording_id, finding_type, topic, details, sap_analysis,
-         sap_recommendation, sap_risk_level, sap_best_practice, source_quote)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         sap_recommendation, sap_risk_level, sap_best_practice, source_quote,
+         participant_id, source_speaker, source_quote_original, document_id, source_reference)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+        (SELECT id FROM workshop_participants WHERE id = $11 AND session_id = $1),
+        (SELECT name FROM workshop_participants WHERE id = $11 AND session_id = $1), $12,
+        (SELECT id FROM session_documents WHERE id = $13 AND session_id = $1), $14)
       RETURNING *
     `, [
       sessionId,
@@ -496,7 +665,11 @@ async function saveAdditionalFindings(sessionId, recordingId, findings) {
       finding.sap_recommendation,
       finding.sap_risk_level || 'medium',
       finding.sap_best_practice,
-      finding.source_quote
+      finding.source_quote,
+      parseInt(finding.source_participant_id) || null,
+      finding.source_quote_original || null,
+      parseInt(evidence.documentId) || null,
+      finding.source_reference || null
     ]);
     savedFindings.push(result.rows[0]);
   }
@@ -509,9 +682,10 @@ async function saveAdditionalFindings(sessionId, recordingId, findings) {
  */
 async function getSessionFindings(sessionId) {
   const result = await db.query(`
-    SELECT f.*, r.chunk_index, r.created_at as recording_created_at
+    SELECT f.*, r.chunk_index, r.created_at as recording_created_at, d.original_name as document_name
     FROM session_additional_findings f
     LEFT JOIN session_recordings r ON f.recording_id = r.id
+    LEFT JOIN session_documents d ON f.document_id = d.id
     WHERE f.session_id = $1
     ORDER BY f.created_at DESC
   `, [sessionId]);
@@ -520,6 +694,7 @@ async function getSessionFindings(sessionId) {
 
 /**
  * Save generated checklist items to database
+ * item.origin: 'template' for items copied from a template, otherwise 'ai'
  */
 async function saveChecklistItems(sessionId, items) {
   // Delete existing items for this session
@@ -529,8 +704,8 @@ async function saveChecklistItems(sessionId, items) {
   for (const item of items) {
     await db.query(`
       INSERT INTO session_checklist_items
-        (session_id, item_number, item_text, importance, category, suggested_question, best_practice, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, 'missing')
+        (session_id, item_number, item_text, importance, category, suggested_question, best_practice, status, origin)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, 'missing', $8)
     `, [
       sessionId,
       item.item_number,
@@ -538,7 +713,8 @@ async function saveChecklistItems(sessionId, items) {
       item.importance,
       item.category,
       item.suggested_question,
-      item.best_practice
+      item.best_practice,
+      item.origin || 'ai'
     ]);
   }
 
@@ -554,26 +730,66 @@ async function saveChecklistItems(sessionId, items) {
 
 /**
  * Update checklist items as obtained
+ * Records the supplying participant when the analysis cited one (ids outside the session are ignored)
+ * Each change is added to the item history with its evidence
+ * @param {string} source - audio, live, document, prework or reanalysis
+ * @param {Object} evidence - { recordingId, documentId, triggeredBy }
+ * source_quote_original (a quote not spoken in English) is kept on the item next to the English answer,
+ * and source_reference (page or section of a document) with the document it is in;
+ * the item's structured_values replace the values extracted for it before (services/structuredValues)
  */
-async function markItemsAsObtained(obtainedItems, source = 'audio') {
+async function markItemsAsObtained(obtainedItems, source = 'audio', evidence = {}) {
   const updated = [];
 
   for (const item of obtainedItems) {
-    await db.query(`
-      UPDATE session_checklist_items
-      SET
-        status = 'obtained',
-        obtained_text = $1,
-        obtained_confidence = $2,
-        obtained_source = $3,
-        obtained_at = CURRENT_TIMESTAMP
-      WHERE id = $4
-    `, [
-      item.obtained_text,
-      item.confidence,
-      source,
-      item.item_id
-    ]);
+    const row = await db.transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE session_checklist_items
+        SET
+          status = 'obtained',
+          obtained_text = $1,
+          obtained_confidence = $2,
+          obtained_source = $3,
+          obtained_at = CURRENT_TIMESTAMP,
+          obtained_participant_id = (SELECT id FROM workshop_participants
+            WHERE id = $5 AND session_id = session_checklist_items.session_id),
+          obtained_speaker = (SELECT name FROM workshop_participants
+            WHERE id = $5 AND session_id = session_checklist_items.session_id),
+          obtained_quote_original = $6,
+          obtained_document_id = (SELECT id FROM session_documents
+            WHERE id = $7 AND session_id = session_checklist_items.session_id),
+          obtained_reference = $8
+        WHERE id = $4
+        RETURNING *
+      `, [
+        item.obtained_text,
+        item.confidence,
+        source,
+        item.item_id,
+        parseInt(item.source_participant_id) || null,
+        item.source_quote_original || null,
+        parseInt(evidence.documentId) || null,
+        item.source_reference || null
+      ]);
+
+      if (result.rows.length > 0) {
+        await recordItemChange(result.rows[0], {
+          action: 'obtained',
+          source,
+          recordingId: evidence.recordingId,
+          documentId: evidence.documentId,
+          sourceReference: item.source_reference,
+          sourceQuote: item.source_quote || item.evidence_quote,
+          sourceQuoteOriginal: item.source_quote_original,
+          actor: aiActor(evidence.triggeredBy)
+        }, client);
+      }
+      return result.rows[0];
+    });
+
+    if (row) {
+      await replaceItemValues(row, item.structured_values, { source, confidence: item.confidence });
+    }
     updated.push(item.item_id);
   }
 
@@ -581,9 +797,72 @@ async function markItemsAsObtained(obtainedItems, source = 'audio') {
 }
 
 /**
- * Analyze document content against session checklist to find obtained items
+ * Reset checklist items back to missing (contradicted or weak evidence)
+ * The previous answer stays in the item history
+ * @param {Array} items - [{ item_id, reason, contradiction_quote }]
+ * @param {string} source - audio or reanalysis
+ * @param {Object} evidence - { recordingId, triggeredBy }
+ * @returns {Promise<number>} number of items reset
+ */
+async function resetItemsToMissing(sessionId, items, source = 'audio', evidence = {}) {
+  let resetCount = 0;
+
+  for (const item of items) {
+    const row = await db.transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE session_checklist_items
+        SET
+          status = 'missing',
+          obtained_text = NULL,
+          obtained_confidence = NULL,
+          obtained_source = NULL,
+          obtained_at = NULL,
+          obtained_participant_id = NULL,
+          obtained_speaker = NULL,
+          obtained_quote_original = NULL,
+          obtained_document_id = NULL,
+          obtained_reference = NULL
+        WHERE id = $1 AND session_id = $2
+        RETURNING *
+      `, [item.item_id, sessionId]);
+
+      if (result.rows.length > 0) {
+        await recordItemChange(result.rows[0], {
+          action: 'reset',
+          source,
+          recordingId: evidence.recordingId,
+          sourceQuote: item.contradiction_quote,
+          reason: item.reason,
+          actor: aiActor(evidence.triggeredBy)
+        }, client);
+      }
+      return result.rows[0];
+    });
+
+    if (row) {
+      await clearItemValues(row.id);
+      resetCount++;
+    }
+  }
+
+  return resetCount;
+}
+
+// Document text given to one analysis call; longer documents are analyzed in several batches of sections
+const DOCUMENT_BATCH_CHARS = 40000;
+
+/**
+ * Analyze a document against the session checklist, section by section
+ *
+ * Sections (see services/documentIngestion) are analyzed in batches that fit one prompt.
+ * Items obtained in a batch are no longer offered to later batches, and later batches are
+ * told which findings were already captured. Every obtained item and finding carries the
+ * label of the section it came from as source_reference (e.g. "Page 12").
+ * @param {Array} sections - [{ label, text }]
+ * @param {Object} context - stored with the reply if it needs manual review, e.g. { documentId }
+ * @param {Object} options - { onProgress(done, total) } called before each batch
  */
-async function analyzeDocumentAgainstChecklist(sessionId, documentText, documentName) {
+async function analyzeDocumentAgainstChecklist(sessionId, sections, documentName, context = {}, { onProgress } = {}) {
   // Get all missing items for this session
   const missingItemsResult = await db.query(`
     SELECT id, item_number, item_text, importance, category, suggested_question
@@ -592,7 +871,8 @@ async function analyzeDocumentAgainstChecklist(sessionId, documentText, document
     ORDER BY item_number
   `, [sessionId]);
 
-  const missingItems = missingItemsResult.rows;
+  let missingItems = missingItemsResult.rows;
+  const initialMissing = missingItems.length;
 
   if (missingItems.length === 0) {
     return { obtainedItems: [], additionalFindings: [], remainingMissing: 0 };
@@ -606,26 +886,34 @@ async function analyzeDocumentAgainstChecklist(sessionId, documentText, document
     WHERE s.id = $1
   `, [sessionId]);
   const session = sessionResult.rows[0];
+  const entities = await getSessionEntities(sessionId);
+
+  const batches = groupSections(sections, DOCUMENT_BATCH_CHARS);
+  const obtainedItems = [];
+  const additionalFindings = [];
+  const reviewIds = [];
 
-  // Truncate document text if too long (keep first 50K chars)
-  const maxTextLength = 50000;
-  const truncatedText = documentText.length > maxTextLength
-    ? documentText.substring(0, maxTextLength) + '\n\n[Document truncated due to length...]'
-    : documentText;
+  for (const [index, batch] of batches.entries()) {
+    if (onProgress) await onProgress(index, batches.length);
 
-  const prompt = `You are an expert SAP S/4HANA implementation consultant analyzing a document uploaded during a workshop.
+    const batchText = batch.map(section => `=== [S:${section.id}] ${sectionHeading(section)} ===\n${section.text}`).join('\n\n');
+    const scanned = batch.some(section => section.ocrConfidence != null);
+    const labels = new Map(batch.map(section => [section.id, section.label]));
+    const part = batches.length > 1 ? ` (part ${index + 1} of ${batches.length}: ${batch[0].label} to ${batch[batch.length - 1].label})` : '';
+
+    const prompt = `You are an expert SAP S/4HANA implementation consultant analyzing a document uploaded during a workshop.
 
 **Workshop:** ${session.workshop_name}
 **Mission:** ${session.mission_statement || 'Not specified'}
 **Module:** ${session.module}
 **Industry Context:** ${session.industry_context || 'Not specified'}
-**Document Name:** ${documentName || 'Uploaded Document'}
-
+**Document Name:** ${documentName || 'Uploaded Document'}${part}
+${languageInstructions(session.language, batchText)}
 **Checklist Items Still Missing (need to find information for these):**
-${missingItems.map(item => `[ID:${item.id}] ${item.item_text}`).join('\n')}
-
-**Document Content:**
-${truncatedText}
+${missingItems.length > 0 ? missingItems.map(item => `[ID:${item.id}] ${item.item_text}`).join('\n') : '(None - only capture additional findings)'}
+${additionalFindings.length > 0 ? `\n**Findings already captured from earlier parts of this document (do NOT repeat them):**\n${additionalFindings.map(f => `- ${f.topic}`).join('\n')}\n` : ''}
+**Document Content** - each section starts with its [S:id] marker and location:
+${batchText}
 
 You have TWO tasks:
 
@@ -635,7 +923,8 @@ Analyze the document and identify which checklist items have CONCRETE answers.
 **STRICT RULES:**
 - ONLY mark an item as "obtained" if SPECIFIC, CONCRETE DATA is found in the document
 - DO NOT mark as obtained if the topic is just mentioned without specific details
-- DO NOT mark as obtained if it's a placeholder or "TBD"
+- DO NOT mark as obtained if it's a placeholder or "TBD"${scanned ? `
+- Sections marked "scanned" were read with OCR and may contain misread characters - do NOT mark an item as obtained from text that is garbled or whose numbers/names are not clearly legible` : ''}
 
 **Examples of what IS obtained:**
 - A table showing "Payment Terms: Net 30 for Type A, Net 45 for Type B" = OBTAINED
@@ -662,6 +951,8 @@ For EACH additional finding, provide SAP best practice analysis:
 - What are the risks if not addressed properly?
 - What SAP functionality or solution addresses this?
 
+${structuredValuesInstructions(entities)}
+
 **Output Format - JSON:**
 \`\`\`json
 {
@@ -670,7 +961,9 @@ For EACH additional finding, provide SAP best practice analysis:
       "item_id": 123,
       "obtained_text": "The actual specific information extracted from the document",
       "confidence": "high|medium|low",
-      "source_quote": "Brief relevant quote from document"
+      "source_quote": "Brief relevant quote from document",
+      "section_id": 4,
+      "structured_values": ${STRUCTURED_VALUES_EXAMPLE}
     }
   ],
   "additional_findings": [
@@ -679,6 +972,7 @@ For EACH additional finding, provide SAP best practice analysis:
       "finding_type": "process|pain_point|integration|compliance|performance|workaround|requirement|data|organization|other",
       "details": "Detailed description of what was found in the document",
       "source_quote": "Relevant quote from document",
+      "section_id": 4,
       "sap_analysis": "Analysis from SAP implementation perspective",
       "sap_recommendation": "Specific SAP best practice recommendation",
       "sap_best_practice": "Relevant SAP standard functionality or solution",
@@ -692,69 +986,209 @@ For EACH additional finding, provide SAP best practice analysis:
 IMPORTANT:
 - BE CONSERVATIVE with "obtained" - only mark if you find ACTUAL DATA, not just topic mentions
 - If no items have concrete answers, return an empty obtained_items array - that's fine!
+- "section_id" is the [S:id] of the section the information is in
 - Documents may contain valuable organizational data, process flows, or requirements
 - Be thorough in extracting all relevant information for additional findings
 - Return ONLY valid JSON, no other text.`;
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 8000,
-    messages: [{ role: 'user', content: prompt }]
-  });
-
-  let rawContent = response.content[0].text;
-  rawContent = rawContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-  let result;
-  try {
-    result = JSON.parse(rawContent);
-  } catch (parseError) {
-    console.error('Document analysis JSON parse error:', parseError.message);
-    console.error('Raw content (first 500 chars):', rawContent.substring(0, 500));
-
-    // Try to fix common JSON issues
+    let result;
     try {
-      const lastBrace = rawContent.lastIndexOf('}');
-      if (lastBrace > 0) {
-        rawContent = rawContent.substring(0, lastBrace + 1);
-      }
-      result = JSON.parse(rawContent);
-    } catch (retryError) {
-      console.error('Document analysis JSON retry parse also failed:', retryError.message);
-      return {
-        obtainedItems: [],
-        additionalFindings: [],
-        remainingMissing: missingItems.length
-      };
+      let reviewId;
+      ({ data: result, reviewId } = await completeJson('document_analysis', {
+        maxTokens: 8000,
+        messages: [{ role: 'user', content: prompt }]
+      }, {
+        schema: documentAnalysisSchema(missingItems, batch.map(section => section.id)),
+        review: { sessionId, context: { ...context, documentName, sections: [batch[0].label, batch[batch.length - 1].label] } }
+      }));
+      if (reviewId) reviewIds.push(reviewId);
+    } catch (error) {
+      if (!(error instanceof AIResponseError)) throw error;
+      // The other batches are still used; this one waits in manual review
+      console.error(`Document analysis reply stored for review (${error.reviewId}):`, error.errors.slice(0, 3));
+      reviewIds.push(error.reviewId);
+      continue;
     }
+
+    const withReference = ({ section_id: sectionId, ...entry }) => ({ ...entry, source_reference: labels.get(sectionId) || null });
+    obtainedItems.push(...result.obtained_items.map(withReference));
+    additionalFindings.push(...result.additional_findings.map(withReference));
+
+    const obtainedIds = new Set(result.obtained_items.map(item => item.item_id));
+    missingItems = missingItems.filter(item => !obtainedIds.has(item.id));
   }
 
   return {
-    obtainedItems: result.obtained_items || [],
-    additionalFindings: result.additional_findings || [],
-    remainingMissing: missingItems.length - (result.obtained_items?.length || 0)
+    obtainedItems,
+    additionalFindings,
+    remainingMissing: initialMissing - obtainedItems.length,
+    sectionsAnalyzed: sections.length,
+    batches: batches.length,
+    reviewId: reviewIds[0] || null
   };
 }
 
 /**
- * Re-analyze ALL transcripts against the checklist (comprehensive re-evaluation)
+ * Analyze answers typed into the pre-work questionnaire before the session
  *
- * This function:
- * 1. Reviews ALL checklist items (missing AND obtained) with stricter criteria
- * 2. Only marks items as obtained if CONCRETE DATA is found (not just mentions)
- * 3. Detects stray/off-topic discussions and captures them as findings with full context
- * 4. Updates all items based on the complete transcript context
+ * Each answer is checked like a recording or document would be: only concrete data
+ * obtains an item, with a confidence. An answer may also answer other missing items.
+ * Answers that are too vague come back in unanswered with the reason, so the live
+ * session knows what to ask.
+ * @param {Array} answers - [{ item_id, answer_text, answered_by }]
+ * @param {Object} context - stored with the reply if it needs manual review
+ * @returns {Promise<Object>} { obtainedItems, unanswered, reviewId }; an unusable reply raises AIResponseError
  */
-async function reanalyzeAllTranscripts(sessionId, allTranscriptsText) {
-  // Get ALL checklist items (both missing and obtained)
-  const allItemsResult = await db.query(`
+async function analyzePreworkAnswers(sessionId, answers, context = {}) {
+  const missingItemsResult = await db.query(`
+    SELECT id, item_number, item_text, importance, category, suggested_question
+    FROM session_checklist_items
+    WHERE session_id = $1 AND status = 'missing'
+    ORDER BY item_number
+  `, [sessionId]);
+  const missingItems = missingItemsResult.rows;
+
+  const missingIds = new Set(missingItems.map(item => item.id));
+  const answered = answers.filter(answer => missingIds.has(answer.item_id));
+  if (answered.length === 0) {
+    return { obtainedItems: [], unanswered: [], reviewId: null };
+  }
+
+  const sessionResult = await db.query(`
+    SELECT s.*, w.mission_statement, w.industry_context, w.name as workshop_name
+    FROM sessions s
+    JOIN workshops w ON s.workshop_id = w.id
+    WHERE s.id = $1
+  `, [sessionId]);
+  const session = sessionResult.rows[0];
+  const entities = await getSessionEntities(sessionId);
+
+  const answeredIds = new Set(answered.map(answer => answer.item_id));
+  const answersText = answered.map(answer => {
+    const item = missingItems.find(i => i.id === answer.item_id);
+    return `[ID:${item.id}] ${item.item_text}\n   Answer${answer.answered_by ? ` (${answer.answered_by})` : ''}: "${answer.answer_text}"`;
+  }).join('\n');
+  const otherItems = missingItems.filter(item => !answeredIds.has(item.id));
+
+  const prompt = `You are an expert SAP S/4HANA implementation consultant reviewing a pre-work questionnaire the client's process owners filled in before the workshop.
+
+**Workshop:** ${session.workshop_name}
+**Mission:** ${session.mission_statement || 'Not specified'}
+**Module:** ${session.module}
+**Industry Context:** ${session.industry_context || 'Not specified'}
+${languageInstructions(session.language, answersText)}
+**Questionnaire Answers:**
+${answersText}
+
+**Other Checklist Items Still Missing (an answer above may also cover these):**
+${otherItems.length > 0 ? otherItems.map(item => `[ID:${item.id}] ${item.item_text}`).join('\n') : '(None)'}
+
+## TASK: Decide Which Checklist Items the Answers Obtain (BE VERY STRICT)
+- ONLY mark an item as "obtained" if the answer gives SPECIFIC, CONCRETE DATA
+- DO NOT mark as obtained answers like "yes", "we have that", "see attached", "TBD" or "to be discussed"
+- obtained_text restates the concrete data in clear English; source_quote is the part of the answer it comes from
+- confidence: "high" for complete, specific answers; "medium" for specific but partial answers; "low" when the answer is specific but unclear or inconsistent
+- Every answered item that is NOT obtained goes in "unanswered" with a short reason (what is still missing), so the workshop can ask for it
+
+${structuredValuesInstructions(entities)}
+
+**Output Format - JSON:**
+\`\`\`json
+{
+  "obtained_items": [
+    {
+      "item_id": 123,
+      "obtained_text": "The specific information from the answer",
+      "confidence": "high|medium|low",
+      "source_quote": "The relevant part of the answer",
+      "structured_values": ${STRUCTURED_VALUES_EXAMPLE}
+    }
+  ],
+  "unanswered": [
+    { "item_id": 456, "reason": "Names the approval levels but not the amounts" }
+  ]
+}
+\`\`\`
+
+Return ONLY valid JSON, no other text.`;
+
+  const { data: result, reviewId } = await completeJson('prework_analysis', {
+    maxTokens: 6000,
+    messages: [{ role: 'user', content: prompt }]
+  }, {
+    schema: preworkAnalysisSchema(missingItems, [...answeredIds]),
+    review: { sessionId, context: { ...context, answerItemIds: [...answeredIds] } }
+  });
+
+  return {
+    obtainedItems: result.obtained_items,
+    unanswered: result.unanswered,
+    reviewId
+  };
+}
+
+// Session memory given to one re-analysis call; longer sessions are re-analyzed in several windows
+const REANALYSIS_WINDOW_CHARS = 60000;
+
+const loadAllChecklistItems = async (sessionId) => {
+  const result = await db.query(`
     SELECT id, item_number, item_text, importance, category, suggested_question, status, obtained_text
     FROM session_checklist_items
     WHERE session_id = $1
     ORDER BY item_number
   `, [sessionId]);
+  return result.rows;
+};
+
+/**
+ * Save re-analysis stray topics as additional findings
+ */
+async function saveStrayTopics(sessionId, strayTopics) {
+  const savedFindings = [];
+  for (const finding of strayTopics) {
+    const insertResult = await db.query(`
+      INSERT INTO session_additional_findings
+        (session_id, recording_id, finding_type, topic, details, sap_analysis,
+         sap_recommendation, sap_risk_level, sap_best_practice, source_quote,
+         participant_id, source_speaker, source_quote_original)
+      VALUES ($1, NULL, $2, $3, $4, $5, $6, $7, $8, $9,
+        (SELECT id FROM workshop_participants WHERE id = $10 AND session_id = $1),
+        (SELECT name FROM workshop_participants WHERE id = $10 AND session_id = $1), $11)
+      RETURNING *
+    `, [
+      sessionId,
+      finding.finding_type || 'other',
+      finding.topic,
+      `${finding.context || ''}\n\n${finding.details || ''}\n\nWhy Important: ${finding.why_important || ''}`,
+      finding.sap_analysis,
+      finding.sap_recommendation,
+      finding.risk_level || 'medium',
+      finding.sap_best_practice,
+      Array.isArray(finding.source_quotes) ? finding.source_quotes.join(' | ') : finding.source_quotes,
+      parseInt(finding.source_participant_id) || null,
+      finding.source_quote_original || null
+    ]);
+    savedFindings.push(insertResult.rows[0]);
+  }
+  return savedFindings;
+}
 
-  const allItems = allItemsResult.rows;
+/**
+ * Re-analyze ALL transcripts against the checklist (comprehensive re-evaluation)
+ *
+ * This function:
+ * 1. Reviews ALL checklist items (missing AND obtained) with stricter criteria
+ * 2. Only marks items as obtained if CONCRETE DATA is found (not just mentions)
+ * 3. Detects stray/off-topic discussions and captures them as findings with full context
+ * 4. Updates all items based on the complete session
+ *
+ * Works from the session memory (services/sessionMemory), which is brought up to date
+ * first. A session whose memory does not fit one prompt is re-analyzed in consecutive
+ * windows, each seeing the checklist as left by the previous one - nothing is truncated.
+ * @param {Object} options - { triggeredBy, onProgress(step, done, total) } with step 'memory' or 'analysis'
+ */
+async function reanalyzeAllTranscripts(sessionId, { triggeredBy, onProgress } = {}) {
+  let allItems = await loadAllChecklistItems(sessionId);
 
   if (allItems.length === 0) {
     return { error: 'No checklist items found', changes: 0 };
@@ -769,13 +1203,38 @@ async function reanalyzeAllTranscripts(sessionId, allTranscriptsText) {
   `, [sessionId]);
   const session = sessionResult.rows[0];
 
-  // Truncate if too long
-  const maxLength = 80000;
-  const truncatedTranscripts = allTranscriptsText.length > maxLength
-    ? allTranscriptsText.substring(0, maxLength) + '\n\n[Transcripts truncated...]'
-    : allTranscriptsText;
+  const speakers = await getSessionSpeakers(sessionId);
+  const entities = await getSessionEntities(sessionId);
 
-  const prompt = `You are a SENIOR SAP S/4HANA implementation consultant performing a COMPREHENSIVE RE-ANALYSIS of all workshop recordings.
+  // Every transcribed recording has to be in the memory before it is re-analyzed
+  await updateSessionMemory(sessionId, {
+    onProgress: (done, total) => onProgress && onProgress('memory', done, total)
+  });
+  const { summary: sessionSummary, openThreads, windows, unsummarizedChunks } = await getMemoryWindows(sessionId, REANALYSIS_WINDOW_CHARS);
+
+  if (windows.length === 0) {
+    return { error: 'No transcripts found to analyze', changes: 0 };
+  }
+
+  let changesCount = 0;
+  let itemsObtained = 0;
+  let itemsResetToMissing = 0;
+  const savedFindings = [];
+  const keyConcerns = [];
+  const reviewIds = [];
+  let failedWindows = 0;
+
+  for (const [index, window] of windows.entries()) {
+    if (onProgress) await onProgress('analysis', index, windows.length);
+
+    // Earlier windows may have changed item statuses
+    if (index > 0) {
+      allItems = await loadAllChecklistItems(sessionId);
+    }
+
+    const part = windows.length > 1 ? ` (part ${index + 1} of ${windows.length})` : '';
+
+    const prompt = `You are a SENIOR SAP S/4HANA implementation consultant performing a COMPREHENSIVE RE-ANALYSIS of all workshop recordings.
 
 **CRITICAL INSTRUCTION: BE CONSERVATIVE**
 Only mark items as "obtained" if you find CONCRETE, SPECIFIC DATA - not just acknowledgments, promises, or vague mentions.
@@ -784,17 +1243,22 @@ Only mark items as "obtained" if you find CONCRETE, SPECIFIC DATA - not just ack
 **Mission:** ${session.mission_statement || 'Not specified'}
 **Module:** ${session.module}
 **Industry Context:** ${session.industry_context || 'Not specified'}
-
+${speakerInstructions(speakers)}${languageInstructions(session.language, window.text)}
 **ALL CHECKLIST ITEMS TO EVALUATE:**
-${allItems.map(item => `[ID:${item.id}] [Current: ${item.status}] ${item.item_text}`).join('\n')}
+${allItems.map(item => `[ID:${item.id}] [Current: ${item.status}] ${item.item_text}${item.status === 'obtained' && item.obtained_text
+    ? `\n   Recorded answer: "${item.obtained_text}"`
+    : ''}`).join('\n')}
 
-**COMPLETE TRANSCRIPT OF ALL RECORDINGS:**
-${truncatedTranscripts}
+**WHOLE SESSION IN BRIEF:**
+${sessionSummary || 'Not available'}
+${openThreads.length > 0 ? `\n**Still unanswered at the end of the session:**\n${openThreads.map(thread => `- ${thread.text}`).join('\n')}\n` : ''}${savedFindings.length > 0 ? `\n**Stray topics already captured (do NOT repeat them):**\n${savedFindings.map(f => `- ${f.topic}`).join('\n')}\n` : ''}
+**RECORDINGS ${window.firstChunk}-${window.lastChunk}${part}** - per recording: a summary and the facts stated, with [P:id] speaker labels:
+${window.text}
 
 ## YOUR TASKS:
 
 ### TASK 1: RE-EVALUATE ALL CHECKLIST ITEMS
-For EACH item, determine if it should be "obtained" or "missing" based on the COMPLETE transcript.
+For EACH item, determine if it should be "obtained" or "missing" based on the recordings above.
 
 **STRICT CRITERIA FOR "OBTAINED":**
 - Must have SPECIFIC DATA (numbers, names, structures, values, decisions)
@@ -825,7 +1289,11 @@ For EACH stray topic, provide THOROUGH analysis:
 - Risk level and explanation
 
 ### TASK 3: VERIFY PREVIOUSLY OBTAINED ITEMS
-Review items marked as "obtained" - if the evidence is weak or just an acknowledgment, recommend changing back to "missing".
+Review items marked as "obtained" - if the recorded answer is weak or just an acknowledgment, or these
+recordings contradict it, recommend changing back to "missing". An obtained item that these recordings
+simply do not mention stays obtained (it may come from another part of the session).
+
+${structuredValuesInstructions(entities)}
 
 **Output Format - JSON:**
 \`\`\`json
@@ -835,7 +1303,9 @@ Review items marked as "obtained" - if the evidence is weak or just an acknowled
       "item_id": 123,
       "obtained_text": "SPECIFIC concrete data extracted (be detailed!)",
       "confidence": "high|medium",
-      "evidence_quote": "Direct quote proving concrete data"
+      "evidence_quote": "The fact or quote proving concrete data",
+      "source_participant_id": null,
+      "structured_values": ${STRUCTURED_VALUES_EXAMPLE}
     }
   ],
   "items_to_reset_to_missing": [
@@ -858,7 +1328,8 @@ Review items marked as "obtained" - if the evidence is weak or just an acknowled
       "sap_best_practice": "Relevant SAP standard or Fiori app",
       "risk_level": "high|medium|low",
       "risk_explanation": "What could go wrong if ignored",
-      "related_checklist_items": [item_ids if related to existing items]
+      "related_checklist_items": [item_ids if related to existing items],
+      "source_participant_id": null
     }
   ],
   "summary": {
@@ -877,97 +1348,43 @@ IMPORTANT:
 - Be DETAILED - extract full context, not just summaries
 - Return ONLY valid JSON.`;
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 8000,
-    messages: [{ role: 'user', content: prompt }]
-  });
-
-  let rawContent = response.content[0].text;
-  rawContent = rawContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-  let result;
-  try {
-    result = JSON.parse(rawContent);
-  } catch (parseError) {
-    console.error('Re-analysis JSON parse error:', parseError.message);
+    let result;
     try {
-      const lastBrace = rawContent.lastIndexOf('}');
-      if (lastBrace > 0) {
-        rawContent = rawContent.substring(0, lastBrace + 1);
-      }
-      result = JSON.parse(rawContent);
-    } catch (retryError) {
-      console.error('Re-analysis retry parse failed:', retryError.message);
-      return { error: 'Failed to parse analysis result', changes: 0 };
+      let reviewId;
+      ({ data: result, reviewId } = await completeJson('reanalysis', {
+        maxTokens: 8000,
+        messages: [{ role: 'user', content: prompt }]
+      }, {
+        schema: reanalysisSchema(allItems, speakers),
+        review: { sessionId, context: { firstChunk: window.firstChunk, lastChunk: window.lastChunk } }
+      }));
+      if (reviewId) reviewIds.push(reviewId);
+    } catch (error) {
+      if (!(error instanceof AIResponseError)) throw error;
+      // The other windows are still applied; this one waits in manual review
+      reviewIds.push(error.reviewId);
+      failedWindows++;
+      continue;
     }
-  }
 
-  // Apply changes
-  let changesCount = 0;
+    // 1. Mark new items as obtained
+    await markItemsAsObtained(result.items_to_obtain, 'reanalysis', { triggeredBy });
+    changesCount += result.items_to_obtain.length;
+    itemsObtained += result.items_to_obtain.length;
 
-  // 1. Mark new items as obtained
-  if (result.items_to_obtain && result.items_to_obtain.length > 0) {
-    for (const item of result.items_to_obtain) {
-      await db.query(`
-        UPDATE session_checklist_items
-        SET
-          status = 'obtained',
-          obtained_text = $1,
-          obtained_confidence = $2,
-          obtained_source = 'reanalysis',
-          obtained_at = CURRENT_TIMESTAMP
-        WHERE id = $3 AND session_id = $4
-      `, [
-        item.obtained_text,
-        item.confidence,
-        item.item_id,
-        sessionId
-      ]);
-      changesCount++;
-    }
-  }
+    // 2. Reset items back to missing if evidence was weak
+    const resetCount = await resetItemsToMissing(sessionId, result.items_to_reset_to_missing, 'reanalysis', { triggeredBy });
+    changesCount += resetCount;
+    itemsResetToMissing += result.items_to_reset_to_missing.length;
 
-  // 2. Reset items back to missing if evidence was weak
-  if (result.items_to_reset_to_missing && result.items_to_reset_to_missing.length > 0) {
-    for (const item of result.items_to_reset_to_missing) {
-      await db.query(`
-        UPDATE session_checklist_items
-        SET
-          status = 'missing',
-          obtained_text = NULL,
-          obtained_confidence = NULL,
-          obtained_source = NULL,
-          obtained_at = NULL
-        WHERE id = $1 AND session_id = $2
-      `, [item.item_id, sessionId]);
-      changesCount++;
-    }
+    // 3. Save stray topics as additional findings
+    savedFindings.push(...await saveStrayTopics(sessionId, result.stray_topics));
+
+    keyConcerns.push(...(Array.isArray(result.summary?.key_concerns) ? result.summary.key_concerns : []));
   }
 
-  // 3. Save stray topics as additional findings
-  let savedFindings = [];
-  if (result.stray_topics && result.stray_topics.length > 0) {
-    for (const finding of result.stray_topics) {
-      const insertResult = await db.query(`
-        INSERT INTO session_additional_findings
-          (session_id, recording_id, finding_type, topic, details, sap_analysis,
-           sap_recommendation, sap_risk_level, sap_best_practice, source_quote)
-        VALUES ($1, NULL, $2, $3, $4, $5, $6, $7, $8, $9)
-        RETURNING *
-      `, [
-        sessionId,
-        finding.finding_type || 'other',
-        finding.topic,
-        `${finding.context || ''}\n\n${finding.details || ''}\n\nWhy Important: ${finding.why_important || ''}`,
-        finding.sap_analysis,
-        finding.sap_recommendation,
-        finding.risk_level || 'medium',
-        finding.sap_best_practice,
-        Array.isArray(finding.source_quotes) ? finding.source_quotes.join(' | ') : finding.source_quotes
-      ]);
-      savedFindings.push(insertResult.rows[0]);
-    }
+  if (failedWindows === windows.length) {
+    return { error: 'Failed to parse analysis result - stored for manual review', changes: 0, reviewId: reviewIds[0], unsummarizedChunks };
   }
 
   // Get updated counts
@@ -984,11 +1401,21 @@ IMPORTANT:
   return {
     success: true,
     changesApplied: changesCount,
-    itemsObtained: result.items_to_obtain?.length || 0,
-    itemsResetToMissing: result.items_to_reset_to_missing?.length || 0,
+    itemsObtained,
+    itemsResetToMissing,
     strayTopicsFound: savedFindings.length,
     newFindings: savedFindings,
-    summary: result.summary,
+    summary: {
+      total_obtained: parseInt(stats.obtained_count),
+      total_missing: parseInt(stats.missing_count),
+      items_changed: changesCount,
+      stray_topics_found: savedFindings.length,
+      key_concerns: [...new Set(keyConcerns)]
+    },
+    windows: windows.length,
+    // Recordings whose memory summary failed; they were re-analyzed from their full transcript
+    unsummarizedChunks,
+    reviewId: reviewIds[0] || null,
     currentStats: {
       obtained: parseInt(stats.obtained_count),
       missing: parseInt(stats.missing_count)
@@ -997,12 +1424,16 @@ IMPORTANT:
 }
 
 module.exports = {
+  ITEM_STATUSES,
+  CONFIDENCE_LEVELS,
   generateDirectChecklist,
   analyzeTranscriptionAgainstChecklist,
   analyzeDocumentAgainstChecklist,
+  analyzePreworkAnswers,
   reanalyzeAllTranscripts,
   saveChecklistItems,
   markItemsAsObtained,
+  resetItemsToMissing,
   saveAdditionalFindings,
   getSessionFindings
 };
@@ -0,0 +1,420 @@
+/**
+ * Document Ingestion - Reads session documents whole, as sections with a location
+ *
+ * Documents used to be cut off after the first few thousand characters. Instead the
+ * whole file is split into sections, each labelled with where it is in the document
+ * so obtained checklist items can cite it:
+ * - PDF:         one section per page                    "Page 12"
+ *                pages without a text layer (scans) are rendered and read with OCR
+ * - Word:        one section per heading                 "Section: Approval Matrix"
+ * - Spreadsheet: one section per sheet; long sheets are split into row ranges with the
+ *                header row repeated                     "Sheet Vendors, rows 2-180"
+ * - CSV:         row ranges                              "Rows 2-180"
+ * - Text:        consecutive parts                       "Part 3"
+ * - Image:       a description by a vision-capable model (document_image task)
+ *                and the text recognized by OCR                 "Image text (OCR)"
+ * Sections longer than MAX_SECTION_CHARS are split on paragraph boundaries. Sections read
+ * with OCR carry ocrConfidence (0-100) so low-quality scans can be flagged.
+ *
+ * groupSections() packs consecutive sections into prompt-sized batches for analysis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PDFParse } = require('pdf-parse');
+const mammoth = require('mammoth');
+const XLSX = require('xlsx');
+const { complete } = require('./llm');
+const { isS3Configured, getFileFromS3 } = require('./s3');
+const { isOcrEnabled, recognizeImage, isLowConfidence } = require('./ocr');
+
+// Longest single section; longer pages/sheets/sections are split
+const MAX_SECTION_CHARS = 12000;
+
+// PDF pages with less text than this are treated as scanned and read with OCR
+const MIN_PAGE_TEXT_CHARS = 20;
+
+// Scanned pages are rendered at twice their size - small print is unreadable to OCR at 72 dpi
+const OCR_RENDER_SCALE = 2;
+
+const SPREADSHEET_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel'
+];
+const WORD_TYPES = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/msword'
+];
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/jpg', 'image/gif', 'image/webp'];
+
+// Extensions accepted for checklist-mode documents (the upload button uses the same list)
+const SUPPORTED_EXTENSIONS = [
+  '.pdf', '.doc', '.docx', '.txt', '.csv', '.xlsx', '.xls', '.png', '.jpg', '.jpeg', '.gif', '.webp'
+];
+
+const documentKind = (mimeType = '', fileName = '') => {
+  const ext = path.extname(fileName).toLowerCase();
+  if (mimeType === 'application/pdf' || ext === '.pdf') return 'pdf';
+  if (WORD_TYPES.includes(mimeType) || ext === '.docx' || ext === '.doc') return 'word';
+  if (SPREADSHEET_TYPES.includes(mimeType) || ext === '.xlsx' || ext === '.xls') return 'spreadsheet';
+  if (mimeType === 'text/csv' || ext === '.csv') return 'csv';
+  if (mimeType.startsWith('text/') || ext === '.txt') return 'text';
+  if (IMAGE_TYPES.includes(mimeType) || ['.png', '.jpg', '.jpeg', '.gif', '.webp'].includes(ext)) return 'image';
+  return null;
+};
+
+const isSupportedDocument = (mimeType, fileName) => documentKind(mimeType, fileName) !== null;
+
+// ============================================
+// Splitting
+// ============================================
+
+/**
+ * Split text into parts of at most maxChars, preferring paragraph and line boundaries
+ */
+const splitText = (text, maxChars = MAX_SECTION_CHARS) => {
+  const parts = [];
+  let rest = text.trim();
+
+  while (rest.length > maxChars) {
+    const window = rest.substring(0, maxChars);
+    const breakAt = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('\n'));
+    const cut = breakAt > maxChars / 2 ? breakAt : maxChars;
+    parts.push(rest.substring(0, cut).trim());
+    rest = rest.substring(cut).trim();
+  }
+  if (rest) parts.push(rest);
+
+  return parts;
+};
+
+/**
+ * One section per part; parts of a split section are numbered
+ * @param {Object} extra - fields copied onto every part, e.g. { ocrConfidence }
+ */
+const toSections = (label, text, extra = {}) => {
+  const parts = splitText(text);
+  return parts.map((part, index) => ({
+    label: parts.length > 1 ? `${label} (part ${index + 1} of ${parts.length})` : label,
+    text: part,
+    ...extra
+  }));
+};
+
+/**
+ * Text without its own structure: "Document", or "Part 1", "Part 2", ... when it is long
+ */
+const numberedParts = (text) => {
+  const parts = splitText(text);
+  return parts.map((part, index) => ({ label: parts.length > 1 ? `Part ${index + 1}` : 'Document', text: part }));
+};
+
+const rowLabel = (sheetName, firstRow, lastRow) => {
+  const rows = firstRow === lastRow ? `row ${firstRow}` : `rows ${firstRow}-${lastRow}`;
+  return sheetName ? `Sheet ${sheetName}, ${rows}` : rows.charAt(0).toUpperCase() + rows.substring(1);
+};
+
+/**
+ * Row ranges of CSV lines, each starting with the header row
+ * @param {string|null} sheetName - null for a CSV file
+ */
+const rowSections = (sheetName, csv) => {
+  const lines = csv.split('\n');
+  const header = lines[0];
+  const sections = [];
+  let current = null;
+
+  lines.slice(1).forEach((line, index) => {
+    if (!line.replace(/,/g, '').trim()) return;
+    const rowNumber = index + 2;
+    if (!current || current.text.length + line.length > MAX_SECTION_CHARS) {
+      current = { firstRow: rowNumber, lastRow: rowNumber, text: header };
+      sections.push(current);
+    }
+    current.text += `\n${line}`;
+    current.lastRow = rowNumber;
+  });
+
+  if (sections.length === 0) {
+    return header && header.replace(/,/g, '').trim() ? [{ label: rowLabel(sheetName, 1, 1), text: header }] : [];
+  }
+  return sections.map(section => ({ label: rowLabel(sheetName, section.firstRow, section.lastRow), text: section.text }));
+};
+
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const htmlToText = (html) => decodeEntities(html
+  .replace(/<\/(p|li|tr|h\d)>/g, '\n')
+  .replace(/<br\s*\/?>/g, '\n')
+  .replace(/<\/t[dh]>/g, ' | ')
+  .replace(/<[^>]+>/g, ''))
+  .replace(/ \| \n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Content of an uploaded document (S3 key or path relative to the server directory)
+ */
+async function readStoredFile(filePath) {
+  if (isS3Configured() && filePath.startsWith('uploads/')) {
+    return getFileFromS3(filePath);
+  }
+  return fs.readFileSync(path.isAbsolute(filePath) ? filePath : path.join(__dirname, '../..', filePath));
+}
+
+// ============================================
+// Extraction per file type
+// ============================================
+
+/**
+ * PDF pages with a text layer are read directly; the others are rendered and read with OCR
+ * @param {Function} onOcrProgress - (done, total) before each scanned page
+ */
+async function extractPdf(buffer, { onOcrProgress } = {}) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText();
+    const scannedPages = result.pages.filter(page => (page.text || '').trim().length < MIN_PAGE_TEXT_CHARS);
+
+    const recognized = new Map();
+    if (scannedPages.length > 0 && isOcrEnabled()) {
+      for (const [index, page] of scannedPages.entries()) {
+        if (onOcrProgress) await onOcrProgress(index, scannedPages.length);
+        const screenshot = await parser.getScreenshot({
+          partial: [page.num],
+          scale: OCR_RENDER_SCALE,
+          imageDataUrl: false,
+          imageBuffer: true
+        });
+        const image = screenshot.pages[0];
+        if (image?.data) {
+          recognized.set(page.num, await recognizeImage(Buffer.from(image.data)));
+        }
+      }
+    }
+
+    const sections = result.pages.flatMap((page) => {
+      const ocr = recognized.get(page.num);
+      if (ocr && ocr.text.length > (page.text || '').trim().length) {
+        return toSections(`Page ${page.num}`, ocr.text, { ocrConfidence: ocr.confidence });
+      }
+      return page.text && page.text.trim() ? toSections(`Page ${page.num}`, page.text) : [];
+    });
+    return { sections, pageCount: result.total, scannedPages: scannedPages.length };
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Word documents are split at their headings; documents without headings into parts
+ */
+async function extractWord(buffer) {
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  const headingPattern = /<h[1-3][^>]*>(.*?)<\/h[1-3]>/g;
+  const sections = [];
+
+  let heading = null;
+  let position = 0;
+  let match;
+  const addSection = (body) => {
+    const text = htmlToText(body);
+    if (!text) return;
+    const label = heading ? `Section: ${heading}` : 'Introduction';
+    sections.push(...toSections(label, heading ? `${heading}\n${text}` : text));
+  };
+
+  while ((match = headingPattern.exec(html)) !== null) {
+    addSection(html.substring(position, match.index));
+    heading = htmlToText(match[1]).substring(0, 120) || heading;
+    position = match.index + match[0].length;
+  }
+  addSection(html.substring(position));
+
+  // Without headings the whole document is one "Introduction"; number its parts instead
+  if (!sections.some(section => section.label.startsWith('Section: '))) {
+    return { sections: numberedParts(htmlToText(html)) };
+  }
+
+  return { sections };
+}
+
+function extractSpreadsheet(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sections = workbook.SheetNames.flatMap(sheetName =>
+    rowSections(sheetName, XLSX.utils.sheet_to_csv(workbook.Sheets[sheetName])));
+  return { sections };
+}
+
+/**
+ * Describe an image with the configured vision-capable model
+ */
+async function describeImage(buffer, mimeType) {
+  const response = await complete('document_image', {
+    maxTokens: 4000,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          {
+            type: 'image',
+            source: {
+              type: 'base64',
+              media_type: mimeType === 'image/jpg' ? 'image/jpeg' : mimeType,
+              data: buffer.toString('base64')
+            }
+          },
+          {
+            type: 'text',
+            text: 'This image was uploaded as a document in an SAP S/4HANA discovery workshop. Describe it completely: transcribe all visible text, tables (as rows), numbers and labels, and describe any diagrams, process flows or organizational structures step by step. Do not summarize away details.'
+          }
+        ]
+      }
+    ]
+  });
+  return response.text;
+}
+
+/**
+ * Images (photos of whiteboards, scanned org charts) are described by the vision model
+ * and read with OCR; either one is enough
+ */
+async function extractImage(buffer, mimeType) {
+  const [description, ocr] = await Promise.allSettled([
+    describeImage(buffer, mimeType),
+    isOcrEnabled() ? recognizeImage(buffer) : Promise.resolve(null)
+  ]);
+
+  if (description.status === 'rejected') {
+    console.error('Image description failed:', description.reason?.message);
+  }
+  if (ocr.status === 'rejected') {
+    console.error('OCR failed:', ocr.reason?.message);
+  }
+
+  const sections = [
+    ...(description.status === 'fulfilled' ? toSections('Image', description.value || '') : []),
+    ...(ocr.status === 'fulfilled' && ocr.value?.text
+      ? toSections('Image text (OCR)', ocr.value.text, { ocrConfidence: ocr.value.confidence })
+      : [])
+  ];
+
+  if (sections.length === 0 && description.status === 'rejected') {
+    throw description.reason;
+  }
+  return { sections };
+}
+
+/**
+ * Read a document into labelled sections
+ * @param {Buffer} buffer - file content
+ * @param {Object} file - { mimeType, fileName, onOcrProgress(done, total) }
+ * @returns {Promise<{sections: Array<{label, text, ocrConfidence?}>, pageCount: number|null,
+ *   scannedPages: number, ocr: Object|null}>} scannedPages - PDF pages without a text layer
+ */
+async function extractDocumentSections(buffer, { mimeType = '', fileName = '', onOcrProgress } = {}) {
+  const kind = documentKind(mimeType, fileName);
+  let result;
+
+  switch (kind) {
+    case 'pdf':
+      result = await extractPdf(buffer, { onOcrProgress });
+      break;
+    case 'word':
+      result = await extractWord(buffer);
+      break;
+    case 'spreadsheet':
+      result = extractSpreadsheet(buffer);
+      break;
+    case 'csv':
+      result = { sections: rowSections(null, buffer.toString('utf-8')) };
+      break;
+    case 'text':
+      result = { sections: numberedParts(buffer.toString('utf-8')) };
+      break;
+    case 'image':
+      result = await extractImage(buffer, IMAGE_TYPES.includes(mimeType) ? mimeType : `image/${path.extname(fileName).substring(1).toLowerCase()}`);
+      break;
+    default:
+      throw new Error(`Unsupported file type: ${mimeType || path.extname(fileName)}`);
+  }
+
+  const sections = result.sections.filter(section => section.text.trim());
+  return {
+    sections,
+    pageCount: result.pageCount || null,
+    scannedPages: result.scannedPages || 0,
+    ocr: summarizeOcr(sections)
+  };
+}
+
+/**
+ * OCR quality of a document: sections read with OCR, their mean confidence (weighted by
+ * text length) and the sections below OCR_MIN_CONFIDENCE; null when nothing was OCRed
+ */
+const summarizeOcr = (sections) => {
+  const recognized = sections.filter(section => section.ocrConfidence != null);
+  if (recognized.length === 0) return null;
+
+  const chars = recognized.reduce((sum, section) => sum + section.text.length, 0);
+  const weighted = recognized.reduce((sum, section) => sum + section.ocrConfidence * section.text.length, 0);
+  const lowConfidenceSections = recognized.filter(section => isLowConfidence(section.ocrConfidence)).map(section => section.label);
+
+  return {
+    sectionCount: recognized.length,
+    confidence: Math.round(weighted / Math.max(chars, 1)),
+    lowConfidence: lowConfidenceSections.length > 0,
+    lowConfidenceSections
+  };
+};
+
+/**
+ * Heading of a section in prompts and stored text; OCR sections show their confidence
+ */
+const sectionHeading = (section) => (section.ocrConfidence != null
+  ? `${section.label} (scanned, OCR confidence ${section.ocrConfidence}%)`
+  : section.label);
+
+/**
+ * Full text of a document with a marker before each section (stored as extracted_text)
+ */
+const formatSectionsText = (sections) =>
+  sections.map(section => `[${sectionHeading(section)}]\n${section.text}`).join('\n\n');
+
+/**
+ * Pack consecutive sections into batches of at most maxChars (a longer section gets a batch of its own)
+ * @returns {Array<Array<{id, label, text}>>} sections numbered from 1 across the whole document
+ */
+const groupSections = (sections, maxChars) => {
+  const batches = [];
+  let current = null;
+  let size = 0;
+
+  sections.forEach((section, index) => {
+    if (!current || (size + section.text.length > maxChars && current.length > 0)) {
+      current = [];
+      size = 0;
+      batches.push(current);
+    }
+    current.push({ id: index + 1, ...section });
+    size += section.text.length;
+  });
+
+  return batches;
+};
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  isSupportedDocument,
+  readStoredFile,
+  extractDocumentSections,
+  sectionHeading,
+  formatSectionsText,
+  groupSections
+};
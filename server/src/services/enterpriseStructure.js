@@ -0,0 +1,747 @@
+/**
+ * Enterprise Structure - SAP organizational units of a workshop and their assignments
+ *
+ * Organizational Structure is the first category of every checklist, but its answers
+ * ("two company codes, five plants ...") were only prose. The enterprise structure keeps
+ * them as units (enterprise_structure_nodes) with two kinds of assignment:
+ * - parent_id: the unit's single assignment, e.g. plant -> company code
+ * - links:     many-to-many assignments, e.g. purchasing organization -> plants
+ *
+ * A background job proposes units from the obtained checklist answers (with their
+ * structured values) and findings of every session. Re-running it only adds units and
+ * assignments that are not there yet (matched on type and code, or name); units a
+ * consultant added or edited (source 'manual') are never changed by it.
+ *
+ * The assignments are checked against SAP rules on every read rather than stored:
+ * a plant belongs to exactly one company code, a company-code-specific purchasing
+ * organization only procures for that company code's plants, a storage location is
+ * managed by at most one warehouse, code lengths, duplicate codes ...
+ * Errors break an SAP rule; warnings point at something still incomplete.
+ */
+
+const db = require('../models/db');
+const { completeJson, oneOfIds } = require('./aiJson');
+
+// parents: types the unit can be assigned to (parent_id); requiresParent: SAP needs that assignment
+const ORG_UNIT_TYPES = [
+  { key: 'company', label: 'Company', codeLength: 6, parents: [], attributes: [] },
+  { key: 'controlling_area', label: 'Controlling Area', codeLength: 4, parents: [], attributes: ['currency'] },
+  { key: 'company_code', label: 'Company Code', codeLength: 4, parents: ['company'], attributes: ['currency', 'country'] },
+  { key: 'plant', label: 'Plant', codeLength: 4, parents: ['company_code'], requiresParent: true, attributes: ['country'] },
+  { key: 'storage_location', label: 'Storage Location', codeLength: 4, parents: ['plant'], requiresParent: true, attributes: [] },
+  { key: 'sales_organization', label: 'Sales Organization', codeLength: 4, parents: ['company_code'], requiresParent: true, attributes: [] },
+  { key: 'distribution_channel', label: 'Distribution Channel', codeLength: 2, parents: ['sales_organization'], requiresParent: true, attributes: [] },
+  { key: 'division', label: 'Division', codeLength: 2, parents: ['sales_organization'], requiresParent: true, attributes: [] },
+  // Without a company code it is a cross-company purchasing organization
+  { key: 'purchasing_organization', label: 'Purchasing Organization', codeLength: 4, parents: ['company_code'], attributes: [] },
+  { key: 'shipping_point', label: 'Shipping Point', codeLength: 4, parents: [], attributes: [] },
+  { key: 'warehouse', label: 'Warehouse Number', codeLength: 4, parents: [], attributes: [] }
+];
+
+// Many-to-many assignments; min/maxPerFrom and maxPerTo are the SAP cardinalities checked
+const LINK_TYPES = [
+  { from: 'company_code', to: 'controlling_area', label: 'assigned to', maxPerFrom: 1 },
+  { from: 'purchasing_organization', to: 'plant', label: 'procures for', minPerFrom: 1 },
+  { from: 'sales_organization', to: 'plant', label: 'delivers from' },
+  { from: 'shipping_point', to: 'plant', label: 'ships for', minPerFrom: 1 },
+  { from: 'warehouse', to: 'storage_location', label: 'manages', minPerFrom: 1, maxPerTo: 1 }
+];
+
+// Codes unique per parent rather than per workshop (the same storage location code in every plant)
+const CODE_SCOPE_PARENT = ['storage_location', 'distribution_channel', 'division'];
+
+const ATTRIBUTE_FORMATS = {
+  currency: { pattern: /^[A-Z]{3}$/, message: 'currency must be a 3-letter ISO code' },
+  country: { pattern: /^[A-Z]{2}$/, message: 'country must be a 2-letter ISO code' }
+};
+
+// Longest answer / finding text quoted into the prompt
+const MAX_SOURCE_TEXT_CHARS = 600;
+// Answers and findings quoted into the prompt, organizational ones first
+const MAX_SOURCES = 150;
+
+const ORG_TERMS = /organi[sz]ation|enterprise structure|company code|legal entit|plant|storage location|warehouse|sales org|distribution channel|division|purchasing org|shipping point|controlling area/i;
+
+const clip = (text, maxChars = MAX_SOURCE_TEXT_CHARS) =>
+  !text ? '' : text.length > maxChars ? `${text.substring(0, maxChars)}...` : text;
+
+const nonEmpty = (value) => value.trim() ? null : 'must not be empty';
+
+const typeOf = (key) => ORG_UNIT_TYPES.find(type => type.key === key);
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const unitLabel = (node) => `${typeOf(node.node_type)?.label || node.node_type} ${node.code || node.name}`;
+
+// ============================================
+// Input checks
+// ============================================
+
+/**
+ * Normalize the editable fields of a unit
+ * @returns {{ fields: Object|null, error: string|null }}
+ */
+const normalizeUnitInput = (input, nodeType) => {
+  const type = typeOf(nodeType);
+  if (!type) {
+    return { fields: null, error: `node_type must be one of ${ORG_UNIT_TYPES.map(t => t.key).join(', ')}` };
+  }
+
+  const fields = {};
+  if (input.name !== undefined) {
+    if (!String(input.name || '').trim()) return { fields: null, error: 'Name is required' };
+    fields.name = String(input.name).trim().substring(0, 255);
+  }
+  if (input.code !== undefined) {
+    fields.code = input.code ? String(input.code).trim().toUpperCase().substring(0, 20) : null;
+  }
+  if (input.description !== undefined) {
+    fields.description = input.description ? String(input.description).trim() : null;
+  }
+  if (input.attributes !== undefined) {
+    const attributes = {};
+    for (const key of type.attributes) {
+      const value = input.attributes?.[key] ? String(input.attributes[key]).trim().toUpperCase() : '';
+      if (!value) continue;
+      if (!ATTRIBUTE_FORMATS[key].pattern.test(value)) {
+        return { fields: null, error: `${type.label} ${ATTRIBUTE_FORMATS[key].message}` };
+      }
+      attributes[key] = value;
+    }
+    fields.attributes = attributes;
+  }
+  return { fields, error: null };
+};
+
+/**
+ * A parent the unit may be assigned to, or an error message
+ */
+const checkParent = (nodeType, parent) => {
+  if (!parent) return null;
+  const type = typeOf(nodeType);
+  if (!type.parents.includes(parent.node_type)) {
+    return type.parents.length > 0
+      ? `A ${type.label} can only be assigned to a ${type.parents.map(key => typeOf(key).label).join(' or ')}`
+      : `A ${type.label} is not assigned to another unit - use its links instead`;
+  }
+  return null;
+};
+
+const linkTypeFor = (fromType, toType) => LINK_TYPES.find(link => link.from === fromType && link.to === toType);
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Check a structure against the SAP assignment rules
+ * @returns {Array} [{ severity: 'error' | 'warning', rule, node_id, message }]
+ */
+function validateStructure(nodes, links, entities = []) {
+  const issues = [];
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const add = (severity, rule, node, message) => issues.push({ severity, rule, node_id: node ? node.id : null, message });
+
+  for (const node of nodes) {
+    const type = typeOf(node.node_type);
+    if (!type) continue;
+    const parent = node.parent_id ? byId.get(node.parent_id) : null;
+
+    if (parent && !type.parents.includes(parent.node_type)) {
+      add('error', 'parent_type', node, `${unitLabel(node)} is assigned to ${unitLabel(parent)}: ${checkParent(node.node_type, parent)}`);
+    }
+    if (type.requiresParent && !parent) {
+      const parentLabel = typeOf(type.parents[0]).label;
+      add('error', 'missing_parent', node, `${unitLabel(node)} is not assigned to a ${parentLabel} - every ${type.label} belongs to exactly one ${parentLabel}`);
+    }
+
+    if (!node.code) {
+      add('warning', 'missing_code', node, `${unitLabel(node)} has no code yet`);
+    } else if (node.code.length > type.codeLength || !/^[A-Z0-9]+$/.test(node.code)) {
+      add('error', 'code_format', node, `${unitLabel(node)}: ${type.label} codes have up to ${type.codeLength} letters or digits`);
+    }
+
+    for (const key of type.attributes) {
+      if (!node.attributes?.[key]) {
+        add('warning', `missing_${key}`, node, `${unitLabel(node)} has no ${key} set`);
+      }
+    }
+  }
+
+  // Duplicate codes per type (per parent for storage locations, channels and divisions)
+  const seen = new Map();
+  for (const node of nodes) {
+    if (!node.code) continue;
+    const scope = CODE_SCOPE_PARENT.includes(node.node_type) ? node.parent_id || 0 : 0;
+    const key = `${node.node_type}:${scope}:${node.code}`;
+    if (seen.has(key)) {
+      add('error', 'duplicate_code', node, `${unitLabel(node)} is defined twice ("${seen.get(key).name}" and "${node.name}")`);
+    } else {
+      seen.set(key, node);
+    }
+  }
+
+  for (const linkType of LINK_TYPES) {
+    const typed = links.filter(link =>
+      byId.get(link.from_node_id)?.node_type === linkType.from && byId.get(link.to_node_id)?.node_type === linkType.to
+    );
+    const fromLabel = typeOf(linkType.from).label;
+    const toLabel = typeOf(linkType.to).label;
+
+    for (const node of nodes.filter(candidate => candidate.node_type === linkType.from)) {
+      const count = typed.filter(link => link.from_node_id === node.id).length;
+      if (linkType.maxPerFrom && count > linkType.maxPerFrom) {
+        add('error', 'link_cardinality', node, `${unitLabel(node)} is assigned to ${count} ${toLabel}s - it can only be assigned to ${linkType.maxPerFrom}`);
+      }
+      if (linkType.minPerFrom && count < linkType.minPerFrom) {
+        add('warning', 'link_missing', node, `${unitLabel(node)} is not assigned to any ${toLabel} yet`);
+      }
+    }
+    if (linkType.maxPerTo) {
+      for (const node of nodes.filter(candidate => candidate.node_type === linkType.to)) {
+        const count = typed.filter(link => link.to_node_id === node.id).length;
+        if (count > linkType.maxPerTo) {
+          add('error', 'link_cardinality', node, `${unitLabel(node)} is assigned to ${count} ${fromLabel}s - it can only belong to ${linkType.maxPerTo}`);
+        }
+      }
+    }
+  }
+
+  // A company-code-specific purchasing organization only procures for that company code's plants
+  for (const link of links) {
+    const purchasingOrg = byId.get(link.from_node_id);
+    const plant = byId.get(link.to_node_id);
+    if (purchasingOrg?.node_type !== 'purchasing_organization' || plant?.node_type !== 'plant') continue;
+    if (purchasingOrg.parent_id && plant.parent_id && purchasingOrg.parent_id !== plant.parent_id) {
+      add('error', 'purchasing_scope', purchasingOrg,
+        `${unitLabel(purchasingOrg)} belongs to ${unitLabel(byId.get(purchasingOrg.parent_id))} but procures for ${unitLabel(plant)} of ${unitLabel(byId.get(plant.parent_id))} - use a cross-company purchasing organization (no company code)`);
+    }
+  }
+
+  // Company codes and the entities of the workshop
+  const companyCodes = nodes.filter(node => node.node_type === 'company_code');
+  if (companyCodes.length > 0) {
+    for (const entity of entities) {
+      if (!companyCodes.some(node => node.entity_id === entity.id)) {
+        add('warning', 'entity_without_company_code', null, `Entity ${entity.code} has no company code`);
+      }
+    }
+  }
+
+  return issues;
+}
+
+// ============================================
+// Reading
+// ============================================
+
+/**
+ * Order units as a tree (depth first) with their depth; units without a parent are
+ * roots, in the order of ORG_UNIT_TYPES
+ */
+function arrangeStructure(rows) {
+  const typeOrder = (row) => ORG_UNIT_TYPES.findIndex(type => type.key === row.node_type);
+  const ids = new Set(rows.map(row => row.id));
+  const children = new Map();
+  for (const row of rows) {
+    const key = row.parent_id && ids.has(row.parent_id) ? row.parent_id : 0;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(row);
+  }
+  for (const list of children.values()) {
+    list.sort((a, b) => typeOrder(a) - typeOrder(b) || a.sort_order - b.sort_order || (a.code || '').localeCompare(b.code || '') || a.id - b.id);
+  }
+
+  const ordered = [];
+  const visit = (parentId, depth) => {
+    for (const row of children.get(parentId) || []) {
+      ordered.push({ ...row, depth });
+      visit(row.id, depth + 1);
+    }
+  };
+  visit(0, 0);
+  return ordered;
+}
+
+/**
+ * The enterprise structure of a workshop with its SAP rule check
+ * @returns {Promise<Object|null>} { entities, nodes, links, issues }, null when the workshop does not exist
+ */
+async function getEnterpriseStructure(workshopId) {
+  const workshopResult = await db.query('SELECT id FROM workshops WHERE id = $1', [workshopId]);
+  if (workshopResult.rows.length === 0) return null;
+
+  const entitiesResult = await db.query(
+    'SELECT id, code, name FROM entities WHERE workshop_id = $1 ORDER BY code',
+    [workshopId]
+  );
+  const nodesResult = await db.query(`
+    SELECT n.*, e.code as entity_code
+    FROM enterprise_structure_nodes n
+    LEFT JOIN entities e ON n.entity_id = e.id
+    WHERE n.workshop_id = $1
+  `, [workshopId]);
+  const linksResult = await db.query(`
+    SELECT l.* FROM enterprise_structure_links l
+    JOIN enterprise_structure_nodes n ON l.from_node_id = n.id
+    WHERE n.workshop_id = $1
+    ORDER BY l.id
+  `, [workshopId]);
+
+  const nodes = arrangeStructure(nodesResult.rows);
+  const links = linksResult.rows.map(link => {
+    const from = nodes.find(node => node.id === link.from_node_id);
+    const to = nodes.find(node => node.id === link.to_node_id);
+    return { ...link, label: linkTypeFor(from?.node_type, to?.node_type)?.label || 'assigned to' };
+  });
+
+  return {
+    entities: entitiesResult.rows,
+    nodes,
+    links,
+    issues: validateStructure(nodes, links, entitiesResult.rows)
+  };
+}
+
+// ============================================
+// Editing
+// ============================================
+
+const getWorkshopNode = async (workshopId, nodeId) => {
+  const result = await db.query(
+    'SELECT * FROM enterprise_structure_nodes WHERE id = $1 AND workshop_id = $2',
+    [nodeId, workshopId]
+  );
+  return result.rows[0] || null;
+};
+
+const validEntityId = async (workshopId, entityId) => {
+  if (!entityId) return null;
+  const result = await db.query('SELECT id FROM entities WHERE id = $1 AND workshop_id = $2', [parseInt(entityId) || 0, workshopId]);
+  return result.rows[0]?.id || null;
+};
+
+/**
+ * Add a unit by hand
+ * @param {Object} input - { node_type, parent_id, code, name, description, entity_id, attributes }
+ * @returns {Promise<{ node: Object|null, error: string|null }>}
+ */
+async function createUnit(workshopId, input, actor) {
+  const { fields, error } = normalizeUnitInput({ ...input, name: input.name ?? '' }, input.node_type);
+  if (error) return { node: null, error };
+
+  const parent = input.parent_id ? await getWorkshopNode(workshopId, input.parent_id) : null;
+  if (input.parent_id && !parent) return { node: null, error: 'Parent unit not found' };
+  const parentError = checkParent(input.node_type, parent);
+  if (parentError) return { node: null, error: parentError };
+
+  const result = await db.query(`
+    INSERT INTO enterprise_structure_nodes (workshop_id, parent_id, node_type, code, name, description,
+                                            entity_id, attributes, source, sort_order, updated_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'manual',
+            (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM enterprise_structure_nodes
+             WHERE workshop_id = $1 AND parent_id IS NOT DISTINCT FROM $2),
+            $9)
+    RETURNING *
+  `, [workshopId, parent?.id || null, input.node_type, fields.code || null, fields.name, fields.description || null,
+    await validEntityId(workshopId, input.entity_id), JSON.stringify(fields.attributes || {}), actor]);
+  return { node: result.rows[0], error: null };
+}
+
+/**
+ * Edit a unit (it is kept as a manual unit from then on)
+ * @param {Object} input - any of code, name, description, parent_id, entity_id, attributes
+ * @returns {Promise<{ node: Object|null, error: string|null }>}
+ */
+async function updateUnit(existing, input, actor) {
+  const { fields, error } = normalizeUnitInput(input, existing.node_type);
+  if (error) return { node: null, error };
+
+  if (input.parent_id !== undefined) {
+    const parent = input.parent_id ? await getWorkshopNode(existing.workshop_id, input.parent_id) : null;
+    if (input.parent_id && !parent) return { node: null, error: 'Parent unit not found' };
+    const parentError = checkParent(existing.node_type, parent);
+    if (parentError) return { node: null, error: parentError };
+    fields.parent_id = parent?.id || null;
+  }
+  if (input.entity_id !== undefined) {
+    fields.entity_id = await validEntityId(existing.workshop_id, input.entity_id);
+  }
+  if (fields.attributes) {
+    fields.attributes = JSON.stringify(fields.attributes);
+  }
+
+  const columns = Object.keys(fields);
+  if (columns.length === 0) return { node: null, error: 'No fields to update' };
+
+  const result = await db.query(`
+    UPDATE enterprise_structure_nodes
+    SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')},
+        source = 'manual', updated_by = $${columns.length + 1}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${columns.length + 2}
+    RETURNING *
+  `, [...columns.map(column => fields[column]), actor, existing.id]);
+  return { node: result.rows[0], error: null };
+}
+
+/**
+ * Replace the many-to-many assignments of a unit
+ * @param {Array} targetIds - units the unit is assigned to (e.g. the plants of a purchasing organization)
+ * @returns {Promise<{ links: Array|null, error: string|null }>}
+ */
+async function setUnitLinks(existing, targetIds, actor) {
+  const ids = [...new Set((Array.isArray(targetIds) ? targetIds : []).map(id => parseInt(id)).filter(Number.isInteger))];
+  const targetsResult = ids.length > 0
+    ? await db.query(
+      'SELECT id, node_type FROM enterprise_structure_nodes WHERE workshop_id = $1 AND id = ANY($2)',
+      [existing.workshop_id, ids]
+    )
+    : { rows: [] };
+  if (targetsResult.rows.length !== ids.length) return { links: null, error: 'Unit not found' };
+
+  const invalid = targetsResult.rows.find(target => !linkTypeFor(existing.node_type, target.node_type));
+  if (invalid) {
+    const allowed = LINK_TYPES.filter(link => link.from === existing.node_type).map(link => typeOf(link.to).label);
+    return {
+      links: null,
+      error: allowed.length > 0
+        ? `A ${typeOf(existing.node_type).label} can only be linked to a ${allowed.join(' or ')}`
+        : `A ${typeOf(existing.node_type).label} has no many-to-many assignments`
+    };
+  }
+
+  await db.query('DELETE FROM enterprise_structure_links WHERE from_node_id = $1', [existing.id]);
+  for (const id of ids) {
+    await db.query('INSERT INTO enterprise_structure_links (from_node_id, to_node_id) VALUES ($1, $2)', [existing.id, id]);
+  }
+  await db.query(
+    "UPDATE enterprise_structure_nodes SET source = 'manual', updated_by = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+    [actor, existing.id]
+  );
+  const result = await db.query('SELECT * FROM enterprise_structure_links WHERE from_node_id = $1 ORDER BY id', [existing.id]);
+  return { links: result.rows, error: null };
+}
+
+// ============================================
+// Generation
+// ============================================
+
+const structureSchema = ({ entityCodes, itemIds, findingIds }) => ({
+  type: 'object',
+  required: ['units'],
+  properties: {
+    units: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['ref', 'node_type', 'name'],
+        properties: {
+          ref: { type: 'string', check: nonEmpty },
+          node_type: { type: 'string', enum: ORG_UNIT_TYPES.map(type => type.key) },
+          code: { type: 'string', nullable: true, default: null, fallback: null },
+          name: { type: 'string', check: nonEmpty },
+          description: { type: 'string', default: '', fallback: '' },
+          parent_ref: { type: 'string', nullable: true, default: null, fallback: null },
+          entity_code: {
+            type: 'string',
+            nullable: true,
+            default: null,
+            fallback: null,
+            check: (v) => entityCodes.includes(v) ? null : `must be one of ${entityCodes.join(', ')}`
+          },
+          currency: { type: 'string', nullable: true, default: null, fallback: null },
+          country: { type: 'string', nullable: true, default: null, fallback: null },
+          item_ids: {
+            type: 'array',
+            default: [],
+            items: { type: 'integer', check: oneOfIds(itemIds, 'an obtained checklist item') }
+          },
+          finding_ids: {
+            type: 'array',
+            default: [],
+            items: { type: 'integer', check: oneOfIds(findingIds, 'a finding') }
+          }
+        }
+      }
+    },
+    links: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['from_ref', 'to_ref'],
+        properties: {
+          from_ref: { type: 'string' },
+          to_ref: { type: 'string' }
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Organizational answers and findings of every session of a workshop
+ */
+async function gatherStructureSources(workshopId) {
+  const itemsResult = await db.query(`
+    SELECT i.id, i.session_id, i.item_text, i.category, i.obtained_text,
+           COALESCE((
+             SELECT json_agg(json_build_object('object_type', v.object_type, 'items', v.value_items,
+                                               'entity_code', e.code) ORDER BY v.id)
+             FROM checklist_item_values v LEFT JOIN entities e ON v.entity_id = e.id
+             WHERE v.checklist_item_id = i.id AND v.value_type = 'list'
+           ), '[]') as lists
+    FROM session_checklist_items i
+    JOIN sessions s ON i.session_id = s.id
+    WHERE s.workshop_id = $1 AND i.status = 'obtained' AND i.obtained_text IS NOT NULL
+    ORDER BY s.session_number, i.item_number
+  `, [workshopId]);
+  const findingsResult = await db.query(`
+    SELECT f.id, f.session_id, f.finding_type, f.topic, f.details
+    FROM session_additional_findings f
+    JOIN sessions s ON f.session_id = s.id
+    WHERE s.workshop_id = $1
+    ORDER BY s.session_number, f.created_at
+  `, [workshopId]);
+
+  const isOrganizational = (text) => ORG_TERMS.test(text || '');
+  const items = itemsResult.rows
+    .filter(item => item.lists.length > 0 || isOrganizational(item.category) || isOrganizational(item.item_text) || isOrganizational(item.obtained_text))
+    .slice(0, MAX_SOURCES);
+  const findings = findingsResult.rows
+    .filter(finding => finding.finding_type === 'organization' || isOrganizational(finding.topic) || isOrganizational(finding.details))
+    .slice(0, MAX_SOURCES);
+  return { items, findings };
+}
+
+const buildStructurePrompt = (workshop, entities, sources, existing) => {
+  const itemsText = sources.items.map(item => {
+    const lists = item.lists.map(list =>
+      `  ${list.object_type || 'list'}${list.entity_code ? ` (${list.entity_code})` : ''}: ${(list.items || []).map(entry => [entry.code, entry.name].filter(Boolean).join(' ')).join(', ')}`
+    ).join('\n');
+    return `[I:${item.id}] (${item.category || 'General'}) ${item.item_text}: ${clip(item.obtained_text)}${lists ? `\n${lists}` : ''}`;
+  }).join('\n');
+
+  const findingsText = sources.findings.map(finding =>
+    `[F:${finding.id}] (${finding.finding_type || 'general'}) ${finding.topic}: ${clip(finding.details)}`
+  ).join('\n');
+
+  const existingText = existing.map(node =>
+    `- ${node.node_type} ${node.code || '(no code)'} "${node.name}"${node.parent_id ? ` under ${unitLabel(existing.find(parent => parent.id === node.parent_id) || {})}` : ''}`
+  ).join('\n');
+
+  return `You are a senior SAP S/4HANA solution architect modelling the enterprise structure of a client from a pre-discovery workshop.
+
+**Client:** ${workshop.client_name || workshop.name}
+**Industry Context:** ${workshop.industry_context || 'Not specified'}
+**Entities:** ${entities.length > 0 ? entities.map(e => `${e.code} (${e.name})`).join(', ') : '(single entity)'}
+
+**Obtained checklist answers about the organization:**
+${itemsText || '(none)'}
+
+**Findings:**
+${findingsText || '(none)'}
+
+**Already in the enterprise structure:**
+${existingText || '(empty)'}
+
+List the SAP organizational units the sources describe and how they are assigned:
+- node_type: one of ${ORG_UNIT_TYPES.map(type => type.key).join(', ')}
+- code: the code the client uses or proposes (company codes, plants, storage locations, sales and purchasing organizations up to 4 characters; distribution channels and divisions 2), null when none was named
+- name: the unit's name as the client calls it
+- parent_ref: the ref of the unit it is assigned to - plant to company code, storage location to plant, sales organization to company code, distribution channel and division to sales organization, company code to company, purchasing organization to company code (null for a cross-company purchasing organization)
+- entity_code: for company codes, the workshop entity it is the legal entity of
+- currency / country: ISO codes for company codes (currency for controlling areas, country for plants) when stated
+- item_ids / finding_ids: the [I:id] answers and [F:id] findings the unit comes from
+- links: many-to-many assignments - purchasing organization to the plants it procures for, sales organization to its delivering plants, shipping point to plants, warehouse to storage locations, company code to controlling area
+
+Rules:
+- Only include units the sources name or clearly imply - never invent a standard structure
+- Repeat units already in the enterprise structure with the same type and code when you assign something to them, so the assignments connect
+- refs are your own labels (e.g. "cc1000") used only to connect parent_ref and links
+
+**Output Format - JSON:**
+\`\`\`json
+{
+  "units": [
+    { "ref": "cc1000", "node_type": "company_code", "code": "1000", "name": "Al Rawabi Dairy", "parent_ref": null, "entity_code": "${entities[0]?.code || 'ARDC'}", "currency": "AED", "country": "AE", "item_ids": [12], "finding_ids": [] },
+    { "ref": "p1100", "node_type": "plant", "code": "1100", "name": "Dubai Plant", "parent_ref": "cc1000", "entity_code": null, "currency": null, "country": "AE", "item_ids": [12], "finding_ids": [] },
+    { "ref": "po1000", "node_type": "purchasing_organization", "code": "1000", "name": "Central Purchasing", "parent_ref": null, "item_ids": [15], "finding_ids": [] }
+  ],
+  "links": [
+    { "from_ref": "po1000", "to_ref": "p1100" }
+  ]
+}
+\`\`\``;
+};
+
+const matchKey = (node) => `${node.node_type}:${node.code ? `#${String(node.code).trim().toUpperCase()}` : normalizeName(node.name)}`;
+
+/**
+ * Propose units and assignments from the workshop's answers and findings
+ * @param {Object} options - { generatedBy, onProgress(percent, message) }
+ * @returns {Promise<{created: number, updated: number, links: number, sources: number}|null>}
+ *   null when the workshop does not exist
+ */
+async function generateEnterpriseStructure(workshopId, { generatedBy = null, onProgress } = {}) {
+  const workshopResult = await db.query('SELECT * FROM workshops WHERE id = $1', [workshopId]);
+  const workshop = workshopResult.rows[0];
+  if (!workshop) return null;
+
+  if (onProgress) await onProgress(10, 'Collecting the organizational answers and findings...');
+  const entities = (await db.query('SELECT id, code, name FROM entities WHERE workshop_id = $1 ORDER BY code', [workshopId])).rows;
+  const sources = await gatherStructureSources(workshopId);
+  const sourceCount = sources.items.length + sources.findings.length;
+  if (sourceCount === 0) return { created: 0, updated: 0, links: 0, sources: 0 };
+
+  const existing = (await db.query('SELECT * FROM enterprise_structure_nodes WHERE workshop_id = $1', [workshopId])).rows;
+
+  if (onProgress) await onProgress(30, 'Modelling the enterprise structure...');
+  // An unusable reply raises AIResponseError (stored for review)
+  const { data } = await completeJson('enterprise_structure', {
+    maxTokens: 8000,
+    messages: [{ role: 'user', content: buildStructurePrompt(workshop, entities, sources, existing) }]
+  }, {
+    schema: structureSchema({
+      entityCodes: entities.map(e => e.code),
+      itemIds: sources.items.map(item => item.id),
+      findingIds: sources.findings.map(finding => finding.id)
+    }),
+    // Stored reviews show up in a session, so they go with the first session the sources come from
+    review: {
+      sessionId: sources.items[0]?.session_id || sources.findings[0]?.session_id,
+      context: { workshopId, source: 'enterprise_structure' }
+    }
+  });
+
+  if (onProgress) await onProgress(80, 'Saving the units and assignments...');
+  const byKey = new Map(existing.map(node => [matchKey(node), node]));
+  const byRef = new Map();
+  let created = 0;
+  let updated = 0;
+
+  for (const unit of data.units) {
+    const type = typeOf(unit.node_type);
+    const attributes = Object.fromEntries(type.attributes
+      .map(key => [key, unit[key] ? String(unit[key]).trim().toUpperCase() : null])
+      .filter(([key, value]) => value && ATTRIBUTE_FORMATS[key].pattern.test(value)));
+    const sourceRefs = [
+      ...unit.item_ids.map(id => ({ type: 'checklist_item', id })),
+      ...unit.finding_ids.map(id => ({ type: 'finding', id }))
+    ];
+    const entityId = entities.find(entity => entity.code === unit.entity_code)?.id || null;
+    const match = byKey.get(matchKey(unit));
+
+    if (match) {
+      // Units a consultant touched stay as they are
+      if (match.source === 'ai') {
+        const result = await db.query(`
+          UPDATE enterprise_structure_nodes
+          SET description = COALESCE($1, description), entity_id = COALESCE(entity_id, $2),
+              attributes = $3::jsonb || attributes, source_refs = $4, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $5
+          RETURNING *
+        `, [unit.description.trim() || null, entityId, JSON.stringify(attributes), JSON.stringify(sourceRefs), match.id]);
+        byRef.set(unit.ref, { ...result.rows[0], pendingParent: unit.parent_ref });
+        updated++;
+      } else {
+        byRef.set(unit.ref, match);
+      }
+      continue;
+    }
+
+    const code = unit.code ? String(unit.code).trim().toUpperCase().substring(0, 20) : null;
+    const result = await db.query(`
+      INSERT INTO enterprise_structure_nodes (workshop_id, node_type, code, name, description, entity_id,
+                                              attributes, source, source_refs, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, 'ai', $8, $9)
+      RETURNING *
+    `, [workshopId, unit.node_type, code, unit.name.trim().substring(0, 255), unit.description.trim() || null,
+      entityId, JSON.stringify(attributes), JSON.stringify(sourceRefs), generatedBy]);
+    const node = result.rows[0];
+    byKey.set(matchKey(node), node);
+    byRef.set(unit.ref, { ...node, pendingParent: unit.parent_ref });
+    created++;
+  }
+
+  // Assign parents once every unit exists; only unassigned AI units, and only where SAP allows it
+  for (const node of byRef.values()) {
+    if (!node.pendingParent || node.parent_id || node.source !== 'ai') continue;
+    const parent = byRef.get(node.pendingParent);
+    if (!parent || checkParent(node.node_type, parent)) continue;
+    await db.query('UPDATE enterprise_structure_nodes SET parent_id = $1 WHERE id = $2', [parent.id, node.id]);
+  }
+
+  let linkCount = 0;
+  for (const link of data.links) {
+    const from = byRef.get(link.from_ref);
+    const to = byRef.get(link.to_ref);
+    if (!from || !to || !linkTypeFor(from.node_type, to.node_type)) continue;
+    const result = await db.query(`
+      INSERT INTO enterprise_structure_links (from_node_id, to_node_id) VALUES ($1, $2)
+      ON CONFLICT (from_node_id, to_node_id) DO NOTHING
+      RETURNING id
+    `, [from.id, to.id]);
+    linkCount += result.rows.length;
+  }
+
+  return { created, updated, links: linkCount, sources: sourceCount };
+}
+
+// ============================================
+// Mermaid
+// ============================================
+
+const MERMAID_STYLES = {
+  company: 'fill:#f3f4f6,stroke:#6b7280',
+  controlling_area: 'fill:#fef3c7,stroke:#d97706',
+  company_code: 'fill:#ede9fe,stroke:#7c3aed',
+  plant: 'fill:#dbeafe,stroke:#2563eb',
+  storage_location: 'fill:#e0f2fe,stroke:#0284c7',
+  sales_organization: 'fill:#dcfce7,stroke:#16a34a',
+  distribution_channel: 'fill:#f0fdf4,stroke:#22c55e',
+  division: 'fill:#f0fdf4,stroke:#22c55e',
+  purchasing_organization: 'fill:#ffedd5,stroke:#ea580c',
+  shipping_point: 'fill:#fce7f3,stroke:#db2777',
+  warehouse: 'fill:#e0e7ff,stroke:#4f46e5'
+};
+
+const mermaidText = (text) => String(text || '').replace(/"/g, '#quot;').replace(/[<>]/g, '');
+
+/**
+ * The structure as a Mermaid flowchart: assignments as arrows, links dashed
+ */
+function toMermaid({ nodes, links }) {
+  const lines = ['flowchart TD'];
+  for (const node of nodes) {
+    const type = typeOf(node.node_type);
+    lines.push(`  n${node.id}["${mermaidText(type?.label || node.node_type)}${node.code ? ` ${mermaidText(node.code)}` : ''}<br/>${mermaidText(node.name)}"]:::${node.node_type}`);
+  }
+  const ids = new Set(nodes.map(node => node.id));
+  for (const node of nodes) {
+    if (node.parent_id && ids.has(node.parent_id)) lines.push(`  n${node.parent_id} --> n${node.id}`);
+  }
+  for (const link of links) {
+    lines.push(`  n${link.from_node_id} -.->|${mermaidText(link.label)}| n${link.to_node_id}`);
+  }
+  for (const type of ORG_UNIT_TYPES) {
+    if (nodes.some(node => node.node_type === type.key)) {
+      lines.push(`  classDef ${type.key} ${MERMAID_STYLES[type.key]}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  ORG_UNIT_TYPES,
+  LINK_TYPES,
+  validateStructure,
+  arrangeStructure,
+  getEnterpriseStructure,
+  getWorkshopNode,
+  createUnit,
+  updateUnit,
+  setUnitLinks,
+  generateEnterpriseStructure,
+  toMermaid
+};
@@ -0,0 +1,382 @@
+/**
+ * Entity Harmonization - Per-entity answers and divergence across a workshop's companies
+ *
+ * A workshop often covers several entities (e.g. ARDC, ENF, GF), but a checklist item has
+ * one obtained answer per session. Each item can now also hold an answer per entity
+ * (checklist_entity_answers): typed by consultants, or split out of the session's answers
+ * and recordings by the model where they say how one entity differs.
+ *
+ * The harmonization view lays these side by side per design topic (checklist category)
+ * and flags each item:
+ * - aligned / minor / divergent: the model's assessment of the answers, while no answer
+ *   has changed since (identical answers are aligned without asking)
+ * - not_assessed: answers changed after the last assessment
+ * - incomplete:   fewer than two entities answered
+ * - not_captured: no entity answers yet
+ * The design team records per item whether one global template or local variants apply.
+ */
+
+const db = require('../models/db');
+const { completeJson, oneOfIds } = require('./aiJson');
+const { getMemoryWindows } = require('./sessionMemory');
+const { PermanentJobError } = require('./jobQueue');
+
+const DIVERGENCE_LEVELS = ['aligned', 'minor', 'divergent'];
+
+const DECISIONS = ['global', 'local'];
+
+// Checklist items assessed in one prompt
+const ITEMS_PER_BATCH = 40;
+// Session memory quoted into each prompt
+const MAX_MEMORY_CHARS = 20000;
+// Longest answer quoted into the prompt
+const MAX_ANSWER_CHARS = 600;
+
+const clip = (text, maxChars = MAX_ANSWER_CHARS) =>
+  !text ? '' : text.length > maxChars ? `${text.substring(0, maxChars)}...` : text;
+
+const normalizeAnswer = (text) => (text || '').toLowerCase().replace(/[^a-z0-9\u0600-\u06ff]+/g, ' ').trim();
+
+const getWorkshopEntities = async (workshopId) => {
+  const result = await db.query(
+    'SELECT id, code, name FROM entities WHERE workshop_id = $1 ORDER BY code',
+    [workshopId]
+  );
+  return result.rows;
+};
+
+/**
+ * Divergence flag of an item from its entity answers and last assessment
+ */
+function harmonizationFlag(item) {
+  const answers = item.entity_answers || [];
+  if (answers.length === 0) return 'not_captured';
+  if (answers.length < 2) return 'incomplete';
+  if (new Set(answers.map(answer => normalizeAnswer(answer.answer_text))).size === 1) return 'aligned';
+
+  const assessedAt = item.assessed_at ? new Date(item.assessed_at) : null;
+  const current = assessedAt && answers.every(answer => new Date(answer.updated_at) <= assessedAt);
+  return current && item.divergence ? item.divergence : 'not_assessed';
+}
+
+// ============================================
+// Reading
+// ============================================
+
+/**
+ * Checklist items of a workshop with their entity answers, grouped by session and design topic
+ * Items are listed once obtained or once an entity answer exists.
+ * @param {Object} filters - { sessionId }
+ * @returns {Promise<{entities: Array, topics: Array, stats: Object}>}
+ */
+async function getWorkshopHarmonization(workshopId, { sessionId } = {}) {
+  const entities = await getWorkshopEntities(workshopId);
+
+  const params = [workshopId];
+  if (sessionId) params.push(sessionId);
+  const result = await db.query(`
+    SELECT i.id, i.session_id, i.item_number, i.item_text, i.category, i.importance, i.status, i.obtained_text,
+           s.session_number, s.name as session_name, s.module,
+           h.divergence, h.summary, h.assessed_at, h.decision, h.decision_note, h.decided_by, h.decided_at,
+           COALESCE((
+             SELECT json_agg(json_build_object(
+               'entity_id', a.entity_id, 'answer_text', a.answer_text, 'source', a.source,
+               'updated_by', a.updated_by, 'updated_at', a.updated_at
+             ) ORDER BY a.entity_id)
+             FROM checklist_entity_answers a WHERE a.checklist_item_id = i.id
+           ), '[]') as entity_answers
+    FROM session_checklist_items i
+    JOIN sessions s ON i.session_id = s.id
+    LEFT JOIN checklist_harmonization h ON h.checklist_item_id = i.id
+    WHERE s.workshop_id = $1 ${sessionId ? 'AND i.session_id = $2' : ''}
+      AND (i.status = 'obtained' OR EXISTS (SELECT 1 FROM checklist_entity_answers a WHERE a.checklist_item_id = i.id))
+    ORDER BY s.session_number, i.category NULLS LAST, i.item_number
+  `, params);
+
+  const topics = [];
+  const stats = { items: 0, flags: {}, decisions: { global: 0, local: 0, open: 0 } };
+  for (const row of result.rows) {
+    const item = {
+      ...row,
+      flag: harmonizationFlag(row),
+      missing_entity_ids: entities
+        .filter(entity => !row.entity_answers.some(answer => answer.entity_id === entity.id))
+        .map(entity => entity.id)
+    };
+    const topicName = row.category || 'General';
+    let topic = topics[topics.length - 1];
+    if (!topic || topic.session_id !== row.session_id || topic.topic !== topicName) {
+      topic = {
+        session_id: row.session_id,
+        session_number: row.session_number,
+        session_name: row.session_name,
+        module: row.module,
+        topic: topicName,
+        items: []
+      };
+      topics.push(topic);
+    }
+    topic.items.push(item);
+
+    stats.items++;
+    stats.flags[item.flag] = (stats.flags[item.flag] || 0) + 1;
+    stats.decisions[item.decision || 'open']++;
+  }
+
+  return { entities, topics, stats };
+}
+
+// ============================================
+// Editing
+// ============================================
+
+/**
+ * Set (or with empty text remove) an entity's answer on a checklist item
+ */
+async function saveEntityAnswer(itemId, entityId, answerText, actor) {
+  const text = (answerText || '').trim();
+  if (!text) {
+    await db.query(
+      'DELETE FROM checklist_entity_answers WHERE checklist_item_id = $1 AND entity_id = $2',
+      [itemId, entityId]
+    );
+    return null;
+  }
+
+  const result = await db.query(`
+    INSERT INTO checklist_entity_answers (checklist_item_id, entity_id, answer_text, source, updated_by)
+    VALUES ($1, $2, $3, 'manual', $4)
+    ON CONFLICT (checklist_item_id, entity_id) DO UPDATE SET
+      answer_text = EXCLUDED.answer_text,
+      source = 'manual',
+      updated_by = EXCLUDED.updated_by,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [itemId, entityId, text, actor]);
+  return result.rows[0];
+}
+
+/**
+ * Record the global template / local variant decision of an item (null decision clears it)
+ */
+async function saveHarmonizationDecision(itemId, decision, note, actor) {
+  const result = await db.query(`
+    INSERT INTO checklist_harmonization (checklist_item_id, decision, decision_note, decided_by, decided_at)
+    VALUES ($1, $2, $3, $4, CASE WHEN $2::varchar IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END)
+    ON CONFLICT (checklist_item_id) DO UPDATE SET
+      decision = EXCLUDED.decision,
+      decision_note = EXCLUDED.decision_note,
+      decided_by = EXCLUDED.decided_by,
+      decided_at = EXCLUDED.decided_at
+    RETURNING *
+  `, [itemId, decision || null, note?.trim() || null, decision ? actor : null]);
+  return result.rows[0];
+}
+
+// ============================================
+// Analysis
+// ============================================
+
+const harmonizationSchema = ({ itemIds, entityCodes }) => ({
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'divergence'],
+        properties: {
+          id: { type: 'integer', check: oneOfIds(itemIds, 'a checklist item in this batch') },
+          answers: {
+            type: 'array',
+            default: [],
+            items: {
+              type: 'object',
+              required: ['entity_code', 'answer'],
+              properties: {
+                entity_code: { type: 'string', check: (v) => entityCodes.includes(v) ? null : `must be one of ${entityCodes.join(', ')}` },
+                answer: { type: 'string', check: (v) => v.trim() ? null : 'must not be empty' }
+              }
+            }
+          },
+          divergence: { type: 'string', enum: DIVERGENCE_LEVELS },
+          summary: { type: 'string', default: '', fallback: '' }
+        }
+      }
+    }
+  }
+});
+
+const buildHarmonizationPrompt = (session, entities, items, memoryText) => {
+  const entityCode = (id) => entities.find(entity => entity.id === id)?.code;
+  const itemsText = items.map(item => {
+    const manual = item.answers
+      .filter(answer => answer.source === 'manual')
+      .map(answer => `\n  ${entityCode(answer.entity_id)} (confirmed): ${clip(answer.answer_text)}`)
+      .join('');
+    return `[I:${item.id}] (${item.category || 'General'}) ${item.item_text}\n  Session answer: ${clip(item.obtained_text) || '(none)'}${manual}`;
+  }).join('\n');
+
+  return `You are a senior SAP S/4HANA solution architect preparing the global template of a multi-company rollout.
+
+**Client:** ${session.client_name || session.workshop_name}
+**Session:** ${session.name} (${session.module})
+**Entities:** ${entities.map(entity => `${entity.code} (${entity.name})`).join(', ')}
+
+**What was discussed (session memory):**
+${memoryText || '(no recordings yet)'}
+
+**Checklist items:**
+${itemsText}
+
+For every checklist item:
+1. answers: what each entity does, one entry per entity the sources describe. Where the session answer or the discussion applies to all entities, give that answer for each of them. Leave out entities the sources say nothing about. Do not repeat entities marked (confirmed) - their answers are fixed.
+2. divergence: compare all entities' answers (including the confirmed ones):
+   - aligned: the entities work the same way
+   - minor: small differences a single global design can absorb (e.g. different approvers or thresholds)
+   - divergent: the processes differ enough to need local variants or a harmonization decision
+3. summary: one sentence on what differs between the entities (empty when aligned)
+
+**Output Format - JSON:**
+\`\`\`json
+{
+  "items": [
+    {
+      "id": 12,
+      "answers": [
+        { "entity_code": "${entities[0]?.code || 'ARDC'}", "answer": "..." }
+      ],
+      "divergence": "minor",
+      "summary": "..."
+    }
+  ]
+}
+\`\`\``;
+};
+
+/**
+ * Split a session's answers per entity and assess their divergence
+ * AI answers are replaced on every run; answers typed by consultants are kept.
+ * @param {Object} options - { onBatch(first, last, total) } called before each batch of items
+ * @returns {Promise<{items: number, answers: number}>}
+ */
+async function analyzeSessionHarmonization(session, entities, { onBatch } = {}) {
+  const itemsResult = await db.query(`
+    SELECT i.id, i.item_text, i.category, i.obtained_text,
+           COALESCE((
+             SELECT json_agg(json_build_object('entity_id', a.entity_id, 'answer_text', a.answer_text, 'source', a.source))
+             FROM checklist_entity_answers a WHERE a.checklist_item_id = i.id
+           ), '[]') as answers
+    FROM session_checklist_items i
+    WHERE i.session_id = $1
+      AND ((i.status = 'obtained' AND i.obtained_text IS NOT NULL)
+        OR EXISTS (SELECT 1 FROM checklist_entity_answers a WHERE a.checklist_item_id = i.id AND a.source = 'manual'))
+    ORDER BY i.item_number
+  `, [session.id]);
+  const items = itemsResult.rows;
+  if (items.length === 0) return { items: 0, answers: 0 };
+
+  // Whole memory windows, oldest first, as long as they fit
+  const memory = await getMemoryWindows(session.id, MAX_MEMORY_CHARS);
+  const memoryParts = memory.summary ? [`Summary of the whole session:\n${memory.summary}`] : [];
+  let memoryChars = (memory.summary || '').length;
+  for (const window of memory.windows) {
+    if (memoryChars + window.text.length > MAX_MEMORY_CHARS) break;
+    memoryParts.push(window.text);
+    memoryChars += window.text.length;
+  }
+  const memoryText = memoryParts.join('\n\n');
+  const entityCodes = entities.map(entity => entity.code);
+
+  let assessed = 0;
+  let answers = 0;
+  for (let start = 0; start < items.length; start += ITEMS_PER_BATCH) {
+    const batch = items.slice(start, start + ITEMS_PER_BATCH);
+    if (onBatch) await onBatch(start, start + batch.length, items.length);
+
+    // An unusable reply raises AIResponseError (stored for review)
+    const { data, reviewId } = await completeJson('entity_harmonization', {
+      maxTokens: 8000,
+      messages: [{ role: 'user', content: buildHarmonizationPrompt(session, entities, batch, memoryText) }]
+    }, {
+      schema: harmonizationSchema({ itemIds: batch.map(item => item.id), entityCodes }),
+      review: { sessionId: session.id, context: { workshopId: session.workshop_id, source: 'entity_harmonization' } }
+    });
+
+    for (const entry of data.items) {
+      await db.query("DELETE FROM checklist_entity_answers WHERE checklist_item_id = $1 AND source = 'ai'", [entry.id]);
+      for (const answer of entry.answers) {
+        const entity = entities.find(e => e.code === answer.entity_code);
+        // Answers typed by consultants win over the model's
+        const inserted = await db.query(`
+          INSERT INTO checklist_entity_answers (checklist_item_id, entity_id, answer_text, source)
+          VALUES ($1, $2, $3, 'ai')
+          ON CONFLICT (checklist_item_id, entity_id) DO NOTHING
+        `, [entry.id, entity.id, answer.answer.trim()]);
+        answers += inserted.rowCount;
+      }
+
+      await db.query(`
+        INSERT INTO checklist_harmonization (checklist_item_id, divergence, summary, assessed_at, review_id)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $4)
+        ON CONFLICT (checklist_item_id) DO UPDATE SET
+          divergence = EXCLUDED.divergence,
+          summary = EXCLUDED.summary,
+          assessed_at = EXCLUDED.assessed_at,
+          review_id = EXCLUDED.review_id
+      `, [entry.id, entry.divergence, entry.summary.trim() || null, reviewId]);
+      assessed++;
+    }
+  }
+
+  return { items: assessed, answers };
+}
+
+/**
+ * Run the harmonization analysis for one session or every session of a workshop
+ * @param {Object} options - { sessionId, onProgress(percent, message) }
+ * @returns {Promise<{sessions: number, items: number, answers: number}|null>} null when nothing matches
+ */
+async function runHarmonizationAnalysis(workshopId, { sessionId, onProgress } = {}) {
+  const entities = await getWorkshopEntities(workshopId);
+  if (entities.length < 2) {
+    throw new PermanentJobError('Harmonization needs at least two entities in the workshop');
+  }
+
+  const sessionsResult = await db.query(`
+    SELECT s.id, s.workshop_id, s.session_number, s.name, s.module, w.name as workshop_name, w.client_name
+    FROM sessions s
+    JOIN workshops w ON s.workshop_id = w.id
+    WHERE s.workshop_id = $1 ${sessionId ? 'AND s.id = $2' : ''}
+    ORDER BY s.session_number
+  `, sessionId ? [workshopId, sessionId] : [workshopId]);
+  const sessions = sessionsResult.rows;
+  if (sessions.length === 0) return null;
+
+  let items = 0;
+  let answers = 0;
+  let analyzed = 0;
+  for (const [index, session] of sessions.entries()) {
+    const result = await analyzeSessionHarmonization(session, entities, {
+      onBatch: onProgress && ((first, last, total) => onProgress(
+        5 + Math.round(((index + first / total) / sessions.length) * 90),
+        `Comparing entities in session ${session.session_number}: ${session.name} (items ${first + 1}-${last} of ${total})...`
+      ))
+    });
+    if (result.items > 0) analyzed++;
+    items += result.items;
+    answers += result.answers;
+  }
+
+  return { sessions: analyzed, items, answers };
+}
+
+module.exports = {
+  DIVERGENCE_LEVELS,
+  DECISIONS,
+  getWorkshopHarmonization,
+  saveEntityAnswer,
+  saveHarmonizationDecision,
+  runHarmonizationAnalysis
+};
@@ -0,0 +1,464 @@
+/**
+ * Fit-Gap Analysis - Session requirements classified against SAP scope items
+ *
+ * Findings carry free-text sap_best_practice hints, but the fit-gap needs a fixed
+ * reference. A catalogue of SAP S/4HANA scope items (code, name, module and their main
+ * processes) is kept as a local JSON file (data/sapScopeItems.json) and loaded into the
+ * database under its version; loading a new file adds a new version rather than
+ * changing the old one, so earlier results still point at what they were judged against.
+ *
+ * The model classifies each finding and obtained checklist answer of a session as
+ * - fit:         covered by a scope item as delivered
+ * - partial_fit: a scope item covers it with configuration or minor extensions
+ * - gap:         no scope item covers it
+ * with the scope item, a rationale and the entities it applies to. Results confirmed or
+ * edited by a consultant are kept when the analysis is re-run; the others are replaced.
+ * The matrix counts results per SAP module and entity.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../models/db');
+const { completeJson, oneOfIds } = require('./aiJson');
+
+const CLASSIFICATIONS = [
+  { key: 'fit', label: 'Fit' },
+  { key: 'partial_fit', label: 'Partial Fit' },
+  { key: 'gap', label: 'Gap' }
+];
+
+const DEFAULT_CATALOGUE_FILE = path.join(__dirname, '../data/sapScopeItems.json');
+
+// Scope items quoted into one prompt; items of the session's module come first
+const MAX_PROMPT_SCOPE_ITEMS = 150;
+// Longest finding / answer text quoted into the prompt and stored as detail
+const MAX_SOURCE_TEXT_CHARS = 600;
+
+const clip = (text, maxChars = MAX_SOURCE_TEXT_CHARS) =>
+  !text ? '' : text.length > maxChars ? `${text.substring(0, maxChars)}...` : text;
+
+const moduleCode = (module) => (module || '').split(' - ')[0].trim().toUpperCase();
+
+// ============================================
+// Catalogue
+// ============================================
+
+/**
+ * Load a scope item catalogue file; a version that is already loaded is left as it is
+ * @param {string} filePath - JSON file { version, name, description, items: [{ code, name, sap_module, line_of_business, description, processes }] }
+ * @returns {Promise<{catalogue: Object, created: boolean}>}
+ */
+async function loadScopeCatalogue(filePath = DEFAULT_CATALOGUE_FILE) {
+  const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!file.version || !Array.isArray(file.items) || file.items.length === 0) {
+    throw new Error(`${filePath} needs a version and a non-empty items list`);
+  }
+  const codes = new Set();
+  for (const item of file.items) {
+    if (!item.code || !item.name) {
+      throw new Error(`Every scope item needs a code and a name (${JSON.stringify(item).substring(0, 100)})`);
+    }
+    if (codes.has(item.code)) {
+      throw new Error(`Scope item ${item.code} is listed twice`);
+    }
+    codes.add(item.code);
+  }
+
+  const existing = await db.query('SELECT * FROM scope_catalogues WHERE version = $1', [file.version]);
+  if (existing.rows[0]?.item_count > 0) {
+    return { catalogue: existing.rows[0], created: false };
+  }
+
+  // item_count stays 0 until every item is in, so a half-loaded version is never used
+  const catalogueResult = existing.rows[0]
+    ? existing
+    : await db.query(`
+        INSERT INTO scope_catalogues (version, name, description, source_file)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [file.version, file.name || file.version, file.description || null, path.basename(filePath)]);
+  const catalogue = catalogueResult.rows[0];
+
+  for (const item of file.items) {
+    await db.query(`
+      INSERT INTO scope_items (catalogue_id, code, name, sap_module, line_of_business, description, processes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (catalogue_id, code) DO NOTHING
+    `, [catalogue.id, item.code, item.name, item.sap_module || null, item.line_of_business || null,
+      item.description || null, JSON.stringify(item.processes || [])]);
+  }
+
+  const updated = await db.query(
+    'UPDATE scope_catalogues SET item_count = $2, loaded_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+    [catalogue.id, file.items.length]
+  );
+  return { catalogue: updated.rows[0], created: true };
+}
+
+/**
+ * Catalogue used for new analyses: the most recently loaded version.
+ * The bundled catalogue is loaded the first time one is needed.
+ */
+async function getCurrentCatalogue() {
+  const result = await db.query(
+    'SELECT * FROM scope_catalogues WHERE item_count > 0 ORDER BY loaded_at DESC, id DESC LIMIT 1'
+  );
+  if (result.rows[0]) return result.rows[0];
+  return (await loadScopeCatalogue()).catalogue;
+}
+
+async function getScopeItems(catalogueId) {
+  const result = await db.query(
+    'SELECT * FROM scope_items WHERE catalogue_id = $1 ORDER BY sap_module, code',
+    [catalogueId]
+  );
+  return result.rows;
+}
+
+// ============================================
+// Analysis
+// ============================================
+
+const classificationEntry = ({ ids, label, scopeCodes, entityCodes }) => ({
+  type: 'object',
+  required: ['id', 'classification'],
+  properties: {
+    id: { type: 'integer', check: oneOfIds(ids, label) },
+    classification: { type: 'string', enum: CLASSIFICATIONS.map(c => c.key) },
+    scope_item: {
+      type: 'string',
+      nullable: true,
+      default: null,
+      fallback: null,
+      check: (v) => scopeCodes.includes(v) ? null : 'must be a scope item code from the catalogue'
+    },
+    rationale: { type: 'string', default: '', fallback: '' },
+    sap_module: { type: 'string', nullable: true, default: null, fallback: null },
+    entity_codes: {
+      type: 'array',
+      default: [],
+      fallback: [],
+      items: { type: 'string', check: (v) => entityCodes.includes(v) ? null : `must be one of ${entityCodes.join(', ')}` }
+    }
+  }
+});
+
+const fitGapSchema = ({ findingIds, itemIds, scopeCodes, entityCodes }) => ({
+  type: 'object',
+  required: ['findings', 'items'],
+  properties: {
+    findings: {
+      type: 'array',
+      default: [],
+      items: classificationEntry({ ids: findingIds, label: 'a finding of this session', scopeCodes, entityCodes })
+    },
+    items: {
+      type: 'array',
+      default: [],
+      items: classificationEntry({ ids: itemIds, label: 'an obtained checklist item of this session', scopeCodes, entityCodes })
+    }
+  }
+});
+
+const buildFitGapPrompt = (session, scopeItems, entities, findings, items) => {
+  const scopeText = scopeItems.map(item =>
+    `- ${item.code} ${item.name} (${item.sap_module || 'cross-module'}): ${item.description || ''}${(item.processes || []).length > 0 ? ` Processes: ${item.processes.join('; ')}` : ''}`
+  ).join('\n');
+
+  const entitiesText = entities.map(entity => `- ${entity.code}: ${entity.name}`).join('\n');
+
+  const findingsText = findings.map(finding =>
+    `[F:${finding.id}] (${finding.finding_type || 'general'}) ${finding.topic}: ${clip(finding.details)}${finding.sap_best_practice ? `\n  SAP best practice noted: ${clip(finding.sap_best_practice, 300)}` : ''}`
+  ).join('\n');
+
+  const itemsText = items.map(item =>
+    `[I:${item.id}] ${item.item_text}: ${clip(item.obtained_text)}`
+  ).join('\n');
+
+  return `You are a senior SAP S/4HANA solution architect preparing the fit-gap analysis of a pre-discovery workshop.
+
+**Client:** ${session.client_name || session.workshop_name}
+**Industry:** ${session.industry_context || 'Not specified'}
+**Session:** ${session.name} (${session.module})
+
+**SAP S/4HANA scope items (the only valid scope_item codes):**
+${scopeText}
+
+**Entities:**
+${entitiesText || '(single entity)'}
+
+**Findings:**
+${findingsText || '(none)'}
+
+**Obtained checklist answers:**
+${itemsText || '(none)'}
+
+Classify every finding [F:id] and every checklist answer [I:id] that states a business requirement or practice:
+- fit: a scope item covers it as delivered
+- partial_fit: a scope item covers it with configuration, a small extension or a process change
+- gap: no scope item covers it; custom development or another product is needed
+
+For each one give:
+- scope_item: the code of the closest scope item (null only for a gap no scope item comes near)
+- rationale: one or two sentences on why, naming what is standard and what is missing
+- sap_module: the module concerned (e.g. FI, CO, SD, MM, PP, QM)
+- entity_codes: the entities it applies to (empty when it applies to all)
+
+Leave out answers that are purely informational (e.g. a head count) and hold no requirement.
+
+**Output Format - JSON:**
+\`\`\`json
+{
+  "findings": [
+    { "id": 12, "classification": "partial_fit", "scope_item": "J60", "rationale": "...", "sap_module": "FI", "entity_codes": [] }
+  ],
+  "items": [
+    { "id": 34, "classification": "fit", "scope_item": "BD9", "rationale": "...", "sap_module": "SD", "entity_codes": ["ARD"] }
+  ]
+}
+\`\`\``;
+};
+
+/**
+ * Classify a session's findings and obtained answers against the catalogue
+ * @param {Object} catalogue - row of scope_catalogues
+ * @returns {Promise<{classified: number, kept: number}|null>} null when the session does not exist
+ */
+async function analyzeSessionFitGap(sessionId, catalogue) {
+  const sessionResult = await db.query(`
+    SELECT s.*, w.name as workshop_name, w.client_name, w.industry_context
+    FROM sessions s
+    JOIN workshops w ON s.workshop_id = w.id
+    WHERE s.id = $1
+  `, [sessionId]);
+  const session = sessionResult.rows[0];
+  if (!session) return null;
+
+  // Results a consultant confirmed or edited are not classified again
+  const reviewedResult = await db.query(
+    'SELECT source_type, source_id FROM fitgap_results WHERE session_id = $1 AND reviewed_by IS NOT NULL',
+    [sessionId]
+  );
+  const reviewed = new Set(reviewedResult.rows.map(row => `${row.source_type}:${row.source_id}`));
+
+  const findingsResult = await db.query(`
+    SELECT id, finding_type, topic, details, sap_best_practice
+    FROM session_additional_findings
+    WHERE session_id = $1
+    ORDER BY created_at
+  `, [sessionId]);
+  const itemsResult = await db.query(`
+    SELECT id, item_text, obtained_text
+    FROM session_checklist_items
+    WHERE session_id = $1 AND status = 'obtained' AND obtained_text IS NOT NULL
+    ORDER BY item_number
+  `, [sessionId]);
+  const findings = findingsResult.rows.filter(finding => !reviewed.has(`finding:${finding.id}`));
+  const items = itemsResult.rows.filter(item => !reviewed.has(`checklist_item:${item.id}`));
+
+  const clearUnreviewed = () =>
+    db.query('DELETE FROM fitgap_results WHERE session_id = $1 AND reviewed_by IS NULL', [sessionId]);
+  if (findings.length === 0 && items.length === 0) {
+    await clearUnreviewed();
+    return { classified: 0, kept: reviewed.size };
+  }
+
+  const entitiesResult = await db.query(
+    'SELECT id, code, name FROM entities WHERE workshop_id = $1 ORDER BY code',
+    [session.workshop_id]
+  );
+  const entities = entitiesResult.rows;
+
+  const sessionModule = moduleCode(session.module);
+  const matchesSession = (item) => !!item.sap_module && sessionModule.includes(item.sap_module.toUpperCase());
+  const scopeItems = await getScopeItems(catalogue.id);
+  const promptScopeItems = [...scopeItems.filter(matchesSession), ...scopeItems.filter(item => !matchesSession(item))]
+    .slice(0, MAX_PROMPT_SCOPE_ITEMS);
+
+  // An unusable reply raises AIResponseError (stored for review)
+  const { data, reviewId } = await completeJson('fitgap_analysis', {
+    maxTokens: 8000,
+    messages: [{ role: 'user', content: buildFitGapPrompt(session, promptScopeItems, entities, findings, items) }]
+  }, {
+    schema: fitGapSchema({
+      findingIds: findings.map(finding => finding.id),
+      itemIds: items.map(item => item.id),
+      scopeCodes: promptScopeItems.map(item => item.code),
+      entityCodes: entities.map(entity => entity.code)
+    }),
+    review: { sessionId, context: { workshopId: session.workshop_id, catalogueVersion: catalogue.version, source: 'fitgap_analysis' } }
+  });
+
+  // Previous results are only dropped once the new reply is usable
+  await clearUnreviewed();
+
+  const sources = [
+    ...data.findings.map(entry => {
+      const finding = findings.find(f => f.id === entry.id);
+      return { entry, type: 'finding', requirement: finding.topic, detail: finding.details };
+    }),
+    ...data.items.map(entry => {
+      const item = items.find(i => i.id === entry.id);
+      return { entry, type: 'checklist_item', requirement: item.item_text, detail: item.obtained_text };
+    })
+  ];
+
+  let classified = 0;
+  const seen = new Set();
+  for (const { entry, type, requirement, detail } of sources) {
+    const key = `${type}:${entry.id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const scopeItem = promptScopeItems.find(item => item.code === entry.scope_item);
+    const entityIds = entities.filter(entity => entry.entity_codes.includes(entity.code)).map(entity => entity.id);
+
+    await db.query(`
+      INSERT INTO fitgap_results (session_id, catalogue_id, source_type, source_id, requirement, detail,
+                                  scope_item_id, classification, rationale, sap_module, entity_ids, review_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `, [sessionId, catalogue.id, type, entry.id, requirement, clip(detail) || null, scopeItem?.id || null,
+      entry.classification, entry.rationale.trim() || null,
+      scopeItem?.sap_module || entry.sap_module?.trim() || sessionModule || null, entityIds, reviewId]);
+    classified++;
+  }
+
+  return { classified, kept: reviewed.size };
+}
+
+/**
+ * Run the analysis for one session or every session of a workshop
+ * @param {Object} options - { sessionId, onProgress(percent, message) }
+ * @returns {Promise<{classified: number, kept: number, sessions: number, catalogue: string}|null>} null when the workshop does not exist
+ */
+async function runFitGapAnalysis(workshopId, { sessionId, onProgress } = {}) {
+  const sessionsResult = await db.query(`
+    SELECT id, session_number, name FROM sessions
+    WHERE workshop_id = $1 ${sessionId ? 'AND id = $2' : ''}
+    ORDER BY session_number
+  `, sessionId ? [workshopId, sessionId] : [workshopId]);
+  if (sessionsResult.rows.length === 0) return null;
+
+  const catalogue = await getCurrentCatalogue();
+  let classified = 0;
+  let kept = 0;
+
+  for (const [index, session] of sessionsResult.rows.entries()) {
+    if (onProgress) {
+      await onProgress(5 + Math.round((index / sessionsResult.rows.length) * 90), `Classifying session ${session.session_number}: ${session.name}...`);
+    }
+    const result = await analyzeSessionFitGap(session.id, catalogue);
+    classified += result.classified;
+    kept += result.kept;
+  }
+
+  return { classified, kept, sessions: sessionsResult.rows.length, catalogue: catalogue.version };
+}
+
+// ============================================
+// Results and matrix
+// ============================================
+
+/**
+ * Fit-gap results of a workshop with their scope item and session
+ * @param {Object} filters - { sessionId, entityId, classification }
+ *   entityId keeps results for that entity and those without entities (= all)
+ */
+async function listFitGapResults(workshopId, { sessionId, entityId, classification } = {}) {
+  const conditions = ['s.workshop_id = $1'];
+  const params = [workshopId];
+  if (sessionId) {
+    params.push(sessionId);
+    conditions.push(`r.session_id = $${params.length}`);
+  }
+  if (entityId) {
+    params.push(parseInt(entityId));
+    conditions.push(`(cardinality(r.entity_ids) = 0 OR $${params.length} = ANY(r.entity_ids))`);
+  }
+  if (classification) {
+    params.push(classification);
+    conditions.push(`r.classification = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    SELECT r.*, s.session_number, s.name as session_name,
+           i.code as scope_item_code, i.name as scope_item_name,
+           c.version as catalogue_version
+    FROM fitgap_results r
+    JOIN sessions s ON r.session_id = s.id
+    LEFT JOIN scope_items i ON r.scope_item_id = i.id
+    LEFT JOIN scope_catalogues c ON r.catalogue_id = c.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY r.sap_module NULLS LAST, s.session_number, r.source_type, r.id
+  `, params);
+  return result.rows;
+}
+
+const emptyCounts = () => ({ fit: 0, partial_fit: 0, gap: 0, total: 0 });
+
+/**
+ * Counts per SAP module (rows) and entity (columns). A result without entities applies
+ * to every entity; without any entities in the workshop there is a single 'all' column.
+ * @returns {{columns: Array<{id, code, name}>, rows: Array<{sap_module, total, cells}>}}
+ */
+function buildFitGapMatrix(results, entities) {
+  const columns = entities.length > 0
+    ? entities.map(entity => ({ id: entity.id, code: entity.code, name: entity.name }))
+    : [{ id: 'all', code: 'All', name: 'All entities' }];
+
+  const rows = new Map();
+  for (const result of results) {
+    const module = result.sap_module || 'Other';
+    if (!rows.has(module)) {
+      rows.set(module, {
+        sap_module: module,
+        total: emptyCounts(),
+        cells: Object.fromEntries(columns.map(column => [column.id, emptyCounts()]))
+      });
+    }
+    const row = rows.get(module);
+    row.total[result.classification]++;
+    row.total.total++;
+
+    const entityIds = result.entity_ids || [];
+    for (const column of columns) {
+      if (column.id === 'all' || entityIds.length === 0 || entityIds.includes(column.id)) {
+        row.cells[column.id][result.classification]++;
+        row.cells[column.id].total++;
+      }
+    }
+  }
+
+  return {
+    columns,
+    rows: [...rows.values()].sort((a, b) => a.sap_module.localeCompare(b.sap_module))
+  };
+}
+
+/**
+ * Results and matrix of a single session (report)
+ */
+async function getSessionFitGap(sessionId) {
+  const sessionResult = await db.query('SELECT workshop_id FROM sessions WHERE id = $1', [sessionId]);
+  if (sessionResult.rows.length === 0) return null;
+  const { workshop_id: workshopId } = sessionResult.rows[0];
+
+  const results = await listFitGapResults(workshopId, { sessionId });
+  const entitiesResult = await db.query(
+    'SELECT id, code, name FROM entities WHERE workshop_id = $1 ORDER BY code',
+    [workshopId]
+  );
+  return { results, matrix: buildFitGapMatrix(results, entitiesResult.rows) };
+}
+
+module.exports = {
+  CLASSIFICATIONS,
+  DEFAULT_CATALOGUE_FILE,
+  loadScopeCatalogue,
+  getCurrentCatalogue,
+  getScopeItems,
+  runFitGapAnalysis,
+  listFitGapResults,
+  buildFitGapMatrix,
+  getSessionFitGap
+};
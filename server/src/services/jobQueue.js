@@ -0,0 +1,422 @@
+/**
+ * Job Queue - Durable background jobs stored in Postgres
+ *
+ * Long AI work (question/checklist generation, re-analysis, workshop transcripts)
+ * is enqueued into the jobs table and run by an in-process worker instead of inside
+ * the request handler, so it survives browser disconnects and server restarts:
+ * - Jobs are claimed with FOR UPDATE SKIP LOCKED, so several instances can share the table
+ * - Running jobs send a heartbeat; jobs whose worker stopped responding are requeued
+ * - Failures are retried with exponential backoff up to max_attempts
+ * - Concurrency is limited overall (JOB_CONCURRENCY) and per job type
+ * - Progress is stored on the row and published as `job_updated` to the session's viewers
+ * - A dedupe key keeps one active job per target; enqueueing again returns the running
+ *   job, which is how a second tab re-attaches to work already in progress
+ *
+ * Handlers are registered with registerJobHandler(type, handler) and receive a context:
+ *   { job, payload, attempt, reportProgress(progress, message, details), isCancelled(), throwIfCancelled() }
+ * and return the job result (stored as JSON). Throw PermanentJobError for failures that
+ * retrying cannot fix (missing data, bad input).
+ */
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../models/db');
+const { publish } = require('./sessionEvents');
+
+// Unique per process - containers often reuse the same hostname and pid after a restart
+const WORKER_ID = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const STALE_SECONDS = parseInt(process.env.JOB_STALE_SECONDS) || 90;
+const RETRY_BASE_SECONDS = parseInt(process.env.JOB_RETRY_BASE_SECONDS) || 30;
+const HEARTBEAT_INTERVAL_MS = 15000;
+const STALE_CHECK_INTERVAL_MS = 30000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+// type -> { handler, concurrency, maxAttempts }
+const handlers = new Map();
+// job id -> { type, cancelled }
+const runningJobs = new Map();
+
+let pollTimer = null;
+let staleTimer = null;
+let polling = false;
+let stopping = false;
+
+/**
+ * Job row as returned by the API (without worker bookkeeping)
+ */
+const toPublicJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  progress_message: job.progress_message,
+  progress_details: job.progress_details || {},
+  result: job.result,
+  error: job.error,
+  attempts: job.attempts,
+  max_attempts: job.max_attempts,
+  run_at: job.run_at,
+  cancel_requested: job.cancel_requested,
+  workshop_id: job.workshop_id,
+  session_id: job.session_id,
+  batch_id: job.batch_id,
+  created_by: job.created_by,
+  started_at: job.started_at,
+  finished_at: job.finished_at,
+  created_at: job.created_at,
+  updated_at: job.updated_at
+});
+
+const publishJob = (job) => {
+  if (job && job.session_id) {
+    publish(job.session_id, 'job_updated', { job: toPublicJob(job) });
+  }
+};
+
+// ============================================
+// Registration & enqueueing
+// ============================================
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type
+ * @param {Function} handler - async (ctx) => result
+ * @param {Object} options - { concurrency = 1, maxAttempts = 3 }
+ */
+const registerJobHandler = (type, handler, { concurrency = 1, maxAttempts = 3 } = {}) => {
+  handlers.set(type, { handler, concurrency, maxAttempts });
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - a registered job type
+ * @param {Object} payload - handler input (stored as JSON)
+ * @param {Object} options
+ *   workshopId, sessionId: scope the job for access checks and live updates
+ *     (workshopId defaults to the session's workshop)
+ *   createdBy: user id
+ *   dedupeKey: only one queued/running job may hold the key; the existing job is returned
+ *   batchId: groups jobs started together (e.g. one per session of a workshop)
+ * @returns {Promise<{ job: Object, created: boolean }>}
+ */
+const enqueueJob = async (type, payload = {}, { workshopId = null, sessionId = null, createdBy = null, dedupeKey = null, batchId = null } = {}) => {
+  const registration = handlers.get(type);
+  if (!registration) {
+    throw new Error(`Unknown job type "${type}"`);
+  }
+
+  const result = await db.query(`
+    INSERT INTO jobs (type, payload, max_attempts, workshop_id, session_id, created_by, dedupe_key, batch_id)
+    VALUES ($1, $2, $3, COALESCE($4, (SELECT workshop_id FROM sessions WHERE id = $5)), $5, $6, $7, $8)
+    ON CONFLICT (dedupe_key) WHERE status IN ('queued', 'running') DO NOTHING
+    RETURNING *
+  `, [type, JSON.stringify(payload), registration.maxAttempts, workshopId, sessionId, createdBy, dedupeKey, batchId]);
+
+  if (result.rows.length === 0) {
+    const existing = await db.query(
+      'SELECT * FROM jobs WHERE dedupe_key = $1 AND status = ANY($2) ORDER BY id DESC LIMIT 1',
+      [dedupeKey, ACTIVE_STATUSES]
+    );
+    if (existing.rows.length > 0) {
+      return { job: existing.rows[0], created: false };
+    }
+    // The active job finished between the insert and the lookup - try again
+    return enqueueJob(type, payload, { workshopId, sessionId, createdBy, dedupeKey, batchId });
+  }
+
+  const job = result.rows[0];
+  publishJob(job);
+  if (pollTimer) setImmediate(poll);
+  return { job, created: true };
+};
+
+/**
+ * New id for a group of jobs enqueued together
+ */
+const createBatchId = () => uuidv4();
+
+const getJob = async (jobId) => {
+  const result = await db.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Request cancellation. Queued jobs are cancelled immediately; running jobs
+ * stop at their next progress report or cancellation check.
+ * @returns {Promise<Object|null>} updated job, or null when it does not exist
+ */
+const cancelJob = async (jobId) => {
+  const result = await db.query(`
+    UPDATE jobs SET
+      status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+      finished_at = CASE WHEN status = 'queued' THEN CURRENT_TIMESTAMP ELSE finished_at END,
+      cancel_requested = (status = 'running'),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [jobId]);
+
+  const job = result.rows[0] || null;
+  if (job && job.status === 'running' && runningJobs.has(job.id)) {
+    runningJobs.get(job.id).cancelled = true;
+  }
+  publishJob(job);
+  return job;
+};
+
+// ============================================
+// Worker
+// ============================================
+
+const claimJob = async (types) => {
+  const result = await db.query(`
+    UPDATE jobs SET
+      status = 'running',
+      locked_by = $1,
+      heartbeat_at = CURRENT_TIMESTAMP,
+      started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+      attempts = attempts + 1,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP AND type = ANY($2)
+      ORDER BY run_at, id
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `, [WORKER_ID, types]);
+  return result.rows[0] || null;
+};
+
+// Types that still have a free slot in this process
+const availableTypes = () => {
+  const runningByType = {};
+  for (const { type } of runningJobs.values()) {
+    runningByType[type] = (runningByType[type] || 0) + 1;
+  }
+  return Array.from(handlers.entries())
+    .filter(([type, { concurrency }]) => (runningByType[type] || 0) < concurrency)
+    .map(([type]) => type);
+};
+
+/**
+ * Update a job this worker holds. Returns null when the job was taken away
+ * (requeued as stale or during shutdown), so late results are not written.
+ */
+const updateOwnJob = async (jobId, assignments, params = []) => {
+  const result = await db.query(`
+    UPDATE jobs SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND locked_by = $2 AND status = 'running'
+    RETURNING *
+  `, [jobId, WORKER_ID, ...params]);
+  return result.rows[0] || null;
+};
+
+const runJob = async (job) => {
+  const { handler } = handlers.get(job.type);
+  const state = runningJobs.get(job.id);
+
+  const syncCancellation = (row) => {
+    if (row && row.cancel_requested) state.cancelled = true;
+    return row;
+  };
+
+  const ctx = {
+    job,
+    payload: job.payload || {},
+    attempt: job.attempts,
+    isCancelled: () => state.cancelled,
+    throwIfCancelled: () => {
+      if (state.cancelled) throw new JobCancelledError();
+    },
+    /**
+     * @param {number} progress - 0-100
+     * @param {string} message - shown to the user
+     * @param {Object} details - extra fields for the UI, e.g. { current, total }
+     */
+    reportProgress: async (progress, message, details = {}) => {
+      const row = syncCancellation(await updateOwnJob(job.id,
+        'progress = $3, progress_message = $4, progress_details = $5, heartbeat_at = CURRENT_TIMESTAMP',
+        [Math.max(0, Math.min(100, Math.round(progress))), message || null, JSON.stringify(details)]
+      ));
+      publishJob(row);
+      ctx.throwIfCancelled();
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    updateOwnJob(job.id, 'heartbeat_at = CURRENT_TIMESTAMP')
+      .then(syncCancellation)
+      .catch(error => console.error(`Job ${job.id} heartbeat failed:`, error.message));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  console.log(`Job ${job.id} (${job.type}) started, attempt ${job.attempts}/${job.max_attempts}`);
+  publishJob(job);
+
+  try {
+    const result = await handler(ctx);
+    const row = await updateOwnJob(job.id,
+      `status = 'completed', result = $3, progress = 100, error = NULL, locked_by = NULL,
+       cancel_requested = FALSE, finished_at = CURRENT_TIMESTAMP`,
+      [JSON.stringify(result === undefined ? null : result)]
+    );
+    console.log(`Job ${job.id} (${job.type}) completed`);
+    publishJob(row);
+  } catch (error) {
+    let row;
+    if (error instanceof JobCancelledError || state.cancelled) {
+      row = await updateOwnJob(job.id,
+        `status = 'cancelled', locked_by = NULL, finished_at = CURRENT_TIMESTAMP`);
+      console.log(`Job ${job.id} (${job.type}) cancelled`);
+    } else if (!(error instanceof PermanentJobError) && job.attempts < job.max_attempts) {
+      const delaySeconds = RETRY_BASE_SECONDS * Math.pow(2, job.attempts - 1);
+      row = await updateOwnJob(job.id,
+        `status = 'queued', error = $3, locked_by = NULL,
+         run_at = CURRENT_TIMESTAMP + make_interval(secs => $4)`,
+        [error.message, delaySeconds]
+      );
+      console.error(`Job ${job.id} (${job.type}) failed, retrying in ${delaySeconds}s:`, error.message);
+    } else {
+      row = await updateOwnJob(job.id,
+        `status = 'failed', error = $3, locked_by = NULL, finished_at = CURRENT_TIMESTAMP`,
+        [error.message]
+      );
+      console.error(`Job ${job.id} (${job.type}) failed:`, error);
+    }
+    publishJob(row);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Claim and start jobs until the concurrency limits are reached
+ */
+const poll = async () => {
+  if (polling || stopping) return;
+  polling = true;
+  try {
+    while (!stopping && runningJobs.size < CONCURRENCY) {
+      const types = availableTypes();
+      if (types.length === 0) break;
+
+      const job = await claimJob(types);
+      if (!job) break;
+
+      runningJobs.set(job.id, { type: job.type, cancelled: job.cancel_requested });
+      runJob(job)
+        .catch(error => console.error(`Job ${job.id} crashed:`, error))
+        .finally(() => {
+          runningJobs.delete(job.id);
+          setImmediate(poll);
+        });
+    }
+  } catch (error) {
+    console.error('Error polling job queue:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Requeue running jobs whose worker stopped sending heartbeats (crash, restart)
+ */
+const requeueStaleJobs = async () => {
+  try {
+    const result = await db.query(`
+      UPDATE jobs SET
+        status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+        error = 'Interrupted: the worker running this job stopped responding',
+        finished_at = CASE WHEN attempts >= max_attempts THEN CURRENT_TIMESTAMP ELSE NULL END,
+        run_at = CURRENT_TIMESTAMP,
+        locked_by = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'running' AND heartbeat_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+      RETURNING *
+    `, [STALE_SECONDS]);
+
+    for (const job of result.rows) {
+      console.warn(`Job ${job.id} (${job.type}) was interrupted, now ${job.status}`);
+      publishJob(job);
+    }
+  } catch (error) {
+    console.error('Error requeueing stale jobs:', error.message);
+  }
+};
+
+/**
+ * Start polling for jobs. Call once after all handlers are registered.
+ */
+const startWorker = () => {
+  if (pollTimer) return;
+  stopping = false;
+  console.log(`Job worker ${WORKER_ID} started (concurrency ${CONCURRENCY}, types: ${Array.from(handlers.keys()).join(', ')})`);
+  requeueStaleJobs().then(poll);
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  staleTimer = setInterval(requeueStaleJobs, STALE_CHECK_INTERVAL_MS);
+};
+
+/**
+ * Stop claiming jobs and hand the running ones back to the queue so the next
+ * process resumes them right away (the interrupted attempt is not counted)
+ */
+const stopWorker = async () => {
+  stopping = true;
+  clearInterval(pollTimer);
+  clearInterval(staleTimer);
+  pollTimer = null;
+  staleTimer = null;
+
+  try {
+    const result = await db.query(`
+      UPDATE jobs SET
+        status = 'queued',
+        attempts = GREATEST(attempts - 1, 0),
+        locked_by = NULL,
+        run_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'running' AND locked_by = $1
+      RETURNING id
+    `, [WORKER_ID]);
+    if (result.rows.length > 0) {
+      console.log(`Returned ${result.rows.length} running job(s) to the queue`);
+    }
+  } catch (error) {
+    console.error('Error releasing running jobs:', error.message);
+  }
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  FINISHED_STATUSES,
+  PermanentJobError,
+  JobCancelledError,
+  registerJobHandler,
+  enqueueJob,
+  createBatchId,
+  getJob,
+  cancelJob,
+  toPublicJob,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,275 @@
+/**
+ * KDS DOCX Generator - Exports a generated Key Design Specification as a Word document
+ *
+ * The document is meant to be edited and signed off in Word: real headings (so Word's
+ * navigation pane and table of contents work), a status overview, the key design
+ * decisions, one chapter per KDS section and callouts wherever information is missing.
+ */
+
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+  ShadingType,
+  AlignmentType,
+  Footer,
+  PageNumber
+} = require('docx');
+
+// NXSYS Brand Colors (as in pdfReportGenerator)
+const COLORS = {
+  primary: 'E63946',
+  secondary: '1f2937',
+  lightGrey: '6b7280',
+  background: 'f3f4f6',
+  success: '10b981',
+  warning: 'f59e0b',
+  danger: 'ef4444'
+};
+
+const STATUS_LABELS = {
+  complete: 'Complete',
+  partial: 'Partially specified',
+  missing: 'Information missing'
+};
+
+const STATUS_COLORS = {
+  complete: COLORS.success,
+  partial: COLORS.warning,
+  missing: COLORS.danger
+};
+
+const text = (value, options = {}) => new TextRun({ text: value || '', ...options });
+
+const paragraphs = (value, options = {}) => (value || '')
+  .split(/\n+/)
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => new Paragraph({ children: [text(line)], spacing: { after: 120 }, ...options }));
+
+const bullets = (items, options = {}) => items.map(item => new Paragraph({
+  bullet: { level: 0 },
+  children: Array.isArray(item) ? item : [text(item, options)]
+}));
+
+const label = (value) => new Paragraph({
+  children: [text(value, { bold: true, color: COLORS.secondary })],
+  spacing: { before: 160, after: 60 }
+});
+
+const statusRun = (status) => text(STATUS_LABELS[status] || status, { bold: true, color: STATUS_COLORS[status] });
+
+const cell = (children, { header = false, width } = {}) => new TableCell({
+  children: (Array.isArray(children) ? children : [children]).map(child =>
+    typeof child === 'string' ? new Paragraph({ children: [text(child, { bold: header })] }) : child),
+  shading: header ? { type: ShadingType.CLEAR, color: 'auto', fill: COLORS.background } : undefined,
+  width: width ? { size: width, type: WidthType.PERCENTAGE } : undefined
+});
+
+// Label / value rows without a header row
+const detailsTable = (rows) => new Table({
+  width: { size: 100, type: WidthType.PERCENTAGE },
+  rows: rows.map(([name, value]) => new TableRow({
+    children: [cell(name, { header: true, width: 25 }), cell(value, { width: 75 })]
+  }))
+});
+
+const table = (header, rows, widths = []) => new Table({
+  width: { size: 100, type: WidthType.PERCENTAGE },
+  rows: [
+    new TableRow({ tableHeader: true, children: header.map((h, i) => cell(h, { header: true, width: widths[i] })) }),
+    ...rows.map(row => new TableRow({ children: row.map((value, i) => cell(value, { width: widths[i] })) }))
+  ]
+});
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB', {
+  day: 'numeric', month: 'long', year: 'numeric'
+}) : '-');
+
+/**
+ * Callout shown where a section or the whole document still lacks information
+ */
+const missingCallout = (message) => new Paragraph({
+  children: [text('INFORMATION MISSING  ', { bold: true, color: COLORS.danger }), text(message, { italics: true })],
+  shading: { type: ShadingType.CLEAR, color: 'auto', fill: 'fdecec' },
+  spacing: { before: 120, after: 120 }
+});
+
+const missingItemLine = (item) => [
+  text(item.text),
+  text(`  (${item.importance || 'important'}${item.category ? `, ${item.category}` : ''})`, { color: COLORS.lightGrey, size: 18 })
+];
+
+function coverPage(kds, record) {
+  return [
+    new Paragraph({ spacing: { before: 2400 } }),
+    new Paragraph({
+      alignment: AlignmentType.LEFT,
+      children: [text('Key Design Specification', { bold: true, size: 56, color: COLORS.primary })]
+    }),
+    new Paragraph({
+      spacing: { after: 480 },
+      children: [text(kds.module, { bold: true, size: 40, color: COLORS.secondary })]
+    }),
+    detailsTable([
+      ['Client', kds.client || '-'],
+      ['Module', kds.module],
+      ['Version', String(record.version)],
+      ['Generated', `${formatDate(record.generated_at)}${record.generated_by ? ` by ${record.generated_by}` : ''}`],
+      ['Sessions', kds.sessions.length > 0 ? kds.sessions.map(s => `Session ${s.number}: ${s.name}`) : '-'],
+      ['Status', 'Draft - generated from workshop findings, to be reviewed and signed off']
+    ])
+  ];
+}
+
+function statusOverview(kds) {
+  return [
+    new Paragraph({ heading: HeadingLevel.HEADING_1, text: 'Document Status', pageBreakBefore: true }),
+    table(['Section', 'Status', 'Open checklist items'], kds.sections.map((section, index) => [
+      `${index + 1}. ${section.title}`,
+      new Paragraph({ children: [statusRun(section.status)] }),
+      String(section.missing_items.length)
+    ]), [50, 30, 20])
+  ];
+}
+
+function summaryAndDecisions(kds) {
+  const content = [new Paragraph({ heading: HeadingLevel.HEADING_1, text: 'Summary' })];
+  content.push(...(kds.summary ? paragraphs(kds.summary) : [missingCallout('No design information has been captured for this module yet.')]));
+
+  content.push(new Paragraph({ heading: HeadingLevel.HEADING_1, text: 'Key Design Decisions' }));
+  if (kds.decisions.length > 0) {
+    content.push(table(['#', 'Area', 'Decision'], kds.decisions.map((d, index) => [
+      String(index + 1),
+      `${d.section} - ${d.topic}`,
+      d.decision
+    ]), [6, 34, 60]));
+  } else {
+    content.push(missingCallout('No design decisions have been recorded yet.'));
+  }
+  return content;
+}
+
+function designSection(section, index) {
+  const content = [
+    new Paragraph({ heading: HeadingLevel.HEADING_1, text: `${index + 1}. ${section.title}`, pageBreakBefore: true }),
+    new Paragraph({
+      children: [text('Scope: ', { bold: true, color: COLORS.lightGrey }), text(section.focus, { italics: true, color: COLORS.lightGrey })],
+      spacing: { after: 120 }
+    }),
+    new Paragraph({ children: [text('Status: ', { bold: true }), statusRun(section.status)], spacing: { after: 200 } })
+  ];
+
+  if (section.subsections.length === 0) {
+    content.push(missingCallout('Nothing has been captured for this section. Cover it in a follow-up session.'));
+  }
+
+  section.subsections.forEach((subsection, subIndex) => {
+    content.push(new Paragraph({ heading: HeadingLevel.HEADING_2, text: `${index + 1}.${subIndex + 1} ${subsection.title}` }));
+    if (subsection.status !== 'complete') {
+      content.push(new Paragraph({ children: [statusRun(subsection.status)], spacing: { after: 80 } }));
+    }
+    content.push(...paragraphs(subsection.content));
+
+    if (subsection.decisions.length > 0) {
+      content.push(label('Design decisions'), ...bullets(subsection.decisions));
+    }
+    if (subsection.open_points.length > 0) {
+      content.push(label('Open points'), ...bullets(subsection.open_points));
+    }
+    if (subsection.sources.length > 0) {
+      content.push(label('Sources'), ...bullets(subsection.sources.map(source => [
+        text(source.type === 'finding' ? 'Finding: ' : 'Checklist: ', { size: 18, color: COLORS.lightGrey }),
+        text(source.text, { size: 18, color: COLORS.lightGrey }),
+        ...(source.evidence ? [text(` (${source.evidence})`, { size: 18, color: COLORS.lightGrey, italics: true })] : [])
+      ])));
+    }
+  });
+
+  if (section.missing_items.length > 0) {
+    content.push(
+      label('Information still required'),
+      ...bullets(section.missing_items.map(missingItemLine))
+    );
+  }
+
+  return content;
+}
+
+function openItemsAppendix(kds) {
+  if (kds.unassigned_missing_items.length === 0) return [];
+  return [
+    new Paragraph({ heading: HeadingLevel.HEADING_1, text: 'Appendix: Other Open Checklist Items', pageBreakBefore: true }),
+    ...bullets(kds.unassigned_missing_items.map(missingItemLine))
+  ];
+}
+
+/**
+ * Generate an editable Word document from a stored KDS
+ * @param {Object} record - kds_documents row (content, version, generated_at, generated_by)
+ * @returns {Promise<Buffer>}
+ */
+async function generateKdsDocx(record) {
+  const kds = record.content;
+
+  const doc = new Document({
+    creator: 'NXWorks by NXSYS',
+    title: kds.title,
+    description: `SAP S/4HANA Key Design Specification - ${kds.module}`,
+    styles: {
+      default: { document: { run: { font: 'Calibri', size: 22 } } },
+      paragraphStyles: [
+        {
+          id: 'Heading1',
+          name: 'Heading 1',
+          basedOn: 'Normal',
+          next: 'Normal',
+          quickFormat: true,
+          run: { size: 32, bold: true, color: COLORS.primary },
+          paragraph: { spacing: { before: 240, after: 160 } }
+        },
+        {
+          id: 'Heading2',
+          name: 'Heading 2',
+          basedOn: 'Normal',
+          next: 'Normal',
+          quickFormat: true,
+          run: { size: 26, bold: true, color: COLORS.secondary },
+          paragraph: { spacing: { before: 240, after: 100 } }
+        }
+      ]
+    },
+    sections: [{
+      footers: {
+        default: new Footer({
+          children: [new Paragraph({
+            alignment: AlignmentType.RIGHT,
+            children: [
+              text(`${kds.title} - v${record.version}    Page `, { size: 16, color: COLORS.lightGrey }),
+              new TextRun({ children: [PageNumber.CURRENT], size: 16, color: COLORS.lightGrey })
+            ]
+          })]
+        })
+      },
+      children: [
+        ...coverPage(kds, record),
+        ...statusOverview(kds),
+        ...summaryAndDecisions(kds),
+        ...kds.sections.flatMap(designSection),
+        ...openItemsAppendix(kds)
+      ]
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  generateKdsDocx
+};
@@ -0,0 +1,478 @@
+/**
+ * KDS Generator - Key Design Specification documents per workshop module
+ *
+ * A KDS is assembled from everything captured in the module's checklist sessions:
+ * obtained checklist items (with who supplied them, the document page they came
+ * from and their structured values), additional findings and the decisions kept in each session's memory. The
+ * model arranges them into a fixed outline - enterprise structure, master data,
+ * processes, integration, reporting - with module-specific focus topics, and names the
+ * design decisions and open points of every subsection.
+ *
+ * Sections that still lack information are marked from the data, not only from the
+ * model: a section without content is "missing", and one with checklist items still
+ * missing or open points is "partial".
+ *
+ * The result is stored in kds_documents (one per workshop and module, regenerating
+ * bumps the version) and exported as DOCX by services/kdsDocxGenerator.js.
+ */
+
+const db = require('../models/db');
+const { completeJson, oneOfIds } = require('./aiJson');
+const { formatValue } = require('./structuredValues');
+
+const KDS_SECTIONS = [
+  { key: 'enterprise_structure', title: 'Enterprise Structure' },
+  { key: 'master_data', title: 'Master Data' },
+  { key: 'processes', title: 'Business Processes' },
+  { key: 'integration', title: 'Integration' },
+  { key: 'reporting', title: 'Reporting & Analytics' }
+];
+
+const SECTION_STATUSES = ['complete', 'partial', 'missing'];
+
+// What each KDS section covers for a module (modules not listed use DEFAULT_FOCUS)
+const MODULE_FOCUS = {
+  FICO: {
+    enterprise_structure: 'Company codes, controlling areas, fiscal year variants, chart of accounts, business areas, profit and cost center hierarchies',
+    master_data: 'G/L accounts, cost elements, cost centers, profit centers, business partners (vendor/customer), assets, banks',
+    processes: 'General ledger, AP, AR, asset accounting, bank and cash, period-end and year-end close, product costing, profitability analysis',
+    integration: 'Account determination from MM/SD, banks and payment files, tax engines, consolidation, intercompany',
+    reporting: 'Financial statements, management reporting, statutory and tax reporting, KPIs'
+  },
+  MM: {
+    enterprise_structure: 'Plants, storage locations, purchasing organizations and groups, valuation level',
+    master_data: 'Material master, business partner (vendor), purchasing info records, source lists, conditions',
+    processes: 'Requisition to PO, release strategies, goods receipt, invoice verification, inventory management, physical inventory',
+    integration: 'Account determination to FI, supplier portals and EDI, warehouse and quality integration',
+    reporting: 'Purchasing analytics, spend, stock and vendor performance reporting'
+  },
+  SD: {
+    enterprise_structure: 'Sales organizations, distribution channels, divisions, sales areas, shipping points',
+    master_data: 'Business partner (customer), material sales views, pricing conditions, customer-material info',
+    processes: 'Inquiry to order, pricing, credit management, delivery and shipping, billing, returns',
+    integration: 'Revenue account determination, e-commerce and EDI, logistics providers, tax',
+    reporting: 'Sales analytics, backlog, margin and customer reporting'
+  },
+  PP: {
+    enterprise_structure: 'Plants, MRP areas, production supervisors, work center hierarchy',
+    master_data: 'Bills of material, routings/recipes, work centers, production versions',
+    processes: 'Demand and MRP, production orders, confirmations, shop floor control, capacity planning',
+    integration: 'Costing with CO, quality inspections, MES and machine integration',
+    reporting: 'Production performance, OEE, variance and capacity reporting'
+  },
+  WM: {
+    enterprise_structure: 'Warehouse numbers, storage types, sections and bins, doors and staging areas',
+    master_data: 'Material warehouse views, storage bins, handling units, packaging specifications',
+    processes: 'Putaway, picking, replenishment, transfers, physical inventory',
+    integration: 'Inventory management, RF/mobile devices, automation and carriers',
+    reporting: 'Warehouse KPIs, utilization and productivity reporting'
+  },
+  QM: {
+    enterprise_structure: 'Plants and quality responsibilities, inspection setup per plant',
+    master_data: 'Inspection plans, master inspection characteristics, sampling procedures, quality info records',
+    processes: 'Inspection lots, results recording, usage decisions, quality notifications, certificates',
+    integration: 'Procurement and production inspections, LIMS and lab systems',
+    reporting: 'Quality KPIs, defect and supplier quality reporting'
+  },
+  PM: {
+    enterprise_structure: 'Maintenance plants, planning plants, work centers, functional location structure',
+    master_data: 'Functional locations, equipment, task lists, maintenance plans, BOMs',
+    processes: 'Notifications, work orders, preventive maintenance, spare parts, order settlement',
+    integration: 'Costing with CO, procurement of spares, mobile and IoT',
+    reporting: 'Maintenance KPIs, backlog, MTBF/MTTR and cost reporting'
+  }
+};
+
+const DEFAULT_FOCUS = {
+  enterprise_structure: 'Organizational units of the module and how they are assigned to each other',
+  master_data: 'Master data objects, their ownership and governance',
+  processes: 'End-to-end business processes, variants and approvals',
+  integration: 'Interfaces with other modules and external systems',
+  reporting: 'Operational, management and statutory reporting'
+};
+
+// Longest answer / finding text quoted into the prompt
+const MAX_SOURCE_TEXT_CHARS = 800;
+
+const moduleFocus = (module) => MODULE_FOCUS[(module || '').split(' - ')[0].toUpperCase()] || DEFAULT_FOCUS;
+
+const clip = (text, maxChars = MAX_SOURCE_TEXT_CHARS) =>
+  !text ? '' : text.length > maxChars ? `${text.substring(0, maxChars)}...` : text;
+
+const nonEmpty = (value) => value.trim() ? null : 'must not be empty';
+
+// ============================================
+// Sources
+// ============================================
+
+/**
+ * Everything captured for a module in a workshop
+ * @returns {Promise<{workshop, sessions, obtained, missing, findings, memories}>}
+ */
+async function gatherKdsSources(workshopId, module) {
+  const workshopResult = await db.query('SELECT * FROM workshops WHERE id = $1', [workshopId]);
+  const workshop = workshopResult.rows[0] || null;
+
+  const sessionsResult = await db.query(`
+    SELECT id, session_number, name
+    FROM sessions
+    WHERE workshop_id = $1 AND module = $2
+    ORDER BY session_number
+  `, [workshopId, module]);
+  const sessions = sessionsResult.rows;
+  const sessionIds = sessions.map(s => s.id);
+
+  if (!workshop || sessionIds.length === 0) {
+    return { workshop, sessions, obtained: [], missing: [], findings: [], memories: [] };
+  }
+
+  const itemsResult = await db.query(`
+    SELECT i.id, i.session_id, i.item_text, i.category, i.importance, i.status,
+           i.obtained_text, i.obtained_confidence, i.obtained_speaker, i.obtained_reference,
+           d.original_name as document_name,
+           COALESCE((
+             SELECT json_agg(json_build_object('label', v.label, 'value_type', v.value_type, 'value_number', v.value_number,
+                                               'value_text', v.value_text, 'value_items', v.value_items, 'unit', v.unit,
+                                               'entity_code', e.code) ORDER BY v.id)
+             FROM checklist_item_values v LEFT JOIN entities e ON v.entity_id = e.id
+             WHERE v.checklist_item_id = i.id
+           ), '[]') as structured_values
+    FROM session_checklist_items i
+    LEFT JOIN session_documents d ON i.obtained_document_id = d.id
+    WHERE i.session_id = ANY($1)
+    ORDER BY i.session_id, i.item_number
+  `, [sessionIds]);
+
+  const findingsResult = await db.query(`
+    SELECT f.id, f.session_id, f.finding_type, f.topic, f.details, f.sap_analysis,
+           f.sap_recommendation, f.sap_risk_level, f.source_reference,
+           d.original_name as document_name
+    FROM session_additional_findings f
+    LEFT JOIN session_documents d ON f.document_id = d.id
+    WHERE f.session_id = ANY($1)
+    ORDER BY f.session_id, f.created_at
+  `, [sessionIds]);
+
+  const memoryResult = await db.query(
+    'SELECT session_id, summary, open_threads FROM session_memory WHERE session_id = ANY($1)',
+    [sessionIds]
+  );
+
+  return {
+    workshop,
+    sessions,
+    obtained: itemsResult.rows.filter(item => item.status === 'obtained' && item.obtained_text),
+    missing: itemsResult.rows.filter(item => item.status !== 'obtained'),
+    findings: findingsResult.rows,
+    memories: memoryResult.rows.filter(memory => memory.summary)
+  };
+}
+
+const evidenceLabel = (source) => [
+  source.obtained_speaker || null,
+  source.document_name ? [source.document_name, source.obtained_reference || source.source_reference].filter(Boolean).join(', ') : null
+].filter(Boolean).join('; ');
+
+// ============================================
+// Generation
+// ============================================
+
+const kdsSchema = ({ obtainedIds, findingIds, missingIds }) => ({
+  type: 'object',
+  required: ['sections'],
+  properties: {
+    summary: { type: 'string', default: '', fallback: '' },
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['key'],
+        properties: {
+          key: { type: 'string', enum: KDS_SECTIONS.map(section => section.key) },
+          subsections: {
+            type: 'array',
+            default: [],
+            items: {
+              type: 'object',
+              required: ['title'],
+              properties: {
+                title: { type: 'string', check: nonEmpty },
+                content: { type: 'string', default: '', fallback: '' },
+                status: { type: 'string', enum: SECTION_STATUSES, default: 'partial', fallback: 'partial' },
+                decisions: { type: 'array', default: [], items: { type: 'string', check: nonEmpty } },
+                open_points: { type: 'array', default: [], items: { type: 'string', check: nonEmpty } },
+                item_ids: {
+                  type: 'array',
+                  default: [],
+                  items: { type: 'integer', check: oneOfIds(obtainedIds, 'an obtained checklist item') }
+                },
+                finding_ids: {
+                  type: 'array',
+                  default: [],
+                  items: { type: 'integer', check: oneOfIds(findingIds, 'a finding') }
+                }
+              }
+            }
+          },
+          missing_item_ids: {
+            type: 'array',
+            default: [],
+            items: { type: 'integer', check: oneOfIds(missingIds, 'a missing checklist item') }
+          }
+        }
+      }
+    }
+  }
+});
+
+const buildKdsPrompt = (module, sources) => {
+  const { workshop, sessions, obtained, missing, findings, memories } = sources;
+  const focus = moduleFocus(module);
+  const sessionNames = new Map(sessions.map(s => [s.id, `Session ${s.session_number}: ${s.name}`]));
+
+  const obtainedText = obtained.map((item) => {
+    const evidence = evidenceLabel(item);
+    const values = item.structured_values.map(value =>
+      `${value.label}${value.entity_code ? ` (${value.entity_code})` : ''}: ${formatValue(value)}`
+    ).join('; ');
+    return `[I:${item.id}] (${item.category || 'General'}) ${item.item_text}\n  Answer: ${clip(item.obtained_text)}${values ? `\n  Data: ${values}` : ''}${evidence ? `\n  Source: ${evidence}` : ''}`;
+  }).join('\n');
+
+  const findingsText = findings.map(finding =>
+    `[F:${finding.id}] (${finding.finding_type || 'general'}${finding.sap_risk_level ? `, ${finding.sap_risk_level} risk` : ''}) ${finding.topic}\n  ${clip(finding.details)}${finding.sap_recommendation ? `\n  Recommendation: ${clip(finding.sap_recommendation, 400)}` : ''}`
+  ).join('\n');
+
+  const missingText = missing.map(item =>
+    `[M:${item.id}] (${item.importance || 'important'}, ${item.category || 'General'}) ${item.item_text}`
+  ).join('\n');
+
+  const memoryText = memories.map(memory => {
+    const threads = (memory.open_threads || []).map(thread => `  - open: ${thread.text}`).join('\n');
+    return `${sessionNames.get(memory.session_id) || 'Session'}:\n${memory.summary}${threads ? `\n${threads}` : ''}`;
+  }).join('\n\n');
+
+  return `You are a senior SAP S/4HANA solution architect writing the Key Design Specification (KDS) for the ${module} module.
+
+**Client:** ${workshop.client_name || workshop.name}
+**Industry Context:** ${workshop.industry_context || 'Not specified'}
+**Sessions:** ${sessions.map(s => sessionNames.get(s.id)).join('; ')}
+
+**KDS outline - write these sections, in this order:**
+${KDS_SECTIONS.map(section => `- ${section.key} (${section.title}): ${focus[section.key]}`).join('\n')}
+
+**Obtained checklist answers:**
+${obtainedText || '(none yet)'}
+
+**Additional findings:**
+${findingsText || '(none)'}
+
+**Session summaries (discussions and decisions made):**
+${memoryText || '(none)'}
+
+**Checklist items still missing:**
+${missingText || '(none)'}
+
+For each section, write subsections for the design topics the sources cover. In each subsection:
+- content: the design as agreed or as-is today, in clear specification prose (facts, numbers, names from the sources - never invent values)
+- decisions: design decisions stated or clearly agreed in the sources, one sentence each
+- open_points: questions or choices still open for this topic
+- status: "complete" when the topic is fully specified, "partial" when details are missing, "missing" when there is no information
+- item_ids / finding_ids: the [I:id] answers and [F:id] findings the subsection is based on
+
+Assign each missing checklist item [M:id] to the section it belongs to (missing_item_ids).
+A section with no information at all gets no subsections - do not fill it with generic SAP text.
+
+**Output Format - JSON:**
+\`\`\`json
+{
+  "summary": "3-5 sentences: scope of the module design, main decisions and the biggest gaps",
+  "sections": [
+    {
+      "key": "enterprise_structure",
+      "subsections": [
+        {
+          "title": "Company Codes",
+          "content": "...",
+          "status": "complete",
+          "decisions": ["..."],
+          "open_points": ["..."],
+          "item_ids": [12, 15],
+          "finding_ids": [4]
+        }
+      ],
+      "missing_item_ids": [31]
+    }
+  ]
+}
+\`\`\``;
+};
+
+/**
+ * Outline with the model's subsections, traced sources and the status of every section
+ */
+function assembleKds(module, sources, reply) {
+  const obtainedById = new Map(sources.obtained.map(item => [item.id, item]));
+  const findingsById = new Map(sources.findings.map(finding => [finding.id, finding]));
+  const missingById = new Map(sources.missing.map(item => [item.id, item]));
+  const assignedMissing = new Set();
+
+  const sections = KDS_SECTIONS.map((definition) => {
+    const replies = (reply?.sections || []).filter(section => section.key === definition.key);
+
+    const subsections = replies.flatMap(section => section.subsections).map(subsection => ({
+      title: subsection.title.trim(),
+      content: subsection.content.trim(),
+      status: subsection.status,
+      decisions: subsection.decisions.map(d => d.trim()),
+      open_points: subsection.open_points.map(p => p.trim()),
+      sources: [
+        ...[...new Set(subsection.item_ids)].map(id => obtainedById.get(id)).filter(Boolean).map(item => ({
+          type: 'checklist_item',
+          id: item.id,
+          text: item.item_text,
+          answer: item.obtained_text,
+          evidence: evidenceLabel(item) || null
+        })),
+        ...[...new Set(subsection.finding_ids)].map(id => findingsById.get(id)).filter(Boolean).map(finding => ({
+          type: 'finding',
+          id: finding.id,
+          text: finding.topic,
+          answer: finding.details,
+          evidence: finding.document_name ? [finding.document_name, finding.source_reference].filter(Boolean).join(', ') : null
+        }))
+      ]
+    })).filter(subsection => subsection.content || subsection.decisions.length > 0);
+
+    const missingItems = [...new Set(replies.flatMap(section => section.missing_item_ids))]
+      .map(id => missingById.get(id))
+      .filter(item => item && !assignedMissing.has(item.id))
+      .map((item) => {
+        assignedMissing.add(item.id);
+        return { id: item.id, text: item.item_text, importance: item.importance, category: item.category };
+      });
+
+    // A section is only complete when it has content and nothing left open
+    const status = subsections.length === 0 ? 'missing'
+      : (missingItems.length > 0 || subsections.some(s => s.status !== 'complete' || s.open_points.length > 0)) ? 'partial'
+      : 'complete';
+
+    return { key: definition.key, title: definition.title, focus: moduleFocus(module)[definition.key], status, subsections, missing_items: missingItems };
+  });
+
+  const unassignedMissing = sources.missing
+    .filter(item => !assignedMissing.has(item.id))
+    .map(item => ({ id: item.id, text: item.item_text, importance: item.importance, category: item.category }));
+
+  return {
+    title: `Key Design Specification - ${module}`,
+    module,
+    client: sources.workshop.client_name || sources.workshop.name,
+    summary: reply?.summary?.trim() || '',
+    sessions: sources.sessions.map(s => ({ id: s.id, number: s.session_number, name: s.name })),
+    sections,
+    decisions: sections.flatMap(section => section.subsections.flatMap(subsection =>
+      subsection.decisions.map(decision => ({ section: section.title, topic: subsection.title, decision })))),
+    unassigned_missing_items: unassignedMissing
+  };
+}
+
+/**
+ * Generate (or regenerate) the KDS of a module and store it
+ * @param {Object} options - { generatedBy, onProgress(percent, message) }
+ * @returns {Promise<Object|null>} the stored kds_documents row; null when the workshop has no sessions of the module
+ */
+async function generateKdsDocument(workshopId, module, { generatedBy = null, onProgress } = {}) {
+  if (onProgress) await onProgress(10, 'Collecting checklist answers, findings and decisions...');
+  const sources = await gatherKdsSources(workshopId, module);
+  if (!sources.workshop || sources.sessions.length === 0) {
+    return null;
+  }
+
+  // Nothing captured yet: every section is missing, no need to ask the model
+  let reply = null;
+  let reviewId = null;
+  if (sources.obtained.length > 0 || sources.findings.length > 0 || sources.memories.length > 0) {
+    if (onProgress) await onProgress(25, 'Writing the design specification...');
+    // An unusable reply raises AIResponseError (stored for review under the first session)
+    const result = await completeJson('kds_generation', {
+      maxTokens: 16000,
+      messages: [{ role: 'user', content: buildKdsPrompt(module, sources) }]
+    }, {
+      schema: kdsSchema({
+        obtainedIds: sources.obtained.map(item => item.id),
+        findingIds: sources.findings.map(finding => finding.id),
+        missingIds: sources.missing.map(item => item.id)
+      }),
+      review: { sessionId: sources.sessions[0].id, context: { workshopId, module, source: 'kds_generation' } }
+    });
+    reply = result.data;
+    reviewId = result.reviewId;
+  }
+
+  if (onProgress) await onProgress(90, 'Saving...');
+  const content = assembleKds(module, sources, reply);
+  const sourceCounts = {
+    sessions: sources.sessions.length,
+    obtained: sources.obtained.length,
+    missing: sources.missing.length,
+    findings: sources.findings.length
+  };
+
+  const result = await db.query(`
+    INSERT INTO kds_documents (workshop_id, module, content, source_counts, review_id, generated_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (workshop_id, module) DO UPDATE SET
+      version = kds_documents.version + 1,
+      content = EXCLUDED.content,
+      source_counts = EXCLUDED.source_counts,
+      review_id = EXCLUDED.review_id,
+      generated_by = EXCLUDED.generated_by,
+      generated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [workshopId, module, JSON.stringify(content), JSON.stringify(sourceCounts), reviewId, generatedBy]);
+
+  return result.rows[0];
+}
+
+// ============================================
+// Reading
+// ============================================
+
+async function getKdsDocument(workshopId, module) {
+  const result = await db.query(
+    'SELECT * FROM kds_documents WHERE workshop_id = $1 AND module = $2',
+    [workshopId, module]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Modules of a workshop (from its sessions) with the status of their KDS, if generated
+ */
+async function listWorkshopKds(workshopId) {
+  const result = await db.query(`
+    SELECT m.module, m.session_count,
+           k.id, k.version, k.generated_by, k.generated_at, k.source_counts,
+           k.content->'sections' as sections
+    FROM (
+      SELECT module, COUNT(*)::int as session_count, MIN(session_number) as first_session
+      FROM sessions
+      WHERE workshop_id = $1
+      GROUP BY module
+    ) m
+    LEFT JOIN kds_documents k ON k.workshop_id = $1 AND k.module = m.module
+    ORDER BY m.first_session
+  `, [workshopId]);
+
+  return result.rows.map(({ sections, ...row }) => ({
+    ...row,
+    section_status: sections ? sections.map(section => ({ key: section.key, title: section.title, status: section.status })) : null
+  }));
+}
+
+module.exports = {
+  KDS_SECTIONS,
+  generateKdsDocument,
+  getKdsDocument,
+  listWorkshopKds
+};
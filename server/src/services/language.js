@@ -0,0 +1,95 @@
+/**
+ * Language Service - Per-session workshop language
+ *
+ * Sessions are held in English, Arabic or both (sessions.language):
+ * - en:   English only (default) - transcribed as English
+ * - ar:   Arabic - transcribed as Arabic
+ * - auto: Bilingual - the transcriber detects the language of every chunk and
+ *         keeps mixed Arabic/English speech as spoken
+ *
+ * Checklist evidence and findings are always written in English; quotes spoken in
+ * another language are translated and the original wording is kept next to them.
+ */
+
+const db = require('../models/db');
+
+const SESSION_LANGUAGES = {
+  en: 'English',
+  ar: 'Arabic',
+  auto: 'Arabic + English (auto-detect)'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Whisper follows the script of its prompt, so a bilingual prompt keeps code-switched speech as spoken
+const BILINGUAL_PROMPT = 'The workshop switches between English and Arabic. نتحدث بالعربية والإنجليزية.';
+
+// Arabic, Arabic Supplement and Arabic Presentation Forms
+const ARABIC_LETTER = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/;
+const countMatches = (text, pattern) => (text || '').match(new RegExp(pattern.source, 'g'))?.length || 0;
+
+const normalizeLanguage = (language) => (SESSION_LANGUAGES[language] ? language : DEFAULT_LANGUAGE);
+
+/**
+ * Language setting of a session
+ */
+async function getSessionLanguage(sessionId) {
+  const result = await db.query('SELECT language FROM sessions WHERE id = $1', [sessionId]);
+  return normalizeLanguage(result.rows[0]?.language);
+}
+
+/**
+ * Options for transcribeAudio() in a session of the given language
+ * @param {string} language - session language
+ * @param {string} prompt - preceding transcript, if any
+ */
+const transcriptionOptions = (language, prompt) => {
+  if (normalizeLanguage(language) === 'auto') {
+    // null lets the transcriber detect the language
+    return { language: null, prompt: [BILINGUAL_PROMPT, prompt].filter(Boolean).join(' ') };
+  }
+  return { language: normalizeLanguage(language), prompt };
+};
+
+/**
+ * Language of a piece of text, from its letters: 'ar', 'en', 'mixed' or null when it has none
+ */
+const detectTextLanguage = (text) => {
+  const arabic = countMatches(text, ARABIC_LETTER);
+  const latin = countMatches(text, /[A-Za-z]/);
+  if (arabic + latin === 0) return null;
+
+  const arabicShare = arabic / (arabic + latin);
+  if (arabicShare >= 0.8) return 'ar';
+  if (arabicShare <= 0.2) return 'en';
+  return 'mixed';
+};
+
+const containsArabic = (text) => ARABIC_LETTER.test(text || '');
+
+/**
+ * Prompt section telling the analysis to answer in English and keep the original quotes.
+ * Empty for English sessions whose text has no Arabic in it, so those prompts are unchanged.
+ * @param {string} language - session language
+ * @param {string} text - text being analyzed
+ */
+const languageInstructions = (language, text = '') => {
+  if (normalizeLanguage(language) === 'en' && !containsArabic(text)) return '';
+
+  return `
+**Language:** This workshop is held in ${normalizeLanguage(language) === 'ar' ? 'Arabic' : 'Arabic and English'}; the text may switch between the two.
+- Write every field (obtained_text, topic, details, analysis, recommendations, reasons) in English
+- Quotes ("source_quote", "source_quotes") are translated into English
+- Add "source_quote_original" with the quote exactly as spoken or written when it was not in English (omit it for English quotes)
+`;
+};
+
+module.exports = {
+  SESSION_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  getSessionLanguage,
+  transcriptionOptions,
+  detectTextLanguage,
+  languageInstructions
+};
@@ -0,0 +1,209 @@
+/**
+ * Live Transcription Service - Rolling transcript and checklist analysis while recording
+ *
+ * While recording, the browser sends short self-contained audio segments (~10s)
+ * next to the regular 1-minute chunks. Each segment is transcribed straight away
+ * and broadcast to session viewers. Once enough new speech has accumulated, the
+ * most recent window of transcript is analyzed against the checklist so items
+ * move while the conversation is still going.
+ *
+ * The 1-minute chunks stay the durable record: stored recordings, the transcript
+ * file, additional findings and contradiction resets all come from them. Live
+ * windows only mark items as obtained, so overlapping windows never duplicate findings.
+ *
+ * State is kept in memory, so this assumes a single server instance.
+ */
+
+const { transcribeAudio } = require('./transcription');
+const { getSessionLanguage, transcriptionOptions } = require('./language');
+const { analyzeTranscriptionAgainstChecklist, markItemsAsObtained } = require('./directChecklistGenerator');
+const { publish, publishAnalysis } = require('./sessionEvents');
+const { scheduleSessionIndexing } = require('./searchIndex');
+
+// Analyze after this much new speech
+const ANALYSIS_INTERVAL_SECONDS = parseInt(process.env.LIVE_ANALYSIS_INTERVAL_SECONDS) || 30;
+// Amount of recent transcript each analysis looks at (overlaps the previous window)
+const ANALYSIS_WINDOW_SECONDS = parseInt(process.env.LIVE_ANALYSIS_WINDOW_SECONDS) || 90;
+// Segments kept per stream for late joiners (~10 minutes of 10s segments)
+const MAX_SEGMENTS_KEPT = 60;
+// Characters of preceding transcript passed to the transcriber as context
+const PROMPT_CONTEXT_CHARS = 200;
+// Streams without activity for this long are dropped (tab closed mid-recording)
+const STALE_STREAM_MS = 10 * 60 * 1000;
+
+// `${sessionId}:${streamId}` -> stream state
+const streams = new Map();
+
+const streamKey = (sessionId, streamId) => `${sessionId}:${streamId}`;
+
+const getStream = (sessionId, streamId, recordedBy) => {
+  const key = streamKey(sessionId, streamId);
+  if (!streams.has(key)) {
+    streams.set(key, {
+      sessionId: String(sessionId),
+      streamId,
+      recordedBy,
+      segments: [],
+      pendingSeconds: 0,
+      analyzing: false,
+      analysisQueued: false,
+      lastActivityAt: Date.now()
+    });
+  }
+  return streams.get(key);
+};
+
+/**
+ * Transcript text for the most recent `seconds` of a stream
+ */
+const getWindowText = (stream, seconds) => {
+  const window = [];
+  let covered = 0;
+  for (let i = stream.segments.length - 1; i >= 0 && covered < seconds; i--) {
+    window.unshift(stream.segments[i].text);
+    covered += stream.segments[i].durationSeconds || 10;
+  }
+  return window.filter(Boolean).join(' ');
+};
+
+/**
+ * Analyze the current window. Runs one analysis per stream at a time;
+ * requests that arrive meanwhile are folded into a single follow-up run.
+ */
+const runWindowAnalysis = async (stream) => {
+  if (stream.analyzing) {
+    stream.analysisQueued = true;
+    return;
+  }
+
+  const windowText = getWindowText(stream, ANALYSIS_WINDOW_SECONDS);
+  stream.pendingSeconds = 0;
+  if (!windowText.trim()) return;
+
+  stream.analyzing = true;
+  try {
+    const analysisResult = await analyzeTranscriptionAgainstChecklist(stream.sessionId, windowText, {
+      source: 'live',
+      streamId: stream.streamId
+    });
+
+    if (analysisResult.obtainedItems.length > 0) {
+      await markItemsAsObtained(analysisResult.obtainedItems, 'live', { triggeredBy: stream.recordedBy });
+      await scheduleSessionIndexing(stream.sessionId);
+      console.log(`Live analysis marked ${analysisResult.obtainedItems.length} items obtained for session ${stream.sessionId}`);
+    }
+
+    publishAnalysis(stream.sessionId, stream.recordedBy, 'live', {
+      obtainedItemIds: analysisResult.obtainedItems.map(i => i.item_id)
+    });
+  } catch (error) {
+    console.error('Error analyzing live transcript window:', error);
+  } finally {
+    stream.analyzing = false;
+  }
+
+  if (stream.analysisQueued) {
+    stream.analysisQueued = false;
+    await runWindowAnalysis(stream);
+  }
+};
+
+/**
+ * Transcribe one live segment and schedule window analysis when due
+ * @param {number|string} sessionId
+ * @param {string} streamId - client-generated id of the recording
+ * @param {Object} segment - { buffer, mimeType, segmentIndex, durationSeconds }
+ * @param {string} recordedBy - display name of the person recording
+ * @returns {Promise<Object>} the transcribed segment
+ */
+const addSegment = async (sessionId, streamId, segment, recordedBy) => {
+  const stream = getStream(sessionId, streamId, recordedBy);
+  stream.lastActivityAt = Date.now();
+  if (!stream.language) {
+    stream.language = await getSessionLanguage(sessionId);
+  }
+
+  const previousText = stream.segments.map(s => s.text).join(' ');
+  const text = await transcribeAudio(
+    { buffer: segment.buffer, fileName: `live-${segment.segmentIndex}.webm`, mimeType: segment.mimeType },
+    {
+      ...transcriptionOptions(stream.language, previousText.slice(-PROMPT_CONTEXT_CHARS)),
+      segmentIndex: segment.segmentIndex
+    }
+  );
+
+  const saved = {
+    segmentIndex: segment.segmentIndex,
+    durationSeconds: segment.durationSeconds,
+    text,
+    at: new Date().toISOString()
+  };
+
+  // Segments can finish out of order when uploads overlap
+  stream.segments.push(saved);
+  stream.segments.sort((a, b) => a.segmentIndex - b.segmentIndex);
+  if (stream.segments.length > MAX_SEGMENTS_KEPT) {
+    stream.segments.splice(0, stream.segments.length - MAX_SEGMENTS_KEPT);
+  }
+
+  publish(sessionId, 'transcript_segment', { streamId, recordedBy, ...saved });
+
+  if (text) {
+    stream.pendingSeconds += segment.durationSeconds || 0;
+    if (stream.pendingSeconds >= ANALYSIS_INTERVAL_SECONDS) {
+      // Not awaited - the segment response should not wait for the LLM
+      runWindowAnalysis(stream);
+    }
+  }
+
+  return saved;
+};
+
+/**
+ * Finish a live stream: analyze any remaining speech, then drop its state
+ */
+const endStream = async (sessionId, streamId) => {
+  const key = streamKey(sessionId, streamId);
+  const stream = streams.get(key);
+  if (!stream) return;
+
+  if (stream.pendingSeconds > 0) {
+    await runWindowAnalysis(stream);
+  }
+  streams.delete(key);
+  publish(sessionId, 'transcript_ended', { streamId });
+};
+
+/**
+ * Live transcript of every active stream in a session (for viewers joining mid-recording)
+ */
+const getLiveTranscript = (sessionId) => {
+  const result = [];
+  for (const stream of streams.values()) {
+    if (stream.sessionId === String(sessionId)) {
+      result.push({
+        streamId: stream.streamId,
+        recordedBy: stream.recordedBy,
+        segments: stream.segments,
+        analyzing: stream.analyzing
+      });
+    }
+  }
+  return result;
+};
+
+// Drop streams whose recorder disappeared without ending them
+setInterval(() => {
+  const cutoff = Date.now() - STALE_STREAM_MS;
+  for (const [key, stream] of streams.entries()) {
+    if (stream.lastActivityAt < cutoff && !stream.analyzing) {
+      streams.delete(key);
+    }
+  }
+}, 60 * 1000).unref();
+
+module.exports = {
+  addSegment,
+  endStream,
+  getLiveTranscript
+};
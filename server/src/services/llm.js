@@ -0,0 +1,385 @@
+/**
+ * LLM Service - Pluggable text generation for every AI task
+ *
+ * Providers:
+ * - anthropic: Claude via the Anthropic API (default)
+ * - openai:    OpenAI chat completions
+ * - azure:     Azure OpenAI (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY,
+ *              AZURE_OPENAI_API_VERSION). The model is the deployment name
+ * - local:     Any OpenAI-compatible server, e.g. Ollama or llama.cpp (LOCAL_LLM_URL,
+ *              default http://localhost:11434/v1). Nothing leaves the network
+ * - fake:      Deterministic canned responses without calling any API, for tests
+ *
+ * Selection:
+ *   LLM_PROVIDER            provider for every task (default anthropic)
+ *   LLM_MODEL               model for every task (provider default otherwise)
+ *   LLM_TASK_<TASK>         per-task override as "provider:model", "provider:" or "model",
+ *                           e.g. LLM_TASK_TRANSCRIPT_ANALYSIS=local:qwen2.5:14b
+ *
+ * Requests use the Anthropic messages shape ({ role, content } with text and base64
+ * image blocks); other providers translate it. Custom providers and fake responses
+ * can be injected with setLLMProvider() / setFakeResponse().
+ *
+ * Embeddings (embed()) use the same task selection. Anthropic has no embeddings API,
+ * so while LLM_PROVIDER is anthropic (or unset) search_embedding and transcript_cleanup
+ * keep their OpenAI defaults; any other LLM_PROVIDER is used for them too, so a local
+ * or fake setup sends nothing to OpenAI. The fake provider returns deterministic
+ * word-hash vectors.
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const OpenAI = require('openai');
+const { AzureOpenAI } = require('openai');
+
+// Every AI call names one of these tasks so its provider and model can be chosen separately
+const TASKS = {
+  checklist_generation: 'Generate session checklists from questions',
+  transcript_analysis: 'Analyze recording transcripts against the checklist',
+  document_analysis: 'Analyze uploaded documents against the checklist',
+  document_image: 'Describe images uploaded as session documents',
+  prework_analysis: 'Analyze pre-work questionnaire answers against the checklist',
+  reanalysis: 'Re-analyze all transcripts of a session',
+  session_memory: 'Update the rolling session memory after each recording',
+  speaker_attribution: 'Split transcripts into speaker turns',
+  question_generation: 'Generate workshop questions',
+  question_regeneration: 'Regenerate a single question',
+  question_checklist: 'Generate answer checklists for questions',
+  observation_image: 'Describe photos taken during observation',
+  observation_analysis: 'Generate observations from answers',
+  observation_checklist: 'Generate initial checklists for observation answers',
+  report: 'Generate session reports',
+  kds_generation: 'Generate Key Design Specification (KDS) documents per module',
+  bpml_generation: 'Build the Business Process Master List (BPML) of a session',
+  ricefw_extraction: 'Propose RICEFW objects from workshop findings',
+  fitgap_analysis: 'Classify session requirements as fit, partial fit or gap against SAP scope items',
+  entity_harmonization: 'Split checklist answers per entity and flag where entities diverge',
+  enterprise_structure: 'Propose the SAP enterprise structure from organizational answers and findings',
+  research: 'Company research',
+  transcript_cleanup: 'Clean up voice-note transcriptions',
+  search_embedding: 'Embeddings for semantic search'
+};
+
+// Provider and model of these tasks while LLM_PROVIDER is anthropic or unset
+// (Anthropic has no embeddings API). Another LLM_PROVIDER replaces them.
+// LLM_MODEL names a chat model, so it never applies to embedding tasks.
+const TASK_DEFAULTS = {
+  transcript_cleanup: { provider: 'openai', model: 'gpt-4o-mini' },
+  search_embedding: { provider: 'openai', model: 'text-embedding-3-small', embedding: true }
+};
+
+// ============================================
+// Providers
+// ============================================
+
+const createAnthropicProvider = () => {
+  // Lazy initialization to avoid crash if API key not set
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    }
+    return client;
+  };
+
+  return {
+    name: 'anthropic',
+    defaultModel: 'claude-sonnet-4-20250514',
+    isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+    async complete({ model, system, messages, maxTokens, temperature }) {
+      const response = await getClient().messages.create({
+        model,
+        max_tokens: maxTokens,
+        messages,
+        ...(system ? { system } : {}),
+        ...(temperature !== undefined ? { temperature } : {})
+      });
+      return response.content.filter(block => block.type === 'text').map(block => block.text).join('');
+    }
+  };
+};
+
+// Anthropic content blocks -> OpenAI chat content
+const toOpenAIContent = (content) => {
+  if (typeof content === 'string') return content;
+  return content.map(block => {
+    if (block.type === 'image' && block.source?.type === 'base64') {
+      return {
+        type: 'image_url',
+        image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` }
+      };
+    }
+    return { type: 'text', text: block.text || '' };
+  });
+};
+
+/**
+ * Shared implementation for everything that speaks the OpenAI chat completions API
+ */
+const createOpenAICompatibleProvider = ({ name, defaultModel, isConfigured, createClient }) => {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = createClient();
+    }
+    return client;
+  };
+
+  return {
+    name,
+    defaultModel,
+    isConfigured,
+    async complete({ model, system, messages, maxTokens, temperature }) {
+      const response = await getClient().chat.completions.create({
+        model,
+        max_tokens: maxTokens,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages.map(m => ({ role: m.role, content: toOpenAIContent(m.content) }))
+        ],
+        ...(temperature !== undefined ? { temperature } : {})
+      });
+      return response.choices[0]?.message?.content || '';
+    },
+    async embed({ model, input }) {
+      const response = await getClient().embeddings.create({ model, input });
+      return response.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+    }
+  };
+};
+
+const createOpenAIProvider = () => createOpenAICompatibleProvider({
+  name: 'openai',
+  defaultModel: 'gpt-4o',
+  isConfigured: () => !!process.env.OPENAI_API_KEY,
+  createClient: () => new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+});
+
+const createAzureProvider = () => createOpenAICompatibleProvider({
+  name: 'azure',
+  defaultModel: process.env.AZURE_OPENAI_DEPLOYMENT,
+  isConfigured: () => !!(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY),
+  createClient: () => new AzureOpenAI({
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+  })
+});
+
+const createLocalProvider = () => createOpenAICompatibleProvider({
+  name: 'local',
+  defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+  isConfigured: () => true,
+  createClient: () => new OpenAI({
+    baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+    // Ollama and llama.cpp ignore the key, but the SDK requires one
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local'
+  })
+});
+
+// task -> string or (request) => string
+const fakeResponses = new Map();
+const FAKE_EMBEDDING_DIMENSIONS = 64;
+
+const createFakeProvider = () => ({
+  name: 'fake',
+  defaultModel: 'fake',
+  isConfigured: () => true,
+  async complete(request) {
+    const response = fakeResponses.get(request.task);
+    if (typeof response === 'function') return response(request);
+    if (typeof response === 'string') return response;
+    return process.env.LLM_FAKE_RESPONSE || '{}';
+  },
+  // Bag of hashed words - texts sharing words get similar vectors
+  async embed({ input }) {
+    return input.map(text => {
+      const vector = new Array(FAKE_EMBEDDING_DIMENSIONS).fill(0);
+      for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+        let hash = 0;
+        for (const char of word) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+        vector[hash % FAKE_EMBEDDING_DIMENSIONS] += 1;
+      }
+      return vector;
+    });
+  }
+});
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  azure: createAzureProvider,
+  local: createLocalProvider,
+  fake: createFakeProvider
+};
+
+// name -> provider instance (created on first use)
+const providers = new Map();
+
+const getProvider = (name) => {
+  if (!providers.has(name)) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+};
+
+/**
+ * Replace a provider, e.g. with a local stand-in in tests.
+ * A provider is { name, defaultModel, isConfigured(), complete(request) => Promise<string> }
+ * and optionally embed({ model, input }) => Promise<number[][]>.
+ * Pass null to go back to the built-in implementation.
+ */
+const setLLMProvider = (name, provider) => {
+  if (provider) {
+    providers.set(name, provider);
+  } else {
+    providers.delete(name);
+  }
+};
+
+/**
+ * Set the fake provider's response for a task (string or function of the request).
+ * Pass null to clear it.
+ */
+const setFakeResponse = (task, response) => {
+  if (response === null || response === undefined) {
+    fakeResponses.delete(task);
+  } else {
+    fakeResponses.set(task, response);
+  }
+};
+
+// ============================================
+// Task configuration
+// ============================================
+
+/**
+ * Resolve the provider and model for a task
+ * @param {string} task - one of TASKS
+ * @returns {{ provider: string, model: string }}
+ */
+const getTaskConfig = (task) => {
+  let provider = null;
+  let model = null;
+
+  const override = process.env[`LLM_TASK_${task.toUpperCase()}`];
+  if (override) {
+    const separator = override.indexOf(':');
+    const prefix = separator >= 0 ? override.slice(0, separator).toLowerCase() : override.toLowerCase();
+    if (PROVIDERS[prefix]) {
+      provider = prefix;
+      model = separator >= 0 ? override.slice(separator + 1) || null : null;
+    } else {
+      model = override;
+    }
+  }
+
+  const globalProvider = process.env.LLM_PROVIDER ? process.env.LLM_PROVIDER.toLowerCase() : null;
+  const taskDefault = TASK_DEFAULTS[task];
+
+  if (!provider) {
+    const usesTaskDefault = taskDefault && (!globalProvider || globalProvider === 'anthropic');
+    provider = usesTaskDefault ? taskDefault.provider : globalProvider || 'anthropic';
+  }
+  if (!model) {
+    if (taskDefault && provider === taskDefault.provider) {
+      model = taskDefault.model;
+    } else if (process.env.LLM_MODEL && provider === (globalProvider || 'anthropic') && !(taskDefault && taskDefault.embedding)) {
+      model = process.env.LLM_MODEL;
+    } else {
+      model = getProvider(provider).defaultModel;
+    }
+  }
+
+  return { provider, model };
+};
+
+/**
+ * Whether the provider for a task has the credentials it needs
+ */
+const isTaskConfigured = (task) => {
+  const { provider, model } = getTaskConfig(task);
+  return !!model && getProvider(provider).isConfigured();
+};
+
+/**
+ * Whether embeddings can be created for a task (configured and supported by the provider)
+ */
+const isEmbeddingConfigured = (task) =>
+  isTaskConfigured(task) && typeof getProvider(getTaskConfig(task).provider).embed === 'function';
+
+/**
+ * Provider and model for every task, for diagnostics
+ */
+const describeConfiguration = () =>
+  Object.entries(TASKS).map(([task, description]) => ({ task, description, ...getTaskConfig(task) }));
+
+// ============================================
+// Completion
+// ============================================
+
+/**
+ * Run a completion for a task
+ * @param {string} task - one of TASKS
+ * @param {Object} request - { prompt } or { messages }, plus { system, maxTokens = 4000, temperature }
+ *   messages use the Anthropic shape; content may include base64 image blocks
+ * @returns {Promise<{ text: string, provider: string, model: string }>}
+ */
+const complete = async (task, request) => {
+  if (!TASKS[task]) {
+    throw new Error(`Unknown LLM task "${task}"`);
+  }
+
+  const { prompt, system, maxTokens = 4000, temperature } = request;
+  const messages = request.messages || [{ role: 'user', content: prompt }];
+  if (!messages.length || !messages.every(m => m.content)) {
+    throw new Error(`LLM task "${task}" needs a prompt or messages`);
+  }
+
+  const { provider: providerName, model } = getTaskConfig(task);
+  if (!model) {
+    throw new Error(`No model configured for LLM task "${task}" (provider ${providerName})`);
+  }
+
+  const text = await getProvider(providerName).complete({ task, model, system, messages, maxTokens, temperature });
+  return { text: text || '', provider: providerName, model };
+};
+
+/**
+ * Create embeddings for a task
+ * @param {string} task - one of TASKS
+ * @param {string[]} texts
+ * @returns {Promise<{ embeddings: number[][], provider: string, model: string }>}
+ */
+const embed = async (task, texts) => {
+  if (!TASKS[task]) {
+    throw new Error(`Unknown LLM task "${task}"`);
+  }
+
+  const { provider: providerName, model } = getTaskConfig(task);
+  const provider = getProvider(providerName);
+  if (typeof provider.embed !== 'function') {
+    throw new Error(`LLM provider "${providerName}" does not support embeddings (task "${task}")`);
+  }
+  if (!model) {
+    throw new Error(`No model configured for LLM task "${task}" (provider ${providerName})`);
+  }
+
+  const embeddings = texts.length > 0 ? await provider.embed({ task, model, input: texts }) : [];
+  return { embeddings, provider: providerName, model };
+};
+
+module.exports = {
+  TASKS,
+  complete,
+  embed,
+  getTaskConfig,
+  isTaskConfigured,
+  isEmbeddingConfigured,
+  describeConfiguration,
+  setLLMProvider,
+  setFakeResponse
+};
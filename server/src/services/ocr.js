@@ -0,0 +1,90 @@
+/**
+ * OCR Service - Reads text from scanned PDF pages and photos on the server
+ *
+ * Scanned org charts, approval matrices and whiteboard photos have no text layer, so
+ * pdf-parse returns nothing for them. They are recognized locally with Tesseract
+ * (tesseract.js - nothing leaves the server). Every result carries Tesseract's mean
+ * confidence (0-100) so poor scans can be flagged instead of silently yielding nothing.
+ *
+ * Settings:
+ * - OCR_ENABLED=false    turns OCR off
+ * - OCR_LANGUAGES        Tesseract languages, e.g. eng+ara (default eng)
+ * - OCR_LANG_PATH        directory with <language>.traineddata.gz files; defaults to the
+ *                        bundled English data (@tesseract.js-data/eng)
+ * - OCR_MIN_CONFIDENCE   results below this are flagged as low quality (default 60)
+ */
+
+const { createWorker } = require('tesseract.js');
+
+// The worker holds the language model in memory; it is released when OCR is idle
+const IDLE_TIMEOUT_MS = 60 * 1000;
+
+const isOcrEnabled = () => process.env.OCR_ENABLED !== 'false';
+
+const minConfidence = () => parseFloat(process.env.OCR_MIN_CONFIDENCE) || 60;
+
+const langPath = () => process.env.OCR_LANG_PATH || require('@tesseract.js-data/eng').langPath;
+
+let workerPromise = null;
+let idleTimer = null;
+let queue = Promise.resolve();
+
+const getWorker = () => {
+  if (!workerPromise) {
+    workerPromise = createWorker(process.env.OCR_LANGUAGES || 'eng', undefined, {
+      langPath: langPath(),
+      gzip: true,
+      cacheMethod: 'none'
+    }).catch((error) => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+};
+
+const releaseWhenIdle = () => {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(async () => {
+    const pending = workerPromise;
+    workerPromise = null;
+    try {
+      if (pending) await (await pending).terminate();
+    } catch (error) {
+      console.error('Error stopping OCR worker:', error.message);
+    }
+  }, IDLE_TIMEOUT_MS);
+  idleTimer.unref?.();
+};
+
+/**
+ * Recognize the text in an image (PNG, JPEG, GIF, WebP, BMP)
+ * Calls are run one at a time on a shared worker.
+ * @param {Buffer} buffer - image content
+ * @returns {Promise<{text: string, confidence: number}>}
+ */
+function recognizeImage(buffer) {
+  const run = queue.then(async () => {
+    clearTimeout(idleTimer);
+    const worker = await getWorker();
+    try {
+      const { data } = await worker.recognize(buffer);
+      return { text: (data.text || '').trim(), confidence: Math.round(data.confidence || 0) };
+    } finally {
+      releaseWhenIdle();
+    }
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Whether an OCR confidence is too low to trust the recognized text
+ */
+const isLowConfidence = (confidence) => confidence != null && confidence < minConfidence();
+
+module.exports = {
+  isOcrEnabled,
+  recognizeImage,
+  isLowConfidence
+};
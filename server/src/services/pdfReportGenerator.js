@@ -1,5 +1,7 @@
 const PDFDocument = require('pdfkit');
 const db = require('../models/db');
+const { getSessionBpml } = require('./bpmlGenerator');
+const { CLASSIFICATIONS, getSessionFitGap } = require('./fitGapAnalysis');
 
 // NXSYS Brand Colors
 const COLORS = {
@@ -28,13 +30,18 @@ async function generateSessionReportPDF(sessionId, reportId = null) {
   const reportData = reportId ? await fetchReportData(reportId) : null;
 
   // Get KDS and BPML from report data (AI-generated) if available,
-  // otherwise extract from observations as fallback
+  // otherwise extract from observations as fallback. The session's own BPML
+  // (L1-L4 process hierarchy) takes precedence when one has been built.
   const kdsList = reportData?.kds_items?.length > 0
     ? reportData.kds_items
     : extractKDSList(sessionData);
-  const bpmlList = reportData?.bpml_items?.length > 0
-    ? reportData.bpml_items
-    : extractBPMLList(sessionData);
+  const sessionBpml = await fetchSessionBpmlProcesses(sessionId);
+  const bpmlList = sessionBpml.length > 0
+    ? sessionBpml
+    : reportData?.bpml_items?.length > 0
+      ? reportData.bpml_items
+      : extractBPMLList(sessionData);
+  const fitGap = await getSessionFitGap(sessionId);
 
   // Create PDF document
   const doc = new PDFDocument({
@@ -54,7 +61,7 @@ async function generateSessionReportPDF(sessionId, reportId = null) {
 
   doc.addPage();
   currentPage++;
-  addTableOfContents(doc, sessionData, reportData, kdsList, bpmlList);
+  addTableOfContents(doc, sessionData, reportData, kdsList, bpmlList, fitGap);
 
   doc.addPage();
   currentPage++;
@@ -78,6 +85,13 @@ async function generateSessionReportPDF(sessionId, reportId = null) {
     addBPMLList(doc, bpmlList, sessionData);
   }
 
+  // Fit-Gap Analysis
+  if (fitGap?.results.length > 0) {
+    doc.addPage();
+    currentPage++;
+    addFitGapAnalysis(doc, fitGap);
+  }
+
   // Questions & Findings
   doc.addPage();
   currentPage++;
@@ -192,6 +206,27 @@ function extractBPMLList(sessionData) {
   return bpmlList;
 }
 
+/**
+ * L3 processes of the session's BPML, in the report's BPML item format
+ * (grouped by value chain and scenario, steps listed in the description)
+ */
+async function fetchSessionBpmlProcesses(sessionId) {
+  const nodes = (await getSessionBpml(sessionId)) || [];
+  return nodes
+    .filter(node => node.level === 3)
+    .map(node => {
+      const steps = nodes.filter(step => step.parent_id === node.id).map(step => step.name);
+      return {
+        process_id: node.code,
+        process_name: node.name,
+        category: node.path.join(' > '),
+        description: [node.description, steps.length > 0 ? `Steps: ${steps.join('; ')}` : null].filter(Boolean).join(' '),
+        sap_module: node.sap_module,
+        stakeholders: node.process_owner ? [node.process_owner] : []
+      };
+    });
+}
+
 /**
  * Fetch all session data including questions, answers, observations
  */
@@ -370,7 +405,7 @@ function addCoverPage(doc, sessionData, reportData) {
 /**
  * Add table of contents
  */
-function addTableOfContents(doc, sessionData, reportData, kdsList, bpmlList) {
+function addTableOfContents(doc, sessionData, reportData, kdsList, bpmlList, fitGap) {
   addPageHeader(doc, 'Table of Contents');
 
   let y = 140;
@@ -388,6 +423,10 @@ function addTableOfContents(doc, sessionData, reportData, kdsList, bpmlList) {
     items.push({ title: `Business Process Master List (${bpmlList.length} items)`, page: pageNum++ });
   }
 
+  if (fitGap?.results.length > 0) {
+    items.push({ title: `Fit-Gap Analysis (${fitGap.results.length} requirements)`, page: pageNum++ });
+  }
+
   items.push({ title: 'Questions & Findings', page: pageNum++ });
 
   if (reportData) {
@@ -767,6 +806,96 @@ function addBPMLList(doc, bpmlList, sessionData) {
   addPageNumber(doc, currentPage);
 }
 
+/**
+ * Add Fit-Gap Analysis: matrix per SAP module and entity, then the partial fits and gaps
+ */
+function addFitGapAnalysis(doc, fitGap) {
+  addPageHeader(doc, 'Fit-Gap Analysis');
+
+  const classificationColors = { fit: COLORS.success, partial_fit: COLORS.warning, gap: COLORS.danger };
+  const { results, matrix } = fitGap;
+  const catalogues = [...new Set(results.map(result => result.catalogue_version).filter(Boolean))];
+  const newPageIfNeeded = (y, space) => {
+    if (y <= doc.page.height - space) return y;
+    addPageNumber(doc, currentPage);
+    doc.addPage();
+    currentPage++;
+    addPageHeader(doc, 'Fit-Gap Analysis (continued)');
+    return 140;
+  };
+
+  let y = 140;
+  doc.fontSize(11).fillColor(COLORS.secondary)
+     .text(`${results.length} requirements from this session were classified against the SAP S/4HANA scope items${catalogues.length > 0 ? ` (catalogue ${catalogues.join(', ')})` : ''}.`, 50, y, {
+       width: doc.page.width - 100,
+       align: 'justify'
+     });
+  y = doc.y + 15;
+
+  const totals = Object.fromEntries(CLASSIFICATIONS.map(c => [c.key, results.filter(result => result.classification === c.key).length]));
+  CLASSIFICATIONS.forEach((c, idx) => {
+    addMetricBox(doc, 50 + idx * 150, y, c.label, totals[c.key].toString(), classificationColors[c.key]);
+  });
+  y += 80;
+
+  // Matrix: module rows, one column per entity with fit / partial / gap counts
+  const tableWidth = doc.page.width - 100;
+  const moduleWidth = 80;
+  const columnWidth = (tableWidth - moduleWidth) / matrix.columns.length;
+
+  doc.rect(50, y, tableWidth, 22).fill(COLORS.primary);
+  doc.fontSize(9).fillColor(COLORS.white).text('SAP Module', 55, y + 7);
+  matrix.columns.forEach((column, idx) => {
+    doc.text(truncateText(column.code, 14), 50 + moduleWidth + idx * columnWidth, y + 7, { width: columnWidth, align: 'center' });
+  });
+  y += 24;
+
+  matrix.rows.forEach((row, rowIdx) => {
+    y = newPageIfNeeded(y, 100);
+    doc.rect(50, y, tableWidth, 20).fill(rowIdx % 2 === 0 ? COLORS.white : COLORS.background);
+    doc.fontSize(9).fillColor(COLORS.secondary).text(row.sap_module, 55, y + 6);
+    matrix.columns.forEach((column, idx) => {
+      const cell = row.cells[column.id];
+      const x = 50 + moduleWidth + idx * columnWidth;
+      const partWidth = columnWidth / CLASSIFICATIONS.length;
+      CLASSIFICATIONS.forEach((c, part) => {
+        doc.fontSize(8).fillColor(cell[c.key] > 0 ? classificationColors[c.key] : COLORS.lightGrey)
+           .text(String(cell[c.key]), x + part * partWidth, y + 6, { width: partWidth, align: 'center' });
+      });
+    });
+    y += 22;
+  });
+
+  doc.fontSize(7).fillColor(COLORS.lightGrey)
+     .text('Each entity column shows Fit / Partial Fit / Gap counts. Requirements without entities count for every entity.', 50, y + 4, { width: tableWidth });
+  y = doc.y + 15;
+
+  // Requirements needing attention
+  const openPoints = results.filter(result => result.classification !== 'fit');
+  openPoints.forEach((result, idx) => {
+    y = newPageIfNeeded(y, 120);
+    const rowHeight = 48;
+    doc.rect(50, y, tableWidth, rowHeight).fill(idx % 2 === 0 ? COLORS.background : COLORS.white);
+
+    doc.fontSize(8).fillColor(classificationColors[result.classification])
+       .text(CLASSIFICATIONS.find(c => c.key === result.classification).label, 55, y + 4);
+    doc.fontSize(9).fillColor(COLORS.secondary)
+       .text(truncateText(result.requirement, 80), 120, y + 4, { width: 330 });
+    if (result.scope_item_code) {
+      doc.fontSize(7).fillColor(COLORS.info)
+         .text(`${result.scope_item_code} ${truncateText(result.scope_item_name, 30)}`, doc.page.width - 180, y + 4, { width: 125, align: 'right' });
+    }
+    if (result.rationale) {
+      doc.fontSize(8).fillColor(COLORS.lightGrey)
+         .text(truncateText(result.rationale, 180), 55, y + 20, { width: tableWidth - 10 });
+    }
+
+    y += rowHeight + 4;
+  });
+
+  addPageNumber(doc, currentPage);
+}
+
 /**
  * Add questions and findings section
  */
@@ -0,0 +1,246 @@
+/**
+ * Pre-work Questionnaire - Checklist answers collected from the client before the session
+ *
+ * Days before the workshop the session's checklist is opened as a questionnaire on the
+ * share portal. Process owners type an answer per item and can upload a document per
+ * item. Nothing touches the checklist until they submit: submitted answers are then
+ * analyzed like a recording (directChecklistGenerator.analyzePreworkAnswers) and obtain
+ * items with source 'prework' and a confidence. Answers that are too vague stay missing
+ * with the reason, so the live session can focus on what is still open.
+ *
+ * Answer status:
+ * - draft:            saved, not submitted yet (edited answers go back to draft)
+ * - submitted:        waiting for the analysis
+ * - obtained:         the answer obtained its checklist item
+ * - insufficient:     not concrete enough - outcome_note says what is missing
+ * - already_obtained: the item was obtained from another source first
+ *
+ * Documents uploaded for an item are ordinary session documents (prework_item_id set)
+ * and go through the document analysis job straight away.
+ */
+
+const db = require('../models/db');
+const { analyzePreworkAnswers, markItemsAsObtained } = require('./directChecklistGenerator');
+
+const ANSWER_STATUSES = ['draft', 'submitted', 'obtained', 'insufficient', 'already_obtained'];
+
+// Answers analyzed in one prompt
+const ANSWERS_PER_BATCH = 40;
+
+/**
+ * Questionnaire settings of a session (null when the session does not exist)
+ */
+async function getPreworkSettings(sessionId) {
+  const result = await db.query(
+    'SELECT prework_open, prework_due_date, prework_instructions, share_enabled FROM sessions WHERE id = $1',
+    [sessionId]
+  );
+  const session = result.rows[0];
+  if (!session) return null;
+  return {
+    open: !!session.prework_open,
+    dueDate: session.prework_due_date,
+    instructions: session.prework_instructions,
+    shareEnabled: !!session.share_enabled
+  };
+}
+
+/**
+ * Open or close the questionnaire of a session
+ * @param {Object} settings - { open, dueDate, instructions }
+ */
+async function updatePreworkSettings(sessionId, { open, dueDate, instructions }) {
+  await db.query(`
+    UPDATE sessions SET
+      prework_open = $1,
+      prework_due_date = $2,
+      prework_instructions = $3
+    WHERE id = $4
+  `, [!!open, dueDate || null, instructions ? String(instructions).trim() : null, sessionId]);
+  return getPreworkSettings(sessionId);
+}
+
+/**
+ * Every checklist item of a session with its pre-work answer and documents
+ */
+async function getPreworkItems(sessionId) {
+  const result = await db.query(`
+    SELECT i.id, i.item_number, i.item_text, i.category, i.importance, i.suggested_question,
+           i.status, i.obtained_text, i.obtained_source,
+           a.answer_text, a.status as answer_status, a.outcome_note, a.answered_by, a.answered_at, a.submitted_at,
+           COALESCE((
+             SELECT json_agg(json_build_object('id', d.id, 'original_name', d.original_name, 'analysis_status', d.analysis_status)
+                             ORDER BY d.id)
+             FROM session_documents d WHERE d.prework_item_id = i.id
+           ), '[]') as documents
+    FROM session_checklist_items i
+    LEFT JOIN prework_answers a ON a.checklist_item_id = i.id
+    WHERE i.session_id = $1
+    ORDER BY i.item_number
+  `, [sessionId]);
+  return result.rows;
+}
+
+/**
+ * Answer and document counts of a questionnaire
+ */
+const summarizePrework = (items) => {
+  const summary = {
+    items: items.length,
+    missing: items.filter(item => item.status === 'missing').length,
+    answered: items.filter(item => item.answer_text).length,
+    documents: items.reduce((sum, item) => sum + item.documents.length, 0)
+  };
+  for (const status of ANSWER_STATUSES) {
+    summary[status] = items.filter(item => item.answer_status === status).length;
+  }
+  return summary;
+};
+
+/**
+ * Save a draft answer (empty text removes it)
+ * @returns {Promise<Object|null>} the answer, null when removed
+ */
+async function savePreworkAnswer(sessionId, itemId, text, answeredBy) {
+  const answerText = (text || '').trim();
+  if (!answerText) {
+    await db.query('DELETE FROM prework_answers WHERE checklist_item_id = $1 AND session_id = $2', [itemId, sessionId]);
+    return null;
+  }
+
+  const result = await db.query(`
+    INSERT INTO prework_answers (session_id, checklist_item_id, answer_text, answered_by)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (checklist_item_id) DO UPDATE SET
+      answer_text = EXCLUDED.answer_text,
+      answered_by = EXCLUDED.answered_by,
+      answered_at = CURRENT_TIMESTAMP,
+      status = 'draft',
+      outcome_note = NULL,
+      submitted_at = NULL,
+      processed_at = NULL,
+      review_id = NULL
+    RETURNING *
+  `, [sessionId, itemId, answerText, answeredBy]);
+  return result.rows[0];
+}
+
+/**
+ * Submit every draft answer of a session for analysis
+ * @returns {Promise<number>} answers submitted
+ */
+async function submitPreworkAnswers(sessionId) {
+  const result = await db.query(`
+    UPDATE prework_answers SET status = 'submitted', submitted_at = CURRENT_TIMESTAMP
+    WHERE session_id = $1 AND status = 'draft'
+  `, [sessionId]);
+  return result.rowCount;
+}
+
+/**
+ * Whether submitted answers are still waiting for analysis
+ */
+async function hasSubmittedAnswers(sessionId) {
+  const result = await db.query(
+    "SELECT 1 FROM prework_answers WHERE session_id = $1 AND status = 'submitted' LIMIT 1",
+    [sessionId]
+  );
+  return result.rows.length > 0;
+}
+
+const setAnswerOutcome = (answerIds, status, { note = null, reviewId = null } = {}) => db.query(`
+  UPDATE prework_answers SET status = $1, outcome_note = $2, review_id = $3, processed_at = CURRENT_TIMESTAMP
+  WHERE id = ANY($4) AND status = 'submitted'
+`, [status, note, reviewId, answerIds]);
+
+const getSubmittedAnswers = async (sessionId) => {
+  const result = await db.query(`
+    SELECT a.id, a.checklist_item_id, a.answer_text, a.answered_by, i.status as item_status
+    FROM prework_answers a
+    JOIN session_checklist_items i ON a.checklist_item_id = i.id
+    WHERE a.session_id = $1 AND a.status = 'submitted'
+    ORDER BY i.item_number
+  `, [sessionId]);
+  return result.rows;
+};
+
+/**
+ * Analyze the submitted answers of a session and obtain the items they answer
+ * Answers edited while the analysis runs are back in draft and left alone; answers
+ * submitted while it runs (the queued job is deduplicated against this one) are
+ * picked up by the next pass.
+ * @param {Object} options - { actor, onProgress(percent, message) }
+ * @returns {Promise<Object>} { answers, obtained, insufficient, alreadyObtained, obtainedItemIds, reviewId }
+ */
+async function processPreworkAnswers(sessionId, { actor, onProgress } = {}) {
+  const outcome = { answers: 0, obtained: 0, insufficient: 0, alreadyObtained: 0, obtainedItemIds: [], reviewId: null };
+  const obtainedItemIds = new Set();
+
+  let answers = await getSubmittedAnswers(sessionId);
+  while (answers.length > 0) {
+    outcome.answers += answers.length;
+    for (const answer of answers) {
+      if (answer.item_status === 'obtained') obtainedItemIds.add(answer.checklist_item_id);
+    }
+
+    for (let start = 0; start < answers.length; start += ANSWERS_PER_BATCH) {
+      // Items obtained before, or by an earlier batch, are not analyzed again
+      const slice = answers.slice(start, start + ANSWERS_PER_BATCH);
+      const done = slice.filter(answer => obtainedItemIds.has(answer.checklist_item_id));
+      if (done.length > 0) {
+        await setAnswerOutcome(done.map(answer => answer.id), 'already_obtained');
+        outcome.alreadyObtained += done.length;
+      }
+      const batch = slice.filter(answer => !obtainedItemIds.has(answer.checklist_item_id));
+      if (batch.length === 0) continue;
+
+      if (onProgress) {
+        await onProgress(
+          10 + Math.round((start / answers.length) * 80),
+          `Analyzing answers ${start + 1}-${start + slice.length} of ${answers.length}...`
+        );
+      }
+
+      // An unusable reply raises AIResponseError; this batch and later ones stay submitted
+      const { obtainedItems, unanswered, reviewId } = await analyzePreworkAnswers(sessionId, batch.map(answer => ({
+        item_id: answer.checklist_item_id,
+        answer_text: answer.answer_text,
+        answered_by: answer.answered_by
+      })), { source: 'prework' });
+      if (reviewId && !outcome.reviewId) outcome.reviewId = reviewId;
+
+      if (obtainedItems.length > 0) {
+        await markItemsAsObtained(obtainedItems, 'prework', { triggeredBy: actor });
+      }
+      for (const item of obtainedItems) obtainedItemIds.add(item.item_id);
+      outcome.obtainedItemIds.push(...obtainedItems.map(item => item.item_id));
+
+      for (const answer of batch) {
+        if (obtainedItems.some(item => item.item_id === answer.checklist_item_id)) {
+          await setAnswerOutcome([answer.id], 'obtained', { reviewId });
+          outcome.obtained++;
+        } else {
+          const reason = unanswered.find(entry => entry.item_id === answer.checklist_item_id)?.reason;
+          await setAnswerOutcome([answer.id], 'insufficient', { note: reason || null, reviewId });
+          outcome.insufficient++;
+        }
+      }
+    }
+
+    answers = await getSubmittedAnswers(sessionId);
+  }
+
+  return outcome;
+}
+
+module.exports = {
+  ANSWER_STATUSES,
+  getPreworkSettings,
+  updatePreworkSettings,
+  getPreworkItems,
+  summarizePrework,
+  savePreworkAnswer,
+  submitPreworkAnswers,
+  hasSubmittedAnswers,
+  processPreworkAnswers
+};
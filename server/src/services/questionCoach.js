@@ -0,0 +1,186 @@
+/**
+ * Question Coach - What to ask next while a session is being recorded
+ *
+ * After every analyzed chunk the recording view asks which missing checklist items to
+ * raise next. The ranking is computed from the checklist and the recordings, without a
+ * model call, so it is cheap enough to refresh on every chunk:
+ * - importance:    critical before important before nice-to-have
+ * - category flow: finish the category the conversation is in, then move to the next
+ *                  category of the agenda (checklist order without an agenda) rather
+ *                  than jumping around
+ * - discussion:    items sharing terms with the last analyzed chunks' transcripts
+ *
+ * With a planned duration on the session (sessions.planned_duration_minutes), the time
+ * left is compared with the pace of the session so far (recorded minutes per item
+ * obtained from recordings) to warn when the critical items will not all fit.
+ */
+
+const db = require('../models/db');
+
+const IMPORTANCE_SCORES = { critical: 30, important: 20, 'nice-to-have': 8 };
+const CURRENT_CATEGORY_SCORE = 15;
+const NEXT_CATEGORY_SCORE = 5;
+const DISCUSSED_TERM_SCORE = 6;
+const MAX_DISCUSSED_TERMS = 3;
+
+// Analyzed chunks that count as "just discussed"
+const RECENT_RECORDINGS = 2;
+// Checklist sources that come from the recordings (used for the pace)
+const RECORDING_SOURCES = ['audio', 'live', 'reanalysis'];
+// Sources that follow the conversation as it happens (re-analysis revisits old chunks)
+const CONVERSATION_SOURCES = ['audio', 'live'];
+// Pace assumed until enough items were obtained to measure it
+const DEFAULT_MINUTES_PER_ITEM = 3;
+const MIN_ITEMS_FOR_PACE = 5;
+
+const DEFAULT_SUGGESTIONS = 5;
+
+const STOPWORDS = new Set([
+  'about', 'after', 'also', 'any', 'are', 'being', 'between', 'both', 'can', 'could', 'does', 'done',
+  'each', 'for', 'from', 'have', 'how', 'into', 'is', 'many', 'more', 'much', 'need', 'other', 'over',
+  'should', 'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+  'through', 'under', 'used', 'using', 'what', 'when', 'where', 'which', 'while', 'who', 'will', 'with',
+  'within', 'would', 'your', 'process', 'current', 'currently', 'please', 'describe'
+]);
+
+const termsOf = (text) => new Set(
+  ((text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length >= 4 && !STOPWORDS.has(word))
+);
+
+/**
+ * Remaining time against the session's pace, null without a planned duration
+ */
+const estimateTiming = (plannedMinutes, recordings, items) => {
+  if (!plannedMinutes) return null;
+
+  const recordedMinutes = recordings.reduce((sum, recording) => sum + (recording.duration_seconds || 0), 0) / 60;
+  const obtainedFromRecordings = items.filter(item =>
+    item.status === 'obtained' && RECORDING_SOURCES.includes(item.obtained_source)
+  ).length;
+  const measured = obtainedFromRecordings >= MIN_ITEMS_FOR_PACE && recordedMinutes > 0;
+
+  return {
+    plannedMinutes,
+    recordedMinutes: Math.round(recordedMinutes),
+    remainingMinutes: Math.max(0, Math.round(plannedMinutes - recordedMinutes)),
+    minutesPerItem: measured
+      ? Math.round((recordedMinutes / obtainedFromRecordings) * 10) / 10
+      : DEFAULT_MINUTES_PER_ITEM,
+    paceSource: measured ? 'session' : 'default'
+  };
+};
+
+/**
+ * Ranked next questions of a session
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object|null>} { suggestions, currentCategory, missing, criticalMissing, timing, warning },
+ *   null when the session does not exist
+ */
+async function getQuestionCoach(sessionId, { limit = DEFAULT_SUGGESTIONS } = {}) {
+  const sessionResult = await db.query('SELECT id, planned_duration_minutes FROM sessions WHERE id = $1', [sessionId]);
+  const session = sessionResult.rows[0];
+  if (!session) return null;
+
+  const itemsResult = await db.query(`
+    SELECT id, item_number, item_text, category, importance, suggested_question, status, obtained_source
+    FROM session_checklist_items
+    WHERE session_id = $1
+    ORDER BY item_number
+  `, [sessionId]);
+  const items = itemsResult.rows;
+
+  const recordingsResult = await db.query(`
+    SELECT id, chunk_index, duration_seconds, transcription, analyzed_at
+    FROM session_recordings
+    WHERE session_id = $1
+    ORDER BY chunk_index, created_at
+  `, [sessionId]);
+  const recordings = recordingsResult.rows;
+  const recent = recordings.filter(recording => recording.analyzed_at).slice(-RECENT_RECORDINGS);
+
+  // The conversation is in the category of the last item a recording obtained
+  const lastObtainedResult = await db.query(`
+    SELECT i.category
+    FROM session_checklist_item_history h
+    JOIN session_checklist_items i ON h.item_id = i.id
+    WHERE h.session_id = $1 AND h.action = 'obtained' AND h.source = ANY($2)
+    ORDER BY h.created_at DESC, h.id DESC
+    LIMIT 1
+  `, [sessionId, CONVERSATION_SOURCES]);
+  const currentCategory = lastObtainedResult.rows[0]?.category || null;
+
+  // Categories in agenda order, then checklist order, for "move on to the next one"
+  const slotsResult = await db.query(
+    'SELECT category FROM session_agenda_slots WHERE session_id = $1 ORDER BY position',
+    [sessionId]
+  );
+  const categories = [...new Set([
+    ...slotsResult.rows.map(slot => slot.category),
+    ...items.map(item => item.category || 'General')
+  ])];
+  const currentIndex = currentCategory ? categories.indexOf(currentCategory) : -1;
+  const nextCategory = currentIndex >= 0 ? categories[currentIndex + 1] || null : null;
+
+  const discussedTerms = termsOf(recent.map(recording => recording.transcription).join(' '));
+
+  const missing = items.filter(item => item.status === 'missing');
+  const ranked = missing.map(item => {
+    const reasons = [];
+    let score = IMPORTANCE_SCORES[item.importance] ?? IMPORTANCE_SCORES.important;
+    if (item.importance === 'critical') reasons.push('Critical');
+
+    const category = item.category || 'General';
+    if (currentCategory && category === currentCategory) {
+      score += CURRENT_CATEGORY_SCORE;
+      reasons.push(`Continues ${category}`);
+    } else if (nextCategory && category === nextCategory) {
+      score += NEXT_CATEGORY_SCORE;
+      reasons.push(`Next topic: ${category}`);
+    }
+
+    const shared = [...termsOf(`${item.item_text} ${item.suggested_question || ''}`)]
+      .filter(term => discussedTerms.has(term))
+      .slice(0, MAX_DISCUSSED_TERMS);
+    if (shared.length > 0) {
+      score += shared.length * DISCUSSED_TERM_SCORE;
+      reasons.push(`Just discussed: ${shared.join(', ')}`);
+    }
+
+    return { ...item, score, reasons };
+  }).sort((a, b) => b.score - a.score || a.item_number - b.item_number);
+
+  const timing = estimateTiming(session.planned_duration_minutes, recordings, items);
+  const criticalMissing = missing.filter(item => item.importance === 'critical');
+
+  // Critical items beyond what the time left can cover at the current pace
+  let warning = null;
+  if (timing && criticalMissing.length > 0) {
+    const coverableItems = Math.floor(timing.remainingMinutes / timing.minutesPerItem);
+    if (criticalMissing.length > coverableItems) {
+      const minutesNeeded = Math.ceil(criticalMissing.length * timing.minutesPerItem);
+      const count = criticalMissing.length;
+      warning = {
+        criticalMissing: criticalMissing.length,
+        coverableItems,
+        minutesNeeded,
+        atRisk: criticalMissing.length - coverableItems,
+        message: `${count} critical item${count === 1 ? ' needs' : 's need'} about ${minutesNeeded} min, `
+          + `${timing.remainingMinutes} min left - ${count - coverableItems} will likely not be covered`
+      };
+    }
+  }
+
+  return {
+    suggestions: ranked.slice(0, limit),
+    currentCategory,
+    missing: missing.length,
+    criticalMissing: criticalMissing.length,
+    timing,
+    warning
+  };
+}
+
+module.exports = {
+  getQuestionCoach
+};
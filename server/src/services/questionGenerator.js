@@ -1,7 +1,29 @@
-const Anthropic = require('@anthropic-ai/sdk');
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
+const { completeJson } = require('./aiJson');
+
+// Question categories in interview order (sections A-H of the generation prompt)
+const QUESTION_SECTIONS = [
+  'Organizational Structure',
+  'Master Data',
+  'Business Processes - Current State',
+  'Business Processes - Future State',
+  'Transactions & Documents',
+  'Reporting & Analytics',
+  'Integration & Interfaces',
+  'Compliance & Controls'
+];
+
+const questionSchema = (entityCodes) => ({
+  type: 'object',
+  required: ['question_text'],
+  properties: {
+    question_text: { type: 'string', check: (v) => v.trim() ? null : 'must not be empty' },
+    sub_module: { type: 'string', nullable: true, fallback: null },
+    category_name: { type: 'string', default: 'General', fallback: 'General' },
+    // Unknown entities are treated as general questions
+    entity_code: { type: 'string', nullable: true, default: null, fallback: null, enum: entityCodes },
+    is_critical: { type: 'boolean', default: false, fallback: false },
+    rationale: { type: 'string', default: '', fallback: '' }
+  }
 });
 
 /**
@@ -310,6 +332,8 @@ function getModuleSpecificGuidance(module) {
 
 /**
  * Generate discovery questions for an SAP implementation workshop
+ * @param {Object} config - baseQuestions: questions already in the session (from a template);
+ *   when given, only questions for the gaps they leave are generated
  */
 async function generateQuestions(config) {
   const {
@@ -321,9 +345,16 @@ async function generateQuestions(config) {
     industryContext,
     customInstructions,
     sessionName,
-    topics
+    topics,
+    sessionId,
+    baseQuestions = []
   } = config;
 
+  // With template questions the AI only fills gaps, but always gets room for a few
+  const questionCount = baseQuestions.length > 0
+    ? Math.max(targetCount - baseQuestions.length, 5)
+    : targetCount;
+
   // Build entity context string
   const entityContext = entities.map(e => {
     let context = `- ${e.code} (${e.name})`;
@@ -468,7 +499,14 @@ ${topicsList.map(t => `- ${t}`).join('\n')}
 You MUST ensure these topics are covered in depth. Allocate approximately ${Math.floor(targetCount * 0.7)} questions (70%) to these specific topics, distributing them appropriately across the sections A-H. The remaining questions can cover other relevant areas of ${module} that support the KDS/BPML documentation.
 ` : '';
 
-  const userPrompt = `Generate ${targetCount} discovery questions for this SAP S/4HANA workshop session:
+  const baseSection = baseQuestions.length > 0 ? `
+**QUESTIONS ALREADY IN THIS SESSION (from a reviewed template):**
+${baseQuestions.map(q => `- [${q.category_name || 'General'}] ${q.question_text}`).join('\n')}
+
+These questions are kept as they are. Do NOT repeat or rephrase them. Generate ONLY questions for areas they do not cover yet (up to ${questionCount}); return fewer, or an empty array, if they already cover the session well. Use the same section categories so your questions can be merged into the sequence.
+` : '';
+
+  const userPrompt = `Generate ${baseQuestions.length > 0 ? `up to ${questionCount} additional` : targetCount} discovery questions for this SAP S/4HANA workshop session:
 
 **Session:** ${sessionName}
 **SAP Module:** ${module}
@@ -488,7 +526,7 @@ ${audienceContext || 'Business stakeholders'}
 ${industryContext || 'Not specified'}
 
 ${customInstructions ? `**Special Instructions:**\n${customInstructions}` : ''}
-
+${baseSection}
 **MODULE-SPECIFIC FOCUS AREAS FOR ${module}:**
 ${moduleGuidance}
 
@@ -565,12 +603,13 @@ Each question MUST include a "sub_module" field indicating the specific function
 - Are questions 89-95% about integration?
 - Are questions 96-100% about compliance and wrap-up?
 
-Generate exactly ${targetCount} WELL-SEQUENCED questions strictly about ${module}. Return ONLY valid JSON.`;
+${baseQuestions.length > 0
+    ? `Generate up to ${questionCount} WELL-SEQUENCED questions strictly about ${module} that fill the gaps left by the existing questions.`
+    : `Generate exactly ${targetCount} WELL-SEQUENCED questions strictly about ${module}.`} Return ONLY valid JSON.`;
 
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 8000,
+    const { data: questions } = await completeJson('question_generation', {
+      maxTokens: 8000,
       messages: [
         {
           role: 'user',
@@ -578,29 +617,21 @@ Generate exactly ${targetCount} WELL-SEQUENCED questions strictly about ${module
         }
       ],
       system: systemPrompt
+    }, {
+      schema: { type: 'array', items: questionSchema(entities.map(e => e.code)) },
+      review: { sessionId, context: { module, sessionName } }
     });
 
-    const content = response.content[0].text;
-
-    // Parse JSON response
-    let jsonStr = content;
-    const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (jsonMatch) {
-      jsonStr = jsonMatch[1];
-    }
-
-    const questions = JSON.parse(jsonStr.trim());
-
     return questions.map((q, index) => {
       // Prepend sub-module prefix to question text if provided
       const subModulePrefix = q.sub_module ? `[${q.sub_module}] ` : '';
       return {
         question_number: index + 1,
         question_text: subModulePrefix + q.question_text,
-        category_name: q.category_name || 'General',
-        entity_code: q.entity_code || null,
-        is_critical: !!q.is_critical,
-        ai_rationale: q.rationale || ''
+        category_name: q.category_name,
+        entity_code: q.entity_code,
+        is_critical: q.is_critical,
+        ai_rationale: q.rationale
       };
     });
   } catch (error) {
@@ -652,25 +683,19 @@ Return JSON:
 \`\`\``;
 
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
+    const { data: result } = await completeJson('question_regeneration', {
+      maxTokens: 1000,
       messages: [
         {
           role: 'user',
           content: prompt
         }
       ]
+    }, {
+      schema: questionSchema(),
+      review: { context: { module, originalQuestion } }
     });
 
-    const content = response.content[0].text;
-    let jsonStr = content;
-    const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (jsonMatch) {
-      jsonStr = jsonMatch[1];
-    }
-
-    const result = JSON.parse(jsonStr.trim());
     // Prepend sub-module prefix to question text if provided
     if (result.sub_module) {
       result.question_text = `[${result.sub_module}] ${result.question_text}`;
@@ -683,6 +708,7 @@ Return JSON:
 }
 
 module.exports = {
+  QUESTION_SECTIONS,
   generateQuestions,
   regenerateQuestion
 };
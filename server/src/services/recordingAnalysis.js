@@ -0,0 +1,179 @@
+/**
+ * Recording Analysis - Transcribe a session recording and apply it to the checklist
+ *
+ * Shared by the consultant and share-link analyze endpoints. The caller claims
+ * the recording first (claimRecordingAnalysis); this service then transcribes it
+ * (unless an earlier attempt already stored the transcription), analyzes it
+ * against the checklist and applies the result: obtained items, contradiction
+ * resets, additional findings, search indexing, live updates and session memory.
+ * A failed analysis releases the claim so the chunk can be retried.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../models/db');
+const { isS3Configured } = require('./s3');
+const { transcribeAudio } = require('./transcription');
+const { attributeSpeakers } = require('./speakerAttribution');
+const {
+  analyzeTranscriptionAgainstChecklist,
+  markItemsAsObtained,
+  resetItemsToMissing,
+  saveAdditionalFindings
+} = require('./directChecklistGenerator');
+const { appendRecordingTranscript } = require('./transcriptManager');
+const { publishAnalysis } = require('./sessionEvents');
+const { scheduleSessionIndexing } = require('./searchIndex');
+const { scheduleSessionMemoryUpdate } = require('./sessionMemory');
+const { getSessionLanguage, transcriptionOptions, detectTextLanguage } = require('./language');
+const { markRecordingAnalyzed, releaseRecordingAnalysis } = require('./recordingUploads');
+
+// Download an S3 recording to a temp file, or resolve a local upload path
+async function resolveAudioFile(recording) {
+  const filePath = recording.file_path;
+
+  if (filePath.startsWith('uploads/') && isS3Configured()) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const { getS3Client, getBucketName } = require('./s3');
+
+    const response = await getS3Client().send(new GetObjectCommand({
+      Bucket: getBucketName(),
+      Key: filePath
+    }));
+
+    const tempFile = path.join('/tmp', `transcribe_${recording.id}.webm`);
+    const writeStream = fs.createWriteStream(tempFile);
+    await new Promise((resolve, reject) => {
+      response.Body.pipe(writeStream);
+      response.Body.on('end', resolve);
+      response.Body.on('error', reject);
+    });
+    return { filePath: tempFile, tempFile };
+  }
+
+  return {
+    filePath: path.isAbsolute(filePath) ? filePath : path.join(__dirname, '../..', filePath),
+    tempFile: null
+  };
+}
+
+// Transcribe the recording with the configured backend (Whisper by default) and store the text
+async function transcribeRecording(sessionId, recording) {
+  const { filePath, tempFile } = await resolveAudioFile(recording);
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Audio file not found at path: ${filePath}`);
+    }
+
+    const fileStats = fs.statSync(filePath);
+    if (fileStats.size === 0) {
+      throw new Error('Audio file is empty');
+    }
+
+    console.log(`Transcribing file: ${filePath}, size: ${fileStats.size} bytes`);
+
+    const language = await getSessionLanguage(sessionId);
+    const transcription = await transcribeAudio({ filePath }, transcriptionOptions(language));
+
+    await db.query(
+      'UPDATE session_recordings SET transcription = $1, detected_language = $2 WHERE id = $3',
+      [transcription, detectTextLanguage(transcription), recording.id]
+    );
+
+    return transcription;
+  } finally {
+    if (tempFile && fs.existsSync(tempFile)) {
+      fs.unlinkSync(tempFile);
+    }
+  }
+}
+
+/**
+ * Apply a checklist analysis of a recording and mark the recording analyzed
+ * @returns {Promise<{resetCount: number, savedFindings: Array}>}
+ */
+async function applyRecordingAnalysis(sessionId, recordingId, analysisResult, actor) {
+  const evidence = { recordingId, triggeredBy: actor };
+  if (analysisResult.obtainedItems.length > 0) {
+    await markItemsAsObtained(analysisResult.obtainedItems, 'audio', evidence);
+  }
+
+  // Reset items back to missing if contradictions found (previous answers stay in the item history)
+  let resetCount = 0;
+  if (analysisResult.itemsToReset && analysisResult.itemsToReset.length > 0) {
+    resetCount = await resetItemsToMissing(sessionId, analysisResult.itemsToReset, 'audio', evidence);
+    console.log(`Reset ${resetCount} items back to missing due to contradictions`);
+  }
+
+  let savedFindings = [];
+  if (analysisResult.additionalFindings && analysisResult.additionalFindings.length > 0) {
+    savedFindings = await saveAdditionalFindings(sessionId, recordingId, analysisResult.additionalFindings);
+  }
+
+  await scheduleSessionIndexing(sessionId);
+  publishAnalysis(sessionId, actor, 'audio', {
+    obtainedItemIds: analysisResult.obtainedItems.map(i => i.item_id),
+    resetItemIds: (analysisResult.itemsToReset || []).map(i => i.item_id),
+    findingsCount: savedFindings.length
+  });
+
+  await markRecordingAnalyzed(recordingId, {
+    obtainedCount: analysisResult.obtainedItems.length,
+    findingsCount: savedFindings.length
+  });
+  await scheduleSessionMemoryUpdate(sessionId);
+
+  return { resetCount, savedFindings };
+}
+
+/**
+ * Transcribe (if needed) and analyze a claimed recording
+ * @param {number} sessionId
+ * @param {Object} recording - session_recordings row returned by claimRecordingAnalysis
+ * @param {string} actor - name recorded in the item history and live updates
+ * @returns {Promise<Object>} analyze response for the recording
+ */
+async function analyzeRecording(sessionId, recording, actor) {
+  try {
+    // A retry after a failed analysis reuses the stored transcription (and speaker turns)
+    const transcription = recording.transcription || await transcribeRecording(sessionId, recording);
+
+    // Split into speaker turns mapped to the session participants
+    const { turns, analysisText } = await attributeSpeakers(sessionId, recording, transcription);
+
+    // Appended once per recording, whichever attempt gets this far first
+    try {
+      await appendRecordingTranscript(sessionId, recording, transcription, turns);
+    } catch (transcriptError) {
+      console.error('Error appending to transcript file:', transcriptError);
+      // Don't fail the whole operation if transcript append fails
+    }
+
+    const analysisResult = await analyzeTranscriptionAgainstChecklist(sessionId, analysisText, { recordingId: recording.id });
+    const { resetCount, savedFindings } = await applyRecordingAnalysis(sessionId, recording.id, analysisResult, actor);
+
+    return {
+      transcription,
+      speakerTurns: turns,
+      obtainedCount: analysisResult.obtainedItems.length,
+      resetCount,
+      itemsReset: analysisResult.itemsToReset || [],
+      remainingMissing: analysisResult.remainingMissing,
+      reviewId: analysisResult.reviewId,
+      obtainedItems: analysisResult.obtainedItems,
+      additionalFindings: savedFindings.length,
+      findingsCount: savedFindings.length,
+      findings: savedFindings
+    };
+  } catch (error) {
+    await releaseRecordingAnalysis(recording.id).catch(releaseError => {
+      console.error('Error releasing recording analysis claim:', releaseError.message);
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  analyzeRecording
+};
@@ -0,0 +1,163 @@
+/**
+ * Recording Uploads - Idempotent storage of session audio chunks
+ *
+ * Recorders keep every chunk on the device until it has been uploaded and
+ * analyzed, so the same chunk can arrive more than once (timeouts, reconnects,
+ * page reloads). Each upload carries a client-generated chunk id; a chunk that
+ * is already stored for the session returns the existing recording instead of
+ * creating a second session_recordings row.
+ *
+ * Analysis is claimed per recording (analysis_started_at), so a retry or a
+ * second tab never analyzes the same chunk while another request is on it.
+ */
+
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../models/db');
+const { isS3Configured, uploadBufferToS3 } = require('./s3');
+
+// A claim older than this is treated as abandoned (server restart mid-analysis)
+const ANALYSIS_CLAIM_TIMEOUT_SECONDS = parseInt(process.env.RECORDING_ANALYSIS_TIMEOUT_SECONDS) || 900;
+
+const isValidClientChunkId = (id) => /^[A-Za-z0-9-]{1,64}$/.test(id);
+
+async function findByClientChunkId(sessionId, clientChunkId) {
+  const result = await db.query(
+    'SELECT * FROM session_recordings WHERE session_id = $1 AND client_chunk_id = $2',
+    [sessionId, clientChunkId]
+  );
+  return result.rows[0] || null;
+}
+
+// Drop the file multer already wrote for a chunk we did not keep
+const discardUploadedFile = (file) => {
+  if (file.path && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
+
+/**
+ * Store an uploaded audio chunk, once per client chunk id
+ * @param {number} sessionId
+ * @param {Object} file - multer file (disk storage, or memory storage when S3 is configured)
+ * @param {Object} options - { durationSeconds, chunkIndex, clientChunkId } (id checked with isValidClientChunkId)
+ * @returns {Promise<{recording: Object, created: boolean}>} created is false for a repeated upload
+ */
+async function saveRecordingUpload(sessionId, file, { durationSeconds, chunkIndex, clientChunkId } = {}) {
+  if (clientChunkId) {
+    const existing = await findByClientChunkId(sessionId, clientChunkId);
+    if (existing) {
+      discardUploadedFile(file);
+      return { recording: existing, created: false };
+    }
+  }
+
+  let filePath;
+  let fileName;
+
+  if (isS3Configured()) {
+    const uniqueName = `${uuidv4()}.webm`;
+    const s3Key = `uploads/session-audio/${uniqueName}`;
+    await uploadBufferToS3(file.buffer, s3Key, file.mimetype || 'audio/webm');
+    filePath = s3Key;
+    fileName = uniqueName;
+  } else {
+    filePath = `uploads/session-audio/${file.filename}`;
+    fileName = file.filename;
+  }
+
+  // Two requests for the same chunk can race past the lookup above; the unique
+  // index lets only one insert through
+  const result = await db.query(`
+    INSERT INTO session_recordings
+      (session_id, file_path, file_name, mime_type, file_size, duration_seconds, chunk_index, client_chunk_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (session_id, client_chunk_id) WHERE client_chunk_id IS NOT NULL DO NOTHING
+    RETURNING *
+  `, [
+    sessionId,
+    filePath,
+    fileName,
+    file.mimetype || 'audio/webm',
+    file.size,
+    parseInt(durationSeconds) || 0,
+    parseInt(chunkIndex) || 0,
+    clientChunkId || null
+  ]);
+
+  if (result.rows.length === 0) {
+    discardUploadedFile(file);
+    return { recording: await findByClientChunkId(sessionId, clientChunkId), created: false };
+  }
+
+  return { recording: result.rows[0], created: true };
+}
+
+/**
+ * Claim a recording for analysis before any transcription or checklist work
+ * @returns {Promise<{claimed: boolean, recording: Object|null}>} when not claimed,
+ *   recording is the current row (already analyzed, or being analyzed elsewhere)
+ */
+async function claimRecordingAnalysis(sessionId, recordingId) {
+  const result = await db.query(`
+    UPDATE session_recordings SET analysis_started_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND session_id = $2 AND analyzed_at IS NULL
+      AND (analysis_started_at IS NULL OR analysis_started_at < CURRENT_TIMESTAMP - make_interval(secs => $3))
+    RETURNING *
+  `, [recordingId, sessionId, ANALYSIS_CLAIM_TIMEOUT_SECONDS]);
+
+  if (result.rows.length > 0) {
+    return { claimed: true, recording: result.rows[0] };
+  }
+
+  const current = await db.query(
+    'SELECT * FROM session_recordings WHERE id = $1 AND session_id = $2',
+    [recordingId, sessionId]
+  );
+  return { claimed: false, recording: current.rows[0] || null };
+}
+
+/**
+ * Give up a claim after a failed analysis so the chunk can be retried straight away
+ */
+async function releaseRecordingAnalysis(recordingId) {
+  await db.query(
+    'UPDATE session_recordings SET analysis_started_at = NULL WHERE id = $1 AND analyzed_at IS NULL',
+    [recordingId]
+  );
+}
+
+/**
+ * Remember that a recording has been analyzed, so a repeated analyze request
+ * returns these counts instead of analyzing (and appending its transcript) again
+ */
+async function markRecordingAnalyzed(recordingId, { obtainedCount = 0, findingsCount = 0 } = {}) {
+  await db.query(`
+    UPDATE session_recordings SET
+      analyzed_at = CURRENT_TIMESTAMP,
+      obtained_count = $1,
+      findings_count = $2
+    WHERE id = $3
+  `, [obtainedCount, findingsCount, recordingId]);
+}
+
+/**
+ * Response for an analyze request on a recording that was already analyzed
+ */
+const analyzedRecordingResponse = (recording) => ({
+  message: 'Recording already analyzed',
+  alreadyAnalyzed: true,
+  transcription: recording.transcription,
+  obtainedCount: recording.obtained_count || 0,
+  additionalFindings: recording.findings_count || 0,
+  findingsCount: recording.findings_count || 0
+});
+
+module.exports = {
+  isValidClientChunkId,
+  saveRecordingUpload,
+  claimRecordingAnalysis,
+  releaseRecordingAnalysis,
+  markRecordingAnalyzed,
+  analyzedRecordingResponse
+};
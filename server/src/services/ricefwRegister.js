@@ -0,0 +1,353 @@
+/**
+ * RICEFW Register - Custom development objects implied by workshop findings
+ *
+ * Pain points, workarounds and requirements captured in the sessions often mean custom
+ * development: a Report, Interface, Conversion, Enhancement, Form or Workflow. The model
+ * proposes such objects session by session from the findings and obtained checklist
+ * answers, each with a type, complexity and the evidence it rests on. Consultants then
+ * accept, merge or reject every proposal; accepted objects get a register number per
+ * type (R-001, I-002, ...) and the register exports to Excel for estimation.
+ *
+ * Extraction can be re-run as sessions progress: the current register (including
+ * rejected proposals) is shown to the model so it only proposes new objects, and
+ * proposals repeating an existing title are skipped.
+ */
+
+const db = require('../models/db');
+const { completeJson, oneOfIds } = require('./aiJson');
+
+const RICEFW_TYPES = [
+  { key: 'report', prefix: 'R', label: 'Report' },
+  { key: 'interface', prefix: 'I', label: 'Interface' },
+  { key: 'conversion', prefix: 'C', label: 'Conversion' },
+  { key: 'enhancement', prefix: 'E', label: 'Enhancement' },
+  { key: 'form', prefix: 'F', label: 'Form' },
+  { key: 'workflow', prefix: 'W', label: 'Workflow' }
+];
+
+const COMPLEXITIES = ['low', 'medium', 'high', 'very_high'];
+
+const STATUSES = ['proposed', 'accepted', 'rejected', 'merged'];
+
+// Longest finding / answer text quoted into the prompt and stored as evidence
+const MAX_SOURCE_TEXT_CHARS = 600;
+
+const clip = (text, maxChars = MAX_SOURCE_TEXT_CHARS) =>
+  !text ? '' : text.length > maxChars ? `${text.substring(0, maxChars)}...` : text;
+
+const nonEmpty = (value) => value.trim() ? null : 'must not be empty';
+
+const normalizeTitle = (title) => (title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Register ID of an accepted object (R-001); null before acceptance
+ */
+const ricefwCode = (object) => {
+  const type = RICEFW_TYPES.find(t => t.key === object.object_type);
+  return object.number && type ? `${type.prefix}-${String(object.number).padStart(3, '0')}` : null;
+};
+
+// ============================================
+// Extraction
+// ============================================
+
+const ricefwSchema = ({ findingIds, itemIds }) => ({
+  type: 'object',
+  required: ['objects'],
+  properties: {
+    objects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['object_type', 'title'],
+        properties: {
+          object_type: { type: 'string', enum: RICEFW_TYPES.map(t => t.key) },
+          title: { type: 'string', check: nonEmpty },
+          description: { type: 'string', default: '', fallback: '' },
+          rationale: { type: 'string', default: '', fallback: '' },
+          complexity: { type: 'string', enum: COMPLEXITIES, default: 'medium', fallback: 'medium' },
+          sap_module: { type: 'string', nullable: true, default: null, fallback: null },
+          finding_ids: {
+            type: 'array',
+            default: [],
+            items: { type: 'integer', check: oneOfIds(findingIds, 'a finding of this session') }
+          },
+          item_ids: {
+            type: 'array',
+            default: [],
+            items: { type: 'integer', check: oneOfIds(itemIds, 'an obtained checklist item of this session') }
+          }
+        }
+      }
+    }
+  }
+});
+
+const buildRicefwPrompt = (workshop, session, findings, items, register) => {
+  const findingsText = findings.map(finding =>
+    `[F:${finding.id}] (${finding.finding_type || 'general'}) ${finding.topic}: ${clip(finding.details)}${finding.sap_recommendation ? `\n  SAP recommendation: ${clip(finding.sap_recommendation, 300)}` : ''}`
+  ).join('\n');
+
+  const itemsText = items.map(item =>
+    `[I:${item.id}] ${item.item_text}: ${clip(item.obtained_text)}`
+  ).join('\n');
+
+  const registerText = register.map(object =>
+    `- ${object.object_type}: ${object.title}${object.status === 'rejected' ? ' (rejected - do not propose again)' : ''}`
+  ).join('\n');
+
+  return `You are a senior SAP S/4HANA solution architect identifying custom development (RICEFW objects) from a pre-discovery workshop.
+
+**Client:** ${workshop.client_name || workshop.name}
+**Session:** ${session.name} (${session.module})
+
+**Findings:**
+${findingsText || '(none)'}
+
+**Obtained checklist answers:**
+${itemsText || '(none)'}
+
+**Already in the register:**
+${registerText || '(empty)'}
+
+Propose the RICEFW objects these sources imply - only where standard SAP S/4HANA (including standard Fiori apps, output management and flexible workflow) is unlikely to cover the need:
+- report: custom reports or analytics the client needs and standard reporting will not give
+- interface: integrations with external systems, banks, portals, devices or other applications
+- conversion: data migration objects for legacy data that must be loaded
+- enhancement: custom logic, validations or fields in standard transactions
+- form: printed or emailed output with a client-specific layout (invoices, delivery notes, labels)
+- workflow: approval or notification flows beyond standard release strategies
+
+For each object:
+- title: short name, e.g. "Bank statement interface - Emirates NBD"
+- description: what the object does
+- rationale: why it is needed, referring to the pain point, workaround or requirement
+- complexity: low, medium, high or very_high
+- sap_module: the module it belongs to (e.g. FI, SD, MM)
+- finding_ids / item_ids: the [F:id] findings and [I:id] answers it is based on (at least one)
+
+Do not repeat objects already in the register. Return an empty list when nothing implies custom development.
+
+**Output Format - JSON:**
+\`\`\`json
+{
+  "objects": [
+    {
+      "object_type": "interface",
+      "title": "...",
+      "description": "...",
+      "rationale": "...",
+      "complexity": "medium",
+      "sap_module": "FI",
+      "finding_ids": [12],
+      "item_ids": []
+    }
+  ]
+}
+\`\`\``;
+};
+
+const findingEvidence = (finding) => ({
+  type: 'finding',
+  id: finding.id,
+  session_id: finding.session_id,
+  text: finding.topic,
+  detail: clip(finding.details) || null,
+  reference: finding.document_name ? [finding.document_name, finding.source_reference].filter(Boolean).join(', ') : null
+});
+
+const itemEvidence = (item) => ({
+  type: 'checklist_item',
+  id: item.id,
+  session_id: item.session_id,
+  text: item.item_text,
+  detail: clip(item.obtained_text) || null,
+  reference: item.document_name ? [item.document_name, item.obtained_reference].filter(Boolean).join(', ') : null
+});
+
+/**
+ * Propose RICEFW objects for every session of a workshop
+ * @param {Object} options - { onProgress(percent, message) }
+ * @returns {Promise<{proposed: number, skipped: number, sessions: number}|null>} null when the workshop does not exist
+ */
+async function extractRicefwProposals(workshopId, { onProgress } = {}) {
+  const workshopResult = await db.query('SELECT * FROM workshops WHERE id = $1', [workshopId]);
+  const workshop = workshopResult.rows[0];
+  if (!workshop) return null;
+
+  const sessionsResult = await db.query(
+    'SELECT id, session_number, name, module FROM sessions WHERE workshop_id = $1 ORDER BY session_number',
+    [workshopId]
+  );
+
+  let proposed = 0;
+  let skipped = 0;
+  let analyzed = 0;
+
+  for (const [index, session] of sessionsResult.rows.entries()) {
+    if (onProgress) {
+      await onProgress(5 + Math.round((index / sessionsResult.rows.length) * 90), `Reviewing session ${session.session_number}: ${session.name}...`);
+    }
+
+    const findingsResult = await db.query(`
+      SELECT f.id, f.session_id, f.finding_type, f.topic, f.details, f.sap_recommendation, f.source_reference,
+             d.original_name as document_name
+      FROM session_additional_findings f
+      LEFT JOIN session_documents d ON f.document_id = d.id
+      WHERE f.session_id = $1
+      ORDER BY f.created_at
+    `, [session.id]);
+    const itemsResult = await db.query(`
+      SELECT i.id, i.session_id, i.item_text, i.obtained_text, i.obtained_reference,
+             d.original_name as document_name
+      FROM session_checklist_items i
+      LEFT JOIN session_documents d ON i.obtained_document_id = d.id
+      WHERE i.session_id = $1 AND i.status = 'obtained' AND i.obtained_text IS NOT NULL
+      ORDER BY i.item_number
+    `, [session.id]);
+    const findings = findingsResult.rows;
+    const items = itemsResult.rows;
+    if (findings.length === 0 && items.length === 0) continue;
+
+    // Re-read each time so objects proposed for earlier sessions are not repeated
+    const registerResult = await db.query(
+      "SELECT object_type, title, status FROM ricefw_objects WHERE workshop_id = $1 AND status != 'merged'",
+      [workshopId]
+    );
+    const register = registerResult.rows;
+
+    // An unusable reply raises AIResponseError (stored for review)
+    const { data, reviewId } = await completeJson('ricefw_extraction', {
+      maxTokens: 8000,
+      messages: [{ role: 'user', content: buildRicefwPrompt(workshop, session, findings, items, register) }]
+    }, {
+      schema: ricefwSchema({
+        findingIds: findings.map(finding => finding.id),
+        itemIds: items.map(item => item.id)
+      }),
+      review: { sessionId: session.id, context: { workshopId, source: 'ricefw_extraction' } }
+    });
+    analyzed++;
+
+    const existingTitles = new Set(register.map(object => `${object.object_type}:${normalizeTitle(object.title)}`));
+    for (const object of data.objects) {
+      const key = `${object.object_type}:${normalizeTitle(object.title)}`;
+      const evidence = [
+        ...object.finding_ids.map(id => findingEvidence(findings.find(finding => finding.id === id))),
+        ...object.item_ids.map(id => itemEvidence(items.find(item => item.id === id)))
+      ];
+      if (existingTitles.has(key) || evidence.length === 0) {
+        skipped++;
+        continue;
+      }
+      existingTitles.add(key);
+
+      await db.query(`
+        INSERT INTO ricefw_objects (workshop_id, session_id, object_type, title, description, rationale,
+                                    complexity, sap_module, evidence, review_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [workshopId, session.id, object.object_type, object.title.trim().substring(0, 500),
+        object.description.trim() || null, object.rationale.trim() || null, object.complexity,
+        object.sap_module?.trim() || null, JSON.stringify(evidence), reviewId]);
+      proposed++;
+    }
+  }
+
+  return { proposed, skipped, sessions: analyzed };
+}
+
+// ============================================
+// Register
+// ============================================
+
+/**
+ * Objects of a workshop's register with their register IDs
+ * @param {Object} filters - { status, objectType }
+ */
+async function listRicefwObjects(workshopId, { status, objectType } = {}) {
+  const conditions = ['o.workshop_id = $1'];
+  const params = [workshopId];
+  if (status) {
+    params.push(status);
+    conditions.push(`o.status = $${params.length}`);
+  }
+  if (objectType) {
+    params.push(objectType);
+    conditions.push(`o.object_type = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    SELECT o.*, s.session_number, s.name as session_name
+    FROM ricefw_objects o
+    LEFT JOIN sessions s ON o.session_id = s.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY o.object_type, o.number NULLS LAST, o.id
+  `, params);
+
+  return result.rows.map(object => ({ ...object, code: ricefwCode(object) }));
+}
+
+/**
+ * Accept an object: it gets the next register number of its type
+ */
+async function acceptRicefwObject(objectId, actor) {
+  const result = await db.query(`
+    UPDATE ricefw_objects o SET
+      status = 'accepted',
+      number = COALESCE(o.number, (
+        SELECT COALESCE(MAX(number), 0) + 1 FROM ricefw_objects
+        WHERE workshop_id = o.workshop_id AND object_type = o.object_type
+      )),
+      decided_by = $2,
+      decided_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE o.id = $1
+    RETURNING *
+  `, [objectId, actor]);
+  return result.rows[0] ? { ...result.rows[0], code: ricefwCode(result.rows[0]) } : null;
+}
+
+/**
+ * Merge an object into another one of the same workshop: the target keeps its fields and
+ * gains the evidence of the merged object
+ * @returns {Promise<Object|null>} the updated target; null when either object is not found
+ */
+async function mergeRicefwObject(workshopId, objectId, targetId, actor) {
+  const result = await db.query(
+    "SELECT * FROM ricefw_objects WHERE workshop_id = $1 AND id = ANY($2) AND status != 'merged'",
+    [workshopId, [objectId, targetId]]
+  );
+  const source = result.rows.find(row => row.id === parseInt(objectId));
+  const target = result.rows.find(row => row.id === parseInt(targetId));
+  if (!source || !target || source.id === target.id) return null;
+
+  const evidenceKey = (entry) => `${entry.type}:${entry.id}`;
+  const known = new Set((target.evidence || []).map(evidenceKey));
+  const evidence = [...(target.evidence || []), ...(source.evidence || []).filter(entry => !known.has(evidenceKey(entry)))];
+
+  const updated = await db.query(`
+    UPDATE ricefw_objects SET evidence = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [target.id, JSON.stringify(evidence)]);
+  await db.query(`
+    UPDATE ricefw_objects SET status = 'merged', merged_into_id = $2, decided_by = $3,
+      decided_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [source.id, target.id, actor]);
+  // Objects merged into the source earlier now point at the target
+  await db.query('UPDATE ricefw_objects SET merged_into_id = $2 WHERE merged_into_id = $1', [source.id, target.id]);
+
+  return { ...updated.rows[0], code: ricefwCode(updated.rows[0]) };
+}
+
+module.exports = {
+  RICEFW_TYPES,
+  COMPLEXITIES,
+  STATUSES,
+  ricefwCode,
+  extractRicefwProposals,
+  listRicefwObjects,
+  acceptRicefwObject,
+  mergeRicefwObject
+};
@@ -0,0 +1,522 @@
+/**
+ * Search Index - Keyword and semantic search across sessions and workshops
+ *
+ * Indexed sources (one or more chunks each, stored in search_chunks):
+ * - transcript:     session_recordings.transcription, grouped by speaker turns, with the
+ *                   estimated start/end second of each chunk inside its recording
+ * - finding:        session_additional_findings
+ * - checklist_item: obtained checklist items (item text + obtained answer)
+ * - document:       session_documents.extracted_text
+ *
+ * Routes that change any of these call scheduleSessionIndexing(sessionId). That marks
+ * the session dirty and enqueues one search_index job per session, which reconciles the
+ * session's chunks (only changed chunks are rewritten and re-embedded) and runs again if
+ * the session changed while it was indexing.
+ *
+ * Keyword search uses Postgres full-text search. Semantic search embeds chunks with the
+ * search_embedding LLM task; embeddings are stored normalized as REAL[] so the dot product
+ * is the cosine similarity. Without an embeddings provider, search is keyword-only.
+ * Entities are matched by code or name mentioned in the chunk text.
+ */
+
+const crypto = require('crypto');
+const db = require('../models/db');
+const { embed, getTaskConfig, isEmbeddingConfigured } = require('./llm');
+const { enqueueJob } = require('./jobQueue');
+const { usableTurns } = require('./speakerAttribution');
+const { memberWorkshopFilter } = require('../middleware/auth');
+
+const EMBEDDING_TASK = 'search_embedding';
+const CHUNK_CHARS = 1000;
+const DOCUMENT_OVERLAP_CHARS = 150;
+const EMBED_BATCH_SIZE = 64;
+const MAX_INDEX_PASSES = 5;
+// Recordings are uploaded in 1-minute chunks when no duration was stored
+const DEFAULT_RECORDING_SECONDS = 60;
+// Reciprocal rank fusion constant for hybrid ranking
+const RRF_K = 60;
+
+const SOURCE_TYPES = ['transcript', 'finding', 'checklist_item', 'document'];
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+
+// ============================================
+// Chunking
+// ============================================
+
+/**
+ * Split text into pieces of at most `size` characters on whitespace
+ * @returns {Array<{ text: string, start: number, end: number }>} character offsets into text
+ */
+const splitText = (text, size = CHUNK_CHARS, overlap = 0) => {
+  const pieces = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+    if (end < text.length) {
+      const lastSpace = text.lastIndexOf(' ', end);
+      if (lastSpace > start + size / 2) end = lastSpace;
+    }
+    const piece = text.slice(start, end).trim();
+    if (piece) pieces.push({ text: piece, start, end });
+    if (end >= text.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+  return pieces;
+};
+
+/**
+ * Chunks of one recording. Speaker turns are kept together where possible; the
+ * timestamp of each chunk is estimated from its position in the transcription.
+ */
+const chunkRecording = (recording) => {
+  const speakerTurns = usableTurns(recording);
+  const turns = speakerTurns
+    ? speakerTurns.map(turn => `${turn.speaker || 'Unknown speaker'}: ${turn.text || ''}`)
+    : [recording.transcription];
+
+  const pieces = turns.flatMap(turn => splitText(turn).map(piece => piece.text));
+  const totalChars = pieces.reduce((sum, piece) => sum + piece.length, 0) || 1;
+  const duration = recording.duration_seconds || DEFAULT_RECORDING_SECONDS;
+  const toSeconds = (chars) => Math.round((chars / totalChars) * duration);
+
+  const chunks = [];
+  let current = [];
+  let currentChars = 0;
+  let offset = 0;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    chunks.push({
+      content: current.join('\n'),
+      start_seconds: toSeconds(offset),
+      end_seconds: toSeconds(offset + currentChars)
+    });
+    offset += currentChars;
+    current = [];
+    currentChars = 0;
+  };
+
+  for (const piece of pieces) {
+    if (currentChars > 0 && currentChars + piece.length > CHUNK_CHARS) flush();
+    current.push(piece);
+    currentChars += piece.length;
+  }
+  flush();
+
+  return chunks;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Entities mentioned in a text - code as a whole word (case-sensitive) or the full name
+ */
+const matchEntities = (text, entities) => entities
+  .filter(entity =>
+    (entity.code && new RegExp(`\\b${escapeRegExp(entity.code)}\\b`).test(text)) ||
+    (entity.name && text.toLowerCase().includes(entity.name.toLowerCase())))
+  .map(entity => entity.id);
+
+/**
+ * Build every chunk of a session from its current data
+ */
+async function buildSessionChunks(sessionId) {
+  const [recordings, findings, items, documents] = await Promise.all([
+    db.query(`
+      SELECT id, transcription, speaker_turns, chunk_index, duration_seconds
+      FROM session_recordings
+      WHERE session_id = $1 AND transcription IS NOT NULL AND transcription <> ''
+    `, [sessionId]),
+    db.query(`
+      SELECT id, topic, details, sap_analysis, sap_recommendation, source_quote, source_speaker
+      FROM session_additional_findings
+      WHERE session_id = $1
+    `, [sessionId]),
+    db.query(`
+      SELECT id, item_number, item_text, category, obtained_text, obtained_speaker
+      FROM session_checklist_items
+      WHERE session_id = $1 AND status = 'obtained' AND obtained_text IS NOT NULL AND obtained_text <> ''
+    `, [sessionId]),
+    db.query(`
+      SELECT id, original_name, file_name, extracted_text
+      FROM session_documents
+      WHERE session_id = $1 AND extracted_text IS NOT NULL AND extracted_text <> ''
+    `, [sessionId])
+  ]);
+
+  const chunks = [];
+
+  for (const recording of recordings.rows) {
+    chunkRecording(recording).forEach((chunk, index) => chunks.push({
+      source_type: 'transcript',
+      source_id: recording.id,
+      chunk_index: index,
+      title: `Recording ${(recording.chunk_index || 0) + 1}`,
+      ...chunk
+    }));
+  }
+
+  for (const finding of findings.rows) {
+    chunks.push({
+      source_type: 'finding',
+      source_id: finding.id,
+      chunk_index: 0,
+      title: finding.topic,
+      content: [
+        finding.details,
+        finding.sap_analysis,
+        finding.sap_recommendation,
+        finding.source_quote && `"${finding.source_quote}"${finding.source_speaker ? ` - ${finding.source_speaker}` : ''}`
+      ].filter(Boolean).join('\n\n') || finding.topic
+    });
+  }
+
+  for (const item of items.rows) {
+    chunks.push({
+      source_type: 'checklist_item',
+      source_id: item.id,
+      chunk_index: 0,
+      title: `#${item.item_number} ${item.item_text}`,
+      content: `${item.obtained_text}${item.obtained_speaker ? `\n(Supplied by ${item.obtained_speaker})` : ''}`
+    });
+  }
+
+  for (const document of documents.rows) {
+    splitText(document.extracted_text, CHUNK_CHARS, DOCUMENT_OVERLAP_CHARS).forEach((piece, index) => chunks.push({
+      source_type: 'document',
+      source_id: document.id,
+      chunk_index: index,
+      title: document.original_name || document.file_name,
+      content: piece.text
+    }));
+  }
+
+  return chunks;
+}
+
+// ============================================
+// Indexing
+// ============================================
+
+const hashChunk = (chunk) => crypto.createHash('sha256')
+  .update(JSON.stringify([chunk.title, chunk.content, chunk.start_seconds, chunk.end_seconds, chunk.entity_ids]))
+  .digest('hex');
+
+const normalize = (vector) => {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / length);
+};
+
+// Provider and model stored with each embedding; vectors of other models are not compared
+const currentEmbeddingModel = () => {
+  const { provider, model } = getTaskConfig(EMBEDDING_TASK);
+  return `${provider}:${model}`;
+};
+
+/**
+ * Bring the stored chunks of a session in line with its data
+ * @returns {Promise<{ chunks: number, added: number, updated: number, removed: number }>}
+ */
+async function syncSessionChunks(session) {
+  const entitiesResult = await db.query('SELECT id, code, name FROM entities WHERE workshop_id = $1', [session.workshop_id]);
+  const chunks = await buildSessionChunks(session.id);
+
+  const existingResult = await db.query(`
+    SELECT id, source_type, source_id, chunk_index, content_hash
+    FROM search_chunks
+    WHERE session_id = $1
+  `, [session.id]);
+  const existing = new Map(existingResult.rows.map(row => [`${row.source_type}:${row.source_id}:${row.chunk_index}`, row]));
+
+  let added = 0;
+  let updated = 0;
+
+  for (const chunk of chunks) {
+    chunk.entity_ids = matchEntities(`${chunk.title || ''}\n${chunk.content}`, entitiesResult.rows);
+    const hash = hashChunk(chunk);
+    const key = `${chunk.source_type}:${chunk.source_id}:${chunk.chunk_index}`;
+    const row = existing.get(key);
+    existing.delete(key);
+
+    if (!row) {
+      await db.query(`
+        INSERT INTO search_chunks
+          (workshop_id, session_id, source_type, source_id, chunk_index, title, content,
+           content_hash, start_seconds, end_seconds, entity_ids)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [session.workshop_id, session.id, chunk.source_type, chunk.source_id, chunk.chunk_index,
+          chunk.title, chunk.content, hash, chunk.start_seconds ?? null, chunk.end_seconds ?? null, chunk.entity_ids]);
+      added++;
+    } else if (row.content_hash !== hash) {
+      await db.query(`
+        UPDATE search_chunks SET
+          title = $2,
+          content = $3,
+          content_hash = $4,
+          start_seconds = $5,
+          end_seconds = $6,
+          entity_ids = $7,
+          embedding = NULL,
+          embedding_model = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [row.id, chunk.title, chunk.content, hash, chunk.start_seconds ?? null, chunk.end_seconds ?? null, chunk.entity_ids]);
+      updated++;
+    }
+  }
+
+  // Whatever is left no longer exists in the session
+  const removedIds = [...existing.values()].map(row => row.id);
+  if (removedIds.length > 0) {
+    await db.query('DELETE FROM search_chunks WHERE id = ANY($1)', [removedIds]);
+  }
+
+  return { chunks: chunks.length, added, updated, removed: removedIds.length };
+}
+
+/**
+ * Embed the chunks of a session that have no embedding for the current model
+ * @returns {Promise<number>} number of chunks embedded
+ */
+async function embedSessionChunks(sessionId, onProgress) {
+  if (!isEmbeddingConfigured(EMBEDDING_TASK)) return 0;
+
+  const model = currentEmbeddingModel();
+  const pending = await db.query(`
+    SELECT id, title, content FROM search_chunks
+    WHERE session_id = $1 AND (embedding IS NULL OR embedding_model IS DISTINCT FROM $2)
+    ORDER BY id
+  `, [sessionId, model]);
+
+  let embedded = 0;
+  for (let i = 0; i < pending.rows.length; i += EMBED_BATCH_SIZE) {
+    const batch = pending.rows.slice(i, i + EMBED_BATCH_SIZE);
+    const { embeddings } = await embed(EMBEDDING_TASK, batch.map(row => `${row.title || ''}\n${row.content}`));
+
+    for (const [index, row] of batch.entries()) {
+      await db.query(
+        'UPDATE search_chunks SET embedding = $2, embedding_model = $3 WHERE id = $1',
+        [row.id, normalize(embeddings[index]), model]
+      );
+    }
+    embedded += batch.length;
+    if (onProgress) await onProgress(embedded, pending.rows.length);
+  }
+
+  return embedded;
+}
+
+/**
+ * Reindex one session, repeating while it keeps changing during the run
+ * @param {Object} options - { onProgress(message, embedded, total) }
+ */
+async function indexSession(sessionId, { onProgress } = {}) {
+  let stats = null;
+
+  for (let pass = 1; pass <= MAX_INDEX_PASSES; pass++) {
+    const sessionResult = await db.query('SELECT id, workshop_id, search_dirty_at FROM sessions WHERE id = $1', [sessionId]);
+    if (sessionResult.rows.length === 0) return null;
+    const session = sessionResult.rows[0];
+
+    stats = await syncSessionChunks(session);
+    stats.embedded = await embedSessionChunks(sessionId, onProgress);
+
+    // Changes made while this pass ran moved search_dirty_at - index again
+    const doneResult = await db.query(`
+      UPDATE sessions SET search_indexed_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING search_dirty_at
+    `, [sessionId]);
+    const dirtyAt = doneResult.rows[0]?.search_dirty_at;
+    if (!dirtyAt || (session.search_dirty_at && dirtyAt.getTime() === session.search_dirty_at.getTime())) {
+      break;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Mark a session's searchable data as changed and queue its reindex.
+ * Never throws - search freshness must not break the change itself.
+ */
+async function scheduleSessionIndexing(sessionId) {
+  try {
+    await db.query('UPDATE sessions SET search_dirty_at = CURRENT_TIMESTAMP WHERE id = $1', [sessionId]);
+    await enqueueJob('search_index', { sessionId }, {
+      sessionId,
+      dedupeKey: `search_index:session:${sessionId}`
+    });
+  } catch (error) {
+    console.error(`Error scheduling search indexing for session ${sessionId}:`, error);
+  }
+}
+
+// ============================================
+// Search
+// ============================================
+
+/**
+ * Shared WHERE clause for the search filters (and workshop membership)
+ */
+const buildFilters = ({ workshopId, sessionId, module, entityId, sourceTypes, user }, params) => {
+  const conditions = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (workshopId) addCondition('c.workshop_id = ?', workshopId);
+  if (sessionId) addCondition('c.session_id = ?', sessionId);
+  if (module) addCondition('s.module = ?', module);
+  if (entityId) addCondition('? = ANY(c.entity_ids)', parseInt(entityId));
+  if (sourceTypes && sourceTypes.length > 0) addCondition('c.source_type = ANY(?)', sourceTypes);
+
+  const memberFilter = memberWorkshopFilter(user, 'c.workshop_id', params.length + 1);
+  if (memberFilter) {
+    params.push(user.id);
+    conditions.push(memberFilter);
+  }
+
+  return conditions;
+};
+
+const RESULT_COLUMNS = `
+  c.id, c.source_type, c.source_id, c.chunk_index, c.title,
+  c.start_seconds, c.end_seconds, c.entity_ids,
+  c.workshop_id, w.name as workshop_name,
+  c.session_id, s.name as session_name, s.session_number, s.module
+`;
+
+// Highlighted matches are wrapped in [[ ]] so clients can render them without HTML
+const snippetSql = (queryParam) => `ts_headline('english', c.content, websearch_to_tsquery('english', ${queryParam}),
+  'StartSel=[[, StopSel=]], MaxWords=40, MinWords=15, MaxFragments=2, FragmentDelimiter=" ... "') as snippet`;
+
+async function keywordSearch(query, filters, limit) {
+  const params = [query];
+  const conditions = buildFilters(filters, params);
+  conditions.push("c.search_vector @@ websearch_to_tsquery('english', $1)");
+
+  const result = await db.query(`
+    SELECT ${RESULT_COLUMNS}, ${snippetSql('$1')},
+           ts_rank_cd(c.search_vector, websearch_to_tsquery('english', $1)) as score
+    FROM search_chunks c
+    JOIN sessions s ON c.session_id = s.id
+    JOIN workshops w ON c.workshop_id = w.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY score DESC, c.id
+    LIMIT ${limit}
+  `, params);
+  return result.rows;
+}
+
+async function semanticSearch(query, filters, limit) {
+  const { embeddings } = await embed(EMBEDDING_TASK, [query]);
+  const params = [query, normalize(embeddings[0]), currentEmbeddingModel()];
+  const conditions = buildFilters(filters, params);
+  conditions.push('c.embedding_model = $3');
+
+  const result = await db.query(`
+    SELECT ${RESULT_COLUMNS}, ${snippetSql('$1')},
+           (SELECT SUM(a * b) FROM unnest(c.embedding, $2::real[]) AS t(a, b)) as score
+    FROM search_chunks c
+    JOIN sessions s ON c.session_id = s.id
+    JOIN workshops w ON c.workshop_id = w.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY score DESC, c.id
+    LIMIT ${limit}
+  `, params);
+  return result.rows;
+}
+
+/**
+ * Combine ranked lists with reciprocal rank fusion
+ */
+const fuseResults = (lists, limit) => {
+  const fused = new Map();
+  for (const list of lists) {
+    list.forEach((row, rank) => {
+      const entry = fused.get(row.id) || { ...row, score: 0 };
+      entry.score += 1 / (RRF_K + rank + 1);
+      fused.set(row.id, entry);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+/**
+ * Search indexed chunks
+ * @param {Object} options - { query, mode, workshopId, sessionId, module, entityId, sourceTypes, user, limit }
+ * @returns {Promise<{ mode: string, semanticAvailable: boolean, results: Array }>}
+ */
+async function searchChunks({ query, mode = 'hybrid', limit = 20, ...filters }) {
+  const semanticAvailable = isEmbeddingConfigured(EMBEDDING_TASK);
+  const effectiveMode = semanticAvailable ? mode : 'keyword';
+
+  let results;
+  if (effectiveMode === 'keyword') {
+    results = await keywordSearch(query, filters, limit);
+  } else if (effectiveMode === 'semantic') {
+    results = await semanticSearch(query, filters, limit);
+  } else {
+    const [keyword, semantic] = await Promise.all([
+      keywordSearch(query, filters, limit * 3),
+      semanticSearch(query, filters, limit * 3)
+    ]);
+    results = fuseResults([keyword, semantic], limit);
+  }
+
+  return {
+    mode: effectiveMode,
+    semanticAvailable,
+    results: results.map(row => ({ ...row, score: Number(row.score) }))
+  };
+}
+
+/**
+ * A chunk with its neighbours and source details, for showing a result in context
+ */
+async function getChunkContext(chunkId) {
+  const chunkResult = await db.query(`
+    SELECT ${RESULT_COLUMNS}, c.content
+    FROM search_chunks c
+    JOIN sessions s ON c.session_id = s.id
+    JOIN workshops w ON c.workshop_id = w.id
+    WHERE c.id = $1
+  `, [chunkId]);
+  if (chunkResult.rows.length === 0) return null;
+  const chunk = chunkResult.rows[0];
+
+  const neighbours = await db.query(`
+    SELECT id, chunk_index, content, start_seconds, end_seconds
+    FROM search_chunks
+    WHERE source_type = $1 AND source_id = $2 AND chunk_index BETWEEN $3 - 1 AND $3 + 1
+    ORDER BY chunk_index
+  `, [chunk.source_type, chunk.source_id, chunk.chunk_index]);
+
+  let source = null;
+  if (chunk.source_type === 'transcript') {
+    const result = await db.query(
+      'SELECT id, chunk_index, duration_seconds, created_at FROM session_recordings WHERE id = $1',
+      [chunk.source_id]
+    );
+    source = result.rows[0] || null;
+  } else if (chunk.source_type === 'document') {
+    const result = await db.query(
+      'SELECT id, original_name, file_name, created_at FROM session_documents WHERE id = $1',
+      [chunk.source_id]
+    );
+    source = result.rows[0] || null;
+  }
+
+  return { chunk, context: neighbours.rows, source };
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  SEARCH_MODES,
+  indexSession,
+  scheduleSessionIndexing,
+  searchChunks,
+  getChunkContext
+};
@@ -0,0 +1,272 @@
+/**
+ * Session Agenda - Time-boxed plan of a session and its pacing while recording
+ *
+ * The agenda is generated from the checklist: one slot per category, in checklist
+ * order, with the session duration split by the importance of the items still missing
+ * (critical 3, important 2, nice-to-have 1) in steps of 5 minutes. Consultants can then
+ * change the minutes and the order (session_agenda_slots).
+ *
+ * Actual time is derived from the recorded chunks rather than stored: each chunk counts
+ * for the category most of its obtained items belong to, and a chunk that obtained
+ * nothing continues the category before it. From that the pacing shows the time used
+ * per slot against plan, when the current slot is over its time, and a burn-down of
+ * the critical items still missing against the plan.
+ */
+
+const db = require('../models/db');
+
+const IMPORTANCE_WEIGHTS = { critical: 3, important: 2, 'nice-to-have': 1 };
+const SLOT_STEP_MINUTES = 5;
+const MIN_SLOT_MINUTES = 5;
+
+const categoryOf = (item) => item.category || 'General';
+
+const getSessionItems = async (sessionId) => {
+  const result = await db.query(`
+    SELECT id, item_number, category, importance, status, obtained_at
+    FROM session_checklist_items
+    WHERE session_id = $1
+    ORDER BY item_number
+  `, [sessionId]);
+  return result.rows;
+};
+
+/**
+ * Split a duration over weighted categories in SLOT_STEP_MINUTES steps
+ * Every category gets at least MIN_SLOT_MINUTES; the steps left over go to the
+ * categories rounded down the most.
+ * @param {Array} categories - [{ category, weight }] in agenda order
+ * @returns {Array} [{ category, planned_minutes }]
+ */
+const allocateMinutes = (categories, totalMinutes) => {
+  const totalWeight = categories.reduce((sum, entry) => sum + entry.weight, 0) || 1;
+  const slots = categories.map(entry => {
+    const exact = (totalMinutes * entry.weight) / totalWeight;
+    const planned = Math.max(MIN_SLOT_MINUTES, Math.floor(exact / SLOT_STEP_MINUTES) * SLOT_STEP_MINUTES);
+    return { category: entry.category, planned_minutes: planned, shortfall: exact - planned };
+  });
+
+  let left = totalMinutes - slots.reduce((sum, slot) => sum + slot.planned_minutes, 0);
+  while (left >= SLOT_STEP_MINUTES && slots.length > 0) {
+    const slot = slots.reduce((best, candidate) => (candidate.shortfall > best.shortfall ? candidate : best));
+    slot.planned_minutes += SLOT_STEP_MINUTES;
+    slot.shortfall -= SLOT_STEP_MINUTES;
+    left -= SLOT_STEP_MINUTES;
+  }
+
+  return slots.map(({ category, planned_minutes }) => ({ category, planned_minutes }));
+};
+
+const replaceSlots = async (sessionId, slots) => {
+  await db.query('DELETE FROM session_agenda_slots WHERE session_id = $1', [sessionId]);
+  for (const [position, slot] of slots.entries()) {
+    await db.query(`
+      INSERT INTO session_agenda_slots (session_id, position, category, planned_minutes)
+      VALUES ($1, $2, $3, $4)
+    `, [sessionId, position, slot.category, slot.planned_minutes]);
+  }
+  // The session's planned duration follows the agenda (the question coach plans against it)
+  await db.query(
+    'UPDATE sessions SET planned_duration_minutes = $1 WHERE id = $2',
+    [slots.reduce((sum, slot) => sum + slot.planned_minutes, 0) || null, sessionId]
+  );
+};
+
+/**
+ * Generate the agenda of a session from its checklist (replaces the current one)
+ * Categories whose items are all obtained already get no time.
+ * @returns {Promise<Array>} the slots
+ */
+async function generateAgenda(sessionId, durationMinutes) {
+  const items = await getSessionItems(sessionId);
+  const open = items.filter(item => item.status === 'missing');
+  const planned = open.length > 0 ? open : items;
+
+  const weights = new Map();
+  for (const item of planned) {
+    const category = categoryOf(item);
+    weights.set(category, (weights.get(category) || 0) + (IMPORTANCE_WEIGHTS[item.importance] ?? IMPORTANCE_WEIGHTS.important));
+  }
+
+  const slots = allocateMinutes(
+    [...weights.entries()].map(([category, weight]) => ({ category, weight })),
+    durationMinutes
+  );
+  await replaceSlots(sessionId, slots);
+  return slots;
+}
+
+/**
+ * Save edited slots (order and minutes) of a session's agenda
+ * @param {Array} slots - [{ category, planned_minutes }] in agenda order
+ */
+async function updateAgendaSlots(sessionId, slots) {
+  await replaceSlots(sessionId, slots);
+}
+
+/**
+ * Category of every recorded chunk, in chunk order
+ * @returns {Array} recordings with category (null before anything was obtained), minutes and recorded_at
+ */
+const attributeRecordings = (recordings, obtainedCounts, slotOrder) => {
+  let previous = null;
+  return recordings.map(recording => {
+    const counts = obtainedCounts.get(recording.id);
+    let category = previous;
+    if (counts) {
+      // Most items obtained; on a tie stay in the current category, then follow the agenda
+      category = [...counts.entries()].sort((a, b) =>
+        b[1] - a[1]
+        || (b[0] === previous) - (a[0] === previous)
+        || (slotOrder.get(a[0]) ?? Infinity) - (slotOrder.get(b[0]) ?? Infinity)
+      )[0][0];
+    }
+    previous = category;
+    return {
+      id: recording.id,
+      category,
+      minutes: (recording.duration_seconds || 0) / 60,
+      recorded_at: recording.analyzed_at || recording.created_at
+    };
+  });
+};
+
+/**
+ * Critical items still missing over the recorded time, against the agenda's plan
+ * @returns {Object} { actual: [{ minute, remaining }], planned: [{ minute, remaining }] }
+ */
+const buildBurndown = (items, chunks, slots) => {
+  const critical = items.filter(item => item.importance === 'critical');
+  const missingAt = (time) => critical.filter(item =>
+    item.status !== 'obtained' || !item.obtained_at || new Date(item.obtained_at) > time
+  );
+
+  // Critical items open when the recording started
+  const start = chunks.length > 0
+    ? new Date(new Date(chunks[0].recorded_at).getTime() - chunks[0].minutes * 60000)
+    : null;
+  const openAtStart = start ? missingAt(start) : critical.filter(item => item.status !== 'obtained');
+
+  const actual = [];
+  if (chunks.length > 0) {
+    actual.push({ minute: 0, remaining: openAtStart.length });
+    let elapsed = 0;
+    for (const chunk of chunks) {
+      elapsed += chunk.minutes;
+      actual.push({ minute: Math.round(elapsed * 10) / 10, remaining: missingAt(new Date(chunk.recorded_at)).length });
+    }
+  }
+
+  // The plan closes a slot's critical items by the end of the slot
+  const planned = [{ minute: 0, remaining: openAtStart.length }];
+  let remaining = openAtStart.length;
+  let minute = 0;
+  for (const slot of slots) {
+    minute += slot.planned_minutes;
+    remaining -= openAtStart.filter(item => categoryOf(item) === slot.category).length;
+    planned.push({ minute, remaining });
+  }
+
+  return { actual, planned };
+};
+
+/**
+ * Agenda of a session with the time used per slot, the slot to move on from and the burn-down
+ * @returns {Promise<Object|null>} { plannedMinutes, recordedMinutes, slots, currentCategory,
+ *   unplannedMinutes, moveOn, burndown }, null when the session does not exist
+ */
+async function getAgenda(sessionId) {
+  const sessionResult = await db.query('SELECT id, planned_duration_minutes FROM sessions WHERE id = $1', [sessionId]);
+  const session = sessionResult.rows[0];
+  if (!session) return null;
+
+  const slotsResult = await db.query(
+    'SELECT * FROM session_agenda_slots WHERE session_id = $1 ORDER BY position',
+    [sessionId]
+  );
+  const items = await getSessionItems(sessionId);
+  const recordingsResult = await db.query(`
+    SELECT id, duration_seconds, created_at, analyzed_at
+    FROM session_recordings
+    WHERE session_id = $1
+    ORDER BY chunk_index, created_at
+  `, [sessionId]);
+  const obtainedResult = await db.query(`
+    SELECT h.recording_id, i.category, COUNT(*)::int as count
+    FROM session_checklist_item_history h
+    JOIN session_checklist_items i ON h.item_id = i.id
+    WHERE h.session_id = $1 AND h.action = 'obtained' AND h.recording_id IS NOT NULL
+    GROUP BY h.recording_id, i.category
+  `, [sessionId]);
+
+  const obtainedCounts = new Map();
+  for (const row of obtainedResult.rows) {
+    if (!obtainedCounts.has(row.recording_id)) obtainedCounts.set(row.recording_id, new Map());
+    obtainedCounts.get(row.recording_id).set(row.category || 'General', row.count);
+  }
+  const slotOrder = new Map(slotsResult.rows.map(slot => [slot.category, slot.position]));
+  const chunks = attributeRecordings(recordingsResult.rows, obtainedCounts, slotOrder);
+  const currentCategory = chunks.length > 0 ? chunks[chunks.length - 1].category : null;
+
+  let plannedStart = 0;
+  const slots = slotsResult.rows.map(slot => {
+    const slotItems = items.filter(item => categoryOf(item) === slot.category);
+    const slotChunks = chunks.filter(chunk => chunk.category === slot.category);
+    const actualMinutes = slotChunks.reduce((sum, chunk) => sum + chunk.minutes, 0);
+    const missing = slotItems.filter(item => item.status === 'missing');
+
+    const entry = {
+      id: slot.id,
+      position: slot.position,
+      category: slot.category,
+      planned_minutes: slot.planned_minutes,
+      planned_start: plannedStart,
+      actual_minutes: Math.round(actualMinutes * 10) / 10,
+      started_at: slotChunks[0]?.recorded_at || null,
+      items: slotItems.length,
+      missing: missing.length,
+      critical_missing: missing.filter(item => item.importance === 'critical').length,
+      status: missing.length === 0 ? 'done'
+        : slot.category === currentCategory ? 'current'
+          : actualMinutes > 0 ? 'started' : 'upcoming',
+      over: actualMinutes > slot.planned_minutes
+    };
+    plannedStart += slot.planned_minutes;
+    return entry;
+  });
+
+  // Time is up in the slot being discussed: say what is still critical and where to go next
+  let moveOn = null;
+  const current = slots.find(slot => slot.category === currentCategory);
+  if (current && current.actual_minutes >= current.planned_minutes) {
+    const next = slots.find(slot => slot.position > current.position && slot.missing > 0)
+      || slots.find(slot => slot.category !== current.category && slot.missing > 0);
+    moveOn = {
+      category: current.category,
+      overMinutes: Math.round(current.actual_minutes - current.planned_minutes),
+      criticalMissing: current.critical_missing,
+      nextCategory: next?.category || null
+    };
+  }
+
+  const recordedMinutes = chunks.reduce((sum, chunk) => sum + chunk.minutes, 0);
+  return {
+    plannedMinutes: session.planned_duration_minutes,
+    recordedMinutes: Math.round(recordedMinutes),
+    slots,
+    currentCategory,
+    // Recorded time in categories without a slot, or before anything was obtained
+    unplannedMinutes: Math.round(chunks
+      .filter(chunk => !chunk.category || !slotOrder.has(chunk.category))
+      .reduce((sum, chunk) => sum + chunk.minutes, 0)),
+    moveOn,
+    burndown: buildBurndown(items, chunks, slots)
+  };
+}
+
+module.exports = {
+  IMPORTANCE_WEIGHTS,
+  generateAgenda,
+  updateAgendaSlots,
+  getAgenda
+};
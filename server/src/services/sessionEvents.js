@@ -0,0 +1,148 @@
+/**
+ * Session Events - Live updates and presence for checklist sessions
+ *
+ * Server-Sent Events hub shared by the consultant checklist view and the
+ * public share portal. Every viewer of a session holds one SSE connection;
+ * routes call publish() after changing checklist data so all other viewers
+ * refresh the affected parts immediately.
+ *
+ * State is kept in memory, so this assumes a single server instance.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const KEEPALIVE_INTERVAL_MS = 25000;
+
+// sessionId -> Map(connectionId -> { res, viewer })
+const sessionConnections = new Map();
+
+const getConnections = (sessionId) => {
+  const key = String(sessionId);
+  if (!sessionConnections.has(key)) {
+    sessionConnections.set(key, new Map());
+  }
+  return sessionConnections.get(key);
+};
+
+const writeEvent = (res, data) => {
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Unique viewers currently connected to a session.
+ * The same person with several tabs open is listed once.
+ */
+const getPresence = (sessionId) => {
+  const connections = sessionConnections.get(String(sessionId));
+  if (!connections) return [];
+
+  const viewers = new Map();
+  for (const { viewer } of connections.values()) {
+    const key = `${viewer.kind}:${viewer.id}`;
+    if (!viewers.has(key)) {
+      viewers.set(key, { ...viewer, connections: 0 });
+    }
+    viewers.get(key).connections++;
+  }
+  return Array.from(viewers.values());
+};
+
+/**
+ * Send an event to every viewer of a session
+ * @param {number|string} sessionId
+ * @param {string} type - checklist_updated | findings_updated | recording_added | document_updated |
+ *   transcript_segment | transcript_ended | presence
+ * @param {Object} payload - event details (actor, itemIds, counts, ...)
+ */
+const publish = (sessionId, type, payload = {}) => {
+  const connections = sessionConnections.get(String(sessionId));
+  if (!connections || connections.size === 0) return;
+
+  const event = { type, ...payload, at: new Date().toISOString() };
+  for (const { res } of connections.values()) {
+    try {
+      writeEvent(res, event);
+    } catch (error) {
+      console.error('Error writing session event:', error.message);
+    }
+  }
+};
+
+/**
+ * Publish the outcome of an audio/document/re-analysis run
+ * @param {number|string} sessionId
+ * @param {string} actor - display name of whoever triggered the analysis
+ * @param {string} source - 'audio' | 'document' | 'prework' | 'manual' | 'reanalysis'
+ * @param {Object} result - { obtainedItemIds, resetItemIds, findingsCount }
+ */
+const publishAnalysis = (sessionId, actor, source, { obtainedItemIds = [], resetItemIds = [], findingsCount = 0 }) => {
+  if (obtainedItemIds.length > 0 || resetItemIds.length > 0) {
+    publish(sessionId, 'checklist_updated', { actor, source, obtainedItemIds, resetItemIds });
+  }
+  if (findingsCount > 0) {
+    publish(sessionId, 'findings_updated', { actor, source, findingsCount });
+  }
+};
+
+const publishPresence = (sessionId) => {
+  publish(sessionId, 'presence', { viewers: getPresence(sessionId) });
+};
+
+/**
+ * Open an SSE stream for a viewer and register their presence.
+ * @param {number|string} sessionId
+ * @param {Object} req - Express request (used to detect disconnects)
+ * @param {Object} res - Express response
+ * @param {Object} viewer - { id, name, kind: 'user' | 'share', role }
+ */
+const subscribe = (sessionId, req, res, viewer) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const connectionId = uuidv4();
+  const connections = getConnections(sessionId);
+  connections.set(connectionId, { res, viewer });
+
+  writeEvent(res, { type: 'connected', connectionId, viewers: getPresence(sessionId) });
+  publishPresence(sessionId);
+
+  // Comment lines keep proxies from closing idle connections
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    connections.delete(connectionId);
+    if (connections.size === 0) {
+      sessionConnections.delete(String(sessionId));
+    } else {
+      publishPresence(sessionId);
+    }
+  });
+};
+
+/**
+ * Close only the share-portal streams of a session
+ */
+const closeShareViewers = (sessionId, reason) => {
+  const connections = sessionConnections.get(String(sessionId));
+  if (!connections) return;
+  for (const [connectionId, { res, viewer }] of connections.entries()) {
+    if (viewer.kind === 'share') {
+      writeEvent(res, { type: 'session_closed', reason });
+      res.end();
+      connections.delete(connectionId);
+    }
+  }
+  publishPresence(sessionId);
+};
+
+module.exports = {
+  subscribe,
+  publish,
+  publishAnalysis,
+  getPresence,
+  closeShareViewers
+};
@@ -0,0 +1,420 @@
+/**
+ * Session Memory - Rolling structured memory of a session's recordings
+ *
+ * Analysis prompts used to carry every earlier transcript of the session, so each
+ * new chunk cost more than the last and re-analysis had to truncate long sessions.
+ * Instead, every transcribed recording is folded into the session memory once:
+ * - session_memory_chunks: a summary and the concrete facts stated, per recording
+ * - session_memory:        a rolling summary of the whole session (rewritten, bounded)
+ *                          and the open threads - questions raised but not yet answered
+ *
+ * Routes that transcribe recordings call scheduleSessionMemoryUpdate(sessionId), which
+ * enqueues one session_memory job per session. updateSessionMemory() folds in every
+ * recording that is not remembered yet, in chunk order, so it is safe to run again.
+ * Recordings transcribed but not yet remembered are given to the analysis raw.
+ * A recording the model could not summarize is remembered with its whole transcript
+ * (summarized = false), so re-analysis still sees everything that was said.
+ *
+ * Updates of one session are serialized in-process (one server instance, like
+ * liveTranscription); recording_id is unique so a recording is never folded in twice.
+ */
+
+const db = require('../models/db');
+const { completeJson, oneOfIds, AIResponseError } = require('./aiJson');
+const { enqueueJob } = require('./jobQueue');
+const { getSessionSpeakers, recordingAnalysisText, speakerInstructions } = require('./speakerAttribution');
+const { languageInstructions } = require('./language');
+
+// Rolling summary kept within this size however long the session runs
+const MAX_SUMMARY_CHARS = 4000;
+// Open threads kept; the oldest are dropped first
+const MAX_OPEN_THREADS = 30;
+// What the per-chunk analysis prompt shows besides the rolling summary
+const RECENT_CHUNKS = 3;
+const MAX_PROMPT_FACTS = 60;
+// Recordings not yet remembered that are pasted raw into the analysis prompt
+const MAX_PENDING_RECORDINGS = 3;
+// A recording whose summary failed keeps its whole transcript; the per-chunk
+// analysis prompt shows only this much of it among the latest recordings
+const UNSUMMARIZED_PREVIEW_CHARS = 3000;
+
+const chunkLabel = (chunkIndex) => `[Chunk ${(chunkIndex || 0) + 1}]`;
+
+// ============================================
+// Reading
+// ============================================
+
+/**
+ * Rolling memory of a session, with its per-recording chunks in chunk order
+ * @returns {Promise<{summary: string|null, openThreads: Array, nextThreadNumber: number, chunks: Array}>}
+ */
+async function getSessionMemory(sessionId) {
+  const memoryResult = await db.query('SELECT * FROM session_memory WHERE session_id = $1', [sessionId]);
+  const chunksResult = await db.query(`
+    SELECT c.*
+    FROM session_memory_chunks c
+    JOIN session_recordings r ON c.recording_id = r.id
+    WHERE c.session_id = $1
+    ORDER BY r.chunk_index ASC, r.created_at ASC
+  `, [sessionId]);
+
+  const memory = memoryResult.rows[0];
+  return {
+    summary: memory?.summary || null,
+    openThreads: memory?.open_threads || [],
+    nextThreadNumber: memory?.next_thread_number || 1,
+    chunks: chunksResult.rows
+  };
+}
+
+/**
+ * Transcribed recordings that are not part of the memory yet, in chunk order
+ */
+async function getPendingRecordings(sessionId) {
+  const result = await db.query(`
+    SELECT r.id, r.chunk_index, r.transcription, r.speaker_turns
+    FROM session_recordings r
+    LEFT JOIN session_memory_chunks c ON c.recording_id = r.id
+    WHERE r.session_id = $1 AND r.transcription IS NOT NULL AND c.id IS NULL
+    ORDER BY r.chunk_index ASC, r.created_at ASC
+  `, [sessionId]);
+  return result.rows;
+}
+
+const formatFact = (fact) =>
+  `${fact.participant_id ? `[P:${fact.participant_id}] ` : ''}${fact.speaker ? `${fact.speaker}: ` : ''}${fact.text}`;
+
+const formatThreads = (threads) => threads.map(thread => `- T${thread.number}: ${thread.text}`).join('\n');
+
+/**
+ * One recording's memory as prompt text: its summary followed by its facts
+ */
+const formatChunk = (chunk) => {
+  const facts = chunk.facts || [];
+  if (chunk.summarized === false) {
+    return `${chunkLabel(chunk.chunk_index)} (Not summarized - full transcript)\n${chunk.summary}`;
+  }
+  return `${chunkLabel(chunk.chunk_index)} ${chunk.summary}${facts.length > 0
+    ? `\nFacts:\n${facts.map(fact => `- ${formatFact(fact)}`).join('\n')}`
+    : ''}`;
+};
+
+/**
+ * Context for analyzing a new chunk: the rolling summary, the latest chunk summaries,
+ * recent facts and open threads, plus recordings not yet remembered. Its size does not
+ * grow with the length of the session.
+ * @param {Object} options - excludeRecordingId: the recording being analyzed
+ */
+async function buildAnalysisContext(sessionId, { excludeRecordingId = null } = {}) {
+  const memory = await getSessionMemory(sessionId);
+  const pending = (await getPendingRecordings(sessionId))
+    .filter(recording => recording.id !== excludeRecordingId);
+
+  const sections = [];
+
+  if (memory.summary) {
+    sections.push(`Session so far (${memory.chunks.length} recording(s) summarized):\n${memory.summary}`);
+  }
+
+  const recentChunks = memory.chunks.slice(-RECENT_CHUNKS);
+  if (recentChunks.length > 0) {
+    sections.push(`Latest recordings:\n${recentChunks.map(chunk => (chunk.summarized === false
+      ? `${chunkLabel(chunk.chunk_index)} (Not summarized) ${chunk.summary.substring(0, UNSUMMARIZED_PREVIEW_CHARS)}`
+      : `${chunkLabel(chunk.chunk_index)} ${chunk.summary}`)).join('\n')}`);
+  }
+
+  const facts = memory.chunks
+    .flatMap(chunk => (chunk.facts || []).map(fact => `- ${chunkLabel(chunk.chunk_index)} ${formatFact(fact)}`))
+    .slice(-MAX_PROMPT_FACTS);
+  if (facts.length > 0) {
+    sections.push(`Facts stated so far${facts.length === MAX_PROMPT_FACTS ? ' (most recent)' : ''}:\n${facts.join('\n')}`);
+  }
+
+  if (memory.openThreads.length > 0) {
+    sections.push(`Open threads (raised, not yet answered):\n${formatThreads(memory.openThreads)}`);
+  }
+
+  if (pending.length > 0) {
+    const shown = pending.slice(-MAX_PENDING_RECORDINGS);
+    const skipped = pending.length - shown.length;
+    sections.push(`Earlier recordings not summarized yet:${skipped > 0 ? ` (${skipped} older one(s) omitted)` : ''}\n${shown
+      .map(recording => `${chunkLabel(recording.chunk_index)}\n${recordingAnalysisText(recording)}`)
+      .join('\n\n---\n\n')}`);
+  }
+
+  return sections.length > 0 ? sections.join('\n\n') : '(This is the first recording of the session)';
+}
+
+/**
+ * The whole session memory split into prompt-sized windows for re-analysis.
+ * Every recording is covered; a window holds as many chunk memories as fit in maxChars,
+ * and a chunk larger than that (an unsummarized transcript) is split over several windows.
+ * @returns {Promise<{summary: string|null, openThreads: Array, windows: Array<{firstChunk, lastChunk, text}>,
+ *   unsummarizedChunks: Array<number>}>} unsummarizedChunks: chunk numbers whose summary failed
+ */
+async function getMemoryWindows(sessionId, maxChars) {
+  const memory = await getSessionMemory(sessionId);
+  const windows = [];
+  let current = null;
+
+  for (const chunk of memory.chunks) {
+    const chunkNumber = (chunk.chunk_index || 0) + 1;
+    const text = formatChunk(chunk);
+
+    if (text.length > maxChars) {
+      for (let start = 0; start < text.length; start += maxChars) {
+        windows.push({ firstChunk: chunkNumber, lastChunk: chunkNumber, text: text.substring(start, start + maxChars) });
+      }
+      current = null;
+      continue;
+    }
+
+    if (!current || current.text.length + text.length > maxChars) {
+      current = { firstChunk: chunkNumber, lastChunk: null, text: '' };
+      windows.push(current);
+    }
+    current.text += `${current.text ? '\n\n' : ''}${text}`;
+    current.lastChunk = chunkNumber;
+  }
+
+  return {
+    summary: memory.summary,
+    openThreads: memory.openThreads,
+    windows,
+    unsummarizedChunks: memory.chunks
+      .filter(chunk => chunk.summarized === false)
+      .map(chunk => (chunk.chunk_index || 0) + 1)
+  };
+}
+
+// ============================================
+// Updating
+// ============================================
+
+const memorySchema = (speakers, threadNumbers) => ({
+  type: 'object',
+  required: ['chunk_summary', 'session_summary'],
+  properties: {
+    chunk_summary: { type: 'string', check: (v) => v.trim() ? null : 'must not be empty' },
+    facts: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { type: 'string', check: (v) => v.trim() ? null : 'must not be empty' },
+          participant_id: {
+            type: 'integer',
+            nullable: true,
+            default: null,
+            fallback: null,
+            check: oneOfIds(speakers.map(p => p.id), 'a registered participant')
+          }
+        }
+      }
+    },
+    resolved_threads: {
+      type: 'array',
+      default: [],
+      items: { type: 'integer', check: oneOfIds(threadNumbers, 'an open thread number') }
+    },
+    new_threads: {
+      type: 'array',
+      default: [],
+      items: { type: 'string', check: (v) => v.trim() ? null : 'must not be empty' }
+    },
+    session_summary: { type: 'string', check: (v) => v.trim() ? null : 'must not be empty' }
+  }
+});
+
+/**
+ * Ask the model to fold one recording into the memory
+ * @returns {Promise<{chunkSummary, facts, resolvedThreads, newThreads, sessionSummary}|null>} null when the reply was unusable
+ */
+async function summarizeRecording(session, memory, recording, speakers) {
+  const text = recordingAnalysisText(recording);
+
+  const prompt = `You maintain the running memory of an SAP S/4HANA discovery workshop, so that later
+analysis can work from this memory instead of the full transcript.
+
+**Workshop:** ${session.workshop_name}
+**Session:** ${session.name} (${session.module})
+${speakerInstructions(speakers)}${languageInstructions(session.language, text)}
+**Session memory so far:**
+${memory.summary || '(empty - this is the first recording)'}
+
+**Open threads:**
+${memory.openThreads.length > 0 ? memory.openThreads.map(thread => `- [${thread.number}] ${thread.text}`).join('\n') : '(None)'}
+
+**New recording ${chunkLabel(recording.chunk_index)}:**
+${text}
+
+Update the memory with this recording.
+
+**Output Format - JSON:**
+\`\`\`json
+{
+  "chunk_summary": "3-6 sentences: what this recording covered, decisions made, problems raised",
+  "facts": [
+    { "text": "One concrete fact exactly as stated (numbers, names, org units, values, rules)", "participant_id": null }
+  ],
+  "resolved_threads": [2],
+  "new_threads": ["Question raised or information promised that was not given in this recording"],
+  "session_summary": "The whole session so far, rewritten to include this recording"
+}
+\`\`\`
+
+RULES:
+- facts keep every concrete value, name, number and decision stated - later analysis relies on them;
+  do NOT record questions, acknowledgements ("yes, we have that") or vague mentions as facts
+- participant_id is the [P:id] of the participant who stated the fact, or null
+- resolved_threads lists the numbers of open threads this recording answered
+- session_summary stays under 300 words however long the session gets: keep decisions,
+  structures and problems, drop small talk and detail already captured in facts
+- Write everything in English
+- Return ONLY valid JSON.`;
+
+  try {
+    const { data } = await completeJson('session_memory', {
+      maxTokens: 3000,
+      messages: [{ role: 'user', content: prompt }]
+    }, {
+      schema: memorySchema(speakers, memory.openThreads.map(thread => thread.number)),
+      review: { sessionId: session.id, context: { recordingId: recording.id, source: 'session_memory' } }
+    });
+    return {
+      chunkSummary: data.chunk_summary.trim(),
+      facts: data.facts,
+      resolvedThreads: data.resolved_threads,
+      newThreads: data.new_threads.map(thread => thread.trim()),
+      sessionSummary: data.session_summary.trim().substring(0, MAX_SUMMARY_CHARS)
+    };
+  } catch (error) {
+    if (!(error instanceof AIResponseError)) throw error;
+    console.error(`Session memory reply for recording ${recording.id} stored for review (${error.reviewId})`);
+    return null;
+  }
+}
+
+/**
+ * Fold one recording into the memory and save it
+ */
+async function rememberRecording(session, memory, recording, speakers) {
+  const update = await summarizeRecording(session, memory, recording, speakers);
+  const byId = new Map(speakers.map(p => [p.id, p]));
+
+  // An unusable reply still moves the memory on; the chunk keeps the whole transcript
+  const chunkSummary = update ? update.chunkSummary : recordingAnalysisText(recording);
+  const facts = update
+    ? update.facts.map(fact => ({
+      text: fact.text.trim(),
+      participant_id: fact.participant_id,
+      speaker: byId.get(fact.participant_id)?.name || null
+    }))
+    : [];
+
+  const inserted = await db.query(`
+    INSERT INTO session_memory_chunks (session_id, recording_id, chunk_index, summary, facts, summarized)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (recording_id) DO NOTHING
+    RETURNING id
+  `, [session.id, recording.id, recording.chunk_index || 0, chunkSummary, JSON.stringify(facts), Boolean(update)]);
+  if (inserted.rows.length === 0) return memory;
+
+  let { summary, openThreads, nextThreadNumber } = memory;
+  if (update) {
+    const resolved = new Set(update.resolvedThreads);
+    openThreads = openThreads.filter(thread => !resolved.has(thread.number));
+    for (const text of update.newThreads) {
+      openThreads.push({ number: nextThreadNumber++, text, chunk_index: recording.chunk_index || 0 });
+    }
+    openThreads = openThreads.slice(-MAX_OPEN_THREADS);
+    summary = update.sessionSummary;
+  }
+
+  await db.query(`
+    INSERT INTO session_memory (session_id, summary, open_threads, next_thread_number, chunks_covered, updated_at)
+    VALUES ($1, $2, $3, $4, 1, CURRENT_TIMESTAMP)
+    ON CONFLICT (session_id) DO UPDATE SET
+      summary = EXCLUDED.summary,
+      open_threads = EXCLUDED.open_threads,
+      next_thread_number = EXCLUDED.next_thread_number,
+      chunks_covered = session_memory.chunks_covered + 1,
+      updated_at = CURRENT_TIMESTAMP
+  `, [session.id, summary, JSON.stringify(openThreads), nextThreadNumber]);
+
+  return { ...memory, summary, openThreads, nextThreadNumber };
+}
+
+// Per-session promise chains so two updates never fold in the same recordings concurrently
+const sessionLocks = new Map();
+
+const withSessionLock = (sessionId, fn) => {
+  const key = String(sessionId);
+  const run = (sessionLocks.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  sessionLocks.set(key, tail);
+  tail.then(() => {
+    if (sessionLocks.get(key) === tail) sessionLocks.delete(key);
+  });
+  return run;
+};
+
+/**
+ * Fold every transcribed recording that is not remembered yet into the session memory
+ * @param {Object} options - onProgress(done, total)
+ * @returns {Promise<{remembered: number, chunksCovered: number}|null>} null when the session does not exist
+ */
+function updateSessionMemory(sessionId, { onProgress } = {}) {
+  return withSessionLock(sessionId, async () => {
+    const sessionResult = await db.query(`
+      SELECT s.id, s.name, s.module, s.language, w.name as workshop_name
+      FROM sessions s
+      JOIN workshops w ON s.workshop_id = w.id
+      WHERE s.id = $1
+    `, [sessionId]);
+    const session = sessionResult.rows[0];
+    if (!session) return null;
+
+    const speakers = await getSessionSpeakers(sessionId);
+    let memory = await getSessionMemory(sessionId);
+    let remembered = 0;
+
+    // Recordings transcribed while this runs are picked up by the next pass
+    let pending = await getPendingRecordings(sessionId);
+    while (pending.length > 0) {
+      for (const recording of pending) {
+        if (onProgress) await onProgress(remembered, remembered + pending.length);
+        memory = await rememberRecording(session, memory, recording, speakers);
+        remembered++;
+      }
+      pending = await getPendingRecordings(sessionId);
+    }
+
+    return { remembered, chunksCovered: memory.chunks.length + remembered };
+  });
+}
+
+/**
+ * Queue a memory update for a session whose recordings were transcribed.
+ * Errors are logged; the analysis falls back to raw transcripts until the memory catches up.
+ */
+async function scheduleSessionMemoryUpdate(sessionId) {
+  try {
+    await enqueueJob('session_memory', { sessionId }, {
+      sessionId,
+      dedupeKey: `session_memory:session:${sessionId}`
+    });
+  } catch (error) {
+    console.error(`Error scheduling memory update for session ${sessionId}:`, error);
+  }
+}
+
+module.exports = {
+  getSessionMemory,
+  buildAnalysisContext,
+  getMemoryWindows,
+  updateSessionMemory,
+  scheduleSessionMemoryUpdate
+};
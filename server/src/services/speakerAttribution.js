@@ -0,0 +1,238 @@
+/**
+ * Speaker Attribution Service
+ *
+ * Splits plain transcriptions into speaker turns and maps each turn to the
+ * session's registered participants, so obtained checklist items and findings
+ * can record who supplied them (the "source person" needed for KDS sign-off).
+ *
+ * Turns are stored on session_recordings.speaker_turns as
+ * [{ participant_id, speaker, text }]. participant_id is null for the
+ * facilitator/consultant and for voices that cannot be matched.
+ */
+
+const { completeJson, oneOfIds } = require('./aiJson');
+const db = require('../models/db');
+
+/**
+ * Participants who can be speaking in a session.
+ * Uses those marked present; falls back to everyone registered when nobody is marked.
+ */
+async function getSessionSpeakers(sessionId) {
+  const result = await db.query(`
+    SELECT id, name, role, company, is_present
+    FROM workshop_participants
+    WHERE session_id = $1
+    ORDER BY name
+  `, [sessionId]);
+
+  const present = result.rows.filter(p => p.is_present);
+  return present.length > 0 ? present : result.rows;
+}
+
+// Share of the transcription the turns must still contain; below it a reply that was cut
+// off or paraphrased would drop speech, so the plain transcription is used instead
+const MIN_TURN_COVERAGE = 0.9;
+
+const textLength = (text) => (text || '').replace(/\s+/g, '').length;
+
+/**
+ * Whether the turns keep (nearly) all of the transcription's text
+ */
+function turnsCoverTranscript(turns, transcription) {
+  const expected = textLength(transcription);
+  if (expected === 0) return true;
+  const covered = turns.reduce((sum, turn) => sum + textLength(turn.text), 0);
+  return covered / expected >= MIN_TURN_COVERAGE;
+}
+
+/**
+ * Stored speaker turns of a recording, or null when there are none or they do not
+ * cover its transcription
+ */
+function usableTurns(recording) {
+  const turns = recording.speaker_turns;
+  if (!Array.isArray(turns) || turns.length === 0) return null;
+  return turnsCoverTranscript(turns, recording.transcription) ? turns : null;
+}
+
+const describeParticipant = (p) =>
+  `[P:${p.id}] ${p.name}${p.role ? ` - ${p.role}` : ''}${p.company ? ` (${p.company})` : ''}`;
+
+const turnsSchema = (speakers) => ({
+  type: 'object',
+  required: ['turns'],
+  properties: {
+    turns: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          // Ids the model invented become unattributed turns
+          participant_id: {
+            type: 'integer',
+            nullable: true,
+            default: null,
+            fallback: null,
+            check: oneOfIds(speakers.map(p => p.id), 'a registered participant')
+          },
+          speaker: { type: 'string', default: 'Unknown speaker', fallback: 'Unknown speaker' },
+          text: { type: 'string' }
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Ask the model to split a transcription into turns and match them to participants
+ * @param {Object} review - { sessionId, context } stored if the reply needs manual review
+ * @returns {Promise<Array|null>} turns, or null when there is nobody to attribute to
+ */
+async function diarizeTranscript(transcription, speakers, review = {}) {
+  if (!transcription || !transcription.trim() || speakers.length === 0) {
+    return null;
+  }
+
+  const prompt = `You are splitting an SAP workshop recording transcript into speaker turns.
+
+The transcript has no speaker labels. Use conversational cues (questions vs. answers,
+self-introductions, names being addressed, role-specific knowledge, "as the finance manager..." etc.)
+to decide where the speaker changes and who is speaking.
+
+**Registered participants (client side):**
+${speakers.map(describeParticipant).join('\n')}
+
+The workshop is run by an SAP consultant who is NOT in this list. Label the consultant's turns
+"Facilitator". If a client speaker cannot be matched to a participant with reasonable confidence,
+label them "Unknown speaker" - do NOT guess.
+
+**Transcript:**
+${transcription}
+
+**Output Format - JSON:**
+\`\`\`json
+{
+  "turns": [
+    { "participant_id": 12, "speaker": "Participant name, Facilitator or Unknown speaker", "text": "Exact words of this turn" }
+  ]
+}
+\`\`\`
+
+RULES:
+- Keep the original wording and language (do not translate Arabic); every sentence of the transcript must appear in exactly one turn, in order
+- participant_id must be one of the [P:id] values above, or null for Facilitator / Unknown speaker
+- Merge consecutive sentences from the same speaker into one turn
+- Return ONLY valid JSON.`;
+
+  const { data: result } = await completeJson('speaker_attribution', {
+    maxTokens: 8000,
+    messages: [{ role: 'user', content: prompt }]
+  }, {
+    schema: turnsSchema(speakers),
+    review
+  });
+
+  if (!turnsCoverTranscript(result.turns, transcription)) {
+    console.warn('[Speakers] Turns do not cover the transcription (cut off or paraphrased) - keeping it unlabelled');
+    return null;
+  }
+
+  // Use the registered name for matched turns
+  const byId = new Map(speakers.map(p => [p.id, p]));
+  return result.turns
+    .filter(turn => turn.text.trim())
+    .map(turn => {
+      const participant = byId.get(turn.participant_id);
+      return {
+        participant_id: participant ? participant.id : null,
+        speaker: participant ? participant.name : turn.speaker,
+        text: turn.text.trim()
+      };
+    });
+}
+
+/**
+ * Markdown for the transcript file: one bold speaker label per turn
+ */
+function formatTurnsMarkdown(turns) {
+  return turns.map(turn => `**${turn.speaker}:** ${turn.text}`).join('\n\n');
+}
+
+/**
+ * Plain text for analysis prompts, keeping participant ids so the model can cite them
+ */
+function formatTurnsForAnalysis(turns) {
+  return turns
+    .map(turn => `${turn.participant_id ? `[P:${turn.participant_id}] ` : ''}${turn.speaker}: ${turn.text}`)
+    .join('\n');
+}
+
+/**
+ * Text of a recording for analysis - speaker-labelled when turns cover the transcription
+ */
+function recordingAnalysisText(recording) {
+  const turns = usableTurns(recording);
+  return turns ? formatTurnsForAnalysis(turns) : recording.transcription;
+}
+
+/**
+ * Split a recording's transcription into speaker turns and store them on the recording.
+ * Failures are logged and fall back to the unlabelled transcription.
+ * @param {number|string} sessionId
+ * @param {Object} recording - session_recordings row (uses id and speaker_turns)
+ * @param {string} transcription
+ * @returns {Promise<{ turns: Array|null, analysisText: string }>}
+ */
+async function attributeSpeakers(sessionId, recording, transcription) {
+  const stored = usableTurns({ ...recording, transcription });
+  if (stored) {
+    return { turns: stored, analysisText: formatTurnsForAnalysis(stored) };
+  }
+
+  try {
+    const speakers = await getSessionSpeakers(sessionId);
+    const turns = await diarizeTranscript(transcription, speakers, {
+      sessionId,
+      context: { recordingId: recording.id }
+    });
+    if (!turns || turns.length === 0) {
+      return { turns: null, analysisText: transcription };
+    }
+
+    await db.query(
+      'UPDATE session_recordings SET speaker_turns = $1 WHERE id = $2',
+      [JSON.stringify(turns), recording.id]
+    );
+    return { turns, analysisText: formatTurnsForAnalysis(turns) };
+  } catch (error) {
+    console.error('Error attributing speakers:', error.message);
+    return { turns: null, analysisText: transcription };
+  }
+}
+
+/**
+ * Prompt section listing participants and asking the model to cite who supplied each answer
+ */
+function speakerInstructions(speakers) {
+  if (speakers.length === 0) return '';
+  return `
+**Session Participants:**
+${speakers.map(describeParticipant).join('\n')}
+
+Transcript lines may start with a [P:id] speaker label. For every obtained item and finding, set
+"source_participant_id" to the id of the participant who SUPPLIED the information (not the person
+who asked the question). Use null when it came from the facilitator or the speaker is unknown.
+`;
+}
+
+module.exports = {
+  getSessionSpeakers,
+  usableTurns,
+  diarizeTranscript,
+  attributeSpeakers,
+  formatTurnsMarkdown,
+  formatTurnsForAnalysis,
+  recordingAnalysisText,
+  speakerInstructions
+};
@@ -0,0 +1,399 @@
+/**
+ * Structured Values - Typed data behind obtained checklist items
+ *
+ * obtained_text is prose ("we run 5 plants: Dubai, Abu Dhabi ..."), which nothing
+ * downstream can compute with. Every analysis that obtains items (recordings, live
+ * transcription, documents, pre-work answers, re-analysis) also returns the hard data
+ * of the answer as structured_values, stored in checklist_item_values:
+ * - count:     how many of something            number + unit ("plants")
+ * - list:      named objects                    items [{ code, name }] + object_type
+ * - threshold: a limit or tolerance             number + unit (currency code, %, days)
+ * - currency:  an ISO 4217 currency             text ("AED")
+ * - frequency: how often something happens      text (one of FREQUENCIES)
+ * A value can name the entity it applies to, so entities can be compared on data.
+ *
+ * Values are validated the same way whether the model or a consultant gives them
+ * (normalizeStructuredValue); model values that fail are dropped like any invalid
+ * array entry. Re-obtaining an item replaces its extracted values, resetting it to
+ * missing removes them; values entered by hand (source 'manual') are kept.
+ */
+
+const db = require('../models/db');
+
+const VALUE_TYPES = ['count', 'list', 'threshold', 'currency', 'frequency'];
+const FREQUENCIES = ['daily', 'weekly', 'biweekly', 'monthly', 'quarterly', 'semiannually', 'annually', 'on_demand'];
+
+const FREQUENCY_ALIASES = {
+  'bi-weekly': 'biweekly',
+  fortnightly: 'biweekly',
+  yearly: 'annually',
+  annual: 'annually',
+  'half-yearly': 'semiannually',
+  'semi-annually': 'semiannually',
+  'ad hoc': 'on_demand',
+  'ad-hoc': 'on_demand',
+  'as needed': 'on_demand',
+  'on demand': 'on_demand'
+};
+
+const MAX_LIST_ITEMS = 200;
+
+const snakeCase = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 100);
+
+const cleanText = (value, maxLength = 255) => {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).replace(/,/g, '').trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+// Units of three letters are currency codes ("aed" -> "AED"), except these
+const THREE_LETTER_UNITS = ['day', 'hrs', 'kgs', 'min', 'pcs'];
+
+const normalizeUnit = (unit) => {
+  const text = cleanText(unit, 50);
+  if (!text) return null;
+  return /^[a-z]{3}$/i.test(text) && !THREE_LETTER_UNITS.includes(text.toLowerCase()) ? text.toUpperCase() : text;
+};
+
+/**
+ * Validate and normalize one structured value
+ * @param {Object} raw - { key, label, type, number, unit, text, items, object_type, entity_code }
+ * @returns {{ value: Object|null, error: string|null }}
+ */
+const normalizeStructuredValue = (raw) => {
+  if (!raw || typeof raw !== 'object') return { value: null, error: 'must be an object' };
+
+  const type = String(raw.type || raw.value_type || '').trim().toLowerCase();
+  if (!VALUE_TYPES.includes(type)) {
+    return { value: null, error: `type must be one of ${VALUE_TYPES.join(', ')}` };
+  }
+  const key = snakeCase(raw.key || raw.value_key || raw.label);
+  if (!key) return { value: null, error: 'needs a key or label' };
+
+  const value = {
+    key,
+    label: cleanText(raw.label) || key.replace(/_/g, ' '),
+    type,
+    number: null,
+    unit: null,
+    text: null,
+    items: null,
+    object_type: null,
+    entity_code: cleanText(raw.entity_code, 20)
+  };
+  const number = toNumber(raw.number ?? raw.value_number);
+
+  switch (type) {
+    case 'count':
+      if (number === null || !Number.isInteger(number) || number < 0) {
+        return { value: null, error: 'count needs a whole number of 0 or more' };
+      }
+      value.number = number;
+      value.unit = cleanText(raw.unit, 50);
+      break;
+    case 'threshold':
+      if (number === null) return { value: null, error: 'threshold needs a number' };
+      value.unit = normalizeUnit(raw.unit);
+      if (!value.unit) return { value: null, error: 'threshold needs a unit (a currency code, %, days ...)' };
+      value.number = number;
+      break;
+    case 'currency': {
+      const code = cleanText(raw.text ?? raw.value_text, 10);
+      if (!code || !/^[a-z]{3}$/i.test(code)) return { value: null, error: 'currency needs a 3-letter ISO code' };
+      value.text = code.toUpperCase();
+      break;
+    }
+    case 'frequency': {
+      const text = String(raw.text ?? raw.value_text ?? '').trim().toLowerCase();
+      const frequency = FREQUENCY_ALIASES[text] || text.replace(/[\s-]+/g, '_');
+      if (!FREQUENCIES.includes(frequency)) {
+        return { value: null, error: `frequency must be one of ${FREQUENCIES.join(', ')}` };
+      }
+      value.text = frequency;
+      break;
+    }
+    case 'list': {
+      const seen = new Set();
+      const items = (Array.isArray(raw.items ?? raw.value_items) ? raw.items ?? raw.value_items : [])
+        .map(entry => (typeof entry === 'string' ? { name: entry } : entry || {}))
+        .map(entry => ({ code: cleanText(entry.code, 50), name: cleanText(entry.name) }))
+        .filter(entry => entry.code || entry.name)
+        .filter(entry => {
+          const identity = `${entry.code || ''}|${(entry.name || '').toLowerCase()}`;
+          if (seen.has(identity)) return false;
+          seen.add(identity);
+          return true;
+        })
+        .slice(0, MAX_LIST_ITEMS);
+      if (items.length === 0) return { value: null, error: 'list needs at least one item with a code or name' };
+      value.items = items;
+      value.number = items.length;
+      value.object_type = snakeCase(raw.object_type) || null;
+      break;
+    }
+    default:
+      break;
+  }
+
+  return { value, error: null };
+};
+
+// Reply schema of one value (services/aiJson) - entries that fail normalization are dropped
+const structuredValueSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    key: { type: 'string', nullable: true, default: null },
+    label: { type: 'string', nullable: true, default: null },
+    type: { type: 'string', enum: VALUE_TYPES },
+    // Numbers may come as text ("10,000"), normalizeStructuredValue parses them
+    number: { nullable: true, default: null },
+    unit: { type: 'string', nullable: true, default: null, fallback: null },
+    text: { type: 'string', nullable: true, default: null, fallback: null },
+    object_type: { type: 'string', nullable: true, default: null, fallback: null },
+    entity_code: { type: 'string', nullable: true, default: null, fallback: null }
+    // items: [{ code, name }] or names, checked by normalizeStructuredValue
+  },
+  check: (value) => normalizeStructuredValue(value).error
+};
+
+/**
+ * Prompt section asking for structured values next to obtained_text
+ * @param {Array} entities - [{ code, name }] of the session's workshop
+ */
+const structuredValuesInstructions = (entities = []) => `## Structured Values
+For every obtained item, also return the hard data of the answer as "structured_values" (an empty array when the answer has none):
+- "count": how many of something - "number" (whole number) and "unit" (e.g. 5 "plants")
+- "list": named objects - "object_type" (plant, company_code, warehouse, sales_org ...) and "items" [{ "code": "1000", "name": "Dubai Plant" }]
+- "threshold": a limit, tolerance or approval amount - "number" and "unit" (a currency code like "AED", "%", "days" ...)
+- "currency": a currency in use - "text" is the ISO code (e.g. "AED")
+- "frequency": how often something happens - "text" is one of ${FREQUENCIES.join(', ')}
+Give each value a "key" (snake_case, e.g. "plant_count", "invoice_approval_limit") and a short "label".${entities.length > 0 ? `
+Set "entity_code" (${entities.map(entity => entity.code).join(', ')}) when the value is stated for one entity only.` : ''}
+Only return values stated in the source - never estimate or infer numbers.`;
+
+// Example entry for the prompts' JSON output formats
+const STRUCTURED_VALUES_EXAMPLE = '[{ "key": "plant_count", "label": "Number of plants", "type": "count", "number": 5, "unit": "plants", "entity_code": null }]';
+
+/**
+ * Entities of a session's workshop
+ */
+async function getSessionEntities(sessionId) {
+  const result = await db.query(`
+    SELECT e.id, e.code, e.name
+    FROM entities e
+    JOIN sessions s ON e.workshop_id = s.workshop_id
+    WHERE s.id = $1
+    ORDER BY e.id
+  `, [sessionId]);
+  return result.rows;
+}
+
+const entityIdFor = (entities, code) => {
+  if (!code) return null;
+  const entity = entities.find(candidate => candidate.code.toLowerCase() === String(code).trim().toLowerCase());
+  return entity ? entity.id : null;
+};
+
+const insertValue = (item, value, { entityId, source, confidence, updatedBy }) => db.query(`
+  INSERT INTO checklist_item_values
+    (session_id, checklist_item_id, entity_id, value_key, label, value_type, value_number, value_text,
+     value_items, unit, object_type, source, confidence, updated_by)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+  RETURNING *
+`, [
+  item.session_id, item.id, entityId, value.key, value.label, value.type, value.number, value.text,
+  value.items ? JSON.stringify(value.items) : null, value.unit, value.object_type, source, confidence || null, updatedBy || null
+]);
+
+/**
+ * Replace the extracted values of an item that was (re-)obtained
+ * @param {Object} item - the checklist item row (id, session_id)
+ * @param {Array} values - structured_values from the analysis
+ * @returns {Promise<number>} values stored
+ */
+async function replaceItemValues(item, values, { source, confidence } = {}) {
+  await db.query("DELETE FROM checklist_item_values WHERE checklist_item_id = $1 AND source <> 'manual'", [item.id]);
+  if (!Array.isArray(values) || values.length === 0) return 0;
+
+  const entities = await getSessionEntities(item.session_id);
+  let stored = 0;
+  for (const raw of values) {
+    const { value } = normalizeStructuredValue(raw);
+    if (!value) continue;
+    await insertValue(item, value, { entityId: entityIdFor(entities, value.entity_code), source, confidence });
+    stored++;
+  }
+  return stored;
+}
+
+/**
+ * Remove the extracted values of an item reset to missing or answered by hand (manual values stay)
+ */
+async function clearItemValues(itemId, client = db) {
+  await client.query("DELETE FROM checklist_item_values WHERE checklist_item_id = $1 AND source <> 'manual'", [itemId]);
+}
+
+/**
+ * Add a value to an item by hand
+ * @returns {Promise<{ value: Object|null, error: string|null }>}
+ */
+async function addItemValue(item, input, updatedBy) {
+  const { value, error } = normalizeStructuredValue(input);
+  if (error) return { value: null, error };
+  const entities = await getSessionEntities(item.session_id);
+  const entityId = input.entity_id
+    ? (entities.some(entity => entity.id === parseInt(input.entity_id)) ? parseInt(input.entity_id) : null)
+    : entityIdFor(entities, value.entity_code);
+  const result = await insertValue(item, value, { entityId, source: 'manual', updatedBy });
+  return { value: result.rows[0], error: null };
+}
+
+/**
+ * Change a value - an edited value counts as manual from then on
+ * @returns {Promise<{ value: Object|null, error: string|null }>}
+ */
+async function updateItemValue(existing, input, updatedBy) {
+  const merged = {
+    key: existing.value_key,
+    label: existing.label,
+    type: existing.value_type,
+    number: existing.value_number,
+    unit: existing.unit,
+    text: existing.value_text,
+    items: existing.value_items,
+    object_type: existing.object_type,
+    ...input
+  };
+  const { value, error } = normalizeStructuredValue(merged);
+  if (error) return { value: null, error };
+
+  const entities = await getSessionEntities(existing.session_id);
+  let entityId = existing.entity_id;
+  if (input.entity_id !== undefined) {
+    entityId = entities.some(entity => entity.id === parseInt(input.entity_id)) ? parseInt(input.entity_id) : null;
+  }
+
+  const result = await db.query(`
+    UPDATE checklist_item_values SET
+      entity_id = $1, value_key = $2, label = $3, value_type = $4, value_number = $5, value_text = $6,
+      value_items = $7, unit = $8, object_type = $9, source = 'manual', updated_by = $10,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $11
+    RETURNING *
+  `, [entityId, value.key, value.label, value.type, value.number, value.text,
+    value.items ? JSON.stringify(value.items) : null, value.unit, value.object_type, updatedBy, existing.id]);
+  return { value: result.rows[0], error: null };
+}
+
+/**
+ * Readable form of a stored value, e.g. "5 plants", "10,000 AED", "monthly"
+ */
+const formatValue = (value) => {
+  const number = value.value_number === null || value.value_number === undefined ? null : Number(value.value_number);
+  switch (value.value_type) {
+    case 'count':
+      return `${number}${value.unit ? ` ${value.unit}` : ''}`;
+    case 'threshold':
+      return `${number.toLocaleString('en-US')} ${value.unit}`;
+    case 'currency':
+      return value.value_text;
+    case 'frequency':
+      return value.value_text.replace(/_/g, ' ');
+    case 'list':
+      return (value.value_items || []).map(entry => [entry.code, entry.name].filter(Boolean).join(' ')).join(', ');
+    default:
+      return '';
+  }
+};
+
+const VALUE_COLUMNS = `
+  v.*, e.code as entity_code, i.item_number, i.item_text, i.category, i.status as item_status
+`;
+
+/**
+ * Every value of a session, in checklist order
+ */
+async function getSessionValues(sessionId) {
+  const result = await db.query(`
+    SELECT ${VALUE_COLUMNS}
+    FROM checklist_item_values v
+    JOIN session_checklist_items i ON v.checklist_item_id = i.id
+    LEFT JOIN entities e ON v.entity_id = e.id
+    WHERE v.session_id = $1
+    ORDER BY i.item_number, v.id
+  `, [sessionId]);
+  return result.rows.map(row => ({ ...row, display: formatValue(row) }));
+}
+
+/**
+ * Values of every session of a workshop grouped by key, side by side per entity (values
+ * without an entity apply to all of them), flagged divergent when entities differ
+ * @returns {Promise<{ entities: Array, values: Array }>} values: [{ key, label, value_type,
+ *   sessions, general, byEntity: { [entity_id]: [display] }, divergent }]
+ */
+async function getWorkshopValues(workshopId) {
+  const entitiesResult = await db.query(
+    'SELECT id, code, name FROM entities WHERE workshop_id = $1 ORDER BY code',
+    [workshopId]
+  );
+  const result = await db.query(`
+    SELECT ${VALUE_COLUMNS}, s.name as session_name, s.session_number
+    FROM checklist_item_values v
+    JOIN session_checklist_items i ON v.checklist_item_id = i.id
+    JOIN sessions s ON v.session_id = s.id
+    LEFT JOIN entities e ON v.entity_id = e.id
+    WHERE s.workshop_id = $1
+    ORDER BY s.session_number, i.item_number, v.id
+  `, [workshopId]);
+
+  const groups = new Map();
+  for (const row of result.rows) {
+    if (!groups.has(row.value_key)) {
+      groups.set(row.value_key, {
+        key: row.value_key,
+        label: row.label,
+        value_type: row.value_type,
+        sessions: [],
+        general: [],
+        byEntity: {}
+      });
+    }
+    const group = groups.get(row.value_key);
+    const session = `Session ${row.session_number}: ${row.session_name}`;
+    if (!group.sessions.includes(session)) group.sessions.push(session);
+    if (row.entity_id) {
+      group.byEntity[row.entity_id] = [...(group.byEntity[row.entity_id] || []), formatValue(row)];
+    } else {
+      group.general.push(formatValue(row));
+    }
+  }
+
+  const values = [...groups.values()].map(group => {
+    const stated = Object.values(group.byEntity).map(displays => displays.join(' | ').toLowerCase());
+    return { ...group, divergent: new Set(stated).size > 1 };
+  });
+  return { entities: entitiesResult.rows, values };
+}
+
+module.exports = {
+  VALUE_TYPES,
+  FREQUENCIES,
+  normalizeStructuredValue,
+  structuredValueSchema,
+  structuredValuesInstructions,
+  STRUCTURED_VALUES_EXAMPLE,
+  getSessionEntities,
+  replaceItemValues,
+  clearItemValues,
+  addItemValue,
+  updateItemValue,
+  formatValue,
+  getSessionValues,
+  getWorkshopValues
+};
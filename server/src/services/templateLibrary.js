@@ -0,0 +1,223 @@
+/**
+ * Template Library - Reusable checklists and question sets per SAP module
+ *
+ * A reviewed session checklist or question set can be saved as a template, tagged by
+ * module, industry and free tags. Saving again under the same template_key adds a new
+ * version; older versions are kept so sessions seeded from them stay traceable.
+ *
+ * Sessions point at a template (sessions.checklist_template_id / question_template_id).
+ * When their checklist or questions are generated, the template items are copied in
+ * first and the AI is only asked for what the template does not cover yet.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../models/db');
+const { QUESTION_SECTIONS } = require('./questionGenerator');
+
+const TEMPLATE_KINDS = ['checklist', 'questions'];
+
+// Columns copied into the template for each kind, in the order they are shown
+const ITEM_QUERIES = {
+  checklist: `
+    SELECT item_text, importance, category, suggested_question, best_practice
+    FROM session_checklist_items
+    WHERE session_id = $1
+    ORDER BY item_number, id
+  `,
+  questions: `
+    SELECT question_text, category_name, is_critical
+    FROM questions
+    WHERE session_id = $1
+    ORDER BY question_number, id
+  `
+};
+
+// Summary columns for lists (items are only loaded for a single template)
+const SUMMARY_COLUMNS = `
+  t.id, t.template_key, t.version, t.kind, t.module, t.name, t.description, t.industry, t.tags,
+  t.item_count, t.notes, t.source_session_id, t.created_by, t.created_at, u.name as created_by_name,
+  (SELECT workshop_id FROM sessions WHERE id = t.source_session_id) as source_workshop_id
+`;
+
+/**
+ * Snapshot of a session's current checklist items or questions
+ */
+async function getSessionTemplateItems(sessionId, kind) {
+  const result = await db.query(ITEM_QUERIES[kind], [sessionId]);
+  return result.rows;
+}
+
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Save a session's checklist or questions as a template
+ * @param {Array} items - snapshot from getSessionTemplateItems()
+ * @param {Object} options - { kind, name, description, industry, tags, notes, baseTemplate }
+ *   baseTemplate (any version of an existing template) makes this its next version;
+ *   fields left out are taken from it
+ */
+async function saveTemplateFromSession(session, items, options, user) {
+  const { kind, baseTemplate } = options;
+
+  let version = 1;
+  if (baseTemplate) {
+    const versionResult = await db.query(
+      'SELECT MAX(version) as version FROM session_templates WHERE template_key = $1',
+      [baseTemplate.template_key]
+    );
+    version = (versionResult.rows[0].version || 0) + 1;
+  }
+
+  const pick = (field) => (options[field] !== undefined ? options[field] : baseTemplate?.[field]) || null;
+
+  const result = await db.query(`
+    INSERT INTO session_templates
+      (template_key, version, kind, module, name, description, industry, tags, items, item_count,
+       notes, source_session_id, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    RETURNING *
+  `, [
+    baseTemplate ? baseTemplate.template_key : uuidv4(),
+    version,
+    kind,
+    baseTemplate ? baseTemplate.module : session.module,
+    pick('name'),
+    pick('description'),
+    pick('industry'),
+    normalizeTags(pick('tags')),
+    JSON.stringify(items),
+    items.length,
+    options.notes || null,
+    session.id,
+    user ? user.id : null
+  ]);
+
+  return result.rows[0];
+}
+
+/**
+ * Latest version of every template
+ * @param {Object} filters - { kind, module, industry, tag, q }; module matches on the
+ *   module code, so 'FICO' and 'FICO - Finance & Controlling' find the same templates
+ */
+async function listTemplates(filters = {}) {
+  const conditions = [];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.kind) addCondition('t.kind = ?', filters.kind);
+  if (filters.module) addCondition("split_part(t.module, ' - ', 1) = split_part(?, ' - ', 1)", filters.module);
+  if (filters.industry) addCondition('t.industry ILIKE ?', `%${filters.industry}%`);
+  if (filters.tag) addCondition('? = ANY(t.tags)', String(filters.tag).trim().toLowerCase());
+  if (filters.q) addCondition("(t.name || ' ' || COALESCE(t.description, '')) ILIKE ?", `%${filters.q}%`);
+
+  const result = await db.query(`
+    SELECT * FROM (
+      SELECT DISTINCT ON (t.template_key) ${SUMMARY_COLUMNS},
+             COUNT(*) OVER (PARTITION BY t.template_key) as version_count
+      FROM session_templates t
+      LEFT JOIN users u ON t.created_by = u.id
+      WHERE t.template_key IS NOT NULL
+      ORDER BY t.template_key, t.version DESC
+    ) t
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY t.module, t.name
+  `, params);
+  return result.rows;
+}
+
+/**
+ * One template version with its items
+ */
+async function getTemplate(templateId) {
+  const result = await db.query(`
+    SELECT t.*, u.name as created_by_name, s.name as source_session_name, s.workshop_id as source_workshop_id
+    FROM session_templates t
+    LEFT JOIN users u ON t.created_by = u.id
+    LEFT JOIN sessions s ON t.source_session_id = s.id
+    WHERE t.id = $1 AND t.template_key IS NOT NULL
+  `, [templateId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * All versions of a template, newest first
+ */
+async function getTemplateVersions(templateKey) {
+  const result = await db.query(`
+    SELECT ${SUMMARY_COLUMNS}
+    FROM session_templates t
+    LEFT JOIN users u ON t.created_by = u.id
+    WHERE t.template_key = $1
+    ORDER BY t.version DESC
+  `, [templateKey]);
+  return result.rows;
+}
+
+/**
+ * Delete a template with all its versions (sessions seeded from it keep their items)
+ * @returns {Promise<number>} number of versions deleted
+ */
+async function deleteTemplate(templateKey) {
+  const result = await db.query('DELETE FROM session_templates WHERE template_key = $1', [templateKey]);
+  return result.rowCount;
+}
+
+/**
+ * Template a session is seeded from, or null (also when it is of another kind)
+ */
+async function getSessionTemplate(session, kind) {
+  const templateId = kind === 'checklist' ? session.checklist_template_id : session.question_template_id;
+  if (!templateId) {
+    return null;
+  }
+  const template = await getTemplate(templateId);
+  return template && template.kind === kind ? template : null;
+}
+
+/**
+ * Template checklist items followed by the AI gap items, numbered from 1
+ */
+function mergeChecklistItems(templateItems, generatedItems) {
+  return [
+    ...templateItems.map(item => ({ ...item, origin: 'template' })),
+    ...generatedItems.map(item => ({ ...item, origin: 'ai' }))
+  ].map((item, index) => ({ ...item, item_number: index + 1 }));
+}
+
+/**
+ * Template and AI gap questions merged into the interview sequence (by section, template
+ * questions first within a section), numbered from 1
+ */
+function mergeQuestions(templateQuestions, generatedQuestions) {
+  const sectionIndex = (question) => {
+    const index = QUESTION_SECTIONS.indexOf(question.category_name);
+    return index === -1 ? QUESTION_SECTIONS.length : index;
+  };
+
+  return [
+    ...templateQuestions.map(q => ({ ...q, entity_code: null, origin: 'template' })),
+    ...generatedQuestions.map(q => ({ ...q, origin: 'ai' }))
+  ]
+    .sort((a, b) => sectionIndex(a) - sectionIndex(b))
+    .map((q, index) => ({ ...q, question_number: index + 1 }));
+}
+
+module.exports = {
+  TEMPLATE_KINDS,
+  getSessionTemplateItems,
+  saveTemplateFromSession,
+  listTemplates,
+  getTemplate,
+  getTemplateVersions,
+  deleteTemplate,
+  getSessionTemplate,
+  mergeChecklistItems,
+  mergeQuestions
+};
@@ -2,15 +2,19 @@
  * Transcript Manager Service
  *
  * Manages a consolidated markdown transcript file for each session.
- * - Appends each chunk's transcript to a single MD file
+ * - Appends each chunk's transcript to a single MD file (as speaker turns when attributed)
  * - Can regenerate the MD file from saved recordings
  * - Supports re-analysis of all transcripts
+ * - Builds the combined transcript for a whole workshop, transcribing missing recordings
  */
 
 const fs = require('fs');
 const path = require('path');
 const { pool } = require('../models/db');
 const { isS3Configured, uploadBufferToS3, getFileFromS3 } = require('./s3');
+const { formatTurnsMarkdown, recordingAnalysisText, usableTurns } = require('./speakerAttribution');
+const { transcribeAudio } = require('./transcription');
+const { transcriptionOptions, detectTextLanguage } = require('./language');
 
 // Directory for local transcript storage
 const TRANSCRIPT_DIR = path.join(__dirname, '../../uploads/transcripts');
@@ -68,8 +72,9 @@ async function getSessionInfo(sessionId) {
 
 /**
  * Append a transcript chunk to the session's MD file
+ * @param {Array|null} speakerTurns - turns from speakerAttribution; written instead of the plain text
  */
-async function appendTranscript(sessionId, chunkIndex, transcriptText, timestamp = new Date()) {
+async function appendTranscript(sessionId, chunkIndex, transcriptText, speakerTurns = null, timestamp = new Date()) {
   const filePath = await getTranscriptFilePath(sessionId);
   const sessionInfo = await getSessionInfo(sessionId);
 
@@ -81,7 +86,7 @@ async function appendTranscript(sessionId, chunkIndex, transcriptText, timestamp
 ## Chunk ${chunkIndex + 1}
 **Recorded:** ${formattedTime}
 
-${transcriptText}
+${speakerTurns && speakerTurns.length > 0 ? formatTurnsMarkdown(speakerTurns) : transcriptText}
 
 `;
 
@@ -112,6 +117,20 @@ ${transcriptText}
   return filePath;
 }
 
+/**
+ * Append a recording to the session's MD file once. Tracked per recording
+ * (transcript_appended_at), so a retried analysis neither repeats nor skips it.
+ * @returns {Promise<boolean>} false when the recording was already in the file
+ */
+async function appendRecordingTranscript(sessionId, recording, transcriptText, speakerTurns = null) {
+  const current = await pool.query('SELECT transcript_appended_at FROM session_recordings WHERE id = $1', [recording.id]);
+  if (current.rows[0]?.transcript_appended_at) return false;
+
+  await appendTranscript(sessionId, recording.chunk_index || 0, transcriptText, speakerTurns);
+  await pool.query('UPDATE session_recordings SET transcript_appended_at = CURRENT_TIMESTAMP WHERE id = $1', [recording.id]);
+  return true;
+}
+
 /**
  * Create the header for a new transcript file
  */
@@ -140,7 +159,7 @@ ${sessionInfo.mission_statement || 'Not specified'}
 async function regenerateTranscript(sessionId) {
   // Get all recordings with transcriptions, ordered by chunk_index
   const recordings = await pool.query(`
-    SELECT id, chunk_index, transcription, created_at
+    SELECT id, chunk_index, transcription, speaker_turns, created_at
     FROM session_recordings
     WHERE session_id = $1 AND transcription IS NOT NULL
     ORDER BY chunk_index ASC, created_at ASC
@@ -157,13 +176,14 @@ async function regenerateTranscript(sessionId) {
 
   for (const recording of recordings.rows) {
     const formattedTime = new Date(recording.created_at).toISOString().replace('T', ' ').substring(0, 19);
+    const turns = usableTurns(recording);
     content += `
 ---
 
 ## Chunk ${(recording.chunk_index || 0) + 1}
 **Recorded:** ${formattedTime}
 
-${recording.transcription}
+${turns ? formatTurnsMarkdown(turns) : recording.transcription}
 
 `;
   }
@@ -176,6 +196,10 @@ ${recording.transcription}
   } else {
     fs.writeFileSync(filePath, content, 'utf-8');
   }
+  await pool.query(
+    'UPDATE session_recordings SET transcript_appended_at = CURRENT_TIMESTAMP WHERE id = ANY($1) AND transcript_appended_at IS NULL',
+    [recordings.rows.map(recording => recording.id)]
+  );
 
   return {
     success: true,
@@ -215,11 +239,11 @@ async function getTranscriptContent(sessionId) {
 }
 
 /**
- * Get all transcripts combined as plain text (for re-analysis)
+ * Get all transcripts combined as plain text (for re-analysis), speaker-labelled where attributed
  */
 async function getAllTranscriptsText(sessionId) {
   const recordings = await pool.query(`
-    SELECT transcription, chunk_index
+    SELECT transcription, speaker_turns, chunk_index
     FROM session_recordings
     WHERE session_id = $1 AND transcription IS NOT NULL
     ORDER BY chunk_index ASC, created_at ASC
@@ -230,14 +254,423 @@ async function getAllTranscriptsText(sessionId) {
   }
 
   return recordings.rows
-    .map(r => `[Chunk ${(r.chunk_index || 0) + 1}]\n${r.transcription}`)
+    .map(r => `[Chunk ${(r.chunk_index || 0) + 1}]\n${recordingAnalysisText(r)}`)
     .join('\n\n');
 }
 
+// ============================================
+// Combined workshop transcript
+// ============================================
+
+/**
+ * Resolve a recording's audio file, downloading it to a temp file when stored on S3
+ * @returns {Promise<{ path: string, tempFile: string|null }>}
+ */
+async function resolveAudioFilePath(filePath, fileName, recordingId, isLegacy = false) {
+  let resolvedPath = filePath;
+  let tempFile = null;
+
+  // Handle S3 URLs (legacy format - starts with http)
+  if (filePath.startsWith('http')) {
+    const https = require('https');
+    const http = require('http');
+
+    tempFile = path.join(process.env.NODE_ENV === 'production' ? '/tmp' : path.join(__dirname, '../../uploads/temp'), `transcribe_${recordingId}_${Date.now()}.webm`);
+
+    // Ensure temp directory exists
+    const tempDir = path.dirname(tempFile);
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+
+    // Download from S3 URL
+    await new Promise((resolve, reject) => {
+      const protocol = filePath.startsWith('https') ? https : http;
+      const file = fs.createWriteStream(tempFile);
+      protocol.get(filePath, (response) => {
+        response.pipe(file);
+        file.on('finish', () => {
+          file.close();
+          resolve();
+        });
+      }).on('error', (err) => {
+        fs.unlink(tempFile, () => {});
+        reject(err);
+      });
+    });
+
+    return { path: tempFile, tempFile };
+  }
+
+  // Handle S3 key paths (new format - starts with uploads/)
+  if (filePath.startsWith('uploads/') && isS3Configured()) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const { getS3Client, getBucketName } = require('./s3');
+
+    const s3Client = getS3Client();
+    const response = await s3Client.send(new GetObjectCommand({
+      Bucket: getBucketName(),
+      Key: filePath
+    }));
+
+    tempFile = path.join(process.env.NODE_ENV === 'production' ? '/tmp' : path.join(__dirname, '../../uploads/temp'), `transcribe_${recordingId}_${Date.now()}.webm`);
+
+    // Ensure temp directory exists
+    const tempDir = path.dirname(tempFile);
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+
+    const writeStream = fs.createWriteStream(tempFile);
+    await new Promise((resolve, reject) => {
+      response.Body.pipe(writeStream);
+      response.Body.on('end', resolve);
+      response.Body.on('error', reject);
+    });
+
+    return { path: tempFile, tempFile };
+  }
+
+  // Handle local files
+  if (!path.isAbsolute(resolvedPath)) {
+    // Try different possible locations for backward compatibility
+    const possiblePaths = [
+      path.join(__dirname, '../..', resolvedPath),  // Standard relative path
+      path.join(__dirname, '../../uploads/audio', fileName),  // Legacy audio folder
+      path.join(__dirname, '../../uploads/session-audio', fileName),  // New session-audio folder
+      process.env.NODE_ENV === 'production' ? path.join('/tmp', resolvedPath) : null,
+      process.env.NODE_ENV === 'production' ? path.join('/tmp/uploads/audio', fileName) : null
+    ].filter(Boolean);
+
+    for (const tryPath of possiblePaths) {
+      if (fs.existsSync(tryPath)) {
+        resolvedPath = tryPath;
+        break;
+      }
+    }
+  }
+
+  return { path: resolvedPath, tempFile: null };
+}
+
+/**
+ * Transcribe a session or legacy answer recording
+ * @param {string} language - session language (see language.js)
+ */
+async function transcribeRecording(recording, isLegacy = false, language) {
+  const { path: filePath, tempFile } = await resolveAudioFilePath(
+    recording.file_path,
+    recording.file_name,
+    recording.id,
+    isLegacy
+  );
+
+  // Verify file exists
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Audio file not found: ${recording.file_path} (tried: ${filePath})`);
+  }
+
+  const fileStats = fs.statSync(filePath);
+  if (fileStats.size === 0) {
+    throw new Error('Audio file is empty');
+  }
+
+  console.log(`Transcribing ${isLegacy ? 'legacy' : 'new'} recording ${recording.id}, file: ${filePath}`);
+
+  // Transcribe with the configured backend (Whisper by default)
+  const transcription = await transcribeAudio({ filePath }, transcriptionOptions(language));
+
+  // Clean up temp file
+  if (tempFile && fs.existsSync(tempFile)) {
+    fs.unlinkSync(tempFile);
+  }
+
+  return transcription;
+}
+
+/**
+ * Transcribe every recording of a workshop that has no transcription yet (session
+ * recordings and legacy answer recordings) and save one combined markdown transcript.
+ * Recordings that already have a transcription are skipped, so a retry resumes the work.
+ * @param {number|string} workshopId
+ * @param {Object} options - { onProgress(progress, message, details) }
+ * @returns {Promise<Object>} per-session counts, errors and transcriptPath
+ */
+async function generateWorkshopTranscript(workshopId, { onProgress = async () => {} } = {}) {
+  const workshopResult = await pool.query(
+    'SELECT id, name, client_name, mission_statement FROM workshops WHERE id = $1',
+    [workshopId]
+  );
+
+  if (workshopResult.rows.length === 0) {
+    throw new Error('Workshop not found');
+  }
+
+  const workshop = workshopResult.rows[0];
+
+  const sessionsResult = await pool.query(
+    'SELECT id, name, module, language FROM sessions WHERE workshop_id = $1 ORDER BY id',
+    [workshopId]
+  );
+  const sessions = sessionsResult.rows;
+
+  const results = {
+    workshop: workshop.name,
+    sessionsProcessed: 0,
+    totalRecordings: 0,
+    transcribedRecordings: 0,
+    newlyTranscribed: 0,
+    legacyRecordings: 0,
+    errors: [],
+    sessions: []
+  };
+
+  // Process each session
+  for (const [index, session] of sessions.entries()) {
+    await onProgress(
+      Math.round((index / sessions.length) * 90),
+      `Transcribing recordings of ${session.name}...`,
+      { current: index + 1, total: sessions.length }
+    );
+
+    const sessionResult = {
+      id: session.id,
+      name: session.name,
+      module: session.module,
+      recordingsCount: 0,
+      legacyRecordingsCount: 0,
+      transcribedCount: 0,
+      newlyTranscribedCount: 0,
+      errors: []
+    };
+
+    // ========================================
+    // 1. Get NEW session recordings (session_recordings table)
+    // ========================================
+    const newRecordingsResult = await pool.query(
+      'SELECT * FROM session_recordings WHERE session_id = $1 ORDER BY chunk_index, created_at',
+      [session.id]
+    );
+
+    sessionResult.recordingsCount += newRecordingsResult.rows.length;
+    results.totalRecordings += newRecordingsResult.rows.length;
+
+    // Process new recordings
+    for (const recording of newRecordingsResult.rows) {
+      if (recording.transcription) {
+        sessionResult.transcribedCount++;
+        results.transcribedRecordings++;
+        continue;
+      }
+
+      try {
+        const transcription = await transcribeRecording(recording, false, session.language);
+
+        // Save transcription to database
+        await pool.query(
+          'UPDATE session_recordings SET transcription = $1, detected_language = $2 WHERE id = $3',
+          [transcription, detectTextLanguage(transcription), recording.id]
+        );
+
+        // Append to session transcript file
+        try {
+          await appendRecordingTranscript(session.id, recording, transcription);
+        } catch (transcriptError) {
+          console.error('Error appending to transcript file:', transcriptError);
+        }
+
+        sessionResult.transcribedCount++;
+        sessionResult.newlyTranscribedCount++;
+        results.transcribedRecordings++;
+        results.newlyTranscribed++;
+
+      } catch (transcribeError) {
+        console.error(`Error transcribing new recording ${recording.id}:`, transcribeError);
+        sessionResult.errors.push({
+          recordingId: recording.id,
+          type: 'new',
+          error: transcribeError.message
+        });
+        results.errors.push({
+          sessionId: session.id,
+          sessionName: session.name,
+          recordingId: recording.id,
+          type: 'new',
+          error: transcribeError.message
+        });
+      }
+    }
+
+    // ========================================
+    // 2. Get LEGACY audio recordings (audio_recordings table via answers/questions)
+    // ========================================
+    const legacyRecordingsResult = await pool.query(`
+      SELECT ar.*, q.question_text, a.text_response
+      FROM audio_recordings ar
+      JOIN answers a ON ar.answer_id = a.id
+      JOIN questions q ON a.question_id = q.id
+      WHERE q.session_id = $1
+      ORDER BY ar.created_at
+    `, [session.id]);
+
+    sessionResult.legacyRecordingsCount = legacyRecordingsResult.rows.length;
+    sessionResult.recordingsCount += legacyRecordingsResult.rows.length;
+    results.totalRecordings += legacyRecordingsResult.rows.length;
+    results.legacyRecordings += legacyRecordingsResult.rows.length;
+
+    // Process legacy recordings
+    for (const recording of legacyRecordingsResult.rows) {
+      if (recording.transcription) {
+        sessionResult.transcribedCount++;
+        results.transcribedRecordings++;
+        continue;
+      }
+
+      try {
+        const transcription = await transcribeRecording(recording, true, session.language);
+
+        // Save transcription to legacy table
+        await pool.query(
+          'UPDATE audio_recordings SET transcription = $1 WHERE id = $2',
+          [transcription, recording.id]
+        );
+
+        sessionResult.transcribedCount++;
+        sessionResult.newlyTranscribedCount++;
+        results.transcribedRecordings++;
+        results.newlyTranscribed++;
+
+      } catch (transcribeError) {
+        console.error(`Error transcribing legacy recording ${recording.id}:`, transcribeError);
+        sessionResult.errors.push({
+          recordingId: recording.id,
+          type: 'legacy',
+          error: transcribeError.message
+        });
+        results.errors.push({
+          sessionId: session.id,
+          sessionName: session.name,
+          recordingId: recording.id,
+          type: 'legacy',
+          error: transcribeError.message
+        });
+      }
+    }
+
+    results.sessions.push(sessionResult);
+    results.sessionsProcessed++;
+  }
+
+  await onProgress(95, 'Writing combined transcript...');
+
+  // Generate combined transcript document
+  const now = new Date().toISOString().replace('T', ' ').substring(0, 19);
+  let combinedTranscript = `# Workshop Transcript
+
+**Workshop:** ${workshop.name}
+**Client:** ${workshop.client_name || 'Not specified'}
+**Generated:** ${now}
+
+**Mission Statement:**
+${workshop.mission_statement || 'Not specified'}
+
+---
+
+# Sessions
+
+`;
+
+  // Add each session's transcripts (both new and legacy)
+  for (const session of sessions) {
+    let sessionHasTranscripts = false;
+    let sessionTranscriptContent = '';
+
+    // Get NEW transcriptions for this session
+    const newTranscriptionsResult = await pool.query(`
+      SELECT transcription, chunk_index, created_at, 'session_recording' as source_type
+      FROM session_recordings
+      WHERE session_id = $1 AND transcription IS NOT NULL
+      ORDER BY chunk_index, created_at
+    `, [session.id]);
+
+    // Get LEGACY transcriptions for this session
+    const legacyTranscriptionsResult = await pool.query(`
+      SELECT ar.transcription, ar.created_at, q.question_text, 'legacy_audio' as source_type
+      FROM audio_recordings ar
+      JOIN answers a ON ar.answer_id = a.id
+      JOIN questions q ON a.question_id = q.id
+      WHERE q.session_id = $1 AND ar.transcription IS NOT NULL
+      ORDER BY ar.created_at
+    `, [session.id]);
+
+    // Add new recordings
+    if (newTranscriptionsResult.rows.length > 0) {
+      sessionHasTranscripts = true;
+      for (const rec of newTranscriptionsResult.rows) {
+        const recordedTime = new Date(rec.created_at).toISOString().replace('T', ' ').substring(0, 19);
+        sessionTranscriptContent += `### Recording ${(rec.chunk_index || 0) + 1}
+**Recorded:** ${recordedTime}
+
+${rec.transcription}
+
+`;
+      }
+    }
+
+    // Add legacy recordings
+    if (legacyTranscriptionsResult.rows.length > 0) {
+      sessionHasTranscripts = true;
+      if (newTranscriptionsResult.rows.length > 0) {
+        sessionTranscriptContent += `### Legacy Recordings (Question-based mode)\n\n`;
+      }
+
+      let legacyIndex = 1;
+      for (const rec of legacyTranscriptionsResult.rows) {
+        const recordedTime = new Date(rec.created_at).toISOString().replace('T', ' ').substring(0, 19);
+        sessionTranscriptContent += `### Answer Recording ${legacyIndex}
+**Recorded:** ${recordedTime}
+**Question:** ${rec.question_text || 'N/A'}
+
+${rec.transcription}
+
+`;
+        legacyIndex++;
+      }
+    }
+
+    if (sessionHasTranscripts) {
+      combinedTranscript += `
+---
+
+## Session: ${session.name}
+**Module:** ${session.module || 'General'}
+
+${sessionTranscriptContent}`;
+    }
+  }
+
+  // Save combined transcript
+  const transcriptFileName = `workshop-${workshopId}-combined-transcript.md`;
+  const transcriptPath = path.join(TRANSCRIPT_DIR, transcriptFileName);
+
+  if (isS3Configured()) {
+    const s3Key = `uploads/transcripts/${transcriptFileName}`;
+    await uploadBufferToS3(Buffer.from(combinedTranscript, 'utf-8'), s3Key, 'text/markdown');
+    results.transcriptPath = s3Key;
+  } else {
+    fs.writeFileSync(transcriptPath, combinedTranscript, 'utf-8');
+    results.transcriptPath = transcriptPath;
+  }
+
+  return results;
+}
+
 module.exports = {
   getTranscriptFilePath,
   appendTranscript,
+  appendRecordingTranscript,
   regenerateTranscript,
   getTranscriptContent,
-  getAllTranscriptsText
+  getAllTranscriptsText,
+  generateWorkshopTranscript
 };
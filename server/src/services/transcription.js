@@ -0,0 +1,172 @@
+/**
+ * Transcription Service - Pluggable speech-to-text backend
+ *
+ * Backends (selected with TRANSCRIPTION_PROVIDER):
+ * - openai: Whisper via the OpenAI API (default). TRANSCRIPTION_API_URL points it at
+ *           any OpenAI-compatible server, e.g. a local whisper.cpp / faster-whisper instance,
+ *           so audio never leaves the network
+ * - azure:  Whisper on Azure OpenAI (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY and
+ *           AZURE_OPENAI_TRANSCRIPTION_DEPLOYMENT), e.g. in an EU region
+ * - stub:   Returns fixed text without calling any API (TRANSCRIPTION_STUB_TEXT),
+ *           for local development and tests
+ *
+ * Custom backends can be injected with setTranscriptionProvider().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+const { AzureOpenAI, toFile } = require('openai');
+
+// ============================================
+// Providers
+// ============================================
+
+/**
+ * Shared implementation for the OpenAI audio transcriptions API
+ */
+const createWhisperProvider = ({ name, model, isConfigured, createClient }) => {
+  // Lazy initialization to avoid crash if API key not set
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = createClient();
+    }
+    return client;
+  };
+
+  return {
+    name,
+    isConfigured,
+    async transcribe({ file }, { language, prompt }) {
+      const transcription = await getClient().audio.transcriptions.create({
+        file,
+        model,
+        // Without a language Whisper detects it from the audio
+        ...(language ? { language } : {}),
+        response_format: 'text',
+        ...(prompt ? { prompt } : {})
+      });
+      return typeof transcription === 'string' ? transcription : (transcription.text || '');
+    }
+  };
+};
+
+const createOpenAIProvider = () => createWhisperProvider({
+  name: 'openai',
+  model: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+  // Local OpenAI-compatible servers usually need no key
+  isConfigured: () => !!(process.env.OPENAI_API_KEY || process.env.TRANSCRIPTION_API_URL),
+  createClient: () => new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY || 'local',
+    baseURL: process.env.TRANSCRIPTION_API_URL || undefined
+  })
+});
+
+const createAzureProvider = () => createWhisperProvider({
+  name: 'azure',
+  model: process.env.AZURE_OPENAI_TRANSCRIPTION_DEPLOYMENT || process.env.TRANSCRIPTION_MODEL || 'whisper',
+  isConfigured: () => !!(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY),
+  createClient: () => new AzureOpenAI({
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+  })
+});
+
+const createStubProvider = () => ({
+  name: 'stub',
+  isConfigured: () => true,
+  async transcribe({ size }, { segmentIndex }) {
+    return process.env.TRANSCRIPTION_STUB_TEXT
+      || `[stub transcript${segmentIndex !== undefined ? ` for segment ${segmentIndex}` : ''}: ${size} bytes of audio]`;
+  }
+});
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  azure: createAzureProvider,
+  stub: createStubProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Get the configured provider (created on first use)
+ */
+const getTranscriptionProvider = () => {
+  if (!activeProvider) {
+    const name = (process.env.TRANSCRIPTION_PROVIDER || 'openai').toLowerCase();
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the active provider, e.g. with a local stand-in in tests.
+ * A provider is { name, isConfigured(), transcribe({ file, size }, options) => Promise<string> }.
+ * Pass null to go back to the TRANSCRIPTION_PROVIDER default.
+ */
+const setTranscriptionProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Whether the active provider has the credentials it needs
+ */
+const isTranscriptionConfigured = () => {
+  const provider = getTranscriptionProvider();
+  return typeof provider.isConfigured === 'function' ? provider.isConfigured() : true;
+};
+
+// ============================================
+// Transcription
+// ============================================
+
+/**
+ * Transcribe an audio file or in-memory buffer
+ * @param {Object} input - { filePath } or { buffer, fileName, mimeType }
+ * @param {Object} options - { language = 'en', prompt, segmentIndex }
+ *   language: ISO code, or null to detect it (see language.transcriptionOptions())
+ *   prompt: preceding transcript text, helps short segments stay consistent
+ * @returns {Promise<string>} transcript text
+ */
+const transcribeAudio = async (input, options = {}) => {
+  const { language = 'en', prompt, segmentIndex } = options;
+
+  if (!input.filePath && !input.buffer) {
+    throw new Error('transcribeAudio requires a filePath or buffer');
+  }
+
+  const size = input.filePath ? fs.statSync(input.filePath).size : input.buffer.length;
+  if (size === 0) {
+    throw new Error('Audio file is empty');
+  }
+
+  const file = input.filePath
+    ? fs.createReadStream(input.filePath)
+    : await toFile(input.buffer, input.fileName || 'audio.webm', { type: input.mimeType || 'audio/webm' });
+
+  try {
+    const provider = getTranscriptionProvider();
+    const text = await provider.transcribe(
+      { file, size, fileName: input.fileName || (input.filePath && path.basename(input.filePath)) },
+      { language, prompt, segmentIndex }
+    );
+    return (text || '').trim();
+  } finally {
+    // Providers that never read the file (e.g. stub) would otherwise leak the handle
+    if (typeof file.destroy === 'function') file.destroy();
+  }
+};
+
+module.exports = {
+  transcribeAudio,
+  getTranscriptionProvider,
+  setTranscriptionProvider,
+  isTranscriptionConfigured
+};